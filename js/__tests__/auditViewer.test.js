@@ -0,0 +1,148 @@
+// js/__tests__/auditViewer.test.js
+
+import { initAuditViewer, queryAuditTrail } from "../auditViewer.js";
+import { hasRole } from "../authManager.js";
+
+jest.mock("../authManager.js", () => ({
+    hasRole: jest.fn(() => true),
+}));
+
+jest.mock("../deviceManager.js", () => ({
+    getDevices: jest.fn(() => [{ id: "plc1", name: "PLC 1" }]),
+}));
+
+describe("AuditViewer", () => {
+    let listeners;
+    let socket;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="audit-trail-btn" class="hidden"></button>
+            <div id="audit-modal" class="hidden">
+                <button id="close-audit-modal-btn"></button>
+                <form id="audit-filter-form">
+                    <input id="audit-filter-user" />
+                    <select id="audit-filter-device"><option value="">Semua device</option></select>
+                    <input id="audit-filter-from" />
+                    <input id="audit-filter-to" />
+                </form>
+                <p id="audit-status"></p>
+                <table><tbody id="audit-table-body"></tbody></table>
+            </div>
+        `;
+        listeners = {};
+        socket = {
+            on: jest.fn((event, cb) => {
+                listeners[event] = cb;
+            }),
+            emit: jest.fn(),
+        };
+        hasRole.mockReturnValue(true);
+    });
+
+    test("should stay hidden for users below engineer", () => {
+        hasRole.mockReturnValue(false);
+        initAuditViewer(socket);
+        expect(
+            document
+                .getElementById("audit-trail-btn")
+                .classList.contains("hidden"),
+        ).toBe(true);
+        expect(socket.on).not.toHaveBeenCalled();
+    });
+
+    test("should query with the filters and render the latest results", () => {
+        initAuditViewer(socket);
+        document.getElementById("audit-trail-btn").click();
+        expect(
+            document.getElementById("audit-modal").classList.contains("hidden"),
+        ).toBe(false);
+        expect(
+            document.querySelector('#audit-filter-device option[value="plc1"]')
+                .textContent,
+        ).toBe("PLC 1 (plc1)");
+        const firstRequestId = socket.emit.mock.calls[0][1].requestId;
+
+        document.getElementById("audit-filter-user").value = " op1 ";
+        document.getElementById("audit-filter-device").value = "plc1";
+        document.getElementById("audit-filter-from").value = "2024-03-10T08:00";
+        document
+            .getElementById("audit-filter-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        const [event, params] = socket.emit.mock.calls[1];
+        expect(event).toBe("audit:query");
+        expect(params).toMatchObject({
+            user: "op1",
+            deviceId: "plc1",
+            from: new Date("2024-03-10T08:00").getTime(),
+            to: undefined,
+        });
+
+        listeners["audit:query_results"]({
+            requestId: firstRequestId,
+            entries: [{ t: 1, action: "project:load" }],
+        }); // Stale
+        expect(
+            document.getElementById("audit-table-body").children,
+        ).toHaveLength(0);
+
+        listeners["audit:query_results"]({
+            requestId: params.requestId,
+            truncated: false,
+            entries: [
+                {
+                    t: 2,
+                    user: "op1",
+                    role: "operator",
+                    action: "write_to_device",
+                    deviceId: "plc1",
+                    variableName: "sp",
+                    oldValue: 10,
+                    newValue: 20,
+                    status: "success",
+                },
+                {
+                    t: 1,
+                    user: "op1",
+                    role: "operator",
+                    action: "write_to_device",
+                    deviceId: "plc1",
+                    variableName: "sp",
+                    newValue: 99,
+                    status: "timeout",
+                    message: "No answer",
+                },
+            ],
+        });
+        const rows = document.querySelectorAll("#audit-table-body tr");
+        expect(rows).toHaveLength(2);
+        expect(
+            [...rows[0].children].slice(1).map((cell) => cell.textContent),
+        ).toEqual([
+            "op1 (operator)",
+            "write_to_device",
+            "plc1 / sp",
+            "10",
+            "20",
+            "success",
+        ]);
+        expect(rows[1].children[6].textContent).toBe("timeout: No answer");
+        expect(document.getElementById("audit-status").textContent).toBe(
+            "2 entri.",
+        );
+    });
+
+    test("should show query errors", () => {
+        initAuditViewer(socket);
+        queryAuditTrail();
+        const { requestId } = socket.emit.mock.calls[0][1];
+        listeners.operation_error({
+            operation: "audit:query",
+            message: "Rentang waktu tidak valid.",
+            details: { requestId },
+        });
+        expect(document.getElementById("audit-status").textContent).toBe(
+            "Gagal memuat audit trail: Rentang waktu tidak valid.",
+        );
+    });
+});
@@ -0,0 +1,167 @@
+// js/__tests__/authManager.test.js
+
+import {
+    ensureLoggedIn,
+    getCurrentUser,
+    hasRole,
+    initAuthManager,
+} from "../authManager.js";
+
+describe("AuthManager", () => {
+    const jsonResponse = (status, body) =>
+        Promise.resolve({
+            ok: status < 400,
+            status,
+            json: () => Promise.resolve(body),
+        });
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <span id="current-user-label"></span>
+            <button id="manage-users-btn" class="hidden"></button>
+            <button id="logout-btn"></button>
+            <div id="login-modal" class="hidden">
+                <form id="login-form">
+                    <input id="login-username" />
+                    <input id="login-password" type="password" />
+                    <p id="login-error" class="hidden"></p>
+                </form>
+            </div>
+            <div id="user-modal" class="hidden">
+                <button id="close-user-modal-btn"></button>
+                <ul id="user-list"></ul>
+                <form id="user-form">
+                    <input id="user-form-username" />
+                    <select id="user-form-role"><option value="viewer">viewer</option><option value="operator">operator</option></select>
+                    <input id="user-form-password" type="password" />
+                </form>
+            </div>
+        `;
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test("ensureLoggedIn should use the session of the server without showing the login", async () => {
+        fetch.mockReturnValueOnce(
+            jsonResponse(200, { username: "op1", role: "operator" }),
+        );
+        await expect(ensureLoggedIn()).resolves.toEqual({
+            username: "op1",
+            role: "operator",
+        });
+        expect(
+            document.getElementById("login-modal").classList.contains("hidden"),
+        ).toBe(true);
+        expect(hasRole("viewer")).toBe(true);
+        expect(hasRole("operator")).toBe(true);
+        expect(hasRole("engineer")).toBe(false);
+    });
+
+    test("ensureLoggedIn should show the login modal until a login succeeds", async () => {
+        fetch
+            .mockReturnValueOnce(jsonResponse(401, { code: "UNAUTHORIZED" }))
+            .mockReturnValueOnce(
+                jsonResponse(401, { message: "Username atau password salah." }),
+            )
+            .mockReturnValueOnce(
+                jsonResponse(200, {
+                    token: "t",
+                    user: { username: "admin", role: "admin" },
+                }),
+            );
+        const login = ensureLoggedIn();
+        await flush();
+        expect(
+            document.getElementById("login-modal").classList.contains("hidden"),
+        ).toBe(false);
+
+        document.getElementById("login-username").value = " admin ";
+        document.getElementById("login-password").value = "wrong";
+        document
+            .getElementById("login-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        await flush();
+        expect(document.getElementById("login-error").textContent).toBe(
+            "Username atau password salah.",
+        );
+
+        document.getElementById("login-password").value = "admin";
+        document
+            .getElementById("login-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        await expect(login).resolves.toEqual({
+            username: "admin",
+            role: "admin",
+        });
+        expect(fetch).toHaveBeenLastCalledWith(
+            "/api/auth/login",
+            expect.objectContaining({
+                method: "POST",
+                body: JSON.stringify({ username: "admin", password: "admin" }),
+            }),
+        );
+        expect(
+            document.getElementById("login-modal").classList.contains("hidden"),
+        ).toBe(true);
+        expect(getCurrentUser().role).toBe("admin");
+    });
+
+    test("initAuthManager should show the user and let admins manage users", async () => {
+        fetch.mockReturnValueOnce(
+            jsonResponse(200, { username: "admin", role: "admin" }),
+        );
+        await ensureLoggedIn();
+        const listeners = {};
+        const socket = {
+            on: jest.fn((event, cb) => {
+                listeners[event] = cb;
+            }),
+            emit: jest.fn(),
+        };
+        initAuthManager(socket);
+
+        expect(document.getElementById("current-user-label").textContent).toBe(
+            "admin (admin)",
+        );
+        document.getElementById("manage-users-btn").click();
+        expect(socket.emit).toHaveBeenCalledWith("user:list");
+
+        listeners["user:list_results"]([
+            { username: "admin", role: "admin" },
+            { username: "op1", role: "operator" },
+        ]);
+        document
+            .querySelector(
+                'button[data-action="edit-user"][data-username="op1"]',
+            )
+            .click();
+        expect(document.getElementById("user-form-username").value).toBe("op1");
+        expect(document.getElementById("user-form-role").value).toBe(
+            "operator",
+        );
+
+        document
+            .getElementById("user-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        expect(socket.emit).toHaveBeenCalledWith("user:save", {
+            username: "op1",
+            password: undefined,
+            role: "operator",
+        });
+
+        jest.spyOn(window, "confirm").mockReturnValueOnce(true);
+        document
+            .querySelector(
+                'button[data-action="delete-user"][data-username="op1"]',
+            )
+            .click();
+        expect(socket.emit).toHaveBeenCalledWith("user:delete", {
+            username: "op1",
+        });
+        window.confirm.mockRestore();
+    });
+});
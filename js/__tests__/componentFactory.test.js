@@ -3,6 +3,9 @@
 import { GRID_SIZE } from "../config.js"; // Mocked below
 import * as stateManager from "../stateManager.js";
 import * as deviceManager from "../deviceManager.js";
+import * as alarmManager from "../alarmManager.js";
+import * as screenManager from "../screenManager.js";
+import * as numericKeypad from "../numericKeypad.js";
 import { initComponentFactory, componentFactory } from "../componentFactory.js";
 
 // Mock dependencies
@@ -13,10 +16,28 @@ jest.mock("../config.js", () => ({
 jest.mock("../stateManager.js", () => ({
     saveState: jest.fn(),
     getDeviceVariableValue: jest.fn(),
+    getDeviceVariableMeta: jest.fn(() => ({ quality: "good", timestamp: null })),
 }));
 
 jest.mock("../deviceManager.js", () => ({
-    writeDataToServer: jest.fn(),
+    writeDataToServer: jest.fn(() => Promise.resolve({ status: "success" })),
+    getDeviceById: jest.fn(),
+    queryHistory: jest.fn(() => Promise.resolve({ points: [] })),
+}));
+
+jest.mock("../alarmManager.js", () => ({
+    getAlarms: jest.fn(() => []),
+    acknowledgeAlarms: jest.fn(),
+    onAlarmsChanged: jest.fn(() => jest.fn()),
+}));
+
+jest.mock("../numericKeypad.js", () => ({
+    openNumericKeypad: jest.fn(() => Promise.resolve(null)),
+}));
+
+jest.mock("../screenManager.js", () => ({
+    getScreens: jest.fn(() => []),
+    switchToScreen: jest.fn(),
 }));
 
 // Mock Konva
@@ -31,6 +52,9 @@ const mockKonvaShapeMethods = {
     align: jest.fn(),
     destroy: jest.fn(),
     moveToBottom: jest.fn(),
+    moveToTop: jest.fn(),
+    visible: jest.fn(),
+    setAttrs: jest.fn(),
     // Add other methods as needed by components
 };
 
@@ -39,6 +63,7 @@ const MockKonvaGroup = jest.fn().mockImplementation(function (config) {
     this.x = jest.fn(() => config.x);
     this.y = jest.fn(() => config.y);
     this.attrs = { ...config }; // Store attributes
+    this.name = () => this.attrs.name;
     this.setAttrs = jest.fn((newAttrs) => { this.attrs = { ...this.attrs, ...newAttrs }; });
     this.on = mockKonvaGroupOn;
     this.findOne = jest.fn(selector => {
@@ -49,6 +74,7 @@ const MockKonvaGroup = jest.fn().mockImplementation(function (config) {
     });
     this.add = jest.fn(child => { this._children.push(child); });
     this.destroy = jest.fn();
+    this.destroyChildren = jest.fn(() => { this._children = []; });
     this._children = []; // To store added shapes for findOne
     this.width = jest.fn((val) => { // Make width a setter/getter for Label transform test
         if (val !== undefined) this.attrs.width = val;
@@ -70,12 +96,21 @@ const MockKonvaGroup = jest.fn().mockImplementation(function (config) {
 const MockKonvaRect = jest.fn().mockImplementation(config => ({ ...mockKonvaShapeMethods, attrs: config, name: () => config.name, _mockShapeType: 'rect' }));
 const MockKonvaCircle = jest.fn().mockImplementation(config => ({ ...mockKonvaShapeMethods, attrs: config, name: () => config.name, _mockShapeType: 'circle' }));
 const MockKonvaText = jest.fn().mockImplementation(config => ({ ...mockKonvaShapeMethods, attrs: config, name: () => config.name, _mockShapeType: 'text' }));
+// Lines keep their attrs up to date so tests can inspect plotted points
+const MockKonvaLine = jest.fn().mockImplementation(function (config) {
+    Object.assign(this, mockKonvaShapeMethods);
+    this.attrs = { ...config };
+    this.setAttrs = jest.fn((newAttrs) => { this.attrs = { ...this.attrs, ...newAttrs }; });
+    this.name = () => this.attrs.name;
+    return this;
+});
 
 global.Konva = {
     Group: MockKonvaGroup,
     Rect: MockKonvaRect,
     Circle: MockKonvaCircle,
     Text: MockKonvaText,
+    Line: MockKonvaLine,
 };
 
 // Mocks for injected dependencies from other managers
@@ -221,6 +256,22 @@ describe("ComponentFactory", () => {
                 }
             });
 
+            if (ct.type !== "label") {
+                test("updateState should show the quality overlay only for bad-quality values", () => {
+                    const overlay = componentGroup.findOne(".quality-overlay");
+                    expect(overlay.attrs).toEqual(expect.objectContaining({ visible: false, listening: false }));
+
+                    stateManager.getDeviceVariableMeta.mockReturnValueOnce({ quality: "comm-fail", timestamp: null });
+                    componentGroup.updateState();
+                    expect(stateManager.getDeviceVariableMeta).toHaveBeenLastCalledWith(defaultConfig.deviceId, defaultConfig.variableName);
+                    expect(overlay.visible).toHaveBeenLastCalledWith(true);
+                    expect(overlay.moveToTop).toHaveBeenCalled();
+
+                    componentGroup.updateState();
+                    expect(overlay.visible).toHaveBeenLastCalledWith(false);
+                });
+            }
+
             if (ct.type === "bit-switch") {
                 test("BitSwitch click in simulation mode should call writeDataToServer", () => {
                     mockIsSimulationModeRef.mockReturnValueOnce(true);
@@ -233,6 +284,26 @@ describe("ComponentFactory", () => {
                 });
             }
 
+            if (ct.type === "numeric-display") {
+                test("NumericDisplay should fall back to the variable's engineering unit", () => {
+                    const labelText = { text: jest.fn() };
+                    componentGroup.findOne = jest.fn((sel) => sel === '.label-text' ? labelText : { ...mockKonvaShapeMethods });
+                    deviceManager.getDeviceById.mockReturnValue({ id: "dev1", variables: [{ name: "var1", engineeringUnit: "bar" }] });
+
+                    componentGroup.updateState();
+                    expect(labelText.text).toHaveBeenLastCalledWith("Value Display (bar)");
+
+                    componentGroup.attrs.units = "psi";
+                    componentGroup.updateState();
+                    expect(labelText.text).toHaveBeenLastCalledWith("Value Display (psi)");
+
+                    deviceManager.getDeviceById.mockReturnValue(undefined);
+                    componentGroup.attrs.units = "";
+                    componentGroup.updateState();
+                    expect(labelText.text).toHaveBeenLastCalledWith("Value Display");
+                });
+            }
+
             if (ct.type === "label") {
                 test("Label transformend should update width and save state", () => {
                     componentGroup.attrs.width = 100;
@@ -253,6 +324,346 @@ describe("ComponentFactory", () => {
             }
         });
     });
+    describe("word-lamp states", () => {
+        const states = [
+            { value: "fault", text: "FAULT", color: "#ff0000", blink: true },
+            { min: 0, max: 49.9, text: "LOW", color: "#00ff00" },
+            { min: 50, text: "HIGH", color: "#0000ff" },
+        ];
+        const showValue = (lamp, value) => {
+            stateManager.getDeviceVariableValue.mockReturnValueOnce(value);
+            mockKonvaShapeMethods.fill.mockClear();
+            mockKonvaShapeMethods.text.mockClear();
+            lamp.updateState();
+            return { fill: mockKonvaShapeMethods.fill.mock.calls[0][0], text: mockKonvaShapeMethods.text.mock.calls[0][0] };
+        };
+
+        test("should match value ranges and exact values in order", () => {
+            const lamp = componentFactory.create("word-lamp", { deviceId: "dev1", variableName: "status", states });
+            expect(showValue(lamp, 12.5)).toEqual({ fill: "#00ff00", text: "LOW" });
+            expect(showValue(lamp, 50)).toEqual({ fill: "#0000ff", text: "HIGH" });
+            expect(showValue(lamp, "FAULT").text).toBe("FAULT");
+        });
+
+        test("should show the configured fallback when no state matches", () => {
+            const lamp = componentFactory.create("word-lamp", {
+                deviceId: "dev1", variableName: "status", states, fallbackText: "UNKNOWN", fallbackColor: "#999999",
+            });
+            expect(showValue(lamp, -5)).toEqual({ fill: "#999999", text: "UNKNOWN" });
+        });
+
+        test("should blink states with blink set", () => {
+            const lamp = componentFactory.create("word-lamp", { deviceId: "dev1", variableName: "status", states });
+            const nowSpy = jest.spyOn(Date, "now").mockReturnValue(1000);
+            expect(showValue(lamp, "fault").fill).toBe("#ff0000");
+            nowSpy.mockReturnValue(1500);
+            expect(showValue(lamp, "fault").fill).toBe("#333");
+            expect(showValue(lamp, 10).fill).toBe("#00ff00"); // Not blinking
+            nowSpy.mockRestore();
+        });
+
+        test("should accept states saved as a JSON string", () => {
+            const lamp = componentFactory.create("word-lamp", { states: JSON.stringify([{ value: 1, text: "ON", color: "#00ff00" }]) });
+            expect(lamp.attrs.states).toEqual([{ value: 1, text: "ON", color: "#00ff00" }]);
+        });
+    });
+
+    describe("numeric-input component", () => {
+        const lastClickHandler = () => mockKonvaGroupOn.mock.calls.filter(call => call[0] === "click").pop()[1];
+        const statusText = () => mockKonvaShapeMethods.setAttrs.mock.calls.filter(call => "text" in call[0]).pop()[0].text;
+
+        beforeEach(() => {
+            deviceManager.getDeviceById.mockReturnValue({
+                id: "dev1", variables: [{ name: "sp", euMin: 0, euMax: 100, engineeringUnit: "°C" }],
+            });
+            mockIsSimulationModeRef.mockReturnValue(true);
+        });
+        afterEach(() => {
+            deviceManager.getDeviceById.mockReset();
+            mockIsSimulationModeRef.mockReturnValue(false);
+        });
+
+        test("should take its limits from its attributes or the variable's EU range", () => {
+            const input = componentFactory.create("numeric-input", { deviceId: "dev1", variableName: "sp", step: 0.5 });
+            expect(input.getWriteLimits()).toEqual({ min: 0, max: 100, step: 0.5 });
+            input.setAttrs({ min: 20, max: NaN });
+            expect(input.getWriteLimits()).toEqual({ min: 20, max: 100, step: 0.5 });
+        });
+
+        test("should open the keypad and write the entered value in simulation mode", async () => {
+            stateManager.getDeviceVariableValue.mockReturnValue(40);
+            numericKeypad.openNumericKeypad.mockResolvedValueOnce(55);
+            const input = componentFactory.create("numeric-input", { deviceId: "dev1", variableName: "sp", label: "Suhu" });
+
+            await lastClickHandler()({ evt: { button: 0 } });
+            expect(numericKeypad.openNumericKeypad).toHaveBeenCalledWith({ title: "Suhu", value: 40, unit: "°C", min: 0, max: 100, step: undefined });
+            expect(deviceManager.writeDataToServer).toHaveBeenCalledWith("dev1", "sp", 55, { retries: 1, notify: false });
+            expect(input.getWriteStatus()).toBe("pending");
+            expect(statusText()).toBe("menunggu 55");
+
+            stateManager.getDeviceVariableValue.mockReturnValue(55); // Device echoes the value
+            input.updateState();
+            expect(input.getWriteStatus()).toBe("idle");
+            stateManager.getDeviceVariableValue.mockReset();
+        });
+
+        test("should not write when the keypad or the confirmation is cancelled", async () => {
+            const input = componentFactory.create("numeric-input", { deviceId: "dev1", variableName: "sp", confirmWrite: true });
+            const clickHandler = lastClickHandler();
+            await clickHandler({ evt: { button: 0 } }); // Keypad cancelled (resolves null)
+
+            const confirmSpy = jest.spyOn(window, "confirm").mockReturnValueOnce(false).mockReturnValueOnce(true);
+            numericKeypad.openNumericKeypad.mockResolvedValueOnce(10).mockResolvedValueOnce(12);
+            await clickHandler({ evt: { button: 0 } });
+            expect(deviceManager.writeDataToServer).not.toHaveBeenCalled();
+            await clickHandler({ evt: { button: 0 } });
+            expect(confirmSpy).toHaveBeenCalledWith(expect.stringContaining("12 °C"));
+            expect(deviceManager.writeDataToServer).toHaveBeenCalledWith("dev1", "sp", 12, { retries: 1, notify: false });
+            expect(input.getWriteStatus()).toBe("pending");
+            confirmSpy.mockRestore();
+        });
+
+        test("should show a write as failed when the server reports an error or refuses it", async () => {
+            stateManager.getDeviceVariableValue.mockReturnValue(40);
+            const input = componentFactory.create("numeric-input", { deviceId: "dev1", variableName: "sp" });
+            deviceManager.writeDataToServer.mockResolvedValueOnce({ status: "timeout" });
+            await input.writeValue(60);
+            expect(input.getWriteStatus()).toBe("failed");
+            expect(statusText()).toBe("gagal menulis");
+
+            deviceManager.writeDataToServer.mockResolvedValueOnce({ status: "not_permitted", message: "read-only" });
+            await input.writeValue(70);
+            expect(statusText()).toBe("tidak diizinkan");
+            stateManager.getDeviceVariableValue.mockReset();
+        });
+
+        test("should show a write as failed when the device does not echo it in time", () => {
+            const nowSpy = jest.spyOn(Date, "now").mockReturnValue(10000);
+            stateManager.getDeviceVariableValue.mockReturnValue(40);
+            const input = componentFactory.create("numeric-input", { deviceId: "dev1", variableName: "sp" });
+            input.writeValue(60);
+
+            nowSpy.mockReturnValue(14000);
+            input.updateState();
+            expect(input.getWriteStatus()).toBe("pending");
+            nowSpy.mockReturnValue(16000);
+            input.updateState();
+            expect(input.getWriteStatus()).toBe("failed");
+            expect(statusText()).toBe("gagal menulis");
+            nowSpy.mockRestore();
+            stateManager.getDeviceVariableValue.mockReset();
+        });
+    });
+
+    describe("trend-chart component", () => {
+        const NOW = Date.parse("2024-05-01T12:00:00Z");
+        let chart;
+        const findPenLines = () => MockKonvaLine.mock.instances.filter((line) => line.attrs.name === "pen-line");
+        const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+        beforeEach(() => {
+            jest.spyOn(Date, "now").mockReturnValue(NOW);
+            MockKonvaLine.mockClear();
+            stateManager.getDeviceVariableValue.mockReturnValue(undefined);
+            stateManager.getDeviceVariableMeta.mockReturnValue({ quality: "good", timestamp: null });
+            deviceManager.queryHistory.mockResolvedValue({ points: [] });
+            chart = componentFactory.create("trend-chart", {
+                x: 0, y: 0,
+                pens: [{ deviceId: "dev1", variableName: "level", color: "#ff0000", min: 0, max: 10 }],
+            });
+        });
+        afterEach(() => {
+            Date.now.mockRestore();
+            stateManager.getDeviceVariableValue.mockReset();
+            stateManager.getDeviceVariableMeta.mockReset();
+            stateManager.getDeviceVariableMeta.mockReturnValue({ quality: "good", timestamp: null });
+        });
+
+        test("should be created with defaults and its own copy of the pens", () => {
+            const pens = [{ deviceId: "dev1", variableName: "level", color: "#ff0000" }];
+            const other = componentFactory.create("trend-chart", { pens });
+            expect(other.attrs).toEqual(expect.objectContaining({ componentType: "trend-chart", timeWindowSec: 300, width: 320, height: 180 }));
+            expect(other.attrs.pens).toEqual(pens);
+            expect(other.attrs.pens[0]).not.toBe(pens[0]);
+            expect(findPenLines()).toHaveLength(2); // One per chart: this one and the beforeEach chart
+        });
+
+        test("should backfill the visible window from the historian", async () => {
+            expect(deviceManager.queryHistory).toHaveBeenCalledWith(expect.objectContaining({
+                deviceId: "dev1", variableName: "level", from: NOW - 300000, to: NOW,
+            }));
+            deviceManager.queryHistory.mockResolvedValueOnce({ points: [{ t: NOW - 120000, min: 3, max: 5, avg: 4, count: 2 }] });
+            chart.attrs.timeWindowSec = 600; // Changing the window reloads history
+            chart.updateState();
+            await flushPromises();
+
+            expect(chart.getReadoutAt(NOW - 60000).values[0]).toEqual(expect.objectContaining({ variableName: "level", value: 4 }));
+            expect(findPenLines()[0].attrs.points.length).toBeGreaterThan(0);
+        });
+
+        test("updateState should record live values and plot them with the pen color", () => {
+            stateManager.getDeviceVariableValue.mockReturnValue(5);
+            stateManager.getDeviceVariableMeta.mockReturnValue({ quality: "good", timestamp: new Date(NOW - 10000).toISOString() });
+            chart.updateState();
+
+            const line = findPenLines()[0];
+            expect(line.attrs.stroke).toBe("#ff0000");
+            expect(line.attrs.dash).toEqual([]);
+            // Sample at the sample time, then held until now at the right edge; 5 of 0..10 is mid-height
+            const points = line.attrs.points;
+            expect(points).toHaveLength(4);
+            expect(points[1]).toBeCloseTo(points[3]);
+            expect(points[2]).toBeGreaterThan(points[0]);
+            expect(chart.getReadoutAt(NOW).values[0].value).toBe(5);
+            expect(chart.getReadoutAt(NOW - 20000).values[0].value).toBeUndefined();
+        });
+
+        test("should draw bad-quality pens dashed and ignore their values", () => {
+            stateManager.getDeviceVariableValue.mockReturnValue(7);
+            stateManager.getDeviceVariableMeta.mockReturnValue({ quality: "comm-fail", timestamp: new Date(NOW).toISOString() });
+            chart.updateState();
+
+            expect(findPenLines()[0].attrs.dash).toEqual([4, 3]);
+            expect(chart.getReadoutAt(NOW).values[0].value).toBeUndefined();
+        });
+
+        test("scrolling back should pause the chart and query history for the new window", () => {
+            deviceManager.queryHistory.mockClear();
+            chart.scrollBy(-60000);
+            expect(chart.isPaused()).toBe(true);
+            expect(deviceManager.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ from: NOW - 360000, to: NOW - 60000 }));
+
+            chart.scrollBy(120000); // Past now: back to live
+            expect(chart.isPaused()).toBe(false);
+        });
+
+        test("clicking the mode badge in simulation mode should toggle pause", () => {
+            mockIsSimulationModeRef.mockReturnValue(true);
+            const clickHandler = mockKonvaGroupOn.mock.calls.filter(call => call[0] === "click").pop()[1];
+            const badge = { name: () => "mode-text" };
+
+            clickHandler({ evt: { button: 0 }, target: badge });
+            expect(chart.isPaused()).toBe(true);
+            clickHandler({ evt: { button: 0 }, target: badge });
+            expect(chart.isPaused()).toBe(false);
+            mockIsSimulationModeRef.mockReturnValue(false);
+        });
+    });
+
+    describe("alarm components", () => {
+        const alarms = [
+            { id: "a1:HIHI", deviceId: "dev1", variableName: "level", condition: "HIHI", limit: 95, priority: "critical", state: "active-unacked", activeAt: "2024-05-01T12:00:00.000Z", message: "Level sangat tinggi" },
+            { id: "a2:HI", deviceId: "dev2", variableName: "temp", condition: "HI", limit: 80, priority: "high", state: "active-acked", activeAt: "2024-05-01T12:05:00.000Z", message: "" },
+            { id: "a3:LO", deviceId: "dev1", variableName: "flow", condition: "LO", limit: 2, priority: "low", state: "cleared-unacked", activeAt: "2024-05-01T11:00:00.000Z", message: "Flow rendah" },
+        ];
+        const lastClickHandler = () => mockKonvaGroupOn.mock.calls.filter(call => call[0] === "click").pop()[1];
+
+        beforeEach(() => {
+            alarmManager.getAlarms.mockReturnValue(alarms);
+        });
+        afterEach(() => {
+            alarmManager.getAlarms.mockReturnValue([]);
+        });
+
+        test("alarm summary should filter by priority and device and sort by time", () => {
+            const summary = componentFactory.create("alarm-summary", { x: 0, y: 0 });
+            expect(summary.attrs).toEqual(expect.objectContaining({ componentType: "alarm-summary", minPriority: "low", sortBy: "priority", width: 520, height: 180 }));
+            expect(summary.getListedAlarms().map(a => a.id)).toEqual(["a1:HIHI", "a2:HI", "a3:LO"]);
+
+            summary.setAttrs({ minPriority: "high", sortBy: "time" });
+            expect(summary.getListedAlarms().map(a => a.id)).toEqual(["a2:HI", "a1:HIHI"]);
+            summary.setAttrs({ minPriority: "low", deviceFilter: "dev1" });
+            expect(summary.getListedAlarms().map(a => a.id)).toEqual(["a1:HIHI", "a3:LO"]);
+        });
+
+        test("alarm summary should draw a row per alarm with ACK buttons only for unacknowledged alarms", () => {
+            deviceManager.getDeviceById.mockImplementation(id => (id === "dev1" ? { name: "PLC 1" } : null));
+            const summary = componentFactory.create("alarm-summary", { x: 0, y: 0 });
+            const rows = summary.findOne(".alarm-rows")._children;
+            const messages = rows.filter(shape => shape.attrs.name === "alarm-message").map(shape => shape.attrs.text);
+            expect(messages).toEqual(["PLC 1.level: Level sangat tinggi", "dev2.temp: HI (80)", "PLC 1.flow: Flow rendah"]);
+            const ackIds = rows.filter(shape => shape.attrs.name === "ack-button").map(shape => shape.attrs.alarmId);
+            expect(ackIds).toEqual(["a1:HIHI", "a3:LO"]);
+            deviceManager.getDeviceById.mockReset();
+        });
+
+        test("ACK buttons should acknowledge their alarm in simulation mode only", () => {
+            componentFactory.create("alarm-summary", { x: 0, y: 0 });
+            const clickHandler = lastClickHandler();
+            const ackButton = { getAttr: jest.fn(() => "a1:HIHI") };
+
+            clickHandler({ evt: { button: 0, shiftKey: false }, target: ackButton });
+            expect(alarmManager.acknowledgeAlarms).not.toHaveBeenCalled(); // Design mode selects instead
+
+            mockIsSimulationModeRef.mockReturnValue(true);
+            clickHandler({ evt: { button: 0 }, target: ackButton });
+            expect(alarmManager.acknowledgeAlarms).toHaveBeenCalledWith("a1:HIHI");
+            mockIsSimulationModeRef.mockReturnValue(false);
+        });
+
+        test("alarm banner should show the most urgent alarm and how many more there are", () => {
+            const banner = componentFactory.create("alarm-banner", { x: 0, y: 0 });
+            expect(banner.getShownAlarm().id).toBe("a1:HIHI");
+            expect(mockKonvaShapeMethods.setAttrs).toHaveBeenCalledWith(expect.objectContaining({ text: "+2" }));
+
+            alarmManager.getAlarms.mockReturnValue([]);
+            banner.updateState();
+            expect(banner.getShownAlarm()).toBeNull();
+            expect(mockKonvaShapeMethods.setAttrs).toHaveBeenCalledWith(expect.objectContaining({ text: "Tidak ada alarm aktif" }));
+        });
+
+        test("should refresh alarm components and flash while alarms are unacknowledged", () => {
+            jest.useFakeTimers();
+            const banner = componentFactory.create("alarm-banner", { x: 0, y: 0 });
+            mockLayerRef.find = jest.fn(() => [banner]);
+            mockLayerRef.batchDraw = jest.fn();
+            const onAlarmsChangedListener = alarmManager.onAlarmsChanged.mock.calls.pop()[0];
+
+            onAlarmsChangedListener();
+            expect(mockLayerRef.batchDraw).toHaveBeenCalled();
+            mockKonvaShapeMethods.setAttrs.mockClear();
+            jest.advanceTimersByTime(500);
+            expect(mockKonvaShapeMethods.setAttrs).toHaveBeenCalledWith(expect.objectContaining({ fill: "#dc2626" }));
+
+            alarmManager.getAlarms.mockReturnValue([{ ...alarms[1] }]); // Only an acknowledged alarm left
+            onAlarmsChangedListener();
+            mockKonvaShapeMethods.setAttrs.mockClear();
+            jest.advanceTimersByTime(1000);
+            expect(mockKonvaShapeMethods.setAttrs).not.toHaveBeenCalled(); // Flash timer stopped
+            jest.useRealTimers();
+        });
+    });
+
+    describe("nav-button component", () => {
+        const lastClickHandler = () => mockKonvaGroupOn.mock.calls.filter(call => call[0] === "click").pop()[1];
+
+        test("should switch to its target screen when clicked in simulation mode", () => {
+            jest.useFakeTimers();
+            const navButton = componentFactory.create("nav-button", { x: 0, y: 0, targetScreenId: "screen-2" });
+            expect(navButton.attrs).toEqual(expect.objectContaining({ componentType: "nav-button", width: 120, height: 40 }));
+            const clickHandler = lastClickHandler();
+
+            clickHandler({ evt: { button: 0, shiftKey: false } });
+            jest.runAllTimers();
+            expect(screenManager.switchToScreen).not.toHaveBeenCalled(); // Design mode selects instead
+
+            mockIsSimulationModeRef.mockReturnValue(true);
+            clickHandler({ evt: { button: 0 } });
+            expect(screenManager.switchToScreen).not.toHaveBeenCalled(); // Deferred until the click is dispatched
+            jest.runAllTimers();
+            expect(screenManager.switchToScreen).toHaveBeenCalledWith("screen-2");
+            mockIsSimulationModeRef.mockReturnValue(false);
+            jest.useRealTimers();
+        });
+
+        test("should mark a button without a valid target screen", () => {
+            screenManager.getScreens.mockReturnValue([{ id: "screen-1", name: "Main" }]);
+            componentFactory.create("nav-button", { x: 0, y: 0, targetScreenId: "deleted-screen" });
+            expect(mockKonvaShapeMethods.setAttrs).toHaveBeenCalledWith(expect.objectContaining({ stroke: "#f87171", dash: [5, 3] }));
+            screenManager.getScreens.mockReturnValue([]);
+        });
+    });
+
      describe("handleComponentSelectionClick (via component click handlers)", () => {
         let group;
         let clickHandler;
@@ -14,12 +14,14 @@ import {
 
 import * as stateManager from "../stateManager.js";
 import * as topicExplorer from "../topicExplorer.js";
+import * as alarmManager from "../alarmManager.js";
 import ProjectManager from "../projectManager.js";
 
 // Mock dependencies
 jest.mock("../stateManager.js", () => ({
     setDeviceVariableValue: jest.fn(),
     getDeviceVariableValue: jest.fn(),
+    getDeviceVariableMeta: jest.fn(() => ({ quality: "good", timestamp: null })),
     deleteDeviceState: jest.fn(),
 }));
 
@@ -27,14 +29,18 @@ jest.mock("../topicExplorer.js", () => ({
     openTopicExplorer: jest.fn(),
 }));
 
-let mockPmSetDirtyFunc;
-jest.mock("../projectManager.js", () => {
-    mockPmSetDirtyFunc = jest.fn();
-    return {
-        setDirty: mockPmSetDirtyFunc,
-        getIsLoadingProject: jest.fn(() => false),
-    };
-});
+jest.mock("../alarmManager.js", () => ({
+    getVariableAlarmDefinition: jest.fn(() => null),
+    setVariableAlarmDefinition: jest.fn(),
+    removeAlarmDefinitions: jest.fn(),
+}));
+
+// jest.mock is hoisted above this file's variables, so the mock is read back from the import
+jest.mock("../projectManager.js", () => ({
+    setDirty: jest.fn(),
+    getIsLoadingProject: jest.fn(() => false),
+}));
+const mockPmSetDirtyFunc = ProjectManager.setDirty;
 
 
 // Mock Socket.IO client
@@ -88,7 +94,7 @@ const createMockElement = (id, tag = 'div') => {
         }),
         insertRow: jest.fn(() => {
             const mockRow = {
-                insertCell: jest.fn(() => ({ textContent: '', dataset: {}, className: ''})),
+                insertCell: jest.fn(() => ({ textContent: '', dataset: {}, className: '', classList: { toggle: jest.fn() } })),
                 className: ''
             };
             return mockRow;
@@ -438,9 +444,48 @@ describe("DeviceManager", () => {
         });
 
         test("'device_variable_update' should call stateManager.setDeviceVariableValue", () => {
-            const updateData = { deviceId: "d1", variableName: "temp", value: 25 };
+            const updateData = { deviceId: "d1", variableName: "temp", value: 25, timestamp: "2024-01-01T00:00:00.000Z", quality: "good" };
             mockSocket.triggerEvent('device_variable_update', updateData);
-            expect(stateManager.setDeviceVariableValue).toHaveBeenCalledWith("d1", "temp", 25);
+            expect(stateManager.setDeviceVariableValue).toHaveBeenCalledWith("d1", "temp", 25, {
+                quality: "good",
+                timestamp: "2024-01-01T00:00:00.000Z",
+            });
+        });
+    });
+
+    describe("Alarm definitions", () => {
+        const openVariableManager = (device) => {
+            mockSocket.triggerEvent('initial_device_list', [{ ...device, variables: [] }]);
+            mockVariableManagerModal.classList.contains = jest.fn(cls => cls !== 'hidden');
+            mockVariableManagerModal.dataset.deviceId = device.id;
+            mockSocket.triggerEvent('device_updated', device);
+            // Each row has the name, details, value and actions cells
+            return mockVariableListTbody.insertRow.mock.results.map(({ value: row }) => row.insertCell.mock.results[1].value.innerHTML);
+        };
+
+        test("should show the alarm rules of a variable in the Variable Manager", () => {
+            alarmManager.getVariableAlarmDefinition.mockImplementation((deviceId, variableName) => ({
+                level: { type: "analog", hi: 80, lo: 10, priority: "high" },
+                running: { type: "discrete", triggerValue: 0 },
+            })[variableName] || null);
+
+            const [level, running, setpoint] = openVariableManager({
+                id: "d1", name: "Tank", type: "internal",
+                variables: [{ varId: "v1", name: "level" }, { varId: "v2", name: "running" }, { varId: "v3", name: "setpoint" }],
+            });
+
+            expect(alarmManager.getVariableAlarmDefinition).toHaveBeenCalledWith("d1", "level");
+            expect(level).toContain("Alarm:</span> HI 80, LO 10 (high)");
+            expect(running).toContain("Alarm:</span> = 0 (medium)");
+            expect(setpoint).not.toContain("Alarm:");
+            alarmManager.getVariableAlarmDefinition.mockImplementation(() => null);
+        });
+
+        test("should remove the alarm definitions of deleted devices", () => {
+            getDevices().push({ id: "d1" }, { id: "d2" });
+            clearAllClientDevices();
+            expect(alarmManager.removeAlarmDefinitions).toHaveBeenCalledWith("d1");
+            expect(alarmManager.removeAlarmDefinitions).toHaveBeenCalledWith("d2");
         });
     });
 
@@ -475,6 +520,69 @@ describe("DeviceManager", () => {
             expect(mockSocket.emit).toHaveBeenCalledWith("add_device", newConfigs[0]);
             expect(mockSocket.emit).toHaveBeenCalledWith("add_device", newConfigs[1]);
         });
+
+        describe("writeDataToServer", () => {
+            const answerWrites = (...statuses) => {
+                mockSocket.emit.mockImplementation((event, payload) => {
+                    if (event !== "write_to_device") return;
+                    const status = statuses.shift();
+                    Promise.resolve().then(() => mockSocket.triggerEvent("write_result", { requestId: payload.requestId, status, message: status }));
+                });
+            };
+
+            beforeEach(() => {
+                mockSocket.triggerEvent("initial_device_list", [{ id: "plc1", name: "PLC 1", type: "modbus-tcp" }]);
+                jest.spyOn(window, "alert").mockImplementation(() => {});
+            });
+            afterEach(() => window.alert.mockRestore());
+
+            test("should send the write with a request id and resolve with its write_result", async () => {
+                answerWrites("success");
+                await expect(writeDataToServer("plc1", "setpoint", 42)).resolves.toMatchObject({ status: "success" });
+                expect(mockSocket.emit).toHaveBeenCalledWith("write_to_device", {
+                    deviceId: "plc1", address: "setpoint", value: 42, requestId: "write-mock-uuid-12345",
+                });
+                expect(window.alert).not.toHaveBeenCalled();
+            });
+
+            test("should retry failed writes but not refused ones, and alert on the final failure", async () => {
+                answerWrites("timeout", "error", "success");
+                await expect(writeDataToServer("plc1", "setpoint", 1, { retries: 2 })).resolves.toMatchObject({ status: "success" });
+                expect(mockSocket.emit).toHaveBeenCalledTimes(3);
+
+                mockSocket.emit.mockClear();
+                answerWrites("not_permitted");
+                await expect(writeDataToServer("plc1", "level", 1, { retries: 2 })).resolves.toMatchObject({ status: "not_permitted" });
+                expect(mockSocket.emit).toHaveBeenCalledTimes(1);
+                expect(window.alert).toHaveBeenCalledWith(expect.stringContaining("PLC 1 (level) failed"));
+
+                answerWrites("error");
+                window.alert.mockClear();
+                await writeDataToServer("plc1", "level", 1, { notify: false });
+                expect(window.alert).not.toHaveBeenCalled();
+            });
+
+            test("should time out a write without write_result and send it again", async () => {
+                jest.useFakeTimers();
+                try {
+                    const write = writeDataToServer("plc1", "setpoint", 5, { retries: 1 });
+                    await jest.advanceTimersByTimeAsync(7999);
+                    expect(mockSocket.emit).toHaveBeenCalledTimes(1);
+                    await jest.advanceTimersByTimeAsync(1); // The first attempt times out; the retry is sent
+                    expect(mockSocket.emit).toHaveBeenCalledTimes(2);
+
+                    mockSocket.triggerEvent("write_result", { requestId: "write-mock-uuid-12345", status: "success" });
+                    await expect(write).resolves.toMatchObject({ status: "success" });
+
+                    const unanswered = writeDataToServer("plc1", "setpoint", 6);
+                    await jest.advanceTimersByTimeAsync(8000);
+                    await expect(unanswered).resolves.toMatchObject({ status: "timeout", message: "No answer from the server." });
+                    expect(window.alert).toHaveBeenCalledWith(expect.stringContaining("PLC 1 (setpoint) failed: No answer from the server."));
+                } finally {
+                    jest.useRealTimers();
+                }
+            });
+        });
     });
 
 });
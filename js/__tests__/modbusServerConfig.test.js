@@ -0,0 +1,220 @@
+// js/__tests__/modbusServerConfig.test.js
+
+import {
+    initModbusServerConfig,
+    getModbusServerConfig,
+    setModbusServerConfig,
+    openModbusServerModal,
+} from "../modbusServerConfig.js";
+import { hasRole } from "../authManager.js";
+
+jest.mock("../authManager.js", () => ({
+    hasRole: jest.fn(() => true),
+}));
+
+jest.mock("../deviceManager.js", () => ({
+    getDevices: jest.fn(() => [
+        {
+            id: "plc1",
+            name: "PLC 1",
+            variables: [{ name: "level" }, { name: "pump" }],
+        },
+        { id: "sim", variables: [{ name: "setpoint" }] },
+    ]),
+}));
+
+describe("ModbusServerConfig", () => {
+    let listeners;
+    let socket;
+    let setDirty;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="modbus-server-btn" class="hidden"></button>
+            <div id="modbus-server-modal" class="hidden">
+                <button id="close-modbus-server-modal-btn"></button>
+                <form id="modbus-server-form">
+                    <input type="checkbox" id="modbus-server-enabled" />
+                    <input id="modbus-server-port" />
+                    <input id="modbus-server-unit-id" />
+                    <p id="modbus-server-status"></p>
+                    <table><tbody id="modbus-server-table-body"></tbody></table>
+                    <p id="modbus-server-message"></p>
+                    <button type="button" id="modbus-server-add-row-btn"></button>
+                </form>
+            </div>
+        `;
+        listeners = {};
+        socket = {
+            connected: true,
+            on: jest.fn((event, cb) => {
+                listeners[event] = cb;
+            }),
+            emit: jest.fn(),
+        };
+        setDirty = jest.fn();
+        hasRole.mockReturnValue(true);
+    });
+
+    test("should mirror the server configuration for every role but show the editor to engineers only", () => {
+        hasRole.mockReturnValue(false);
+        initModbusServerConfig(socket, setDirty);
+        expect(
+            document
+                .getElementById("modbus-server-btn")
+                .classList.contains("hidden"),
+        ).toBe(true);
+
+        const config = {
+            enabled: true,
+            port: 5020,
+            unitId: 1,
+            registers: [
+                {
+                    table: "coil",
+                    address: 0,
+                    deviceId: "plc1",
+                    variableName: "pump",
+                },
+            ],
+        };
+        listeners["modbus_server:config"]({
+            config,
+            status: { running: true },
+        });
+        expect(getModbusServerConfig()).toEqual(config);
+        getModbusServerConfig().registers.push({}); // Copies only
+        expect(getModbusServerConfig().registers).toHaveLength(1);
+    });
+
+    test("should edit the map in the modal, send it and mark the project dirty", () => {
+        initModbusServerConfig(socket, setDirty);
+        listeners["modbus_server:config"]({
+            config: {
+                enabled: false,
+                host: "0.0.0.0",
+                port: 5020,
+                unitId: 1,
+                registers: [
+                    {
+                        table: "holding-register",
+                        address: 0,
+                        deviceId: "plc1",
+                        variableName: "level",
+                        dataType: "float32",
+                        byteOrder: "CDAB",
+                    },
+                ],
+            },
+            status: { enabled: false, running: false, error: null },
+        });
+        document.getElementById("modbus-server-btn").click();
+        expect(
+            document
+                .getElementById("modbus-server-modal")
+                .classList.contains("hidden"),
+        ).toBe(false);
+        expect(
+            document.getElementById("modbus-server-status").textContent,
+        ).toBe("Tidak aktif.");
+        expect(
+            document.querySelectorAll("#modbus-server-table-body tr"),
+        ).toHaveLength(1);
+
+        // New row after the float32 (two registers); switched to a writable coil of another device
+        document.getElementById("modbus-server-add-row-btn").click();
+        const row = document.querySelectorAll(
+            "#modbus-server-table-body tr",
+        )[1];
+        expect(row.querySelector('[data-field="address"]').value).toBe("2");
+        row.querySelector('[data-field="deviceId"]').value = "sim";
+        row.querySelector('[data-field="deviceId"]').dispatchEvent(
+            new Event("change"),
+        );
+        expect(row.querySelector('[data-field="variableName"]').value).toBe(
+            "setpoint",
+        );
+        row.querySelector('[data-field="table"]').value = "coil";
+        row.querySelector('[data-field="table"]').dispatchEvent(
+            new Event("change"),
+        );
+        expect(row.querySelector('[data-field="dataType"]').disabled).toBe(
+            true,
+        );
+        row.querySelector('[data-field="writable"]').checked = true;
+
+        document.getElementById("modbus-server-enabled").checked = true;
+        document.getElementById("modbus-server-port").value = "1502";
+        document
+            .getElementById("modbus-server-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+
+        expect(socket.emit).toHaveBeenCalledWith("modbus_server:set_config", {
+            enabled: true,
+            host: "0.0.0.0",
+            port: 1502,
+            unitId: 1,
+            registers: [
+                {
+                    table: "holding-register",
+                    address: 0,
+                    deviceId: "plc1",
+                    variableName: "level",
+                    dataType: "float32",
+                    byteOrder: "CDAB",
+                },
+                {
+                    table: "coil",
+                    address: 2,
+                    deviceId: "sim",
+                    variableName: "setpoint",
+                    writable: true,
+                },
+            ],
+        });
+        expect(setDirty).toHaveBeenCalledWith(true);
+        expect(getModbusServerConfig().port).toBe(1502);
+
+        listeners["operation_error"]({
+            operation: "modbus_server:set_config",
+            message: "Konfigurasi tidak valid.",
+            details: {
+                validationErrors: [
+                    {
+                        path: "modbusServer.port",
+                        message: "Port harus 1-65535.",
+                    },
+                ],
+            },
+        });
+        expect(
+            document.getElementById("modbus-server-message").textContent,
+        ).toContain("modbusServer.port: Port harus 1-65535.");
+    });
+
+    test("should show the server status and keep the map locally while disconnected", () => {
+        initModbusServerConfig(socket, setDirty);
+        listeners["modbus_server:config"]({
+            config: { enabled: true, registers: [] },
+            status: {
+                enabled: true,
+                running: false,
+                error: "listen EADDRINUSE 0.0.0.0:5020",
+            },
+        });
+        openModbusServerModal();
+        expect(
+            document.getElementById("modbus-server-status").textContent,
+        ).toBe("Error: listen EADDRINUSE 0.0.0.0:5020");
+
+        socket.connected = false;
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+        setModbusServerConfig(undefined);
+        expect(socket.emit).not.toHaveBeenCalled();
+        expect(getModbusServerConfig()).toEqual({
+            enabled: false,
+            registers: [],
+        });
+        console.warn.mockRestore();
+    });
+});
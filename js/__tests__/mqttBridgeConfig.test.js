@@ -0,0 +1,225 @@
+// js/__tests__/mqttBridgeConfig.test.js
+
+import {
+    initMqttBridgeConfig,
+    getMqttBridgeConfig,
+    setMqttBridgeConfig,
+} from "../mqttBridgeConfig.js";
+import { hasRole } from "../authManager.js";
+
+jest.mock("../authManager.js", () => ({
+    hasRole: jest.fn(() => true),
+}));
+
+describe("MqttBridgeConfig", () => {
+    let listeners;
+    let socket;
+    let setDirty;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="mqtt-bridge-btn" class="hidden"></button>
+            <div id="mqtt-bridge-modal" class="hidden">
+                <button id="close-mqtt-bridge-modal-btn"></button>
+                <form id="mqtt-bridge-form">
+                    <input type="checkbox" id="mqtt-bridge-enabled" />
+                    <input id="mqtt-bridge-broker-url" />
+                    <input id="mqtt-bridge-client-id" />
+                    <input id="mqtt-bridge-username" />
+                    <input id="mqtt-bridge-password" />
+                    <label id="mqtt-bridge-clear-password-row" class="hidden"><input type="checkbox" id="mqtt-bridge-clear-password" /></label>
+                    <select id="mqtt-bridge-format"><option value="json">JSON</option><option value="sparkplug-b">Sparkplug B</option></select>
+                    <select id="mqtt-bridge-qos"><option value="0">0</option><option value="1">1</option></select>
+                    <input id="mqtt-bridge-topic-prefix" data-mqtt-bridge-format="json" />
+                    <input type="checkbox" id="mqtt-bridge-retain" data-mqtt-bridge-format="json" />
+                    <input id="mqtt-bridge-group-id" data-mqtt-bridge-format="sparkplug-b" class="hidden" />
+                    <input id="mqtt-bridge-edge-node-id" data-mqtt-bridge-format="sparkplug-b" class="hidden" />
+                    <p id="mqtt-bridge-status"></p>
+                    <p id="mqtt-bridge-message"></p>
+                </form>
+            </div>
+        `;
+        listeners = {};
+        socket = {
+            connected: true,
+            on: jest.fn((event, cb) => {
+                listeners[event] = cb;
+            }),
+            emit: jest.fn(),
+        };
+        setDirty = jest.fn();
+        hasRole.mockReturnValue(true);
+    });
+
+    test("should mirror the server settings for every role but show the editor to engineers only", () => {
+        hasRole.mockReturnValue(false);
+        initMqttBridgeConfig(socket, setDirty);
+        expect(
+            document
+                .getElementById("mqtt-bridge-btn")
+                .classList.contains("hidden"),
+        ).toBe(true);
+
+        listeners["mqtt_bridge:config"]({
+            config: {
+                enabled: true,
+                brokerUrl: "mqtt://broker:1883",
+                format: "json",
+            },
+            status: null,
+        });
+        expect(getMqttBridgeConfig()).toEqual({
+            enabled: true,
+            brokerUrl: "mqtt://broker:1883",
+            format: "json",
+        });
+    });
+
+    test("should edit the settings in the modal, send them and mark the project dirty", () => {
+        initMqttBridgeConfig(socket, setDirty);
+        listeners["mqtt_bridge:config"]({
+            config: {
+                enabled: false,
+                brokerUrl: "mqtt://broker:1883",
+                format: "json",
+                topicPrefix: "plant",
+                qos: 0,
+                retain: true,
+            },
+            status: { enabled: false, connected: false, error: null },
+        });
+        document.getElementById("mqtt-bridge-btn").click();
+        expect(
+            document
+                .getElementById("mqtt-bridge-modal")
+                .classList.contains("hidden"),
+        ).toBe(false);
+        expect(document.getElementById("mqtt-bridge-topic-prefix").value).toBe(
+            "plant",
+        );
+        expect(document.getElementById("mqtt-bridge-status").textContent).toBe(
+            "Tidak aktif.",
+        );
+
+        const format = document.getElementById("mqtt-bridge-format");
+        format.value = "sparkplug-b";
+        format.dispatchEvent(new Event("change"));
+        expect(
+            document
+                .getElementById("mqtt-bridge-topic-prefix")
+                .classList.contains("hidden"),
+        ).toBe(true);
+        expect(
+            document
+                .getElementById("mqtt-bridge-group-id")
+                .classList.contains("hidden"),
+        ).toBe(false);
+        document.getElementById("mqtt-bridge-group-id").value = "Plant";
+        document.getElementById("mqtt-bridge-qos").value = "1";
+        document.getElementById("mqtt-bridge-enabled").checked = true;
+        document
+            .getElementById("mqtt-bridge-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+
+        expect(socket.emit).toHaveBeenCalledWith("mqtt_bridge:set_config", {
+            enabled: true,
+            retain: true,
+            brokerUrl: "mqtt://broker:1883",
+            format: "sparkplug-b",
+            topicPrefix: "plant",
+            groupId: "Plant",
+            qos: 1,
+        });
+        expect(setDirty).toHaveBeenCalledWith(true);
+
+        listeners["mqtt_bridge:config"]({
+            config: getMqttBridgeConfig(),
+            status: {
+                enabled: true,
+                connected: false,
+                brokerUrl: "mqtt://broker:1883",
+                error: "connect ECONNREFUSED",
+            },
+        });
+        expect(document.getElementById("mqtt-bridge-status").textContent).toBe(
+            "Menghubungkan ke mqtt://broker:1883... Error: connect ECONNREFUSED",
+        );
+        expect(document.getElementById("mqtt-bridge-message").textContent).toBe(
+            "Konfigurasi diterapkan.",
+        );
+    });
+
+    test("should keep the stored password unless a new one is typed or it is cleared", () => {
+        initMqttBridgeConfig(socket, setDirty);
+        listeners["mqtt_bridge:config"]({
+            config: {
+                enabled: true,
+                brokerUrl: "mqtt://broker:1883",
+                hasPassword: true,
+            },
+            status: null,
+        });
+        document.getElementById("mqtt-bridge-btn").click();
+        const password = document.getElementById("mqtt-bridge-password");
+        expect(password.value).toBe("");
+        expect(password.placeholder).toBe("Password (kosong = tidak diubah)");
+        expect(
+            document
+                .getElementById("mqtt-bridge-clear-password-row")
+                .classList.contains("hidden"),
+        ).toBe(false);
+
+        document
+            .getElementById("mqtt-bridge-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        expect(socket.emit).toHaveBeenLastCalledWith(
+            "mqtt_bridge:set_config",
+            expect.objectContaining({ hasPassword: true }),
+        );
+        expect(socket.emit.mock.lastCall[1]).not.toHaveProperty("password");
+
+        document.getElementById("mqtt-bridge-clear-password").checked = true;
+        document
+            .getElementById("mqtt-bridge-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        expect(socket.emit).toHaveBeenLastCalledWith(
+            "mqtt_bridge:set_config",
+            expect.objectContaining({ hasPassword: false }),
+        );
+
+        password.value = "secret";
+        document
+            .getElementById("mqtt-bridge-form")
+            .dispatchEvent(new Event("submit", { cancelable: true }));
+        expect(socket.emit).toHaveBeenLastCalledWith(
+            "mqtt_bridge:set_config",
+            expect.objectContaining({ password: "secret" }),
+        );
+    });
+
+    test("should show validation errors and keep the settings locally while disconnected", () => {
+        initMqttBridgeConfig(socket, setDirty);
+        listeners["operation_error"]({
+            operation: "mqtt_bridge:set_config",
+            message: "Konfigurasi tidak valid.",
+            details: {
+                validationErrors: [
+                    {
+                        path: "mqttBridge.brokerUrl",
+                        message: "URL broker salah.",
+                    },
+                ],
+            },
+        });
+        expect(
+            document.getElementById("mqtt-bridge-message").textContent,
+        ).toContain("mqttBridge.brokerUrl: URL broker salah.");
+
+        socket.connected = false;
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+        setMqttBridgeConfig(undefined);
+        expect(socket.emit).not.toHaveBeenCalled();
+        expect(getMqttBridgeConfig()).toEqual({ enabled: false });
+        console.warn.mockRestore();
+    });
+});
@@ -0,0 +1,97 @@
+// js/__tests__/numericKeypad.test.js
+
+import { openNumericKeypad, validateNumericEntry } from "../numericKeypad.js";
+
+describe("NumericKeypad", () => {
+    beforeAll(() => {
+        document.body.innerHTML = `
+            <div id="numeric-keypad-modal" class="hidden">
+                <h2 id="numeric-keypad-title"></h2>
+                <p id="numeric-keypad-limits"></p>
+                <input id="numeric-keypad-input" />
+                <p id="numeric-keypad-error" class="hidden"></p>
+                ${["1", "2", "5", ".", "sign", "back", "clear"].map((key) => `<button data-key="${key}">${key}</button>`).join("")}
+                <button id="numeric-keypad-cancel-btn"></button>
+                <button id="numeric-keypad-ok-btn"></button>
+            </div>
+        `;
+    });
+
+    const press = (key) =>
+        document.querySelector(`button[data-key="${key}"]`).click();
+    const modal = () => document.getElementById("numeric-keypad-modal");
+
+    describe("validateNumericEntry", () => {
+        test("should check the value against min, max and step", () => {
+            expect(validateNumericEntry(NaN)).toMatch(/angka/);
+            expect(validateNumericEntry(5, { min: 10 })).toBe(
+                "Nilai minimal 10.",
+            );
+            expect(validateNumericEntry(50, { max: 20 })).toBe(
+                "Nilai maksimal 20.",
+            );
+            expect(validateNumericEntry(12, { min: 10, step: 5 })).toMatch(
+                /kelipatan 5/,
+            );
+            expect(
+                validateNumericEntry(15, { min: 10, max: 20, step: 5 }),
+            ).toBeNull();
+            expect(validateNumericEntry(0.3, { step: 0.1 })).toBeNull(); // Floating point rounding
+            expect(validateNumericEntry(-3, {})).toBeNull();
+        });
+    });
+
+    describe("openNumericKeypad", () => {
+        test("should resolve with the value built from the keys", async () => {
+            const entry = openNumericKeypad({
+                title: "Setpoint",
+                value: 7,
+                min: 0,
+                max: 100,
+                unit: "°C",
+            });
+            expect(modal().classList.contains("hidden")).toBe(false);
+            expect(
+                document.getElementById("numeric-keypad-title").textContent,
+            ).toBe("Setpoint");
+            expect(
+                document.getElementById("numeric-keypad-limits").textContent,
+            ).toBe("0 .. 100 · °C");
+            expect(document.getElementById("numeric-keypad-input").value).toBe(
+                "7",
+            );
+
+            press("clear");
+            ["1", "2", ".", "5"].forEach(press);
+            document.getElementById("numeric-keypad-ok-btn").click();
+            await expect(entry).resolves.toBe(12.5);
+            expect(modal().classList.contains("hidden")).toBe(true);
+        });
+
+        test("should keep the keypad open and show why an entry is invalid", async () => {
+            const entry = openNumericKeypad({ value: 1, min: 0, max: 10 });
+            press("5");
+            document.getElementById("numeric-keypad-ok-btn").click();
+            expect(modal().classList.contains("hidden")).toBe(false);
+            expect(
+                document.getElementById("numeric-keypad-error").textContent,
+            ).toBe("Nilai maksimal 10.");
+
+            press("back");
+            press("sign");
+            expect(document.getElementById("numeric-keypad-input").value).toBe(
+                "-1",
+            );
+            document.getElementById("numeric-keypad-cancel-btn").click();
+            await expect(entry).resolves.toBeNull();
+        });
+
+        test("should cancel an entry that is still open when opened again", async () => {
+            const first = openNumericKeypad({ value: 1 });
+            const second = openNumericKeypad({ value: 2 });
+            await expect(first).resolves.toBeNull();
+            document.getElementById("numeric-keypad-ok-btn").click();
+            await expect(second).resolves.toBe(2);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+// js/__tests__/projectHistory.test.js
+
+import { initProjectHistory, openProjectHistory } from "../projectHistory.js";
+import { hasRole } from "../authManager.js";
+import { showConfirmationModal, showToast } from "../uiManager.js";
+
+jest.mock("../authManager.js", () => ({
+    hasRole: jest.fn(() => true),
+}));
+
+jest.mock("../uiManager.js", () => ({
+    showToast: jest.fn(),
+    showConfirmationModal: jest.fn(() => Promise.resolve(true)),
+}));
+
+describe("ProjectHistory", () => {
+    let projectManager;
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const revisions = [
+        {
+            revision: 3,
+            savedAt: "2024-03-10T10:00:00.000Z",
+            author: "eng1",
+            comment: "Setpoint baru",
+        },
+        {
+            revision: 2,
+            savedAt: "2024-03-09T10:00:00.000Z",
+            author: "eng2",
+            comment: "",
+        },
+        {
+            revision: 1,
+            savedAt: "2024-03-08T10:00:00.000Z",
+            author: null,
+            comment: "",
+        },
+    ];
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="project-history-btn"></button>
+            <div id="project-history-modal" class="hidden">
+                <h2 id="project-history-title"></h2>
+                <button id="close-project-history-modal-btn"></button>
+                <ul id="project-revision-list"></ul>
+                <div id="project-diff-output"></div>
+            </div>
+        `;
+        projectManager = {
+            getCurrentProjectName: jest.fn(() => "Plant"),
+            isProjectDirty: jest.fn(() => false),
+            getProjectHistoryFromServer: jest.fn(() =>
+                Promise.resolve(revisions),
+            ),
+            getProjectDiffFromServer: jest.fn(() =>
+                Promise.resolve({
+                    from: 2,
+                    to: 3,
+                    components: {
+                        added: [{ id: "c3", componentType: "bit-switch" }],
+                        removed: [],
+                        changed: [
+                            {
+                                id: "c1",
+                                componentType: "bit-lamp",
+                                changes: [{ key: "x", from: 0, to: 40 }],
+                            },
+                        ],
+                    },
+                    devices: {
+                        added: [],
+                        removed: [{ id: "plc2", name: "PLC 2" }],
+                        changed: [],
+                    },
+                    otherChanges: ["screens"],
+                }),
+            ),
+            restoreProjectRevisionOnServer: jest.fn(() =>
+                Promise.resolve({
+                    name: "Plant",
+                    revision: 4,
+                    restoredFrom: 2,
+                }),
+            ),
+        };
+        hasRole.mockReturnValue(true);
+        showToast.mockClear();
+        initProjectHistory(projectManager);
+    });
+
+    test("should ask to save first when the project has no name", async () => {
+        projectManager.getCurrentProjectName.mockReturnValue(null);
+        await openProjectHistory();
+        expect(showToast).toHaveBeenCalledWith(expect.any(String), "warning");
+        expect(
+            document
+                .getElementById("project-history-modal")
+                .classList.contains("hidden"),
+        ).toBe(true);
+    });
+
+    test("should list revisions and show the diff to the previous revision", async () => {
+        document.getElementById("project-history-btn").click();
+        await flush();
+        expect(projectManager.getProjectHistoryFromServer).toHaveBeenCalledWith(
+            "Plant",
+        );
+        const items = document.querySelectorAll("#project-revision-list li");
+        expect(items).toHaveLength(3);
+        expect(items[0].textContent).toContain("#3");
+        expect(items[0].textContent).toContain("Setpoint baru");
+        expect(items[0].querySelector('[data-action="restore"]')).toBeNull(); // Latest revision
+        expect(items[2].querySelector('[data-action="diff"]')).toBeNull(); // No earlier revision
+
+        items[0].querySelector('[data-action="diff"]').click();
+        await flush();
+        expect(projectManager.getProjectDiffFromServer).toHaveBeenCalledWith(
+            "Plant",
+            2,
+            3,
+        );
+        const lines = [
+            ...document.querySelectorAll("#project-diff-output div"),
+        ].map((line) => line.textContent.trim());
+        expect(lines).toEqual([
+            "Revisi #2 → #3",
+            "+ Komponen c3 (bit-switch)",
+            "~ Komponen c1 (bit-lamp)",
+            "x: 0 → 40",
+            "- Device plc2 (PLC 2)",
+            "Bagian lain yang berubah: screens",
+        ]);
+    });
+
+    test("should restore a revision after confirmation and offer restore only to engineers", async () => {
+        await openProjectHistory();
+        document
+            .querySelector(
+                '#project-revision-list [data-action="restore"][data-revision="2"]',
+            )
+            .click();
+        await flush();
+        expect(showConfirmationModal).toHaveBeenCalled();
+        expect(
+            projectManager.restoreProjectRevisionOnServer,
+        ).toHaveBeenCalledWith("Plant", 2);
+        expect(showToast).toHaveBeenCalledWith(
+            expect.stringContaining("revisi baru #4"),
+            "success",
+        );
+
+        hasRole.mockReturnValue(false);
+        await openProjectHistory();
+        expect(
+            document.querySelector(
+                '#project-revision-list [data-action="restore"]',
+            ),
+        ).toBeNull();
+    });
+});
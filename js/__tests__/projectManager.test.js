@@ -3,6 +3,11 @@
 import ProjectManager from "../projectManager.js";
 import * as stateManager from "../stateManager.js";
 import * as deviceManager from "../deviceManager.js";
+import * as alarmManager from "../alarmManager.js";
+import * as modbusServerConfig from "../modbusServerConfig.js";
+import * as mqttBridgeConfig from "../mqttBridgeConfig.js";
+import * as screenManager from "../screenManager.js";
+import * as symbolLibrary from "../symbolLibrary.js";
 
 // Mock dependencies
 jest.mock("../stateManager.js", () => ({
@@ -17,6 +22,33 @@ jest.mock("../deviceManager.js", () => ({
     clearLocalDeviceCacheAndState: jest.fn(),
 }));
 
+jest.mock("../alarmManager.js", () => ({
+    getAlarmDefinitions: jest.fn(() => []),
+    setAlarmDefinitions: jest.fn(),
+}));
+
+jest.mock("../modbusServerConfig.js", () => ({
+    getModbusServerConfig: jest.fn(() => ({ enabled: false, registers: [] })),
+    setModbusServerConfig: jest.fn(),
+}));
+
+jest.mock("../mqttBridgeConfig.js", () => ({
+    getMqttBridgeConfig: jest.fn(() => ({ enabled: false })),
+    setMqttBridgeConfig: jest.fn(),
+}));
+
+jest.mock("../screenManager.js", () => ({
+    getProjectLayout: jest.fn((activeLayout) => activeLayout.map((c) => ({ ...c, screenId: "screen-main" }))),
+    getScreensForProject: jest.fn(() => ({ screens: [{ id: "screen-main", name: "Main" }], startScreenId: "screen-main" })),
+    loadScreens: jest.fn((projectData) => projectData.hmiLayout || []),
+    resetScreens: jest.fn(),
+}));
+
+jest.mock("../symbolLibrary.js", () => ({
+    getSymbols: jest.fn(() => []),
+    setSymbols: jest.fn(),
+}));
+
 describe("ProjectManager", () => {
     let mockKonvaManagerRef;
     let mockComponentFactoryRef;
@@ -117,14 +149,22 @@ describe("ProjectManager", () => {
         test("should aggregate data from managers", () => {
             mockKonvaManagerRef.getHmiLayoutAsJson.mockReturnValueOnce([{ id: "hmi1" }]);
             deviceManager.getAllDeviceConfigsForExport.mockReturnValueOnce([{ id: "dev1" }]);
+            alarmManager.getAlarmDefinitions.mockReturnValueOnce([{ id: "alarm1", deviceId: "dev1", variableName: "level", hi: 80 }]);
+            symbolLibrary.getSymbols.mockReturnValueOnce([{ id: "symbol1", name: "Pump", parameters: ["pump"], components: [] }]);
             ProjectManager.setCurrentProjectName("MyDataProject");
 
             const data = ProjectManager.getCurrentProjectData();
             expect(data.projectName).toBe("MyDataProject");
-            expect(data.projectVersion).toBe("1.0");
+            expect(data.projectVersion).toBe("2.0");
             expect(data.lastModified).toBe("2023-01-01T00:00:00.000Z");
-            expect(data.hmiLayout).toEqual([{ id: "hmi1" }]);
+            expect(data.hmiLayout).toEqual([{ id: "hmi1", screenId: "screen-main" }]);
+            expect(data.screens).toEqual([{ id: "screen-main", name: "Main" }]);
+            expect(data.startScreenId).toBe("screen-main");
             expect(data.deviceConfigs).toEqual([{ id: "dev1" }]);
+            expect(data.alarmDefinitions).toEqual([{ id: "alarm1", deviceId: "dev1", variableName: "level", hi: 80 }]);
+            expect(data.symbols).toEqual([{ id: "symbol1", name: "Pump", parameters: ["pump"], components: [] }]);
+            expect(data.modbusServer).toEqual({ enabled: false, registers: [] });
+            expect(data.mqttBridge).toEqual({ enabled: false });
             expect(data.projectSettings).toEqual({});
         });
     });
@@ -137,6 +177,10 @@ describe("ProjectManager", () => {
 
             expect(deviceManager.clearAllClientDevices).toHaveBeenCalled();
             expect(mockKonvaManagerRef.clearCanvas).toHaveBeenCalled();
+            expect(screenManager.resetScreens).toHaveBeenCalled();
+            expect(symbolLibrary.setSymbols).toHaveBeenCalledWith([]);
+            expect(modbusServerConfig.setModbusServerConfig).toHaveBeenCalledWith(undefined);
+            expect(mqttBridgeConfig.setMqttBridgeConfig).toHaveBeenCalledWith(undefined);
             expect(ProjectManager.getCurrentProjectName()).toBeNull();
             expect(ProjectManager.isProjectDirty()).toBe(false);
             expect(stateManager.saveState).toHaveBeenCalled();
@@ -250,6 +294,8 @@ describe("ProjectManager", () => {
             await expect(loadPromise).resolves.toEqual(serverProjectData);
             expect(mockSocketRef.emit).toHaveBeenCalledWith("project:load", { name: projectName });
             expect(mockKonvaManagerRef.clearCanvas).toHaveBeenCalled();
+            expect(screenManager.loadScreens).toHaveBeenCalledWith(serverProjectData);
+            expect(symbolLibrary.setSymbols).toHaveBeenCalledWith(serverProjectData.symbols);
             expect(mockComponentFactoryRef.create).toHaveBeenCalledWith('lamp', serverProjectData.hmiLayout[0]);
             expect(mockKonvaManagerRef.layer.batchDraw).toHaveBeenCalled();
             expect(ProjectManager.getCurrentProjectName()).toBe(projectName);
@@ -279,12 +325,85 @@ describe("ProjectManager", () => {
         });
     });
 
+    describe("project revisions", () => {
+        test("getProjectHistoryFromServer should resolve with the revisions of the requested project", async () => {
+            const revisions = [{ revision: 2, author: "eng1" }, { revision: 1, author: null }];
+            const historyPromise = ProjectManager.getProjectHistoryFromServer("Plant");
+            mockSocketRef.triggerEvent("project:history_results", { name: "Other", revisions: [] }); // Not ours
+            mockSocketRef.triggerEvent("project:history_results", { name: "Plant", revisions });
+
+            await expect(historyPromise).resolves.toEqual(revisions);
+            expect(mockSocketRef.emit).toHaveBeenCalledWith("project:history", { name: "Plant" });
+        });
+
+        test("getProjectDiffFromServer should reject on an error of the same operation only", async () => {
+            const diffPromise = ProjectManager.getProjectDiffFromServer("Plant", 1, 2);
+            mockSocketRef.triggerEvent("operation_error", { operation: "project:list", message: "other" });
+            mockSocketRef.triggerEvent("operation_error", { operation: "project:diff", message: "Revisi 1 tidak ditemukan." });
+
+            await expect(diffPromise).rejects.toBe("Revisi 1 tidak ditemukan.");
+            expect(mockSocketRef.emit).toHaveBeenCalledWith("project:diff", { name: "Plant", from: 1, to: 2 });
+        });
+
+        test("restoreProjectRevisionOnServer should load the project after the restore", async () => {
+            const loadSpy = jest.spyOn(ProjectManager, "loadProjectFromServer").mockResolvedValue({});
+            const restorePromise = ProjectManager.restoreProjectRevisionOnServer("Plant", 1);
+            mockSocketRef.triggerEvent("project:restored", { success: true, name: "Plant", revision: 3, restoredFrom: 1 });
+
+            await expect(restorePromise).resolves.toMatchObject({ revision: 3 });
+            expect(mockSocketRef.emit).toHaveBeenCalledWith("project:restore", { name: "Plant", revision: 1 });
+            expect(loadSpy).toHaveBeenCalledWith("Plant");
+            loadSpy.mockRestore();
+        });
+    });
+
+    describe("project delete, rename and duplicate", () => {
+        test("renameProjectOnServer should keep the current project open under the new name", async () => {
+            ProjectManager.setCurrentProjectName("Plant");
+            const renamePromise = ProjectManager.renameProjectOnServer("Plant", "Plant B");
+            mockSocketRef.triggerEvent("project:renamed", { success: true, name: "Plant", newName: "Plant B" });
+
+            await expect(renamePromise).resolves.toMatchObject({ newName: "Plant B" });
+            expect(mockSocketRef.emit).toHaveBeenCalledWith("project:rename", { name: "Plant", newName: "Plant B" });
+            expect(ProjectManager.getCurrentProjectName()).toBe("Plant B");
+        });
+
+        test("deleteProjectOnServer should leave the deleted current project as an unsaved, unnamed project", async () => {
+            ProjectManager.setCurrentProjectName("Plant");
+            const deletePromise = ProjectManager.deleteProjectOnServer("Plant");
+            mockSocketRef.triggerEvent("project:deleted", { success: true, name: "Plant" });
+
+            await deletePromise;
+            expect(ProjectManager.getCurrentProjectName()).toBeNull();
+            expect(ProjectManager.isProjectDirty()).toBe(true);
+        });
+
+        test("getProjectDetailsFromServer should emit 'project:list_details' without payload", async () => {
+            const projects = [{ name: "Plant", lastModified: null, size: 10, components: 1, devices: 0 }];
+            const detailsPromise = ProjectManager.getProjectDetailsFromServer();
+            mockSocketRef.triggerEvent("project:list_details_results", projects);
+
+            await expect(detailsPromise).resolves.toEqual(projects);
+            expect(mockSocketRef.emit).toHaveBeenCalledWith("project:list_details");
+        });
+
+        test("setStartupProjectOnServer should resolve with the runtime config naming the project", async () => {
+            const startupPromise = ProjectManager.setStartupProjectOnServer("Plant");
+            expect(mockSocketRef.emit).toHaveBeenCalledWith("runtime:set_startup_project", { name: "Plant" });
+            mockSocketRef.triggerEvent("runtime:config", { startupProject: null, fromEnvironment: false, activeProject: null });
+            mockSocketRef.triggerEvent("runtime:config", { startupProject: "Plant", fromEnvironment: false, activeProject: null });
+
+            await expect(startupPromise).resolves.toEqual({ startupProject: "Plant", fromEnvironment: false, activeProject: null });
+        });
+    });
+
     describe("importProjectFromFile", () => {
         const fileContent = {
             projectName: "ImportedProject",
-            hmiLayout: [{ componentType: 'switch', id: 'sw1' }],
-            deviceConfigs: [{ id: 'devImport' }]
+            hmiLayout: [{ componentType: 'bit-switch', id: 'sw1', deviceId: 'devImport', variableName: 'run' }],
+            deviceConfigs: [{ id: 'devImport', type: 'modbus-tcp', variables: [{ name: 'run', address: '40001' }] }]
         };
+        const migratedContent = { ...fileContent, projectVersion: "2.0", screens: [], alarmDefinitions: [], symbols: [] };
         const mockFile = new Blob([JSON.stringify(fileContent)], { type: 'application/json' });
         mockFile.name = "myProject.json";
 
@@ -295,9 +414,9 @@ describe("ProjectManager", () => {
             mockFileReaderInstance.result = JSON.stringify(fileContent);
             mockFileReaderInstance.onload({ target: { result: mockFileReaderInstance.result } });
 
-            await expect(importPromise).resolves.toEqual(fileContent);
+            await expect(importPromise).resolves.toEqual(migratedContent);
             expect(deviceManager.clearAllClientDevices).toHaveBeenCalled(); // From newProject
-            expect(mockComponentFactoryRef.create).toHaveBeenCalledWith('switch', fileContent.hmiLayout[0]);
+            expect(mockComponentFactoryRef.create).toHaveBeenCalledWith('bit-switch', fileContent.hmiLayout[0]);
             expect(deviceManager.initializeDevicesFromConfigs).toHaveBeenCalledWith(fileContent.deviceConfigs);
             expect(ProjectManager.getCurrentProjectName()).toBe("ImportedProject");
             expect(ProjectManager.isProjectDirty()).toBe(true);
@@ -314,6 +433,25 @@ describe("ProjectManager", () => {
             await expect(importPromise).rejects.toMatch("Invalid project file format");
         });
 
+        test("should reject a project that fails validation with the errors found", async () => {
+            const invalidContent = JSON.stringify({
+                projectVersion: "2.0",
+                hmiLayout: [
+                    { id: 'c1', componentType: 'gauge' },
+                    { id: 'c1', componentType: 'bit-lamp', deviceId: 'missing' },
+                ],
+                deviceConfigs: [],
+            });
+            const importPromise = ProjectManager.importProjectFromFile(new Blob([invalidContent]));
+            mockFileReaderInstance.onload({ target: { result: invalidContent } });
+
+            const message = await importPromise.catch((error) => error);
+            expect(message).toContain("hmiLayout[0].componentType");
+            expect(message).toContain("hmiLayout[1].id");
+            expect(message).toContain("hmiLayout[1].deviceId");
+            expect(mockComponentFactoryRef.create).not.toHaveBeenCalled();
+        });
+
         test("should ask for confirmation if project is dirty", async () => {
             ProjectManager.setDirty(true);
             global.confirm.mockReturnValueOnce(false); // User cancels
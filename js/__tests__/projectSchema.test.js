@@ -0,0 +1,233 @@
+// js/__tests__/projectSchema.test.js
+
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import {
+    PROJECT_SCHEMA_VERSION,
+    migrateProject,
+    validateProject,
+    prepareProject,
+} from "../projectSchema.js";
+
+describe("projectSchema", () => {
+    const device = (id, variables = []) => ({
+        id,
+        type: "modbus-tcp",
+        variables,
+    });
+    const project = (overrides = {}) => ({
+        projectVersion: PROJECT_SCHEMA_VERSION,
+        hmiLayout: [],
+        deviceConfigs: [],
+        screens: [{ id: "screen-1", name: "Main" }],
+        alarmDefinitions: [],
+        symbols: [],
+        ...overrides,
+    });
+
+    describe("migrateProject", () => {
+        test("should convert legacy address bindings that match exactly one variable", () => {
+            const legacy = {
+                hmiLayout: [
+                    {
+                        id: "lamp1",
+                        componentType: "bit-lamp",
+                        address: "40001",
+                    },
+                    {
+                        id: "lamp2",
+                        componentType: "bit-lamp",
+                        deviceId: "plc2",
+                        address: "level",
+                    },
+                    {
+                        id: "lamp3",
+                        componentType: "bit-lamp",
+                        address: "40009",
+                    },
+                ],
+                deviceConfigs: [
+                    device("plc1", [
+                        { name: "pumpRun", address: "40001" },
+                        { name: "level", address: "40002" },
+                    ]),
+                    device("plc2", [{ name: "level", address: "40002" }]),
+                ],
+            };
+
+            const {
+                project: migrated,
+                fromVersion,
+                notes,
+            } = migrateProject(legacy);
+            expect(fromVersion).toBe("1.0");
+            expect(migrated.projectVersion).toBe(PROJECT_SCHEMA_VERSION);
+            expect(migrated.hmiLayout[0]).toEqual({
+                id: "lamp1",
+                componentType: "bit-lamp",
+                deviceId: "plc1",
+                variableName: "pumpRun",
+            });
+            expect(migrated.hmiLayout[1]).toEqual({
+                id: "lamp2",
+                componentType: "bit-lamp",
+                deviceId: "plc2",
+                variableName: "level",
+            });
+            expect(migrated.hmiLayout[2].address).toBe("40009"); // No match: left for the user to fix
+            expect(notes).toHaveLength(3);
+            expect(migrated.screens).toEqual([]);
+            expect(legacy.hmiLayout[0].address).toBe("40001"); // Input is not modified
+        });
+
+        test("should leave current data unchanged and refuse newer versions", () => {
+            const current = project({
+                hmiLayout: [{ id: "c1", componentType: "label", address: "x" }],
+            });
+            expect(migrateProject(current)).toEqual({
+                project: current,
+                fromVersion: PROJECT_SCHEMA_VERSION,
+                notes: [],
+            });
+            expect(() =>
+                migrateProject(project({ projectVersion: "99.0" })),
+            ).toThrow(
+                expect.objectContaining({
+                    code: "UNSUPPORTED_PROJECT_VERSION",
+                }),
+            );
+        });
+    });
+
+    describe("validateProject", () => {
+        test("should report each error with the path of the offending value", () => {
+            const { valid, errors, warnings } = validateProject(
+                project({
+                    hmiLayout: [
+                        {
+                            id: "c1",
+                            componentType: "gauge",
+                            screenId: "screen-1",
+                        },
+                        {
+                            id: "c1",
+                            componentType: "bit-lamp",
+                            deviceId: "plc9",
+                            variableName: "run",
+                        },
+                        {
+                            id: "c2",
+                            componentType: "trend-chart",
+                            pens: [{ deviceId: "plc1", variableName: "nope" }],
+                        },
+                        {
+                            id: "c3",
+                            componentType: "label",
+                            screenId: "screen-9",
+                        },
+                    ],
+                    deviceConfigs: [
+                        device("plc1", [{ name: "level" }, { name: "level" }]),
+                    ],
+                    alarmDefinitions: [
+                        { id: "a1", deviceId: "plc2", variableName: "level" },
+                    ],
+                    modbusServer: {
+                        registers: [
+                            {
+                                table: "coil",
+                                address: 0,
+                                deviceId: "plc3",
+                                variableName: "run",
+                            },
+                            {
+                                table: "holding-register",
+                                address: 0,
+                                deviceId: "plc1",
+                                variableName: "speed",
+                            },
+                        ],
+                    },
+                }),
+            );
+
+            expect(valid).toBe(false);
+            expect(errors.map((e) => [e.path, e.code])).toEqual([
+                ["hmiLayout[1].id", "DUPLICATE_ID"],
+                ["deviceConfigs[0].variables[1].name", "DUPLICATE_VARIABLE"],
+                ["hmiLayout[0].componentType", "UNKNOWN_COMPONENT_TYPE"],
+                ["hmiLayout[1].deviceId", "UNKNOWN_DEVICE"],
+                ["hmiLayout[3].screenId", "UNKNOWN_SCREEN"],
+                ["alarmDefinitions[0].deviceId", "UNKNOWN_DEVICE"],
+                ["modbusServer.registers[0].deviceId", "UNKNOWN_DEVICE"],
+            ]);
+            expect(warnings).toEqual([
+                expect.objectContaining({
+                    path: "hmiLayout[2].pens[0].variableName",
+                    code: "UNKNOWN_VARIABLE",
+                }),
+                expect.objectContaining({
+                    path: "modbusServer.registers[1].variableName",
+                    code: "UNKNOWN_VARIABLE",
+                }),
+            ]);
+        });
+
+        test("should require the hmiLayout and deviceConfigs arrays", () => {
+            const { errors } = validateProject({
+                hmiLayout: {},
+                mqttBridge: [],
+            });
+            expect(errors.map((e) => e.path)).toEqual([
+                "hmiLayout",
+                "deviceConfigs",
+                "mqttBridge",
+            ]);
+            expect(validateProject(null).valid).toBe(false);
+        });
+    });
+
+    test("prepareProject should throw INVALID_PROJECT with all errors", () => {
+        const valid = project({
+            hmiLayout: [{ id: "c1", componentType: "label" }],
+        });
+        expect(prepareProject(valid)).toMatchObject({
+            project: valid,
+            warnings: [],
+        });
+
+        let error;
+        try {
+            prepareProject(
+                project({ hmiLayout: [{ id: "c1", componentType: "gauge" }] }),
+            );
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toMatchObject({
+            code: "INVALID_PROJECT",
+            errors: [
+                expect.objectContaining({ code: "UNKNOWN_COMPONENT_TYPE" }),
+            ],
+        });
+        expect(error.message).toContain("hmiLayout[0].componentType");
+    });
+
+    test("should load as a plain script for the server (CommonJS) and the browser (global)", () => {
+        // The server requires the core without a build step, so it must not use import/export
+        const source = fs.readFileSync(
+            path.join(__dirname, "..", "projectSchemaCore.js"),
+            "utf8",
+        );
+        const commonJs = { module: { exports: {} } };
+        vm.runInNewContext(source, commonJs);
+        expect(commonJs.module.exports.PROJECT_SCHEMA_VERSION).toBe(
+            PROJECT_SCHEMA_VERSION,
+        );
+
+        const browser = {};
+        vm.runInNewContext(source, browser);
+        expect(typeof browser.HmiProjectSchema.prepareProject).toBe("function");
+    });
+});
@@ -0,0 +1,75 @@
+// js/__tests__/runtimeView.test.js
+
+import {
+    computeViewportFit,
+    fitStageToViewport,
+    getRuntimeProjectName,
+} from "../runtimeView.js";
+
+describe("runtimeView", () => {
+    test("getRuntimeProjectName should read the project from the runtime URL", () => {
+        expect(getRuntimeProjectName("/runtime/Line%201")).toBe("Line 1");
+        expect(getRuntimeProjectName("/runtime/line1/")).toBe("line1");
+        expect(getRuntimeProjectName("/runtime")).toBeNull();
+        expect(getRuntimeProjectName("/runtime/")).toBeNull();
+        expect(getRuntimeProjectName("/runtime/bad%E0")).toBe("bad%E0"); // Malformed escape kept as is
+    });
+
+    describe("computeViewportFit", () => {
+        test("should scale the area from the origin to the components and center it", () => {
+            // Layout 0..400 x 0..300 (components at 100..400 x 50..300) into 800x800 without padding
+            const fit = computeViewportFit(
+                { x: 100, y: 50, width: 300, height: 250 },
+                { width: 800, height: 800 },
+                0,
+            );
+            expect(fit.scale).toBe(2);
+            expect(fit.x).toBe(0);
+            expect(fit.y).toBe(100);
+        });
+
+        test("should keep components left of or above the origin visible", () => {
+            const fit = computeViewportFit(
+                { x: -100, y: 0, width: 200, height: 100 },
+                { width: 400, height: 200 },
+                0,
+            );
+            expect(fit.scale).toBe(2);
+            expect(fit.x).toBe(200); // Canvas origin moves right by 100 * scale
+            expect(fit.y).toBe(0);
+        });
+
+        test("should not scale an empty screen", () => {
+            expect(
+                computeViewportFit(null, { width: 800, height: 600 }),
+            ).toEqual({ scale: 1, x: 0, y: 0 });
+        });
+    });
+
+    test("fitStageToViewport should resize, scale and position the stage", () => {
+        const rects = [
+            { x: 0, y: 0, width: 100, height: 50 },
+            { x: 150, y: 100, width: 50, height: 50 },
+        ];
+        const stage = {
+            container: () => ({ clientWidth: 416, clientHeight: 316 }),
+            size: jest.fn(),
+            scale: jest.fn(),
+            position: jest.fn(),
+            batchDraw: jest.fn(),
+        };
+        const layer = {
+            find: jest.fn(() =>
+                rects.map((rect) => ({ getClientRect: () => rect })),
+            ),
+        };
+
+        const fit = fitStageToViewport(stage, layer);
+
+        expect(layer.find).toHaveBeenCalledWith(".hmi-component");
+        expect(stage.size).toHaveBeenCalledWith({ width: 416, height: 316 });
+        expect(fit.scale).toBe(2); // 200x150 into 400x300 (8px padding)
+        expect(stage.scale).toHaveBeenCalledWith({ x: 2, y: 2 });
+        expect(stage.position).toHaveBeenCalledWith({ x: 8, y: 8 });
+    });
+});
@@ -0,0 +1,198 @@
+// js/__tests__/screenManager.test.js
+
+import * as stateManager from "../stateManager.js";
+import ProjectManager from "../projectManager.js";
+import {
+    initScreenManager,
+    getScreens,
+    getActiveScreenId,
+    addScreen,
+    renameScreen,
+    deleteScreen,
+    switchToScreen,
+    getProjectLayout,
+    getScreensForProject,
+    loadScreens,
+    setStartScreen,
+} from "../screenManager.js";
+
+// Mock dependencies
+jest.mock("../stateManager.js", () => ({
+    switchScreenHistory: jest.fn(),
+    resetScreenHistories: jest.fn(),
+    deleteScreenHistory: jest.fn(),
+}));
+
+jest.mock("../projectManager.js", () => ({
+    __esModule: true,
+    default: {
+        setDirty: jest.fn(),
+        getIsLoadingProject: jest.fn(() => false),
+    },
+}));
+
+describe("ScreenManager", () => {
+    let mockKonvaManager;
+    let mockComponentFactory;
+    let mockHideContextMenu;
+    let mockScreenShown;
+    let shownLayout;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        document.body.innerHTML = `
+            <button id="add-screen-btn"></button>
+            <ul id="screen-list"></ul>
+        `;
+        shownLayout = [];
+        mockKonvaManager = {
+            getHmiLayoutAsJson: jest.fn(() => shownLayout),
+            clearCanvas: jest.fn(() => {
+                shownLayout = [];
+            }),
+            layer: { batchDraw: jest.fn() },
+        };
+        mockComponentFactory = {
+            create: jest.fn((type, data) => {
+                shownLayout.push({ ...data });
+            }),
+        };
+        mockHideContextMenu = jest.fn();
+        mockScreenShown = jest.fn();
+        initScreenManager(
+            mockKonvaManager,
+            mockComponentFactory,
+            mockHideContextMenu,
+            mockScreenShown,
+        );
+        jest.spyOn(window, "alert").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        window.alert.mockRestore();
+    });
+
+    test("should start with a single Main screen that is shown and the start screen", () => {
+        const screens = getScreens();
+        expect(screens).toEqual([
+            { id: expect.stringMatching(/^screen-/), name: "Main" },
+        ]);
+        expect(getActiveScreenId()).toBe(screens[0].id);
+        expect(getScreensForProject()).toEqual({
+            screens,
+            startScreenId: screens[0].id,
+        });
+        expect(document.querySelectorAll("#screen-list li").length).toBe(1);
+    });
+
+    test("addScreen should reject empty and duplicate names", () => {
+        expect(addScreen("  ")).toBeNull();
+        expect(addScreen("Main")).toBeNull();
+        expect(window.alert).toHaveBeenCalledTimes(2);
+
+        const screen = addScreen(" Overview ");
+        expect(screen.name).toBe("Overview");
+        expect(getScreens().map((s) => s.name)).toEqual(["Main", "Overview"]);
+        expect(ProjectManager.setDirty).toHaveBeenCalledWith(true);
+        expect(renameScreen(screen.id, "Main")).toBe(false);
+        expect(renameScreen(screen.id, "Pumps")).toBe(true);
+        expect(getScreens()[1].name).toBe("Pumps");
+    });
+
+    test("switchToScreen should keep the shown layout and create the target screen's components", () => {
+        const mainId = getActiveScreenId();
+        const second = addScreen("Second");
+        shownLayout = [
+            { id: "lamp1", componentType: "bit-lamp", x: 10, y: 10 },
+        ];
+
+        expect(switchToScreen(second.id)).toBe(true);
+        expect(mockHideContextMenu).toHaveBeenCalled();
+        expect(mockKonvaManager.clearCanvas).toHaveBeenCalled();
+        expect(mockComponentFactory.create).not.toHaveBeenCalled(); // New screen is empty
+        expect(stateManager.switchScreenHistory).toHaveBeenCalledWith(
+            second.id,
+        );
+        expect(getActiveScreenId()).toBe(second.id);
+        expect(mockScreenShown).toHaveBeenCalledWith(second.id);
+
+        expect(switchToScreen(mainId)).toBe(true);
+        expect(mockComponentFactory.create).toHaveBeenCalledWith("bit-lamp", {
+            id: "lamp1",
+            componentType: "bit-lamp",
+            x: 10,
+            y: 10,
+        });
+        expect(switchToScreen("missing")).toBe(false);
+    });
+
+    test("getProjectLayout should tag every component with its screen", () => {
+        const mainId = getActiveScreenId();
+        const second = addScreen("Second");
+        shownLayout = [{ id: "lamp1", componentType: "bit-lamp" }];
+        switchToScreen(second.id);
+
+        const layout = getProjectLayout([
+            { id: "label1", componentType: "label" },
+        ]);
+        expect(layout).toEqual([
+            { id: "label1", componentType: "label", screenId: second.id },
+            { id: "lamp1", componentType: "bit-lamp", screenId: mainId },
+        ]);
+    });
+
+    test("loadScreens should split the saved layout and return the start screen's components", () => {
+        const components = loadScreens({
+            screens: [
+                { id: "s1", name: "Overview" },
+                { id: "s2", name: "Details" },
+            ],
+            startScreenId: "s2",
+            hmiLayout: [
+                { id: "a", componentType: "label", screenId: "s1" },
+                { id: "b", componentType: "label", screenId: "s2" },
+                { id: "c", componentType: "label", screenId: "unknown" },
+            ],
+        });
+        expect(components).toEqual([{ id: "b", componentType: "label" }]);
+        expect(getActiveScreenId()).toBe("s2");
+        expect(stateManager.resetScreenHistories).toHaveBeenCalledWith("s2");
+        expect(
+            getProjectLayout(components).map((c) => [c.id, c.screenId]),
+        ).toEqual([
+            ["b", "s2"],
+            ["a", "s1"],
+            ["c", "s1"],
+        ]);
+    });
+
+    test("loadScreens should load a project without screens as a single screen", () => {
+        const layout = [
+            { id: "a", componentType: "label" },
+            { id: "b", componentType: "bit-lamp" },
+        ];
+        expect(loadScreens({ hmiLayout: layout })).toEqual(layout);
+        expect(getScreens()).toEqual([
+            { id: expect.any(String), name: "Main" },
+        ]);
+    });
+
+    test("deleteScreen should keep at least one screen and show another screen when deleting the shown one", () => {
+        const mainId = getActiveScreenId();
+        expect(deleteScreen(mainId)).toBe(false);
+        expect(window.alert).toHaveBeenCalled();
+
+        const second = addScreen("Second");
+        setStartScreen(second.id);
+        switchToScreen(second.id);
+        expect(deleteScreen(second.id)).toBe(true);
+        expect(getActiveScreenId()).toBe(mainId);
+        expect(getScreensForProject()).toEqual({
+            screens: [{ id: mainId, name: "Main" }],
+            startScreenId: mainId,
+        });
+        expect(stateManager.deleteScreenHistory).toHaveBeenCalledWith(
+            second.id,
+        );
+    });
+});
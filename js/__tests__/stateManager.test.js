@@ -12,26 +12,26 @@ import {
     getUndoStack,
     getRedoStack,
     getDeviceVariableValue,
+    getDeviceVariableMeta,
     setDeviceVariableValue,
     deleteDeviceState,
     deleteDeviceVariableState,
     getComponentAddressValue,
     setComponentAddressValue,
 } from "../stateManager.js";
+import ProjectManager from "../projectManager.js";
 
 // Mock dependencies
 jest.mock("../deviceManager.js", () => ({
     updateLiveVariableValueInManagerUI: jest.fn(),
 }));
 
-// Mock ProjectManager - it's an object imported directly
-let mockProjectManagerSetDirty;
-jest.mock("../projectManager.js", () => {
-    mockProjectManagerSetDirty = jest.fn();
-    return {
-        setDirty: mockProjectManagerSetDirty,
-    };
-});
+// Mock ProjectManager - it's an object imported directly. The factory runs before this file's
+// own variables are initialized (jest.mock is hoisted), so the mock is read back from the import.
+jest.mock("../projectManager.js", () => ({
+    setDirty: jest.fn(),
+}));
+const mockProjectManagerSetDirty = ProjectManager.setDirty;
 
 // Global mocks for Konva and component factory references
 let mockLayerRef;
@@ -332,6 +332,45 @@ describe("StateManager", () => {
         });
     });
 
+    describe("switchScreenHistory", () => {
+        afterEach(() => {
+            stateManagerModule.resetScreenHistories(null);
+        });
+
+        test("should keep a separate undo/redo history per screen", () => {
+            stateManagerModule.resetScreenHistories("screen-1");
+            saveState();
+            const screen1Undo = [...stateManagerModule.getUndoStack()];
+            expect(screen1Undo.length).toBe(2);
+
+            stateManagerModule.switchScreenHistory("screen-2");
+            expect(stateManagerModule.getUndoStack().length).toBe(1); // New screen starts with its current state
+            expect(stateManagerModule.getRedoStack()).toEqual([]);
+            expect(mockUndoBtnRef.disabled).toBe(true);
+
+            stateManagerModule.switchScreenHistory("screen-1");
+            expect(stateManagerModule.getUndoStack()).toEqual(screen1Undo);
+            expect(mockUndoBtnRef.disabled).toBe(false);
+        });
+
+        test("should forget the histories of deleted screens and of a previous project", () => {
+            stateManagerModule.resetScreenHistories("screen-1");
+            saveState();
+            stateManagerModule.switchScreenHistory("screen-2");
+            saveState();
+            stateManagerModule.switchScreenHistory("screen-1");
+
+            stateManagerModule.deleteScreenHistory("screen-2");
+            stateManagerModule.switchScreenHistory("screen-2");
+            expect(stateManagerModule.getUndoStack().length).toBe(1); // Starts over like a new screen
+
+            stateManagerModule.resetScreenHistories("screen-2");
+            stateManagerModule.switchScreenHistory("screen-1");
+            expect(stateManagerModule.getUndoStack().length).toBe(1);
+            expect(stateManagerModule.getRedoStack()).toEqual([]);
+        });
+    });
+
     describe("Device Variable Management", () => {
         const deviceId = "dev123";
         const variableName = "temp";
@@ -360,6 +399,17 @@ describe("StateManager", () => {
             expect(updateLiveVariableValueInManagerUI).toHaveBeenCalledWith(deviceId, variableName, 99);
         });
 
+        test("getDeviceVariableMeta should report quality and timestamp of values", () => {
+            mockLayerRef.find = jest.fn(() => []);
+            expect(getDeviceVariableMeta(deviceId, "neverSet")).toEqual({ quality: "uninitialized", timestamp: null });
+
+            setDeviceVariableValue(deviceId, variableName, 5, { quality: "comm-fail", timestamp: "2024-01-01T00:00:00.000Z" });
+            expect(getDeviceVariableMeta(deviceId, variableName)).toEqual({ quality: "comm-fail", timestamp: "2024-01-01T00:00:00.000Z" });
+
+            setDeviceVariableValue(deviceId, variableName, 6);
+            expect(getDeviceVariableMeta(deviceId, variableName)).toEqual({ quality: "good", timestamp: null });
+        });
+
         test("setDeviceVariableValue should handle invalid deviceId or variableName gracefully", () => {
             const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
             setDeviceVariableValue(null, variableName, 10);
@@ -0,0 +1,291 @@
+// js/__tests__/symbolLibrary.test.js
+
+import * as stateManager from "../stateManager.js";
+import ProjectManager from "../projectManager.js";
+import {
+    initSymbolLibrary,
+    getSymbols,
+    setSymbols,
+    createSymbolFromNodes,
+    deleteSymbol,
+    insertSymbol,
+    resolvePlaceholders,
+} from "../symbolLibrary.js";
+
+// Mock dependencies
+jest.mock("../stateManager.js", () => ({
+    saveState: jest.fn(),
+}));
+
+jest.mock("../deviceManager.js", () => ({
+    getDevices: jest.fn(() => [
+        { id: "pump-a", name: "Pump A" },
+        { id: "pump-b", name: "Pump B" },
+    ]),
+}));
+
+jest.mock("../projectManager.js", () => ({
+    __esModule: true,
+    default: {
+        setDirty: jest.fn(),
+        getIsLoadingProject: jest.fn(() => false),
+    },
+}));
+
+/** Minimal stand-in for a Konva node of a component. */
+const mockNode = (attrs) => ({ attrs, x: () => attrs.x, y: () => attrs.y });
+
+describe("SymbolLibrary", () => {
+    let mockKonvaManager;
+    let mockComponentFactory;
+    let mockSelectNodes;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        document.body.innerHTML = `
+            <button id="create-symbol-btn"></button>
+            <ul id="symbol-list"></ul>
+            <div id="symbol-modal" class="hidden">
+                <h2 id="symbol-modal-title"></h2>
+                <div id="symbol-name-row"><input id="symbol-name-input" /></div>
+                <div id="symbol-params-container"></div>
+                <button id="close-symbol-modal-btn"></button>
+                <button id="cancel-symbol-btn"></button>
+                <button id="confirm-symbol-btn"></button>
+            </div>
+        `;
+        mockKonvaManager = { tr: { nodes: jest.fn(() => []) } };
+        mockComponentFactory = {
+            create: jest.fn((type, data) => ({
+                attrs: { componentType: type, ...data },
+            })),
+        };
+        mockSelectNodes = jest.fn();
+        initSymbolLibrary(
+            mockKonvaManager,
+            mockComponentFactory,
+            mockSelectNodes,
+        );
+        setSymbols([]);
+        jest.spyOn(window, "alert").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        window.alert.mockRestore();
+    });
+
+    const pumpNodes = () => [
+        mockNode({
+            id: "lamp1",
+            componentType: "bit-lamp",
+            x: 120,
+            y: 80,
+            label: "{pump}",
+            deviceId: "pump-a",
+            variableName: "running",
+        }),
+        mockNode({
+            id: "disp1",
+            componentType: "numeric-display",
+            x: 100,
+            y: 140,
+            deviceId: "pump-a",
+            variableName: "speed",
+        }),
+        mockNode({
+            id: "trend1",
+            componentType: "trend-chart",
+            x: 200,
+            y: 80,
+            pens: [
+                { deviceId: "pump-a", variableName: "speed", color: "#22d3ee" },
+            ],
+        }),
+    ];
+
+    test("resolvePlaceholders should replace known placeholders and keep unknown ones", () => {
+        expect(resolvePlaceholders("{pump}_{n}", { pump: "plc1", n: 2 })).toBe(
+            "plc1_2",
+        );
+        expect(resolvePlaceholders("{other}.running", { pump: "plc1" })).toBe(
+            "{other}.running",
+        );
+        expect(resolvePlaceholders(null, { pump: "plc1" })).toBeNull();
+    });
+
+    test("createSymbolFromNodes should parameterise the bindings and store relative positions", () => {
+        const symbol = createSymbolFromNodes("Pump Panel", pumpNodes(), {
+            "pump-a": "pump",
+        });
+
+        expect(symbol.parameters).toEqual(["pump"]);
+        expect(symbol.components).toEqual([
+            expect.objectContaining({
+                componentType: "bit-lamp",
+                x: 20,
+                y: 0,
+                deviceId: "{pump}",
+                variableName: "running",
+            }),
+            expect.objectContaining({
+                componentType: "numeric-display",
+                x: 0,
+                y: 60,
+                deviceId: "{pump}",
+                variableName: "speed",
+            }),
+            expect.objectContaining({
+                componentType: "trend-chart",
+                x: 100,
+                y: 0,
+                pens: [
+                    {
+                        deviceId: "{pump}",
+                        variableName: "speed",
+                        color: "#22d3ee",
+                    },
+                ],
+            }),
+        ]);
+        expect(symbol.components.some((component) => "id" in component)).toBe(
+            false,
+        );
+        expect(getSymbols()).toHaveLength(1);
+        expect(ProjectManager.setDirty).toHaveBeenCalledWith(true);
+        expect(
+            document.querySelectorAll("#symbol-list button[data-symbol-id]")
+                .length,
+        ).toBe(2);
+    });
+
+    test("createSymbolFromNodes should reject empty or duplicate names and invalid parameter names", () => {
+        expect(createSymbolFromNodes(" ", pumpNodes(), {})).toBeNull();
+        expect(
+            createSymbolFromNodes("Pump Panel", pumpNodes(), {
+                "pump-a": "1pump",
+            }),
+        ).toBeNull();
+        createSymbolFromNodes("Pump Panel", pumpNodes(), { "pump-a": "pump" });
+        expect(
+            createSymbolFromNodes("Pump Panel", pumpNodes(), {
+                "pump-a": "pump",
+            }),
+        ).toBeNull();
+        expect(window.alert).toHaveBeenCalledTimes(3);
+        expect(getSymbols()).toHaveLength(1);
+    });
+
+    test("insertSymbol should resolve every binding against the chosen device", () => {
+        const symbol = createSymbolFromNodes("Pump Panel", pumpNodes(), {
+            "pump-a": "pump",
+        });
+
+        const nodes = insertSymbol(
+            symbol.id,
+            { pump: "pump-b" },
+            { x: 300, y: 200 },
+        );
+        expect(nodes).toHaveLength(3);
+        expect(mockComponentFactory.create).toHaveBeenCalledWith(
+            "bit-lamp",
+            expect.objectContaining({
+                x: 320,
+                y: 200,
+                label: "pump-b",
+                deviceId: "pump-b",
+                variableName: "running",
+            }),
+        );
+        expect(mockComponentFactory.create).toHaveBeenCalledWith(
+            "numeric-display",
+            expect.objectContaining({
+                x: 300,
+                y: 260,
+                deviceId: "pump-b",
+                variableName: "speed",
+            }),
+        );
+        expect(mockComponentFactory.create).toHaveBeenCalledWith(
+            "trend-chart",
+            expect.objectContaining({
+                pens: [
+                    {
+                        deviceId: "pump-b",
+                        variableName: "speed",
+                        color: "#22d3ee",
+                    },
+                ],
+            }),
+        );
+        expect(stateManager.saveState).toHaveBeenCalledTimes(1);
+        expect(mockSelectNodes).toHaveBeenCalledWith(nodes);
+    });
+
+    test("insertSymbol should refuse to insert with missing parameter values", () => {
+        const symbol = createSymbolFromNodes("Pump Panel", pumpNodes(), {
+            "pump-a": "pump",
+        });
+        expect(insertSymbol(symbol.id, {})).toEqual([]);
+        expect(window.alert).toHaveBeenCalledWith(
+            expect.stringContaining("pump"),
+        );
+        expect(mockComponentFactory.create).not.toHaveBeenCalled();
+        expect(stateManager.saveState).not.toHaveBeenCalled();
+    });
+
+    test("the symbol modal should insert a symbol with the devices chosen per parameter", () => {
+        const symbol = createSymbolFromNodes("Pump Panel", pumpNodes(), {
+            "pump-a": "pump",
+        });
+        document
+            .querySelector(
+                `#symbol-list button[data-symbol-id="${symbol.id}"]:not([data-action])`,
+            )
+            .click();
+        expect(
+            document
+                .getElementById("symbol-modal")
+                .classList.contains("hidden"),
+        ).toBe(false);
+
+        document.querySelector('select[data-parameter="pump"]').value =
+            "pump-b";
+        document.getElementById("confirm-symbol-btn").click();
+        expect(mockComponentFactory.create).toHaveBeenCalledWith(
+            "bit-lamp",
+            expect.objectContaining({ deviceId: "pump-b" }),
+        );
+        expect(
+            document
+                .getElementById("symbol-modal")
+                .classList.contains("hidden"),
+        ).toBe(true);
+    });
+
+    test("setSymbols and deleteSymbol should replace and shrink the library", () => {
+        setSymbols([
+            {
+                id: "s1",
+                name: "Valve",
+                components: [
+                    {
+                        componentType: "bit-lamp",
+                        deviceId: "{valve}",
+                        variableName: "open",
+                    },
+                ],
+            },
+            { name: "no id" },
+        ]);
+        expect(getSymbols()).toEqual([
+            expect.objectContaining({
+                id: "s1",
+                name: "Valve",
+                parameters: ["valve"],
+            }),
+        ]);
+        expect(deleteSymbol("s1")).toBe(true);
+        expect(deleteSymbol("s1")).toBe(false);
+        expect(getSymbols()).toEqual([]);
+    });
+});
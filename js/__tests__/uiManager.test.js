@@ -12,6 +12,9 @@ import {
     showToast,
     // Other functions are mostly private and tested via their effects or event triggers
 } from "../uiManager.js";
+import { componentFactory } from "../componentFactory.js";
+import { getDevices } from "../deviceManager.js";
+import { hasRole } from "../authManager.js";
 
 // Mock dependencies
 jest.mock("../stateManager.js", () => ({
@@ -21,34 +24,40 @@ jest.mock("../stateManager.js", () => ({
     deleteDeviceVariableState: jest.fn(),
 }));
 
-let mockComponentFactoryCreate;
-jest.mock("../componentFactory.js", () => {
-    mockComponentFactoryCreate = jest.fn((type, props) => ({
-        id: `mock-created-${props?.id || props?.label || type || "component"}`,
-        attrs: props || {},
-        draggable: jest.fn(), // Mock draggable method
-        destroy: jest.fn(),   // Mock destroy method
-        updateState: jest.fn(), // Mock updateState method
-    }));
-    return {
-        componentFactory: {
-            create: mockComponentFactoryCreate,
-        },
-    };
-});
+// jest.mock factories run before the module body, so the mocks are created inside them
+// and read back from the mocked modules below.
+jest.mock("../componentFactory.js", () => ({
+    componentFactory: {
+        create: jest.fn((type, props) => ({
+            id: `mock-created-${props?.id || props?.label || type || "component"}`,
+            attrs: props || {},
+            draggable: jest.fn(), // Mock draggable method
+            destroy: jest.fn(),   // Mock destroy method
+            updateState: jest.fn(), // Mock updateState method
+        })),
+    },
+    TREND_PEN_COLORS: ["#22d3ee", "#f472b6"],
+    ALARM_PRIORITIES: ["critical", "high", "medium", "low"],
+}));
+const mockComponentFactoryCreate = componentFactory.create;
 
-let mockGetDevices;
-jest.mock("../deviceManager.js", () => {
-    mockGetDevices = jest.fn(() => []);
-    return {
-        getDevices: mockGetDevices,
-    };
-});
+jest.mock("../deviceManager.js", () => ({
+    getDevices: jest.fn(() => []),
+}));
+const mockGetDevices = getDevices;
+
+jest.mock("../screenManager.js", () => ({
+    getScreens: jest.fn(() => []),
+}));
 
 jest.mock("../config.js", () => ({
     GRID_SIZE: 20,
 }));
 
+jest.mock("../authManager.js", () => ({
+    hasRole: jest.fn(() => true),
+}));
+
 // Mock ProjectManager
 const mockProjectManager = {
     isProjectDirty: jest.fn(() => false), // Default to not dirty
@@ -56,6 +65,11 @@ const mockProjectManager = {
     saveProjectToServer: jest.fn(() => Promise.resolve({ success: true, name: "TestProject" })),
     getCurrentProjectName: jest.fn(() => null), // Default to no current project
     getAvailableProjectsFromServer: jest.fn(() => Promise.resolve([])), // Default to no projects
+    getProjectDetailsFromServer: jest.fn(() => Promise.resolve([])),
+    deleteProjectOnServer: jest.fn(() => Promise.resolve({ success: true })),
+    renameProjectOnServer: jest.fn((name, newName) => Promise.resolve({ success: true, name, newName })),
+    duplicateProjectOnServer: jest.fn((name, newName) => Promise.resolve({ success: true, name, newName })),
+    setStartupProjectOnServer: jest.fn((name) => Promise.resolve({ startupProject: name, fromEnvironment: false, activeProject: null })),
     loadProjectFromServer: jest.fn(() => Promise.resolve({})),
     importProjectFromFile: jest.fn(() => Promise.resolve({})),
     exportProject: jest.fn(),
@@ -237,12 +251,13 @@ describe("UIManager", () => {
     });
 
     describe("Copy/Paste", () => {
-        // Use the test-specific exported functions for copy/paste
-        const { handleCopyForTest, handlePasteForTest, getClipboardForTest, resetClipboardForTest } = ui;
+        // Use the test-specific exported functions for copy/paste; `ui` is only set in beforeEach
+        let handleCopyForTest, handlePasteForTest, getClipboardForTest;
         let mockSelectedNode;
 
         beforeEach(() => {
-            resetClipboardForTest();
+            ({ handleCopyForTest, handlePasteForTest, getClipboardForTest } = ui);
+            ui.resetClipboardForTest();
             mockSelectedNode = {
                 attrs: { componentType: "bit-lamp", x: 10, y: 10, id: "original-id", deviceId: "dev1", variableName: "var1" },
                 id: () => "original-id"
@@ -302,7 +317,62 @@ describe("UIManager", () => {
         });
     });
 
+    describe("WordLamp states editor", () => {
+        let node;
+        const content = () => document.getElementById("context-menu-content");
+        const typeInto = (selector, value) => {
+            const input = content().querySelector(selector);
+            if (input.type === "checkbox") input.checked = value; else input.value = value;
+            input.dispatchEvent(new Event("input", { bubbles: true }));
+        };
+
+        beforeEach(() => {
+            node = {
+                attrs: {
+                    componentType: "word-lamp", label: "Pump",
+                    states: [{ value: 0, text: "STOPPED", color: "#d9534f" }, { value: 1, text: "RUNNING", color: "#5cb85c" }],
+                },
+                setAttr: jest.fn(function (key, value) { this.attrs[key] = value; }),
+                updateState: jest.fn(),
+            };
+            populateContextMenu(node);
+        });
+
+        test("should edit values, ranges, blink and the fallback of the states", () => {
+            typeInto('input[data-state-index="0"][data-state-prop="value"]', "3");
+            typeInto('input[data-state-index="1"][data-state-prop="min"]', "10");
+            typeInto('input[data-state-index="1"][data-state-prop="blink"]', true);
+            typeInto('input[data-prop="fallbackText"]', "??");
+            expect(node.attrs.states).toEqual([
+                { value: 3, text: "STOPPED", color: "#d9534f" },
+                { value: 1, min: 10, text: "RUNNING", color: "#5cb85c", blink: true },
+            ]);
+            expect(node.attrs.fallbackText).toBe("??");
+
+            typeInto('input[data-state-index="1"][data-state-prop="min"]', "");
+            expect(node.attrs.states[1]).not.toHaveProperty("min");
+            expect(node.updateState).toHaveBeenCalled();
+        });
+
+        test("should add, reorder and remove states", () => {
+            content().querySelector('button[data-action="add-state"]').click();
+            expect(node.attrs.states.map(s => s.value)).toEqual([0, 1, 2]);
+
+            content().querySelector('button[data-action="move-state"][data-state-index="2"][data-direction="-1"]').click();
+            expect(node.attrs.states.map(s => s.value)).toEqual([0, 2, 1]);
+
+            content().querySelector('button[data-action="remove-state"][data-state-index="0"]').click();
+            expect(node.attrs.states.map(s => s.value)).toEqual([2, 1]);
+            expect(content().querySelectorAll('button[data-action="remove-state"]').length).toBe(2);
+        });
+    });
+
     describe("Project Management Modals", () => {
+        // Timers are faked in this file, so settle the async handlers through microtasks
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) await Promise.resolve();
+        };
+
         test("clicking 'New Project' button should call ProjectManager.newProject after confirmation if dirty", async () => {
             mockProjectManager.isProjectDirty.mockReturnValueOnce(true); // Project is dirty
             global.confirm = jest.fn(() => true); // User confirms
@@ -319,6 +389,113 @@ describe("UIManager", () => {
             expect(document.getElementById("save-project-modal").classList.contains("hidden")).toBe(false);
             expect(document.getElementById("save-project-modal-title").textContent).toContain("Save Project As");
         });
+
+        test("load modal should list projects with metadata and delete a project after confirmation", async () => {
+            mockProjectManager.getProjectDetailsFromServer.mockResolvedValue([
+                { name: "Plant", lastModified: "2024-03-10T10:00:00.000Z", size: 2048, components: 5, devices: 2 },
+            ]);
+            document.getElementById("load-project-btn").click();
+            await flush();
+
+            const container = document.getElementById("load-project-list-container");
+            expect(container.querySelector('input[name="project-to-load"]').value).toBe("Plant");
+            expect(container.textContent).toContain("2.0 KB · 5 komponen · 2 device");
+
+            container.querySelector('button[data-project-action="delete"][data-project-name="Plant"]').click();
+            await flush();
+            expect(document.getElementById("confirmation-modal").classList.contains("hidden")).toBe(false);
+            expect(mockProjectManager.deleteProjectOnServer).not.toHaveBeenCalled();
+            document.getElementById("confirm-ok-btn").click();
+            await flush();
+            expect(mockProjectManager.deleteProjectOnServer).toHaveBeenCalledWith("Plant");
+            expect(mockProjectManager.getProjectDetailsFromServer).toHaveBeenCalledTimes(2); // List refreshed
+        });
+
+        test("load modal should rename and duplicate projects with the entered name", async () => {
+            mockProjectManager.getProjectDetailsFromServer.mockResolvedValue([
+                { name: "Plant", lastModified: null, size: 0, components: 0, devices: 0 },
+            ]);
+            global.prompt = jest.fn().mockReturnValueOnce(" Plant B ").mockReturnValueOnce("Plant Copy");
+            document.getElementById("load-project-btn").click();
+            await flush();
+
+            document.querySelector('button[data-project-action="rename"]').click();
+            await flush();
+            expect(mockProjectManager.renameProjectOnServer).toHaveBeenCalledWith("Plant", "Plant B");
+
+            document.querySelector('button[data-project-action="duplicate"]').click();
+            await flush();
+            expect(mockProjectManager.duplicateProjectOnServer).toHaveBeenCalledWith("Plant", "Plant Copy");
+            delete global.prompt;
+        });
+
+        test("load modal should offer project actions only to engineers and report failed renames", async () => {
+            mockProjectManager.getProjectDetailsFromServer.mockResolvedValue([
+                { name: "Plant", lastModified: null, size: 0, components: 0, devices: 0 },
+            ]);
+            hasRole.mockReturnValueOnce(false);
+            document.getElementById("load-project-btn").click();
+            await flush();
+            const container = document.getElementById("load-project-list-container");
+            expect(container.querySelector('input[name="project-to-load"]').value).toBe("Plant");
+            expect(container.querySelectorAll("button[data-project-action]").length).toBe(0);
+
+            document.getElementById("load-project-btn").click();
+            await flush();
+            global.prompt = jest.fn().mockReturnValueOnce(null).mockReturnValueOnce("Line 1");
+            container.querySelector('button[data-project-action="rename"]').click();
+            await flush();
+            expect(mockProjectManager.renameProjectOnServer).not.toHaveBeenCalled(); // Prompt cancelled
+
+            mockProjectManager.renameProjectOnServer.mockRejectedValueOnce("Project 'Line 1' sudah ada.");
+            container.querySelector('button[data-project-action="rename"]').click();
+            await flush();
+            expect(mockProjectManager.renameProjectOnServer).toHaveBeenCalledWith("Plant", "Line 1");
+            expect(document.getElementById("toast-container").textContent).toContain(
+                "Operasi project gagal: Project 'Line 1' sudah ada.",
+            );
+            expect(container.querySelector('input[name="project-to-load"]').value).toBe("Plant"); // List refreshed
+            delete global.prompt;
+        });
+
+        test("load modal should mark the startup project and let engineers change it", async () => {
+            mockProjectManager.getProjectDetailsFromServer.mockResolvedValue([
+                { name: "Plant", lastModified: null, size: 0, components: 0, devices: 0, startup: true, active: true },
+                { name: "Line 2", lastModified: null, size: 0, components: 0, devices: 0, startup: false, active: false },
+            ]);
+            document.getElementById("load-project-btn").click();
+            await flush();
+
+            const container = document.getElementById("load-project-list-container");
+            expect(container.textContent).toContain("0 device · startup · berjalan di server");
+            container.querySelector('button[data-project-action="startup"][data-project-name="Line 2"]').click();
+            await flush();
+            expect(mockProjectManager.setStartupProjectOnServer).toHaveBeenCalledWith("Line 2");
+
+            document.querySelector('button[data-project-action="clear-startup"][data-project-name="Plant"]').click();
+            await flush();
+            expect(mockProjectManager.setStartupProjectOnServer).toHaveBeenCalledWith(null);
+        });
+
+        test("load modal should report a startup project the server refuses and keep the listed one", async () => {
+            mockProjectManager.getProjectDetailsFromServer.mockResolvedValue([
+                { name: "Plant", lastModified: null, size: 0, components: 0, devices: 0, startup: true, active: false },
+                { name: "Line 2", lastModified: null, size: 0, components: 0, devices: 0, startup: false, active: false },
+            ]);
+            mockProjectManager.setStartupProjectOnServer.mockRejectedValueOnce("Project 'Line 2' tidak ditemukan.");
+            document.getElementById("load-project-btn").click();
+            await flush();
+
+            const container = document.getElementById("load-project-list-container");
+            container.querySelector('button[data-project-action="startup"][data-project-name="Line 2"]').click();
+            await flush();
+            expect(mockProjectManager.setStartupProjectOnServer).toHaveBeenCalledWith("Line 2");
+            expect(document.getElementById("toast-container").textContent).toContain(
+                "Operasi project gagal: Project 'Line 2' tidak ditemukan.",
+            );
+            expect(mockProjectManager.getProjectDetailsFromServer).toHaveBeenCalledTimes(2); // List refreshed
+            expect(container.querySelector('button[data-project-action="clear-startup"]').dataset.projectName).toBe("Plant");
+        });
     });
 
     describe("showToast", () => {
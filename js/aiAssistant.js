@@ -110,7 +110,7 @@ const AI_RESPONSE_SCHEMA = {
             componentType: {
                 type: "STRING",
                 description: "Type of component for 'add' action.",
-                enum: ["bit-lamp", "bit-switch", "word-lamp", "numeric-display", "label"],
+                enum: ["bit-lamp", "bit-switch", "word-lamp", "numeric-display", "numeric-input", "trend-chart", "alarm-summary", "alarm-banner", "nav-button", "label"],
             },
             message: { type: "STRING", description: "Message for 'clarify' action." },
             properties: {
@@ -130,8 +130,36 @@ const AI_RESPONSE_SCHEMA = {
                     onText: { type: "STRING", description: "Text when ON." },
                     offText: { type: "STRING", description: "Text when OFF." },
                     // NumericDisplay specific (example)
-                    units: { type: "STRING", description: "Units for display (e.g., °C)." },
+                    units: { type: "STRING", description: "Units for display (e.g., °C). Leave empty to use the variable's engineering unit." },
                     decimalPlaces: { type: "NUMBER", description: "Number of decimal places." },
+                    // NumericInput specific
+                    min: { type: "NUMBER", description: "Smallest value a NumericInput accepts." },
+                    max: { type: "NUMBER", description: "Largest value a NumericInput accepts." },
+                    step: { type: "NUMBER", description: "NumericInput values must be multiples of this step." },
+                    confirmWrite: { type: "BOOLEAN", description: "Ask the operator to confirm before a NumericInput writes." },
+                    // TrendChart specific
+                    timeWindowSec: { type: "NUMBER", description: "Visible time window of a TrendChart in seconds." },
+                    pens: {
+                        type: "ARRAY",
+                        description: "Variables plotted by a TrendChart.",
+                        items: {
+                            type: "OBJECT",
+                            properties: {
+                                deviceId: { type: "STRING", description: "ID of the device." },
+                                variableName: { type: "STRING", description: "Name of the variable." },
+                                color: { type: "STRING", description: "Line color (hex)." },
+                                min: { type: "NUMBER", description: "Y-axis minimum of the pen." },
+                                max: { type: "NUMBER", description: "Y-axis maximum of the pen." },
+                            },
+                        },
+                    },
+                    // AlarmSummary / AlarmBanner specific
+                    minPriority: { type: "STRING", enum: ["critical", "high", "medium", "low"], description: "Least urgent alarm priority listed." },
+                    deviceFilter: { type: "STRING", description: "Only list alarms of this device ID (empty for all)." },
+                    sortBy: { type: "STRING", enum: ["priority", "time"], description: "Order of listed alarms." },
+                    // NavButton specific
+                    targetScreenId: { type: "STRING", description: "ID of the screen a NavButton switches to." },
+                    textColor: { type: "STRING", description: "Label color of a NavButton (hex)." },
                     // Label specific (example)
                     text: { type: "STRING", description: "Text content for Label." },
                     fontSize: { type: "NUMBER", description: "Font size in pixels." },
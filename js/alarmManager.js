@@ -0,0 +1,251 @@
+/**
+ * @file Client side of the server alarm engine.
+ * Mirrors the alarm definitions and the current (non-normal) alarms that the server sends over
+ * the `/devices` socket, and sends definition changes, acknowledgements and shelve requests back.
+ * Alarms are evaluated on the server only; this module never changes an alarm state locally.
+ * @module js/alarmManager
+ *
+ * @description
+ * Alarm definitions are saved in the project file (`alarmDefinitions`, next to `deviceConfigs`).
+ * The Variable Form edits one definition per variable; see `server/alarmManager.js` for the
+ * definition fields and the alarm states.
+ *
+ * Socket.IO Events Handled/Emitted:
+ * - Listens for `alarm:definitions` (all definitions), `alarm:list` (all non-normal alarms),
+ *   `alarm:update` (one changed alarm) and `alarm:removed` (alarm ID).
+ * - Emits `alarm:set_definitions`, `alarm:ack`, `alarm:shelve` and `alarm:unshelve`.
+ */
+
+/**
+ * Socket.IO client for the `/devices` namespace. Set by {@link initAlarmManager}.
+ * @type {import('socket.io-client').Socket | null}
+ * @private
+ */
+let socket = null;
+
+/**
+ * Alarm definitions as last received from (or sent to) the server.
+ * @type {Array<object>}
+ * @private
+ */
+let alarmDefinitions = [];
+
+/**
+ * Current alarms by alarm ID. Alarms that return to `normal` are removed.
+ * @type {Map<string, object>}
+ * @private
+ */
+const alarms = new Map();
+
+/**
+ * Callbacks notified whenever the alarm list or the definitions change.
+ * @type {Set<function(): void>}
+ * @private
+ */
+const changeListeners = new Set();
+
+/** @private Notifies all change listeners. */
+function _notifyChange() {
+    changeListeners.forEach((listener) => {
+        try {
+            listener();
+        } catch (error) {
+            console.error(
+                "[AlarmManager] Alarm change listener failed:",
+                error,
+            );
+        }
+    });
+}
+
+/**
+ * Initializes the alarm manager with the `/devices` socket and registers its event listeners.
+ * @param {import('socket.io-client').Socket} socketInstance - The connected Socket.IO client.
+ */
+export function initAlarmManager(socketInstance) {
+    socket = socketInstance;
+
+    socket.on("alarm:definitions", (definitions) => {
+        alarmDefinitions = Array.isArray(definitions) ? definitions : [];
+        _notifyChange();
+    });
+
+    socket.on("alarm:list", (list) => {
+        alarms.clear();
+        (Array.isArray(list) ? list : []).forEach((alarm) =>
+            alarms.set(alarm.id, alarm),
+        );
+        _notifyChange();
+    });
+
+    socket.on("alarm:update", (alarm) => {
+        if (!alarm?.id) return;
+        if (alarm.state === "normal") alarms.delete(alarm.id);
+        else alarms.set(alarm.id, alarm);
+        _notifyChange();
+    });
+
+    socket.on("alarm:removed", (alarmId) => {
+        if (alarms.delete(alarmId)) _notifyChange();
+    });
+
+    console.log("[AlarmManager] Initialized.");
+}
+
+/**
+ * Registers a callback that is called whenever alarms or definitions change.
+ * @param {function(): void} listener - The callback.
+ * @returns {function(): void} A function that removes the callback again.
+ */
+export function onAlarmsChanged(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+/**
+ * Returns all alarm definitions (as saved in the project file).
+ * @returns {Array<object>}
+ */
+export function getAlarmDefinitions() {
+    return alarmDefinitions.map((definition) => ({ ...definition }));
+}
+
+/**
+ * Returns the alarm definition of a variable, if any.
+ * @param {string} deviceId - ID of the device.
+ * @param {string} variableName - Name of the variable.
+ * @returns {object | null}
+ */
+export function getVariableAlarmDefinition(deviceId, variableName) {
+    const definition = alarmDefinitions.find(
+        (d) => d.deviceId === deviceId && d.variableName === variableName,
+    );
+    return definition ? { ...definition } : null;
+}
+
+/**
+ * Replaces all alarm definitions on the server. The local copy is updated right away so a
+ * project saved immediately afterwards includes the change.
+ * @param {Array<object>} definitions - The new definitions.
+ */
+export function setAlarmDefinitions(definitions) {
+    alarmDefinitions = Array.isArray(definitions)
+        ? definitions.map((definition) => ({ ...definition }))
+        : [];
+    _notifyChange();
+    if (!socket || !socket.connected) {
+        console.warn(
+            "[AlarmManager] Socket not connected. Alarm definitions are only stored locally.",
+        );
+        return;
+    }
+    socket.emit("alarm:set_definitions", alarmDefinitions);
+}
+
+/**
+ * Sets (or removes) the alarm definition of one variable, keeping all other definitions.
+ * @param {string} deviceId - ID of the device.
+ * @param {string} variableName - Name of the variable.
+ * @param {object | null} definition - The definition fields (without deviceId/variableName), or
+ *                                     `null` to remove the variable's alarm.
+ * @param {string} [previousName=variableName] - Former name of the variable, if it was renamed.
+ */
+export function setVariableAlarmDefinition(
+    deviceId,
+    variableName,
+    definition,
+    previousName = variableName,
+) {
+    const existing = alarmDefinitions.find(
+        (d) => d.deviceId === deviceId && d.variableName === previousName,
+    );
+    const others = alarmDefinitions.filter((d) => d !== existing);
+    if (!definition && !existing) return; // Nothing to change
+    const next = definition
+        ? [
+              ...others,
+              {
+                  ...definition,
+                  id: existing?.id || `alarm-${crypto.randomUUID()}`,
+                  deviceId,
+                  variableName,
+              },
+          ]
+        : others;
+    setAlarmDefinitions(next);
+}
+
+/**
+ * Removes the alarm definitions of a deleted device or variable.
+ * @param {string} deviceId - ID of the device.
+ * @param {string} [variableName] - Name of the variable; all variables of the device if omitted.
+ */
+export function removeAlarmDefinitions(deviceId, variableName) {
+    const remaining = alarmDefinitions.filter(
+        (d) =>
+            d.deviceId !== deviceId ||
+            (variableName !== undefined && d.variableName !== variableName),
+    );
+    if (remaining.length !== alarmDefinitions.length)
+        setAlarmDefinitions(remaining);
+}
+
+/**
+ * Returns the current alarms (every state except `normal`), most urgent first as sorted by the server.
+ * @param {object} [options={}]
+ * @param {boolean} [options.includeShelved=false] - Also return shelved alarms.
+ * @returns {Array<object>}
+ */
+export function getAlarms({ includeShelved = false } = {}) {
+    const priorityOrder = ["critical", "high", "medium", "low"];
+    return Array.from(alarms.values())
+        .filter((alarm) => includeShelved || !alarm.shelved)
+        .sort(
+            (a, b) =>
+                priorityOrder.indexOf(a.priority) -
+                    priorityOrder.indexOf(b.priority) ||
+                String(b.activeAt || "").localeCompare(
+                    String(a.activeAt || ""),
+                ),
+        );
+}
+
+/**
+ * Asks the server to acknowledge one or more alarms.
+ * @param {string | Array<string>} alarmIds - ID(s) of the alarm(s).
+ */
+export function acknowledgeAlarms(alarmIds) {
+    if (!socket || !socket.connected) {
+        alert("Cannot acknowledge alarms: Server is not connected.");
+        return;
+    }
+    socket.emit("alarm:ack", {
+        alarmIds: Array.isArray(alarmIds) ? alarmIds : [alarmIds],
+    });
+}
+
+/**
+ * Asks the server to shelve an alarm.
+ * @param {string} alarmId - ID of the alarm.
+ * @param {number} [durationMs] - Unshelve automatically after this time; until unshelved if omitted.
+ * @param {string} [reason] - Why the alarm is shelved.
+ */
+export function shelveAlarm(alarmId, durationMs, reason) {
+    if (!socket || !socket.connected) {
+        alert("Cannot shelve alarm: Server is not connected.");
+        return;
+    }
+    socket.emit("alarm:shelve", { alarmId, durationMs, reason });
+}
+
+/**
+ * Asks the server to unshelve an alarm.
+ * @param {string} alarmId - ID of the alarm.
+ */
+export function unshelveAlarm(alarmId) {
+    if (!socket || !socket.connected) {
+        alert("Cannot unshelve alarm: Server is not connected.");
+        return;
+    }
+    socket.emit("alarm:unshelve", { alarmId });
+}
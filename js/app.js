@@ -30,6 +30,14 @@ import { initDeviceManager, getDeviceById } from "./deviceManager.js";
 import ProjectManager from "./projectManager.js";
 import { initAiAssistant } from "./aiAssistant.js";
 import { initTopicExplorer } from "./topicExplorer.js";
+import { initAlarmManager } from "./alarmManager.js";
+import { initScreenManager } from "./screenManager.js";
+import { initSymbolLibrary } from "./symbolLibrary.js";
+import { ensureLoggedIn, initAuthManager, hasRole } from "./authManager.js";
+import { initAuditViewer } from "./auditViewer.js";
+import { initModbusServerConfig } from "./modbusServerConfig.js";
+import { initMqttBridgeConfig } from "./mqttBridgeConfig.js";
+import { initProjectHistory } from "./projectHistory.js";
 
 // --- Application State Variables ---
 
@@ -71,7 +79,7 @@ const undoBtn = document.getElementById("undo-btn");
 const redoBtn = document.getElementById("redo-btn");
 
 // --- Main Application Initialization ---
-window.addEventListener("load", () => {
+window.addEventListener("load", async () => {
     /**
      * @function setIsSimulationModeAndInterval
      * @description Sets the simulation mode and manages the simulation interval.
@@ -100,13 +108,21 @@ window.addEventListener("load", () => {
     // The order is important due to dependencies. Modules exporting interfaces
     // are generally initialized before those that consume them.
 
-    // 1. DeviceManager and TopicExplorer (Networking and Backend Communication)
-    //    - Establishes socket connection.
+    // 0. Login: the server only accepts sockets of logged-in users, so wait for a login first.
+    await ensureLoggedIn();
+
+    // 1. DeviceManager, TopicExplorer, AlarmManager, AuditViewer, ModbusServerConfig and MqttBridgeConfig (Networking and Backend Communication)
+    //    - Establishes socket connection (authenticated by the session cookie).
     //    - `ProjectManager.setDirty` is passed as a callback for device changes.
     //    - `getDeviceById` is used by stateManager, uiManager, and aiAssistant.
     const deviceSocket = io("/devices"); // Socket for device and project communication
+    initAuthManager(deviceSocket);
     initDeviceManager(deviceSocket, ProjectManager.setDirty.bind(ProjectManager));
     initTopicExplorer(deviceSocket);
+    initAlarmManager(deviceSocket);
+    initAuditViewer(deviceSocket);
+    initModbusServerConfig(deviceSocket, ProjectManager.setDirty.bind(ProjectManager));
+    initMqttBridgeConfig(deviceSocket, ProjectManager.setDirty.bind(ProjectManager));
 
     // 2. UI Manager: Handles UI elements, interactions, context menus, and mode toggling.
     //    - Receives callbacks for simulation mode and device info.
@@ -179,8 +195,19 @@ window.addEventListener("load", () => {
     //    - Uses `componentFactory` for creating components on load/import.
     //    - Uses `deviceSocket` for server communication.
     ProjectManager.init(konvaManagerInterface, componentFactory, deviceSocket);
+    initProjectHistory(ProjectManager); // Revision list, diff and restore of the current project
+
+    // 7. Screen Manager: Keeps the project's screens and shows one of them on the Konva layer.
+    //    - Uses `konvaManagerInterface` and `componentFactory` to swap the components on the layer.
+    //    - Closes the context menu through `uiManagerInterface` before switching.
+    initScreenManager(konvaManagerInterface, componentFactory, uiManagerInterface.hideContextMenu);
 
-    // 7. AI Assistant: Manages chat functionality and AI-driven HMI modifications.
+    // 8. Symbol Library: Reusable component groups whose bindings are resolved on insertion.
+    //    - Creates symbols from the transformer selection of `konvaManagerInterface`.
+    //    - Inserts symbols with `componentFactory` and selects them through `uiManagerInterface`.
+    initSymbolLibrary(konvaManagerInterface, componentFactory, uiManagerInterface.selectNodes);
+
+    // 9. AI Assistant: Manages chat functionality and AI-driven HMI modifications.
     //    - Uses DOM elements for chat UI.
     //    - Manages `chatHistory`.
     //    - Uses `konvaManagerInterface` for canvas context.
@@ -202,6 +229,9 @@ window.addEventListener("load", () => {
     // Save the initial state (e.g., empty canvas) for undo history.
     saveState();
 
+    // Viewers and operators only use the HMI; the server refuses their edits anyway.
+    if (!hasRole("engineer")) uiManagerInterface.lockToSimulationMode();
+
     // Add initial greeting message from AI assistant to the chat.
     if (chatLog) {
         addMessageToChatLog(
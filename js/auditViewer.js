@@ -0,0 +1,173 @@
+/**
+ * @file Audit trail viewer.
+ * @module js/auditViewer
+ *
+ * @description
+ * Shows the server's audit trail (device writes, device configuration changes, project saves and
+ * loads) in a modal, filtered by user, device and time range. Only engineers and admins get the
+ * "Audit" button; the server checks the role again for every `audit:query`.
+ *
+ * Socket events: emits `audit:query` with `{requestId, from, to, user, deviceId, limit}` and
+ * listens for `audit:query_results` (and `operation_error` with `operation: "audit:query"`).
+ * Results of older queries than the last one are ignored.
+ */
+
+import { hasRole } from "./authManager.js";
+import { getDevices } from "./deviceManager.js";
+
+/** Maximum number of entries requested per query. */
+const AUDIT_QUERY_LIMIT = 500;
+
+/**
+ * Socket used for the queries.
+ * @type {import('socket.io-client').Socket | null}
+ * @private
+ */
+let socket = null;
+
+/**
+ * requestId of the last query sent.
+ * @type {string | null}
+ * @private
+ */
+let lastRequestId = null;
+
+/**
+ * Shows the "Audit" button for engineers and admins and sets up the audit modal.
+ * @param {import('socket.io-client').Socket} socketInstance - The `/devices` socket.
+ */
+export function initAuditViewer(socketInstance) {
+    socket = socketInstance;
+    const openBtn = document.getElementById("audit-trail-btn");
+    if (!openBtn || !hasRole("engineer")) return;
+    openBtn.classList.remove("hidden");
+    openBtn.addEventListener("click", openAuditViewer);
+    document
+        .getElementById("close-audit-modal-btn")
+        ?.addEventListener("click", () => {
+            document.getElementById("audit-modal").classList.add("hidden");
+        });
+    document
+        .getElementById("audit-filter-form")
+        ?.addEventListener("submit", (e) => {
+            e.preventDefault();
+            queryAuditTrail();
+        });
+
+    socket.on("audit:query_results", (result) => {
+        if (result?.requestId !== lastRequestId) return;
+        _renderEntries(result.entries || [], result.truncated);
+    });
+    socket.on("operation_error", (error) => {
+        if (
+            error?.operation !== "audit:query" ||
+            error.details?.requestId !== lastRequestId
+        )
+            return;
+        _setStatus(`Gagal memuat audit trail: ${error.message}`);
+    });
+}
+
+/**
+ * Opens the audit modal with the device filter filled in and queries the last 24 hours.
+ */
+export function openAuditViewer() {
+    const deviceSelect = document.getElementById("audit-filter-device");
+    if (deviceSelect) {
+        const selected = deviceSelect.value;
+        deviceSelect.innerHTML = '<option value="">Semua device</option>';
+        getDevices().forEach((device) => {
+            const option = document.createElement("option");
+            option.value = device.id;
+            option.textContent = device.name
+                ? `${device.name} (${device.id})`
+                : device.id;
+            deviceSelect.appendChild(option);
+        });
+        deviceSelect.value = selected;
+    }
+    document.getElementById("audit-modal").classList.remove("hidden");
+    queryAuditTrail();
+}
+
+/**
+ * Sends an `audit:query` with the current filter values. An empty "from" lets the server use
+ * the last 24 hours before "to".
+ */
+export function queryAuditTrail() {
+    const value = (id) =>
+        document.getElementById(id)?.value.trim() || undefined;
+    const toEpochMs = (input) =>
+        input ? new Date(input).getTime() : undefined; // datetime-local is local time
+    lastRequestId = `audit-${crypto.randomUUID()}`;
+    _setStatus("Memuat...");
+    socket.emit("audit:query", {
+        requestId: lastRequestId,
+        user: value("audit-filter-user"),
+        deviceId: value("audit-filter-device"),
+        from: toEpochMs(value("audit-filter-from")),
+        to: toEpochMs(value("audit-filter-to")),
+        limit: AUDIT_QUERY_LIMIT,
+    });
+}
+
+/**
+ * Formats an old/new value for the table.
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function _formatValue(value) {
+    if (value === undefined) return "";
+    return typeof value === "object" && value !== null
+        ? JSON.stringify(value)
+        : String(value);
+}
+
+/**
+ * Renders the entries of a query result.
+ * @param {Array<object>} entries - Audit entries, newest first.
+ * @param {boolean} truncated - Whether the server left out older entries.
+ * @private
+ */
+function _renderEntries(entries, truncated) {
+    const tbody = document.getElementById("audit-table-body");
+    if (!tbody) return;
+    tbody.innerHTML = "";
+    entries.forEach((entry) => {
+        const row = document.createElement("tr");
+        row.className =
+            entry.status === "success"
+                ? "border-b border-gray-700"
+                : "border-b border-gray-700 text-red-300";
+        [
+            new Date(entry.t).toLocaleString(),
+            entry.user ? `${entry.user} (${entry.role})` : entry.source || "-",
+            entry.action,
+            entry.projectName ??
+                [entry.deviceId, entry.variableName]
+                    .filter((part) => part !== undefined)
+                    .join(" / "),
+            _formatValue(entry.oldValue),
+            _formatValue(entry.newValue),
+            entry.message ? `${entry.status}: ${entry.message}` : entry.status,
+        ].forEach((text) => {
+            const cell = document.createElement("td");
+            cell.className = "p-1 align-top break-all";
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    _setStatus(
+        entries.length === 0
+            ? "Tidak ada entri."
+            : `${entries.length} entri${truncated ? " (dibatasi, persempit filter untuk melihat entri lama)" : ""}.`,
+    );
+}
+
+/** @private */
+function _setStatus(text) {
+    const status = document.getElementById("audit-status");
+    if (status) status.textContent = text;
+}
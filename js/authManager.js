@@ -0,0 +1,246 @@
+/**
+ * @file Login and the logged-in user on the client.
+ * @module js/authManager
+ *
+ * @description
+ * The server only accepts `/devices` sockets from logged-in users, so `app.js` calls
+ * `ensureLoggedIn()` before it connects: it asks the server for the current user
+ * (`GET /api/auth/me`, authenticated by the session cookie) and, if there is none, shows the
+ * login modal until a login succeeds.
+ *
+ * `initAuthManager()` then shows the user and a logout button in the sidebar and, for admins,
+ * the user management modal (socket events `user:list`, `user:save`, `user:delete`).
+ * Permissions are enforced by the server; `hasRole()` is only used to hide what the user may not do.
+ */
+
+/**
+ * User roles, from least to most privileged (same order as on the server).
+ * @type {ReadonlyArray<string>}
+ */
+export const ROLES = Object.freeze(["viewer", "operator", "engineer", "admin"]);
+
+/**
+ * The logged-in user.
+ * @type {{username: string, role: string} | null}
+ * @private
+ */
+let currentUser = null;
+
+/**
+ * Socket used for user management.
+ * @type {import('socket.io-client').Socket | null}
+ * @private
+ */
+let socket = null;
+
+/**
+ * Returns the logged-in user.
+ * @returns {{username: string, role: string} | null}
+ */
+export function getCurrentUser() {
+    return currentUser;
+}
+
+/**
+ * Tells whether the logged-in user has at least the privileges of a role.
+ * @param {string} requiredRole - The least privileged role that is allowed.
+ * @returns {boolean}
+ */
+export function hasRole(requiredRole) {
+    const level = ROLES.indexOf(currentUser?.role);
+    return level !== -1 && level >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Resolves with the logged-in user, showing the login modal first if nobody is logged in.
+ * @returns {Promise<{username: string, role: string}>}
+ */
+export async function ensureLoggedIn() {
+    try {
+        const response = await fetch("/api/auth/me", {
+            credentials: "same-origin",
+        });
+        if (response.ok) {
+            currentUser = await response.json();
+            return currentUser;
+        }
+    } catch (error) {
+        console.error("[AuthManager] Could not fetch the current user:", error);
+    }
+    currentUser = await _showLoginModal();
+    return currentUser;
+}
+
+/**
+ * Shows the login modal until a login succeeds.
+ * @returns {Promise<{username: string, role: string}>} The user that logged in.
+ * @private
+ */
+function _showLoginModal() {
+    const modal = document.getElementById("login-modal");
+    const form = document.getElementById("login-form");
+    const usernameInput = document.getElementById("login-username");
+    const passwordInput = document.getElementById("login-password");
+    const errorEl = document.getElementById("login-error");
+    modal.classList.remove("hidden");
+    usernameInput.focus?.();
+
+    return new Promise((resolve) => {
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            errorEl.classList.add("hidden");
+            try {
+                const response = await fetch("/api/auth/login", {
+                    method: "POST",
+                    credentials: "same-origin",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({
+                        username: usernameInput.value.trim(),
+                        password: passwordInput.value,
+                    }),
+                });
+                const result = await response.json();
+                if (!response.ok)
+                    throw new Error(result.message || "Login gagal.");
+                form.removeEventListener("submit", handleSubmit);
+                passwordInput.value = "";
+                modal.classList.add("hidden");
+                resolve(result.user);
+            } catch (error) {
+                errorEl.textContent = error.message;
+                errorEl.classList.remove("hidden");
+                passwordInput.value = "";
+            }
+        };
+        form.addEventListener("submit", handleSubmit);
+    });
+}
+
+/**
+ * Logs out and reloads the page (which shows the login modal again).
+ * @returns {Promise<void>}
+ */
+export async function logout() {
+    try {
+        await fetch("/api/auth/logout", {
+            method: "POST",
+            credentials: "same-origin",
+        });
+    } catch (error) {
+        console.error("[AuthManager] Logout request failed:", error);
+    }
+    window.location.reload();
+}
+
+/**
+ * Shows the logged-in user in the sidebar and sets up logout and (for admins) user management.
+ * Reloads the page (back to the login) when the server refuses the socket because the session
+ * has ended.
+ * @param {import('socket.io-client').Socket} socketInstance - The `/devices` socket.
+ */
+export function initAuthManager(socketInstance) {
+    socket = socketInstance;
+    const userLabel = document.getElementById("current-user-label");
+    if (userLabel && currentUser)
+        userLabel.textContent = `${currentUser.username} (${currentUser.role})`;
+    document.getElementById("logout-btn")?.addEventListener("click", logout);
+
+    socket.on("connect_error", (error) => {
+        if (error?.data?.code !== "UNAUTHORIZED") return;
+        alert("Sesi login telah berakhir. Silakan login kembali.");
+        window.location.reload();
+    });
+
+    const manageUsersBtn = document.getElementById("manage-users-btn");
+    if (!manageUsersBtn || !hasRole("admin")) return;
+    manageUsersBtn.classList.remove("hidden");
+    manageUsersBtn.addEventListener("click", _openUserModal);
+    document
+        .getElementById("close-user-modal-btn")
+        ?.addEventListener("click", () => {
+            document.getElementById("user-modal").classList.add("hidden");
+        });
+    document
+        .getElementById("user-form")
+        ?.addEventListener("submit", _handleUserFormSubmit);
+    document
+        .getElementById("user-list")
+        ?.addEventListener("click", _handleUserListClick);
+    socket.on("user:list_results", _renderUserList);
+}
+
+/** @private Opens the user management modal and requests the user list. */
+function _openUserModal() {
+    document.getElementById("user-modal").classList.remove("hidden");
+    socket.emit("user:list");
+}
+
+/**
+ * Renders the user list of the user management modal.
+ * @param {Array<{username: string, role: string}>} users
+ * @private
+ */
+function _renderUserList(users) {
+    const list = document.getElementById("user-list");
+    if (!list) return;
+    list.innerHTML = "";
+    (Array.isArray(users) ? users : []).forEach(({ username, role }) => {
+        const item = document.createElement("li");
+        item.className =
+            "flex items-center justify-between p-2 bg-gray-700 rounded";
+        const label = document.createElement("span");
+        label.textContent = `${username} (${role})`;
+        const actions = document.createElement("div");
+        actions.className = "flex gap-2";
+        [
+            ["edit-user", "Edit", "text-cyan-300"],
+            ["delete-user", "Hapus", "text-red-400"],
+        ].forEach(([action, text, color]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = `${color} hover:text-white text-xs`;
+            button.dataset.action = action;
+            button.dataset.username = username;
+            button.dataset.role = role;
+            button.textContent = text;
+            actions.appendChild(button);
+        });
+        item.append(label, actions);
+        list.appendChild(item);
+    });
+}
+
+/** @private Fills the form to edit a user, or deletes a user after confirmation. */
+function _handleUserListClick(e) {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+    const { action, username, role } = button.dataset;
+    if (action === "edit-user") {
+        document.getElementById("user-form-username").value = username;
+        document.getElementById("user-form-role").value = role;
+        document.getElementById("user-form-password").value = "";
+    } else if (
+        action === "delete-user" &&
+        confirm(`Hapus user "${username}"?`)
+    ) {
+        socket.emit("user:delete", { username });
+    }
+}
+
+/** @private Saves the user in the form. An empty password keeps the current password. */
+function _handleUserFormSubmit(e) {
+    e.preventDefault();
+    const username = document.getElementById("user-form-username").value.trim();
+    const password = document.getElementById("user-form-password").value;
+    const role = document.getElementById("user-form-role").value;
+    if (!username) {
+        alert("Username wajib diisi.");
+        return;
+    }
+    socket.emit("user:save", {
+        username,
+        password: password || undefined,
+        role,
+    });
+    document.getElementById("user-form").reset();
+}
@@ -17,18 +17,44 @@
  *   event handlers (e.g., click for a BitSwitch in simulation mode).
  * - Defining an `updateState` method on each component to refresh its visual appearance
  *   based on data from the `stateManager`.
+ * - Showing a standard hatched grey overlay on every bound component whose value quality is
+ *   not `good` (stale, comm-fail or uninitialized), so operators never trust a frozen value.
+ *   Trend charts, which bind several variables, draw each bad-quality pen dashed instead.
+ * - Keeping alarm summaries and alarm banners in sync with `alarmManager`, and flashing them
+ *   while they show unacknowledged alarms.
+ * - Letting operators write analog values with the `numeric-input` component, which shows a
+ *   write as pending until the device echoes the new value (or as failed after a timeout).
  *
  * Dependencies:
  * - `config.js` (for GRID_SIZE, though not directly used in current logic here).
- * - `stateManager.js` (for `saveState`, `getDeviceVariableValue`).
- * - `deviceManager.js` (for `writeDataToServer` when components need to send data).
+ * - `stateManager.js` (for `saveState`, `getDeviceVariableValue`, `getDeviceVariableMeta`).
+ * - `deviceManager.js` (for `writeDataToServer` when components need to send data, and
+ *   `queryHistory` for trend charts).
+ * - `alarmManager.js` (for the current alarms and acknowledging them).
+ * - `screenManager.js` (for the screens a NavButton can switch to).
+ * - `numericKeypad.js` (for the keypad of a NumericInput).
  * - Konva.js (for all graphical elements and interactions).
  * - References from `konvaManager` and `uiManager` (passed during `initComponentFactory`).
  */
 
 import { GRID_SIZE } from "./config.js";
-import { saveState, getDeviceVariableValue } from "./stateManager.js";
-import { writeDataToServer } from "./deviceManager.js";
+import {
+    saveState,
+    getDeviceVariableValue,
+    getDeviceVariableMeta,
+} from "./stateManager.js";
+import {
+    writeDataToServer,
+    getDeviceById,
+    queryHistory,
+} from "./deviceManager.js";
+import {
+    getAlarms,
+    acknowledgeAlarms,
+    onAlarmsChanged,
+} from "./alarmManager.js";
+import { getScreens, switchToScreen } from "./screenManager.js";
+import { openNumericKeypad } from "./numericKeypad.js";
 
 /**
  * Handles standardized click logic for component selection when in design mode.
@@ -61,14 +87,18 @@ function handleComponentSelectionClick(
     }
 
     const isSelected = transformer.nodes().includes(group);
-    if (!event.evt.shiftKey) { // Not a shift-click
+    if (!event.evt.shiftKey) {
+        // Not a shift-click
         if (selectNodesCallback) selectNodesCallback(isSelected ? [] : [group]);
-    } else { // Shift-click for multi-select/deselect
+    } else {
+        // Shift-click for multi-select/deselect
         const currentSelection = transformer.nodes().slice(); // Copy current selection
-        if (isSelected) { // Already selected, so deselect
+        if (isSelected) {
+            // Already selected, so deselect
             const index = currentSelection.indexOf(group);
             if (index > -1) currentSelection.splice(index, 1);
-        } else { // Not selected, so add to selection
+        } else {
+            // Not selected, so add to selection
             currentSelection.push(group);
         }
         if (selectNodesCallback) selectNodesCallback(currentSelection);
@@ -76,6 +106,278 @@ function handleComponentSelectionClick(
     return true; // Event handled by selection logic
 }
 
+/**
+ * Creates the bad-quality overlay of a bound component: a grey, diagonally hatched rectangle
+ * covering the component, hidden while the value is good. It does not listen for events, so
+ * clicks still reach the component underneath.
+ *
+ * @private
+ * @param {{x: number, y: number, width: number, height: number, cornerRadius?: number}} bounds - Area to cover, in group coordinates.
+ * @returns {import('konva/lib/shapes/Rect').Rect} The (hidden) overlay shape.
+ */
+function createQualityOverlay(bounds) {
+    const stripeCount = 8;
+    const dark = "rgba(55, 65, 81, 0.8)";
+    const light = "rgba(156, 163, 175, 0.5)";
+    const colorStops = [];
+    for (let i = 0; i < stripeCount; i++) {
+        const middle = (i + 0.5) / stripeCount;
+        colorStops.push(
+            i / stripeCount,
+            dark,
+            middle,
+            dark,
+            middle,
+            light,
+            (i + 1) / stripeCount,
+            light,
+        );
+    }
+    return new Konva.Rect({
+        ...bounds,
+        name: "quality-overlay",
+        visible: false,
+        listening: false,
+        fillLinearGradientStartPoint: { x: 0, y: 0 },
+        fillLinearGradientEndPoint: { x: bounds.width, y: bounds.height },
+        fillLinearGradientColorStops: colorStops,
+        stroke: "#f59e0b",
+        strokeWidth: 1,
+        dash: [4, 3],
+    });
+}
+
+/**
+ * Shows or hides a component's bad-quality overlay according to the quality of its bound
+ * variable. Components without a device variable binding never show it.
+ *
+ * @private
+ * @param {import('konva/lib/Group').Group} group - The HMI component.
+ */
+function updateQualityIndicator(group) {
+    const overlay = group.findOne(".quality-overlay");
+    if (!overlay) return;
+    const { deviceId, variableName } = group.attrs;
+    const quality =
+        deviceId && variableName
+            ? getDeviceVariableMeta(deviceId, variableName).quality
+            : "good";
+    overlay.visible(quality !== "good");
+    if (quality !== "good") overlay.moveToTop();
+}
+
+// --- Trend Chart Helpers ---
+
+/** Padding between a trend chart's border and its plot area, in pixels. */
+const TREND_PLOT_MARGIN = { left: 44, right: 8, top: 20, bottom: 18 };
+/** Maximum number of live samples kept per pen. */
+const TREND_MAX_LIVE_POINTS = 5000;
+/** Colors given to pens that are added without one. */
+export const TREND_PEN_COLORS = [
+    "#22d3ee",
+    "#f472b6",
+    "#a3e635",
+    "#fbbf24",
+    "#c084fc",
+    "#f87171",
+];
+
+/**
+ * Returns the key under which samples of a pen are buffered.
+ * @private
+ * @param {{deviceId: string, variableName: string}} pen
+ * @returns {string}
+ */
+function trendPenKey(pen) {
+    return `${pen.deviceId}::${pen.variableName}`;
+}
+
+/**
+ * Formats an epoch-milliseconds time as HH:MM:SS (local time) for trend axis labels and readouts.
+ * @private
+ * @param {number} t - Time in milliseconds since the epoch.
+ * @returns {string}
+ */
+function formatTrendTime(t) {
+    const d = new Date(t);
+    return [d.getHours(), d.getMinutes(), d.getSeconds()]
+        .map((n) => String(n).padStart(2, "0"))
+        .join(":");
+}
+
+/**
+ * Returns the value of a sample series at time `t`: the last sample at or before `t`
+ * (series are step-held between samples).
+ * @private
+ * @param {Array<{t: number, value: number}>} samples - Samples sorted by time.
+ * @param {number} t - Time in milliseconds since the epoch.
+ * @returns {number|undefined}
+ */
+function trendValueAt(samples, t) {
+    let found;
+    for (const sample of samples) {
+        if (sample.t > t) break;
+        found = sample.value;
+    }
+    return found;
+}
+
+// --- Word Lamp Helpers ---
+
+/** Blink period of WordLamp states with `blink` set, in milliseconds. */
+const WORD_LAMP_BLINK_INTERVAL_MS = 500;
+
+/**
+ * Checks whether a WordLamp state matches a value. A state with `min` and/or `max` matches the
+ * numeric values within that (inclusive) range; any other state matches its `value` exactly
+ * (numerically, or as case-insensitive text).
+ * @param {{value?: number|string, min?: number, max?: number}} state
+ * @param {*} value - The variable value.
+ * @returns {boolean}
+ */
+function wordLampStateMatches(state, value) {
+    const numVal = Number(value);
+    const hasMin = typeof state.min === "number" && !isNaN(state.min);
+    const hasMax = typeof state.max === "number" && !isNaN(state.max);
+    if (hasMin || hasMax) {
+        if (value === null || value === "" || isNaN(numVal)) return false;
+        return (
+            (!hasMin || numVal >= state.min) && (!hasMax || numVal <= state.max)
+        );
+    }
+    return (
+        state.value == numVal ||
+        String(state.value).toLowerCase() == String(value).toLowerCase()
+    );
+}
+
+// --- Numeric Input Helpers ---
+
+/** Time after which a write the device has not echoed is shown as failed, in milliseconds. */
+const NUMERIC_INPUT_WRITE_TIMEOUT_MS = 5000;
+
+/**
+ * Compares a device value with a written value, allowing for the rounding of scaled values.
+ * @param {number} actual - Value reported by the device.
+ * @param {number} written - Value that was written.
+ * @returns {boolean}
+ */
+function numericValuesEqual(actual, written) {
+    return (
+        Math.abs(actual - written) <= Math.max(1e-9, Math.abs(written) * 1e-6)
+    );
+}
+
+// --- Alarm Component Helpers ---
+
+/** Component types that list alarms and are refreshed when alarms change. */
+const ALARM_COMPONENT_TYPES = ["alarm-summary", "alarm-banner"];
+/** Alarm priorities, most urgent first. */
+export const ALARM_PRIORITIES = ["critical", "high", "medium", "low"];
+/** Color of each alarm priority. */
+export const ALARM_PRIORITY_COLORS = {
+    critical: "#dc2626",
+    high: "#f97316",
+    medium: "#eab308",
+    low: "#3b82f6",
+};
+/** Flash period of unacknowledged alarms, in milliseconds. */
+const ALARM_FLASH_INTERVAL_MS = 500;
+/** Timer toggling {@link alarmFlashOn} while any unacknowledged alarm exists. */
+let alarmFlashTimer = null;
+/** Current flash phase shared by all alarm components, so they flash in step. */
+let alarmFlashOn = false;
+/** Removes the `alarmManager` change listener registered by `initComponentFactory`. */
+let unsubscribeAlarms = null;
+
+/**
+ * @private
+ * @param {{state: string}} alarm
+ * @returns {boolean} `true` if the alarm still needs acknowledgement.
+ */
+function isAlarmUnacked(alarm) {
+    return (
+        alarm.state === "active-unacked" || alarm.state === "cleared-unacked"
+    );
+}
+
+/**
+ * Returns the alarms shown by an alarm component: unshelved alarms of at least `minPriority`,
+ * optionally of one device only, most urgent or most recent first.
+ * @private
+ * @param {{minPriority?: string, deviceFilter?: string}} attrs - The component's filter attributes.
+ * @param {"priority"|"time"} sortBy - Sort order.
+ * @returns {Array<object>}
+ */
+function selectAlarms({ minPriority, deviceFilter }, sortBy) {
+    const maxRank = ALARM_PRIORITIES.includes(minPriority)
+        ? ALARM_PRIORITIES.indexOf(minPriority)
+        : ALARM_PRIORITIES.length - 1;
+    const alarms = getAlarms().filter(
+        (alarm) =>
+            ALARM_PRIORITIES.indexOf(alarm.priority) <= maxRank &&
+            (!deviceFilter || alarm.deviceId === deviceFilter),
+    );
+    if (sortBy === "time")
+        alarms.sort((a, b) =>
+            String(b.activeAt || "").localeCompare(String(a.activeAt || "")),
+        );
+    return alarms; // getAlarms() is already sorted by priority, then time
+}
+
+/**
+ * Returns the text describing an alarm: its message, or the variable and condition.
+ * @private
+ * @param {object} alarm
+ * @returns {string}
+ */
+function describeAlarm(alarm) {
+    const tag = `${getDeviceById(alarm.deviceId)?.name || alarm.deviceId}.${alarm.variableName}`;
+    const text = alarm.message || `${alarm.condition} (${alarm.limit})`;
+    return `${tag}: ${text}`;
+}
+
+/**
+ * Redraws every alarm component on the layer and starts or stops the shared flash timer.
+ * Registered with `alarmManager.onAlarmsChanged`.
+ * @private
+ */
+function refreshAlarmComponents() {
+    if (!layerRef?.find) return;
+    layerRef
+        .find(".hmi-component")
+        .filter((node) =>
+            ALARM_COMPONENT_TYPES.includes(node.attrs.componentType),
+        )
+        .forEach((node) => node.updateState?.());
+    layerRef.batchDraw?.();
+
+    const needsFlash = getAlarms().some(isAlarmUnacked);
+    if (needsFlash && !alarmFlashTimer) {
+        alarmFlashTimer = setInterval(() => {
+            alarmFlashOn = !alarmFlashOn;
+            refreshAlarmComponents();
+        }, ALARM_FLASH_INTERVAL_MS);
+    } else if (!needsFlash && alarmFlashTimer) {
+        clearInterval(alarmFlashTimer);
+        alarmFlashTimer = null;
+        alarmFlashOn = false;
+    }
+}
+
+/**
+ * Handles a click on an alarm component in simulation mode: an ACK button acknowledges its alarm.
+ * @private
+ * @param {import('konva/lib/types').KonvaEventObject<MouseEvent>} event
+ * @returns {boolean} `true` if an alarm was acknowledged.
+ */
+function handleAlarmAckClick(event) {
+    const alarmId = event.target?.getAttr?.("alarmId");
+    if (!alarmId) return false;
+    acknowledgeAlarms(alarmId);
+    return true;
+}
+
 // --- Module-level References (Injected via initComponentFactory) ---
 
 /** @type {import('konva/lib/Layer').Layer | null} Main Konva layer for components. */
@@ -136,6 +438,8 @@ export function initComponentFactory(
     clearDragStartPositionsRef = clearDragStartPositions;
     selectNodesFuncRef = selectNodesFunc;
     handleDragMoveFuncRef = handleDragMoveFunc;
+    if (unsubscribeAlarms) unsubscribeAlarms();
+    unsubscribeAlarms = onAlarmsChanged(refreshAlarmComponents);
     console.log("[ComponentFactory] Initialized with necessary references.");
 }
 
@@ -193,13 +497,40 @@ export const componentFactory = {
     creator(type, id, config) {
         let group; // This will be the Konva.Group representing the HMI component
         switch (type) {
-            case "bit-lamp":        group = this.createBitLamp(id, config); break;
-            case "bit-switch":      group = this.createBitSwitch(id, config); break;
-            case "word-lamp":       group = this.createWordLamp(id, config); break;
-            case "numeric-display": group = this.createNumericDisplay(id, config); break;
-            case "label":           group = this.createLabel(id, config); break;
+            case "bit-lamp":
+                group = this.createBitLamp(id, config);
+                break;
+            case "bit-switch":
+                group = this.createBitSwitch(id, config);
+                break;
+            case "word-lamp":
+                group = this.createWordLamp(id, config);
+                break;
+            case "numeric-display":
+                group = this.createNumericDisplay(id, config);
+                break;
+            case "numeric-input":
+                group = this.createNumericInput(id, config);
+                break;
+            case "trend-chart":
+                group = this.createTrendChart(id, config);
+                break;
+            case "alarm-summary":
+                group = this.createAlarmSummary(id, config);
+                break;
+            case "alarm-banner":
+                group = this.createAlarmBanner(id, config);
+                break;
+            case "nav-button":
+                group = this.createNavButton(id, config);
+                break;
+            case "label":
+                group = this.createLabel(id, config);
+                break;
             default:
-                console.error(`[ComponentFactory] Unknown component type requested: ${type}`);
+                console.error(
+                    `[ComponentFactory] Unknown component type requested: ${type}`,
+                );
                 throw new Error(`Unknown component type: ${type}`);
         }
 
@@ -207,13 +538,20 @@ export const componentFactory = {
             // Common event handlers for all components
             group.on("dragstart", () => {
                 if (guideLayerRef) guideLayerRef.show();
-                if (stageRef && trRef && typeof setDragStartPositionsRef === 'function') {
+                if (
+                    stageRef &&
+                    trRef &&
+                    typeof setDragStartPositionsRef === "function"
+                ) {
                     const currentDragStartPositions = {
                         pointer: stageRef().getPointerPosition(),
                         nodes: {},
                     };
                     trRef.nodes().forEach((node) => {
-                        currentDragStartPositions.nodes[node.id()] = { x: node.x(), y: node.y() };
+                        currentDragStartPositions.nodes[node.id()] = {
+                            x: node.x(),
+                            y: node.y(),
+                        };
                     });
                     setDragStartPositionsRef(currentDragStartPositions);
                 }
@@ -221,16 +559,20 @@ export const componentFactory = {
             group.on("dragend", () => {
                 saveState(); // Save application state after drag
                 if (guideLayerRef) guideLayerRef.hide();
-                if (typeof clearDragStartPositionsRef === 'function') clearDragStartPositionsRef();
+                if (typeof clearDragStartPositionsRef === "function")
+                    clearDragStartPositionsRef();
             });
             group.on("dragmove", (e) => {
-                if (typeof handleDragMoveFuncRef === 'function') handleDragMoveFuncRef(e);
+                if (typeof handleDragMoveFuncRef === "function")
+                    handleDragMoveFuncRef(e);
             });
 
             if (layerRef) {
                 layerRef.add(group);
             } else {
-                console.error("[ComponentFactory] layerRef not available. Cannot add component to layer.");
+                console.error(
+                    "[ComponentFactory] layerRef not available. Cannot add component to layer.",
+                );
             }
         }
         return group;
@@ -255,7 +597,9 @@ export const componentFactory = {
      */
     createBitLamp(id, config) {
         const group = new Konva.Group({
-            id: id, x: config.x, y: config.y,
+            id: id,
+            x: config.x,
+            y: config.y,
             draggable: false, // Managed by selection logic
             name: "hmi-component", // For querying
         });
@@ -263,43 +607,91 @@ export const componentFactory = {
             componentType: "bit-lamp",
             shapeType: "circle", // Default shape
             offColor: "#555555", // Default off color
-            onColor: "#22c55e",  // Default on color
+            onColor: "#22c55e", // Default on color
             ...config, // User-provided config overrides defaults
         });
 
         let lampShape;
         if (group.attrs.shapeType === "rect") {
-            lampShape = new Konva.Rect({ width: 40, height: 40, offsetX: 20, offsetY: 20, name: "lamp-shape" });
-        } else { // Default to circle
+            lampShape = new Konva.Rect({
+                width: 40,
+                height: 40,
+                offsetX: 20,
+                offsetY: 20,
+                name: "lamp-shape",
+            });
+        } else {
+            // Default to circle
             lampShape = new Konva.Circle({ radius: 20, name: "lamp-shape" });
         }
         group.add(lampShape);
+        group.add(
+            createQualityOverlay({
+                x: -20,
+                y: -20,
+                width: 40,
+                height: 40,
+                cornerRadius: 20,
+            }),
+        );
 
-        group.on("click", (e) => handleComponentSelectionClick(group, e, isSimulationModeRef, trRef, selectNodesFuncRef));
+        group.on("click", (e) =>
+            handleComponentSelectionClick(
+                group,
+                e,
+                isSimulationModeRef,
+                trRef,
+                selectNodesFuncRef,
+            ),
+        );
 
         /** Updates the BitLamp's visual state based on its linked variable. */
         group.updateState = function () {
-            const val = getDeviceVariableValue(this.attrs.deviceId, this.attrs.variableName);
-            const state = (val === true || val === 1 || String(val).toLowerCase() === "true" || String(val).toUpperCase() === "ON") ? 1 : 0;
+            const val = getDeviceVariableValue(
+                this.attrs.deviceId,
+                this.attrs.variableName,
+            );
+            const state =
+                val === true ||
+                val === 1 ||
+                String(val).toLowerCase() === "true" ||
+                String(val).toUpperCase() === "ON"
+                    ? 1
+                    : 0;
 
             const currentShape = this.findOne(".lamp-shape");
             // Determine current shape type for comparison. _mockShapeType is for testing.
-            const currentShapeTypeInNode = currentShape._mockShapeType || (currentShape instanceof Konva.Circle ? "circle" : "rect");
+            const currentShapeTypeInNode =
+                currentShape._mockShapeType ||
+                (currentShape instanceof Konva.Circle ? "circle" : "rect");
 
             // If shapeType attribute changed (e.g., via context menu), recreate the shape
             if (this.attrs.shapeType !== currentShapeTypeInNode) {
                 currentShape.destroy();
                 let newShapeInstance;
                 if (this.attrs.shapeType === "circle") {
-                    newShapeInstance = new Konva.Circle({ radius: 20, name: "lamp-shape" });
-                } else { // rect
-                    newShapeInstance = new Konva.Rect({ width: 40, height: 40, offsetX: 20, offsetY: 20, name: "lamp-shape" });
+                    newShapeInstance = new Konva.Circle({
+                        radius: 20,
+                        name: "lamp-shape",
+                    });
+                } else {
+                    // rect
+                    newShapeInstance = new Konva.Rect({
+                        width: 40,
+                        height: 40,
+                        offsetX: 20,
+                        offsetY: 20,
+                        name: "lamp-shape",
+                    });
                 }
                 this.add(newShapeInstance);
                 newShapeInstance.moveToBottom(); // Ensure shape is behind any potential labels (though BitLamp doesn't usually have them)
             }
             // Apply color based on state to the (potentially new) shape
-            this.findOne(".lamp-shape").fill(state === 1 ? this.attrs.onColor : this.attrs.offColor);
+            this.findOne(".lamp-shape").fill(
+                state === 1 ? this.attrs.onColor : this.attrs.offColor,
+            );
+            updateQualityIndicator(this);
         };
         group.updateState(); // Initial state update
         return group;
@@ -320,45 +712,109 @@ export const componentFactory = {
      * @returns {import('konva/lib/Group').Group} The Konva.Group for the BitSwitch.
      */
     createBitSwitch(id, config) {
-        const group = new Konva.Group({ id: id, x: config.x, y: config.y, draggable: false, name: "hmi-component" });
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
         group.setAttrs({
             componentType: "bit-switch",
             label: "Switch", // Default label
-            offColor: "#d9534f", onColor: "#5cb85c",
-            offText: "OFF", onText: "ON",
+            offColor: "#d9534f",
+            onColor: "#5cb85c",
+            offText: "OFF",
+            onText: "ON",
             ...config,
         });
 
-        const background = new Konva.Rect({ width: 80, height: 40, cornerRadius: 5, name: "background" });
+        const background = new Konva.Rect({
+            width: 80,
+            height: 40,
+            cornerRadius: 5,
+            name: "background",
+        });
         group.add(background);
         const text = new Konva.Text({
-            width: 80, height: 40, align: "center", verticalAlign: "middle",
-            fontSize: 16, fill: "white", fontStyle: "bold", name: "state-text",
+            width: 80,
+            height: 40,
+            align: "center",
+            verticalAlign: "middle",
+            fontSize: 16,
+            fill: "white",
+            fontStyle: "bold",
+            name: "state-text",
         });
         group.add(text);
+        group.add(
+            createQualityOverlay({
+                x: 0,
+                y: 0,
+                width: 80,
+                height: 40,
+                cornerRadius: 5,
+            }),
+        );
 
         group.on("click", (e) => {
             if (e.evt.button === 2) return; // Ignore right-click
 
-            if (isSimulationModeRef && isSimulationModeRef()) { // Simulation mode behavior
+            if (isSimulationModeRef && isSimulationModeRef()) {
+                // Simulation mode behavior
                 if (group.attrs.deviceId && group.attrs.variableName) {
-                    const currentVal = getDeviceVariableValue(group.attrs.deviceId, group.attrs.variableName) || 0;
-                    const newVal = (currentVal === 1 || String(currentVal).toLowerCase() === "true") ? 0 : 1;
-                    writeDataToServer(group.attrs.deviceId, group.attrs.variableName, newVal);
+                    const currentVal =
+                        getDeviceVariableValue(
+                            group.attrs.deviceId,
+                            group.attrs.variableName,
+                        ) || 0;
+                    const newVal =
+                        currentVal === 1 ||
+                        String(currentVal).toLowerCase() === "true"
+                            ? 0
+                            : 1;
+                    writeDataToServer(
+                        group.attrs.deviceId,
+                        group.attrs.variableName,
+                        newVal,
+                    );
                 } else {
-                    console.warn("[ComponentFactory] BitSwitch: deviceId or variableName not set. Cannot write data.");
+                    console.warn(
+                        "[ComponentFactory] BitSwitch: deviceId or variableName not set. Cannot write data.",
+                    );
                 }
-            } else { // Design mode behavior (selection)
-                handleComponentSelectionClick(group, e, isSimulationModeRef, trRef, selectNodesFuncRef);
+            } else {
+                // Design mode behavior (selection)
+                handleComponentSelectionClick(
+                    group,
+                    e,
+                    isSimulationModeRef,
+                    trRef,
+                    selectNodesFuncRef,
+                );
             }
         });
 
         /** Updates the BitSwitch's visual state. */
         group.updateState = function () {
-            const val = getDeviceVariableValue(this.attrs.deviceId, this.attrs.variableName);
-            const state = (val === true || val === 1 || String(val).toLowerCase() === "true" || String(val).toUpperCase() === "ON") ? 1 : 0;
-            this.findOne(".background").fill(state === 1 ? this.attrs.onColor : this.attrs.offColor);
-            this.findOne(".state-text").text(state === 1 ? this.attrs.onText : this.attrs.offText);
+            const val = getDeviceVariableValue(
+                this.attrs.deviceId,
+                this.attrs.variableName,
+            );
+            const state =
+                val === true ||
+                val === 1 ||
+                String(val).toLowerCase() === "true" ||
+                String(val).toUpperCase() === "ON"
+                    ? 1
+                    : 0;
+            this.findOne(".background").fill(
+                state === 1 ? this.attrs.onColor : this.attrs.offColor,
+            );
+            this.findOne(".state-text").text(
+                state === 1 ? this.attrs.onText : this.attrs.offText,
+            );
+            updateQualityIndicator(this);
         };
         group.updateState();
         return group;
@@ -372,48 +828,117 @@ export const componentFactory = {
      * @param {string} id - Unique ID for this WordLamp.
      * @param {object} config - Configuration object. Expected properties:
      *                          `x`, `y`, `deviceId`, `variableName`, `label`.
-     *                          `states` (Array<object>): State definitions. Each object:
-     *                              `value` (number|string): Value to match.
+     *                          `states` (Array<object>): State definitions; the first matching state is shown. Each object:
+     *                              `value` (number|string): Value to match (if no range is set).
+     *                              `min`, `max` (number, optional): Inclusive value range to match instead.
      *                              `text` (string): Display text.
      *                              `color` (string): Background hex color.
+     *                              `blink` (boolean, optional): Blink while this state is shown.
      *                          Default states: `[{ value: 0, text: "STOPPED", color: "#d9534f" }, { value: 1, text: "RUNNING", color: "#5cb85c" }]`.
+     *                          `fallbackText`, `fallbackColor`, `fallbackBlink`: Shown when no state matches.
+     *                          Default: "N/A", "#f0ad4e", false.
      * @returns {import('konva/lib/Group').Group} The Konva.Group for the WordLamp.
      */
     createWordLamp(id, config) {
-        const group = new Konva.Group({ id: id, x: config.x, y: config.y, draggable: false, name: "hmi-component" });
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
         group.setAttrs({
             componentType: "word-lamp",
             label: "Status Indicator", // Default label
-            states: [ // Default states
+            states: [
+                // Default states
                 { value: 0, text: "STOPPED", color: "#d9534f" },
                 { value: 1, text: "RUNNING", color: "#5cb85c" },
             ],
+            fallbackText: "N/A",
+            fallbackColor: "#f0ad4e",
+            fallbackBlink: false,
             ...config,
         });
+        if (typeof group.attrs.states === "string") {
+            // The former states selector stored the states as a JSON string
+            try {
+                group.setAttrs({ states: JSON.parse(group.attrs.states) });
+            } catch (e) {
+                console.warn(
+                    `[ComponentFactory] WordLamp ${id}: invalid states JSON, using no states.`,
+                    e,
+                );
+                group.setAttrs({ states: [] });
+            }
+        }
 
         const background = new Konva.Rect({
-            width: 120, height: 40, fill: "#333", stroke: "#555",
-            strokeWidth: 2, cornerRadius: 5, name: "background",
+            width: 120,
+            height: 40,
+            fill: "#333",
+            stroke: "#555",
+            strokeWidth: 2,
+            cornerRadius: 5,
+            name: "background",
         });
         group.add(background);
         const text = new Konva.Text({
-            width: 120, height: 40, align: "center", verticalAlign: "middle",
-            fontSize: 16, fill: "white", fontStyle: "bold", name: "state-text",
+            width: 120,
+            height: 40,
+            align: "center",
+            verticalAlign: "middle",
+            fontSize: 16,
+            fill: "white",
+            fontStyle: "bold",
+            name: "state-text",
         });
         group.add(text);
+        group.add(
+            createQualityOverlay({
+                x: 0,
+                y: 0,
+                width: 120,
+                height: 40,
+                cornerRadius: 5,
+            }),
+        );
 
-        group.on("click", (e) => handleComponentSelectionClick(group, e, isSimulationModeRef, trRef, selectNodesFuncRef));
+        group.on("click", (e) =>
+            handleComponentSelectionClick(
+                group,
+                e,
+                isSimulationModeRef,
+                trRef,
+                selectNodesFuncRef,
+            ),
+        );
 
-        /** Updates the WordLamp's visual state. */
+        /**
+         * Updates the WordLamp's visual state. Blinking follows the clock, so it animates with
+         * the periodic `updateState` calls of simulation mode.
+         */
         group.updateState = function () {
-            const val = getDeviceVariableValue(this.attrs.deviceId, this.attrs.variableName) ?? 0; // Default to 0 if undefined
-            const numVal = Number(val); // Attempt to convert to number for numeric state matching
-            const strVal = String(val).toLowerCase(); // For string state matching
-
-            const stateConfig = this.attrs.states.find(s => s.value == numVal || String(s.value).toLowerCase() == strVal) ||
-                                { text: "N/A", color: "#f0ad4e" }; // Fallback state
-            this.findOne(".background").fill(stateConfig.color);
+            const val =
+                getDeviceVariableValue(
+                    this.attrs.deviceId,
+                    this.attrs.variableName,
+                ) ?? 0; // Default to 0 if undefined
+            const stateConfig = (this.attrs.states || []).find((s) =>
+                wordLampStateMatches(s, val),
+            ) || {
+                text: this.attrs.fallbackText,
+                color: this.attrs.fallbackColor,
+                blink: this.attrs.fallbackBlink,
+            };
+            const blinkOff =
+                stateConfig.blink &&
+                Math.floor(Date.now() / WORD_LAMP_BLINK_INTERVAL_MS) % 2 === 1;
+            this.findOne(".background").fill(
+                blinkOff ? "#333" : stateConfig.color,
+            );
             this.findOne(".state-text").text(stateConfig.text);
+            updateQualityIndicator(this);
         };
         group.updateState();
         return group;
@@ -422,46 +947,1367 @@ export const componentFactory = {
     /**
      * Creates a NumericDisplay HMI component.
      * Displays a numeric value from a linked device variable, formatted with decimal places and units.
+     * Values arrive already scaled to engineering units by the server device.
      *
      * @param {string} id - Unique ID for this NumericDisplay.
      * @param {object} config - Configuration object. Expected properties:
      *                          `x`, `y`, `deviceId`, `variableName`, `label`.
-     *                          `units` (string): Units to append (e.g., "°C"). Default: "°C".
+     *                          `units` (string): Units to append (e.g., "°C"). Default: "" (use the
+     *                          variable's engineering unit).
      *                          `decimalPlaces` (number): Decimal places for formatting. Default: 2.
      * @returns {import('konva/lib/Group').Group} The Konva.Group for the NumericDisplay.
      */
     createNumericDisplay(id, config) {
-        const group = new Konva.Group({ id: id, x: config.x, y: config.y, draggable: false, name: "hmi-component" });
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
         group.setAttrs({
             componentType: "numeric-display",
             label: "Value Display", // Default label
-            units: "Value", // Default unit text
+            units: "", // Empty: fall back to the variable's engineering unit
             decimalPlaces: 2, // Default decimal places
             ...config,
         });
 
-        const background = new Konva.Rect({ width: 120, height: 50, fill: "#1f2937", stroke: "#4b5563", strokeWidth: 1, cornerRadius: 3, name: "background" });
+        const background = new Konva.Rect({
+            width: 120,
+            height: 50,
+            fill: "#1f2937",
+            stroke: "#4b5563",
+            strokeWidth: 1,
+            cornerRadius: 3,
+            name: "background",
+        });
         group.add(background);
         const valueText = new Konva.Text({
-            y: 25, width: 120, align: "center", verticalAlign: "middle",
-            fontSize: 22, fill: "#67e8f9", fontStyle: "bold", name: "value-text",
+            y: 25,
+            width: 120,
+            align: "center",
+            verticalAlign: "middle",
+            fontSize: 22,
+            fill: "#67e8f9",
+            fontStyle: "bold",
+            name: "value-text",
         });
         group.add(valueText);
         const labelText = new Konva.Text({
-            y: 5, width: 120, align: "center",
-            fontSize: 11, fill: "#9ca3af", name: "label-text",
+            y: 5,
+            width: 120,
+            align: "center",
+            fontSize: 11,
+            fill: "#9ca3af",
+            name: "label-text",
         });
         group.add(labelText);
+        group.add(
+            createQualityOverlay({
+                x: 0,
+                y: 0,
+                width: 120,
+                height: 50,
+                cornerRadius: 3,
+            }),
+        );
 
-        group.on("click", (e) => handleComponentSelectionClick(group, e, isSimulationModeRef, trRef, selectNodesFuncRef));
+        group.on("click", (e) =>
+            handleComponentSelectionClick(
+                group,
+                e,
+                isSimulationModeRef,
+                trRef,
+                selectNodesFuncRef,
+            ),
+        );
 
         /** Updates the NumericDisplay's visual state. */
         group.updateState = function () {
-            const val = getDeviceVariableValue(this.attrs.deviceId, this.attrs.variableName);
+            const val = getDeviceVariableValue(
+                this.attrs.deviceId,
+                this.attrs.variableName,
+            );
             const numVal = parseFloat(val);
-            const displayVal = !isNaN(numVal) ? numVal.toFixed(this.attrs.decimalPlaces) : "---";
+            const displayVal = !isNaN(numVal)
+                ? numVal.toFixed(this.attrs.decimalPlaces)
+                : "---";
             this.findOne(".value-text").text(displayVal);
-            this.findOne(".label-text").text(`${this.attrs.label} (${this.attrs.units})`);
+            const variable = getDeviceById(
+                this.attrs.deviceId,
+            )?.variables?.find((v) => v.name === this.attrs.variableName);
+            const units = this.attrs.units || variable?.engineeringUnit || "";
+            this.findOne(".label-text").text(
+                units ? `${this.attrs.label} (${units})` : this.attrs.label,
+            );
+            updateQualityIndicator(this);
+        };
+        group.updateState();
+        return group;
+    },
+
+    /**
+     * Creates a NumericInput HMI component (setpoint entry).
+     * Shows the value of a linked device variable like a NumericDisplay. In simulation mode a click
+     * opens the numeric keypad; the entered value is validated against the limits, optionally
+     * confirmed, and written with `writeDataToServer`. The write is shown as pending until the
+     * device reports the new value, and as failed if the server reports an error or the device
+     * does not report the value within {@link NUMERIC_INPUT_WRITE_TIMEOUT_MS}.
+     *
+     * @param {string} id - Unique ID for this NumericInput.
+     * @param {object} config - Configuration object. Expected properties:
+     *                          `x`, `y`, `deviceId`, `variableName`, `label`, `units`, `decimalPlaces`.
+     *                          `min`, `max` (number|null): Accepted range. Default: null (use the
+     *                          variable's `euMin`/`euMax`, if any).
+     *                          `step` (number|null): Accepted values are multiples of this step
+     *                          (counted from `min`). Default: null (any value).
+     *                          `confirmWrite` (boolean): Ask for confirmation before writing. Default: false.
+     * @returns {import('konva/lib/Group').Group} The Konva.Group for the NumericInput.
+     */
+    createNumericInput(id, config) {
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
+        group.setAttrs({
+            componentType: "numeric-input",
+            label: "Setpoint", // Default label
+            units: "", // Empty: fall back to the variable's engineering unit
+            decimalPlaces: 2,
+            min: null,
+            max: null,
+            step: null,
+            confirmWrite: false,
+            ...config,
+        });
+
+        const background = new Konva.Rect({
+            width: 120,
+            height: 50,
+            fill: "#111827",
+            stroke: "#10b981",
+            strokeWidth: 1,
+            cornerRadius: 3,
+            name: "background",
+        });
+        group.add(background);
+        const valueText = new Konva.Text({
+            y: 20,
+            width: 120,
+            align: "center",
+            fontSize: 20,
+            fill: "#6ee7b7",
+            fontStyle: "bold",
+            name: "value-text",
+        });
+        group.add(valueText);
+        const labelText = new Konva.Text({
+            y: 5,
+            width: 120,
+            align: "center",
+            fontSize: 11,
+            fill: "#9ca3af",
+            name: "label-text",
+        });
+        group.add(labelText);
+        const statusText = new Konva.Text({
+            y: 40,
+            width: 116,
+            align: "right",
+            fontSize: 9,
+            fill: "#fbbf24",
+            name: "status-text",
+        });
+        group.add(statusText);
+        group.add(
+            createQualityOverlay({
+                x: 0,
+                y: 0,
+                width: 120,
+                height: 50,
+                cornerRadius: 3,
+            }),
+        );
+
+        /** Last written value not yet echoed by the device: `{ value, sentAt, failed, refused }`. */
+        let pendingWrite = null;
+
+        const getVariable = () =>
+            getDeviceById(group.attrs.deviceId)?.variables?.find(
+                (v) => v.name === group.attrs.variableName,
+            );
+
+        /**
+         * Returns the limits an entry is validated against: the component's `min`/`max`, falling
+         * back to the variable's engineering range, and `step`.
+         * @returns {{min?: number, max?: number, step?: number}}
+         */
+        group.getWriteLimits = function () {
+            const variable = getVariable();
+            const pick = (value, fallback) =>
+                Number.isFinite(parseFloat(value))
+                    ? parseFloat(value)
+                    : fallback;
+            return {
+                min: pick(this.attrs.min, variable?.euMin),
+                max: pick(this.attrs.max, variable?.euMax),
+                step: pick(this.attrs.step, undefined),
+            };
+        };
+
+        /** @returns {"idle"|"pending"|"failed"} State of the last write. */
+        group.getWriteStatus = () =>
+            !pendingWrite ? "idle" : pendingWrite.failed ? "failed" : "pending";
+
+        /**
+         * Writes a value to the bound variable and shows it as pending. A write the server reports
+         * as failed (after one retry) or refused is shown as failed right away.
+         * @param {number} value - The (validated) value.
+         * @returns {Promise<void>} Resolves when the server has answered the write.
+         */
+        group.writeValue = async function (value) {
+            const write = { value, sentAt: Date.now(), failed: false };
+            pendingWrite = write;
+            this.updateState();
+            const result = await writeDataToServer(
+                this.attrs.deviceId,
+                this.attrs.variableName,
+                value,
+                { retries: 1, notify: false },
+            );
+            if (pendingWrite !== write || result?.status === "success") return; // Superseded, or wait for the echo
+            write.failed = true;
+            write.refused = result?.status === "not_permitted";
+            this.updateState();
+        };
+
+        group.on("click", async (e) => {
+            if (
+                handleComponentSelectionClick(
+                    group,
+                    e,
+                    isSimulationModeRef,
+                    trRef,
+                    selectNodesFuncRef,
+                )
+            )
+                return;
+            const { deviceId, variableName, label } = group.attrs;
+            if (!deviceId || !variableName) {
+                console.warn(
+                    "[ComponentFactory] NumericInput: deviceId or variableName not set. Cannot write data.",
+                );
+                return;
+            }
+            const units =
+                group.attrs.units || getVariable()?.engineeringUnit || "";
+            const value = await openNumericKeypad({
+                title: label,
+                value: getDeviceVariableValue(deviceId, variableName),
+                unit: units,
+                ...group.getWriteLimits(),
+            });
+            if (value === null) return; // Cancelled
+            if (
+                group.attrs.confirmWrite &&
+                !confirm(
+                    `Tulis ${value}${units ? ` ${units}` : ""} ke "${label}"?`,
+                )
+            )
+                return;
+            await group.writeValue(value);
+        });
+
+        /** Updates the NumericInput's value and write status. */
+        group.updateState = function () {
+            const val = getDeviceVariableValue(
+                this.attrs.deviceId,
+                this.attrs.variableName,
+            );
+            const numVal = parseFloat(val);
+            if (pendingWrite) {
+                if (
+                    !isNaN(numVal) &&
+                    numericValuesEqual(numVal, pendingWrite.value)
+                ) {
+                    pendingWrite = null; // Echoed by the device
+                } else if (
+                    !pendingWrite.failed &&
+                    Date.now() - pendingWrite.sentAt >
+                        NUMERIC_INPUT_WRITE_TIMEOUT_MS
+                ) {
+                    pendingWrite.failed = true;
+                }
+            }
+            const status = this.getWriteStatus();
+            this.findOne(".value-text").text(
+                !isNaN(numVal)
+                    ? numVal.toFixed(this.attrs.decimalPlaces)
+                    : "---",
+            );
+            const units =
+                this.attrs.units || getVariable()?.engineeringUnit || "";
+            this.findOne(".label-text").text(
+                units ? `${this.attrs.label} (${units})` : this.attrs.label,
+            );
+            this.findOne(".status-text").setAttrs({
+                text:
+                    status === "pending"
+                        ? `menunggu ${pendingWrite.value}`
+                        : status === "failed"
+                          ? pendingWrite.refused
+                              ? "tidak diizinkan"
+                              : "gagal menulis"
+                          : "",
+                fill: status === "failed" ? "#f87171" : "#fbbf24",
+            });
+            this.findOne(".background").setAttrs({
+                stroke:
+                    status === "failed"
+                        ? "#f87171"
+                        : status === "pending"
+                          ? "#fbbf24"
+                          : "#10b981",
+            });
+            updateQualityIndicator(this);
+        };
+        group.updateState();
+        return group;
+    },
+
+    /**
+     * Creates a TrendChart HMI component.
+     * Plots one or more device variables ("pens") over a rolling time window. Live values are
+     * buffered as they arrive and the visible window is backfilled from the server historian, so a
+     * freshly opened chart is not empty. In simulation mode the chart can be paused (click the
+     * LIVE/PAUSED badge), scrolled back into history with the mouse wheel, and hovered to read every
+     * pen's value at the cursor. Pens whose value quality is not `good` are drawn dashed.
+     *
+     * @param {string} id - Unique ID for this TrendChart.
+     * @param {object} config - Configuration object. Expected properties:
+     *                          `x`, `y`, `label`.
+     *                          `pens` (Array<object>): Plotted variables. Each object:
+     *                              `deviceId` (string), `variableName` (string): Bound variable.
+     *                              `color` (string): Line color.
+     *                              `min`, `max` (number): Y-axis range of the pen. Default: 0..100.
+     *                          Default: `[]`.
+     *                          `timeWindowSec` (number): Visible time window in seconds. Default: 300.
+     *                          `width`, `height` (number): Chart size in pixels. Default: 320 x 180.
+     * @returns {import('konva/lib/Group').Group} The Konva.Group for the TrendChart.
+     */
+    createTrendChart(id, config) {
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
+        group.setAttrs({
+            componentType: "trend-chart",
+            label: "Trend", // Default label
+            timeWindowSec: 300,
+            width: 320,
+            height: 180,
+            ...config,
+            pens: (Array.isArray(config.pens) ? config.pens : []).map(
+                (pen) => ({ ...pen }),
+            ), // Never share pen objects between charts
+        });
+
+        const background = new Konva.Rect({
+            fill: "#111827",
+            stroke: "#4b5563",
+            strokeWidth: 1,
+            cornerRadius: 3,
+            name: "background",
+        });
+        group.add(background);
+        const plotArea = new Konva.Rect({
+            x: TREND_PLOT_MARGIN.left,
+            y: TREND_PLOT_MARGIN.top,
+            stroke: "#374151",
+            strokeWidth: 1,
+            name: "plot-area",
+        });
+        group.add(plotArea);
+        const labelText = new Konva.Text({
+            x: 6,
+            y: 5,
+            fontSize: 11,
+            fill: "#9ca3af",
+            name: "label-text",
+        });
+        group.add(labelText);
+        const modeText = new Konva.Text({
+            y: 5,
+            width: 54,
+            align: "right",
+            fontSize: 10,
+            fontStyle: "bold",
+            name: "mode-text",
+        });
+        group.add(modeText);
+        const axisTextConfig = { fontSize: 9, fill: "#9ca3af" };
+        const yMaxText = new Konva.Text({
+            ...axisTextConfig,
+            x: 2,
+            width: TREND_PLOT_MARGIN.left - 6,
+            align: "right",
+            name: "y-max-text",
+        });
+        const yMinText = new Konva.Text({
+            ...axisTextConfig,
+            x: 2,
+            width: TREND_PLOT_MARGIN.left - 6,
+            align: "right",
+            name: "y-min-text",
+        });
+        const timeStartText = new Konva.Text({
+            ...axisTextConfig,
+            x: TREND_PLOT_MARGIN.left,
+            name: "time-start-text",
+        });
+        const timeEndText = new Konva.Text({
+            ...axisTextConfig,
+            width: 60,
+            align: "right",
+            name: "time-end-text",
+        });
+        [yMaxText, yMinText, timeStartText, timeEndText].forEach((shape) =>
+            group.add(shape),
+        );
+        const penGroup = new Konva.Group({
+            name: "pen-lines",
+            listening: false,
+        });
+        group.add(penGroup);
+        const cursorLine = new Konva.Line({
+            stroke: "#e5e7eb",
+            strokeWidth: 1,
+            dash: [3, 3],
+            visible: false,
+            listening: false,
+            name: "cursor-line",
+        });
+        group.add(cursorLine);
+        const cursorText = new Konva.Text({
+            fontSize: 10,
+            fill: "#f9fafb",
+            lineHeight: 1.3,
+            visible: false,
+            listening: false,
+            name: "cursor-text",
+        });
+        group.add(cursorText);
+
+        // Runtime-only state, kept out of attrs so it is never serialized with the layout.
+        /** @type {Map<string, Array<{t: number, value: number}>>} Live samples per pen key. */
+        const liveSamples = new Map();
+        /** @type {Map<string, Array<{t: number, value: number}>>} Historian samples per pen key. */
+        const historySamples = new Map();
+        /** @type {Array<{line: import('konva/lib/shapes/Line').Line, legend: import('konva/lib/shapes/Text').Text}>} */
+        const penShapes = [];
+        let pausedAt = null; // End of the visible window while paused; null while following live data
+        let cursorTime = null;
+        let historyRequestNo = 0;
+        let historyKey = null; // Pens and window the current history backfill was loaded for
+
+        const isBound = (pen) => Boolean(pen.deviceId && pen.variableName);
+        const getWindowMs = () =>
+            Math.max(1, Number(group.attrs.timeWindowSec) || 300) * 1000;
+        const getViewRange = () => {
+            const end = pausedAt ?? Date.now();
+            return { start: end - getWindowMs(), end };
+        };
+        const getPlotBounds = () => ({
+            x: TREND_PLOT_MARGIN.left,
+            y: TREND_PLOT_MARGIN.top,
+            width: Math.max(
+                1,
+                group.attrs.width -
+                    TREND_PLOT_MARGIN.left -
+                    TREND_PLOT_MARGIN.right,
+            ),
+            height: Math.max(
+                1,
+                group.attrs.height -
+                    TREND_PLOT_MARGIN.top -
+                    TREND_PLOT_MARGIN.bottom,
+            ),
+        });
+        /** Historian samples older than the live buffer, followed by the live buffer. */
+        const getSeries = (pen) => {
+            const live = liveSamples.get(trendPenKey(pen)) || [];
+            const firstLiveTime = live.length ? live[0].t : Infinity;
+            return (historySamples.get(trendPenKey(pen)) || [])
+                .filter((s) => s.t < firstLiveTime)
+                .concat(live);
+        };
+
+        /** Replaces the historian samples with those of [from, to]; stale responses are dropped. */
+        const loadHistory = (from, to) => {
+            const requestNo = ++historyRequestNo;
+            const pens = group.attrs.pens.filter(isBound);
+            const maxPoints = Math.round(getPlotBounds().width);
+            Promise.all(
+                pens.map((pen) =>
+                    queryHistory({
+                        deviceId: pen.deviceId,
+                        variableName: pen.variableName,
+                        from,
+                        to,
+                        maxPoints,
+                    })
+                        .then((result) =>
+                            (result.points || [])
+                                .map((point) => ({
+                                    t: point.t,
+                                    value: parseFloat(point.avg ?? point.value),
+                                }))
+                                .filter((sample) =>
+                                    Number.isFinite(sample.value),
+                                ),
+                        )
+                        .catch((error) => {
+                            console.warn(
+                                `[ComponentFactory] TrendChart: history of ${pen.deviceId}.${pen.variableName} unavailable:`,
+                                error?.message || error,
+                            );
+                            return [];
+                        })
+                        .then((samples) => [trendPenKey(pen), samples]),
+                ),
+            ).then((entries) => {
+                if (requestNo !== historyRequestNo) return; // Superseded by a newer scroll or pen change
+                historySamples.clear();
+                entries.forEach(([key, samples]) =>
+                    historySamples.set(key, samples),
+                );
+                group.renderChart();
+            });
+        };
+
+        /** Appends the current value of every bound pen to its live buffer. */
+        const recordLiveSamples = () => {
+            group.attrs.pens.filter(isBound).forEach((pen) => {
+                const value = parseFloat(
+                    getDeviceVariableValue(pen.deviceId, pen.variableName),
+                );
+                const meta = getDeviceVariableMeta(
+                    pen.deviceId,
+                    pen.variableName,
+                );
+                if (!Number.isFinite(value) || meta.quality !== "good") return;
+                const t = meta.timestamp
+                    ? Date.parse(meta.timestamp)
+                    : Date.now();
+                const key = trendPenKey(pen);
+                const buffer = liveSamples.get(key) || [];
+                const last = buffer[buffer.length - 1];
+                // Without a server timestamp only a changed value counts as a new sample
+                if (
+                    last &&
+                    (last.t >= t || (!meta.timestamp && last.value === value))
+                )
+                    return;
+                buffer.push({ t, value });
+                if (buffer.length > TREND_MAX_LIVE_POINTS)
+                    buffer.splice(0, buffer.length - TREND_MAX_LIVE_POINTS);
+                liveSamples.set(key, buffer);
+            });
+        };
+
+        /** Keeps one line and one legend entry per pen. */
+        const syncPenShapes = () => {
+            while (penShapes.length < group.attrs.pens.length) {
+                const line = new Konva.Line({
+                    strokeWidth: 1.5,
+                    lineJoin: "round",
+                    listening: false,
+                    name: "pen-line",
+                });
+                const legend = new Konva.Text({
+                    fontSize: 9,
+                    listening: false,
+                    name: "pen-legend",
+                });
+                penGroup.add(line);
+                penGroup.add(legend);
+                penShapes.push({ line, legend });
+            }
+            while (penShapes.length > group.attrs.pens.length) {
+                const { line, legend } = penShapes.pop();
+                line.destroy();
+                legend.destroy();
+            }
+        };
+
+        group.on("click", (e) => {
+            if (
+                handleComponentSelectionClick(
+                    group,
+                    e,
+                    isSimulationModeRef,
+                    trRef,
+                    selectNodesFuncRef,
+                )
+            )
+                return;
+            // Simulation mode: the LIVE/PAUSED badge toggles pause
+            if (e.target?.name?.() === "mode-text") {
+                if (group.isPaused()) group.resume();
+                else group.pause();
+            }
+        });
+        group.on("wheel", (e) => {
+            if (!isSimulationModeRef || !isSimulationModeRef()) return;
+            e.evt.preventDefault();
+            // Wheel up scrolls back in time, wheel down towards live data
+            group.scrollBy((Math.sign(e.evt.deltaY) * getWindowMs()) / 4);
+        });
+        group.on("mousemove", () => {
+            if (!isSimulationModeRef || !isSimulationModeRef()) return;
+            const pointer = group.getRelativePointerPosition();
+            const plot = getPlotBounds();
+            const { start } = getViewRange();
+            const insidePlot =
+                pointer &&
+                pointer.x >= plot.x &&
+                pointer.x <= plot.x + plot.width &&
+                pointer.y >= plot.y &&
+                pointer.y <= plot.y + plot.height;
+            cursorTime = insidePlot
+                ? start + ((pointer.x - plot.x) / plot.width) * getWindowMs()
+                : null;
+            group.renderChart();
+        });
+        group.on("mouseleave", () => {
+            cursorTime = null;
+            group.renderChart();
+        });
+        group.on("transformend", function () {
+            // Resize the chart instead of scaling it, so text and line widths stay crisp
+            this.setAttrs({
+                width: Math.max(
+                    120,
+                    Math.round(this.attrs.width * this.scaleX()),
+                ),
+                height: Math.max(
+                    80,
+                    Math.round(this.attrs.height * this.scaleY()),
+                ),
+            });
+            this.scaleX(1);
+            this.scaleY(1);
+            this.renderChart();
+            saveState();
+        });
+
+        /** @returns {boolean} `true` while the chart is paused or scrolled back into history. */
+        group.isPaused = () => pausedAt !== null;
+        /** Freezes the visible window at the current time. */
+        group.pause = function () {
+            if (pausedAt !== null) return;
+            pausedAt = Date.now();
+            this.renderChart();
+        };
+        /** Returns to following live data. */
+        group.resume = function () {
+            pausedAt = null;
+            const { start, end } = getViewRange();
+            loadHistory(start, end);
+            this.renderChart();
+        };
+        /**
+         * Moves the visible window; negative values scroll back into history. Scrolling back pauses
+         * the chart, scrolling forward past the current time resumes it.
+         * @param {number} deltaMs - Shift of the window in milliseconds.
+         */
+        group.scrollBy = function (deltaMs) {
+            const end = (pausedAt ?? Date.now()) + deltaMs;
+            if (end >= Date.now()) {
+                this.resume();
+                return;
+            }
+            pausedAt = end;
+            loadHistory(end - getWindowMs(), end);
+            this.renderChart();
+        };
+        /**
+         * Returns the value of every pen at a given time, as shown by the cursor readout.
+         * @param {number} t - Time in milliseconds since the epoch.
+         * @returns {{t: number, values: Array<{deviceId: string, variableName: string, color: string, value: number|undefined}>}}
+         */
+        group.getReadoutAt = function (t) {
+            return {
+                t,
+                values: this.attrs.pens.map((pen) => ({
+                    deviceId: pen.deviceId,
+                    variableName: pen.variableName,
+                    color: pen.color,
+                    value: isBound(pen)
+                        ? trendValueAt(getSeries(pen), t)
+                        : undefined,
+                })),
+            };
+        };
+
+        /** Redraws the chart for the current window, pens and cursor. */
+        group.renderChart = function () {
+            const { width, height, pens } = this.attrs;
+            const plot = getPlotBounds();
+            const windowMs = getWindowMs();
+            const { start, end } = getViewRange();
+            const toX = (t) => plot.x + ((t - start) / windowMs) * plot.width;
+
+            background.setAttrs({ width, height });
+            plotArea.setAttrs({ width: plot.width, height: plot.height });
+            labelText.text(this.attrs.label);
+            modeText.setAttrs({
+                x: width - 60,
+                text: pausedAt !== null ? "PAUSED" : "LIVE",
+                fill: pausedAt !== null ? "#f59e0b" : "#22c55e",
+            });
+            timeStartText.setAttrs({
+                y: plot.y + plot.height + 4,
+                text: formatTrendTime(start),
+            });
+            timeEndText.setAttrs({
+                x: plot.x + plot.width - 60,
+                y: plot.y + plot.height + 4,
+                text: formatTrendTime(end),
+            });
+            penGroup.setAttrs({
+                clipX: plot.x,
+                clipY: plot.y,
+                clipWidth: plot.width,
+                clipHeight: plot.height,
+            });
+
+            syncPenShapes();
+            pens.forEach((pen, index) => {
+                const min = Number(pen.min ?? 0);
+                const max = Number(pen.max ?? 100);
+                const span = max - min || 1;
+                const toY = (value) =>
+                    plot.y +
+                    plot.height -
+                    Math.min(Math.max((value - min) / span, 0), 1) *
+                        plot.height;
+                const samples = isBound(pen) ? getSeries(pen) : [];
+                const visible = samples.filter(
+                    (s) => s.t >= start && s.t <= end,
+                );
+                const before = samples.filter((s) => s.t < start).pop();
+                if (before) visible.unshift({ t: start, value: before.value }); // Enter from the left edge
+                if (pausedAt === null && visible.length) {
+                    visible.push({
+                        t: end,
+                        value: visible[visible.length - 1].value,
+                    }); // Hold the last value until now
+                }
+                const quality = isBound(pen)
+                    ? getDeviceVariableMeta(pen.deviceId, pen.variableName)
+                          .quality
+                    : "uninitialized";
+                const { line, legend } = penShapes[index];
+                line.setAttrs({
+                    points: visible.flatMap((s) => [toX(s.t), toY(s.value)]),
+                    stroke:
+                        pen.color ||
+                        TREND_PEN_COLORS[index % TREND_PEN_COLORS.length],
+                    dash: quality === "good" ? [] : [4, 3],
+                });
+                const name = isBound(pen)
+                    ? pen.variableName
+                    : "(belum di-bind)";
+                legend.setAttrs({
+                    x: plot.x + 4,
+                    y: plot.y + 3 + index * 11,
+                    text: quality === "good" ? name : `${name} [${quality}]`,
+                    fill:
+                        pen.color ||
+                        TREND_PEN_COLORS[index % TREND_PEN_COLORS.length],
+                });
+            });
+
+            // The Y-axis shows the range of the first pen, in its color
+            const axisPen = pens[0];
+            yMaxText.setAttrs({
+                y: plot.y - 4,
+                text: axisPen ? String(axisPen.max ?? 100) : "",
+                fill: axisPen?.color || "#9ca3af",
+            });
+            yMinText.setAttrs({
+                y: plot.y + plot.height - 6,
+                text: axisPen ? String(axisPen.min ?? 0) : "",
+                fill: axisPen?.color || "#9ca3af",
+            });
+
+            if (
+                cursorTime !== null &&
+                cursorTime >= start &&
+                cursorTime <= end
+            ) {
+                const x = toX(cursorTime);
+                const readout = this.getReadoutAt(cursorTime);
+                const lines = [formatTrendTime(cursorTime)].concat(
+                    readout.values.map(
+                        (entry) =>
+                            `${entry.variableName || "-"}: ${entry.value !== undefined ? entry.value.toFixed(2) : "---"}`,
+                    ),
+                );
+                cursorLine.setAttrs({
+                    points: [x, plot.y, x, plot.y + plot.height],
+                    visible: true,
+                });
+                // Keep the readout inside the plot: right of the cursor on the left half, left of it otherwise
+                cursorText.setAttrs({
+                    text: lines.join("\n"),
+                    x: x < plot.x + plot.width / 2 ? x + 4 : x - 100,
+                    width: 96,
+                    align: x < plot.x + plot.width / 2 ? "left" : "right",
+                    y: plot.y + 3,
+                    visible: true,
+                });
+                cursorText.moveToTop();
+            } else {
+                cursorLine.visible(false);
+                cursorText.visible(false);
+            }
+        };
+
+        /** Records new live values, reloads history if pens or window changed, and redraws. */
+        group.updateState = function () {
+            const { start, end } = getViewRange();
+            const key = `${this.attrs.pens.filter(isBound).map(trendPenKey).join("|")}@${getWindowMs()}`;
+            if (key !== historyKey) {
+                historyKey = key;
+                if (this.attrs.pens.some(isBound)) loadHistory(start, end);
+            }
+            recordLiveSamples();
+            this.renderChart();
+        };
+        group.updateState();
+        return group;
+    },
+
+    /**
+     * Creates an AlarmSummary HMI component: a table of the current alarms with their time,
+     * priority, tag and message. Rows of unacknowledged alarms flash and carry an ACK button,
+     * which acknowledges the alarm in simulation mode. Shelved alarms are not listed.
+     *
+     * @param {string} id - Unique ID for this AlarmSummary.
+     * @param {object} config - Configuration object. Expected properties:
+     *                          `x`, `y`, `label`.
+     *                          `minPriority` (string): Least urgent priority listed. Default: "low" (all).
+     *                          `deviceFilter` (string): Only list alarms of this device ID. Default: "" (all devices).
+     *                          `sortBy` (string, "priority"|"time"): Row order. Default: "priority".
+     *                          `width`, `height` (number): Table size in pixels. Default: 520 x 180.
+     * @returns {import('konva/lib/Group').Group} The Konva.Group for the AlarmSummary.
+     */
+    createAlarmSummary(id, config) {
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
+        group.setAttrs({
+            componentType: "alarm-summary",
+            label: "Alarms", // Default label
+            minPriority: "low",
+            deviceFilter: "",
+            sortBy: "priority",
+            width: 520,
+            height: 180,
+            ...config,
+        });
+
+        const rowHeight = 18;
+        const headerY = 22;
+        const firstRowY = headerY + rowHeight;
+        const background = new Konva.Rect({
+            fill: "#111827",
+            stroke: "#4b5563",
+            strokeWidth: 1,
+            cornerRadius: 3,
+            name: "background",
+        });
+        group.add(background);
+        const titleText = new Konva.Text({
+            x: 6,
+            y: 5,
+            fontSize: 11,
+            fill: "#9ca3af",
+            name: "label-text",
+        });
+        group.add(titleText);
+        const headerBackground = new Konva.Rect({
+            x: 1,
+            y: headerY,
+            height: rowHeight,
+            fill: "#1f2937",
+            name: "header-background",
+        });
+        group.add(headerBackground);
+        const headerTextConfig = {
+            y: headerY + 4,
+            fontSize: 10,
+            fontStyle: "bold",
+            fill: "#d1d5db",
+        };
+        const headerMessageText = new Konva.Text({
+            ...headerTextConfig,
+            x: 200,
+            text: "Tag / Pesan",
+            name: "header-message",
+        });
+        [
+            new Konva.Text({ ...headerTextConfig, x: 10, text: "Waktu" }),
+            new Konva.Text({ ...headerTextConfig, x: 70, text: "Prioritas" }),
+            new Konva.Text({ ...headerTextConfig, x: 130, text: "Status" }),
+            headerMessageText,
+        ].forEach((shape) => group.add(shape));
+        const rowsGroup = new Konva.Group({ name: "alarm-rows" });
+        group.add(rowsGroup);
+
+        group.on("click", (e) => {
+            if (
+                handleComponentSelectionClick(
+                    group,
+                    e,
+                    isSimulationModeRef,
+                    trRef,
+                    selectNodesFuncRef,
+                )
+            )
+                return;
+            handleAlarmAckClick(e);
+        });
+        group.on("transformend", function () {
+            // Resize the table instead of scaling it, so text stays crisp
+            this.setAttrs({
+                width: Math.max(
+                    300,
+                    Math.round(this.attrs.width * this.scaleX()),
+                ),
+                height: Math.max(
+                    60,
+                    Math.round(this.attrs.height * this.scaleY()),
+                ),
+            });
+            this.scaleX(1);
+            this.scaleY(1);
+            this.updateState();
+            saveState();
+        });
+
+        /** @returns {Array<object>} The alarms listed by this summary, in display order. */
+        group.getListedAlarms = function () {
+            return selectAlarms(this.attrs, this.attrs.sortBy);
+        };
+
+        /** Redraws the table from the current alarms and flash phase. */
+        group.updateState = function () {
+            const { width, height, label } = this.attrs;
+            const alarms = this.getListedAlarms();
+            const maxRows = Math.max(
+                0,
+                Math.floor((height - firstRowY - 2) / rowHeight),
+            );
+            const hidden = Math.max(0, alarms.length - maxRows);
+
+            background.setAttrs({ width, height });
+            headerBackground.setAttrs({ width: width - 2 });
+            titleText.text(
+                `${label} (${alarms.length} aktif${hidden ? `, ${hidden} tidak tampil` : ""})`,
+            );
+            rowsGroup.destroyChildren();
+            alarms.slice(0, maxRows).forEach((alarm, index) => {
+                const y = firstRowY + index * rowHeight;
+                const color =
+                    ALARM_PRIORITY_COLORS[alarm.priority] ||
+                    ALARM_PRIORITY_COLORS.medium;
+                const unacked = isAlarmUnacked(alarm);
+                const isActive = alarm.state !== "cleared-unacked";
+                const textConfig = {
+                    y: y + 4,
+                    fontSize: 10,
+                    fill: isActive ? "#f9fafb" : "#9ca3af",
+                    listening: false,
+                };
+                rowsGroup.add(
+                    new Konva.Rect({
+                        x: 1,
+                        y,
+                        width: width - 2,
+                        height: rowHeight,
+                        fill: unacked && alarmFlashOn ? color : "#111827",
+                        opacity: unacked && alarmFlashOn ? 0.45 : 1,
+                        listening: false,
+                        name: "alarm-row",
+                    }),
+                );
+                rowsGroup.add(
+                    new Konva.Rect({
+                        x: 2,
+                        y: y + 2,
+                        width: 4,
+                        height: rowHeight - 4,
+                        fill: color,
+                        listening: false,
+                    }),
+                );
+                rowsGroup.add(
+                    new Konva.Text({
+                        ...textConfig,
+                        x: 10,
+                        text: alarm.activeAt
+                            ? formatTrendTime(Date.parse(alarm.activeAt))
+                            : "--:--:--",
+                    }),
+                );
+                rowsGroup.add(
+                    new Konva.Text({
+                        ...textConfig,
+                        x: 70,
+                        text: alarm.priority.toUpperCase(),
+                        fill: color,
+                        fontStyle: "bold",
+                    }),
+                );
+                rowsGroup.add(
+                    new Konva.Text({
+                        ...textConfig,
+                        x: 130,
+                        text: isActive ? (unacked ? "AKTIF" : "ACK") : "CLEAR",
+                    }),
+                );
+                rowsGroup.add(
+                    new Konva.Text({
+                        ...textConfig,
+                        x: 200,
+                        width: Math.max(20, width - 256),
+                        wrap: "none",
+                        ellipsis: true,
+                        text: describeAlarm(alarm),
+                        name: "alarm-message",
+                    }),
+                );
+                if (unacked) {
+                    rowsGroup.add(
+                        new Konva.Rect({
+                            x: width - 50,
+                            y: y + 2,
+                            width: 44,
+                            height: rowHeight - 4,
+                            fill: "#374151",
+                            stroke: "#9ca3af",
+                            strokeWidth: 1,
+                            cornerRadius: 2,
+                            alarmId: alarm.id,
+                            name: "ack-button",
+                        }),
+                    );
+                    rowsGroup.add(
+                        new Konva.Text({
+                            x: width - 50,
+                            y: y + 4,
+                            width: 44,
+                            align: "center",
+                            fontSize: 9,
+                            fontStyle: "bold",
+                            fill: "#f9fafb",
+                            text: "ACK",
+                            alarmId: alarm.id,
+                            name: "ack-button-text",
+                        }),
+                    );
+                }
+            });
+        };
+        group.updateState();
+        return group;
+    },
+
+    /**
+     * Creates an AlarmBanner HMI component: a single line showing the most urgent current alarm
+     * (or the most recent, depending on `sortBy`) and how many more there are. It flashes while
+     * the shown alarm is unacknowledged; its ACK button acknowledges it in simulation mode.
+     *
+     * @param {string} id - Unique ID for this AlarmBanner.
+     * @param {object} config - Configuration object. Expected properties:
+     *                          `x`, `y`.
+     *                          `minPriority`, `deviceFilter`, `sortBy`: As for the AlarmSummary.
+     *                          `width` (number): Banner width in pixels. Default: 520.
+     * @returns {import('konva/lib/Group').Group} The Konva.Group for the AlarmBanner.
+     */
+    createAlarmBanner(id, config) {
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
+        group.setAttrs({
+            componentType: "alarm-banner",
+            minPriority: "low",
+            deviceFilter: "",
+            sortBy: "priority",
+            width: 520,
+            height: 28,
+            ...config,
+        });
+
+        const background = new Konva.Rect({
+            height: 28,
+            stroke: "#4b5563",
+            strokeWidth: 1,
+            cornerRadius: 3,
+            name: "background",
+        });
+        group.add(background);
+        const priorityBar = new Konva.Rect({
+            x: 3,
+            y: 3,
+            width: 6,
+            height: 22,
+            name: "priority-bar",
+        });
+        group.add(priorityBar);
+        const alarmText = new Konva.Text({
+            x: 14,
+            y: 8,
+            fontSize: 12,
+            wrap: "none",
+            ellipsis: true,
+            name: "alarm-text",
+        });
+        group.add(alarmText);
+        const countText = new Konva.Text({
+            y: 8,
+            width: 50,
+            align: "right",
+            fontSize: 11,
+            fill: "#d1d5db",
+            name: "count-text",
+        });
+        group.add(countText);
+        const ackButton = new Konva.Rect({
+            y: 4,
+            width: 44,
+            height: 20,
+            fill: "#374151",
+            stroke: "#9ca3af",
+            strokeWidth: 1,
+            cornerRadius: 2,
+            name: "ack-button",
+        });
+        group.add(ackButton);
+        const ackText = new Konva.Text({
+            y: 9,
+            width: 44,
+            align: "center",
+            fontSize: 10,
+            fontStyle: "bold",
+            fill: "#f9fafb",
+            text: "ACK",
+            name: "ack-button-text",
+        });
+        group.add(ackText);
+
+        group.on("click", (e) => {
+            if (
+                handleComponentSelectionClick(
+                    group,
+                    e,
+                    isSimulationModeRef,
+                    trRef,
+                    selectNodesFuncRef,
+                )
+            )
+                return;
+            handleAlarmAckClick(e);
+        });
+        group.on("transformend", function () {
+            // Only the width can change; the banner is always one line high
+            this.setAttrs({
+                width: Math.max(
+                    200,
+                    Math.round(this.attrs.width * this.scaleX()),
+                ),
+            });
+            this.scaleX(1);
+            this.scaleY(1);
+            this.updateState();
+            saveState();
+        });
+
+        /** @returns {object | null} The alarm shown by this banner, if any. */
+        group.getShownAlarm = function () {
+            return selectAlarms(this.attrs, this.attrs.sortBy)[0] || null;
+        };
+
+        /** Redraws the banner from the current alarms and flash phase. */
+        group.updateState = function () {
+            const { width } = this.attrs;
+            const alarms = selectAlarms(this.attrs, this.attrs.sortBy);
+            const alarm = alarms[0];
+            const unacked = alarm ? isAlarmUnacked(alarm) : false;
+            const color = alarm
+                ? ALARM_PRIORITY_COLORS[alarm.priority] ||
+                  ALARM_PRIORITY_COLORS.medium
+                : "#22c55e";
+
+            background.setAttrs({
+                width,
+                fill: unacked && alarmFlashOn ? color : "#111827",
+            });
+            priorityBar.fill(color);
+            alarmText.setAttrs({
+                width: Math.max(20, width - 120),
+                text: alarm
+                    ? `${alarm.activeAt ? formatTrendTime(Date.parse(alarm.activeAt)) : "--:--:--"}  ${alarm.priority.toUpperCase()}  ${describeAlarm(alarm)}`
+                    : "Tidak ada alarm aktif",
+                fill:
+                    alarm && alarm.state !== "cleared-unacked"
+                        ? "#f9fafb"
+                        : "#9ca3af",
+            });
+            countText.setAttrs({
+                x: width - 104,
+                text: alarms.length > 1 ? `+${alarms.length - 1}` : "",
+            });
+            ackButton.setAttrs({
+                x: width - 48,
+                visible: unacked,
+                alarmId: unacked ? alarm.id : null,
+            });
+            ackText.setAttrs({
+                x: width - 48,
+                visible: unacked,
+                alarmId: unacked ? alarm.id : null,
+            });
+        };
+        group.updateState();
+        return group;
+    },
+
+    /**
+     * Creates a NavButton HMI component: a button that shows another screen of the project
+     * when clicked in simulation mode. A button whose target screen does not exist (anymore)
+     * gets a red dashed border.
+     *
+     * @param {string} id - Unique ID for this NavButton.
+     * @param {object} config - Configuration object. Expected properties:
+     *                          `x`, `y`, `label` (shown on the button).
+     *                          `targetScreenId` (string): ID of the screen to show. Default: "".
+     *                          `fill` (string): Button color. Default: "#2563eb".
+     *                          `textColor` (string): Label color. Default: "#ffffff".
+     *                          `width`, `height` (number): Button size in pixels. Default: 120 x 40.
+     * @returns {import('konva/lib/Group').Group} The Konva.Group for the NavButton.
+     */
+    createNavButton(id, config) {
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
+        group.setAttrs({
+            componentType: "nav-button",
+            label: "Screen", // Default label
+            targetScreenId: "",
+            fill: "#2563eb",
+            textColor: "#ffffff",
+            width: 120,
+            height: 40,
+            ...config,
+        });
+
+        const background = new Konva.Rect({
+            cornerRadius: 5,
+            name: "background",
+        });
+        group.add(background);
+        const text = new Konva.Text({
+            align: "center",
+            verticalAlign: "middle",
+            fontSize: 14,
+            fontStyle: "bold",
+            padding: 4,
+            name: "label-text",
+        });
+        group.add(text);
+
+        group.on("click", (e) => {
+            if (
+                handleComponentSelectionClick(
+                    group,
+                    e,
+                    isSimulationModeRef,
+                    trRef,
+                    selectNodesFuncRef,
+                )
+            )
+                return;
+            const { targetScreenId } = group.attrs;
+            if (!targetScreenId) {
+                console.warn(
+                    "[ComponentFactory] NavButton: targetScreenId not set. Cannot switch screens.",
+                );
+                return;
+            }
+            // Switching destroys this button, so let Konva finish dispatching the click first
+            setTimeout(() => switchToScreen(targetScreenId), 0);
+        });
+        group.on("transformend", function () {
+            // Resize the button instead of scaling it, so the label stays crisp
+            this.setAttrs({
+                width: Math.max(
+                    40,
+                    Math.round(this.attrs.width * this.scaleX()),
+                ),
+                height: Math.max(
+                    20,
+                    Math.round(this.attrs.height * this.scaleY()),
+                ),
+            });
+            this.scaleX(1);
+            this.scaleY(1);
+            this.updateState();
+            saveState();
+        });
+
+        /** Updates the NavButton's size, colors and label, and flags a missing target screen. */
+        group.updateState = function () {
+            const { width, height, targetScreenId } = this.attrs;
+            const targetExists = getScreens().some(
+                (screen) => screen.id === targetScreenId,
+            );
+            background.setAttrs({
+                width,
+                height,
+                fill: this.attrs.fill,
+                stroke: targetExists ? "#93c5fd" : "#f87171",
+                strokeWidth: targetExists ? 1 : 2,
+                dash: targetExists ? [] : [5, 3],
+            });
+            text.setAttrs({
+                width,
+                height,
+                text: this.attrs.label,
+                fill: this.attrs.textColor,
+            });
         };
         group.updateState();
         return group;
@@ -483,20 +2329,30 @@ export const componentFactory = {
      * @returns {import('konva/lib/Group').Group} The Konva.Group for the Label.
      */
     createLabel(id, config) {
-        const group = new Konva.Group({ id: id, x: config.x, y: config.y, draggable: false, name: "hmi-component" });
+        const group = new Konva.Group({
+            id: id,
+            x: config.x,
+            y: config.y,
+            draggable: false,
+            name: "hmi-component",
+        });
         group.setAttrs({
             componentType: "label",
             text: "Static Label", // Default text
-            fontSize: 14,         // Default font size
-            fill: "#e5e7eb",      // Default text color (light gray)
-            width: 150,           // Default width
-            align: "left",       // Default alignment
+            fontSize: 14, // Default font size
+            fill: "#e5e7eb", // Default text color (light gray)
+            width: 150, // Default width
+            align: "left", // Default alignment
             ...config,
         });
 
         const labelText = new Konva.Text({
-            text: group.attrs.text, fontSize: group.attrs.fontSize, fill: group.attrs.fill,
-            width: group.attrs.width, align: group.attrs.align, name: "label-text",
+            text: group.attrs.text,
+            fontSize: group.attrs.fontSize,
+            fill: group.attrs.fill,
+            width: group.attrs.width,
+            align: group.attrs.align,
+            name: "label-text",
             padding: 2, // Small padding for better visual appearance
         });
         group.add(labelText);
@@ -508,16 +2364,25 @@ export const componentFactory = {
             const newWidth = this.width() * this.scaleX();
             textNode.width(newWidth);
             this.width(newWidth); // Update group's width attr for consistency and future ref
-            this.scaleX(1);    // Reset scale to avoid font distortion
+            this.scaleX(1); // Reset scale to avoid font distortion
             this.scaleY(1);
             if (layerRef) layerRef.batchDraw(); // Redraw layer
             saveState(); // Save state after transformation
         });
 
-        group.on("click", (e) => handleComponentSelectionClick(group, e, isSimulationModeRef, trRef, selectNodesFuncRef));
+        group.on("click", (e) =>
+            handleComponentSelectionClick(
+                group,
+                e,
+                isSimulationModeRef,
+                trRef,
+                selectNodesFuncRef,
+            ),
+        );
 
         /** Updates the Label's visual state (text content and style). */
-        group.updateState = function () { // For dynamic property changes via context menu
+        group.updateState = function () {
+            // For dynamic property changes via context menu
             const textNode = this.findOne(".label-text");
             textNode.text(this.attrs.text);
             textNode.fontSize(this.attrs.fontSize);
@@ -9,15 +9,17 @@
  * - Synchronizing this cache with the server via Socket.IO events (`initial_device_list`,
  *   `device_added`, `device_updated`, `device_deleted`).
  * - Handling device status updates (`device_status_update`, `device_statuses`) and
- *   live variable updates (`device_variable_update`) from the server.
+ *   live variable updates (`device_variable_update`, plus the `initial_tag_values` snapshot sent
+ *   on connect) from the server.
  * - Providing UI elements (modals and forms) for users to add, edit, and delete devices,
  *   as well as manage variables for each device.
  * - Emitting events to the server for device modifications (`add_device`, `edit_device`, `delete_device`)
- *   and data writes (`write_to_device`).
+ *   and data writes (`write_to_device`, answered by `write_result`).
  * - Interacting with `stateManager` to update or clear device-related state when devices
  *   or variables change.
  * - Interacting with `ProjectManager` to mark the project as dirty when configurations change.
  * - Launching `topicExplorer` for MQTT topic exploration.
+ * - Editing the alarm definition of a variable in the Variable Form (stored by `alarmManager`).
  *
  * The module heavily relies on DOM manipulation for its UI aspects and Socket.IO for
  * real-time communication.
@@ -25,9 +27,11 @@
 import {
     setDeviceVariableValue,
     getDeviceVariableValue,
+    getDeviceVariableMeta,
     deleteDeviceState as deleteDeviceStateFromManager,
 } from "./stateManager.js";
 import { openTopicExplorer } from "./topicExplorer.js";
+import { getVariableAlarmDefinition, setVariableAlarmDefinition, removeAlarmDefinitions } from "./alarmManager.js";
 import ProjectManager from "./projectManager.js";
 
 // SVG Icons for UI buttons
@@ -48,6 +52,52 @@ const ICON_DELETE = `
   <path d="M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3" />
 </svg>`;
 
+/**
+ * Data type options for the variable form of MQTT and Internal devices.
+ * @type {Array<{value: string, label: string}>}
+ * @private
+ */
+const GENERIC_DATA_TYPES = [
+    { value: "string", label: "String" },
+    { value: "number", label: "Number" },
+    { value: "boolean", label: "Boolean" },
+    { value: "json", label: "JSON" },
+];
+
+/**
+ * Data type options for the variable form of Modbus devices. The server decodes
+ * register values with the same names (see server/devices/modbusDataCodec.js).
+ * @type {Array<{value: string, label: string}>}
+ * @private
+ */
+const MODBUS_DATA_TYPES = [
+    { value: "bit", label: "Bit" },
+    { value: "int16", label: "Int16" },
+    { value: "uint16", label: "UInt16" },
+    { value: "int32", label: "Int32" },
+    { value: "uint32", label: "UInt32" },
+    { value: "float32", label: "Float32" },
+    { value: "float64", label: "Float64" },
+    { value: "string", label: "String" },
+];
+
+/**
+ * Device types whose variables can be managed through the Variable Manager.
+ * @type {Array<string>}
+ * @private
+ */
+const VARIABLE_MANAGED_DEVICE_TYPES = ["mqtt", "internal", "modbus-tcp", "modbus-rtu"];
+
+/**
+ * Checks whether a device type is a Modbus type.
+ * @param {string} type - The device type.
+ * @returns {boolean}
+ * @private
+ */
+function _isModbusType(type) {
+    return type === "modbus-tcp" || type === "modbus-rtu";
+}
+
 /**
  * Local cache of device configurations.
  * Each object in the array represents a device and its settings.
@@ -72,6 +122,26 @@ let socket = null;
  */
 let pmSetDirtyFuncRef = null;
 
+/**
+ * Pending `history:query` requests, keyed by requestId.
+ * @type {Map<string, {resolve: function(object): void, reject: function(Error): void, timer: number}>}
+ * @private
+ */
+const pendingHistoryQueries = new Map();
+
+/** Milliseconds to wait for `history:query_results` before a history query fails. */
+const HISTORY_QUERY_TIMEOUT_MS = 15000;
+
+/**
+ * Pending `write_to_device` requests, keyed by requestId.
+ * @type {Map<string, {resolve: function(object): void, timer: number}>}
+ * @private
+ */
+const pendingWrites = new Map();
+
+/** Milliseconds to wait for `write_result` (the server itself times device writes out after 5 s). */
+const WRITE_RESULT_TIMEOUT_MS = 8000;
+
 // --- Cached DOM Elements for UI Management ---
 // These are populated by `_cacheDomElements`.
 let deviceManagerModal, closeDeviceManagerModal, addDeviceBtn, deviceList;
@@ -83,6 +153,16 @@ let varFormDeviceId, varFormVarId, varFormName, varFormDataType, varFormDescript
 let varFormEnableSubscribe, varFormSubscribeOptions, varFormSubscribeTopic, varFormJsonPathSubscribe, varFormQosSubscribe;
 let varFormEnablePublish, varFormPublishOptions, varFormPublishTopic, varFormQosPublish, varFormRetainPublish;
 let varFormExploreTopicBtn;
+let varFormSubscribeSection, varFormPublishSection, varFormModbusOptions;
+let varFormModbusRegisterType, varFormModbusAddress, varFormModbusUnitId, varFormModbusByteOrder;
+let varFormModbusBitIndex, varFormModbusLength;
+let varFormScalingSection, varFormEngineeringUnit, varFormScalingMode, varFormRawMin, varFormRawMax;
+let varFormEuMin, varFormEuMax, varFormGain, varFormOffset, varFormClamp;
+let varFormLogHistory, varFormHistoryOptions, varFormHistoryDeadband, varFormHistoryInterval;
+let varFormEnableAlarm, varFormAlarmOptions, varFormAlarmType, varFormAlarmPriority;
+let varFormAlarmAnalogGroup, varFormAlarmDiscreteGroup, varFormAlarmDeadbandGroup;
+let varFormAlarmHiHi, varFormAlarmHi, varFormAlarmLo, varFormAlarmLoLo, varFormAlarmTriggerValue;
+let varFormAlarmDeadband, varFormAlarmOnDelay, varFormAlarmOffDelay, varFormAlarmMessage;
 // --- End Cached DOM Elements ---
 
 /**
@@ -136,46 +216,53 @@ function _cacheDomElements() {
     varFormQosPublish = document.getElementById("var-form-qos-publish");
     varFormRetainPublish = document.getElementById("var-form-retain-publish");
     varFormExploreTopicBtn = document.getElementById("var-form-explore-topic-btn");
+    varFormSubscribeSection = document.getElementById("var-form-subscribe-section");
+    varFormPublishSection = document.getElementById("var-form-publish-section");
+    varFormModbusOptions = document.getElementById("var-form-modbus-options");
+    varFormModbusRegisterType = document.getElementById("var-form-modbus-register-type");
+    varFormModbusAddress = document.getElementById("var-form-modbus-address");
+    varFormModbusUnitId = document.getElementById("var-form-modbus-unit-id");
+    varFormModbusByteOrder = document.getElementById("var-form-modbus-byte-order");
+    varFormModbusBitIndex = document.getElementById("var-form-modbus-bit-index");
+    varFormModbusLength = document.getElementById("var-form-modbus-length");
+    varFormScalingSection = document.getElementById("var-form-scaling-section");
+    varFormEngineeringUnit = document.getElementById("var-form-engineering-unit");
+    varFormScalingMode = document.getElementById("var-form-scaling-mode");
+    varFormRawMin = document.getElementById("var-form-raw-min");
+    varFormRawMax = document.getElementById("var-form-raw-max");
+    varFormEuMin = document.getElementById("var-form-eu-min");
+    varFormEuMax = document.getElementById("var-form-eu-max");
+    varFormGain = document.getElementById("var-form-gain");
+    varFormOffset = document.getElementById("var-form-offset");
+    varFormClamp = document.getElementById("var-form-clamp");
+    varFormLogHistory = document.getElementById("var-form-log-history");
+    varFormHistoryOptions = document.getElementById("var-form-history-options");
+    varFormHistoryDeadband = document.getElementById("var-form-history-deadband");
+    varFormHistoryInterval = document.getElementById("var-form-history-interval");
+    varFormEnableAlarm = document.getElementById("var-form-enable-alarm");
+    varFormAlarmOptions = document.getElementById("var-form-alarm-options");
+    varFormAlarmType = document.getElementById("var-form-alarm-type");
+    varFormAlarmPriority = document.getElementById("var-form-alarm-priority");
+    varFormAlarmAnalogGroup = document.getElementById("var-form-alarm-analog-group");
+    varFormAlarmDiscreteGroup = document.getElementById("var-form-alarm-discrete-group");
+    varFormAlarmDeadbandGroup = document.getElementById("var-form-alarm-deadband-group");
+    varFormAlarmHiHi = document.getElementById("var-form-alarm-hihi");
+    varFormAlarmHi = document.getElementById("var-form-alarm-hi");
+    varFormAlarmLo = document.getElementById("var-form-alarm-lo");
+    varFormAlarmLoLo = document.getElementById("var-form-alarm-lolo");
+    varFormAlarmTriggerValue = document.getElementById("var-form-alarm-trigger-value");
+    varFormAlarmDeadband = document.getElementById("var-form-alarm-deadband");
+    varFormAlarmOnDelay = document.getElementById("var-form-alarm-on-delay");
+    varFormAlarmOffDelay = document.getElementById("var-form-alarm-off-delay");
+    varFormAlarmMessage = document.getElementById("var-form-alarm-message");
 }
 
 
 /**
- * Initializes the DeviceManager module.
- * Sets up Socket.IO connection, caches DOM elements, attaches event listeners,
- * and registers handlers for server-sent Socket.IO events related to devices.
- *
- * @param {import('socket.io-client').Socket} socketInstance - Active Socket.IO client for `/devices` namespace.
- * @param {function(boolean): void} projectManagerSetDirtyFunc - Callback from `ProjectManager` to mark project as dirty.
+ * Attaches the event listeners of the Device Manager and Variable Manager UI.
+ * @private
  */
-export function initDeviceManager(socketInstance, projectManagerSetDirtyFunc) {
-    if (!socketInstance || typeof socketInstance.on !== "function" || typeof socketInstance.emit !== "function") {
-        console.error("[DeviceManager] Valid Socket.IO client instance not provided.");
-        const deviceManagerBtn = document.getElementById("device-manager-btn");
-        if (deviceManagerBtn) {
-            deviceManagerBtn.disabled = true;
-            deviceManagerBtn.title = "Device communication failed to initialize.";
-        }
-        // Optionally, display a more prominent error to the user in the UI.
-        return;
-    }
-    socket = socketInstance;
-    pmSetDirtyFuncRef = projectManagerSetDirtyFunc;
-
-    _cacheDomElements();
-
-    // Validate that crucial DOM elements were found
-    if (!deviceManagerModal || !deviceFormModal || !deviceList || !deviceForm || !variableManagerModal || !variableFormModal) {
-        console.error("[DeviceManager] One or more crucial UI elements for Device/Variable Manager are missing from the DOM.");
-        const deviceManagerBtn = document.getElementById("device-manager-btn");
-        if (deviceManagerBtn) {
-            deviceManagerBtn.textContent = "Device/Var UI Error";
-            deviceManagerBtn.disabled = true;
-            deviceManagerBtn.title = "Device/Variable Manager UI elements not found.";
-        }
-        return;
-    }
-
-    // --- Setup Event Listeners ---
+function _setupDeviceManagerUiListeners() {
     // Main Device Manager button
     const mainDeviceManagerBtn = document.getElementById("device-manager-btn");
     if (mainDeviceManagerBtn) mainDeviceManagerBtn.addEventListener("click", _openDeviceManagerModal);
@@ -218,6 +305,16 @@ export function initDeviceManager(socketInstance, projectManagerSetDirtyFunc) {
             if (varFormPublishOptions) varFormPublishOptions.style.display = e.target.checked ? "block" : "none";
         });
     }
+    if (varFormModbusRegisterType) varFormModbusRegisterType.addEventListener("change", _toggleModbusVariableFields);
+    if (varFormDataType) varFormDataType.addEventListener("change", _toggleModbusVariableFields);
+    if (varFormScalingMode) varFormScalingMode.addEventListener("change", _toggleScalingFields);
+    if (varFormLogHistory) {
+        varFormLogHistory.addEventListener("change", (e) => {
+            if (varFormHistoryOptions) varFormHistoryOptions.style.display = e.target.checked ? "grid" : "none";
+        });
+    }
+    if (varFormEnableAlarm) varFormEnableAlarm.addEventListener("change", _toggleAlarmFields);
+    if (varFormAlarmType) varFormAlarmType.addEventListener("change", _toggleAlarmFields);
     if (varFormExploreTopicBtn) {
         varFormExploreTopicBtn.addEventListener("click", () => {
             const deviceIdForExplorer = varFormDeviceId.value;
@@ -238,6 +335,47 @@ export function initDeviceManager(socketInstance, projectManagerSetDirtyFunc) {
     }
     // Note: MQTT variable row listeners (add/remove/toggle) are commented out as this UI was removed/changed.
     // If there was an equivalent in the new Variable Form, it would be here.
+}
+
+/**
+ * Initializes the DeviceManager module.
+ * Sets up Socket.IO connection, caches DOM elements, attaches event listeners,
+ * and registers handlers for server-sent Socket.IO events related to devices.
+ *
+ * @param {import('socket.io-client').Socket} socketInstance - Active Socket.IO client for `/devices` namespace.
+ * @param {function(boolean): void} projectManagerSetDirtyFunc - Callback from `ProjectManager` to mark project as dirty.
+ */
+export function initDeviceManager(socketInstance, projectManagerSetDirtyFunc) {
+    if (!socketInstance || typeof socketInstance.on !== "function" || typeof socketInstance.emit !== "function") {
+        console.error("[DeviceManager] Valid Socket.IO client instance not provided.");
+        const deviceManagerBtn = document.getElementById("device-manager-btn");
+        if (deviceManagerBtn) {
+            deviceManagerBtn.disabled = true;
+            deviceManagerBtn.title = "Device communication failed to initialize.";
+        }
+        // Optionally, display a more prominent error to the user in the UI.
+        return;
+    }
+    socket = socketInstance;
+    pmSetDirtyFuncRef = projectManagerSetDirtyFunc;
+
+    _cacheDomElements();
+
+    // The runtime view (runtime.html) has no Device/Variable Manager; it only needs the socket handlers.
+    if (document.getElementById("device-manager-btn")) {
+        // Validate that crucial DOM elements were found
+        if (!deviceManagerModal || !deviceFormModal || !deviceList || !deviceForm || !variableManagerModal || !variableFormModal) {
+            console.error("[DeviceManager] One or more crucial UI elements for Device/Variable Manager are missing from the DOM.");
+            const deviceManagerBtn = document.getElementById("device-manager-btn");
+            if (deviceManagerBtn) {
+                deviceManagerBtn.textContent = "Device/Var UI Error";
+                deviceManagerBtn.disabled = true;
+                deviceManagerBtn.title = "Device/Variable Manager UI elements not found.";
+            }
+            return;
+        }
+        _setupDeviceManagerUiListeners();
+    }
 
     // --- Socket.IO Event Handlers ---
     socket.on("connect", () => {
@@ -350,14 +488,59 @@ export function initDeviceManager(socketInstance, projectManagerSetDirtyFunc) {
     socket.on("device_variable_update", (data) => {
         // console.debug("[DeviceManager] Received device_variable_update:", data);
         if (data && data.deviceId && typeof data.variableName !== "undefined" && typeof data.value !== "undefined") {
-            setDeviceVariableValue(data.deviceId, data.variableName, data.value);
+            setDeviceVariableValue(data.deviceId, data.variableName, data.value, {
+                quality: data.quality,
+                timestamp: data.timestamp,
+            });
         } else {
             console.warn("[DeviceManager] Received malformed device_variable_update:", data);
         }
     });
 
+    // Last known values from the server tag store, sent on connect and after a project load.
+    socket.on("initial_tag_values", (tags) => {
+        if (!Array.isArray(tags)) {
+            console.warn("[DeviceManager] Received malformed initial_tag_values:", tags);
+            return;
+        }
+        tags.forEach((tag) => {
+            if (tag && tag.deviceId && typeof tag.variableName !== "undefined" && typeof tag.value !== "undefined") {
+                setDeviceVariableValue(tag.deviceId, tag.variableName, tag.value, {
+                    quality: tag.quality,
+                    timestamp: tag.timestamp,
+                });
+            }
+        });
+    });
+
+    socket.on("history:query_results", (result) => {
+        const pending = pendingHistoryQueries.get(result?.requestId);
+        if (!pending) return; // Not ours or already timed out
+        pendingHistoryQueries.delete(result.requestId);
+        clearTimeout(pending.timer);
+        pending.resolve(result);
+    });
+
+    socket.on("write_result", (result) => {
+        const pending = pendingWrites.get(result?.requestId);
+        if (!pending) return; // Not ours or already timed out
+        pendingWrites.delete(result.requestId);
+        clearTimeout(pending.timer);
+        pending.resolve(result);
+    });
+
     socket.on("operation_error", (error) => {
         console.error("[DeviceManager] Server operation_error:", error);
+        // Failed history queries are reported to their caller (e.g. a trend chart) instead of alerted
+        if (error?.operation === "history:query") {
+            const pending = pendingHistoryQueries.get(error.details?.requestId);
+            if (pending) {
+                pendingHistoryQueries.delete(error.details.requestId);
+                clearTimeout(pending.timer);
+                pending.reject(new Error(error.message));
+            }
+            return;
+        }
         if (error && error.message) {
             // Avoid alerting for benign "not found for deletion" errors if they are expected during clears
             if (!(error.message.includes("not found for deletion") || error.message.includes("DEVICE_NOT_FOUND"))) {
@@ -585,6 +768,7 @@ function _requestDeleteDevice(id) {
     if (socket && socket.connected) {
         console.log(`[DeviceManager] Requesting deletion of device ID: ${id}`);
         socket.emit("delete_device", id);
+        removeAlarmDefinitions(id);
     } else {
         console.error("[DeviceManager] Cannot delete device: Server is not connected.");
         alert("Cannot delete device: Server is not connected.");
@@ -601,10 +785,7 @@ function _requestDeleteDevice(id) {
  * @private
  */
 function _renderDeviceList() {
-    if (!deviceList) {
-        console.warn("[DeviceManager] Device list DOM element not found. Cannot render devices.");
-        return;
-    }
+    if (!deviceList) return; // No Device Manager UI (runtime view)
 
     deviceList.innerHTML = ""; // Clear existing list
     const serverOnline = socket && socket.connected;
@@ -710,10 +891,34 @@ function _openVariableManagerModal(deviceId) {
 
             const detailsCell = row.insertCell(); // Combined cell for type, description, topic
             detailsCell.className = "px-4 py-3 text-sm text-gray-300";
-            let detailsHtml = `<div><span class="font-semibold">Type:</span> ${variable.dataType || "N/A"}</div>`;
+            let detailsHtml = `<div><span class="font-semibold">Type:</span> ${variable.dataType || "N/A"}${variable.engineeringUnit ? ` [${variable.engineeringUnit}]` : ""}</div>`;
             if (variable.description) {
                 detailsHtml += `<div class="text-xs text-gray-400">${variable.description}</div>`;
             }
+            if (_isModbusType(device.type)) {
+                detailsHtml += `<div class="text-xs mt-1"><span class="font-semibold text-orange-400">Modbus:</span> ${variable.registerType || `FC${variable.functionCode}`} @ ${variable.address ?? "N/A"}${variable.unitId ? `, Unit ${variable.unitId}` : ""}${variable.dataType === "bit" && variable.bitIndex !== undefined ? `, Bit ${variable.bitIndex}` : ""}${variable.byteOrder && variable.byteOrder !== "ABCD" ? `, ${variable.byteOrder}` : ""}</div>`;
+            }
+            if (variable.scalingMode === "linear") {
+                detailsHtml += `<div class="text-xs mt-1"><span class="font-semibold text-purple-400">Scaling:</span> ${variable.rawMin}..${variable.rawMax} → ${variable.euMin}..${variable.euMax}${variable.clamp ? " (clamp)" : ""}</div>`;
+            } else if (variable.scalingMode === "gain") {
+                detailsHtml += `<div class="text-xs mt-1"><span class="font-semibold text-purple-400">Scaling:</span> × ${variable.gain} + ${variable.offset}${variable.clamp ? " (clamp)" : ""}</div>`;
+            }
+            if (variable.logHistory) {
+                const historyRules = [
+                    variable.historyDeadband !== undefined ? `deadband ${variable.historyDeadband}` : "",
+                    variable.historyInterval ? `every ${variable.historyInterval} ms` : "",
+                ].filter(Boolean).join(", ");
+                detailsHtml += `<div class="text-xs mt-1"><span class="font-semibold text-teal-400">History:</span> ${historyRules || "every change"}</div>`;
+            }
+            const alarmDefinition = getVariableAlarmDefinition(device.id, variable.name);
+            if (alarmDefinition) {
+                const alarmRules = alarmDefinition.type === "discrete"
+                    ? `= ${alarmDefinition.triggerValue}`
+                    : ["hihi", "hi", "lo", "lolo"]
+                        .filter((key) => alarmDefinition[key] !== undefined)
+                        .map((key) => `${key.toUpperCase()} ${alarmDefinition[key]}`).join(", ");
+                detailsHtml += `<div class="text-xs mt-1"><span class="font-semibold text-red-400">Alarm:</span> ${alarmRules} (${alarmDefinition.priority || "medium"})</div>`;
+            }
             if (device.type === "mqtt") {
                 if (variable.enableSubscribe && variable.subscribeTopic) {
                     detailsHtml += `<div class="text-xs mt-1"><span class="font-semibold text-blue-400">Sub:</span> ${variable.subscribeTopic} (QoS ${variable.qosSubscribe || 0}) ${variable.jsonPathSubscribe ? `Path: ${variable.jsonPathSubscribe}` : ''}</div>`;
@@ -738,6 +943,7 @@ function _openVariableManagerModal(deviceId) {
             } else if (currentValue === undefined) currentValue = "-";
             else if (typeof currentValue === "boolean") currentValue = currentValue ? "True" : "False";
             valueCell.textContent = currentValue;
+            _applyValueQualityToCell(valueCell, device.id, variable.name);
 
             const actionsCell = row.insertCell(); // Cell for action buttons
             actionsCell.className = "px-4 py-3 whitespace-nowrap text-sm text-right";
@@ -755,9 +961,9 @@ function _openVariableManagerModal(deviceId) {
             btn.addEventListener("click", (e) => _deleteVariable(e.currentTarget.dataset.deviceId, e.currentTarget.dataset.varId))
         );
 
-    } else if (device.type !== "mqtt" && device.type !== "internal") {
+    } else if (!VARIABLE_MANAGED_DEVICE_TYPES.includes(device.type)) {
         variableListTbody.innerHTML = `<tr><td colspan="4" class="px-4 py-3 text-sm text-gray-400 text-center">Variable management for '${device.type}' devices is not applicable here.</td></tr>`;
-    } else { // MQTT or Internal but no variables
+    } else { // Supported device type but no variables
         variableListTbody.innerHTML = `<tr><td colspan="4" class="px-4 py-3 text-sm text-gray-400 text-center">No variables configured for this ${device.type} device.</td></tr>`;
     }
 
@@ -800,19 +1006,14 @@ function _openVariableFormModal(deviceId, varIdToEdit = null) {
         return;
     }
 
-    // Show/hide MQTT-specific sections based on device type
-    const subscribeSection = varFormEnableSubscribe.closest(".border-t.pt-4.mt-4"); // Find parent section
-    const publishSection = varFormEnablePublish.closest(".border-t.pt-4.mt-4");   // Find parent section
-
-    if (device.type === "internal") { // Internal devices don't have MQTT pub/sub
-        if (subscribeSection) subscribeSection.style.display = "none";
-        if (publishSection) publishSection.style.display = "none";
-        if (varFormExploreTopicBtn) varFormExploreTopicBtn.style.display = "none";
-    } else { // For MQTT (and potentially other future types that might use similar fields)
-        if (subscribeSection) subscribeSection.style.display = "block";
-        if (publishSection) publishSection.style.display = "block";
-        if (varFormExploreTopicBtn) varFormExploreTopicBtn.style.display = "inline-block"; // Or "block"
-    }
+    // Show/hide protocol-specific sections based on device type
+    const isMqtt = device.type === "mqtt";
+    const isModbus = _isModbusType(device.type);
+    if (varFormSubscribeSection) varFormSubscribeSection.style.display = isMqtt ? "block" : "none";
+    if (varFormPublishSection) varFormPublishSection.style.display = isMqtt ? "block" : "none";
+    if (varFormExploreTopicBtn) varFormExploreTopicBtn.style.display = isMqtt ? "inline-block" : "none";
+    if (varFormModbusOptions) varFormModbusOptions.style.display = isModbus ? "block" : "none";
+    _populateVariableDataTypeOptions(device.type);
 
 
     if (varIdToEdit) { // Editing existing variable
@@ -821,9 +1022,21 @@ function _openVariableFormModal(deviceId, varIdToEdit = null) {
         if (variable) {
             varFormVarId.value = variable.varId; // Hidden input for var ID being edited
             varFormName.value = variable.name || "";
-            varFormDataType.value = variable.dataType || "string";
+            varFormDataType.value = variable.dataType || (isModbus ? "uint16" : "string");
             varFormDescription.value = variable.description || "";
 
+            if (isModbus && varFormModbusRegisterType) {
+                varFormModbusRegisterType.value = variable.registerType || "holding-register";
+                varFormModbusAddress.value = variable.address ?? "";
+                varFormModbusUnitId.value = variable.unitId ?? "";
+                varFormModbusByteOrder.value = variable.byteOrder || "ABCD";
+                varFormModbusBitIndex.value = variable.bitIndex ?? 0;
+                varFormModbusLength.value = variable.quantity ?? 1;
+            }
+            _populateScalingFields(variable);
+            _populateHistoryFields(variable);
+            _populateAlarmFields(getVariableAlarmDefinition(device.id, variable.name));
+
             if (device.type === "mqtt") { // Only populate MQTT fields if it's an MQTT device
                 varFormEnableSubscribe.checked = variable.enableSubscribe || false;
                 varFormSubscribeOptions.style.display = varFormEnableSubscribe.checked ? "block" : "none";
@@ -848,7 +1061,13 @@ function _openVariableFormModal(deviceId, varIdToEdit = null) {
         // Ensure MQTT options are hidden by default if checkboxes are unchecked
         if (varFormSubscribeOptions) varFormSubscribeOptions.style.display = "none";
         if (varFormPublishOptions) varFormPublishOptions.style.display = "none";
+        if (isModbus) varFormDataType.value = "uint16";
+        _populateScalingFields({});
+        _populateHistoryFields({});
+        _populateAlarmFields(null);
     }
+    _toggleModbusVariableFields();
+    _toggleScalingFields();
 
     variableFormModal.classList.remove("hidden");
     if(varFormName) varFormName.focus();
@@ -864,6 +1083,264 @@ function _closeVariableFormModal() {
     else console.error("[DeviceManager] variableFormModal element not found to close.");
 }
 
+/**
+ * Fills the Data Type select of the Variable Form with the options that apply to the
+ * given device type (register data types for Modbus, generic types otherwise).
+ *
+ * @param {string} deviceType - The type of the device the variable belongs to.
+ * @private
+ */
+function _populateVariableDataTypeOptions(deviceType) {
+    if (!varFormDataType) return;
+    const options = _isModbusType(deviceType) ? MODBUS_DATA_TYPES : GENERIC_DATA_TYPES;
+    varFormDataType.disabled = false;
+    varFormDataType.innerHTML = options
+        .map((option) => `<option value="${option.value}">${option.label}</option>`)
+        .join("");
+}
+
+/**
+ * Shows only the Modbus fields that apply to the current register type and data type:
+ * coils and discrete inputs are always single bits, the bit index only applies to bits
+ * inside a register, the byte order to multi-byte types and the length to strings.
+ * @private
+ */
+function _toggleModbusVariableFields() {
+    if (!varFormModbusRegisterType || !varFormDataType) return;
+    const device = getDeviceById(varFormDeviceId?.value);
+    if (!device || !_isModbusType(device.type)) return;
+
+    const isBitRegisterType = ["coil", "discrete-input"].includes(varFormModbusRegisterType.value);
+    if (isBitRegisterType) varFormDataType.value = "bit";
+    varFormDataType.disabled = isBitRegisterType;
+
+    const dataType = varFormDataType.value;
+    const setGroupDisplay = (id, visible) => {
+        const group = document.getElementById(id);
+        if (group) group.style.display = visible ? "block" : "none";
+    };
+    setGroupDisplay("var-form-modbus-bit-index-group", !isBitRegisterType && dataType === "bit");
+    setGroupDisplay("var-form-modbus-byte-order-group", dataType !== "bit");
+    setGroupDisplay("var-form-modbus-length-group", dataType === "string");
+}
+
+/**
+ * Fills the scaling fields of the Variable Form from a variable definition.
+ * @param {object} variable - The variable being edited (empty object for a new variable).
+ * @private
+ */
+function _populateScalingFields(variable) {
+    if (!varFormScalingMode) return;
+    const setValue = (input, value) => { if (input) input.value = value ?? ""; };
+    setValue(varFormEngineeringUnit, variable.engineeringUnit);
+    varFormScalingMode.value = variable.scalingMode || "none";
+    setValue(varFormRawMin, variable.rawMin);
+    setValue(varFormRawMax, variable.rawMax);
+    setValue(varFormEuMin, variable.euMin);
+    setValue(varFormEuMax, variable.euMax);
+    setValue(varFormGain, variable.gain);
+    setValue(varFormOffset, variable.offset);
+    if (varFormClamp) varFormClamp.checked = variable.clamp || false;
+}
+
+/**
+ * Fills the historian fields of the Variable Form from a variable definition.
+ * @param {object} variable - The variable being edited (empty object for a new variable).
+ * @private
+ */
+function _populateHistoryFields(variable) {
+    if (!varFormLogHistory) return;
+    varFormLogHistory.checked = variable.logHistory || false;
+    if (varFormHistoryOptions) varFormHistoryOptions.style.display = varFormLogHistory.checked ? "grid" : "none";
+    if (varFormHistoryDeadband) varFormHistoryDeadband.value = variable.historyDeadband ?? "";
+    if (varFormHistoryInterval) varFormHistoryInterval.value = variable.historyInterval ?? "";
+}
+
+/**
+ * Reads the historian fields of the Variable Form into a variable definition.
+ * Empty deadband/interval fields are left out (log every change, no periodic samples).
+ * @param {object} variableData - The variable definition being built; modified in place.
+ * @returns {boolean} False if the settings are invalid (an alert has been shown).
+ * @private
+ */
+function _applyHistoryFormValues(variableData) {
+    if (!varFormLogHistory || !varFormLogHistory.checked) return true;
+    variableData.logHistory = true;
+    const fields = [
+        { input: varFormHistoryDeadband, key: "historyDeadband" },
+        { input: varFormHistoryInterval, key: "historyInterval" },
+    ];
+    for (const { input, key } of fields) {
+        if (!input || input.value.trim() === "") continue;
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || value < 0) {
+            alert("Historian deadband and sample interval must be numbers of 0 or more.");
+            input.focus();
+            return false;
+        }
+        variableData[key] = value;
+    }
+    return true;
+}
+
+/**
+ * Fills the alarm fields of the Variable Form from the variable's alarm definition.
+ * @param {object | null} definition - The variable's alarm definition, or null if it has none.
+ * @private
+ */
+function _populateAlarmFields(definition) {
+    if (!varFormEnableAlarm) return;
+    const alarm = definition || {};
+    varFormEnableAlarm.checked = !!definition;
+    varFormAlarmType.value = alarm.type || "analog";
+    varFormAlarmPriority.value = alarm.priority || "medium";
+    varFormAlarmHiHi.value = alarm.hihi ?? "";
+    varFormAlarmHi.value = alarm.hi ?? "";
+    varFormAlarmLo.value = alarm.lo ?? "";
+    varFormAlarmLoLo.value = alarm.lolo ?? "";
+    varFormAlarmTriggerValue.value = alarm.triggerValue ?? "";
+    varFormAlarmDeadband.value = alarm.deadband || "";
+    varFormAlarmOnDelay.value = alarm.onDelayMs || "";
+    varFormAlarmOffDelay.value = alarm.offDelayMs || "";
+    varFormAlarmMessage.value = alarm.message || "";
+    _toggleAlarmFields();
+}
+
+/**
+ * Shows the alarm options when alarming is enabled, with the limit inputs of an analog alarm
+ * or the trigger value input of a discrete one.
+ * @private
+ */
+function _toggleAlarmFields() {
+    if (!varFormEnableAlarm) return;
+    const isDiscrete = varFormAlarmType?.value === "discrete";
+    if (varFormAlarmOptions) varFormAlarmOptions.style.display = varFormEnableAlarm.checked ? "grid" : "none";
+    if (varFormAlarmAnalogGroup) varFormAlarmAnalogGroup.style.display = isDiscrete ? "none" : "grid";
+    if (varFormAlarmDeadbandGroup) varFormAlarmDeadbandGroup.style.display = isDiscrete ? "none" : "block";
+    if (varFormAlarmDiscreteGroup) varFormAlarmDiscreteGroup.style.display = isDiscrete ? "block" : "none";
+}
+
+/**
+ * Reads the alarm fields of the Variable Form into an alarm definition (without its id,
+ * deviceId and variableName, which `alarmManager.setVariableAlarmDefinition` adds).
+ * @returns {object | null | false} The definition, null if alarming is disabled, or false if the
+ *                                  settings are invalid (an alert has been shown).
+ * @private
+ */
+function _readAlarmFormValues() {
+    if (!varFormEnableAlarm || !varFormEnableAlarm.checked) return null;
+    const definition = {
+        type: varFormAlarmType.value,
+        priority: varFormAlarmPriority.value,
+        message: varFormAlarmMessage.value.trim(),
+    };
+    const numberFields = [
+        { input: varFormAlarmOnDelay, key: "onDelayMs", min: 0 },
+        { input: varFormAlarmOffDelay, key: "offDelayMs", min: 0 },
+    ];
+    if (definition.type === "analog") {
+        numberFields.push(
+            { input: varFormAlarmHiHi, key: "hihi" },
+            { input: varFormAlarmHi, key: "hi" },
+            { input: varFormAlarmLo, key: "lo" },
+            { input: varFormAlarmLoLo, key: "lolo" },
+            { input: varFormAlarmDeadband, key: "deadband", min: 0 },
+        );
+    }
+    for (const { input, key, min } of numberFields) {
+        if (input.value.trim() === "") continue;
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || (min !== undefined && value < min)) {
+            alert(`Alarm ${key} must be a number${min !== undefined ? " of 0 or more" : ""}.`);
+            input.focus();
+            return false;
+        }
+        definition[key] = value;
+    }
+    if (definition.type === "analog" && !["hihi", "hi", "lo", "lolo"].some((key) => key in definition)) {
+        alert("An analog alarm needs at least one limit (HiHi, Hi, Lo or LoLo).");
+        varFormAlarmHi.focus();
+        return false;
+    }
+    if (definition.type === "discrete") {
+        if (varFormAlarmTriggerValue.value.trim() === "") {
+            alert("A discrete alarm needs a trigger value.");
+            varFormAlarmTriggerValue.focus();
+            return false;
+        }
+        const raw = varFormAlarmTriggerValue.value.trim();
+        definition.triggerValue = raw !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    }
+    return definition;
+}
+
+/**
+ * Shows the inputs of the selected scaling mode. Scaling is applied by the server device
+ * on read, so it is not offered for internal variables; the engineering unit always is.
+ * @private
+ */
+function _toggleScalingFields() {
+    if (!varFormScalingMode) return;
+    const device = getDeviceById(varFormDeviceId?.value);
+    const canScale = !!device && device.type !== "internal";
+    const mode = canScale ? varFormScalingMode.value : "none";
+    const setGroupDisplay = (id, visible, display = "block") => {
+        const group = document.getElementById(id);
+        if (group) group.style.display = visible ? display : "none";
+    };
+    setGroupDisplay("var-form-scaling-mode-group", canScale);
+    setGroupDisplay("var-form-scaling-linear-group", mode === "linear", "grid");
+    setGroupDisplay("var-form-scaling-gain-group", mode === "gain", "grid");
+    setGroupDisplay("var-form-clamp-group", mode !== "none", "flex");
+}
+
+/**
+ * Reads the scaling fields of the Variable Form into a variable definition.
+ * Linear scaling needs all four range values and distinct raw bounds.
+ * @param {object} variableData - The variable definition being built; modified in place.
+ * @returns {boolean} False if the scaling settings are invalid (an alert has been shown).
+ * @private
+ */
+function _applyScalingFormValues(variableData) {
+    if (!varFormScalingMode) return true;
+    const readNumber = (input) => (input && input.value.trim() !== "" ? parseFloat(input.value) : undefined);
+    const unit = varFormEngineeringUnit?.value.trim();
+    if (unit) variableData.engineeringUnit = unit;
+
+    const device = getDeviceById(varFormDeviceId?.value);
+    const mode = device && device.type !== "internal" ? varFormScalingMode.value : "none";
+    if (mode === "linear") {
+        const range = {
+            rawMin: readNumber(varFormRawMin),
+            rawMax: readNumber(varFormRawMax),
+            euMin: readNumber(varFormEuMin),
+            euMax: readNumber(varFormEuMax),
+        };
+        if (Object.values(range).some((value) => !Number.isFinite(value)) || range.rawMin === range.rawMax) {
+            alert("Linear scaling needs Raw Min/Max and EU Min/Max, and Raw Min must differ from Raw Max.");
+            varFormRawMin?.focus();
+            return false;
+        }
+        Object.assign(variableData, { scalingMode: mode }, range);
+    } else if (mode === "gain") {
+        const gain = readNumber(varFormGain) ?? 1;
+        const offset = readNumber(varFormOffset) ?? 0;
+        if (!Number.isFinite(gain) || gain === 0 || !Number.isFinite(offset)) {
+            alert("Gain must be a non-zero number and Offset a number.");
+            varFormGain?.focus();
+            return false;
+        }
+        Object.assign(variableData, { scalingMode: mode, gain, offset });
+        // Optional EU limits are only used for clamping in gain mode.
+        const euMin = readNumber(varFormEuMin);
+        const euMax = readNumber(varFormEuMax);
+        if (Number.isFinite(euMin)) variableData.euMin = euMin;
+        if (Number.isFinite(euMax)) variableData.euMax = euMax;
+    }
+    if (mode !== "none" && varFormClamp?.checked) variableData.clamp = true;
+    return true;
+}
+
 /**
  * Handles the submission of the Variable Form (for adding or editing a variable).
  * Collects data, validates the variable name, updates the device's variable list in
@@ -896,8 +1373,8 @@ function _handleVariableFormSubmit(event) {
         return;
     }
 
-    // Prevent adding variables to non-MQTT/non-internal types through this form if UI didn't hide options correctly
-    if (device.type !== "mqtt" && device.type !== "internal") {
+    // Prevent adding variables to unsupported types through this form if UI didn't hide options correctly
+    if (!VARIABLE_MANAGED_DEVICE_TYPES.includes(device.type)) {
         alert(`Variable management for device type '${device.type}' is not supported via this form.`);
         return;
     }
@@ -919,7 +1396,33 @@ function _handleVariableFormSubmit(event) {
         variableData.qosPublish = parseInt(varFormQosPublish.value || "0", 10);
         variableData.retainPublish = varFormRetainPublish.checked;
     }
-    // For 'internal' devices, only name, description, dataType are relevant from this form.
+    if (_isModbusType(device.type)) {
+        const address = parseInt(varFormModbusAddress.value, 10);
+        if (!Number.isInteger(address) || address < 0 || address > 65535) {
+            alert("Modbus address must be a number between 0 and 65535.");
+            varFormModbusAddress.focus();
+            return;
+        }
+        variableData.registerType = varFormModbusRegisterType.value;
+        variableData.address = address;
+        const unitId = parseInt(varFormModbusUnitId.value, 10);
+        if (Number.isInteger(unitId)) variableData.unitId = unitId;
+        if (variableData.dataType === "bit") {
+            if (!["coil", "discrete-input"].includes(variableData.registerType)) {
+                variableData.bitIndex = Math.min(15, Math.max(0, parseInt(varFormModbusBitIndex.value, 10) || 0));
+            }
+        } else {
+            variableData.byteOrder = varFormModbusByteOrder.value || "ABCD";
+        }
+        if (variableData.dataType === "string") {
+            variableData.quantity = Math.min(125, Math.max(1, parseInt(varFormModbusLength.value, 10) || 1));
+        }
+    }
+    if (!_applyScalingFormValues(variableData)) return;
+    if (!_applyHistoryFormValues(variableData)) return;
+    const alarmDefinition = _readAlarmFormValues();
+    if (alarmDefinition === false) return;
+    // For 'internal' devices, only name, description, dataType and the engineering unit are relevant from this form.
 
     if (!Array.isArray(device.variables)) device.variables = [];
 
@@ -931,6 +1434,7 @@ function _handleVariableFormSubmit(event) {
         return;
     }
 
+    const previousName = device.variables.find((v) => v.varId === variableData.varId)?.name ?? variableData.name;
     if (varId) { // Editing existing variable
         const varIndex = device.variables.findIndex((v) => v.varId === varId);
         if (varIndex > -1) {
@@ -947,6 +1451,7 @@ function _handleVariableFormSubmit(event) {
     if (socket.connected) {
         console.log("[DeviceManager] Emitting edit_device (for variable update):", device);
         socket.emit("edit_device", device); // Send the entire updated device config
+        setVariableAlarmDefinition(device.id, variableData.name, alarmDefinition, previousName);
         _closeVariableFormModal();
         // The server should respond with 'device_updated', which will trigger _renderDeviceList
         // and potentially refresh the variable manager if it's open for this device.
@@ -973,19 +1478,21 @@ function _deleteVariable(deviceId, varId) {
         alert("Device not found. Cannot delete variable.");
         return;
     }
-    if (device.type !== "mqtt" && device.type !== "internal") {
+    if (!VARIABLE_MANAGED_DEVICE_TYPES.includes(device.type)) {
         alert(`Variable management for device type '${device.type}' is not supported here.`);
         return;
     }
 
     if (Array.isArray(device.variables)) {
         const initialLength = device.variables.length;
+        const deletedVariable = device.variables.find((v) => v.varId === varId);
         device.variables = device.variables.filter((v) => v.varId !== varId);
 
         if (device.variables.length < initialLength) { // Variable was found and removed
             if (socket && socket.connected) {
                 console.log("[DeviceManager] Emitting edit_device (for variable deletion):", device);
                 socket.emit("edit_device", device); // Send the entire updated device config
+                removeAlarmDefinitions(deviceId, deletedVariable.name);
                 // Server should respond with 'device_updated', refreshing UI.
                 // If VariableManager was open for this device, it will also refresh.
             } else {
@@ -1031,26 +1538,36 @@ export function getDeviceById(id) {
  * Sends a request to the server to write a value to a specific variable or address on a device.
  * The payload constructed depends on the device type:
  * - For "internal" devices, `nameOrAddress` is treated as `variableName`.
- * - For other device types, `nameOrAddress` is treated as a generic `address`.
- * The server-side device implementation handles the actual write operation.
+ * - For other device types, `nameOrAddress` is treated as a generic `address` (the server writes
+ *   it as a variable if it names one).
+ * The server answers every write with a `write_result`, matched to the request by a generated
+ * `requestId`. Failed and timed-out writes are retried up to `options.retries` times; refused
+ * writes (`not_permitted`) are not.
  *
  * @param {string} deviceId - The unique ID of the target device.
  * @param {string} nameOrAddress - The name of the variable (for "internal" devices) or the
  *                                 address/identifier (for other types) to write to.
  * @param {*} value - The value to be written.
+ * @param {object} [options={}] - Write options.
+ * @param {number} [options.retries=0] - How often a failed or timed-out write is sent again.
+ * @param {boolean} [options.notify=true] - Alert the user if the write ultimately fails. Callers
+ *        that show the outcome themselves pass `false`.
+ * @returns {Promise<{status: "success"|"error"|"timeout"|"not_permitted", message?: string}>}
+ *          Resolves with the outcome of the (last) attempt; never rejects.
  */
-export function writeDataToServer(deviceId, nameOrAddress, value) {
+export async function writeDataToServer(deviceId, nameOrAddress, value, { retries = 0, notify = true } = {}) {
+    const fail = (message) => {
+        console.error(`[DeviceManager] ${message}`);
+        if (notify) alert(message);
+        return { status: "error", message };
+    };
     if (!socket || !socket.connected) {
-        console.error("[DeviceManager] Socket not connected. Cannot write data to server.");
-        alert("Cannot write data: Server is not connected.");
-        return;
+        return fail("Cannot write data: Server is not connected.");
     }
 
     const device = getDeviceById(deviceId);
     if (!device) {
-        console.error(`[DeviceManager] Device with ID ${deviceId} not found. Cannot write data.`);
-        alert(`Device ${deviceId} not found. Cannot write data.`);
-        return;
+        return fail(`Device ${deviceId} not found. Cannot write data.`);
     }
 
     const payload = { deviceId, value };
@@ -1063,8 +1580,66 @@ export function writeDataToServer(deviceId, nameOrAddress, value) {
         payload.address = nameOrAddress;
     }
 
-    console.log("[DeviceManager] Emitting write_to_device:", payload);
-    socket.emit("write_to_device", payload);
+    let result;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        result = await _sendWrite(payload);
+        if (result.status === "success" || result.status === "not_permitted") break;
+    }
+    if (result.status !== "success") {
+        console.error(`[DeviceManager] Write to ${deviceId}/${nameOrAddress} failed (${result.status}):`, result.message);
+        if (notify) alert(`Write to ${device.name || deviceId} (${nameOrAddress}) failed: ${result.message || result.status}`);
+    }
+    return result;
+}
+
+/**
+ * Emits one `write_to_device` request and waits for its `write_result`.
+ * @param {object} payload - The write payload, without `requestId`.
+ * @returns {Promise<{status: string, message?: string}>} The result; `timeout` if no answer arrives in time.
+ * @private
+ */
+function _sendWrite(payload) {
+    const requestId = `write-${crypto.randomUUID()}`;
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            pendingWrites.delete(requestId);
+            resolve({ requestId, status: "timeout", message: "No answer from the server." });
+        }, WRITE_RESULT_TIMEOUT_MS);
+        pendingWrites.set(requestId, { resolve, timer });
+        console.log("[DeviceManager] Emitting write_to_device:", payload);
+        socket.emit("write_to_device", { ...payload, requestId });
+    });
+}
+
+/**
+ * Queries the server historian for recorded values of a variable.
+ * Results are matched to the request by a generated `requestId`, so several queries
+ * (e.g. one per trend pen) can be in flight at once.
+ *
+ * @param {object} params - Query parameters, as accepted by the server `history:query` event.
+ * @param {string} params.deviceId - ID of the device.
+ * @param {string} params.variableName - Name of the variable.
+ * @param {number|string} [params.from] - Start of the range (epoch ms or ISO string).
+ * @param {number|string} [params.to] - End of the range (epoch ms or ISO string).
+ * @param {number} [params.bucketMs] - Aggregate samples into buckets of this size.
+ * @param {number} [params.maxPoints] - Aggregate so that at most this many points are returned.
+ * @returns {Promise<{deviceId: string, variableName: string, from: number, to: number, bucketMs: number, points: Array<object>}>}
+ *          Resolves with the query result; rejects if the socket is not connected, the server
+ *          reports an error, or no answer arrives in time.
+ */
+export function queryHistory(params) {
+    if (!socket || !socket.connected) {
+        return Promise.reject(new Error("Cannot query history: Server is not connected."));
+    }
+    const requestId = `history-${crypto.randomUUID()}`;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingHistoryQueries.delete(requestId);
+            reject(new Error("History query timed out."));
+        }, HISTORY_QUERY_TIMEOUT_MS);
+        pendingHistoryQueries.set(requestId, { resolve, reject, timer });
+        socket.emit("history:query", { ...params, requestId });
+    });
 }
 
 /**
@@ -1097,10 +1672,27 @@ export function updateLiveVariableValueInManagerUI(deviceId, variableName, newVa
                 displayValue = displayValue ? "True" : "False";
             }
             valueCell.textContent = displayValue;
+            _applyValueQualityToCell(valueCell, deviceId, variableName);
         }
     }
 }
 
+/**
+ * Shows the quality and timestamp of a variable's value on its Variable Manager value cell:
+ * values that are not `good` are dimmed, and the tooltip shows quality and time.
+ *
+ * @param {HTMLElement} cell - The value cell.
+ * @param {string} deviceId - ID of the device.
+ * @param {string} variableName - Name of the variable.
+ * @private
+ */
+function _applyValueQualityToCell(cell, deviceId, variableName) {
+    const { quality, timestamp } = getDeviceVariableMeta(deviceId, variableName);
+    cell.dataset.quality = quality;
+    cell.classList.toggle("opacity-50", quality !== "good");
+    cell.title = timestamp ? `Quality: ${quality} (${new Date(timestamp).toLocaleString()})` : `Quality: ${quality}`;
+}
+
 /**
  * Retrieves all current device configurations from the local cache, creating a deep copy.
  * This is intended for use in project export operations to ensure that only configuration
@@ -854,7 +854,11 @@ export function getHmiLayoutAsJson() {
         // This ensures custom properties set by componentFactory or context menu are included.
         for (const key in nodeAttrs) {
             if (Object.hasOwnProperty.call(nodeAttrs, key) && typeof componentData[key] === 'undefined') {
-                componentData[key] = nodeAttrs[key];
+                // Array attrs (word-lamp `states`, trend-chart `pens`) are copied so the result
+                // never shares objects with the live node.
+                componentData[key] = Array.isArray(nodeAttrs[key])
+                    ? JSON.parse(JSON.stringify(nodeAttrs[key]))
+                    : nodeAttrs[key];
             }
         }
 
@@ -0,0 +1,423 @@
+/**
+ * @file Register map of the server's Modbus TCP server (slave).
+ * @module js/modbusServerConfig
+ *
+ * @description
+ * The server can expose project tags to external Modbus masters (SCADA, MES); see
+ * `server/modbusServer.js` for the tables, data types and exception codes. The configuration is
+ * saved in the project file (`modbusServer`) and mirrored here the same way as the alarm
+ * definitions: the server sends the running configuration, and changes are sent back right away.
+ *
+ * Engineers and admins get the "Modbus" button, which opens a modal with the server settings
+ * (enabled, port, unit ID) and one row per mapped variable. The server validates the map again
+ * and reports problems (e.g. overlapping addresses) with the row they belong to.
+ *
+ * Socket events: listens for `modbus_server:config` (`{config, status}`) and `operation_error`
+ * with `operation: "modbus_server:set_config"`; emits `modbus_server:set_config`.
+ */
+
+import { hasRole } from "./authManager.js";
+import { getDevices } from "./deviceManager.js";
+
+/** Tables a variable can be mapped onto, with their labels. */
+export const MODBUS_SERVER_TABLES = Object.freeze({
+    "holding-register": "Holding Register",
+    "input-register": "Input Register",
+    coil: "Coil",
+    "discrete-input": "Discrete Input",
+});
+
+/** Data types of register entries (bit tables have none). */
+export const MODBUS_SERVER_DATA_TYPES = Object.freeze([
+    "int16",
+    "uint16",
+    "int32",
+    "uint32",
+    "float32",
+    "float64",
+]);
+
+/** Byte orders of multi-register values. */
+const BYTE_ORDERS = ["ABCD", "CDAB", "BADC", "DCBA"];
+
+/** Tables that masters may write. */
+const WRITABLE_TABLES = ["holding-register", "coil"];
+
+/**
+ * Socket used to send changes.
+ * @type {import('socket.io-client').Socket | null}
+ * @private
+ */
+let socket = null;
+
+/**
+ * Called with `true` when the user changes the configuration (marks the project dirty).
+ * @type {function(boolean): void}
+ * @private
+ */
+let onConfigChanged = () => {};
+
+/**
+ * Configuration as last received from (or sent to) the server.
+ * @type {{enabled: boolean, port?: number, unitId?: number, registers: Array<object>}}
+ * @private
+ */
+let modbusServerConfig = { enabled: false, registers: [] };
+
+/**
+ * Status of the server's Modbus server, as last received.
+ * @type {object | null}
+ * @private
+ */
+let modbusServerStatus = null;
+
+/**
+ * Whether the modal waits for the server to confirm a change.
+ * @type {boolean}
+ * @private
+ */
+let applyPending = false;
+
+/**
+ * Registers the socket listeners and, for engineers and admins, the "Modbus" button and modal.
+ * @param {import('socket.io-client').Socket} socketInstance - The `/devices` socket.
+ * @param {function(boolean): void} [setDirtyCallback] - Marks the project as changed.
+ */
+export function initModbusServerConfig(socketInstance, setDirtyCallback) {
+    socket = socketInstance;
+    if (typeof setDirtyCallback === "function")
+        onConfigChanged = setDirtyCallback;
+
+    socket.on("modbus_server:config", ({ config, status } = {}) => {
+        if (config) modbusServerConfig = _copyConfig(config);
+        modbusServerStatus = status || null;
+        _renderStatus();
+        if (applyPending) {
+            applyPending = false;
+            _setMessage("Konfigurasi diterapkan.");
+        }
+    });
+    socket.on("operation_error", (error) => {
+        if (error?.operation !== "modbus_server:set_config") return;
+        applyPending = false;
+        const problems = (error.details?.validationErrors || []).map(
+            (e) => `${e.path}: ${e.message}`,
+        );
+        _setMessage(
+            [
+                "Gagal menerapkan konfigurasi Modbus server:",
+                error.message,
+                ...problems,
+            ].join("\n"),
+            true,
+        );
+    });
+
+    const openBtn = document.getElementById("modbus-server-btn");
+    if (!openBtn || !hasRole("engineer")) return;
+    openBtn.classList.remove("hidden");
+    openBtn.addEventListener("click", openModbusServerModal);
+    document
+        .getElementById("close-modbus-server-modal-btn")
+        ?.addEventListener("click", () => {
+            document
+                .getElementById("modbus-server-modal")
+                .classList.add("hidden");
+        });
+    document
+        .getElementById("modbus-server-add-row-btn")
+        ?.addEventListener("click", () => {
+            const rows = _readRows();
+            const last = rows[rows.length - 1];
+            _appendRow({
+                table: last?.table || "holding-register",
+                address: _nextFreeAddress(
+                    rows,
+                    last?.table || "holding-register",
+                ),
+            });
+        });
+    document
+        .getElementById("modbus-server-form")
+        ?.addEventListener("submit", (e) => {
+            e.preventDefault();
+            applyModbusServerForm();
+        });
+}
+
+/**
+ * Returns the configuration (as saved in the project file).
+ * @returns {{enabled: boolean, port?: number, unitId?: number, registers: Array<object>}}
+ */
+export function getModbusServerConfig() {
+    return _copyConfig(modbusServerConfig);
+}
+
+/**
+ * Replaces the configuration on the server, which restarts its Modbus server. The local copy is
+ * updated right away so a project saved immediately afterwards includes the change.
+ * @param {object | undefined} config - The `modbusServer` section of a project; missing disables the server.
+ */
+export function setModbusServerConfig(config) {
+    modbusServerConfig = _copyConfig(config);
+    if (!socket || !socket.connected) {
+        console.warn(
+            "[ModbusServerConfig] Socket not connected. The configuration is only stored locally.",
+        );
+        return;
+    }
+    socket.emit("modbus_server:set_config", modbusServerConfig);
+}
+
+/**
+ * Opens the modal with the current configuration.
+ */
+export function openModbusServerModal() {
+    const value = (id, v) => {
+        const input = document.getElementById(id);
+        if (input)
+            input.type === "checkbox"
+                ? (input.checked = Boolean(v))
+                : (input.value = v ?? "");
+    };
+    value("modbus-server-enabled", modbusServerConfig.enabled);
+    value("modbus-server-port", modbusServerConfig.port);
+    value("modbus-server-unit-id", modbusServerConfig.unitId);
+    const tbody = document.getElementById("modbus-server-table-body");
+    if (tbody) tbody.innerHTML = "";
+    modbusServerConfig.registers.forEach((entry) => _appendRow(entry));
+    _setMessage("");
+    _renderStatus();
+    document.getElementById("modbus-server-modal").classList.remove("hidden");
+}
+
+/**
+ * Reads the modal, sends the configuration to the server and marks the project as changed.
+ * @returns {object} The configuration sent.
+ */
+export function applyModbusServerForm() {
+    const number = (id) => {
+        const text = document.getElementById(id)?.value.trim();
+        return text ? Number(text) : undefined;
+    };
+    const config = {
+        ...modbusServerConfig, // Keeps settings without a field in the modal (host)
+        enabled: Boolean(
+            document.getElementById("modbus-server-enabled")?.checked,
+        ),
+        port: number("modbus-server-port"),
+        unitId: number("modbus-server-unit-id"),
+        registers: _readRows(),
+    };
+    applyPending = true;
+    _setMessage("Menerapkan...");
+    setModbusServerConfig(config);
+    onConfigChanged(true);
+    return config;
+}
+
+/**
+ * Deep copy of a configuration, with an empty map when there is none.
+ * @param {object | undefined} config
+ * @returns {object}
+ * @private
+ */
+function _copyConfig(config) {
+    const copy =
+        config && typeof config === "object"
+            ? JSON.parse(JSON.stringify(config))
+            : {};
+    return {
+        ...copy,
+        enabled: Boolean(copy.enabled),
+        registers: Array.isArray(copy.registers) ? copy.registers : [],
+    };
+}
+
+/**
+ * First address after the entries of a table (registers of multi-register values included).
+ * @param {Array<object>} rows
+ * @param {string} table
+ * @returns {number}
+ * @private
+ */
+function _nextFreeAddress(rows, table) {
+    const size = (entry) =>
+        ({ int32: 2, uint32: 2, float32: 2, float64: 4 })[entry.dataType] || 1;
+    return rows
+        .filter((r) => r.table === table)
+        .reduce((next, r) => Math.max(next, r.address + size(r)), 0);
+}
+
+/**
+ * Creates a `<select>` with the given options.
+ * @param {string} field - Value of `data-field`.
+ * @param {Array<[string, string]>} options - Value/label pairs.
+ * @param {string} [selected]
+ * @returns {HTMLSelectElement}
+ * @private
+ */
+function _select(field, options, selected) {
+    const select = document.createElement("select");
+    select.dataset.field = field;
+    select.className =
+        "bg-gray-700 border border-gray-600 rounded p-1 text-white w-full";
+    options.forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    if (selected !== undefined && options.some(([value]) => value === selected))
+        select.value = selected;
+    return select;
+}
+
+/**
+ * Adds an editable row for a map entry to the modal table.
+ * @param {object} entry - `{table, address, deviceId, variableName, dataType, byteOrder, writable}`.
+ * @private
+ */
+function _appendRow(entry) {
+    const tbody = document.getElementById("modbus-server-table-body");
+    if (!tbody) return;
+    const row = document.createElement("tr");
+    row.className = "border-b border-gray-700";
+
+    const devices = getDevices();
+    const deviceSelect = _select(
+        "deviceId",
+        devices.map((d) => [d.id, d.name ? `${d.name} (${d.id})` : d.id]),
+        entry.deviceId,
+    );
+    const variableSelect = _select("variableName", []);
+    const fillVariables = (selected) => {
+        const device = devices.find((d) => d.id === deviceSelect.value);
+        variableSelect.innerHTML = "";
+        (device?.variables || []).forEach((variable) => {
+            const option = document.createElement("option");
+            option.value = variable.name;
+            option.textContent = variable.name;
+            variableSelect.appendChild(option);
+        });
+        if (selected) variableSelect.value = selected;
+    };
+    deviceSelect.addEventListener("change", () => fillVariables());
+    fillVariables(entry.variableName);
+
+    const tableSelect = _select(
+        "table",
+        Object.entries(MODBUS_SERVER_TABLES),
+        entry.table,
+    );
+    const address = document.createElement("input");
+    address.type = "number";
+    address.min = "0";
+    address.max = "65535";
+    address.dataset.field = "address";
+    address.className =
+        "bg-gray-700 border border-gray-600 rounded p-1 text-white w-20";
+    address.value = entry.address ?? 0;
+    const dataType = _select(
+        "dataType",
+        MODBUS_SERVER_DATA_TYPES.map((t) => [t, t]),
+        entry.dataType || "int16",
+    );
+    const byteOrder = _select(
+        "byteOrder",
+        BYTE_ORDERS.map((o) => [o, o]),
+        entry.byteOrder || "ABCD",
+    );
+    const writable = document.createElement("input");
+    writable.type = "checkbox";
+    writable.dataset.field = "writable";
+    writable.checked = Boolean(entry.writable);
+    const updateTableFields = () => {
+        const isBit =
+            tableSelect.value === "coil" ||
+            tableSelect.value === "discrete-input";
+        dataType.disabled = isBit;
+        byteOrder.disabled = isBit;
+        writable.disabled = !WRITABLE_TABLES.includes(tableSelect.value);
+        if (writable.disabled) writable.checked = false;
+    };
+    tableSelect.addEventListener("change", updateTableFields);
+    updateTableFields();
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "text-red-400 hover:text-red-300";
+    deleteBtn.title = "Hapus baris";
+    deleteBtn.textContent = "×";
+    deleteBtn.addEventListener("click", () => row.remove());
+
+    [
+        deviceSelect,
+        variableSelect,
+        tableSelect,
+        address,
+        dataType,
+        byteOrder,
+        writable,
+        deleteBtn,
+    ].forEach((element) => {
+        const cell = document.createElement("td");
+        cell.className = "p-1";
+        cell.appendChild(element);
+        row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+}
+
+/**
+ * Reads the map entries from the modal table.
+ * @returns {Array<object>}
+ * @private
+ */
+function _readRows() {
+    const rows = document.querySelectorAll("#modbus-server-table-body tr");
+    return Array.from(rows).map((row) => {
+        const field = (name) => row.querySelector(`[data-field="${name}"]`);
+        const entry = {
+            table: field("table").value,
+            address: Number(field("address").value),
+            deviceId: field("deviceId").value,
+            variableName: field("variableName").value,
+        };
+        if (!field("dataType").disabled) {
+            entry.dataType = field("dataType").value;
+            entry.byteOrder = field("byteOrder").value;
+        }
+        if (field("writable").checked) entry.writable = true;
+        return entry;
+    });
+}
+
+/**
+ * Shows the status of the server's Modbus server in the modal.
+ * @private
+ */
+function _renderStatus() {
+    const element = document.getElementById("modbus-server-status");
+    if (!element) return;
+    const status = modbusServerStatus;
+    if (!status) element.textContent = "Status tidak diketahui.";
+    else if (status.error) element.textContent = `Error: ${status.error}`;
+    else if (status.running)
+        element.textContent = `Berjalan di ${status.host}:${status.port}, unit ${status.unitId}, ${status.registerCount} entri.`;
+    else element.textContent = "Tidak aktif.";
+    element.classList.toggle("text-red-400", Boolean(status?.error));
+}
+
+/**
+ * Shows a message (e.g. validation errors) below the map.
+ * @param {string} text
+ * @param {boolean} [isError=false]
+ * @private
+ */
+function _setMessage(text, isError = false) {
+    const element = document.getElementById("modbus-server-message");
+    if (!element) return;
+    element.textContent = text;
+    element.classList.toggle("text-red-400", isError);
+}
@@ -0,0 +1,278 @@
+/**
+ * @file Settings of the server's MQTT bridge.
+ * @module js/mqttBridgeConfig
+ *
+ * @description
+ * The server can republish every tag (of any device type) to a northbound broker, as JSON or as
+ * Sparkplug B; see `server/mqttBridge.js` for the topics and payloads. The settings are saved in
+ * the project file (`mqttBridge`) and mirrored here like the Modbus server register map
+ * (`modbusServerConfig.js`): the server sends the running settings, and changes are sent back
+ * right away.
+ *
+ * Engineers and admins get the "MQTT" button, which opens a modal with the settings and the
+ * connection state of the bridge.
+ *
+ * The server never sends the broker password, only `hasPassword`. Settings sent back with an
+ * empty password and `hasPassword: true` keep the password stored on the server.
+ *
+ * Socket events: listens for `mqtt_bridge:config` (`{config, status}`) and `operation_error`
+ * with `operation: "mqtt_bridge:set_config"`; emits `mqtt_bridge:set_config`.
+ */
+
+import { hasRole } from "./authManager.js";
+
+/** Settings edited in the modal, by input id (`mqtt-bridge-<field>`). */
+const FIELDS = [
+    "brokerUrl",
+    "clientId",
+    "username",
+    "password",
+    "format",
+    "topicPrefix",
+    "groupId",
+    "edgeNodeId",
+    "qos",
+];
+
+/**
+ * Socket used to send changes.
+ * @type {import('socket.io-client').Socket | null}
+ * @private
+ */
+let socket = null;
+
+/**
+ * Called with `true` when the user changes the settings (marks the project dirty).
+ * @type {function(boolean): void}
+ * @private
+ */
+let onConfigChanged = () => {};
+
+/**
+ * Settings as last received from (or sent to) the server.
+ * @type {object}
+ * @private
+ */
+let mqttBridgeConfig = { enabled: false };
+
+/**
+ * Status of the server's bridge, as last received.
+ * @type {object | null}
+ * @private
+ */
+let mqttBridgeStatus = null;
+
+/**
+ * Whether the modal waits for the server to confirm a change.
+ * @type {boolean}
+ * @private
+ */
+let applyPending = false;
+
+/**
+ * Registers the socket listeners and, for engineers and admins, the "MQTT" button and modal.
+ * @param {import('socket.io-client').Socket} socketInstance - The `/devices` socket.
+ * @param {function(boolean): void} [setDirtyCallback] - Marks the project as changed.
+ */
+export function initMqttBridgeConfig(socketInstance, setDirtyCallback) {
+    socket = socketInstance;
+    if (typeof setDirtyCallback === "function")
+        onConfigChanged = setDirtyCallback;
+
+    socket.on("mqtt_bridge:config", ({ config, status } = {}) => {
+        if (config) mqttBridgeConfig = { ...config };
+        mqttBridgeStatus = status || null;
+        _renderStatus();
+        if (applyPending) {
+            applyPending = false;
+            _setMessage("Konfigurasi diterapkan.");
+        }
+    });
+    socket.on("operation_error", (error) => {
+        if (error?.operation !== "mqtt_bridge:set_config") return;
+        applyPending = false;
+        const problems = (error.details?.validationErrors || []).map(
+            (e) => `${e.path}: ${e.message}`,
+        );
+        _setMessage(
+            [
+                "Gagal menerapkan konfigurasi MQTT bridge:",
+                error.message,
+                ...problems,
+            ].join("\n"),
+            true,
+        );
+    });
+
+    const openBtn = document.getElementById("mqtt-bridge-btn");
+    if (!openBtn || !hasRole("engineer")) return;
+    openBtn.classList.remove("hidden");
+    openBtn.addEventListener("click", openMqttBridgeModal);
+    document
+        .getElementById("close-mqtt-bridge-modal-btn")
+        ?.addEventListener("click", () => {
+            document
+                .getElementById("mqtt-bridge-modal")
+                .classList.add("hidden");
+        });
+    document
+        .getElementById("mqtt-bridge-format")
+        ?.addEventListener("change", _updateFormatFields);
+    document
+        .getElementById("mqtt-bridge-form")
+        ?.addEventListener("submit", (e) => {
+            e.preventDefault();
+            applyMqttBridgeForm();
+        });
+}
+
+/**
+ * Returns the settings (as saved in the project file).
+ * @returns {object}
+ */
+export function getMqttBridgeConfig() {
+    return { ...mqttBridgeConfig };
+}
+
+/**
+ * Replaces the settings on the server, which reconnects its bridge. The local copy is updated
+ * right away so a project saved immediately afterwards includes the change.
+ * @param {object | undefined} config - The `mqttBridge` section of a project; missing disables the bridge.
+ */
+export function setMqttBridgeConfig(config) {
+    mqttBridgeConfig =
+        config && typeof config === "object"
+            ? { ...config }
+            : { enabled: false };
+    if (!socket || !socket.connected) {
+        console.warn(
+            "[MqttBridgeConfig] Socket not connected. The settings are only stored locally.",
+        );
+        return;
+    }
+    socket.emit("mqtt_bridge:set_config", mqttBridgeConfig);
+}
+
+/**
+ * Opens the modal with the current settings.
+ */
+export function openMqttBridgeModal() {
+    const enabled = document.getElementById("mqtt-bridge-enabled");
+    if (enabled) enabled.checked = Boolean(mqttBridgeConfig.enabled);
+    const retain = document.getElementById("mqtt-bridge-retain");
+    if (retain) retain.checked = mqttBridgeConfig.retain !== false;
+    FIELDS.forEach((field) => {
+        const input = document.getElementById(`mqtt-bridge-${_toId(field)}`);
+        if (input)
+            input.value =
+                mqttBridgeConfig[field] ??
+                (input.tagName === "SELECT" ? input.options[0]?.value : "");
+    });
+    const password = document.getElementById("mqtt-bridge-password");
+    if (password)
+        password.placeholder = mqttBridgeConfig.hasPassword
+            ? "Password (kosong = tidak diubah)"
+            : "Password";
+    const clearPassword = document.getElementById("mqtt-bridge-clear-password");
+    if (clearPassword) clearPassword.checked = false;
+    document
+        .getElementById("mqtt-bridge-clear-password-row")
+        ?.classList.toggle("hidden", !mqttBridgeConfig.hasPassword);
+    _updateFormatFields();
+    _setMessage("");
+    _renderStatus();
+    document.getElementById("mqtt-bridge-modal").classList.remove("hidden");
+}
+
+/**
+ * Reads the modal, sends the settings to the server and marks the project as changed.
+ * @returns {object} The settings sent.
+ */
+export function applyMqttBridgeForm() {
+    const config = {
+        enabled: Boolean(
+            document.getElementById("mqtt-bridge-enabled")?.checked,
+        ),
+        retain: Boolean(document.getElementById("mqtt-bridge-retain")?.checked),
+    };
+    FIELDS.forEach((field) => {
+        const value = document.getElementById(
+            `mqtt-bridge-${_toId(field)}`,
+        )?.value;
+        if (value !== undefined && value !== "")
+            config[field] = field === "qos" ? Number(value) : value;
+    });
+    // An empty password keeps the one stored on the server, unless it is cleared
+    if (!config.password && mqttBridgeConfig.hasPassword) {
+        config.hasPassword = !document.getElementById(
+            "mqtt-bridge-clear-password",
+        )?.checked;
+    }
+    applyPending = true;
+    _setMessage("Menerapkan...");
+    setMqttBridgeConfig(config);
+    onConfigChanged(true);
+    return config;
+}
+
+/**
+ * Converts a setting name to its input id suffix (`brokerUrl` -> `broker-url`).
+ * @param {string} field
+ * @returns {string}
+ * @private
+ */
+function _toId(field) {
+    return field.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Shows the fields of the selected format only (topic prefix and retain for JSON, group and
+ * edge node ID for Sparkplug B).
+ * @private
+ */
+function _updateFormatFields() {
+    const sparkplug =
+        document.getElementById("mqtt-bridge-format")?.value === "sparkplug-b";
+    document
+        .querySelectorAll("[data-mqtt-bridge-format]")
+        .forEach((element) => {
+            element.classList.toggle(
+                "hidden",
+                element.dataset.mqttBridgeFormat !==
+                    (sparkplug ? "sparkplug-b" : "json"),
+            );
+        });
+}
+
+/**
+ * Shows the connection state of the server's bridge in the modal.
+ * @private
+ */
+function _renderStatus() {
+    const element = document.getElementById("mqtt-bridge-status");
+    if (!element) return;
+    const status = mqttBridgeStatus;
+    if (!status) element.textContent = "Status tidak diketahui.";
+    else if (!status.enabled) element.textContent = "Tidak aktif.";
+    else if (status.connected)
+        element.textContent = `Terhubung ke ${status.brokerUrl} (${status.format}).`;
+    else
+        element.textContent = `Menghubungkan ke ${status.brokerUrl}...${status.error ? ` Error: ${status.error}` : ""}`;
+    element.classList.toggle(
+        "text-red-400",
+        Boolean(status?.error) && !status?.connected,
+    );
+}
+
+/**
+ * Shows a message (e.g. validation errors) below the settings.
+ * @param {string} text
+ * @param {boolean} [isError=false]
+ * @private
+ */
+function _setMessage(text, isError = false) {
+    const element = document.getElementById("mqtt-bridge-message");
+    if (!element) return;
+    element.textContent = text;
+    element.classList.toggle("text-red-400", isError);
+}
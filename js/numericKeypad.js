@@ -0,0 +1,179 @@
+/**
+ * @file On-screen keypad for entering a numeric value, used by the `numeric-input` component in
+ * simulation mode. The keypad validates the entry against a min/max range and a step before it
+ * can be accepted.
+ * @module js/numericKeypad
+ *
+ * @description
+ * The keypad markup (`#numeric-keypad-modal`) lives in `index.html`; its elements are looked up
+ * when the keypad is first opened. Only one keypad is open at a time: opening it again cancels
+ * the previous entry.
+ */
+
+/**
+ * Resolves the promise of the open keypad. `null` when no keypad is open.
+ * @type {function(number|null): void | null}
+ * @private
+ */
+let resolveEntry = null;
+
+/**
+ * Limits of the open keypad.
+ * @type {{min?: number, max?: number, step?: number}}
+ * @private
+ */
+let entryLimits = {};
+
+/** @type {object | null} */
+let elements = null;
+
+/**
+ * Looks up the keypad elements and sets up their listeners, once.
+ * @returns {object | null} The elements, or `null` if the keypad markup is missing.
+ * @private
+ */
+function _getElements() {
+    if (elements) return elements;
+    const modal = document.getElementById("numeric-keypad-modal");
+    if (!modal) return null;
+    elements = {
+        modal,
+        title: document.getElementById("numeric-keypad-title"),
+        limits: document.getElementById("numeric-keypad-limits"),
+        input: document.getElementById("numeric-keypad-input"),
+        error: document.getElementById("numeric-keypad-error"),
+        okBtn: document.getElementById("numeric-keypad-ok-btn"),
+        cancelBtn: document.getElementById("numeric-keypad-cancel-btn"),
+    };
+
+    modal.addEventListener("click", (e) => {
+        const key = e.target.closest?.("button[data-key]")?.dataset.key;
+        if (key === undefined) return;
+        const { input } = elements;
+        if (key === "back") input.value = input.value.slice(0, -1);
+        else if (key === "clear") input.value = "";
+        else if (key === "sign")
+            input.value = input.value.startsWith("-")
+                ? input.value.slice(1)
+                : `-${input.value}`;
+        else input.value += key;
+        _showError(null);
+    });
+    elements.input?.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            _accept();
+        }
+        if (e.key === "Escape") {
+            e.preventDefault();
+            _finish(null);
+        }
+    });
+    elements.okBtn?.addEventListener("click", _accept);
+    elements.cancelBtn?.addEventListener("click", () => _finish(null));
+    return elements;
+}
+
+/** @private Shows (or clears) the validation message. */
+function _showError(message) {
+    if (!elements?.error) return;
+    elements.error.textContent = message || "";
+    elements.error.classList.toggle("hidden", !message);
+}
+
+/** @private Validates the entry and closes the keypad with it. */
+function _accept() {
+    const text = elements.input.value.trim();
+    const value = text === "" ? NaN : Number(text);
+    const error = validateNumericEntry(value, entryLimits);
+    if (error) {
+        _showError(error);
+        return;
+    }
+    _finish(value);
+}
+
+/** @private Closes the keypad and resolves the open entry. */
+function _finish(value) {
+    if (elements) elements.modal.classList.add("hidden");
+    const resolve = resolveEntry;
+    resolveEntry = null;
+    if (resolve) resolve(value);
+}
+
+/**
+ * Checks a numeric entry against limits.
+ * The step is counted from `min` (or from 0 without a minimum).
+ * @param {number} value - The entered value.
+ * @param {{min?: number, max?: number, step?: number}} [limits={}] - Limits; missing or
+ *        non-finite limits are not checked.
+ * @returns {string | null} Why the value is invalid, or `null` if it is valid.
+ */
+export function validateNumericEntry(value, { min, max, step } = {}) {
+    if (typeof value !== "number" || !Number.isFinite(value))
+        return "Masukkan angka yang valid.";
+    if (Number.isFinite(min) && value < min) return `Nilai minimal ${min}.`;
+    if (Number.isFinite(max) && value > max) return `Nilai maksimal ${max}.`;
+    if (Number.isFinite(step) && step > 0) {
+        const steps = (value - (Number.isFinite(min) ? min : 0)) / step;
+        if (
+            Math.abs(steps - Math.round(steps)) >
+            1e-9 * Math.max(1, Math.abs(steps))
+        ) {
+            return `Nilai harus kelipatan ${step}${Number.isFinite(min) ? ` dari ${min}` : ""}.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Opens the keypad.
+ * @param {object} options
+ * @param {string} [options.title="Input Nilai"] - Title shown above the entry.
+ * @param {number|null} [options.value] - Initial value.
+ * @param {number} [options.min] - Smallest accepted value.
+ * @param {number} [options.max] - Largest accepted value.
+ * @param {number} [options.step] - Accepted values are multiples of this step.
+ * @param {string} [options.unit] - Unit shown next to the limits.
+ * @returns {Promise<number|null>} Resolves with the accepted value, or `null` if cancelled.
+ */
+export function openNumericKeypad({
+    title = "Input Nilai",
+    value = null,
+    min,
+    max,
+    step,
+    unit = "",
+} = {}) {
+    const els = _getElements();
+    if (!els) {
+        console.error(
+            "[NumericKeypad] Keypad markup (#numeric-keypad-modal) not found.",
+        );
+        return Promise.resolve(null);
+    }
+    if (resolveEntry) _finish(null); // Cancel an entry that is still open
+
+    entryLimits = { min, max, step };
+    if (els.title) els.title.textContent = title;
+    if (els.limits) {
+        const parts = [];
+        if (Number.isFinite(min) || Number.isFinite(max))
+            parts.push(
+                `${Number.isFinite(min) ? min : "-∞"} .. ${Number.isFinite(max) ? max : "∞"}`,
+            );
+        if (Number.isFinite(step)) parts.push(`step ${step}`);
+        if (unit) parts.push(unit);
+        els.limits.textContent = parts.join(" · ");
+    }
+    els.input.value =
+        value === null || value === undefined || Number.isNaN(Number(value))
+            ? ""
+            : String(value);
+    _showError(null);
+    els.modal.classList.remove("hidden");
+    els.input.focus?.();
+    return new Promise((resolve) => {
+        resolveEntry = resolve;
+    });
+}
@@ -0,0 +1,230 @@
+/**
+ * @file Revision history of the current project.
+ * @module js/projectHistory
+ *
+ * @description
+ * The server keeps every save of a project as a numbered revision with author and comment.
+ * This module lists the revisions of the current project in a modal, shows what changed in a
+ * revision compared to the one before (components and devices added/removed/changed, other
+ * changed parts of the project), and lets engineers restore an older revision. A restore is
+ * stored as a new revision, so it can itself be undone.
+ *
+ * Dependencies:
+ * - `ProjectManager`: `getProjectHistoryFromServer`, `getProjectDiffFromServer`,
+ *   `restoreProjectRevisionOnServer`, current project name and dirty state.
+ * - `authManager`: `hasRole` to offer restore only to engineers.
+ * - `uiManager`: `showToast` and `showConfirmationModal`.
+ */
+
+import { hasRole } from "./authManager.js";
+import { showConfirmationModal, showToast } from "./uiManager.js";
+
+/**
+ * Reference to ProjectManager.
+ * @type {object | null}
+ * @private
+ */
+let projectManagerRef = null;
+
+/**
+ * Sets up the "Riwayat Revisi" button and modal.
+ * @param {object} projectManager - The ProjectManager singleton.
+ */
+export function initProjectHistory(projectManager) {
+    projectManagerRef = projectManager;
+    document
+        .getElementById("project-history-btn")
+        ?.addEventListener("click", openProjectHistory);
+    document
+        .getElementById("close-project-history-modal-btn")
+        ?.addEventListener("click", () => {
+            document
+                .getElementById("project-history-modal")
+                .classList.add("hidden");
+        });
+    document
+        .getElementById("project-revision-list")
+        ?.addEventListener("click", _handleRevisionListClick);
+}
+
+/**
+ * Opens the modal with the revisions of the current project.
+ * @returns {Promise<void>}
+ */
+export async function openProjectHistory() {
+    const projectName = projectManagerRef?.getCurrentProjectName();
+    if (!projectName) {
+        showToast("Simpan atau load project terlebih dahulu.", "warning");
+        return;
+    }
+    const list = document.getElementById("project-revision-list");
+    document.getElementById("project-history-title").textContent =
+        `Riwayat Revisi: ${projectName}`;
+    document.getElementById("project-diff-output").innerHTML = "";
+    list.innerHTML = '<li class="text-gray-400">Memuat riwayat...</li>';
+    document.getElementById("project-history-modal").classList.remove("hidden");
+
+    try {
+        _renderRevisions(
+            await projectManagerRef.getProjectHistoryFromServer(projectName),
+        );
+    } catch (error) {
+        list.innerHTML = "";
+        const item = document.createElement("li");
+        item.className = "text-red-400";
+        item.textContent = `Gagal memuat riwayat: ${error}`;
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Renders the revision list, newest first.
+ * @param {Array<{revision: number, savedAt: string, author: (string|null), comment: string, restoredFrom?: number}>} revisions
+ * @private
+ */
+function _renderRevisions(revisions) {
+    const list = document.getElementById("project-revision-list");
+    list.innerHTML = "";
+    if (revisions.length === 0) {
+        list.innerHTML = '<li class="text-gray-400">Belum ada revisi.</li>';
+        return;
+    }
+    const canRestore = hasRole("engineer");
+    revisions.forEach((entry, index) => {
+        const item = document.createElement("li");
+        item.className =
+            "flex items-center justify-between gap-2 p-2 bg-gray-700 rounded";
+        const label = document.createElement("span");
+        const restored =
+            entry.restoredFrom !== undefined
+                ? ` [rollback dari #${entry.restoredFrom}]`
+                : "";
+        label.textContent = `#${entry.revision} · ${new Date(entry.savedAt).toLocaleString()} · ${entry.author || "-"}${restored}${entry.comment ? ` · ${entry.comment}` : ""}`;
+        const actions = document.createElement("div");
+        actions.className = "flex gap-2 shrink-0";
+        const previous = revisions[index + 1];
+        if (previous)
+            actions.appendChild(
+                _actionButton(
+                    "diff",
+                    "Diff",
+                    entry.revision,
+                    previous.revision,
+                ),
+            );
+        if (canRestore && index > 0)
+            actions.appendChild(
+                _actionButton("restore", "Restore", entry.revision),
+            );
+        item.append(label, actions);
+        list.appendChild(item);
+    });
+}
+
+/** @private */
+function _actionButton(action, text, revision, previousRevision) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className =
+        action === "restore"
+            ? "text-yellow-300 hover:text-white text-xs"
+            : "text-cyan-300 hover:text-white text-xs";
+    button.dataset.action = action;
+    button.dataset.revision = revision;
+    if (previousRevision !== undefined)
+        button.dataset.previousRevision = previousRevision;
+    button.textContent = text;
+    return button;
+}
+
+/** @private Shows the diff of a revision or restores it after confirmation. */
+async function _handleRevisionListClick(e) {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+    const projectName = projectManagerRef.getCurrentProjectName();
+    const revision = Number(button.dataset.revision);
+
+    if (button.dataset.action === "diff") {
+        try {
+            const diff = await projectManagerRef.getProjectDiffFromServer(
+                projectName,
+                Number(button.dataset.previousRevision),
+                revision,
+            );
+            _renderDiff(diff);
+        } catch (error) {
+            showToast(`Gagal membandingkan revisi: ${error}`, "error");
+        }
+        return;
+    }
+
+    const message = projectManagerRef.isProjectDirty()
+        ? `Perubahan yang belum disimpan akan hilang. Kembalikan project ke revisi #${revision}?`
+        : `Kembalikan project ke revisi #${revision}? Ini disimpan sebagai revisi baru.`;
+    if (!(await showConfirmationModal(message, "Restore Revisi"))) return;
+    try {
+        const result = await projectManagerRef.restoreProjectRevisionOnServer(
+            projectName,
+            revision,
+        );
+        showToast(
+            `Revisi #${revision} dikembalikan (revisi baru #${result.revision}).`,
+            "success",
+        );
+        document
+            .getElementById("project-history-modal")
+            .classList.add("hidden");
+    } catch (error) {
+        showToast(`Gagal mengembalikan revisi: ${error}`, "error");
+    }
+}
+
+/**
+ * Renders a diff from the server.
+ * @param {{from: number, to: number, components: object, devices: object, otherChanges: Array<string>}} diff
+ * @private
+ */
+function _renderDiff(diff) {
+    const output = document.getElementById("project-diff-output");
+    output.innerHTML = "";
+    const addLine = (text, className = "") => {
+        const line = document.createElement("div");
+        line.className = className;
+        line.textContent = text;
+        output.appendChild(line);
+    };
+    const formatValue = (value) =>
+        value === undefined ? "-" : JSON.stringify(value);
+
+    addLine(
+        `Revisi #${diff.from} → #${diff.to}`,
+        "font-bold text-cyan-300 mb-1",
+    );
+    [
+        ["Komponen", diff.components, (c) => `${c.id} (${c.componentType})`],
+        ["Device", diff.devices, (d) => `${d.id} (${d.name || d.type})`],
+    ].forEach(([title, section, describe]) => {
+        section.added.forEach((item) =>
+            addLine(`+ ${title} ${describe(item)}`, "text-green-400"),
+        );
+        section.removed.forEach((item) =>
+            addLine(`- ${title} ${describe(item)}`, "text-red-400"),
+        );
+        section.changed.forEach((item) => {
+            addLine(`~ ${title} ${describe(item)}`, "text-yellow-300");
+            item.changes.forEach(({ key, from, to }) =>
+                addLine(
+                    `    ${key}: ${formatValue(from)} → ${formatValue(to)}`,
+                    "pl-4 break-all",
+                ),
+            );
+        });
+    });
+    if (diff.otherChanges.length > 0)
+        addLine(
+            `Bagian lain yang berubah: ${diff.otherChanges.join(", ")}`,
+            "text-gray-400 mt-1",
+        );
+    if (output.children.length === 1)
+        addLine("Tidak ada perubahan.", "text-gray-400");
+}
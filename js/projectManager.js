@@ -15,14 +15,31 @@
  *   ```json
  *   {
  *     "projectName": "MyHMI",
- *     "projectVersion": "1.0", // Format version
+ *     "projectVersion": "2.0", // Format version, see projectSchema.js
  *     "lastModified": "2023-10-27T10:00:00.000Z",
- *     "hmiLayout": [ // Array of HMI component data from KonvaManager
- *       { "id": "comp1", "type": "button", "x": 100, "y": 50, ... }
+ *     "hmiLayout": [ // HMI component data of all screens, each tagged with its screenId
+ *       { "id": "comp1", "type": "button", "x": 100, "y": 50, "screenId": "screen-1", ... }
  *     ],
+ *     "screens": [ // Screens (pages) from ScreenManager, in display order
+ *       { "id": "screen-1", "name": "Overview" }
+ *     ],
+ *     "startScreenId": "screen-1", // Screen shown after loading
  *     "deviceConfigs": [ // Array of device configurations from DeviceManager
  *       { "id": "dev1", "name": "PLC1", "type": "modbus-tcp", ... }
  *     ],
+ *     "alarmDefinitions": [ // Array of alarm definitions from AlarmManager
+ *       { "id": "alarm-1", "deviceId": "dev1", "variableName": "level", "type": "analog", "hi": 80, ... }
+ *     ],
+ *     "modbusServer": { // Modbus TCP server (slave) from ModbusServerConfig; see server/modbusServer.js
+ *       "enabled": true, "port": 5020, "unitId": 1,
+ *       "registers": [{ "table": "holding-register", "address": 0, "deviceId": "dev1", "variableName": "level", "dataType": "float32", "writable": false }]
+ *     },
+ *     "mqttBridge": { // Publishes all tags to a broker, from MqttBridgeConfig; see server/mqttBridge.js
+ *       "enabled": true, "brokerUrl": "mqtt://broker:1883", "format": "json", "topicPrefix": "plant", "qos": 0
+ *     },
+ *     "symbols": [ // Symbol library from SymbolLibrary; bindings use {parameter} placeholders
+ *       { "id": "symbol-1", "name": "Pump Panel", "parameters": ["pump"], "components": [...] }
+ *     ],
  *     "projectSettings": { // Future placeholder for global project settings
  *       // "gridSize": 20, "theme": "dark"
  *     }
@@ -36,14 +53,28 @@
  *   - Listens for `project:loaded_data` (project data from server).
  * - Emits `project:list` to request available project names from server.
  *   - Listens for `project:list_results` (array of names from server).
+ * - Emits `project:history` / `project:diff` / `project:restore` for the numbered revisions the
+ *   server keeps of every save.
+ *   - Listens for `project:history_results`, `project:diff_results` and `project:restored`.
+ * - Emits `project:list_details`, `project:delete`, `project:rename` and `project:duplicate`.
+ *   - Listens for `project:list_details_results`, `project:deleted`, `project:renamed` and `project:duplicated`.
+ * - Emits `runtime:set_startup_project` to choose the project the server runs at startup.
+ *   - Listens for `runtime:config` (the server's runtime settings).
  * - Listens for `operation_error` for errors during these operations.
  *
  * Dependencies:
  * - `stateManager`: For `saveState` after loading or creating new projects.
  * - `deviceManager`: For getting/setting device configurations (`getAllDeviceConfigsForExport`,
  *   `clearAllClientDevices`, `initializeDevicesFromConfigs`, `clearLocalDeviceCacheAndState`).
+ * - `alarmManager`: For getting/setting alarm definitions (`getAlarmDefinitions`, `setAlarmDefinitions`).
+ * - `modbusServerConfig`: For getting/setting the Modbus server register map (`getModbusServerConfig`, `setModbusServerConfig`).
+ * - `mqttBridgeConfig`: For getting/setting the MQTT bridge settings (`getMqttBridgeConfig`, `setMqttBridgeConfig`).
  * - `konvaManager` (via `konvaManagerRef`): For HMI layout data (`getHmiLayoutAsJson`, `clearCanvas`).
+ * - `screenManager`: For the screens and the layouts of the screens not shown (`getProjectLayout`,
+ *   `getScreensForProject`, `loadScreens`, `resetScreens`).
+ * - `symbolLibrary`: For getting/setting the project's symbols (`getSymbols`, `setSymbols`).
  * - `componentFactory` (via `componentFactoryRef`): For creating HMI components during import/load.
+ * - `projectSchema`: For the format version and for migrating and validating imported files.
  * - Socket.IO client (via `socketRef`): For all server communication.
  */
 import { saveState } from "./stateManager.js";
@@ -53,6 +84,12 @@ import {
     initializeDevicesFromConfigs,
     clearLocalDeviceCacheAndState,
 } from "./deviceManager.js";
+import { getAlarmDefinitions, setAlarmDefinitions } from "./alarmManager.js";
+import { getModbusServerConfig, setModbusServerConfig } from "./modbusServerConfig.js";
+import { getMqttBridgeConfig, setMqttBridgeConfig } from "./mqttBridgeConfig.js";
+import { getProjectLayout, getScreensForProject, loadScreens, resetScreens } from "./screenManager.js";
+import { getSymbols, setSymbols } from "./symbolLibrary.js";
+import { PROJECT_SCHEMA_VERSION, prepareProject } from "./projectSchema.js";
 
 /**
  * Reference to the initialized KonvaManager instance.
@@ -118,13 +155,14 @@ const ProjectManager = {
     },
 
     /**
-     * Retrieves HMI layout data from KonvaManager.
+     * Retrieves HMI layout data of all screens: the shown screen from KonvaManager, the others
+     * from ScreenManager.
      * @returns {Array<object>} Array of HMI component data objects, or empty array on error.
      * @private
      */
     getHmiDataForProject() {
         if (konvaManagerRef && typeof konvaManagerRef.getHmiLayoutAsJson === "function") {
-            return konvaManagerRef.getHmiLayoutAsJson();
+            return getProjectLayout(konvaManagerRef.getHmiLayoutAsJson());
         }
         console.error("[ProjectManager] KonvaManager or getHmiLayoutAsJson not available.");
         return [];
@@ -152,7 +190,11 @@ const ProjectManager = {
      *   projectVersion: string,
      *   lastModified: string,
      *   hmiLayout: Array<object>,
+     *   screens: Array<{id: string, name: string}>,
+     *   startScreenId: string | null,
      *   deviceConfigs: Array<object>,
+     *   alarmDefinitions: Array<object>,
+     *   symbols: Array<object>,
      *   projectSettings: object
      * }} Complete current project data.
      */
@@ -160,13 +202,20 @@ const ProjectManager = {
         const hmiLayout = this.getHmiDataForProject();
         const deviceConfigs = this.getDeviceDataForProject();
         const projName = this.getCurrentProjectName() || "UntitledProject";
+        const { screens, startScreenId } = getScreensForProject();
 
         return {
             projectName: projName,
-            projectVersion: "1.0", // Current project data format version
+            projectVersion: PROJECT_SCHEMA_VERSION,
             lastModified: new Date().toISOString(),
             hmiLayout: hmiLayout,
+            screens: screens,
+            startScreenId: startScreenId,
             deviceConfigs: deviceConfigs,
+            alarmDefinitions: getAlarmDefinitions(),
+            modbusServer: getModbusServerConfig(),
+            mqttBridge: getMqttBridgeConfig(),
+            symbols: getSymbols(),
             projectSettings: {
                 // Placeholder for future global project settings (e.g., theme, grid visibility)
             },
@@ -245,6 +294,12 @@ const ProjectManager = {
             // Consider if execution should halt or proceed with partial cleanup
         }
 
+        resetScreens(); // Back to a single empty screen
+        setAlarmDefinitions([]); // Alarms belong to the project's devices
+        setModbusServerConfig(undefined); // Disables the Modbus server
+        setMqttBridgeConfig(undefined); // Disables the MQTT bridge
+        setSymbols([]);
+
         if (typeof saveState === "function") {
             saveState(); // Save initial empty state for undo history
         } else {
@@ -295,10 +350,11 @@ const ProjectManager = {
      * Emits `project:save` via Socket.IO and handles server acknowledgment or errors.
      *
      * @param {string} projectNameToSave - Name to save the project under on the server.
-     * @returns {Promise<object>} Resolves with server's acknowledgment (e.g., `{ success: true, name: string }`),
+     * @param {string} [comment=""] - Comment stored with the revision the server creates.
+     * @returns {Promise<object>} Resolves with server's acknowledgment (e.g., `{ success: true, name: string, revision: number }`),
      *                            or rejects with an error message.
      */
-    saveProjectToServer(projectNameToSave) {
+    saveProjectToServer(projectNameToSave, comment = "") {
         if (!projectNameToSave || projectNameToSave.trim() === "") {
             alert("Project name cannot be empty.");
             return Promise.reject("Project name is empty.");
@@ -353,7 +409,9 @@ const ProjectManager = {
             socketRef.on("project:saved_ack", ackListener);
             socketRef.on("operation_error", errorListener); // Assuming a general error event
 
-            socketRef.emit("project:save", { name: projectNameToSave, data: projectData });
+            const payload = { name: projectNameToSave, data: projectData };
+            if (comment && comment.trim()) payload.comment = comment.trim();
+            socketRef.emit("project:save", payload);
 
             timeoutId = setTimeout(() => {
                 removeListeners();
@@ -416,8 +474,12 @@ const ProjectManager = {
                     // If not, `clearLocalDeviceCacheAndState()` might be needed here.
                     // The Gemini-fix comment indicated this was a source of issues, so trusting server-driven reset.
 
-                    if (projectData.hmiLayout && componentFactoryRef?.create) {
-                        projectData.hmiLayout.forEach((componentData) => {
+                    setSymbols(projectData.symbols);
+
+                    // Only the start screen is created; ScreenManager keeps the other screens' layouts
+                    const startComponents = loadScreens(projectData);
+                    if (startComponents.length > 0 && componentFactoryRef?.create) {
+                        startComponents.forEach((componentData) => {
                             try {
                                 componentFactoryRef.create(componentData.componentType, componentData);
                             } catch (e) {
@@ -522,14 +584,199 @@ const ProjectManager = {
         });
     },
 
+    /**
+     * Sends a request to the server and resolves with the first matching result event.
+     * Rejects on an `operation_error` of the same operation or after a timeout.
+     *
+     * @param {string} operation - Event to emit (also the `operation` of its errors).
+     * @param {object} [payload] - Event payload; none if `undefined`.
+     * @param {string} resultEvent - Event carrying the result.
+     * @param {function(object): boolean} isResult - Tells whether a result event answers this request.
+     * @param {number} [timeoutMs=10000] - Milliseconds to wait for the result.
+     * @returns {Promise<object>}
+     * @private
+     */
+    _requestFromServer(operation, payload, resultEvent, isResult, timeoutMs = 10000) {
+        if (!socketRef) return Promise.reject("Socket not initialized.");
+        return new Promise((resolve, reject) => {
+            if (!socketRef.connected) {
+                reject(`Cannot ${operation}: Not connected to the server.`);
+                return;
+            }
+            let timeoutId;
+            const cleanup = () => {
+                clearTimeout(timeoutId);
+                socketRef.off(resultEvent, resultListener);
+                socketRef.off("operation_error", errorListener);
+            };
+            const resultListener = (result) => {
+                if (!isResult(result)) return;
+                cleanup();
+                resolve(result);
+            };
+            const errorListener = (error) => {
+                if (error?.operation !== operation) return;
+                cleanup();
+                reject(error.message || "Unknown server error");
+            };
+            socketRef.on(resultEvent, resultListener);
+            socketRef.on("operation_error", errorListener);
+            if (payload === undefined) socketRef.emit(operation);
+            else socketRef.emit(operation, payload);
+            timeoutId = setTimeout(() => {
+                cleanup();
+                reject(`Timeout (${operation}): No response from server.`);
+            }, timeoutMs);
+        });
+    },
+
+    /**
+     * Fetches the revisions of a project from the server.
+     *
+     * @param {string} projectName - Name of the project.
+     * @returns {Promise<Array<{revision: number, savedAt: string, author: (string|null), comment: string, restoredFrom?: number}>>}
+     *          Newest revision first.
+     */
+    async getProjectHistoryFromServer(projectName) {
+        const result = await this._requestFromServer(
+            "project:history",
+            { name: projectName },
+            "project:history_results",
+            (response) => response?.name === projectName,
+        );
+        return Array.isArray(result.revisions) ? result.revisions : [];
+    },
+
+    /**
+     * Fetches the structured diff between two revisions of a project from the server.
+     *
+     * @param {string} projectName - Name of the project.
+     * @param {number} fromRevision - Older revision.
+     * @param {number} [toRevision] - Newer revision; the latest if omitted.
+     * @returns {Promise<{from: number, to: number, components: object, devices: object, otherChanges: Array<string>}>}
+     */
+    getProjectDiffFromServer(projectName, fromRevision, toRevision) {
+        return this._requestFromServer(
+            "project:diff",
+            { name: projectName, from: fromRevision, to: toRevision },
+            "project:diff_results",
+            (response) => response?.name === projectName && response.from === fromRevision,
+        );
+    },
+
+    /**
+     * Restores an older revision of a project on the server (stored as a new revision) and
+     * loads the restored project. Caller should handle unsaved changes confirmation.
+     *
+     * @param {string} projectName - Name of the project.
+     * @param {number} revision - Revision to restore.
+     * @returns {Promise<{name: string, revision: number, restoredFrom: number}>} The server's answer.
+     */
+    async restoreProjectRevisionOnServer(projectName, revision) {
+        const result = await this._requestFromServer(
+            "project:restore",
+            { name: projectName, revision },
+            "project:restored",
+            (response) => response?.name === projectName && response.restoredFrom === revision,
+            15000,
+        );
+        await this.loadProjectFromServer(result.name);
+        return result;
+    },
+
+    /**
+     * Fetches the projects on the server with their metadata. `startup` marks the project the
+     * server loads when it starts, `active` the project whose devices are running on the server.
+     *
+     * @returns {Promise<Array<{name: string, lastModified: (string|null), size: number, components: number, devices: number, startup: boolean, active: boolean}>>}
+     */
+    async getProjectDetailsFromServer() {
+        const projects = await this._requestFromServer("project:list_details", undefined, "project:list_details_results", () => true);
+        return Array.isArray(projects) ? projects : [];
+    },
+
+    /**
+     * Deletes a project (and its revisions) on the server. Caller should ask for confirmation.
+     * If it is the current project, the workspace is kept as an unsaved, unnamed project.
+     *
+     * @param {string} projectName - Name of the project.
+     * @returns {Promise<object>} The server's answer.
+     */
+    async deleteProjectOnServer(projectName) {
+        const result = await this._requestFromServer(
+            "project:delete",
+            { name: projectName },
+            "project:deleted",
+            (response) => response?.name === projectName,
+        );
+        if (currentProjectName === projectName) {
+            this.setCurrentProjectName(null);
+            this.setDirty(true);
+        }
+        return result;
+    },
+
+    /**
+     * Renames a project on the server. Renaming the current project keeps it open under the new name.
+     *
+     * @param {string} projectName - Current name.
+     * @param {string} newName - New name.
+     * @returns {Promise<{name: string, newName: string}>} The server's answer; `newName` is the name actually used.
+     */
+    async renameProjectOnServer(projectName, newName) {
+        const result = await this._requestFromServer(
+            "project:rename",
+            { name: projectName, newName },
+            "project:renamed",
+            (response) => response?.name === projectName,
+        );
+        if (currentProjectName === projectName) this.setCurrentProjectName(result.newName);
+        return result;
+    },
+
+    /**
+     * Saves a copy of a project on the server under a new name.
+     *
+     * @param {string} projectName - Project to copy.
+     * @param {string} newName - Name of the copy.
+     * @returns {Promise<{name: string, newName: string}>} The server's answer; `newName` is the name actually used.
+     */
+    duplicateProjectOnServer(projectName, newName) {
+        return this._requestFromServer(
+            "project:duplicate",
+            { name: projectName, newName },
+            "project:duplicated",
+            (response) => response?.name === projectName,
+        );
+    },
+
+    /**
+     * Sets the project the server loads when it starts, so its devices, alarms and history
+     * logging run without an open editor and after server restarts.
+     *
+     * @param {string|null} projectName - Name of the project, or `null` to start without a project.
+     * @returns {Promise<{startupProject: (string|null), fromEnvironment: boolean, activeProject: (string|null)}>}
+     *          The server's runtime settings.
+     */
+    setStartupProjectOnServer(projectName) {
+        return this._requestFromServer(
+            "runtime:set_startup_project",
+            { name: projectName },
+            "runtime:config",
+            (config) => config?.startupProject === projectName,
+        );
+    },
+
     /**
      * Imports a project from a user-selected local JSON file.
-     * Parses the file, expecting `hmiLayout` and `deviceConfigs` arrays.
+     * Parses the file, migrates it to the current format version and validates it (see
+     * `projectSchema.js`); an invalid file is rejected with the errors found, each with its path.
      * Clears current project, then reconstructs HMI and initializes devices.
      * Marks project as dirty. Caller should handle unsaved changes confirmation.
      *
      * @param {File} file - The `File` object (from a file input) of the JSON project file.
-     * @returns {Promise<object>} Resolves with imported project data, or rejects with an error.
+     * @returns {Promise<object>} Resolves with the imported (migrated) project data, or rejects
+     *          with an error message.
      */
     importProjectFromFile(file) {
         if (!file) {
@@ -547,18 +794,19 @@ const ProjectManager = {
 
             reader.onload = async (event) => {
                 try {
-                    const projectData = JSON.parse(event.target.result);
-
-                    if (typeof projectData !== "object" || projectData === null ||
-                        !Array.isArray(projectData.hmiLayout) || !Array.isArray(projectData.deviceConfigs)) {
-                        throw new Error("Invalid project file format. Expected 'hmiLayout' and 'deviceConfigs' arrays.");
+                    // Files of older versions are migrated; invalid files are rejected with all their errors
+                    const { project: projectData, fromVersion, notes, warnings } = prepareProject(JSON.parse(event.target.result));
+                    if (fromVersion !== PROJECT_SCHEMA_VERSION) {
+                        console.log(`[ProjectManager] Imported file migrated from version ${fromVersion} to ${PROJECT_SCHEMA_VERSION}.`, notes);
                     }
+                    warnings.forEach((warning) => console.warn(`[ProjectManager] ${warning.path}: ${warning.message}`));
 
                     this.newProject(); // Clear current workspace
 
-                    // Import HMI components
-                    if (projectData.hmiLayout.length > 0 && componentFactoryRef?.create) {
-                        projectData.hmiLayout.forEach((componentData) => {
+                    // Import HMI components (of the start screen; ScreenManager keeps the others)
+                    const startComponents = loadScreens(projectData);
+                    if (startComponents.length > 0 && componentFactoryRef?.create) {
+                        startComponents.forEach((componentData) => {
                             try {
                                 componentFactoryRef.create(componentData.componentType, componentData);
                             } catch (e) {
@@ -572,6 +820,12 @@ const ProjectManager = {
                     if (projectData.deviceConfigs.length > 0 && typeof initializeDevicesFromConfigs === "function") {
                         await initializeDevicesFromConfigs(projectData.deviceConfigs);
                     }
+                    if (Array.isArray(projectData.alarmDefinitions)) {
+                        setAlarmDefinitions(projectData.alarmDefinitions);
+                    }
+                    setModbusServerConfig(projectData.modbusServer);
+                    setMqttBridgeConfig(projectData.mqttBridge);
+                    setSymbols(projectData.symbols);
 
                     const importedProjectName = projectData.projectName || file.name.replace(/\.json$/i, "");
                     this.setCurrentProjectName(importedProjectName);
@@ -579,7 +833,8 @@ const ProjectManager = {
                     if (typeof saveState === "function") saveState();
 
                     console.log(`[ProjectManager] Project from file '${file.name}' successfully imported as '${importedProjectName}'.`);
-                    alert(`Project '${importedProjectName}' imported. Consider saving it to the server.`);
+                    const warningText = warnings.length > 0 ? ` ${warnings.length} warning(s), see the console.` : "";
+                    alert(`Project '${importedProjectName}' imported.${warningText} Consider saving it to the server.`);
                     resolve(projectData);
 
                 } catch (error) {
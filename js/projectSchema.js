@@ -0,0 +1,24 @@
+/**
+ * @file ES module entry of the project schema for client modules. The schema itself lives in
+ * `projectSchemaCore.js`, a plain script shared with the server; see there for the details.
+ * @module js/projectSchema
+ */
+
+import * as core from "./projectSchemaCore.js";
+
+// In the browser the core registers itself as `globalThis.HmiProjectSchema`; when it is loaded
+// as CommonJS (Jest) the namespace holds its exports instead.
+const schema =
+    typeof core.prepareProject === "function"
+        ? core
+        : globalThis.HmiProjectSchema;
+
+export const {
+    PROJECT_SCHEMA_VERSION,
+    COMPONENT_TYPES,
+    MIGRATIONS,
+    migrateProject,
+    validateProject,
+    prepareProject,
+    formatValidationErrors,
+} = schema;
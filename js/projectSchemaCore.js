@@ -0,0 +1,459 @@
+/**
+ * @file Versioned project schema: validation and migration of project data.
+ * @module js/projectSchemaCore
+ *
+ * @description
+ * Project data (see `projectManager.js`) carries its format version in `projectVersion`.
+ * Data of an older version is upgraded step by step by {@link MIGRATIONS} before it is validated,
+ * so files saved by older versions keep loading. Files without `projectVersion` are treated as
+ * version "1.0".
+ *
+ * Validation reports every problem with the path of the offending value, e.g.
+ * `hmiLayout[3].componentType`:
+ * - **errors** make the project unusable (unknown component type, a component, alarm or Modbus
+ *   server register bound to a device that is not in `deviceConfigs`, duplicate ids, wrong structure);
+ * - **warnings** are kept for the user to fix (a binding to a variable the device does not
+ *   define, a legacy `address` binding that could not be migrated).
+ *
+ * This module has no dependencies and is shared: the client uses it when importing a file, the
+ * server (`server/projectHandler.js`) when loading projects. Saves are stored as sent, so a
+ * project that no longer validates can still be saved, renamed and restored to fix it.
+ *
+ * It is a plain script (no `import`/`export`) so the server can `require` it on any Node version
+ * without a build step: under CommonJS it sets `module.exports`, in the browser it sets
+ * `globalThis.HmiProjectSchema`. Client modules import it through `projectSchema.js`.
+ */
+
+(function (root, factory) {
+    const schema = factory();
+    if (typeof module === "object" && module.exports) module.exports = schema;
+    else root.HmiProjectSchema = schema;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+    "use strict";
+
+    /** Current project format version, written by `ProjectManager.getCurrentProjectData`. */
+    const PROJECT_SCHEMA_VERSION = "2.0";
+
+    /**
+     * Component types `componentFactory.create` knows.
+     * @type {ReadonlyArray<string>}
+     */
+    const COMPONENT_TYPES = Object.freeze([
+        "bit-lamp",
+        "bit-switch",
+        "word-lamp",
+        "numeric-display",
+        "numeric-input",
+        "trend-chart",
+        "alarm-summary",
+        "alarm-banner",
+        "nav-button",
+        "label",
+    ]);
+
+    /**
+     * Compares two "major.minor" version strings.
+     * @param {string} a
+     * @param {string} b
+     * @returns {number} Negative if `a` is older than `b`, 0 if equal, positive if newer.
+     * @private
+     */
+    function compareVersions(a, b) {
+        const [aMajor, aMinor = 0] = String(a).split(".").map(Number);
+        const [bMajor, bMinor = 0] = String(b).split(".").map(Number);
+        return aMajor - bMajor || aMinor - bMinor;
+    }
+
+    /**
+     * Converts legacy `address` bindings (read through the deprecated
+     * `stateManager.getComponentAddressValue`) into `deviceId`/`variableName` bindings. The address
+     * is looked up among the variables (by name or by address) of the component's device or, if the
+     * component has no device, of all devices; it is only converted if exactly one variable matches.
+     * @param {object} project - Project data (modified in place).
+     * @param {Array<string>} notes - Receives a note per converted or unresolved binding.
+     * @private
+     */
+    function migrateLegacyAddressBindings(project, notes) {
+        const devices = Array.isArray(project.deviceConfigs)
+            ? project.deviceConfigs
+            : [];
+        (Array.isArray(project.hmiLayout) ? project.hmiLayout : []).forEach(
+            (component, index) => {
+                const address = component?.address;
+                if (
+                    address === undefined ||
+                    address === null ||
+                    address === "" ||
+                    component.variableName
+                )
+                    return;
+                const candidates = devices.filter(
+                    (device) =>
+                        !component.deviceId || device.id === component.deviceId,
+                );
+                const matches = [];
+                candidates.forEach((device) => {
+                    (Array.isArray(device.variables)
+                        ? device.variables
+                        : []
+                    ).forEach((variable) => {
+                        if (
+                            variable.name === String(address) ||
+                            (variable.address !== undefined &&
+                                String(variable.address) === String(address))
+                        ) {
+                            matches.push({
+                                deviceId: device.id,
+                                variableName: variable.name,
+                            });
+                        }
+                    });
+                });
+                if (matches.length === 1) {
+                    component.deviceId = matches[0].deviceId;
+                    component.variableName = matches[0].variableName;
+                    delete component.address;
+                    notes.push(
+                        `hmiLayout[${index}] (${component.id}): address '${address}' → ${matches[0].deviceId}.${matches[0].variableName}`,
+                    );
+                } else {
+                    notes.push(
+                        `hmiLayout[${index}] (${component.id}): address '${address}' tidak dapat dikonversi (${matches.length === 0 ? "tidak ada variabel yang cocok" : "lebih dari satu variabel cocok"})`,
+                    );
+                }
+            },
+        );
+    }
+
+    /**
+     * Upgrade steps, oldest first. Each step turns data of version `from` into version `to`.
+     * @type {ReadonlyArray<{from: string, to: string, description: string, migrate: function(object, Array<string>): void}>}
+     */
+    const MIGRATIONS = Object.freeze([
+        {
+            from: "1.0",
+            to: "2.0",
+            description:
+                "Legacy address bindings to deviceId/variableName; optional sections default to empty",
+            migrate(project, notes) {
+                migrateLegacyAddressBindings(project, notes);
+                ["screens", "alarmDefinitions", "symbols"].forEach((key) => {
+                    if (project[key] === undefined) project[key] = [];
+                });
+            },
+        },
+    ]);
+
+    /**
+     * Upgrades project data to {@link PROJECT_SCHEMA_VERSION}. The input is not modified.
+     * @param {object} projectData - Parsed project data.
+     * @returns {{project: object, fromVersion: string, notes: Array<string>}} The upgraded copy, the
+     *          version it was upgraded from and what the migrations changed.
+     * @throws {{code: string, message: string}} `UNSUPPORTED_PROJECT_VERSION` for data of a newer
+     *         version than this application supports.
+     */
+    function migrateProject(projectData) {
+        const project = JSON.parse(JSON.stringify(projectData));
+        const fromVersion = project.projectVersion
+            ? String(project.projectVersion)
+            : "1.0";
+        if (compareVersions(fromVersion, PROJECT_SCHEMA_VERSION) > 0) {
+            throw {
+                code: "UNSUPPORTED_PROJECT_VERSION",
+                message: `Project versi ${fromVersion} lebih baru dari yang didukung (${PROJECT_SCHEMA_VERSION}).`,
+            };
+        }
+        const notes = [];
+        MIGRATIONS.forEach((step) => {
+            if (compareVersions(fromVersion, step.to) < 0)
+                step.migrate(project, notes);
+        });
+        project.projectVersion = PROJECT_SCHEMA_VERSION;
+        return { project, fromVersion, notes };
+    }
+
+    /**
+     * Validates project data of the current version.
+     * @param {object} project - Project data.
+     * @returns {{valid: boolean, errors: Array<{path: string, code: string, message: string}>, warnings: Array<{path: string, code: string, message: string}>}}
+     */
+    function validateProject(project) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, code, message) =>
+            errors.push({ path, code, message });
+        const warning = (path, code, message) =>
+            warnings.push({ path, code, message });
+
+        if (!project || typeof project !== "object" || Array.isArray(project)) {
+            error("", "INVALID_STRUCTURE", "Data project harus berupa objek.");
+            return { valid: false, errors, warnings };
+        }
+        const listOf = (key, required) => {
+            if (Array.isArray(project[key])) return project[key];
+            if (required || project[key] !== undefined)
+                error(key, "INVALID_STRUCTURE", `'${key}' harus berupa array.`);
+            return [];
+        };
+        const isId = (value) =>
+            typeof value === "string" && value.trim() !== "";
+        const checkIds = (key, items) => {
+            const seen = new Map();
+            items.forEach((item, index) => {
+                const path = `${key}[${index}]`;
+                if (!item || typeof item !== "object") {
+                    error(
+                        path,
+                        "INVALID_STRUCTURE",
+                        "Entri harus berupa objek.",
+                    );
+                } else if (!isId(item.id)) {
+                    error(`${path}.id`, "MISSING_ID", "id wajib diisi.");
+                } else if (seen.has(item.id)) {
+                    error(
+                        `${path}.id`,
+                        "DUPLICATE_ID",
+                        `id '${item.id}' sudah dipakai oleh ${key}[${seen.get(item.id)}].`,
+                    );
+                } else {
+                    seen.set(item.id, index);
+                }
+            });
+        };
+
+        const components = listOf("hmiLayout", true);
+        const devices = listOf("deviceConfigs", true);
+        const screens = listOf("screens", false);
+        const alarmDefinitions = listOf("alarmDefinitions", false);
+        const symbols = listOf("symbols", false);
+        [
+            ["hmiLayout", components],
+            ["deviceConfigs", devices],
+            ["screens", screens],
+            ["alarmDefinitions", alarmDefinitions],
+            ["symbols", symbols],
+        ].forEach(([key, items]) => checkIds(key, items));
+
+        const devicesById = new Map(
+            devices.filter((d) => d && isId(d.id)).map((d) => [d.id, d]),
+        );
+        devices.forEach((device, index) => {
+            if (!device || typeof device !== "object") return;
+            if (!isId(device.type))
+                error(
+                    `deviceConfigs[${index}].type`,
+                    "MISSING_DEVICE_TYPE",
+                    `Device '${device.id}' tidak memiliki type.`,
+                );
+            const names = new Set();
+            (Array.isArray(device.variables) ? device.variables : []).forEach(
+                (variable, varIndex) => {
+                    const path = `deviceConfigs[${index}].variables[${varIndex}]`;
+                    if (!isId(variable?.name))
+                        error(
+                            `${path}.name`,
+                            "MISSING_VARIABLE_NAME",
+                            "Nama variabel wajib diisi.",
+                        );
+                    else if (names.has(variable.name))
+                        error(
+                            `${path}.name`,
+                            "DUPLICATE_VARIABLE",
+                            `Variabel '${variable.name}' ada lebih dari sekali di device '${device.id}'.`,
+                        );
+                    else names.add(variable.name);
+                },
+            );
+        });
+
+        const checkBinding = (path, binding) => {
+            if (!binding.deviceId) return;
+            const device = devicesById.get(binding.deviceId);
+            if (!device) {
+                error(
+                    `${path}.deviceId`,
+                    "UNKNOWN_DEVICE",
+                    `Device '${binding.deviceId}' tidak ada di deviceConfigs.`,
+                );
+                return;
+            }
+            const variables = Array.isArray(device.variables)
+                ? device.variables
+                : [];
+            if (
+                binding.variableName &&
+                !variables.some((v) => v?.name === binding.variableName)
+            ) {
+                warning(
+                    `${path}.variableName`,
+                    "UNKNOWN_VARIABLE",
+                    `Variabel '${binding.variableName}' tidak ada di device '${binding.deviceId}'.`,
+                );
+            }
+        };
+        const screenIds = new Set(
+            screens.filter((s) => s && isId(s.id)).map((s) => s.id),
+        );
+
+        components.forEach((component, index) => {
+            if (!component || typeof component !== "object") return;
+            const path = `hmiLayout[${index}]`;
+            if (!COMPONENT_TYPES.includes(component.componentType)) {
+                error(
+                    `${path}.componentType`,
+                    "UNKNOWN_COMPONENT_TYPE",
+                    `Tipe komponen '${component.componentType}' tidak dikenal.`,
+                );
+            }
+            checkBinding(path, component);
+            (Array.isArray(component.pens) ? component.pens : []).forEach(
+                (pen, penIndex) =>
+                    checkBinding(`${path}.pens[${penIndex}]`, pen || {}),
+            );
+            if (
+                screenIds.size > 0 &&
+                component.screenId &&
+                !screenIds.has(component.screenId)
+            ) {
+                error(
+                    `${path}.screenId`,
+                    "UNKNOWN_SCREEN",
+                    `Screen '${component.screenId}' tidak ada di screens.`,
+                );
+            }
+            if (
+                screenIds.size > 0 &&
+                component.targetScreenId &&
+                !screenIds.has(component.targetScreenId)
+            ) {
+                warning(
+                    `${path}.targetScreenId`,
+                    "UNKNOWN_SCREEN",
+                    `Screen tujuan '${component.targetScreenId}' tidak ada di screens.`,
+                );
+            }
+            if (
+                component.address !== undefined &&
+                component.address !== null &&
+                component.address !== "" &&
+                !component.variableName
+            ) {
+                warning(
+                    `${path}.address`,
+                    "LEGACY_ADDRESS_BINDING",
+                    `Binding lama 'address' (${component.address}) belum dikonversi ke device/variabel.`,
+                );
+            }
+        });
+        alarmDefinitions.forEach((definition, index) => {
+            if (definition && typeof definition === "object")
+                checkBinding(`alarmDefinitions[${index}]`, definition);
+        });
+        // Structure and addresses of the Modbus server map are checked by server/modbusServer.js
+        if (project.modbusServer !== undefined) {
+            const registers = project.modbusServer?.registers;
+            if (
+                !project.modbusServer ||
+                typeof project.modbusServer !== "object"
+            ) {
+                error(
+                    "modbusServer",
+                    "INVALID_STRUCTURE",
+                    "'modbusServer' harus berupa objek.",
+                );
+            } else if (registers !== undefined && !Array.isArray(registers)) {
+                error(
+                    "modbusServer.registers",
+                    "INVALID_STRUCTURE",
+                    "'modbusServer.registers' harus berupa array.",
+                );
+            } else {
+                (registers || []).forEach((entry, index) => {
+                    if (entry && typeof entry === "object")
+                        checkBinding(`modbusServer.registers[${index}]`, entry);
+                });
+            }
+        }
+        if (
+            project.mqttBridge !== undefined &&
+            (!project.mqttBridge ||
+                typeof project.mqttBridge !== "object" ||
+                Array.isArray(project.mqttBridge))
+        ) {
+            error(
+                "mqttBridge",
+                "INVALID_STRUCTURE",
+                "'mqttBridge' harus berupa objek.",
+            ); // Settings are checked by server/mqttBridge.js
+        }
+        if (
+            project.startScreenId &&
+            screenIds.size > 0 &&
+            !screenIds.has(project.startScreenId)
+        ) {
+            error(
+                "startScreenId",
+                "UNKNOWN_SCREEN",
+                `Screen awal '${project.startScreenId}' tidak ada di screens.`,
+            );
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Migrates and validates project data, e.g. right after parsing a file.
+     * @param {object} projectData - Parsed project data.
+     * @returns {{project: object, fromVersion: string, notes: Array<string>, warnings: Array<{path: string, code: string, message: string}>}}
+     * @throws {{code: string, message: string, errors?: Array<object>}} `INVALID_PROJECT` with all
+     *         validation errors, or `UNSUPPORTED_PROJECT_VERSION`.
+     */
+    function prepareProject(projectData) {
+        if (
+            !projectData ||
+            typeof projectData !== "object" ||
+            Array.isArray(projectData)
+        ) {
+            throw {
+                code: "INVALID_PROJECT",
+                message: "Data project harus berupa objek.",
+                errors: [],
+            };
+        }
+        const { project, fromVersion, notes } = migrateProject(projectData);
+        const { valid, errors, warnings } = validateProject(project);
+        if (!valid) {
+            throw {
+                code: "INVALID_PROJECT",
+                message: formatValidationErrors(errors),
+                errors,
+            };
+        }
+        return { project, fromVersion, notes, warnings };
+    }
+
+    /**
+     * Formats validation errors as a message (the first few, with the number of the rest).
+     * @param {Array<{path: string, message: string}>} errors
+     * @param {number} [max=5]
+     * @returns {string}
+     */
+    function formatValidationErrors(errors, max = 5) {
+        const lines = errors
+            .slice(0, max)
+            .map((e) => (e.path ? `${e.path}: ${e.message}` : e.message));
+        if (errors.length > max)
+            lines.push(`... dan ${errors.length - max} error lainnya`);
+        return `Project tidak valid: ${lines.join("; ")}`;
+    }
+
+    return {
+        PROJECT_SCHEMA_VERSION,
+        COMPONENT_TYPES,
+        MIGRATIONS,
+        migrateProject,
+        validateProject,
+        prepareProject,
+        formatValidationErrors,
+    };
+});
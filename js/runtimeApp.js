@@ -0,0 +1,213 @@
+/**
+ * @file runtimeApp.js
+ * @description Entry point of the runtime view (`runtime.html`, served at `/runtime/<project>`):
+ * a read-only operator screen for panel PCs in kiosk mode. Only the HMI canvas of the saved
+ * project is shown, scaled to the viewport; there is no sidebar, no Design mode and no editing.
+ *
+ * Compared to `app.js`, the runtime view:
+ * - Requests the project with `runtime:get_project`, which only reads the saved file: the devices
+ *   running on the server are not replaced. Without a project in the URL (`/runtime`) it shows
+ *   the project running on the server and follows `project:load` elsewhere (`runtime:config`).
+ * - Locks `uiManager` to Simulation mode (`lockToSimulationMode`), so design-mode actions
+ *   (selection, context menu, copy/paste, shortcuts) are unavailable.
+ * - Hides the grid and fits the shown screen into the viewport (`runtimeView.fitStageToViewport`)
+ *   on load, on screen changes (`nav-button`) and on resize.
+ * - Shows a banner when the shown project is not the one running on the server (its values are
+ *   then not updated) or the connection is lost.
+ */
+
+import { initStateManager } from "./stateManager.js";
+import { componentFactory, initComponentFactory } from "./componentFactory.js";
+import { initKonvaManager } from "./konvaManager.js";
+import { initUiManager } from "./uiManager.js";
+import { initDeviceManager, getDeviceById } from "./deviceManager.js";
+import ProjectManager from "./projectManager.js";
+import { initAlarmManager } from "./alarmManager.js";
+import { initScreenManager, loadScreens } from "./screenManager.js";
+import { ensureLoggedIn, initAuthManager } from "./authManager.js";
+import { fitStageToViewport, getRuntimeProjectName } from "./runtimeView.js";
+
+/**
+ * @type {number|undefined} Interval ID for the simulation loop.
+ * @private
+ */
+let simulationInterval;
+
+/** @type {HTMLElement|null} Banner for connection and project warnings. */
+const statusBanner = document.getElementById("runtime-status");
+
+/**
+ * Shows a warning in the status banner, or hides the banner.
+ * @param {string|null} message - The warning, or `null` to hide the banner.
+ * @private
+ */
+function showStatus(message) {
+    if (!statusBanner) return;
+    statusBanner.textContent = message || "";
+    statusBanner.classList.toggle("hidden", !message);
+}
+
+window.addEventListener("load", async () => {
+    // Project from the URL; null follows the project running on the server
+    const requestedProject = getRuntimeProjectName(window.location.pathname);
+    let shownProject = null;
+    let connected = false;
+    let projectActive = false;
+    let requestPending = false;
+
+    const refreshStatus = () => {
+        if (!connected)
+            showStatus("Koneksi ke server terputus. Nilai tidak diperbarui.");
+        else if (shownProject && !projectActive)
+            showStatus(
+                `Project '${shownProject}' tidak berjalan di server. Nilai tidak diperbarui.`,
+            );
+        else showStatus(null);
+    };
+
+    const setIsSimulationModeAndInterval = (value) => {
+        clearInterval(simulationInterval);
+        if (!value) return;
+        simulationInterval = setInterval(() => {
+            konvaManagerInterface.layer
+                ?.find(".hmi-component")
+                .forEach((node) => node.updateState?.());
+        }, 200);
+    };
+
+    // 0. Login: the server only accepts sockets of logged-in users.
+    await ensureLoggedIn();
+
+    // 1. Socket: live values, device writes (operator role) and alarms. The project's devices run
+    //    on the server, so device changes never mark anything dirty here.
+    const deviceSocket = io("/devices");
+    initAuthManager(deviceSocket);
+    initDeviceManager(deviceSocket, () => {});
+    initAlarmManager(deviceSocket);
+
+    // 2. UI and Konva managers, as in app.js; there is no sidebar or context menu markup.
+    let konvaManagerInterface = {};
+    const uiManagerInterface = initUiManager(
+        konvaManagerInterface,
+        () => true,
+        setIsSimulationModeAndInterval,
+        getDeviceById,
+        ProjectManager,
+    );
+    konvaManagerInterface = initKonvaManager(
+        "container",
+        "context-menu",
+        () => true,
+        uiManagerInterface.hideContextMenu,
+        uiManagerInterface.populateContextMenu,
+        uiManagerInterface.selectNodes,
+        uiManagerInterface.setCurrentContextMenuNode,
+        uiManagerInterface.getCurrentContextMenuNode,
+        () => [],
+    );
+    uiManagerInterface.setKonvaRefs(konvaManagerInterface);
+    konvaManagerInterface.stage.findOne(".gridLayer")?.hide();
+
+    // 3. State, components and screens; the nav-button switches screens, after which the new
+    //    screen is fitted into the viewport.
+    const fitToViewport = () =>
+        fitStageToViewport(
+            konvaManagerInterface.stage,
+            konvaManagerInterface.layer,
+        );
+    initStateManager(
+        componentFactory,
+        konvaManagerInterface.layer,
+        konvaManagerInterface.tr,
+        null,
+        null,
+    );
+    initComponentFactory(
+        konvaManagerInterface.layer,
+        konvaManagerInterface.tr,
+        konvaManagerInterface.guideLayer,
+        () => true,
+        () => konvaManagerInterface.stage,
+        konvaManagerInterface.getDragStartPositions,
+        konvaManagerInterface.setDragStartPositions,
+        konvaManagerInterface.clearDragStartPositions,
+        uiManagerInterface.selectNodes,
+        konvaManagerInterface.handleDragMove,
+    );
+    initScreenManager(
+        konvaManagerInterface,
+        componentFactory,
+        uiManagerInterface.hideContextMenu,
+        fitToViewport,
+    );
+
+    // Design mode stays unavailable for good
+    uiManagerInterface.lockToSimulationMode();
+    window.addEventListener("resize", fitToViewport);
+
+    // --- Project ---
+
+    const requestProject = () => {
+        requestPending = true;
+        deviceSocket.emit(
+            "runtime:get_project",
+            requestedProject ? { name: requestedProject } : {},
+        );
+    };
+
+    deviceSocket.on("runtime:project", ({ name, data, active }) => {
+        requestPending = false;
+        konvaManagerInterface.clearCanvas();
+        loadScreens(data).forEach((componentData) => {
+            try {
+                componentFactory.create(
+                    componentData.componentType,
+                    componentData,
+                );
+            } catch (e) {
+                console.error(
+                    `[Runtime] Failed to create HMI component type '${componentData.componentType}':`,
+                    e,
+                );
+            }
+        });
+        shownProject = name;
+        projectActive = active;
+        document.title = `${name} - HMI Runtime`;
+        fitToViewport();
+        refreshStatus();
+    });
+
+    deviceSocket.on("runtime:config", ({ activeProject }) => {
+        if (
+            !requestedProject &&
+            activeProject &&
+            activeProject !== shownProject
+        ) {
+            if (!requestPending) requestProject(); // Follow the project running on the server
+            return;
+        }
+        projectActive = Boolean(shownProject) && activeProject === shownProject;
+        refreshStatus();
+    });
+
+    deviceSocket.on("operation_error", (error) => {
+        if (error?.operation !== "runtime:get_project") return;
+        requestPending = false;
+        console.error("[Runtime] Failed to load the project:", error);
+        showStatus(error.message || "Gagal memuat project.");
+    });
+
+    deviceSocket.on("connect", () => {
+        connected = true;
+        refreshStatus();
+        requestProject();
+    });
+
+    deviceSocket.on("disconnect", () => {
+        connected = false;
+        refreshStatus();
+    });
+
+    console.log("Runtime HMI berhasil diinisialisasi.");
+});
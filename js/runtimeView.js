@@ -0,0 +1,106 @@
+/**
+ * @file Helpers of the runtime view (`runtime.html`, served at `/runtime/<project>`).
+ * @module js/runtimeView
+ *
+ * @description
+ * The runtime view shows only the HMI canvas of a saved project, for operator panels in kiosk
+ * mode. The layout is designed on a canvas of arbitrary size, so the view scales the stage to
+ * fit the shown screen into the viewport: the area from the canvas origin to the lower right
+ * edge of the components is scaled (keeping the aspect ratio) and centered.
+ */
+
+/** Margin (px) kept free around the fitted layout. */
+export const RUNTIME_VIEW_PADDING = 8;
+
+/**
+ * Reads the project name from the URL path of the runtime view.
+ * @param {string} pathname - E.g. `window.location.pathname` (`/runtime/Line%201`).
+ * @returns {string | null} The project name, or `null` for `/runtime` (the running project).
+ */
+export function getRuntimeProjectName(pathname) {
+    const match = /^\/runtime\/([^/]+)\/?$/.exec(String(pathname || ""));
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1]);
+    } catch {
+        return match[1];
+    }
+}
+
+/**
+ * Computes the scale and offset that fit a layout into a viewport.
+ * @param {{x: number, y: number, width: number, height: number} | null} contentRect - Bounding box
+ *        of the components in layer coordinates, or `null` for an empty screen.
+ * @param {{width: number, height: number}} viewport - Size of the stage container.
+ * @param {number} [padding=RUNTIME_VIEW_PADDING] - Margin around the layout.
+ * @returns {{scale: number, x: number, y: number}} Stage scale and position.
+ */
+export function computeViewportFit(
+    contentRect,
+    viewport,
+    padding = RUNTIME_VIEW_PADDING,
+) {
+    if (!contentRect || contentRect.width <= 0 || contentRect.height <= 0)
+        return { scale: 1, x: 0, y: 0 };
+    // The layout keeps its position on the canvas, so the origin is part of the fitted area
+    const layoutWidth = Math.max(
+        contentRect.x + contentRect.width,
+        contentRect.width,
+    );
+    const layoutHeight = Math.max(
+        contentRect.y + contentRect.height,
+        contentRect.height,
+    );
+    const left = Math.min(contentRect.x, 0);
+    const top = Math.min(contentRect.y, 0);
+    const availableWidth = Math.max(viewport.width - 2 * padding, 1);
+    const availableHeight = Math.max(viewport.height - 2 * padding, 1);
+    const scale = Math.min(
+        availableWidth / layoutWidth,
+        availableHeight / layoutHeight,
+    );
+    return {
+        scale,
+        x: (viewport.width - layoutWidth * scale) / 2 - left * scale,
+        y: (viewport.height - layoutHeight * scale) / 2 - top * scale,
+    };
+}
+
+/**
+ * Resizes the stage to its container and fits the components of the layer into it.
+ * @param {import('konva/lib/Stage').Stage} stage - The Konva stage.
+ * @param {import('konva/lib/Layer').Layer} layer - The layer holding the HMI components.
+ * @returns {{scale: number, x: number, y: number}} The applied scale and position.
+ */
+export function fitStageToViewport(stage, layer) {
+    const container = stage.container();
+    const viewport = {
+        width: container.clientWidth,
+        height: container.clientHeight,
+    };
+    stage.size(viewport);
+
+    const components = layer.find(".hmi-component");
+    let contentRect = null;
+    if (components.length > 0) {
+        const rects = components.map((node) =>
+            node.getClientRect({ relativeTo: layer }),
+        );
+        const minX = Math.min(...rects.map((r) => r.x));
+        const minY = Math.min(...rects.map((r) => r.y));
+        const maxX = Math.max(...rects.map((r) => r.x + r.width));
+        const maxY = Math.max(...rects.map((r) => r.y + r.height));
+        contentRect = {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY,
+        };
+    }
+
+    const fit = computeViewportFit(contentRect, viewport);
+    stage.scale({ x: fit.scale, y: fit.scale });
+    stage.position({ x: fit.x, y: fit.y });
+    stage.batchDraw();
+    return fit;
+}
@@ -0,0 +1,430 @@
+/**
+ * @file Manages the screens (pages) of a project: the list of named screens, which screen is
+ * shown on the Konva layer, and the layouts of the screens that are not shown.
+ * @module js/screenManager
+ *
+ * @description
+ * Only the components of the active screen live on the main Konva layer. When another screen
+ * is shown, the active screen's layout is serialized (via `konvaManager.getHmiLayoutAsJson`)
+ * and kept here, the canvas is cleared, and the target screen's components are created.
+ *
+ * In the project file, `hmiLayout` stays a flat array of all components; each component carries
+ * the `screenId` of its screen. The screens themselves are saved as `screens: [{id, name}]`
+ * with the `startScreenId` shown after loading. Projects without `screens` load as a single
+ * screen holding every component.
+ *
+ * Undo/redo is scoped per screen through `stateManager.switchScreenHistory`.
+ *
+ * Key Interactions:
+ * - `konvaManager` (via `konvaManagerRef`): `getHmiLayoutAsJson`, `clearCanvas` and `layer`.
+ * - `componentFactory` (via `componentFactoryRef`): Creates the components of a shown screen.
+ * - `stateManager`: Per-screen undo history (`switchScreenHistory`, `resetScreenHistories`,
+ *   `deleteScreenHistory`).
+ * - `ProjectManager`: Marks the project dirty when screens are added, renamed or deleted.
+ * - `componentFactory`'s `nav-button` calls {@link switchToScreen} in simulation mode.
+ */
+import {
+    switchScreenHistory,
+    resetScreenHistories,
+    deleteScreenHistory,
+} from "./stateManager.js";
+import ProjectManager from "./projectManager.js";
+
+/** Name of the screen of a new project, or of a project saved before screens existed. */
+const DEFAULT_SCREEN_NAME = "Main";
+
+/**
+ * Reference to the initialized KonvaManager interface.
+ * @type {object | null}
+ * @private
+ */
+let konvaManagerRef = null;
+
+/**
+ * Reference to the componentFactory module.
+ * @type {import('./componentFactory.js').componentFactory | null}
+ * @private
+ */
+let componentFactoryRef = null;
+
+/**
+ * Callback (from `uiManager`) closing the context menu before the shown components are destroyed.
+ * @type {function(): void | null}
+ * @private
+ */
+let hideContextMenuFunc = null;
+
+/**
+ * Callback (from the runtime view) called after another screen has been shown.
+ * @type {function(string): void | null}
+ * @private
+ */
+let screenShownFunc = null;
+
+/**
+ * Screens of the project, in display order.
+ * @type {Array<{id: string, name: string}>}
+ * @private
+ */
+let screens = [];
+
+/**
+ * ID of the screen shown on the layer.
+ * @type {string | null}
+ * @private
+ */
+let activeScreenId = null;
+
+/**
+ * ID of the screen shown when the project is loaded.
+ * @type {string | null}
+ * @private
+ */
+let startScreenId = null;
+
+/**
+ * Serialized components of the screens that are not shown, by screen ID.
+ * @type {Map<string, Array<object>>}
+ * @private
+ */
+const storedLayouts = new Map();
+
+/** @type {HTMLElement | null} */
+let screenListEl = null;
+/** @type {HTMLButtonElement | null} */
+let addScreenBtnEl = null;
+
+/**
+ * @returns {{id: string, name: string}} A new screen with a unique ID.
+ * @private
+ */
+function _createScreen(name) {
+    return { id: `screen-${crypto.randomUUID()}`, name };
+}
+
+/** @private Marks the project as modified, unless a project is being loaded. */
+function _setDirty() {
+    if (ProjectManager && !ProjectManager.getIsLoadingProject?.())
+        ProjectManager.setDirty(true);
+}
+
+/**
+ * Initializes the screen manager with a single empty screen and sets up the screen list.
+ * Must be called after the KonvaManager and componentFactory are initialized.
+ *
+ * @param {object} konvaManager - Initialized KonvaManager interface.
+ * @param {import('./componentFactory.js').componentFactory} componentFactoryIn - Initialized componentFactory.
+ * @param {function(): void} [hideContextMenu] - Closes the component context menu.
+ * @param {function(string): void} [onScreenShown] - Called with the screen ID after switching screens.
+ */
+export function initScreenManager(
+    konvaManager,
+    componentFactoryIn,
+    hideContextMenu,
+    onScreenShown,
+) {
+    konvaManagerRef = konvaManager;
+    componentFactoryRef = componentFactoryIn;
+    hideContextMenuFunc = hideContextMenu || null;
+    screenShownFunc = onScreenShown || null;
+    screenListEl = document.getElementById("screen-list");
+    addScreenBtnEl = document.getElementById("add-screen-btn");
+
+    if (addScreenBtnEl) {
+        addScreenBtnEl.addEventListener("click", () => {
+            const name = prompt(
+                "Nama screen baru:",
+                `Screen ${screens.length + 1}`,
+            );
+            if (name === null) return;
+            const screen = addScreen(name);
+            if (screen) switchToScreen(screen.id);
+        });
+    }
+    if (screenListEl) {
+        screenListEl.addEventListener("click", (e) => {
+            const button = e.target.closest?.("button[data-screen-id]");
+            if (!button) return;
+            const { screenId, action } = button.dataset;
+            if (action === "rename") {
+                const screen = screens.find((s) => s.id === screenId);
+                const name = prompt("Nama screen:", screen?.name || "");
+                if (name !== null) renameScreen(screenId, name);
+            } else if (action === "start") {
+                setStartScreen(screenId);
+            } else if (action === "delete") {
+                const screen = screens.find((s) => s.id === screenId);
+                if (
+                    screen &&
+                    confirm(
+                        `Hapus screen "${screen.name}" beserta semua komponennya?`,
+                    )
+                )
+                    deleteScreen(screenId);
+            } else {
+                switchToScreen(screenId);
+            }
+        });
+    }
+
+    resetScreens();
+    console.log("[ScreenManager] Initialized.");
+}
+
+/**
+ * Returns the screens of the project, in display order.
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getScreens() {
+    return screens.map((screen) => ({ ...screen }));
+}
+
+/**
+ * Returns the ID of the screen shown on the layer.
+ * @returns {string | null}
+ */
+export function getActiveScreenId() {
+    return activeScreenId;
+}
+
+/**
+ * Adds a new, empty screen at the end of the list. It is not shown.
+ * @param {string} name - Name of the screen.
+ * @returns {{id: string, name: string} | null} The new screen, or `null` if the name is empty or taken.
+ */
+export function addScreen(name) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) {
+        alert("Nama screen tidak boleh kosong.");
+        return null;
+    }
+    if (screens.some((s) => s.name === trimmed)) {
+        alert(`Screen "${trimmed}" sudah ada.`);
+        return null;
+    }
+    const screen = _createScreen(trimmed);
+    screens.push(screen);
+    storedLayouts.set(screen.id, []);
+    _setDirty();
+    renderScreenList();
+    return { ...screen };
+}
+
+/**
+ * Renames a screen.
+ * @param {string} screenId - ID of the screen.
+ * @param {string} name - New name.
+ * @returns {boolean} `true` if the screen was renamed.
+ */
+export function renameScreen(screenId, name) {
+    const screen = screens.find((s) => s.id === screenId);
+    const trimmed = String(name ?? "").trim();
+    if (!screen || !trimmed) return false;
+    if (screens.some((s) => s.id !== screenId && s.name === trimmed)) {
+        alert(`Screen "${trimmed}" sudah ada.`);
+        return false;
+    }
+    screen.name = trimmed;
+    _setDirty();
+    renderScreenList();
+    return true;
+}
+
+/**
+ * Deletes a screen and its components. The last screen cannot be deleted; deleting the shown
+ * screen shows the previous one (or the next, if it was the first).
+ * @param {string} screenId - ID of the screen.
+ * @returns {boolean} `true` if the screen was deleted.
+ */
+export function deleteScreen(screenId) {
+    const index = screens.findIndex((s) => s.id === screenId);
+    if (index === -1) return false;
+    if (screens.length === 1) {
+        alert("Project membutuhkan minimal satu screen.");
+        return false;
+    }
+    if (screenId === activeScreenId) {
+        switchToScreen(screens[index > 0 ? index - 1 : 1].id);
+    }
+    screens.splice(index, 1);
+    storedLayouts.delete(screenId);
+    deleteScreenHistory(screenId);
+    if (startScreenId === screenId) startScreenId = screens[0].id;
+    _setDirty();
+    renderScreenList();
+    return true;
+}
+
+/**
+ * Shows another screen: keeps the layout of the shown screen, clears the canvas and creates
+ * the components of the target screen. Switching screens does not modify the project.
+ * @param {string} screenId - ID of the screen to show.
+ * @returns {boolean} `true` if the screen is shown (also when it already was).
+ */
+export function switchToScreen(screenId) {
+    if (screenId === activeScreenId) return true;
+    if (!screens.some((s) => s.id === screenId)) {
+        console.warn(`[ScreenManager] Screen '${screenId}' does not exist.`);
+        return false;
+    }
+    if (!konvaManagerRef || !componentFactoryRef) {
+        console.error(
+            "[ScreenManager] KonvaManager or componentFactory not available to switch screens.",
+        );
+        return false;
+    }
+    if (typeof hideContextMenuFunc === "function") hideContextMenuFunc();
+
+    storedLayouts.set(activeScreenId, konvaManagerRef.getHmiLayoutAsJson());
+    konvaManagerRef.clearCanvas();
+    activeScreenId = screenId;
+    _createComponents(storedLayouts.get(screenId) || []);
+    storedLayouts.delete(screenId);
+    switchScreenHistory(screenId);
+    renderScreenList();
+    if (typeof screenShownFunc === "function") screenShownFunc(screenId);
+    return true;
+}
+
+/**
+ * Creates components on the layer.
+ * @param {Array<object>} components - Serialized component data.
+ * @private
+ */
+function _createComponents(components) {
+    components.forEach((componentData) => {
+        try {
+            componentFactoryRef.create(
+                componentData.componentType,
+                componentData,
+            );
+        } catch (e) {
+            console.error(
+                `[ScreenManager] Failed to create HMI component type '${componentData.componentType}':`,
+                e,
+            );
+        }
+    });
+    konvaManagerRef.layer?.batchDraw?.();
+}
+
+/**
+ * Returns the layout of all screens as saved in the project file: the given layout of the
+ * shown screen followed by the stored layouts, each component tagged with its `screenId`.
+ * @param {Array<object>} activeLayout - Serialized components of the shown screen.
+ * @returns {Array<object>}
+ */
+export function getProjectLayout(activeLayout) {
+    const layout = activeLayout.map((component) => ({
+        ...component,
+        screenId: activeScreenId,
+    }));
+    screens.forEach((screen) => {
+        if (screen.id === activeScreenId) return;
+        (storedLayouts.get(screen.id) || []).forEach((component) =>
+            layout.push({ ...component, screenId: screen.id }),
+        );
+    });
+    return layout;
+}
+
+/**
+ * Returns the screen fields saved in the project file.
+ * @returns {{screens: Array<{id: string, name: string}>, startScreenId: string | null}}
+ */
+export function getScreensForProject() {
+    return { screens: getScreens(), startScreenId };
+}
+
+/**
+ * Replaces the screens with those of a loaded project and keeps the layouts of all screens
+ * except the start screen, whose components the caller creates on the (cleared) layer.
+ * Undo histories of the previous screens are dropped.
+ * @param {{hmiLayout?: Array<object>, screens?: Array<{id: string, name: string}>, startScreenId?: string}} projectData
+ * @returns {Array<object>} The components of the start screen.
+ */
+export function loadScreens(projectData) {
+    const layout = Array.isArray(projectData?.hmiLayout)
+        ? projectData.hmiLayout
+        : [];
+    const savedScreens = Array.isArray(projectData?.screens)
+        ? projectData.screens
+              .filter((s) => s && s.id)
+              .map((s) => ({ id: String(s.id), name: s.name || String(s.id) }))
+        : [];
+    screens = savedScreens.length
+        ? savedScreens
+        : [_createScreen(DEFAULT_SCREEN_NAME)];
+    startScreenId = screens.some((s) => s.id === projectData?.startScreenId)
+        ? projectData.startScreenId
+        : screens[0].id;
+    activeScreenId = startScreenId;
+
+    storedLayouts.clear();
+    screens.forEach((screen) => storedLayouts.set(screen.id, []));
+    const startComponents = [];
+    layout.forEach((component) => {
+        // Components of unknown screens (or saved before screens existed) go to the first screen
+        const screenId = storedLayouts.has(component.screenId)
+            ? component.screenId
+            : screens[0].id;
+        const componentData = { ...component };
+        delete componentData.screenId; // Only saved in the project file
+        if (screenId === startScreenId) startComponents.push(componentData);
+        else storedLayouts.get(screenId).push(componentData);
+    });
+    storedLayouts.delete(startScreenId);
+
+    resetScreenHistories(startScreenId);
+    renderScreenList();
+    return startComponents;
+}
+
+/**
+ * Resets to a single empty screen (new project). The caller clears the canvas.
+ */
+export function resetScreens() {
+    loadScreens({});
+}
+
+/**
+ * Sets the screen shown when the project is loaded.
+ * @param {string} screenId - ID of the screen.
+ * @returns {boolean} `true` if the start screen was changed.
+ */
+export function setStartScreen(screenId) {
+    if (!screens.some((s) => s.id === screenId) || screenId === startScreenId)
+        return false;
+    startScreenId = screenId;
+    _setDirty();
+    renderScreenList();
+    return true;
+}
+
+/**
+ * Renders the screen list in the sidebar, highlighting the shown screen.
+ */
+export function renderScreenList() {
+    if (!screenListEl) return;
+    screenListEl.innerHTML = screens
+        .map((screen) => {
+            const isActive = screen.id === activeScreenId;
+            const name = screen.name.replace(
+                /[&<>"]/g,
+                (c) =>
+                    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[
+                        c
+                    ],
+            );
+            return `
+            <li class="flex items-center gap-1">
+                <button type="button" data-screen-id="${screen.id}" class="flex-1 text-left text-sm px-2 py-1 rounded ${isActive ? "bg-cyan-700 text-white font-semibold" : "bg-gray-700 hover:bg-gray-600 text-gray-200"}">
+                    ${name}${screen.id === startScreenId ? ' <span class="text-xs text-cyan-300">(start)</span>' : ""}
+                </button>
+                <button type="button" data-screen-id="${screen.id}" data-action="start" title="Jadikan screen awal" class="text-xs text-gray-400 hover:text-white px-1">&#8962;</button>
+                <button type="button" data-screen-id="${screen.id}" data-action="rename" title="Ganti nama" class="text-xs text-gray-400 hover:text-white px-1">&#9998;</button>
+                <button type="button" data-screen-id="${screen.id}" data-action="delete" title="Hapus screen" class="text-xs text-red-400 hover:text-red-300 px-1">&#10005;</button>
+            </li>`;
+        })
+        .join("");
+}
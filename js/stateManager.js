@@ -17,7 +17,9 @@
  * The module provides mechanisms to:
  * - Save snapshots of the current application state (HMI components + tagDatabase).
  * - Restore the application to a previously saved state.
- * - Implement undo and redo functionality based on these state snapshots.
+ * - Implement undo and redo functionality based on these state snapshots. Undo history is
+ *   kept per screen: `undoStack`/`redoStack` belong to the screen shown on the layer, and the
+ *   stacks of the other screens are parked in `screenHistories` (see `switchScreenHistory`).
  * - Get and set individual device variable values, triggering UI updates for
  *   linked HMI components and the device manager UI.
  *
@@ -54,6 +56,20 @@ let undoStack = [];
  */
 let redoStack = [];
 
+/**
+ * Undo/redo stacks of the screens that are not currently shown, by screen ID.
+ * @private
+ * @type {Map<string, {undoStack: Array<string>, redoStack: Array<string>}>}
+ */
+const screenHistories = new Map();
+
+/**
+ * ID of the screen that `undoStack`/`redoStack` belong to, or `null` before any screen was set.
+ * @private
+ * @type {string | null}
+ */
+let historyScreenId = null;
+
 /**
  * A live database storing the current values of all device variables (tags).
  * Structure: `tagDatabase[deviceId: string][variableName: string]: any`
@@ -64,6 +80,15 @@ let redoStack = [];
  */
 let tagDatabase = {};
 
+/**
+ * Quality and timestamp of each value in `tagDatabase`, as reported by the server.
+ * Kept separate from `tagDatabase` so undo/redo snapshots only contain values.
+ * Structure: `tagMetaDatabase[deviceId][variableName] = { quality, timestamp }`
+ * @private
+ * @type {Object<string, Object<string, {quality: string, timestamp: (string|null)}>>}
+ */
+let tagMetaDatabase = {};
+
 // --- References to other modules and DOM elements ---
 // These are initialized by `initStateManager`.
 
@@ -399,6 +424,47 @@ export function getCurrentState() {
     }
 }
 
+/**
+ * Makes the undo/redo history of another screen the active one. Called after the components
+ * of `screenId` have been placed on the layer. The history of the previously shown screen is
+ * parked; a screen shown for the first time starts with its current layout as initial state
+ * (which, like the initial empty state, cannot be undone and does not mark the project dirty).
+ *
+ * @param {string} screenId - ID of the screen now shown on the layer.
+ */
+export function switchScreenHistory(screenId) {
+    if (screenId === historyScreenId) return;
+    if (historyScreenId !== null) {
+        screenHistories.set(historyScreenId, { undoStack, redoStack });
+    }
+    const history = screenHistories.get(screenId);
+    screenHistories.delete(screenId);
+    historyScreenId = screenId;
+    undoStack = history ? history.undoStack : [getCurrentState()];
+    redoStack = history ? history.redoStack : [];
+    updateUndoRedoButtons();
+}
+
+/**
+ * Drops the parked undo/redo histories of all screens (e.g. when a project is loaded) and
+ * assigns the active history to `screenId`.
+ *
+ * @param {string} screenId - ID of the screen shown on the layer.
+ */
+export function resetScreenHistories(screenId) {
+    screenHistories.clear();
+    historyScreenId = screenId;
+}
+
+/**
+ * Drops the parked undo/redo history of a deleted screen.
+ *
+ * @param {string} screenId - ID of the deleted screen.
+ */
+export function deleteScreenHistory(screenId) {
+    screenHistories.delete(screenId);
+}
+
 /**
  * Updates the enabled/disabled state of the undo and redo UI buttons.
  * - Undo button disabled if `undoStack` has <= 1 state (initial state not undoable).
@@ -435,18 +501,40 @@ export function getDeviceVariableValue(deviceId, variableName) {
     return undefined;
 }
 
+/**
+ * Retrieves the quality and timestamp of a device variable's current value.
+ * A variable that has never received a value is `uninitialized`; a value set without
+ * metadata (e.g. locally) is `good`.
+ *
+ * @param {string} deviceId - ID of the device.
+ * @param {string} variableName - Name of the variable.
+ * @returns {{quality: string, timestamp: (string|null)}} One of "good", "stale", "comm-fail"
+ *          or "uninitialized", and the ISO timestamp of the value if known.
+ */
+export function getDeviceVariableMeta(deviceId, variableName) {
+    const meta = tagMetaDatabase[deviceId]?.[variableName];
+    if (meta) return { ...meta };
+    return {
+        quality: getDeviceVariableValue(deviceId, variableName) === undefined ? "uninitialized" : "good",
+        timestamp: null,
+    };
+}
+
 /**
  * Sets the value of a specific device variable in `tagDatabase`.
  * After updating, it iterates through HMI components on `layerRef`. If a component
- * is linked to the specified `deviceId` and `variableName`, its `updateState()`
- * method is called to refresh its visual representation.
+ * is linked to the specified `deviceId` and `variableName` (directly or through one of
+ * its trend `pens`), its `updateState()` method is called to refresh its visual representation.
  * Also calls `updateLiveVariableValueInManagerUI` to update the Device Manager UI.
  *
  * @param {string} deviceId - ID of the device.
  * @param {string} variableName - Name of the variable to update.
  * @param {*} value - The new value for the variable.
+ * @param {object} [meta={}] - Optional value metadata from the server.
+ * @param {string} [meta.quality="good"] - Quality of the value.
+ * @param {string} [meta.timestamp] - ISO timestamp of the value.
  */
-export function setDeviceVariableValue(deviceId, variableName, value) {
+export function setDeviceVariableValue(deviceId, variableName, value, meta = {}) {
     if (typeof deviceId !== 'string' || typeof variableName !== 'string') {
         console.error("[StateManager] Invalid deviceId or variableName for setDeviceVariableValue.", { deviceId, variableName });
         return;
@@ -457,6 +545,13 @@ export function setDeviceVariableValue(deviceId, variableName, value) {
     }
     // const oldValue = tagDatabase[deviceId][variableName]; // For debugging if needed
     tagDatabase[deviceId][variableName] = value;
+    if (!tagMetaDatabase[deviceId]) {
+        tagMetaDatabase[deviceId] = {};
+    }
+    tagMetaDatabase[deviceId][variableName] = {
+        quality: meta.quality || "good",
+        timestamp: meta.timestamp || null,
+    };
 
     // console.debug(
     //     `[StateManager] Set variable: Device ${deviceId}, Var ${variableName} = ${value} (Old: ${oldValue})`
@@ -466,10 +561,12 @@ export function setDeviceVariableValue(deviceId, variableName, value) {
     if (layerRef) {
         // let foundComponent = false; // For debugging specific component updates
         layerRef.find(".hmi-component").forEach((node) => {
-            if (
-                node.attrs.deviceId === deviceId &&
-                node.attrs.variableName === variableName
-            ) {
+            const isBound =
+                (node.attrs.deviceId === deviceId && node.attrs.variableName === variableName) ||
+                // Trend charts bind several variables through their pens
+                (Array.isArray(node.attrs.pens) &&
+                    node.attrs.pens.some((pen) => pen.deviceId === deviceId && pen.variableName === variableName));
+            if (isBound) {
                 // foundComponent = true;
                 // console.log( // For debugging specific component updates
                 //     `[StateManager] Notifying component ID ${node.id()} (Type: ${node.attrs.componentType}) for ${deviceId}.${variableName}`
@@ -511,6 +608,7 @@ export function deleteDeviceState(deviceId) {
         delete tagDatabase[deviceId];
         // console.log(`State for device ${deviceId} deleted from tagDatabase.`);
     }
+    delete tagMetaDatabase[deviceId];
 }
 
 /**
@@ -530,6 +628,9 @@ export function deleteDeviceVariableState(deviceId, variableName) {
         delete tagDatabase[deviceId][variableName];
         // console.log(`State for variable ${variableName} of device ${deviceId} deleted from tagDatabase.`);
     }
+    if (tagMetaDatabase[deviceId]) {
+        delete tagMetaDatabase[deviceId][variableName];
+    }
 }
 
 // --- Legacy Address-Based Functions (To be phased out) ---
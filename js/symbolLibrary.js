@@ -0,0 +1,539 @@
+/**
+ * @file Manages the project's symbol library: reusable groups of components (faceplates) whose
+ * data bindings reference parameters instead of fixed devices.
+ * @module js/symbolLibrary
+ *
+ * @description
+ * A symbol is created from the selected components. Every device bound by the selection becomes
+ * a parameter, and the bindings are saved with a placeholder in its place, e.g. `deviceId: "{pump}"`
+ * with `variableName: "running"` (written as `{pump}.running`). Placeholders may appear in any
+ * binding field (`deviceId`, `variableName`, and the `deviceId`/`variableName` of trend pens) and
+ * in `label`. Inserting a symbol asks for a value (device) per parameter and creates its components
+ * with every placeholder replaced.
+ *
+ * Symbols are saved in the project file as `symbols`:
+ * ```json
+ * [{ "id": "symbol-1", "name": "Pump Panel", "parameters": ["pump"],
+ *    "components": [{ "componentType": "bit-lamp", "x": 0, "y": 0, "deviceId": "{pump}", "variableName": "running", ... }] }]
+ * ```
+ * Component positions are relative to the top-left component of the symbol.
+ *
+ * Key Interactions:
+ * - `konvaManager` (via `konvaManagerRef`): The transformer's selection (`tr`) a symbol is created from.
+ * - `componentFactory` (via `componentFactoryRef`): Creates the components of an inserted symbol.
+ * - `uiManager` (via `selectNodesFunc`): Selects the inserted components.
+ * - `stateManager.saveState`: Records an inserted symbol for undo.
+ * - `deviceManager.getDevices`: Devices offered for the parameters.
+ * - `ProjectManager`: Marks the project dirty when the library changes.
+ */
+import { saveState } from "./stateManager.js";
+import { getDevices } from "./deviceManager.js";
+import ProjectManager from "./projectManager.js";
+
+/** Matches a placeholder such as `{pump}`; the first group is the parameter name. */
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][\w-]*)\}/g;
+
+/** Valid parameter names. */
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/** Where an inserted symbol's top-left component is placed. */
+const DEFAULT_INSERT_POSITION = { x: 100, y: 100 };
+
+/**
+ * Reference to the initialized KonvaManager interface.
+ * @type {object | null}
+ * @private
+ */
+let konvaManagerRef = null;
+
+/**
+ * Reference to the componentFactory module.
+ * @type {import('./componentFactory.js').componentFactory | null}
+ * @private
+ */
+let componentFactoryRef = null;
+
+/**
+ * Callback (from `uiManager`) selecting nodes on the canvas.
+ * @type {function(Array<object>): void | null}
+ * @private
+ */
+let selectNodesFunc = null;
+
+/**
+ * The symbols of the project.
+ * @type {Array<{id: string, name: string, parameters: Array<string>, components: Array<object>}>}
+ * @private
+ */
+let symbols = [];
+
+/**
+ * What the symbol modal is open for: creating a symbol from `nodes`, or inserting `symbolId`.
+ * @type {{mode: "create", nodes: Array<object>} | {mode: "insert", symbolId: string} | null}
+ * @private
+ */
+let modalContext = null;
+
+/** @type {HTMLElement | null} */
+let symbolListEl = null;
+/** @type {HTMLButtonElement | null} */
+let createSymbolBtnEl = null;
+let symbolModalEl,
+    symbolModalTitleEl,
+    symbolNameRowEl,
+    symbolNameInputEl,
+    symbolParamsContainerEl;
+let closeSymbolModalBtnEl, cancelSymbolBtnEl, confirmSymbolBtnEl;
+
+/** @private Marks the project as modified, unless a project is being loaded. */
+function _setDirty() {
+    if (ProjectManager && !ProjectManager.getIsLoadingProject?.())
+        ProjectManager.setDirty(true);
+}
+
+/** @private Escapes text for use in HTML. */
+function _escapeHtml(text) {
+    return String(text).replace(
+        /[&<>"]/g,
+        (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c],
+    );
+}
+
+/**
+ * Replaces the placeholders in a string. Placeholders without a value are kept.
+ * @param {*} value - The value; anything but a string is returned unchanged.
+ * @param {Object<string, string>} parameters - Parameter values by name.
+ * @returns {*}
+ */
+export function resolvePlaceholders(value, parameters) {
+    if (typeof value !== "string") return value;
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(parameters, name)
+            ? String(parameters[name])
+            : placeholder,
+    );
+}
+
+/**
+ * Returns the names of the parameters referenced by a symbol's components.
+ * @param {Array<object>} components - Component data of the symbol.
+ * @returns {Array<string>}
+ * @private
+ */
+function _collectParameters(components) {
+    const names = new Set();
+    const collect = (value) => {
+        if (typeof value === "string")
+            for (const match of value.matchAll(PLACEHOLDER_PATTERN))
+                names.add(match[1]);
+    };
+    components.forEach((component) => {
+        collect(component.deviceId);
+        collect(component.variableName);
+        collect(component.label);
+        (Array.isArray(component.pens) ? component.pens : []).forEach((pen) => {
+            collect(pen.deviceId);
+            collect(pen.variableName);
+        });
+    });
+    return Array.from(names);
+}
+
+/**
+ * Initializes the symbol library and sets up the symbol list and modal.
+ * Must be called after the KonvaManager, componentFactory and UIManager are initialized.
+ *
+ * @param {object} konvaManager - Initialized KonvaManager interface.
+ * @param {import('./componentFactory.js').componentFactory} componentFactoryIn - Initialized componentFactory.
+ * @param {function(Array<object>): void} selectNodes - Selects nodes on the canvas.
+ */
+export function initSymbolLibrary(
+    konvaManager,
+    componentFactoryIn,
+    selectNodes,
+) {
+    konvaManagerRef = konvaManager;
+    componentFactoryRef = componentFactoryIn;
+    selectNodesFunc = selectNodes || null;
+
+    symbolListEl = document.getElementById("symbol-list");
+    createSymbolBtnEl = document.getElementById("create-symbol-btn");
+    symbolModalEl = document.getElementById("symbol-modal");
+    symbolModalTitleEl = document.getElementById("symbol-modal-title");
+    symbolNameRowEl = document.getElementById("symbol-name-row");
+    symbolNameInputEl = document.getElementById("symbol-name-input");
+    symbolParamsContainerEl = document.getElementById(
+        "symbol-params-container",
+    );
+    closeSymbolModalBtnEl = document.getElementById("close-symbol-modal-btn");
+    cancelSymbolBtnEl = document.getElementById("cancel-symbol-btn");
+    confirmSymbolBtnEl = document.getElementById("confirm-symbol-btn");
+
+    if (createSymbolBtnEl) {
+        createSymbolBtnEl.addEventListener("click", () => {
+            const nodes = konvaManagerRef?.tr?.nodes() || [];
+            if (nodes.length === 0) {
+                alert(
+                    "Pilih komponen yang akan dijadikan symbol terlebih dahulu.",
+                );
+                return;
+            }
+            _openModal({ mode: "create", nodes: [...nodes] });
+        });
+    }
+    if (symbolListEl) {
+        symbolListEl.addEventListener("click", (e) => {
+            const button = e.target.closest?.("button[data-symbol-id]");
+            if (!button) return;
+            const { symbolId, action } = button.dataset;
+            const symbol = symbols.find((s) => s.id === symbolId);
+            if (!symbol) return;
+            if (action === "delete") {
+                if (
+                    confirm(
+                        `Hapus symbol "${symbol.name}" dari library? Komponen yang sudah dipasang tidak berubah.`,
+                    )
+                )
+                    deleteSymbol(symbolId);
+            } else if (symbol.parameters.length === 0) {
+                insertSymbol(symbolId, {});
+            } else {
+                _openModal({ mode: "insert", symbolId });
+            }
+        });
+    }
+    [closeSymbolModalBtnEl, cancelSymbolBtnEl].forEach((btn) =>
+        btn?.addEventListener("click", _closeModal),
+    );
+    if (confirmSymbolBtnEl)
+        confirmSymbolBtnEl.addEventListener("click", _confirmModal);
+
+    renderSymbolList();
+    console.log("[SymbolLibrary] Initialized.");
+}
+
+/**
+ * Returns the symbols of the project (as saved in the project file).
+ * @returns {Array<{id: string, name: string, parameters: Array<string>, components: Array<object>}>}
+ */
+export function getSymbols() {
+    return symbols.map((symbol) => JSON.parse(JSON.stringify(symbol)));
+}
+
+/**
+ * Replaces the symbol library, e.g. with the symbols of a loaded project.
+ * Invalid entries are skipped; missing `parameters` are derived from the components.
+ * @param {Array<object>} [list=[]] - The symbols.
+ */
+export function setSymbols(list = []) {
+    symbols = (Array.isArray(list) ? list : [])
+        .filter(
+            (symbol) => symbol && symbol.id && Array.isArray(symbol.components),
+        )
+        .map((symbol) => {
+            const components = JSON.parse(JSON.stringify(symbol.components));
+            return {
+                id: String(symbol.id),
+                name: symbol.name || String(symbol.id),
+                parameters: Array.isArray(symbol.parameters)
+                    ? [...symbol.parameters]
+                    : _collectParameters(components),
+                components,
+            };
+        });
+    renderSymbolList();
+}
+
+/**
+ * Creates a symbol from components on the canvas and adds it to the library.
+ * Bindings to a device listed in `parameterNames` are replaced by that parameter's placeholder;
+ * bindings to other devices are kept as they are.
+ *
+ * @param {string} name - Name of the symbol.
+ * @param {Array<object>} nodes - The Konva nodes of the components.
+ * @param {Object<string, string>} parameterNames - Parameter name by device ID.
+ * @returns {{id: string, name: string, parameters: Array<string>, components: Array<object>} | null}
+ *          The new symbol, or `null` if the name or a parameter name is invalid.
+ */
+export function createSymbolFromNodes(name, nodes, parameterNames = {}) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) {
+        alert("Nama symbol tidak boleh kosong.");
+        return null;
+    }
+    if (symbols.some((s) => s.name === trimmed)) {
+        alert(`Symbol "${trimmed}" sudah ada.`);
+        return null;
+    }
+    const invalidName = Object.values(parameterNames).find(
+        (p) => !PARAMETER_NAME_PATTERN.test(p),
+    );
+    if (invalidName !== undefined) {
+        alert(
+            `Nama parameter "${invalidName}" tidak valid. Gunakan huruf, angka, "_" atau "-", diawali huruf.`,
+        );
+        return null;
+    }
+    if (!Array.isArray(nodes) || nodes.length === 0) return null;
+
+    const originX = Math.min(...nodes.map((node) => node.x()));
+    const originY = Math.min(...nodes.map((node) => node.y()));
+    const toPlaceholder = (deviceId) =>
+        parameterNames[deviceId] ? `{${parameterNames[deviceId]}}` : deviceId;
+    const components = nodes.map((node) => {
+        const properties = JSON.parse(JSON.stringify(node.attrs));
+        delete properties.id;
+        delete properties.address; // Legacy binding, not parameterised
+        properties.x = node.x() - originX;
+        properties.y = node.y() - originY;
+        if (properties.deviceId)
+            properties.deviceId = toPlaceholder(properties.deviceId);
+        if (Array.isArray(properties.pens)) {
+            properties.pens = properties.pens.map((pen) =>
+                pen.deviceId
+                    ? { ...pen, deviceId: toPlaceholder(pen.deviceId) }
+                    : pen,
+            );
+        }
+        return properties;
+    });
+
+    const symbol = {
+        id: `symbol-${crypto.randomUUID()}`,
+        name: trimmed,
+        parameters: _collectParameters(components),
+        components,
+    };
+    symbols.push(symbol);
+    _setDirty();
+    renderSymbolList();
+    return getSymbols().find((s) => s.id === symbol.id);
+}
+
+/**
+ * Deletes a symbol from the library. Components inserted from it are not affected.
+ * @param {string} symbolId - ID of the symbol.
+ * @returns {boolean} `true` if the symbol was deleted.
+ */
+export function deleteSymbol(symbolId) {
+    const index = symbols.findIndex((s) => s.id === symbolId);
+    if (index === -1) return false;
+    symbols.splice(index, 1);
+    _setDirty();
+    renderSymbolList();
+    return true;
+}
+
+/**
+ * Returns a symbol's components with all placeholders replaced by the parameter values.
+ * @param {{components: Array<object>}} symbol - The symbol.
+ * @param {Object<string, string>} parameters - Parameter values by name.
+ * @returns {Array<object>} Component data without IDs.
+ */
+export function resolveSymbolComponents(symbol, parameters) {
+    return symbol.components.map((component) => {
+        const resolved = JSON.parse(JSON.stringify(component));
+        ["deviceId", "variableName", "label"].forEach((field) => {
+            if (field in resolved)
+                resolved[field] = resolvePlaceholders(
+                    resolved[field],
+                    parameters,
+                );
+        });
+        if (Array.isArray(resolved.pens)) {
+            resolved.pens = resolved.pens.map((pen) => ({
+                ...pen,
+                deviceId: resolvePlaceholders(pen.deviceId, parameters),
+                variableName: resolvePlaceholders(pen.variableName, parameters),
+            }));
+        }
+        return resolved;
+    });
+}
+
+/**
+ * Inserts a symbol on the shown screen, resolving its bindings with the given parameter values.
+ * The new components are selected and the change is recorded for undo.
+ *
+ * @param {string} symbolId - ID of the symbol.
+ * @param {Object<string, string>} parameters - Value (usually a device ID) for each parameter.
+ * @param {{x: number, y: number}} [position] - Position of the symbol's top-left component.
+ * @returns {Array<object>} The created Konva nodes (empty if nothing was inserted).
+ */
+export function insertSymbol(
+    symbolId,
+    parameters,
+    position = DEFAULT_INSERT_POSITION,
+) {
+    const symbol = symbols.find((s) => s.id === symbolId);
+    if (!symbol) {
+        console.warn(`[SymbolLibrary] Symbol '${symbolId}' does not exist.`);
+        return [];
+    }
+    const missing = symbol.parameters.filter((name) => !parameters?.[name]);
+    if (missing.length > 0) {
+        alert(`Parameter symbol belum diisi: ${missing.join(", ")}.`);
+        return [];
+    }
+    if (!componentFactoryRef) {
+        console.error(
+            "[SymbolLibrary] componentFactory not available to insert symbol.",
+        );
+        return [];
+    }
+
+    const newNodes = [];
+    resolveSymbolComponents(symbol, parameters).forEach((componentData) => {
+        componentData.x = (componentData.x || 0) + position.x;
+        componentData.y = (componentData.y || 0) + position.y;
+        try {
+            const node = componentFactoryRef.create(
+                componentData.componentType,
+                componentData,
+            );
+            if (node) newNodes.push(node);
+        } catch (e) {
+            console.error(
+                `[SymbolLibrary] Failed to create HMI component type '${componentData.componentType}':`,
+                e,
+            );
+        }
+    });
+
+    if (newNodes.length > 0) {
+        saveState();
+        if (typeof selectNodesFunc === "function") selectNodesFunc(newNodes);
+    }
+    return newNodes;
+}
+
+/**
+ * Opens the symbol modal for creating a symbol (name and parameter names of the bound devices)
+ * or inserting one (a device per parameter).
+ * @param {{mode: "create", nodes: Array<object>} | {mode: "insert", symbolId: string}} context
+ * @private
+ */
+function _openModal(context) {
+    if (!symbolModalEl || !symbolParamsContainerEl) return;
+    modalContext = context;
+    const devices = getDevices() || [];
+    const deviceName = (deviceId) =>
+        devices.find((d) => d.id === deviceId)?.name || deviceId;
+
+    if (context.mode === "create") {
+        if (symbolModalTitleEl)
+            symbolModalTitleEl.textContent = "Simpan sebagai Symbol";
+        symbolNameRowEl?.classList.remove("hidden");
+        if (symbolNameInputEl) symbolNameInputEl.value = "";
+        const deviceIds = new Set();
+        context.nodes.forEach((node) => {
+            if (node.attrs.deviceId) deviceIds.add(node.attrs.deviceId);
+            (Array.isArray(node.attrs.pens) ? node.attrs.pens : []).forEach(
+                (pen) => pen.deviceId && deviceIds.add(pen.deviceId),
+            );
+        });
+        const rows = Array.from(deviceIds).map((deviceId, index) => {
+            const slug = String(deviceName(deviceId))
+                .toLowerCase()
+                .replace(/[^a-z0-9_]+/g, "_")
+                .replace(/^_+|_+$/g, "");
+            const defaultName = PARAMETER_NAME_PATTERN.test(slug)
+                ? slug
+                : `device${index + 1}`;
+            return `
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-1">Parameter untuk device "${_escapeHtml(deviceName(deviceId))}":</label>
+                    <input type="text" data-device-id="${_escapeHtml(deviceId)}" value="${_escapeHtml(defaultName)}" class="w-full bg-gray-700 border border-gray-600 rounded-lg p-2 text-sm text-white" />
+                </div>`;
+        });
+        symbolParamsContainerEl.innerHTML = rows.length
+            ? rows.join("")
+            : '<p class="text-sm text-gray-400">Komponen terpilih tidak terhubung ke device; symbol tidak memiliki parameter.</p>';
+    } else {
+        const symbol = symbols.find((s) => s.id === context.symbolId);
+        if (!symbol) return;
+        if (symbolModalTitleEl)
+            symbolModalTitleEl.textContent = `Pasang Symbol "${symbol.name}"`;
+        symbolNameRowEl?.classList.add("hidden");
+        const options = devices
+            .map(
+                (d) =>
+                    `<option value="${_escapeHtml(d.id)}">${_escapeHtml(d.name || d.id)}</option>`,
+            )
+            .join("");
+        symbolParamsContainerEl.innerHTML = symbol.parameters
+            .map(
+                (name) => `
+            <div>
+                <label class="block text-sm font-medium text-gray-300 mb-1">{${_escapeHtml(name)}}</label>
+                <select data-parameter="${_escapeHtml(name)}" class="w-full bg-gray-700 border border-gray-600 rounded-lg p-2 text-sm text-white">
+                    <option value="">-- Pilih Device --</option>${options}
+                </select>
+            </div>`,
+            )
+            .join("");
+    }
+    symbolModalEl.classList.remove("hidden");
+}
+
+/** @private Closes the symbol modal. */
+function _closeModal() {
+    if (symbolModalEl) symbolModalEl.classList.add("hidden");
+    modalContext = null;
+}
+
+/** @private Creates or inserts the symbol with the values entered in the modal. */
+function _confirmModal() {
+    if (!modalContext || !symbolParamsContainerEl) return;
+    if (modalContext.mode === "create") {
+        const parameterNames = {};
+        symbolParamsContainerEl
+            .querySelectorAll("input[data-device-id]")
+            .forEach((input) => {
+                parameterNames[input.dataset.deviceId] = input.value.trim();
+            });
+        if (
+            createSymbolFromNodes(
+                symbolNameInputEl?.value,
+                modalContext.nodes,
+                parameterNames,
+            )
+        )
+            _closeModal();
+    } else {
+        const parameters = {};
+        symbolParamsContainerEl
+            .querySelectorAll("select[data-parameter]")
+            .forEach((select) => {
+                parameters[select.dataset.parameter] = select.value;
+            });
+        if (insertSymbol(modalContext.symbolId, parameters).length > 0)
+            _closeModal();
+    }
+}
+
+/**
+ * Renders the symbol list in the sidebar.
+ */
+export function renderSymbolList() {
+    if (!symbolListEl) return;
+    if (symbols.length === 0) {
+        symbolListEl.innerHTML =
+            '<li class="text-xs text-gray-400">Belum ada symbol.</li>';
+        return;
+    }
+    symbolListEl.innerHTML = symbols
+        .map((symbol) => {
+            const parameters = symbol.parameters
+                .map((name) => `{${name}}`)
+                .join(", ");
+            return `
+            <li class="flex items-center gap-1">
+                <button type="button" data-symbol-id="${symbol.id}" title="Pasang symbol" class="flex-1 text-left text-sm px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200">
+                    ${_escapeHtml(symbol.name)}${parameters ? ` <span class="text-xs text-cyan-300">${_escapeHtml(parameters)}</span>` : ""}
+                </button>
+                <button type="button" data-symbol-id="${symbol.id}" data-action="delete" title="Hapus symbol" class="text-xs text-red-400 hover:text-red-300 px-1">&#10005;</button>
+            </li>`;
+        })
+        .join("");
+}
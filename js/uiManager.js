@@ -25,8 +25,9 @@
  * - `deviceManager`: Uses `getDevices` to populate device lists in the context menu.
  * - `konvaManager` (via `konvaRefsForUi` and `konvaHandleContextMenuClose`): Interacts for
  *   selection (`tr.nodes`), component draggability, context menu closure notifications.
- * - `ProjectManager` (via `projectManagerRef`): Calls methods for new, save, load, import, export
- *   project operations and checks `isProjectDirty`.
+ * - `ProjectManager` (via `projectManagerRef`): Calls methods for new, save, load, import, export,
+ *   rename, duplicate and delete project operations and checks `isProjectDirty`.
+ * - `authManager`: Uses `hasRole` to offer project rename/duplicate/delete only to engineers.
  * - `app.js` (via `getIsSimulationModeFunc`, `setIsSimulationModeFunc`): Gets and sets the global simulation mode.
  */
 import {
@@ -35,9 +36,15 @@ import {
     handleRedo,
     deleteDeviceVariableState,
 } from "./stateManager.js";
-import { componentFactory } from "./componentFactory.js";
+import {
+    componentFactory,
+    TREND_PEN_COLORS,
+    ALARM_PRIORITIES,
+} from "./componentFactory.js";
 import { getDevices } from "./deviceManager.js";
+import { getScreens } from "./screenManager.js";
 import { GRID_SIZE } from "./config.js";
+import { hasRole } from "./authManager.js";
 
 // --- Module-Level Variables for DOM Elements and State ---
 // These are populated by `_cacheDomElements()`.
@@ -46,14 +53,24 @@ import { GRID_SIZE } from "./config.js";
 let modeToggleEl, modeLabelEl, deleteBtnEl, addComponentPanelEl;
 
 // Context Menu
-let contextMenuEl, contextMenuTitleEl, contextMenuContentEl, closeContextMenuBtnEl;
+let contextMenuEl,
+    contextMenuTitleEl,
+    contextMenuContentEl,
+    closeContextMenuBtnEl;
 
 // AI Assistant UI
-let aiPopupChatEl, aiFabEl, closeAiPopupBtnEl, aiSettingsBtnEl, aiSettingsPanelEl, closeAiSettingsBtnEl, geminiApiKeyInputEl;
+let aiPopupChatEl,
+    aiFabEl,
+    closeAiPopupBtnEl,
+    aiSettingsBtnEl,
+    aiSettingsPanelEl,
+    closeAiSettingsBtnEl,
+    geminiApiKeyInputEl;
 
 // Konva & UI Interaction State
 let konvaRefsForUi = {}; // Holds references to Konva stage, layers, transformer from konvaManager
 let isSimulationModeState = false; // Local cache of the application's simulation mode
+let isDesignLocked = false; // Set by lockToSimulationMode: Design mode can no longer be entered
 let currentContextMenuNode = null; // Konva node currently targeted by the context menu
 let clipboard = null; // Stores data of copied Konva nodes for paste
 let pasteOffset = 0; // Offset for pasting components to avoid exact overlap
@@ -67,17 +84,30 @@ let setIsSimulationModeFunc; // Function to set the global simulation mode state
 let projectManagerRef = null; // Reference to the ProjectManager instance
 
 // Load Project Modal Elements
-let loadProjectModalEl, loadProjectListContainerEl, closeLoadProjectModalBtnEl, cancelLoadProjectBtnEl, confirmLoadProjectBtnEl;
+let loadProjectModalEl,
+    loadProjectListContainerEl,
+    closeLoadProjectModalBtnEl,
+    cancelLoadProjectBtnEl,
+    confirmLoadProjectBtnEl;
 let selectedProjectToLoad = null; // Name of the project selected in the load modal
 
 // Toast Notification Element
 let toastContainerEl = null;
 
 // Save Project Modal Elements
-let saveProjectModalEl, saveProjectModalTitleEl, saveProjectNameInputEl, closeSaveProjectModalBtnEl, cancelSaveProjectBtnEl, confirmSaveProjectBtnEl;
+let saveProjectModalEl,
+    saveProjectModalTitleEl,
+    saveProjectNameInputEl,
+    closeSaveProjectModalBtnEl,
+    cancelSaveProjectBtnEl,
+    confirmSaveProjectBtnEl;
 
 // General Confirmation Modal Elements
-let confirmationModalEl, confirmationModalTitleEl, confirmationMessageEl, confirmOkBtnEl, confirmCancelBtnEl;
+let confirmationModalEl,
+    confirmationModalTitleEl,
+    confirmationMessageEl,
+    confirmOkBtnEl,
+    confirmCancelBtnEl;
 // --- End Module-Level Variables ---
 
 /**
@@ -115,22 +145,36 @@ function _cacheDomElements() {
     geminiApiKeyInputEl = document.getElementById("gemini-api-key");
 
     loadProjectModalEl = document.getElementById("load-project-modal");
-    loadProjectListContainerEl = document.getElementById("load-project-list-container");
-    closeLoadProjectModalBtnEl = document.getElementById("close-load-project-modal-btn");
+    loadProjectListContainerEl = document.getElementById(
+        "load-project-list-container",
+    );
+    closeLoadProjectModalBtnEl = document.getElementById(
+        "close-load-project-modal-btn",
+    );
     cancelLoadProjectBtnEl = document.getElementById("cancel-load-project-btn");
-    confirmLoadProjectBtnEl = document.getElementById("confirm-load-project-btn");
+    confirmLoadProjectBtnEl = document.getElementById(
+        "confirm-load-project-btn",
+    );
 
     toastContainerEl = document.getElementById("toast-container");
 
     saveProjectModalEl = document.getElementById("save-project-modal");
-    saveProjectModalTitleEl = document.getElementById("save-project-modal-title");
+    saveProjectModalTitleEl = document.getElementById(
+        "save-project-modal-title",
+    );
     saveProjectNameInputEl = document.getElementById("save-project-name-input");
-    closeSaveProjectModalBtnEl = document.getElementById("close-save-project-modal-btn");
+    closeSaveProjectModalBtnEl = document.getElementById(
+        "close-save-project-modal-btn",
+    );
     cancelSaveProjectBtnEl = document.getElementById("cancel-save-project-btn");
-    confirmSaveProjectBtnEl = document.getElementById("confirm-save-project-btn");
+    confirmSaveProjectBtnEl = document.getElementById(
+        "confirm-save-project-btn",
+    );
 
     confirmationModalEl = document.getElementById("confirmation-modal");
-    confirmationModalTitleEl = document.getElementById("confirmation-modal-title");
+    confirmationModalTitleEl = document.getElementById(
+        "confirmation-modal-title",
+    );
     confirmationMessageEl = document.getElementById("confirmation-message");
     confirmOkBtnEl = document.getElementById("confirm-ok-btn");
     confirmCancelBtnEl = document.getElementById("confirm-cancel-btn");
@@ -155,10 +199,14 @@ export function getCurrentContextMenuNode() {
  */
 export function setKonvaRefs(konvaRefs) {
     konvaRefsForUi = konvaRefs; // Stores stage, layer, tr, etc.
-    if (konvaRefs && typeof konvaRefs.handleContextMenuCloseForSaveState === "function") {
+    if (
+        konvaRefs &&
+        typeof konvaRefs.handleContextMenuCloseForSaveState === "function"
+    ) {
         // This callback from konvaManager is invoked when uiManager hides the context menu,
         // allowing konvaManager to trigger a saveState if necessary (e.g., if properties were changed).
-        konvaHandleContextMenuClose = konvaRefs.handleContextMenuCloseForSaveState;
+        konvaHandleContextMenuClose =
+            konvaRefs.handleContextMenuCloseForSaveState;
     }
 }
 
@@ -197,25 +245,27 @@ export function initUiManager(
 
     _cacheDomElements();
 
-    if (typeof getIsSimulationModeFunc === 'function') {
+    if (typeof getIsSimulationModeFunc === "function") {
         isSimulationModeState = getIsSimulationModeFunc();
     } else {
-        console.error("[UIManager] getIsSimulationModeFunc not provided during init. Defaulting to false.");
+        console.error(
+            "[UIManager] getIsSimulationModeFunc not provided during init. Defaulting to false.",
+        );
         isSimulationModeState = false;
     }
 
-
     _setupAllEventListeners();
 
-    if (deleteBtnEl) { // Initialize delete button state
+    if (deleteBtnEl) {
+        // Initialize delete button state
         deleteBtnEl.disabled = true;
         deleteBtnEl.classList.add("btn-disabled");
     }
-    if(modeLabelEl && typeof setIsSimulationModeFunc === 'function') { // Initialize mode label
-         setMode(isSimulationModeState); // Call setMode to initialize label and UI state
+    if (modeLabelEl && typeof setIsSimulationModeFunc === "function") {
+        // Initialize mode label
+        setMode(isSimulationModeState); // Call setMode to initialize label and UI state
     }
 
-
     const publicInterface = {
         hideContextMenu,
         populateContextMenu,
@@ -223,15 +273,19 @@ export function initUiManager(
         setCurrentContextMenuNode,
         getCurrentContextMenuNode,
         setKonvaRefs,
+        lockToSimulationMode,
     };
 
     // Expose test-specific helpers if in a test environment
-    if (typeof process !== 'undefined' && process.env?.NODE_ENV === "test") {
+    if (typeof process !== "undefined" && process.env?.NODE_ENV === "test") {
         publicInterface.handleCopyForTest = handleCopy;
         publicInterface.handlePasteForTest = handlePaste;
         publicInterface.getClipboardForTest = () => clipboard;
         publicInterface.getPasteOffsetForTest = () => pasteOffset;
-        publicInterface.resetClipboardForTest = () => { clipboard = null; pasteOffset = 0; };
+        publicInterface.resetClipboardForTest = () => {
+            clipboard = null;
+            pasteOffset = 0;
+        };
     }
 
     console.log("[UIManager] Initialized.");
@@ -246,8 +300,11 @@ export function initUiManager(
  * @private
  */
 function setMode(isSimMode) {
-    if (typeof setIsSimulationModeFunc !== 'function') {
-        console.error("[UIManager] setIsSimulationModeFunc is not available to set mode.");
+    if (isDesignLocked && !isSimMode) return; // Locked (operators, runtime view)
+    if (typeof setIsSimulationModeFunc !== "function") {
+        console.error(
+            "[UIManager] setIsSimulationModeFunc is not available to set mode.",
+        );
         return;
     }
     setIsSimulationModeFunc(isSimMode);
@@ -258,15 +315,35 @@ function setMode(isSimMode) {
 
     // Update Konva components' draggability and transformer visibility
     if (konvaRefsForUi.layer) {
-        konvaRefsForUi.layer.find(".hmi-component").forEach(node => node.draggable(!isSimMode));
+        konvaRefsForUi.layer
+            .find(".hmi-component")
+            .forEach((node) => node.draggable(!isSimMode));
         if (konvaRefsForUi.tr) konvaRefsForUi.tr.visible(!isSimMode);
     }
 
     // Toggle visibility of UI panels based on mode
-    if (addComponentPanelEl) addComponentPanelEl.style.display = isSimMode ? "none" : "block";
+    if (addComponentPanelEl)
+        addComponentPanelEl.style.display = isSimMode ? "none" : "block";
     if (aiPopupChatEl) aiPopupChatEl.classList.add("hidden"); // Always hide AI chat initially on mode switch
     if (aiFabEl) aiFabEl.style.display = isSimMode ? "none" : "block"; // FAB might be hidden in sim mode
-    if (modeLabelEl) modeLabelEl.textContent = isSimMode ? "Mode: Simulation" : "Mode: Design";
+    if (modeLabelEl)
+        modeLabelEl.textContent = isSimMode
+            ? "Mode: Simulation"
+            : "Mode: Design";
+}
+
+/**
+ * Switches to Simulation mode for good and disables the mode toggle: for users that may not edit
+ * the layout (below the `engineer` role) and for the runtime view. Design-mode actions (mode
+ * switch, selection, context menu, copy/paste, shortcuts) stay unavailable afterwards.
+ */
+export function lockToSimulationMode() {
+    setMode(true);
+    isDesignLocked = true;
+    if (modeToggleEl) {
+        modeToggleEl.checked = true;
+        modeToggleEl.disabled = true;
+    }
 }
 
 /**
@@ -281,12 +358,17 @@ function setMode(isSimMode) {
 export function selectNodes(nodesToSelect = []) {
     if (isSimulationModeState) return; // No selection changes in simulation mode
     if (!konvaRefsForUi.tr || !konvaRefsForUi.layer) {
-        console.warn("[UIManager] Konva Transformer or Layer not available for selectNodes.");
+        console.warn(
+            "[UIManager] Konva Transformer or Layer not available for selectNodes.",
+        );
         return;
     }
 
     // Adjust transformer's keepRatio for single label selection (allows non-uniform scaling)
-    if (nodesToSelect.length === 1 && nodesToSelect[0].attrs.componentType === "label") {
+    if (
+        nodesToSelect.length === 1 &&
+        nodesToSelect[0].attrs.componentType === "label"
+    ) {
         konvaRefsForUi.tr.keepRatio(false);
     } else {
         konvaRefsForUi.tr.keepRatio(true);
@@ -296,11 +378,14 @@ export function selectNodes(nodesToSelect = []) {
     // Update delete button state
     if (deleteBtnEl) {
         deleteBtnEl.disabled = nodesToSelect.length === 0;
-        deleteBtnEl.classList.toggle("btn-disabled", nodesToSelect.length === 0);
+        deleteBtnEl.classList.toggle(
+            "btn-disabled",
+            nodesToSelect.length === 0,
+        );
     }
 
     // Make only selected nodes draggable (in design mode)
-    konvaRefsForUi.layer.find(".hmi-component").forEach(node => {
+    konvaRefsForUi.layer.find(".hmi-component").forEach((node) => {
         const isSelected = nodesToSelect.includes(node);
         // Draggable only if selected AND in design mode
         node.draggable(isSelected && !isSimulationModeState);
@@ -334,6 +419,14 @@ function handleCopy() {
         delete properties.deviceId;
         delete properties.variableName;
         delete properties.address; // Also clear legacy address if present
+        if (Array.isArray(properties.pens)) {
+            // Trend pens keep color and range, not their binding
+            properties.pens = properties.pens.map((pen) => ({
+                ...pen,
+                deviceId: "",
+                variableName: "",
+            }));
+        }
         return {
             componentType: properties.componentType,
             properties: properties, // Store all other relevant properties
@@ -352,7 +445,12 @@ function handleCopy() {
  * @private
  */
 function handlePaste() {
-    if (!clipboard || clipboard.length === 0 || !konvaRefsForUi.layer || isSimulationModeState) {
+    if (
+        !clipboard ||
+        clipboard.length === 0 ||
+        !konvaRefsForUi.layer ||
+        isSimulationModeState
+    ) {
         return; // Nothing to paste, layer not ready, or in simulation mode
     }
 
@@ -361,7 +459,10 @@ function handlePaste() {
 
     clipboard.forEach((item) => {
         if (!item.componentType || !item.properties) {
-            console.warn("[UIManager] Invalid item in clipboard during paste:", item);
+            console.warn(
+                "[UIManager] Invalid item in clipboard during paste:",
+                item,
+            );
             return;
         }
         const newProps = { ...item.properties };
@@ -375,13 +476,19 @@ function handlePaste() {
         delete newProps.address;
 
         try {
-            const newComponent = componentFactory.create(item.componentType, newProps);
+            const newComponent = componentFactory.create(
+                item.componentType,
+                newProps,
+            );
             if (newComponent) {
                 konvaRefsForUi.layer.add(newComponent);
                 newNodes.push(newComponent);
             }
         } catch (error) {
-            console.error(`[UIManager] Error creating component type '${item.componentType}' during paste:`, error);
+            console.error(
+                `[UIManager] Error creating component type '${item.componentType}' during paste:`,
+                error,
+            );
         }
     });
 
@@ -399,7 +506,10 @@ function handlePaste() {
  * Finally, it clears the reference to the current context menu node.
  */
 export function hideContextMenu() {
-    if (currentContextMenuNode && typeof konvaHandleContextMenuClose === "function") {
+    if (
+        currentContextMenuNode &&
+        typeof konvaHandleContextMenuClose === "function"
+    ) {
         konvaHandleContextMenuClose(); // Notify konvaManager (which might save state)
     }
     if (contextMenuEl) contextMenuEl.style.display = "none";
@@ -413,17 +523,34 @@ export function hideContextMenu() {
 /** @private Creates HTML for device and variable binding selectors. */
 function _createDeviceVariableBindingsHTML(attrs) {
     if (attrs.componentType === "label") return ""; // Labels don't bind to device data
+    if (attrs.componentType === "trend-chart") return ""; // Trend charts bind per pen (see _createTrendChartPropertiesHTML)
+    if (
+        attrs.componentType === "alarm-summary" ||
+        attrs.componentType === "alarm-banner"
+    )
+        return ""; // Alarm components list alarms, not a variable
+    if (attrs.componentType === "nav-button") return ""; // Nav buttons switch screens, they don't bind data
 
     const devices = getDevices();
-    let deviceOptionsHtml = '<option value="">-- Select Device --</option>' +
-        devices.map(d => `<option value="${d.id}" ${attrs.deviceId === d.id ? "selected" : ""}>${d.name} (ID: ${d.id.substring(0, 8)})</option>`).join("");
+    let deviceOptionsHtml =
+        '<option value="">-- Select Device --</option>' +
+        devices
+            .map(
+                (d) =>
+                    `<option value="${d.id}" ${attrs.deviceId === d.id ? "selected" : ""}>${d.name} (ID: ${d.id.substring(0, 8)})</option>`,
+            )
+            .join("");
 
     let variableOptionsHtml = '<option value="">-- Select Variable --</option>';
     if (attrs.deviceId) {
-        const selectedDevice = devices.find(d => d.id === attrs.deviceId);
+        const selectedDevice = devices.find((d) => d.id === attrs.deviceId);
         if (selectedDevice?.variables) {
             variableOptionsHtml += selectedDevice.variables
-                .map(v => `<option value="${v.name}" ${attrs.variableName === v.name ? "selected" : ""}>${v.name}</option>`).join("");
+                .map(
+                    (v) =>
+                        `<option value="${v.name}" ${attrs.variableName === v.name ? "selected" : ""}>${v.name}</option>`,
+                )
+                .join("");
         }
     }
 
@@ -458,10 +585,29 @@ function _createBitLampPropertiesHTML(attrs) {
 /** @private Creates HTML specific to NumericDisplay properties (units, decimal places). */
 function _createNumericDisplayPropertiesHTML(attrs) {
     return `
-        <div class="mb-1"><label class="font-bold">Units</label><input type="text" data-prop="units" value="${attrs.units || ""}" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
+        <div class="mb-1"><label class="font-bold">Units</label><input type="text" data-prop="units" value="${attrs.units || ""}" placeholder="Unit dari variabel" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
         <div class="mb-1"><label class="font-bold">Decimal Places</label><input type="number" data-prop="decimalPlaces" value="${attrs.decimalPlaces ?? 0}" min="0" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>`;
 }
 
+/**
+ * @private Creates HTML specific to NumericInput properties: the NumericDisplay fields plus the
+ * write limits (empty min/max fall back to the variable's EU range) and write confirmation.
+ */
+function _createNumericInputPropertiesHTML(attrs) {
+    const numberValue = (value) => (Number.isFinite(value) ? value : "");
+    return `
+        ${_createNumericDisplayPropertiesHTML(attrs)}
+        <div class="mb-1">
+            <label class="font-bold">Batas Input (Min / Max / Step)</label>
+            <div class="grid grid-cols-3 gap-1 mt-1">
+                <input type="number" data-prop="min" value="${numberValue(attrs.min)}" placeholder="EU Min" title="Min (kosong: EU Min variabel)" class="w-full bg-gray-600 p-1 rounded text-xs">
+                <input type="number" data-prop="max" value="${numberValue(attrs.max)}" placeholder="EU Max" title="Max (kosong: EU Max variabel)" class="w-full bg-gray-600 p-1 rounded text-xs">
+                <input type="number" data-prop="step" value="${numberValue(attrs.step)}" placeholder="Bebas" min="0" title="Step (kosong: bebas)" class="w-full bg-gray-600 p-1 rounded text-xs">
+            </div>
+        </div>
+        <div class="mb-1"><label class="font-bold"><input type="checkbox" data-prop="confirmWrite" ${attrs.confirmWrite ? "checked" : ""}> Konfirmasi sebelum menulis</label></div>`;
+}
+
 /** @private Creates HTML specific to BitSwitch properties (texts, colors). */
 function _createBitSwitchPropertiesHTML(attrs) {
     return `
@@ -471,19 +617,51 @@ function _createBitSwitchPropertiesHTML(attrs) {
         <div class="mb-1"><label class="font-bold">OFF Color</label><input type="color" data-prop="offColor" value="${attrs.offColor || "#CCCCCC"}" class="w-full h-8 bg-gray-600 p-0 rounded mt-1"></div>`;
 }
 
-/** @private Creates HTML specific to WordLamp properties (states definition). */
+/**
+ * @private Creates HTML specific to WordLamp properties: the states table (first match wins,
+ * so rows can be reordered) and the fallback shown when no state matches.
+ */
 function _createWordLampPropertiesHTML(attrs) {
-    const defaultStates = JSON.stringify([{ value: 0, text: "STOPPED", color: "#d9534f" }, { value: 1, text: "RUNNING", color: "#5cb85c" }]);
-    const currentStatesString = JSON.stringify(attrs.states || []); // Ensure attrs.states is an array for stringify
-    const isDefaultSelected = currentStatesString === defaultStates;
-    // Note: This simple select is for demonstration. A robust solution for editing 'states' array would need a more complex UI.
+    const states = attrs.states || [];
+    const escapeValue = (v) => String(v ?? "").replace(/"/g, "&quot;");
+    const statesHtml = states
+        .map(
+            (state, index) => `
+            <div class="mb-2 p-1 border border-gray-600 rounded">
+                <div class="flex items-center justify-between mb-1">
+                    <span class="font-bold" style="color: ${state.color}">State ${index + 1}</span>
+                    <span>
+                        <button type="button" data-action="move-state" data-state-index="${index}" data-direction="-1" title="Naik" class="text-gray-300 hover:text-white text-xs px-1" ${index === 0 ? "disabled" : ""}>&#9650;</button>
+                        <button type="button" data-action="move-state" data-state-index="${index}" data-direction="1" title="Turun" class="text-gray-300 hover:text-white text-xs px-1" ${index === states.length - 1 ? "disabled" : ""}>&#9660;</button>
+                        <button type="button" data-action="remove-state" data-state-index="${index}" class="text-red-400 hover:text-red-300 text-xs">Hapus</button>
+                    </span>
+                </div>
+                <div class="grid grid-cols-3 gap-1 mb-1">
+                    <input type="text" data-state-index="${index}" data-state-prop="value" value="${escapeValue(state.value)}" title="Nilai (jika Min/Max kosong)" placeholder="Nilai" class="w-full bg-gray-600 p-1 rounded text-xs">
+                    <input type="number" data-state-index="${index}" data-state-prop="min" value="${state.min ?? ""}" title="Min (range)" placeholder="Min" class="w-full bg-gray-600 p-1 rounded text-xs">
+                    <input type="number" data-state-index="${index}" data-state-prop="max" value="${state.max ?? ""}" title="Max (range)" placeholder="Max" class="w-full bg-gray-600 p-1 rounded text-xs">
+                </div>
+                <div class="grid grid-cols-3 gap-1 items-center">
+                    <input type="text" data-state-index="${index}" data-state-prop="text" value="${escapeValue(state.text)}" title="Teks" class="col-span-1 w-full bg-gray-600 p-1 rounded text-xs">
+                    <input type="color" data-state-index="${index}" data-state-prop="color" value="${state.color || "#5cb85c"}" title="Warna" class="w-full h-6 bg-gray-600 p-0 rounded">
+                    <label class="text-xs"><input type="checkbox" data-state-index="${index}" data-state-prop="blink" ${state.blink ? "checked" : ""}> Blink</label>
+                </div>
+            </div>`,
+        )
+        .join("");
     return `
         <div class="mb-1">
-            <label class="font-bold">States Definition</label>
-            <select data-prop="states" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs">
-                <option value='${defaultStates}' ${isDefaultSelected ? "selected" : ""}>Default (STOPPED/RUNNING)</option>
-            </select>
-            <small class="text-gray-400 text-xs">Custom states editing requires advanced editor or direct JSON modification.</small>
+            <label class="font-bold text-cyan-200">States (Nilai atau Min/Max)</label>
+            <div class="mt-1">${statesHtml || '<p class="text-xs text-gray-400 mb-1">Belum ada state.</p>'}</div>
+            <button type="button" data-action="add-state" class="w-full bg-cyan-700 hover:bg-cyan-600 p-1 rounded text-xs">Tambah State</button>
+        </div>
+        <div class="mb-1">
+            <label class="font-bold">Fallback (tidak ada yang cocok)</label>
+            <div class="grid grid-cols-3 gap-1 items-center mt-1">
+                <input type="text" data-prop="fallbackText" value="${escapeValue(attrs.fallbackText ?? "N/A")}" title="Teks" class="w-full bg-gray-600 p-1 rounded text-xs">
+                <input type="color" data-prop="fallbackColor" value="${attrs.fallbackColor || "#f0ad4e"}" title="Warna" class="w-full h-6 bg-gray-600 p-0 rounded">
+                <label class="text-xs"><input type="checkbox" data-prop="fallbackBlink" ${attrs.fallbackBlink ? "checked" : ""}> Blink</label>
+            </div>
         </div>`;
 }
 
@@ -496,6 +674,174 @@ function _createLabelPropertiesHTML(attrs) {
         <div class="mb-1"><label class="font-bold">Width (auto if 0)</label><input type="number" data-prop="width" value="${attrs.width || 0}" min="0" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
         <div class="mb-1"><label class="font-bold">Alignment</label><select data-prop="align" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"><option value="left" ${attrs.align === "left" ? "selected" : ""}>Left</option><option value="center" ${attrs.align === "center" ? "selected" : ""}>Center</option><option value="right" ${attrs.align === "right" ? "selected" : ""}>Right</option></select></div>`;
 }
+/** @private Creates HTML specific to TrendChart properties (time window, size and the pen list). */
+function _createTrendChartPropertiesHTML(attrs) {
+    const devices = getDevices();
+    const pensHtml = (attrs.pens || [])
+        .map((pen, index) => {
+            const deviceOptionsHtml =
+                '<option value="">-- Select Device --</option>' +
+                devices
+                    .map(
+                        (d) =>
+                            `<option value="${d.id}" ${pen.deviceId === d.id ? "selected" : ""}>${d.name}</option>`,
+                    )
+                    .join("");
+            const variables =
+                devices.find((d) => d.id === pen.deviceId)?.variables || [];
+            const variableOptionsHtml =
+                '<option value="">-- Select Variable --</option>' +
+                variables
+                    .map(
+                        (v) =>
+                            `<option value="${v.name}" ${pen.variableName === v.name ? "selected" : ""}>${v.name}</option>`,
+                    )
+                    .join("");
+            return `
+            <div class="mb-2 p-1 border border-gray-600 rounded">
+                <div class="flex items-center justify-between mb-1">
+                    <span class="font-bold" style="color: ${pen.color}">Pen ${index + 1}</span>
+                    <button type="button" data-action="remove-pen" data-pen-index="${index}" class="text-red-400 hover:text-red-300 text-xs">Hapus</button>
+                </div>
+                <select data-pen-index="${index}" data-pen-prop="deviceId" class="w-full bg-gray-600 p-1 rounded mb-1 text-xs">${deviceOptionsHtml}</select>
+                <select data-pen-index="${index}" data-pen-prop="variableName" class="w-full bg-gray-600 p-1 rounded mb-1 text-xs" ${!pen.deviceId ? "disabled" : ""}>${variableOptionsHtml}</select>
+                <div class="grid grid-cols-3 gap-1">
+                    <input type="color" data-pen-index="${index}" data-pen-prop="color" value="${pen.color || "#22d3ee"}" title="Warna" class="w-full h-6 bg-gray-600 p-0 rounded">
+                    <input type="number" data-pen-index="${index}" data-pen-prop="min" value="${pen.min ?? 0}" title="Y Min" class="w-full bg-gray-600 p-1 rounded text-xs">
+                    <input type="number" data-pen-index="${index}" data-pen-prop="max" value="${pen.max ?? 100}" title="Y Max" class="w-full bg-gray-600 p-1 rounded text-xs">
+                </div>
+            </div>`;
+        })
+        .join("");
+    return `
+        <div class="mb-1"><label class="font-bold">Time Window (detik)</label><input type="number" data-prop="timeWindowSec" value="${attrs.timeWindowSec ?? 300}" min="1" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
+        <div class="mb-1"><label class="font-bold">Width</label><input type="number" data-prop="width" value="${attrs.width ?? 320}" min="120" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
+        <div class="mb-1"><label class="font-bold">Height</label><input type="number" data-prop="height" value="${attrs.height ?? 180}" min="80" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
+        <div class="mb-1">
+            <label class="font-bold text-cyan-200">Pens (Y Min / Y Max)</label>
+            <div class="mt-1">${pensHtml || '<p class="text-xs text-gray-400 mb-1">Belum ada pen.</p>'}</div>
+            <button type="button" data-action="add-pen" class="w-full bg-cyan-700 hover:bg-cyan-600 p-1 rounded text-xs">Tambah Pen</button>
+        </div>`;
+}
+
+/** @private Creates HTML specific to AlarmSummary and AlarmBanner properties (filters, sort order and size). */
+function _createAlarmComponentPropertiesHTML(attrs) {
+    const priorityOptionsHtml = ALARM_PRIORITIES.map(
+        (p) =>
+            `<option value="${p}" ${(attrs.minPriority || "low") === p ? "selected" : ""}>${p === "low" ? "Semua (low ke atas)" : `${p} ke atas`}</option>`,
+    ).join("");
+    const deviceOptionsHtml =
+        '<option value="">Semua device</option>' +
+        getDevices()
+            .map(
+                (d) =>
+                    `<option value="${d.id}" ${attrs.deviceFilter === d.id ? "selected" : ""}>${d.name}</option>`,
+            )
+            .join("");
+    const heightHtml =
+        attrs.componentType === "alarm-summary"
+            ? `<div class="mb-1"><label class="font-bold">Height</label><input type="number" data-prop="height" value="${attrs.height ?? 180}" min="60" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>`
+            : "";
+    return `
+        <div class="mb-1"><label class="font-bold">Prioritas</label><select data-prop="minPriority" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs">${priorityOptionsHtml}</select></div>
+        <div class="mb-1"><label class="font-bold">Device</label><select data-prop="deviceFilter" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs">${deviceOptionsHtml}</select></div>
+        <div class="mb-1"><label class="font-bold">Urutkan</label><select data-prop="sortBy" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"><option value="priority" ${attrs.sortBy !== "time" ? "selected" : ""}>Prioritas</option><option value="time" ${attrs.sortBy === "time" ? "selected" : ""}>Waktu (terbaru)</option></select></div>
+        <div class="mb-1"><label class="font-bold">Width</label><input type="number" data-prop="width" value="${attrs.width ?? 520}" min="200" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
+        ${heightHtml}`;
+}
+
+/** @private Creates HTML specific to NavButton properties (target screen, colors and size). */
+function _createNavButtonPropertiesHTML(attrs) {
+    const screenOptionsHtml =
+        '<option value="">-- Select Screen --</option>' +
+        getScreens()
+            .map(
+                (s) =>
+                    `<option value="${s.id}" ${attrs.targetScreenId === s.id ? "selected" : ""}>${s.name}</option>`,
+            )
+            .join("");
+    return `
+        <div class="mb-1"><label class="font-bold">Target Screen</label><select data-prop="targetScreenId" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs">${screenOptionsHtml}</select></div>
+        <div class="mb-1"><label class="font-bold">Button Color</label><input type="color" data-prop="fill" value="${attrs.fill || "#2563eb"}" class="w-full h-8 bg-gray-600 p-0 rounded mt-1"></div>
+        <div class="mb-1"><label class="font-bold">Text Color</label><input type="color" data-prop="textColor" value="${attrs.textColor || "#ffffff"}" class="w-full h-8 bg-gray-600 p-0 rounded mt-1"></div>
+        <div class="mb-1"><label class="font-bold">Width</label><input type="number" data-prop="width" value="${attrs.width ?? 120}" min="40" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>
+        <div class="mb-1"><label class="font-bold">Height</label><input type="number" data-prop="height" value="${attrs.height ?? 40}" min="20" class="w-full bg-gray-600 p-1 rounded mt-1 text-xs"></div>`;
+}
+
+/**
+ * @private Applies a change made in a trend chart's pen editor to the node's `pens` attr.
+ * The array is replaced rather than mutated so undo snapshots keep their own copy.
+ */
+function _applyTrendPenInput(node, target) {
+    const index = parseInt(target.dataset.penIndex, 10);
+    const prop = target.dataset.penProp;
+    const pens = (node.attrs.pens || []).map((pen) => ({ ...pen }));
+    if (!pens[index]) return;
+    const value =
+        target.type === "number" ? parseFloat(target.value) : target.value;
+    if (target.type === "number" && isNaN(value)) return; // Ignore half-typed numbers
+    pens[index][prop] = value;
+    if (prop === "deviceId") pens[index].variableName = ""; // Variable list depends on the device
+    node.setAttr("pens", pens);
+    if (prop === "deviceId") populateContextMenu(node); // Repopulate to update the variable dropdown
+    node.updateState?.();
+}
+
+/**
+ * @private Applies a change made in a WordLamp's states table to the node's `states` attr.
+ * Numeric text in `value` is stored as a number; clearing `min`/`max` removes the range.
+ */
+function _applyWordLampStateInput(node, target) {
+    const index = parseInt(target.dataset.stateIndex, 10);
+    const prop = target.dataset.stateProp;
+    const states = (node.attrs.states || []).map((state) => ({ ...state }));
+    if (!states[index]) return;
+    if (prop === "min" || prop === "max") {
+        if (target.value === "") {
+            delete states[index][prop];
+        } else {
+            const value = parseFloat(target.value);
+            if (isNaN(value)) return; // Ignore half-typed numbers
+            states[index][prop] = value;
+        }
+    } else if (prop === "value") {
+        const trimmed = target.value.trim();
+        states[index].value =
+            trimmed !== "" && !isNaN(Number(trimmed))
+                ? Number(trimmed)
+                : target.value;
+    } else if (prop === "blink") {
+        states[index].blink = target.checked;
+    } else {
+        states[index][prop] = target.value;
+    }
+    node.setAttr("states", states);
+    node.updateState?.();
+}
+/** @private Adds, removes or moves a row of a WordLamp's states table. */
+function _applyWordLampStateAction(node, button) {
+    const states = (node.attrs.states || []).map((state) => ({ ...state }));
+    const index = parseInt(button.dataset.stateIndex, 10);
+    if (button.dataset.action === "add-state") {
+        const numericValues = states
+            .map((state) => Number(state.value))
+            .filter((value) => !isNaN(value));
+        states.push({
+            value: numericValues.length ? Math.max(...numericValues) + 1 : 0,
+            text: "STATE",
+            color: "#5bc0de",
+        });
+    } else if (button.dataset.action === "remove-state") {
+        states.splice(index, 1);
+    } else {
+        const target = index + parseInt(button.dataset.direction, 10);
+        if (target < 0 || target >= states.length) return;
+        [states[index], states[target]] = [states[target], states[index]];
+    }
+    node.setAttr("states", states);
+    populateContextMenu(node);
+    node.updateState?.();
+}
 // --- End Context Menu Content Generation Helpers ---
 
 /**
@@ -506,8 +852,16 @@ function _createLabelPropertiesHTML(attrs) {
  * @param {import('konva/lib/Node').Node<import('konva/lib/Node').NodeConfig>} node - The Konva node whose properties are to be displayed.
  */
 export function populateContextMenu(node) {
-    if (!node || !contextMenuTitleEl || !contextMenuContentEl || !contextMenuEl) {
-        console.warn("[UIManager] Cannot populate context menu: Node or essential DOM elements missing.");
+    if (isDesignLocked) return;
+    if (
+        !node ||
+        !contextMenuTitleEl ||
+        !contextMenuContentEl ||
+        !contextMenuEl
+    ) {
+        console.warn(
+            "[UIManager] Cannot populate context menu: Node or essential DOM elements missing.",
+        );
         return;
     }
     setCurrentContextMenuNode(node); // Update the reference to the currently active node
@@ -518,12 +872,36 @@ export function populateContextMenu(node) {
     html += _createCommonPropertiesHTML(attrs);
 
     switch (attrs.componentType) {
-        case "bit-lamp":        html += _createBitLampPropertiesHTML(attrs); break;
-        case "numeric-display": html += _createNumericDisplayPropertiesHTML(attrs); break;
-        case "bit-switch":      html += _createBitSwitchPropertiesHTML(attrs); break;
-        case "word-lamp":       html += _createWordLampPropertiesHTML(attrs); break;
-        case "label":           html += _createLabelPropertiesHTML(attrs); break;
-        default: html += `<p class="text-xs text-gray-400">No specific properties for this component type.</p>`;
+        case "bit-lamp":
+            html += _createBitLampPropertiesHTML(attrs);
+            break;
+        case "numeric-display":
+            html += _createNumericDisplayPropertiesHTML(attrs);
+            break;
+        case "numeric-input":
+            html += _createNumericInputPropertiesHTML(attrs);
+            break;
+        case "bit-switch":
+            html += _createBitSwitchPropertiesHTML(attrs);
+            break;
+        case "word-lamp":
+            html += _createWordLampPropertiesHTML(attrs);
+            break;
+        case "label":
+            html += _createLabelPropertiesHTML(attrs);
+            break;
+        case "trend-chart":
+            html += _createTrendChartPropertiesHTML(attrs);
+            break;
+        case "alarm-summary":
+        case "alarm-banner":
+            html += _createAlarmComponentPropertiesHTML(attrs);
+            break;
+        case "nav-button":
+            html += _createNavButtonPropertiesHTML(attrs);
+            break;
+        default:
+            html += `<p class="text-xs text-gray-400">No specific properties for this component type.</p>`;
     }
 
     contextMenuContentEl.innerHTML = html;
@@ -553,7 +931,9 @@ function _setupAllEventListeners() {
  */
 function _setupModeToggleListeners() {
     if (modeToggleEl) {
-        modeToggleEl.addEventListener("change", (e) => setMode(e.target.checked));
+        modeToggleEl.addEventListener("change", (e) =>
+            setMode(e.target.checked),
+        );
     }
 }
 
@@ -568,11 +948,26 @@ function _setupContextMenuListeners() {
     if (contextMenuEl && contextMenuContentEl) {
         // General input listener for most fields
         contextMenuEl.addEventListener("input", (e) => {
+            if (
+                currentContextMenuNode &&
+                e.target?.dataset?.penProp &&
+                e.target.tagName !== "SELECT"
+            ) {
+                _applyTrendPenInput(currentContextMenuNode, e.target); // Pen selects are handled on 'change'
+                return;
+            }
+            if (currentContextMenuNode && e.target?.dataset?.stateProp) {
+                _applyWordLampStateInput(currentContextMenuNode, e.target);
+                return;
+            }
             if (!currentContextMenuNode || !e.target?.dataset?.prop) return;
 
             const target = e.target;
             const prop = target.dataset.prop;
-            let value = target.type === "number" ? parseFloat(target.value) : target.value;
+            let value =
+                target.type === "number"
+                    ? parseFloat(target.value)
+                    : target.value;
             if (target.type === "checkbox") value = target.checked;
 
             currentContextMenuNode.setAttr(prop, value);
@@ -587,12 +982,60 @@ function _setupContextMenuListeners() {
         // Specific change listener for select elements (like variableName, shapeType, align)
         // This is needed because 'input' event might not fire consistently for all select changes in all browsers.
         contextMenuContentEl.addEventListener("change", (e) => {
-            if (!currentContextMenuNode || !e.target?.dataset?.prop || e.target.tagName !== 'SELECT') return;
+            if (
+                currentContextMenuNode &&
+                e.target?.dataset?.penProp &&
+                e.target.tagName === "SELECT"
+            ) {
+                _applyTrendPenInput(currentContextMenuNode, e.target);
+                return;
+            }
+            if (
+                !currentContextMenuNode ||
+                !e.target?.dataset?.prop ||
+                e.target.tagName !== "SELECT"
+            )
+                return;
             const target = e.target;
             const prop = target.dataset.prop;
             currentContextMenuNode.setAttr(prop, target.value);
             currentContextMenuNode.updateState?.();
         });
+
+        // Add/remove buttons of the trend chart pen editor and the WordLamp states table
+        contextMenuContentEl.addEventListener("click", (e) => {
+            const button = e.target?.closest?.("button[data-action]");
+            if (!currentContextMenuNode || !button) return;
+            if (
+                ["add-state", "remove-state", "move-state"].includes(
+                    button.dataset.action,
+                )
+            ) {
+                _applyWordLampStateAction(currentContextMenuNode, button);
+                return;
+            }
+            const pens = (currentContextMenuNode.attrs.pens || []).map(
+                (pen) => ({ ...pen }),
+            );
+            if (button.dataset.action === "add-pen") {
+                pens.push({
+                    deviceId: "",
+                    variableName: "",
+                    color: TREND_PEN_COLORS[
+                        pens.length % TREND_PEN_COLORS.length
+                    ],
+                    min: 0,
+                    max: 100,
+                });
+            } else if (button.dataset.action === "remove-pen") {
+                pens.splice(parseInt(button.dataset.penIndex, 10), 1);
+            } else {
+                return;
+            }
+            currentContextMenuNode.setAttr("pens", pens);
+            populateContextMenu(currentContextMenuNode);
+            currentContextMenuNode.updateState?.();
+        });
     }
     if (closeContextMenuBtnEl) {
         closeContextMenuBtnEl.addEventListener("click", hideContextMenu);
@@ -610,14 +1053,20 @@ function _setupComponentPanelListeners() {
         addComponentPanelEl.addEventListener("click", (e) => {
             if (e.target.matches("button[data-component]")) {
                 const type = e.target.dataset.component;
-                if (componentFactory && typeof componentFactory.create === 'function' && konvaRefsForUi.layer) {
+                if (
+                    componentFactory &&
+                    typeof componentFactory.create === "function" &&
+                    konvaRefsForUi.layer
+                ) {
                     const component = componentFactory.create(type);
                     if (component) {
                         konvaRefsForUi.layer.add(component);
                         saveState(); // Save state after adding
                     }
                 } else {
-                    console.warn("[UIManager] componentFactory or Konva layer not ready for adding component.");
+                    console.warn(
+                        "[UIManager] componentFactory or Konva layer not ready for adding component.",
+                    );
                 }
             }
         });
@@ -641,7 +1090,10 @@ function _setupDeleteButtonListeners() {
                 nodesToDelete.forEach((node) => {
                     // Clear associated state from stateManager if component was data-bound
                     if (node.attrs.deviceId && node.attrs.variableName) {
-                        deleteDeviceVariableState(node.attrs.deviceId, node.attrs.variableName);
+                        deleteDeviceVariableState(
+                            node.attrs.deviceId,
+                            node.attrs.variableName,
+                        );
                     }
                     node.destroy(); // Remove from Konva layer
                 });
@@ -661,19 +1113,32 @@ function _setupKeyboardShortcutListeners() {
     window.addEventListener("keydown", (e) => {
         const activeEl = document.activeElement;
         // Ignore shortcuts if focus is on an input, textarea, or contentEditable element
-        if (activeEl && (activeEl.tagName === "INPUT" || activeEl.tagName === "TEXTAREA" || activeEl.isContentEditable)) {
+        if (
+            activeEl &&
+            (activeEl.tagName === "INPUT" ||
+                activeEl.tagName === "TEXTAREA" ||
+                activeEl.isContentEditable)
+        ) {
             return;
         }
 
         const isCtrlOrCmd = e.ctrlKey || e.metaKey;
 
-        if (isCtrlOrCmd && !isSimulationModeState) { // Shortcuts for design mode
+        if (isCtrlOrCmd && !isSimulationModeState) {
+            // Shortcuts for design mode
             switch (e.key.toLowerCase()) {
-                case "c": e.preventDefault(); handleCopy(); break;
-                case "v": e.preventDefault(); handlePaste(); break;
+                case "c":
+                    e.preventDefault();
+                    handleCopy();
+                    break;
+                case "v":
+                    e.preventDefault();
+                    handlePaste();
+                    break;
                 case "z":
                     e.preventDefault();
-                    if (e.shiftKey) handleRedo(); else handleUndo();
+                    if (e.shiftKey) handleRedo();
+                    else handleUndo();
                     break;
             }
         }
@@ -684,9 +1149,14 @@ function _setupKeyboardShortcutListeners() {
         }
 
         // Delete selected components with Delete/Backspace key (not in simulation mode)
-        if ((e.key === "Delete" || e.key === "Backspace") &&
-            konvaRefsForUi.tr && konvaRefsForUi.tr.nodes().length > 0 &&
-            !isSimulationModeState && deleteBtnEl && !deleteBtnEl.disabled) {
+        if (
+            (e.key === "Delete" || e.key === "Backspace") &&
+            konvaRefsForUi.tr &&
+            konvaRefsForUi.tr.nodes().length > 0 &&
+            !isSimulationModeState &&
+            deleteBtnEl &&
+            !deleteBtnEl.disabled
+        ) {
             e.preventDefault(); // Prevent browser back navigation on Backspace
             deleteBtnEl.click(); // Trigger the delete button's action
         }
@@ -699,10 +1169,22 @@ function _setupKeyboardShortcutListeners() {
  * @private
  */
 function _setupAIPopupListeners() {
-    if (aiFabEl && aiPopupChatEl) aiFabEl.addEventListener("click", () => aiPopupChatEl.classList.toggle("hidden"));
-    if (closeAiPopupBtnEl && aiPopupChatEl) closeAiPopupBtnEl.addEventListener("click", () => aiPopupChatEl.classList.add("hidden"));
-    if (aiSettingsBtnEl && aiSettingsPanelEl) aiSettingsBtnEl.addEventListener("click", () => aiSettingsPanelEl.classList.remove("hidden"));
-    if (closeAiSettingsBtnEl && aiSettingsPanelEl) closeAiSettingsBtnEl.addEventListener("click", () => aiSettingsPanelEl.classList.add("hidden"));
+    if (aiFabEl && aiPopupChatEl)
+        aiFabEl.addEventListener("click", () =>
+            aiPopupChatEl.classList.toggle("hidden"),
+        );
+    if (closeAiPopupBtnEl && aiPopupChatEl)
+        closeAiPopupBtnEl.addEventListener("click", () =>
+            aiPopupChatEl.classList.add("hidden"),
+        );
+    if (aiSettingsBtnEl && aiSettingsPanelEl)
+        aiSettingsBtnEl.addEventListener("click", () =>
+            aiSettingsPanelEl.classList.remove("hidden"),
+        );
+    if (closeAiSettingsBtnEl && aiSettingsPanelEl)
+        closeAiSettingsBtnEl.addEventListener("click", () =>
+            aiSettingsPanelEl.classList.add("hidden"),
+        );
 }
 
 /**
@@ -713,7 +1195,9 @@ function _setupAIPopupListeners() {
 function _setupGeminiApiKeyListener() {
     if (geminiApiKeyInputEl) {
         geminiApiKeyInputEl.value = localStorage.getItem("geminiApiKey") || "";
-        geminiApiKeyInputEl.addEventListener("change", (e) => localStorage.setItem("geminiApiKey", e.target.value));
+        geminiApiKeyInputEl.addEventListener("change", (e) =>
+            localStorage.setItem("geminiApiKey", e.target.value),
+        );
     }
 }
 
@@ -729,14 +1213,20 @@ function _setupProjectManagementListeners() {
     const saveProjectAsBtnEl = document.getElementById("save-project-as-btn");
     const loadProjectBtn = document.getElementById("load-project-btn");
     const importProjectInput = document.getElementById("import-project-input"); // File input
-    const importProjectBtn = document.getElementById("import-project-btn");   // Button to trigger file input
+    const importProjectBtn = document.getElementById("import-project-btn"); // Button to trigger file input
     const exportProjectBtn = document.getElementById("export-project-btn");
 
     if (newProjectBtn && projectManagerRef) {
         newProjectBtn.addEventListener("click", async () => {
             if (projectManagerRef.isProjectDirty()) {
-                const confirmed = await showConfirmationModal("Unsaved changes will be lost. Create new project?", "Confirm New Project");
-                if (!confirmed) { showToast("New project creation cancelled.", "info"); return; }
+                const confirmed = await showConfirmationModal(
+                    "Unsaved changes will be lost. Create new project?",
+                    "Confirm New Project",
+                );
+                if (!confirmed) {
+                    showToast("New project creation cancelled.", "info");
+                    return;
+                }
             }
             projectManagerRef.newProject();
             showToast("New project created.", "success");
@@ -746,46 +1236,70 @@ function _setupProjectManagementListeners() {
     if (saveProjectBtn && projectManagerRef) {
         saveProjectBtn.addEventListener("click", async () => {
             const currentName = projectManagerRef.getCurrentProjectName();
-            if (currentName) { // Project has a name, so direct save
+            if (currentName) {
+                // Project has a name, so direct save
                 saveProjectBtn.disabled = true;
                 const originalText = saveProjectBtn.textContent;
                 saveProjectBtn.textContent = "Saving...";
                 try {
                     await projectManagerRef.saveProjectToServer(currentName);
-                    showToast(`Project '${currentName}' saved successfully.`, "success");
+                    showToast(
+                        `Project '${currentName}' saved successfully.`,
+                        "success",
+                    );
                 } catch (error) {
-                    showToast(`Failed to save project '${currentName}': ${error}`, "error");
+                    showToast(
+                        `Failed to save project '${currentName}': ${error}`,
+                        "error",
+                    );
                 } finally {
                     saveProjectBtn.disabled = false;
                     saveProjectBtn.textContent = originalText;
                 }
-            } else { // No name, open "Save As" modal
+            } else {
+                // No name, open "Save As" modal
                 openSaveProjectModal("", false); // isSaveAs is false for initial save
             }
         });
     }
 
     if (saveProjectAsBtnEl && projectManagerRef) {
-        saveProjectAsBtnEl.addEventListener("click", () => openSaveProjectModal(projectManagerRef.getCurrentProjectName(), true));
+        saveProjectAsBtnEl.addEventListener("click", () =>
+            openSaveProjectModal(
+                projectManagerRef.getCurrentProjectName(),
+                true,
+            ),
+        );
     }
 
-    if (loadProjectBtn) { // projectManagerRef check is inside openLoadProjectModal
+    if (loadProjectBtn) {
+        // projectManagerRef check is inside openLoadProjectModal
         loadProjectBtn.addEventListener("click", () => openLoadProjectModal());
     }
 
     if (importProjectBtn && importProjectInput && projectManagerRef) {
-        importProjectBtn.addEventListener("click", () => importProjectInput.click()); // Trigger hidden file input
+        importProjectBtn.addEventListener("click", () =>
+            importProjectInput.click(),
+        ); // Trigger hidden file input
         importProjectInput.addEventListener("change", async (event) => {
             const file = event.target.files?.[0];
             if (file) {
                 if (projectManagerRef.isProjectDirty()) {
-                    const confirmed = await showConfirmationModal("Unsaved changes will be lost. Import new project?", "Confirm Import");
-                    if (!confirmed) { showToast("Project import cancelled.", "info"); event.target.value = null; return; }
+                    const confirmed = await showConfirmationModal(
+                        "Unsaved changes will be lost. Import new project?",
+                        "Confirm Import",
+                    );
+                    if (!confirmed) {
+                        showToast("Project import cancelled.", "info");
+                        event.target.value = null;
+                        return;
+                    }
                 }
                 try {
                     await projectManagerRef.importProjectFromFile(file);
                     // Success message is handled within importProjectFromFile or by projectManagerRef itself
-                } catch (error) { // Catch errors from importProjectFromFile promise
+                } catch (error) {
+                    // Catch errors from importProjectFromFile promise
                     showToast(`Failed to import project: ${error}`, "error");
                 }
             }
@@ -813,9 +1327,18 @@ function _setupProjectManagementListeners() {
  */
 function _setupModalListeners() {
     // --- Save Project Modal ---
-    if (closeSaveProjectModalBtnEl) closeSaveProjectModalBtnEl.addEventListener("click", hideSaveProjectModal);
-    if (cancelSaveProjectBtnEl) cancelSaveProjectBtnEl.addEventListener("click", hideSaveProjectModal);
-    if (confirmSaveProjectBtnEl && projectManagerRef && saveProjectNameInputEl) {
+    if (closeSaveProjectModalBtnEl)
+        closeSaveProjectModalBtnEl.addEventListener(
+            "click",
+            hideSaveProjectModal,
+        );
+    if (cancelSaveProjectBtnEl)
+        cancelSaveProjectBtnEl.addEventListener("click", hideSaveProjectModal);
+    if (
+        confirmSaveProjectBtnEl &&
+        projectManagerRef &&
+        saveProjectNameInputEl
+    ) {
         const originalConfirmText = confirmSaveProjectBtnEl.textContent;
         confirmSaveProjectBtnEl.addEventListener("click", async () => {
             const projectName = saveProjectNameInputEl.value.trim();
@@ -829,20 +1352,42 @@ function _setupModalListeners() {
             try {
                 // Check if project name already exists (if not saving over current project)
                 const currentPName = projectManagerRef.getCurrentProjectName();
-                if (!currentPName || currentPName.toLowerCase() !== projectName.toLowerCase()) {
-                    const available = await projectManagerRef.getAvailableProjectsFromServer();
-                    if (available.some(p => p.toLowerCase() === projectName.toLowerCase())) {
-                        const confirmedOverwrite = await showConfirmationModal(`Project "${projectName}" already exists. Overwrite?`, "Confirm Overwrite");
+                if (
+                    !currentPName ||
+                    currentPName.toLowerCase() !== projectName.toLowerCase()
+                ) {
+                    const available =
+                        await projectManagerRef.getAvailableProjectsFromServer();
+                    if (
+                        available.some(
+                            (p) =>
+                                p.toLowerCase() === projectName.toLowerCase(),
+                        )
+                    ) {
+                        const confirmedOverwrite = await showConfirmationModal(
+                            `Project "${projectName}" already exists. Overwrite?`,
+                            "Confirm Overwrite",
+                        );
                         if (!confirmedOverwrite) {
                             showToast("Save cancelled.", "info");
                             confirmSaveProjectBtnEl.disabled = false;
-                            confirmSaveProjectBtnEl.textContent = originalConfirmText;
+                            confirmSaveProjectBtnEl.textContent =
+                                originalConfirmText;
                             return;
                         }
                     }
                 }
-                await projectManagerRef.saveProjectToServer(projectName);
-                showToast(`Project '${projectName}' saved successfully to server.`, "success");
+                const comment =
+                    document.getElementById("save-project-comment-input")
+                        ?.value || "";
+                await projectManagerRef.saveProjectToServer(
+                    projectName,
+                    comment,
+                );
+                showToast(
+                    `Project '${projectName}' saved successfully to server.`,
+                    "success",
+                );
                 hideSaveProjectModal();
             } catch (error) {
                 showToast(`Failed to save project: ${error}`, "error");
@@ -854,29 +1399,52 @@ function _setupModalListeners() {
     }
 
     // --- Load Project Modal ---
-    if (closeLoadProjectModalBtnEl) closeLoadProjectModalBtnEl.addEventListener("click", hideLoadProjectModal);
-    if (cancelLoadProjectBtnEl) cancelLoadProjectBtnEl.addEventListener("click", hideLoadProjectModal);
+    if (closeLoadProjectModalBtnEl)
+        closeLoadProjectModalBtnEl.addEventListener(
+            "click",
+            hideLoadProjectModal,
+        );
+    if (cancelLoadProjectBtnEl)
+        cancelLoadProjectBtnEl.addEventListener("click", hideLoadProjectModal);
     if (confirmLoadProjectBtnEl && projectManagerRef) {
         const originalLoadText = confirmLoadProjectBtnEl.textContent;
         confirmLoadProjectBtnEl.addEventListener("click", async () => {
             if (selectedProjectToLoad) {
                 if (projectManagerRef.isProjectDirty()) {
-                    const confirmed = await showConfirmationModal("Unsaved changes will be lost. Load selected project?", "Confirm Load");
-                    if (!confirmed) { showToast("Load project cancelled.", "info"); return; }
+                    const confirmed = await showConfirmationModal(
+                        "Unsaved changes will be lost. Load selected project?",
+                        "Confirm Load",
+                    );
+                    if (!confirmed) {
+                        showToast("Load project cancelled.", "info");
+                        return;
+                    }
                 }
                 confirmLoadProjectBtnEl.disabled = true;
                 confirmLoadProjectBtnEl.textContent = "Loading...";
                 try {
-                    await projectManagerRef.loadProjectFromServer(selectedProjectToLoad);
-                    showToast(`Project '${selectedProjectToLoad}' loaded successfully.`, "success");
+                    await projectManagerRef.loadProjectFromServer(
+                        selectedProjectToLoad,
+                    );
+                    showToast(
+                        `Project '${selectedProjectToLoad}' loaded successfully.`,
+                        "success",
+                    );
                     hideLoadProjectModal();
                 } catch (error) {
-                    showToast(`Failed to load project '${selectedProjectToLoad}': ${error}`, "error");
+                    showToast(
+                        `Failed to load project '${selectedProjectToLoad}': ${error}`,
+                        "error",
+                    );
                 } finally {
                     // Ensure button is re-enabled only if modal is still visible (e.g. error occurred)
-                    if (confirmLoadProjectBtnEl && loadProjectModalEl && !loadProjectModalEl.classList.contains("hidden")) {
-                         confirmLoadProjectBtnEl.disabled = false;
-                         confirmLoadProjectBtnEl.textContent = originalLoadText;
+                    if (
+                        confirmLoadProjectBtnEl &&
+                        loadProjectModalEl &&
+                        !loadProjectModalEl.classList.contains("hidden")
+                    ) {
+                        confirmLoadProjectBtnEl.disabled = false;
+                        confirmLoadProjectBtnEl.textContent = originalLoadText;
                     }
                 }
             } else {
@@ -891,58 +1459,205 @@ function _setupModalListeners() {
 function hideLoadProjectModal() {
     if (loadProjectModalEl) loadProjectModalEl.classList.add("hidden");
     selectedProjectToLoad = null; // Reset selection
-    if(confirmLoadProjectBtnEl) confirmLoadProjectBtnEl.disabled = true; // Disable confirm until new selection
+    if (confirmLoadProjectBtnEl) confirmLoadProjectBtnEl.disabled = true; // Disable confirm until new selection
 }
 
 /**
- * Opens the Load Project modal. Fetches available projects from the server
- * via `projectManagerRef` and populates a list for user selection.
+ * Opens the Load Project modal. Fetches the available projects with their metadata from the
+ * server via `projectManagerRef` and populates a list for user selection.
  * @private
  */
 async function openLoadProjectModal() {
-    if (!loadProjectModalEl || !loadProjectListContainerEl || !projectManagerRef) {
-        console.error("[UIManager] Load Project modal elements or ProjectManager not available.");
+    if (
+        !loadProjectModalEl ||
+        !loadProjectListContainerEl ||
+        !projectManagerRef
+    ) {
+        console.error(
+            "[UIManager] Load Project modal elements or ProjectManager not available.",
+        );
         showToast("Cannot open Load Project dialog at this time.", "error");
         return;
     }
 
-    loadProjectListContainerEl.innerHTML = '<p class="text-gray-400 text-sm p-2">Loading project list...</p>';
+    loadProjectListContainerEl.innerHTML =
+        '<p class="text-gray-400 text-sm p-2">Loading project list...</p>';
+    selectedProjectToLoad = null;
     if (confirmLoadProjectBtnEl) confirmLoadProjectBtnEl.disabled = true; // Disable confirm until a project is selected
     loadProjectModalEl.classList.remove("hidden");
 
     try {
-        const availableProjects = await projectManagerRef.getAvailableProjectsFromServer();
-        if (availableProjects && availableProjects.length > 0) {
-            let listHtml = '<ul class="space-y-1">';
-            availableProjects.forEach((projectName) => {
-                listHtml += `<li><label class="block p-2 rounded-md hover:bg-gray-700 cursor-pointer"><input type="radio" name="project-to-load" value="${projectName}" class="mr-2 project-load-radio">${projectName}</label></li>`;
-            });
-            listHtml += "</ul>";
-            loadProjectListContainerEl.innerHTML = listHtml;
-
-            // Add event listeners to newly created radio buttons
-            const radioButtons = loadProjectListContainerEl.querySelectorAll(".project-load-radio");
-            radioButtons.forEach(radio => {
-                radio.addEventListener("change", (event) => {
-                    if (event.target.checked) {
-                        selectedProjectToLoad = event.target.value;
-                        if (confirmLoadProjectBtnEl) confirmLoadProjectBtnEl.disabled = false;
-                    }
-                });
-            });
+        const projects = await projectManagerRef.getProjectDetailsFromServer();
+        if (projects.length > 0) {
+            _renderLoadProjectList(projects);
         } else {
-            loadProjectListContainerEl.innerHTML = '<p class="text-gray-400 text-sm p-2">No projects found on the server.</p>';
+            loadProjectListContainerEl.innerHTML =
+                '<p class="text-gray-400 text-sm p-2">No projects found on the server.</p>';
         }
     } catch (error) {
         console.error("[UIManager] Failed to get project list:", error);
-        loadProjectListContainerEl.innerHTML = `<p class="text-red-400 text-sm p-2">Failed to load projects: ${error}</p>`;
+        loadProjectListContainerEl.innerHTML = "";
+        const message = document.createElement("p");
+        message.className = "text-red-400 text-sm p-2";
+        message.textContent = `Failed to load projects: ${error}`;
+        loadProjectListContainerEl.appendChild(message);
+    }
+}
+
+/**
+ * Renders the projects of the Load Project modal: a radio button with the name, the metadata,
+ * and (for engineers) startup, rename, duplicate and delete buttons.
+ * @param {Array<{name: string, lastModified: (string|null), size: number, components: number, devices: number, startup?: boolean, active?: boolean}>} projects
+ * @private
+ */
+function _renderLoadProjectList(projects) {
+    const canManage = hasRole("engineer");
+    const list = document.createElement("ul");
+    list.className = "space-y-1";
+    projects.forEach((project) => {
+        const item = document.createElement("li");
+        item.className =
+            "flex items-start justify-between gap-2 p-2 rounded-md hover:bg-gray-700";
+
+        const label = document.createElement("label");
+        label.className = "flex-1 cursor-pointer";
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = "project-to-load";
+        radio.value = project.name;
+        radio.className = "mr-2 project-load-radio";
+        radio.addEventListener("change", (event) => {
+            if (event.target.checked) {
+                selectedProjectToLoad = event.target.value;
+                if (confirmLoadProjectBtnEl)
+                    confirmLoadProjectBtnEl.disabled = false;
+            }
+        });
+        const meta = document.createElement("span");
+        meta.className = "block text-xs text-gray-400 ml-6";
+        meta.textContent = [
+            project.lastModified
+                ? `Diubah ${new Date(project.lastModified).toLocaleString()}`
+                : null,
+            `${(project.size / 1024).toFixed(1)} KB`,
+            `${project.components} komponen`,
+            `${project.devices} device`,
+            project.startup ? "startup" : null,
+            project.active ? "berjalan di server" : null,
+        ]
+            .filter(Boolean)
+            .join(" · ");
+        label.append(radio, document.createTextNode(project.name), meta);
+        item.appendChild(label);
+
+        if (canManage) {
+            const actions = document.createElement("div");
+            actions.className = "flex gap-2 shrink-0 text-xs";
+            [
+                project.startup
+                    ? ["clear-startup", "Lepas startup", "text-yellow-300"]
+                    : ["startup", "Jadikan startup", "text-yellow-300"],
+                ["rename", "Rename", "text-cyan-300"],
+                ["duplicate", "Duplikat", "text-cyan-300"],
+                ["delete", "Hapus", "text-red-400"],
+            ].forEach(([action, text, color]) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = `${color} hover:text-white`;
+                button.dataset.projectAction = action;
+                button.dataset.projectName = project.name;
+                button.textContent = text;
+                button.addEventListener("click", () =>
+                    _handleProjectAction(action, project.name),
+                );
+                actions.appendChild(button);
+            });
+            item.appendChild(actions);
+        }
+        list.appendChild(item);
+    });
+    loadProjectListContainerEl.innerHTML = "";
+    loadProjectListContainerEl.appendChild(list);
+}
+
+/**
+ * Sets or clears the startup project, renames, duplicates or (after confirmation) deletes a
+ * project of the Load Project modal, then refreshes the list.
+ * @param {"startup"|"clear-startup"|"rename"|"duplicate"|"delete"} action
+ * @param {string} projectName
+ * @private
+ */
+async function _handleProjectAction(action, projectName) {
+    try {
+        if (action === "startup" || action === "clear-startup") {
+            await projectManagerRef.setStartupProjectOnServer(
+                action === "startup" ? projectName : null,
+            );
+            showToast(
+                action === "startup"
+                    ? `'${projectName}' dimuat otomatis saat server start.`
+                    : "Server start tanpa project.",
+                "success",
+            );
+        } else if (action === "delete") {
+            const isCurrent =
+                projectManagerRef.getCurrentProjectName() === projectName;
+            const message =
+                `Hapus project "${projectName}" beserta semua revisinya? Ini tidak dapat dibatalkan.` +
+                (isCurrent
+                    ? " Project ini sedang terbuka; isinya tetap ada sebagai project tanpa nama."
+                    : "");
+            if (
+                !(await showConfirmationModal(
+                    message,
+                    "Hapus Project",
+                    "Hapus",
+                    "Batal",
+                ))
+            )
+                return;
+            await projectManagerRef.deleteProjectOnServer(projectName);
+            showToast(`Project '${projectName}' dihapus.`, "success");
+        } else {
+            const isRename = action === "rename";
+            const newName = prompt(
+                isRename ? "Nama baru project:" : "Nama salinan project:",
+                isRename ? projectName : `${projectName} (copy)`,
+            );
+            if (
+                !newName ||
+                !newName.trim() ||
+                (isRename && newName.trim() === projectName)
+            )
+                return;
+            const result = isRename
+                ? await projectManagerRef.renameProjectOnServer(
+                      projectName,
+                      newName.trim(),
+                  )
+                : await projectManagerRef.duplicateProjectOnServer(
+                      projectName,
+                      newName.trim(),
+                  );
+            showToast(
+                isRename
+                    ? `Project diganti nama menjadi '${result.newName}'.`
+                    : `Salinan '${result.newName}' dibuat.`,
+                "success",
+            );
+        }
+    } catch (error) {
+        showToast(`Operasi project gagal: ${error}`, "error");
     }
+    await openLoadProjectModal();
 }
 
 /** @private Hides the Save Project modal and clears its input field. */
 function hideSaveProjectModal() {
     if (saveProjectModalEl) saveProjectModalEl.classList.add("hidden");
     if (saveProjectNameInputEl) saveProjectNameInputEl.value = "";
+    const commentInput = document.getElementById("save-project-comment-input");
+    if (commentInput) commentInput.value = "";
 }
 
 /**
@@ -952,15 +1667,22 @@ function hideSaveProjectModal() {
  * @private
  */
 function openSaveProjectModal(currentName = "", isSaveAs = false) {
-    if (!saveProjectModalEl || !saveProjectNameInputEl || !saveProjectModalTitleEl) {
+    if (
+        !saveProjectModalEl ||
+        !saveProjectNameInputEl ||
+        !saveProjectModalTitleEl
+    ) {
         console.error("[UIManager] Save Project modal elements not available.");
         showToast("Cannot open Save Project dialog at this time.", "error");
         return;
     }
     saveProjectNameInputEl.value = currentName;
     if (isSaveAs) {
-        saveProjectModalTitleEl.textContent = currentName ? `Save Project As (Current: ${currentName})` : "Save Project As...";
-    } else { // Initial save for a new, unnamed project
+        saveProjectModalTitleEl.textContent = currentName
+            ? `Save Project As (Current: ${currentName})`
+            : "Save Project As...";
+    } else {
+        // Initial save for a new, unnamed project
         saveProjectModalTitleEl.textContent = "Save New Project";
     }
     saveProjectModalEl.classList.remove("hidden");
@@ -968,7 +1690,6 @@ function openSaveProjectModal(currentName = "", isSaveAs = false) {
     saveProjectNameInputEl.select();
 }
 
-
 // --- Generic Confirmation Modal Functions ---
 // These are designed to be reusable for various confirmation needs.
 
@@ -977,11 +1698,17 @@ function hideConfirmationModal() {
     if (confirmationModalEl) confirmationModalEl.classList.add("hidden");
     // Clean up dynamically added, single-use event listeners
     if (confirmOkBtnEl?.currentClickListener) {
-        confirmOkBtnEl.removeEventListener("click", confirmOkBtnEl.currentClickListener);
+        confirmOkBtnEl.removeEventListener(
+            "click",
+            confirmOkBtnEl.currentClickListener,
+        );
         delete confirmOkBtnEl.currentClickListener;
     }
     if (confirmCancelBtnEl?.currentClickListener) {
-        confirmCancelBtnEl.removeEventListener("click", confirmCancelBtnEl.currentClickListener);
+        confirmCancelBtnEl.removeEventListener(
+            "click",
+            confirmCancelBtnEl.currentClickListener,
+        );
         delete confirmCancelBtnEl.currentClickListener;
     }
 }
@@ -998,9 +1725,22 @@ function hideConfirmationModal() {
  * @returns {Promise<boolean>} A promise resolving to `true` (confirmed) or `false` (cancelled).
  *                             Falls back to `window.confirm` if modal elements are not found.
  */
-export function showConfirmationModal(message, title = "Confirm", okText = "OK", cancelText = "Cancel") {
-    if (!confirmationModalEl || !confirmationMessageEl || !confirmOkBtnEl || !confirmCancelBtnEl || !confirmationModalTitleEl) {
-        console.error("[UIManager] Confirmation modal elements not fully available. Falling back to window.confirm.");
+export function showConfirmationModal(
+    message,
+    title = "Confirm",
+    okText = "OK",
+    cancelText = "Cancel",
+) {
+    if (
+        !confirmationModalEl ||
+        !confirmationMessageEl ||
+        !confirmOkBtnEl ||
+        !confirmCancelBtnEl ||
+        !confirmationModalTitleEl
+    ) {
+        console.error(
+            "[UIManager] Confirmation modal elements not fully available. Falling back to window.confirm.",
+        );
         return Promise.resolve(window.confirm(message)); // Fallback
     }
 
@@ -1013,20 +1753,41 @@ export function showConfirmationModal(message, title = "Confirm", okText = "OK",
 
     return new Promise((resolve) => {
         // Remove any old listeners to prevent multiple resolutions
-        if (confirmOkBtnEl.currentClickListener) confirmOkBtnEl.removeEventListener("click", confirmOkBtnEl.currentClickListener);
-        if (confirmCancelBtnEl.currentClickListener) confirmCancelBtnEl.removeEventListener("click", confirmCancelBtnEl.currentClickListener);
-
-        confirmOkBtnEl.currentClickListener = () => { hideConfirmationModal(); resolve(true); };
-        confirmCancelBtnEl.currentClickListener = () => { hideConfirmationModal(); resolve(false); };
+        if (confirmOkBtnEl.currentClickListener)
+            confirmOkBtnEl.removeEventListener(
+                "click",
+                confirmOkBtnEl.currentClickListener,
+            );
+        if (confirmCancelBtnEl.currentClickListener)
+            confirmCancelBtnEl.removeEventListener(
+                "click",
+                confirmCancelBtnEl.currentClickListener,
+            );
+
+        confirmOkBtnEl.currentClickListener = () => {
+            hideConfirmationModal();
+            resolve(true);
+        };
+        confirmCancelBtnEl.currentClickListener = () => {
+            hideConfirmationModal();
+            resolve(false);
+        };
 
-        confirmOkBtnEl.addEventListener("click", confirmOkBtnEl.currentClickListener, { once: true });
-        confirmCancelBtnEl.addEventListener("click", confirmCancelBtnEl.currentClickListener, { once: true });
+        confirmOkBtnEl.addEventListener(
+            "click",
+            confirmOkBtnEl.currentClickListener,
+            { once: true },
+        );
+        confirmCancelBtnEl.addEventListener(
+            "click",
+            confirmCancelBtnEl.currentClickListener,
+            { once: true },
+        );
         // Consider adding listener for a potential 'x' close button on the modal as well, resolving to false.
     });
 }
 // --- End Confirmation Modal Functions ---
 
-
 // --- Toast Notification Functions ---
 
 /** @private Creates a toast notification DOM element with the given message and type. */
@@ -1035,10 +1796,13 @@ function _createToastElement(message, type) {
     // Base classes + type-specific class for styling (e.g., toast-success, toast-error)
     toast.className = `toast toast-${type} p-3 rounded-md shadow-lg text-white mb-2`;
     // Basic styling fallback if CSS classes are not fully defined
-    if (type === 'success') toast.style.backgroundColor = 'rgba(74, 222, 128, 0.9)'; // green-400
-    else if (type === 'error') toast.style.backgroundColor = 'rgba(248, 113, 113, 0.9)'; // red-400
-    else if (type === 'warning') toast.style.backgroundColor = 'rgba(251, 191, 36, 0.9)'; // amber-400
-    else toast.style.backgroundColor = 'rgba(96, 165, 250, 0.9)'; // blue-400 (info)
+    if (type === "success")
+        toast.style.backgroundColor = "rgba(74, 222, 128, 0.9)"; // green-400
+    else if (type === "error")
+        toast.style.backgroundColor = "rgba(248, 113, 113, 0.9)"; // red-400
+    else if (type === "warning")
+        toast.style.backgroundColor = "rgba(251, 191, 36, 0.9)"; // amber-400
+    else toast.style.backgroundColor = "rgba(96, 165, 250, 0.9)"; // blue-400 (info)
 
     toast.textContent = message;
     return toast;
@@ -1053,7 +1817,9 @@ function _createToastElement(message, type) {
  */
 export function showToast(message, type = "info", duration = 3000) {
     if (!toastContainerEl) {
-        console.error("[UIManager] Toast container element not found. Cannot display toast.");
+        console.error(
+            "[UIManager] Toast container element not found. Cannot display toast.",
+        );
         alert(`${type.toUpperCase()}: ${message}`); // Fallback to alert
         return;
     }
@@ -1068,12 +1834,18 @@ export function showToast(message, type = "info", duration = 3000) {
     setTimeout(() => {
         toast.classList.remove("show");
         // Remove the element after the fade-out transition completes
-        toast.addEventListener("transitionend", () => {
-            if (toast.parentNode === toastContainerEl) toastContainerEl.removeChild(toast);
-        }, { once: true });
+        toast.addEventListener(
+            "transitionend",
+            () => {
+                if (toast.parentNode === toastContainerEl)
+                    toastContainerEl.removeChild(toast);
+            },
+            { once: true },
+        );
         // Fallback removal if transitionend doesn't fire (e.g. display:none directly)
         setTimeout(() => {
-            if (toast.parentNode === toastContainerEl) toastContainerEl.removeChild(toast);
+            if (toast.parentNode === toastContainerEl)
+                toastContainerEl.removeChild(toast);
         }, duration + 500); // Ensure removal after transition + buffer
     }, duration);
 }
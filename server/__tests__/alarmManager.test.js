@@ -0,0 +1,204 @@
+/**
+ * @jest-environment node
+ */
+const { TagStore } = require("../tagStore");
+const { AlarmManager, ALARM_STATE } = require("../alarmManager");
+
+describe("AlarmManager", () => {
+    let tagStore;
+    let alarmManager;
+    let changes;
+
+    const level = (value, quality) =>
+        tagStore.updateTag("plc1", "level", value, quality ? { quality } : {});
+    const alarmState = (alarmId) =>
+        alarmManager
+            .getAlarms({ includeNormal: true })
+            .find((alarm) => alarm.id === alarmId).state;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        tagStore = new TagStore();
+        alarmManager = new AlarmManager({ tagStore });
+        alarmManager.start();
+        changes = [];
+        alarmManager.on("alarm_changed", (alarm) => changes.push(alarm));
+        alarmManager.setDefinitions([
+            {
+                id: "lvl",
+                deviceId: "plc1",
+                variableName: "level",
+                type: "analog",
+                hi: 80,
+                hihi: 95,
+                lo: 10,
+                deadband: 2,
+                priority: "high",
+            },
+        ]);
+    });
+
+    afterEach(() => {
+        alarmManager.stop();
+        jest.useRealTimers();
+    });
+
+    test("creates one alarm per configured analog limit", () => {
+        const ids = alarmManager
+            .getAlarms({ includeNormal: true })
+            .map((alarm) => alarm.id)
+            .sort();
+        expect(ids).toEqual(["lvl:HI", "lvl:HIHI", "lvl:LO"]);
+        expect(alarmManager.getAlarms()).toEqual([]);
+    });
+
+    test("trips at the limit and only clears outside the deadband", () => {
+        level(80);
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.ACTIVE_UNACKED);
+        expect(alarmState("lvl:HIHI")).toBe(ALARM_STATE.NORMAL);
+        expect(changes[0]).toEqual(
+            expect.objectContaining({
+                id: "lvl:HI",
+                triggerValue: 80,
+                priority: "high",
+            }),
+        );
+
+        level(78.5);
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.ACTIVE_UNACKED);
+        level(77.9);
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.CLEARED_UNACKED);
+    });
+
+    test("follows the acknowledgement state transitions", () => {
+        level(85);
+        alarmManager.acknowledge("lvl:HI", "operator");
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.ACTIVE_ACKED);
+        expect(alarmManager.getAlarms()[0].ackedBy).toBe("operator");
+
+        level(50);
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.NORMAL);
+
+        level(5);
+        expect(alarmState("lvl:LO")).toBe(ALARM_STATE.ACTIVE_UNACKED);
+        level(50);
+        expect(alarmState("lvl:LO")).toBe(ALARM_STATE.CLEARED_UNACKED);
+        alarmManager.acknowledge("lvl:LO");
+        expect(alarmState("lvl:LO")).toBe(ALARM_STATE.NORMAL);
+    });
+
+    test("ignores values of bad quality", () => {
+        level(99, "bad");
+        expect(alarmManager.getAlarms()).toEqual([]);
+    });
+
+    test("evaluates discrete alarms against the trigger value", () => {
+        alarmManager.setDefinitions([
+            {
+                id: "pump",
+                deviceId: "plc1",
+                variableName: "trip",
+                type: "discrete",
+                triggerValue: "ON",
+            },
+        ]);
+        tagStore.updateTag("plc1", "trip", true);
+        expect(alarmState("pump:STATE")).toBe(ALARM_STATE.ACTIVE_UNACKED);
+        tagStore.updateTag("plc1", "trip", 0);
+        expect(alarmState("pump:STATE")).toBe(ALARM_STATE.CLEARED_UNACKED);
+    });
+
+    test("waits for the on-delay and cancels it when the condition goes away", () => {
+        alarmManager.setDefinitions([
+            {
+                id: "lvl",
+                deviceId: "plc1",
+                variableName: "level",
+                hi: 80,
+                onDelayMs: 1000,
+            },
+        ]);
+        level(90);
+        jest.advanceTimersByTime(500);
+        level(50);
+        jest.advanceTimersByTime(1000);
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.NORMAL);
+
+        level(90);
+        jest.advanceTimersByTime(1000);
+        expect(alarmState("lvl:HI")).toBe(ALARM_STATE.ACTIVE_UNACKED);
+    });
+
+    test("shelves an alarm and unshelves it after the duration", () => {
+        level(85);
+        alarmManager.shelve("lvl:HI", {
+            durationMs: 60000,
+            reason: "maintenance",
+            user: "operator",
+        });
+        expect(alarmManager.getAlarms()[0]).toEqual(
+            expect.objectContaining({
+                shelved: true,
+                shelvedReason: "maintenance",
+            }),
+        );
+
+        jest.advanceTimersByTime(60000);
+        expect(alarmManager.getAlarms()[0].shelved).toBe(false);
+        expect(() => alarmManager.shelve("lvl:HI", { durationMs: -5 })).toThrow(
+            expect.objectContaining({ code: "INVALID_SHELVE_DURATION" }),
+        );
+    });
+
+    test("rejects invalid definitions without changing the current ones", () => {
+        expect(() =>
+            alarmManager.setDefinitions([
+                { deviceId: "plc1", variableName: "level", type: "analog" },
+            ]),
+        ).toThrow(
+            expect.objectContaining({ code: "INVALID_ALARM_DEFINITION" }),
+        );
+        expect(() =>
+            alarmManager.setDefinitions([
+                { deviceId: "plc1", variableName: "x", type: "discrete" },
+            ]),
+        ).toThrow(
+            expect.objectContaining({ code: "INVALID_ALARM_DEFINITION" }),
+        );
+        expect(() => alarmManager.acknowledge("missing:HI")).toThrow(
+            expect.objectContaining({ code: "ALARM_NOT_FOUND" }),
+        );
+        expect(alarmManager.getDefinitions()).toHaveLength(1);
+    });
+
+    test("keeps alarm states when definitions are replaced and drops removed limits", () => {
+        const removed = [];
+        alarmManager.on("alarm_removed", (alarmId) => removed.push(alarmId));
+        level(85);
+        alarmManager.setDefinitions([
+            {
+                id: "lvl",
+                deviceId: "plc1",
+                variableName: "level",
+                hi: 80,
+                message: "Level tinggi",
+            },
+        ]);
+        expect(removed.sort()).toEqual(["lvl:HIHI", "lvl:LO"]);
+        expect(alarmManager.getAlarms()).toEqual([
+            expect.objectContaining({
+                id: "lvl:HI",
+                state: ALARM_STATE.ACTIVE_UNACKED,
+                message: "Level tinggi",
+            }),
+        ]);
+    });
+
+    test("evaluates new definitions against the current tag values", () => {
+        tagStore.updateTag("plc1", "temp", 120);
+        alarmManager.setDefinitions([
+            { id: "tmp", deviceId: "plc1", variableName: "temp", hihi: 100 },
+        ]);
+        expect(alarmState("tmp:HIHI")).toBe(ALARM_STATE.ACTIVE_UNACKED);
+    });
+});
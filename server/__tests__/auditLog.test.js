@@ -0,0 +1,243 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AuditLog, AUDIT_ACTIONS, redactSecrets } = require("../auditLog");
+
+describe("AuditLog", () => {
+    let tempDir;
+    let auditLog;
+
+    const operator = { username: "op1", role: "operator" };
+    const engineer = { username: "eng1", role: "engineer" };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+        auditLog = new AuditLog({ auditDir: tempDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("redactSecrets should mask passwords in nested configurations", () => {
+        const config = {
+            id: "mqtt1",
+            password: "secret",
+            options: { token: "abc", password: "" },
+            variables: [{ name: "v" }],
+        };
+        expect(redactSecrets(config)).toEqual({
+            id: "mqtt1",
+            password: "***",
+            options: { token: "***", password: "" },
+            variables: [{ name: "v" }],
+        });
+        expect(config.password).toBe("secret");
+    });
+
+    test("record should keep user, socket, timestamp and values", () => {
+        const entry = auditLog.record({
+            action: AUDIT_ACTIONS.WRITE,
+            user: operator,
+            socketId: "s1",
+            deviceId: "plc1",
+            variableName: "setpoint",
+            oldValue: 10,
+            newValue: 20,
+        });
+        expect(entry).toMatchObject({
+            action: "write_to_device",
+            user: "op1",
+            role: "operator",
+            socketId: "s1",
+            deviceId: "plc1",
+            variableName: "setpoint",
+            oldValue: 10,
+            newValue: 20,
+            status: "success",
+        });
+        expect(entry.timestamp).toBe(new Date(entry.t).toISOString());
+    });
+
+    test("should only write to disk after start and append across restarts", async () => {
+        auditLog.record({
+            action: AUDIT_ACTIONS.ADD_DEVICE,
+            user: engineer,
+            deviceId: "plc1",
+            newValue: { id: "plc1", password: "x" },
+        });
+        await auditLog.flush();
+        expect(fs.readdirSync(tempDir)).toEqual([]);
+        expect((await auditLog.query()).entries).toHaveLength(1); // Pending entries are queryable
+
+        await auditLog.start();
+        auditLog.record({
+            action: AUDIT_ACTIONS.PROJECT_SAVE,
+            user: engineer,
+            projectName: "Plant",
+        });
+        await auditLog.flush();
+
+        const restarted = new AuditLog({ auditDir: tempDir });
+        await restarted.start();
+        restarted.record({
+            action: AUDIT_ACTIONS.PROJECT_LOAD,
+            user: operator,
+            projectName: "Plant",
+        });
+        await restarted.flush();
+
+        const [file] = fs.readdirSync(tempDir);
+        const lines = fs
+            .readFileSync(path.join(tempDir, file), "utf8")
+            .trim()
+            .split("\n")
+            .map((line) => JSON.parse(line));
+        expect(lines.map((line) => line.action)).toEqual([
+            "add_device",
+            "project:save",
+            "project:load",
+        ]);
+        expect(lines[0].newValue.password).toBe("***");
+    });
+
+    test("query should filter by user, device, action and time, newest first", async () => {
+        await auditLog.start();
+        const nowSpy = jest.spyOn(Date, "now");
+        const T0 = Date.parse("2024-03-10T23:59:00.000Z");
+        [
+            [
+                T0,
+                {
+                    action: AUDIT_ACTIONS.WRITE,
+                    user: operator,
+                    deviceId: "plc1",
+                    variableName: "a",
+                    newValue: 1,
+                },
+            ],
+            [
+                T0 + 60000,
+                {
+                    action: AUDIT_ACTIONS.WRITE,
+                    user: operator,
+                    deviceId: "plc2",
+                    variableName: "b",
+                    newValue: 2,
+                    status: "error",
+                    message: "x",
+                },
+            ],
+            [
+                T0 + 120000,
+                {
+                    action: AUDIT_ACTIONS.EDIT_DEVICE,
+                    user: engineer,
+                    deviceId: "plc1",
+                    oldValue: {},
+                    newValue: {},
+                },
+            ],
+        ].forEach(([time, entry]) => {
+            nowSpy.mockReturnValue(time);
+            auditLog.record(entry);
+        });
+        nowSpy.mockRestore();
+        await auditLog.flush();
+        expect(fs.readdirSync(tempDir).sort()).toEqual([
+            "2024-03-10.ndjson",
+            "2024-03-11.ndjson",
+        ]);
+
+        const range = {
+            from: "2024-03-10T00:00:00Z",
+            to: "2024-03-11T12:00:00Z",
+        };
+        const all = await auditLog.query(range);
+        expect(all.entries.map((e) => e.t)).toEqual([
+            T0 + 120000,
+            T0 + 60000,
+            T0,
+        ]);
+        expect(
+            (await auditLog.query({ ...range, user: "op1" })).entries,
+        ).toHaveLength(2);
+        expect(
+            (await auditLog.query({ ...range, deviceId: "plc1" })).entries.map(
+                (e) => e.action,
+            ),
+        ).toEqual(["edit_device", "write_to_device"]);
+        expect(
+            (await auditLog.query({ ...range, action: "edit_device" })).entries,
+        ).toHaveLength(1);
+        expect(
+            (
+                await auditLog.query({ from: T0 + 30000, to: T0 + 90000 })
+            ).entries.map((e) => e.variableName),
+        ).toEqual(["b"]);
+
+        const limited = await auditLog.query({ ...range, limit: 2 });
+        expect(limited.entries).toHaveLength(2);
+        expect(limited.truncated).toBe(true);
+    });
+
+    test("query from 0 should only open the day files in the range and stop at the limit", async () => {
+        const entry = (timestamp, variableName) =>
+            JSON.stringify({
+                t: Date.parse(timestamp),
+                timestamp,
+                action: AUDIT_ACTIONS.WRITE,
+                user: "op1",
+                deviceId: "plc1",
+                variableName,
+                status: "success",
+            });
+        fs.writeFileSync(
+            path.join(tempDir, "2024-03-08.ndjson"),
+            `${entry("2024-03-08T08:00:00.000Z", "a")}\n`,
+        );
+        fs.writeFileSync(
+            path.join(tempDir, "2024-03-10.ndjson"),
+            `${entry("2024-03-10T08:00:00.000Z", "b")}\n${entry("2024-03-10T09:00:00.000Z", "c")}\n`,
+        );
+        fs.writeFileSync(
+            path.join(tempDir, "2024-03-12.ndjson"),
+            `${entry("2024-03-12T08:00:00.000Z", "d")}\n`,
+        );
+        fs.writeFileSync(path.join(tempDir, "notes.txt"), "not an audit file");
+        await auditLog.start();
+        const readFile = jest.spyOn(fs.promises, "readFile");
+
+        const all = await auditLog.query({
+            from: 0,
+            to: "2024-03-11T00:00:00Z",
+        });
+        expect(all.entries.map((e) => e.variableName)).toEqual(["c", "b", "a"]);
+        expect(
+            readFile.mock.calls.map(([file]) => path.basename(file)),
+        ).toEqual(["2024-03-10.ndjson", "2024-03-08.ndjson"]);
+
+        readFile.mockClear();
+        const limited = await auditLog.query({
+            from: "0",
+            to: "2024-03-11T00:00:00Z",
+            limit: 1,
+        });
+        expect(limited.entries.map((e) => e.variableName)).toEqual(["c"]);
+        expect(limited.truncated).toBe(true);
+        expect(readFile).toHaveBeenCalledTimes(1); // The older day is not read
+        readFile.mockRestore();
+    });
+
+    test("query should reject invalid ranges", async () => {
+        await expect(auditLog.query({ from: "gestern" })).rejects.toMatchObject(
+            { code: "INVALID_AUDIT_QUERY" },
+        );
+        await expect(
+            auditLog.query({ from: 2000, to: 1000 }),
+        ).rejects.toMatchObject({ code: "INVALID_AUDIT_QUERY" });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+const { userStore } = require("../userStore");
+const {
+    createSession,
+    getSessionUser,
+    destroySession,
+    parseCookies,
+    requireRole,
+    authenticateSocket,
+    authorizeSocketEvent,
+} = require("../auth");
+
+describe("auth", () => {
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+    const mockSocket = (handshake = {}) => ({
+        handshake: { headers: {}, ...handshake },
+        data: {},
+    });
+
+    beforeAll(async () => {
+        await userStore.saveUser({
+            username: "viewer1",
+            password: "pass",
+            role: "viewer",
+        });
+        await userStore.saveUser({
+            username: "op1",
+            password: "pass",
+            role: "operator",
+        });
+        await userStore.saveUser({
+            username: "eng1",
+            password: "pass",
+            role: "engineer",
+        });
+    });
+
+    test("sessions should resolve to the current user until destroyed", async () => {
+        const token = createSession("op1");
+        expect(getSessionUser(token)).toEqual({
+            username: "op1",
+            role: "operator",
+        });
+        expect(getSessionUser("unknown")).toBeNull();
+        expect(getSessionUser(undefined)).toBeNull();
+
+        await userStore.saveUser({ username: "op1", role: "engineer" }); // Role changes apply immediately
+        expect(getSessionUser(token).role).toBe("engineer");
+        await userStore.saveUser({ username: "op1", role: "operator" });
+
+        destroySession(token);
+        expect(getSessionUser(token)).toBeNull();
+    });
+
+    test("parseCookies should read cookie headers", () => {
+        expect(parseCookies("a=1; hmi_session=abc%20def; broken")).toEqual({
+            a: "1",
+            hmi_session: "abc def",
+        });
+        expect(parseCookies(undefined)).toEqual({});
+    });
+
+    test("requireRole should answer 401 without a session and 403 with a too low role", () => {
+        const next = jest.fn();
+        const middleware = requireRole("operator");
+
+        const res401 = mockResponse();
+        middleware({ headers: {} }, res401, next);
+        expect(res401.status).toHaveBeenCalledWith(401);
+
+        const res403 = mockResponse();
+        middleware(
+            { headers: { cookie: `hmi_session=${createSession("viewer1")}` } },
+            res403,
+            next,
+        );
+        expect(res403.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+
+        const req = {
+            headers: { authorization: `Bearer ${createSession("eng1")}` },
+        };
+        middleware(req, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+        expect(req.user).toEqual({ username: "eng1", role: "engineer" });
+    });
+
+    test("authenticateSocket should refuse sockets without a valid session", () => {
+        const next = jest.fn();
+        authenticateSocket(mockSocket(), next);
+        expect(next).toHaveBeenCalledWith(
+            expect.objectContaining({ data: { code: "UNAUTHORIZED" } }),
+        );
+
+        const token = createSession("viewer1");
+        const socket = mockSocket({
+            headers: { cookie: `hmi_session=${token}` },
+        });
+        const nextOk = jest.fn();
+        authenticateSocket(socket, nextOk);
+        expect(nextOk).toHaveBeenCalledWith();
+        expect(socket.data).toEqual({
+            sessionToken: token,
+            user: { username: "viewer1", role: "viewer" },
+        });
+
+        const authSocket = mockSocket({ auth: { token } });
+        authenticateSocket(authSocket, jest.fn());
+        expect(authSocket.data.user.username).toBe("viewer1");
+    });
+
+    test("authorizeSocketEvent should enforce the role per event", () => {
+        const socketFor = (username) => ({
+            data: { sessionToken: createSession(username) },
+        });
+        const viewer = socketFor("viewer1");
+        const operator = socketFor("op1");
+        const engineer = socketFor("eng1");
+
+        expect(authorizeSocketEvent(viewer, "history:query").allowed).toBe(
+            true,
+        );
+        expect(authorizeSocketEvent(viewer, "write_to_device")).toMatchObject({
+            allowed: false,
+            code: "PERMISSION_DENIED",
+            requiredRole: "operator",
+        });
+        expect(authorizeSocketEvent(operator, "write_to_device").allowed).toBe(
+            true,
+        );
+        expect(authorizeSocketEvent(operator, "project:save")).toMatchObject({
+            allowed: false,
+            requiredRole: "engineer",
+        });
+        expect(authorizeSocketEvent(operator, "add_device").allowed).toBe(
+            false,
+        );
+        expect(authorizeSocketEvent(operator, "project:load")).toMatchObject({
+            allowed: false,
+            requiredRole: "engineer",
+        });
+        expect(authorizeSocketEvent(engineer, "delete_device").allowed).toBe(
+            true,
+        );
+        expect(authorizeSocketEvent(engineer, "user:save").allowed).toBe(false);
+        expect(authorizeSocketEvent(engineer, "unknown_event").allowed).toBe(
+            false,
+        );
+        expect(
+            authorizeSocketEvent({ data: {} }, "history:query"),
+        ).toMatchObject({ allowed: false, code: "UNAUTHORIZED" });
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TagStore } = require("../tagStore");
+const { Historian } = require("../historian");
+
+describe("Historian", () => {
+    let tempDir;
+    let tagStore;
+    let variables;
+    let historian;
+
+    const T0 = Date.parse("2024-03-10T12:00:00.000Z");
+    const at = (offsetMs) => new Date(T0 + offsetMs).toISOString();
+    const NOW = Date.parse("2024-03-12T06:00:00.000Z"); // Queries and retention are relative to now
+
+    beforeEach(async () => {
+        jest.spyOn(Date, "now").mockReturnValue(NOW);
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "historian-"));
+        tagStore = new TagStore();
+        variables = {
+            level: { name: "level", logHistory: true, historyDeadband: 0.5 },
+            state: { name: "state", logHistory: true },
+            flow: { name: "flow", logHistory: true, historyInterval: 1000 },
+            ignored: { name: "ignored" },
+        };
+        historian = new Historian({
+            historyDir: tempDir,
+            tagStore,
+            retentionDays: 7,
+            flushIntervalMs: 60000,
+            resolveVariable: (deviceId, name) =>
+                deviceId === "plc1" ? variables[name] : undefined,
+        });
+        await historian.start();
+    });
+
+    afterEach(async () => {
+        await historian.stop();
+        Date.now.mockRestore();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("should log changes beyond the deadband and skip unconfigured variables and bad quality", async () => {
+        tagStore.updateTag("plc1", "level", 10, { timestamp: at(0) });
+        tagStore.updateTag("plc1", "level", 10.3, { timestamp: at(1000) }); // within deadband
+        tagStore.updateTag("plc1", "level", 10.6, { timestamp: at(2000) });
+        tagStore.updateTag("plc1", "level", 99, {
+            timestamp: at(3000),
+            quality: "comm-fail",
+        });
+        tagStore.updateTag("plc1", "state", "RUN", { timestamp: at(0) });
+        tagStore.updateTag("plc1", "state", "RUN", { timestamp: at(500) });
+        tagStore.updateTag("plc1", "state", "STOP", { timestamp: at(1000) });
+        tagStore.updateTag("plc1", "ignored", 1, { timestamp: at(0) });
+        tagStore.updateTag("other", "level", 1, { timestamp: at(0) });
+
+        const level = await historian.query({
+            deviceId: "plc1",
+            variableName: "level",
+            from: at(-1000),
+            to: at(10000),
+        });
+        expect(level.points).toEqual([
+            { t: T0, value: 10 },
+            { t: T0 + 2000, value: 10.6 },
+        ]);
+
+        const state = await historian.query({
+            deviceId: "plc1",
+            variableName: "state",
+            from: T0,
+            to: T0 + 10000,
+        });
+        expect(state.points.map((p) => p.value)).toEqual(["RUN", "STOP"]);
+
+        const ignored = await historian.query({
+            deviceId: "plc1",
+            variableName: "ignored",
+            from: T0,
+            to: T0 + 10000,
+        });
+        expect(ignored.points).toEqual([]);
+    });
+
+    test("should sample interval variables periodically even without changes", async () => {
+        tagStore.updateTag("plc1", "flow", 5, { timestamp: at(0) });
+        historian._sampleIntervalVariables(T0);
+        historian._sampleIntervalVariables(T0 + 500); // interval not elapsed
+        historian._sampleIntervalVariables(T0 + 1000);
+        tagStore.updateTag("plc1", "flow", 6, { timestamp: at(1200) }); // not logged on change
+        historian._sampleIntervalVariables(T0 + 2000);
+
+        const flow = await historian.query({
+            deviceId: "plc1",
+            variableName: "flow",
+            from: T0,
+            to: T0 + 5000,
+        });
+        expect(flow.points).toEqual([
+            { t: T0, value: 5 },
+            { t: T0 + 1000, value: 5 },
+            { t: T0 + 2000, value: 6 },
+        ]);
+    });
+
+    test("should downsample into min/max/avg buckets", async () => {
+        [1, 3, 2, 10, 20].forEach((value, i) => {
+            tagStore.updateTag("plc1", "level", value, {
+                timestamp: at(i * 1000),
+            });
+        });
+
+        const result = await historian.query({
+            deviceId: "plc1",
+            variableName: "level",
+            from: T0,
+            to: T0 + 6000,
+            maxPoints: 2,
+        });
+
+        expect(result.bucketMs).toBe(3000);
+        expect(result.points).toEqual([
+            { t: T0, min: 1, max: 3, avg: 2, count: 3 },
+            { t: T0 + 3000, min: 10, max: 20, avg: 15, count: 2 },
+        ]);
+    });
+
+    test("should read samples across day files", async () => {
+        const lateEvening = Date.parse("2024-03-10T23:59:59.000Z");
+        tagStore.updateTag("plc1", "state", "A", {
+            timestamp: new Date(lateEvening).toISOString(),
+        });
+        tagStore.updateTag("plc1", "state", "B", {
+            timestamp: new Date(lateEvening + 2000).toISOString(),
+        });
+        await historian.flush();
+
+        expect(fs.readdirSync(tempDir).sort()).toEqual([
+            "2024-03-10.ndjson",
+            "2024-03-11.ndjson",
+        ]);
+        const result = await historian.query({
+            deviceId: "plc1",
+            variableName: "state",
+            from: "2024-03-10T00:00:00Z",
+            to: "2024-03-12T00:00:00Z",
+        });
+        expect(result.points.map((p) => p.value)).toEqual(["A", "B"]);
+    });
+
+    test("should delete day files older than the retention period", async () => {
+        ["2024-03-01", "2024-03-03", "2024-03-04", "2024-03-10"].forEach(
+            (day) => {
+                fs.writeFileSync(path.join(tempDir, `${day}.ndjson`), "");
+            },
+        );
+
+        const deleted = await historian.applyRetention(
+            Date.parse("2024-03-10T08:00:00Z"),
+        );
+
+        expect(deleted.sort()).toEqual([
+            "2024-03-01.ndjson",
+            "2024-03-03.ndjson",
+        ]);
+        expect(fs.readdirSync(tempDir).sort()).toEqual([
+            "2024-03-04.ndjson",
+            "2024-03-10.ndjson",
+        ]);
+    });
+
+    test("should not read further back than the retention window", async () => {
+        ["2020-01-01", "2024-03-05", "2024-03-06"].forEach((day) => {
+            fs.writeFileSync(
+                path.join(tempDir, `${day}.ndjson`),
+                `${JSON.stringify({ t: Date.parse(day), d: "plc1", v: "level", val: 1 })}\n`,
+            );
+        });
+        const readFile = jest.spyOn(fs.promises, "readFile");
+
+        const result = await historian.query({
+            deviceId: "plc1",
+            variableName: "level",
+            from: 0,
+        });
+        expect(result.from).toBe(Date.parse("2024-03-06T00:00:00Z")); // 7 days up to and including today
+        expect(result.to).toBe(NOW);
+        expect(result.points).toEqual([
+            { t: Date.parse("2024-03-06"), value: 1 },
+        ]);
+        expect(readFile.mock.calls.length).toBeLessThanOrEqual(7);
+
+        readFile.mockClear();
+        const future = await historian.query({
+            deviceId: "plc1",
+            variableName: "level",
+            from: T0,
+            to: Date.parse("9999-12-31"),
+        });
+        expect(future.points).toEqual([]);
+        expect(readFile.mock.calls.length).toBeLessThanOrEqual(3);
+        readFile.mockRestore();
+
+        historian.retentionDays = 0; // Keeps everything: bounded by the oldest file instead
+        expect(
+            (
+                await historian.query({
+                    deviceId: "plc1",
+                    variableName: "level",
+                    from: 0,
+                    to: Date.parse("2020-01-02"),
+                })
+            ).points,
+        ).toEqual([{ t: Date.parse("2020-01-01"), value: 1 }]);
+    });
+
+    test("should take the retention period from HMI_HISTORY_RETENTION_DAYS", () => {
+        process.env.HMI_HISTORY_RETENTION_DAYS = "90";
+        try {
+            expect(
+                new Historian({ historyDir: tempDir, tagStore }).retentionDays,
+            ).toBe(90);
+            expect(
+                new Historian({
+                    historyDir: tempDir,
+                    tagStore,
+                    retentionDays: 5,
+                }).retentionDays,
+            ).toBe(5);
+            process.env.HMI_HISTORY_RETENTION_DAYS = "forever";
+            expect(
+                new Historian({ historyDir: tempDir, tagStore }).retentionDays,
+            ).toBe(30);
+        } finally {
+            delete process.env.HMI_HISTORY_RETENTION_DAYS;
+        }
+    });
+
+    test("should reject invalid queries", async () => {
+        await expect(
+            historian.query({ variableName: "level", from: T0 }),
+        ).rejects.toEqual(
+            expect.objectContaining({ code: "INVALID_HISTORY_QUERY" }),
+        );
+        await expect(
+            historian.query({
+                deviceId: "plc1",
+                variableName: "level",
+                from: "yesterday",
+            }),
+        ).rejects.toEqual(
+            expect.objectContaining({ code: "INVALID_HISTORY_QUERY" }),
+        );
+        await expect(
+            historian.query({
+                deviceId: "plc1",
+                variableName: "level",
+                from: T0 + 1000,
+                to: T0,
+            }),
+        ).rejects.toEqual(
+            expect.objectContaining({ code: "INVALID_HISTORY_QUERY" }),
+        );
+    });
+});
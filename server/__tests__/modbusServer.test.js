@@ -0,0 +1,309 @@
+/**
+ * @jest-environment node
+ */
+// Runs the Modbus server on a free local port and talks to it with a modbus-serial client (no mocks).
+const net = require("net");
+const ModbusRTU = require("modbus-serial");
+const {
+    ModbusServer,
+    normalizeModbusServerConfig,
+} = require("../modbusServer");
+const { TagStore } = require("../tagStore");
+
+// ServerTCP treats port 0 as "use 502", so reserve a free port up front.
+const getFreePort = () =>
+    new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once("error", reject);
+        probe.listen(0, "127.0.0.1", () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+
+describe("normalizeModbusServerConfig", () => {
+    test("should fill in defaults and drop settings that do not apply to the table", () => {
+        const config = normalizeModbusServerConfig({
+            enabled: true,
+            registers: [
+                {
+                    table: "holding-register",
+                    address: 0,
+                    deviceId: "plc1",
+                    variableName: "sp",
+                    dataType: "float32",
+                    writable: true,
+                },
+                {
+                    table: "input-register",
+                    address: 0,
+                    deviceId: "plc1",
+                    variableName: "level",
+                    writable: true,
+                },
+                {
+                    table: "discrete-input",
+                    address: 0,
+                    deviceId: "plc1",
+                    variableName: "run",
+                    dataType: "float32",
+                },
+            ],
+        });
+        expect(config).toMatchObject({
+            enabled: true,
+            host: "0.0.0.0",
+            port: 5020,
+            unitId: 1,
+        });
+        expect(config.registers).toEqual([
+            {
+                table: "holding-register",
+                address: 0,
+                deviceId: "plc1",
+                variableName: "sp",
+                dataType: "float32",
+                byteOrder: "ABCD",
+                writable: true,
+            },
+            {
+                table: "input-register",
+                address: 0,
+                deviceId: "plc1",
+                variableName: "level",
+                dataType: "int16",
+                byteOrder: "ABCD",
+                writable: false,
+            },
+            {
+                table: "discrete-input",
+                address: 0,
+                deviceId: "plc1",
+                variableName: "run",
+                writable: false,
+            },
+        ]);
+        expect(normalizeModbusServerConfig(undefined)).toMatchObject({
+            enabled: false,
+            registers: [],
+        });
+    });
+
+    test("should report every problem with its path", () => {
+        let error;
+        try {
+            normalizeModbusServerConfig({
+                port: 70000,
+                registers: [
+                    {
+                        table: "holding-register",
+                        address: 10,
+                        deviceId: "plc1",
+                        variableName: "a",
+                        dataType: "float32",
+                    },
+                    {
+                        table: "holding-register",
+                        address: 11,
+                        deviceId: "plc1",
+                        variableName: "b",
+                    },
+                    {
+                        table: "memory",
+                        address: 0,
+                        deviceId: "plc1",
+                        variableName: "c",
+                    },
+                    {
+                        table: "coil",
+                        address: -1,
+                        deviceId: "plc1",
+                        variableName: "d",
+                    },
+                    {
+                        table: "input-register",
+                        address: 0,
+                        deviceId: "plc1",
+                        variableName: "e",
+                        dataType: "string",
+                    },
+                ],
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).toBe("INVALID_MODBUS_SERVER_CONFIG");
+        expect(error.errors.map((e) => [e.path, e.code])).toEqual([
+            ["modbusServer.port", "INVALID_PORT"],
+            ["modbusServer.registers[1].address", "MODBUS_ADDRESS_OVERLAP"],
+            ["modbusServer.registers[2].table", "INVALID_MODBUS_TABLE"],
+            ["modbusServer.registers[3].address", "INVALID_MODBUS_ADDRESS"],
+            ["modbusServer.registers[4].dataType", "INVALID_DATA_TYPE"],
+        ]);
+    });
+});
+
+describe("ModbusServer", () => {
+    let port;
+    let tagStore;
+    let server;
+    let writeHandler;
+    let client;
+
+    beforeEach(async () => {
+        jest.spyOn(console, "log").mockImplementation();
+        port = await getFreePort();
+        tagStore = new TagStore();
+        tagStore.updateTag("plc1", "setpoint", 12.5);
+        tagStore.updateTag("plc1", "level", -3);
+        tagStore.updateTag("plc1", "pump", true);
+        tagStore.updateTag("sim", "alarm", "ON");
+        writeHandler = jest.fn(async () => ({ status: "success" }));
+        server = new ModbusServer({ tagStore });
+        server.setWriteHandler(writeHandler);
+        await server.configure({
+            enabled: true,
+            host: "127.0.0.1",
+            port,
+            registers: [
+                {
+                    table: "holding-register",
+                    address: 100,
+                    deviceId: "plc1",
+                    variableName: "setpoint",
+                    dataType: "float32",
+                    writable: true,
+                },
+                {
+                    table: "holding-register",
+                    address: 102,
+                    deviceId: "plc1",
+                    variableName: "level",
+                },
+                {
+                    table: "input-register",
+                    address: 0,
+                    deviceId: "plc1",
+                    variableName: "level",
+                },
+                {
+                    table: "coil",
+                    address: 5,
+                    deviceId: "plc1",
+                    variableName: "pump",
+                    writable: true,
+                },
+                {
+                    table: "discrete-input",
+                    address: 0,
+                    deviceId: "sim",
+                    variableName: "alarm",
+                },
+                {
+                    table: "discrete-input",
+                    address: 1,
+                    deviceId: "sim",
+                    variableName: "missing",
+                },
+            ],
+        });
+        client = new ModbusRTU();
+        await client.connectTCP("127.0.0.1", { port });
+        client.setID(1);
+        client.setTimeout(2000);
+    });
+
+    afterEach(async () => {
+        await new Promise((resolve) => client.close(resolve));
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test("should serve the current tag values", async () => {
+        expect(server.getStatus()).toMatchObject({
+            enabled: true,
+            running: true,
+            port,
+            registerCount: 6,
+            error: null,
+        });
+
+        const holding = await client.readHoldingRegisters(100, 3);
+        expect(Buffer.from(holding.buffer).readFloatBE(0)).toBe(12.5);
+        expect(holding.data[2]).toBe(0xfffd); // int16 -3
+        expect((await client.readInputRegisters(0, 1)).data).toEqual([0xfffd]);
+        expect((await client.readCoils(5, 1)).data[0]).toBe(true);
+        expect(
+            (await client.readDiscreteInputs(0, 2)).data.slice(0, 2),
+        ).toEqual([true, false]);
+    });
+
+    test("should answer unmapped addresses with an exception", async () => {
+        await expect(client.readHoldingRegisters(99, 2)).rejects.toMatchObject({
+            modbusCode: 2,
+        });
+        await expect(client.readCoils(0, 1)).rejects.toMatchObject({
+            modbusCode: 2,
+        });
+    });
+
+    test("should route writes to the write handler and answer once they are done", async () => {
+        const registers = [0, 0];
+        const value = Buffer.alloc(4);
+        value.writeFloatBE(42.25, 0);
+        registers[0] = value.readUInt16BE(0);
+        registers[1] = value.readUInt16BE(2);
+
+        await client.writeRegisters(100, registers);
+        expect(writeHandler).toHaveBeenCalledWith({
+            deviceId: "plc1",
+            variableName: "setpoint",
+            value: 42.25,
+        });
+
+        await client.writeCoil(5, false);
+        expect(writeHandler).toHaveBeenLastCalledWith({
+            deviceId: "plc1",
+            variableName: "pump",
+            value: false,
+        });
+    });
+
+    test("should refuse writes to read-only entries and report failed writes", async () => {
+        await expect(client.writeRegister(102, 7)).rejects.toMatchObject({
+            modbusCode: 2,
+        });
+        expect(writeHandler).not.toHaveBeenCalled();
+
+        writeHandler.mockResolvedValueOnce({
+            status: "error",
+            message: "Device plc1 not connected.",
+        });
+        await expect(client.writeCoil(5, true)).rejects.toMatchObject({
+            modbusCode: 4,
+        });
+    });
+
+    test("should report a port that is in use and keep the previous map on invalid configurations", async () => {
+        jest.spyOn(console, "error").mockImplementation();
+        const other = new ModbusServer({ tagStore });
+        const status = await other.configure({
+            enabled: true,
+            host: "127.0.0.1",
+            port,
+        });
+        expect(status).toMatchObject({
+            running: false,
+            error: expect.stringContaining("EADDRINUSE"),
+        });
+
+        await expect(
+            server.configure({ enabled: true, port: 0 }),
+        ).rejects.toMatchObject({ code: "INVALID_MODBUS_SERVER_CONFIG" });
+        expect(server.getStatus()).toMatchObject({
+            running: true,
+            registerCount: 6,
+        });
+        console.error.mockRestore();
+    });
+});
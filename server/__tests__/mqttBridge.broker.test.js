@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+// Runs the bridge against a real (in-process) broker and reads its messages with a second client.
+const net = require("net");
+const mqtt = require("mqtt");
+const { createBroker } = require("aedes");
+const { MqttBridge } = require("../mqttBridge");
+const { TagStore } = require("../tagStore");
+const {
+    DATA_TYPES,
+    encodePayload,
+    decodePayload,
+} = require("../sparkplugPayload");
+
+describe("MqttBridge with a broker", () => {
+    let broker;
+    let server;
+    let brokerUrl;
+    let tagStore;
+    let bridge;
+    let observer;
+    let messages;
+
+    /** Resolves with the messages received once `count` of them match `topicFilter`. */
+    const waitForMessages = (topicFilter, count) =>
+        new Promise((resolve, reject) => {
+            const timer = setTimeout(
+                () =>
+                    reject(
+                        new Error(
+                            `Timed out waiting for ${count} message(s) on ${topicFilter}`,
+                        ),
+                    ),
+                5000,
+            );
+            const check = () => {
+                const matching = messages.filter((m) =>
+                    topicFilter.test(m.topic),
+                );
+                if (matching.length < count) return;
+                clearTimeout(timer);
+                observer.off("message", check);
+                resolve(matching);
+            };
+            observer.on("message", check);
+            check();
+        });
+
+    beforeAll(async () => {
+        broker = createBroker();
+        server = net.createServer(broker.handle);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        brokerUrl = `mqtt://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await new Promise((resolve) => broker.close(resolve));
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, "log").mockImplementation();
+        tagStore = new TagStore();
+        tagStore.updateTag("plc1", "level", 42.5);
+        tagStore.updateTag("sim", "run", true);
+        bridge = new MqttBridge({ tagStore });
+        messages = [];
+        observer = await mqtt.connectAsync(brokerUrl, {
+            clientId: `observer_${Date.now()}`,
+            reconnectPeriod: 0,
+        });
+        observer.on("message", (topic, payload) =>
+            messages.push({ topic, payload }),
+        );
+    });
+
+    afterEach(async () => {
+        await bridge.stop();
+        await observer.endAsync();
+        console.log.mockRestore();
+    });
+
+    test("should publish every tag as JSON and then each change", async () => {
+        await observer.subscribeAsync("plant/#");
+        await bridge.configure({
+            enabled: true,
+            brokerUrl,
+            topicPrefix: "plant",
+            retain: false,
+        });
+
+        const [level, run] = (
+            await waitForMessages(/^plant\/(plc1|sim)\//, 2)
+        ).sort((a, b) => a.topic.localeCompare(b.topic));
+        expect(level.topic).toBe("plant/plc1/level");
+        expect(JSON.parse(level.payload)).toEqual({
+            value: 42.5,
+            timestamp: expect.any(String),
+            quality: "good",
+        });
+        expect(run.topic).toBe("plant/sim/run");
+        expect(JSON.parse(run.payload)).toMatchObject({ value: true });
+        expect(bridge.getStatus()).toMatchObject({ connected: true });
+
+        tagStore.updateTag("plc1", "level", 43);
+        const changes = await waitForMessages(/^plant\/plc1\/level$/, 2);
+        expect(JSON.parse(changes[1].payload)).toMatchObject({
+            value: 43,
+            quality: "good",
+        });
+    });
+
+    test("should publish Sparkplug B births and publish them again on a rebirth command", async () => {
+        await observer.subscribeAsync("spBv1.0/Plant/#");
+        await bridge.configure({
+            enabled: true,
+            brokerUrl,
+            format: "sparkplug-b",
+            groupId: "Plant",
+            edgeNodeId: "hmi1",
+        });
+
+        const births = (await waitForMessages(/BIRTH/, 3)).map((m) => ({
+            topic: m.topic,
+            ...decodePayload(m.payload),
+        }));
+        expect(births.map((m) => [m.topic, m.seq])).toEqual([
+            ["spBv1.0/Plant/NBIRTH/hmi1", 0],
+            ["spBv1.0/Plant/DBIRTH/hmi1/plc1", 1],
+            ["spBv1.0/Plant/DBIRTH/hmi1/sim", 2],
+        ]);
+        expect(births[1].metrics[0]).toMatchObject({
+            name: "level",
+            datatype: DATA_TYPES.DOUBLE,
+            value: 42.5,
+        });
+
+        const command = encodePayload({
+            metrics: [
+                {
+                    name: "Node Control/Rebirth",
+                    datatype: DATA_TYPES.BOOLEAN,
+                    value: true,
+                },
+            ],
+        });
+        await observer.publishAsync("spBv1.0/Plant/NCMD/hmi1", command);
+        const rebirths = (await waitForMessages(/BIRTH/, 6))
+            .slice(3)
+            .map((m) => ({ topic: m.topic, ...decodePayload(m.payload) }));
+        expect(rebirths.map((m) => [m.topic, m.seq])).toEqual([
+            ["spBv1.0/Plant/NBIRTH/hmi1", 0],
+            ["spBv1.0/Plant/DBIRTH/hmi1/plc1", 1],
+            ["spBv1.0/Plant/DBIRTH/hmi1/sim", 2],
+        ]);
+    });
+});
@@ -0,0 +1,392 @@
+/**
+ * @jest-environment node
+ */
+const mqtt = require("mqtt");
+const {
+    MqttBridge,
+    normalizeMqttBridgeConfig,
+    redactMqttBridgeConfig,
+    restoreMqttBridgePassword,
+} = require("../mqttBridge");
+const { TagStore } = require("../tagStore");
+const {
+    DATA_TYPES,
+    encodePayload,
+    decodePayload,
+} = require("../sparkplugPayload");
+
+// Fake client: records publishes; tests emit connect/close/message themselves.
+jest.mock("mqtt", () => ({
+    connect: jest.fn(() => {
+        const EventEmitter = require("events");
+        const client = new EventEmitter();
+        client.options = {};
+        client.publish = jest.fn(
+            (topic, payload, options, callback) => callback && callback(null),
+        );
+        client.subscribe = jest.fn();
+        client.end = jest.fn(
+            (force, options, callback) => callback && callback(),
+        );
+        return client;
+    }),
+}));
+
+describe("normalizeMqttBridgeConfig", () => {
+    test("should fill in defaults", () => {
+        expect(normalizeMqttBridgeConfig(undefined)).toEqual({
+            enabled: false,
+            brokerUrl: "mqtt://localhost:1883",
+            clientId: "",
+            username: "",
+            password: "",
+            format: "json",
+            topicPrefix: "hmi",
+            groupId: "HMI",
+            edgeNodeId: "hmi-server",
+            qos: 0,
+            retain: true,
+        });
+        expect(
+            normalizeMqttBridgeConfig({
+                enabled: true,
+                topicPrefix: "plant/line1/",
+                qos: "1",
+            }),
+        ).toMatchObject({
+            enabled: true,
+            topicPrefix: "plant/line1",
+            qos: 1,
+        });
+    });
+
+    test("should report every problem with its path", () => {
+        let error;
+        try {
+            normalizeMqttBridgeConfig({
+                brokerUrl: "localhost",
+                format: "xml",
+                topicPrefix: "a/#",
+                edgeNodeId: "a/b",
+                qos: 3,
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).toBe("INVALID_MQTT_BRIDGE_CONFIG");
+        expect(error.errors.map((e) => [e.path, e.code])).toEqual([
+            ["mqttBridge.brokerUrl", "INVALID_BROKER_URL"],
+            ["mqttBridge.format", "INVALID_FORMAT"],
+            ["mqttBridge.topicPrefix", "INVALID_TOPIC"],
+            ["mqttBridge.edgeNodeId", "INVALID_SPARKPLUG_ID"],
+            ["mqttBridge.qos", "INVALID_QOS"],
+        ]);
+    });
+});
+
+describe("redactMqttBridgeConfig / restoreMqttBridgePassword", () => {
+    test("should replace the password with hasPassword", () => {
+        expect(
+            redactMqttBridgeConfig({
+                enabled: true,
+                username: "hmi",
+                password: "secret",
+            }),
+        ).toEqual({ enabled: true, username: "hmi", hasPassword: true });
+        expect(redactMqttBridgeConfig({ password: "" })).toEqual({
+            hasPassword: false,
+        });
+        expect(redactMqttBridgeConfig(undefined)).toEqual({
+            hasPassword: false,
+        });
+    });
+
+    test("should keep the stored password only for an empty one with hasPassword", () => {
+        expect(
+            restoreMqttBridgePassword(
+                { username: "hmi", password: "", hasPassword: true },
+                "secret",
+            ),
+        ).toEqual({ username: "hmi", password: "secret" });
+        expect(
+            restoreMqttBridgePassword({ hasPassword: true }, "secret"),
+        ).toEqual({ password: "secret" });
+        expect(
+            restoreMqttBridgePassword(
+                { password: "new", hasPassword: true },
+                "secret",
+            ),
+        ).toEqual({ password: "new" });
+        expect(
+            restoreMqttBridgePassword({ hasPassword: false }, "secret"),
+        ).toEqual({});
+        expect(restoreMqttBridgePassword(undefined, "secret")).toBeUndefined();
+    });
+});
+
+describe("MqttBridge", () => {
+    let tagStore;
+    let bridge;
+
+    const client = () =>
+        mqtt.connect.mock.results[mqtt.connect.mock.results.length - 1].value;
+    const published = () =>
+        client().publish.mock.calls.map(([topic, payload, options]) => ({
+            topic,
+            payload,
+            options,
+        }));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, "log").mockImplementation();
+        tagStore = new TagStore();
+        tagStore.updateTag("plc1", "level", 42.5);
+        tagStore.updateTag("sim", "run", true);
+        bridge = new MqttBridge({ tagStore });
+    });
+
+    afterEach(async () => {
+        await bridge.stop();
+        console.log.mockRestore();
+    });
+
+    test("should stay disconnected while disabled", async () => {
+        await expect(
+            bridge.configure({ enabled: false }),
+        ).resolves.toMatchObject({ enabled: false, connected: false });
+        expect(mqtt.connect).not.toHaveBeenCalled();
+    });
+
+    test("should never return the password but connect with it", async () => {
+        const changed = jest.fn();
+        bridge.on("config_changed", changed);
+        await bridge.configure({
+            enabled: true,
+            username: "hmi",
+            password: "secret",
+        });
+        expect(mqtt.connect.mock.calls[0][1]).toMatchObject({
+            username: "hmi",
+            password: "secret",
+        });
+        expect(bridge.getConfig()).toMatchObject({
+            username: "hmi",
+            hasPassword: true,
+        });
+        expect(bridge.getConfig()).not.toHaveProperty("password");
+        expect(changed.mock.calls[0][0]).not.toHaveProperty("password");
+
+        await bridge.configure(
+            bridge.restorePassword({ ...bridge.getConfig(), qos: 1 }),
+        );
+        expect(mqtt.connect.mock.calls[1][1]).toMatchObject({
+            password: "secret",
+        });
+    });
+
+    describe("json", () => {
+        beforeEach(async () => {
+            await bridge.configure({
+                enabled: true,
+                brokerUrl: "mqtt://broker:1883",
+                topicPrefix: "plant",
+                qos: 1,
+            });
+        });
+
+        test("should connect with an offline will and publish the status and all tags", () => {
+            const [url, options] = mqtt.connect.mock.calls[0];
+            expect(url).toBe("mqtt://broker:1883");
+            expect(options.will).toMatchObject({
+                topic: "plant/status",
+                qos: 1,
+                retain: true,
+            });
+            expect(JSON.parse(options.will.payload)).toMatchObject({
+                online: false,
+            });
+
+            client().emit("connect");
+            expect(bridge.getStatus()).toMatchObject({
+                connected: true,
+                publishedCount: 3,
+            });
+            const messages = published();
+            expect(messages.map((m) => m.topic)).toEqual([
+                "plant/status",
+                "plant/plc1/level",
+                "plant/sim/run",
+            ]);
+            expect(JSON.parse(messages[0].payload)).toMatchObject({
+                online: true,
+            });
+            expect(JSON.parse(messages[1].payload)).toEqual({
+                value: 42.5,
+                timestamp: expect.any(String),
+                quality: "good",
+            });
+            expect(messages[1].options).toEqual({ qos: 1, retain: true });
+        });
+
+        test("should publish every change and nothing while disconnected", () => {
+            client().emit("connect");
+            tagStore.updateTag("plc1", "level", 43);
+            tagStore.setQuality("plc1", "level", "comm-fail");
+            expect(
+                published()
+                    .slice(3)
+                    .map((m) => [
+                        m.topic,
+                        JSON.parse(m.payload).value,
+                        JSON.parse(m.payload).quality,
+                    ]),
+            ).toEqual([
+                ["plant/plc1/level", 43, "good"],
+                ["plant/plc1/level", 43, "comm-fail"],
+            ]);
+
+            client().emit("close");
+            tagStore.updateTag("plc1", "level", 44);
+            expect(client().publish).toHaveBeenCalledTimes(5);
+            expect(bridge.getStatus().connected).toBe(false);
+        });
+
+        test("should publish the offline status when stopped", async () => {
+            client().emit("connect");
+            const fakeClient = client();
+            await bridge.stop();
+            const last =
+                fakeClient.publish.mock.calls[
+                    fakeClient.publish.mock.calls.length - 1
+                ];
+            expect(last[0]).toBe("plant/status");
+            expect(JSON.parse(last[1])).toMatchObject({ online: false });
+            expect(fakeClient.end).toHaveBeenCalled();
+            tagStore.updateTag("plc1", "level", 1);
+            expect(fakeClient.publish).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe("sparkplug-b", () => {
+        const decoded = () =>
+            published().map((m) => ({
+                topic: m.topic,
+                ...decodePayload(m.payload),
+            }));
+
+        beforeEach(async () => {
+            await bridge.configure({
+                enabled: true,
+                format: "sparkplug-b",
+                groupId: "Plant",
+                edgeNodeId: "hmi1",
+            });
+        });
+
+        test("should use NDEATH as will and publish NBIRTH and a DBIRTH per device", () => {
+            const { will } = mqtt.connect.mock.calls[0][1];
+            expect(will.topic).toBe("spBv1.0/Plant/NDEATH/hmi1");
+            expect(decodePayload(will.payload).metrics).toEqual([
+                expect.objectContaining({ name: "bdSeq", value: 0 }),
+            ]);
+
+            client().emit("connect");
+            expect(client().subscribe).toHaveBeenCalledWith(
+                "spBv1.0/Plant/NCMD/hmi1",
+                { qos: 0 },
+            );
+            const [nbirth, plcBirth, simBirth] = decoded();
+            expect(nbirth).toMatchObject({
+                topic: "spBv1.0/Plant/NBIRTH/hmi1",
+                seq: 0,
+            });
+            expect(nbirth.metrics.map((m) => [m.name, m.value])).toEqual([
+                ["bdSeq", 0],
+                ["Node Control/Rebirth", false],
+            ]);
+            expect(plcBirth).toMatchObject({
+                topic: "spBv1.0/Plant/DBIRTH/hmi1/plc1",
+                seq: 1,
+            });
+            expect(plcBirth.metrics).toEqual([
+                expect.objectContaining({
+                    name: "level",
+                    datatype: DATA_TYPES.DOUBLE,
+                    value: 42.5,
+                    properties: {
+                        Quality: { type: DATA_TYPES.INT32, value: 192 },
+                    },
+                }),
+            ]);
+            expect(simBirth).toMatchObject({
+                topic: "spBv1.0/Plant/DBIRTH/hmi1/sim",
+                seq: 2,
+            });
+            expect(simBirth.metrics[0]).toMatchObject({
+                name: "run",
+                datatype: DATA_TYPES.BOOLEAN,
+                value: true,
+            });
+        });
+
+        test("should publish DDATA, a new DBIRTH for new metrics and DDEATH for removed devices", () => {
+            client().emit("connect");
+            tagStore.updateTag("plc1", "level", 50);
+            tagStore.updateTag("plc1", "mode", "auto");
+            tagStore.removeDevice("sim");
+
+            const [ddata, rebirth, ddeath] = decoded().slice(3);
+            expect(ddata).toMatchObject({
+                topic: "spBv1.0/Plant/DDATA/hmi1/plc1",
+                seq: 3,
+            });
+            expect(ddata.metrics).toEqual([
+                expect.objectContaining({ name: "level", value: 50 }),
+            ]);
+            expect(rebirth.topic).toBe("spBv1.0/Plant/DBIRTH/hmi1/plc1");
+            expect(rebirth.metrics.map((m) => [m.name, m.value])).toEqual([
+                ["level", 50],
+                ["mode", "auto"],
+            ]);
+            expect(ddeath).toMatchObject({
+                topic: "spBv1.0/Plant/DDEATH/hmi1/sim",
+                seq: 5,
+            });
+        });
+
+        test("should publish all births again on a rebirth command", () => {
+            client().emit("connect");
+            client().publish.mockClear();
+            const command = encodePayload({
+                metrics: [
+                    {
+                        name: "Node Control/Rebirth",
+                        datatype: DATA_TYPES.BOOLEAN,
+                        value: true,
+                    },
+                ],
+            });
+            client().emit("message", "spBv1.0/Plant/NCMD/hmi1", command);
+            expect(decoded().map((m) => [m.topic, m.seq])).toEqual([
+                ["spBv1.0/Plant/NBIRTH/hmi1", 0],
+                ["spBv1.0/Plant/DBIRTH/hmi1/plc1", 1],
+                ["spBv1.0/Plant/DBIRTH/hmi1/sim", 2],
+            ]);
+        });
+
+        test("should use a new bdSeq for the next session", () => {
+            client().emit("connect");
+            client().emit("close");
+            expect(
+                decodePayload(client().options.will.payload).metrics[0],
+            ).toMatchObject({ name: "bdSeq", value: 1 });
+            client().publish.mockClear();
+            client().emit("connect");
+            expect(decoded()[0].metrics[0]).toMatchObject({
+                name: "bdSeq",
+                value: 1,
+            });
+        });
+    });
+});
@@ -0,0 +1,410 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("projectHandler", () => {
+    let tempDir;
+    let projectHandler;
+
+    const project = (components, devices = []) => ({
+        projectName: "Plant",
+        lastModified: new Date().toISOString(),
+        hmiLayout: components,
+        deviceConfigs: devices,
+        screens: [{ id: "screen-1", name: "Main" }],
+    });
+    const label = (id, props = {}) => ({
+        id,
+        componentType: "label",
+        ...props,
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "projects-"));
+        process.env.HMI_PROJECTS_DIR = tempDir;
+        jest.resetModules();
+        projectHandler = require("../projectHandler");
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        console.warn.mockRestore();
+        delete process.env.HMI_PROJECTS_DIR;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("every save should create a numbered revision with author and comment", async () => {
+        const first = await projectHandler.saveProjectToFile(
+            "Plant",
+            project([label("c1", { x: 0 })]),
+            { author: "eng1", comment: " Awal " },
+        );
+        const second = await projectHandler.saveProjectToFile(
+            "Plant",
+            project([label("c1", { x: 20 })]),
+            { author: "eng2" },
+        );
+        expect([first.revision, second.revision]).toEqual([1, 2]);
+
+        const revisions = await projectHandler.listProjectRevisions("Plant");
+        expect(revisions).toEqual([
+            expect.objectContaining({
+                revision: 2,
+                author: "eng2",
+                comment: "",
+            }),
+            expect.objectContaining({
+                revision: 1,
+                author: "eng1",
+                comment: "Awal",
+            }),
+        ]);
+        expect(
+            (await projectHandler.loadProjectRevision("Plant", 1)).hmiLayout,
+        ).toEqual([label("c1", { x: 0 })]);
+        expect(
+            (await projectHandler.loadProjectFromFile("Plant")).hmiLayout,
+        ).toEqual([label("c1", { x: 20 })]);
+        expect(await projectHandler.listProjectFiles()).toEqual(["Plant"]);
+        await expect(
+            projectHandler.loadProjectRevision("Plant", 3),
+        ).rejects.toMatchObject({ code: "REVISION_NOT_FOUND" });
+        await expect(
+            projectHandler.listProjectRevisions("Missing"),
+        ).rejects.toMatchObject({ code: "PROJECT_NOT_FOUND" });
+    });
+
+    test("concurrent saves should get distinct revisions", async () => {
+        const results = await Promise.all(
+            [1, 2, 3].map((n) =>
+                projectHandler.saveProjectToFile(
+                    "Plant",
+                    project([{ id: `c${n}` }]),
+                ),
+            ),
+        );
+        expect(results.map((r) => r.revision).sort()).toEqual([1, 2, 3]);
+    });
+
+    test("a project saved before versioning should keep its old content as revision 1", async () => {
+        fs.writeFileSync(
+            path.join(tempDir, "Legacy.json"),
+            JSON.stringify(project([{ id: "old" }])),
+        );
+        await expect(
+            projectHandler.listProjectRevisions("Legacy"),
+        ).resolves.toEqual([]);
+
+        const result = await projectHandler.saveProjectToFile(
+            "Legacy",
+            project([{ id: "new" }]),
+            { author: "eng1" },
+        );
+        expect(result.revision).toBe(2);
+        expect(
+            (await projectHandler.loadProjectRevision("Legacy", 1)).hmiLayout,
+        ).toEqual([{ id: "old" }]);
+    });
+
+    test("loadProjectFromFile should migrate a version 1.0 file with legacy address bindings", async () => {
+        fs.writeFileSync(
+            path.join(tempDir, "Old.json"),
+            JSON.stringify({
+                projectName: "Old",
+                hmiLayout: [
+                    {
+                        id: "lamp1",
+                        componentType: "bit-lamp",
+                        address: "40001",
+                    },
+                ],
+                deviceConfigs: [
+                    {
+                        id: "plc1",
+                        type: "modbus-tcp",
+                        variables: [{ name: "pumpRun", address: "40001" }],
+                    },
+                ],
+            }),
+        );
+
+        const loaded = await projectHandler.loadProjectFromFile("Old");
+        expect(loaded.projectVersion).toBe("2.0");
+        expect(loaded.hmiLayout).toEqual([
+            {
+                id: "lamp1",
+                componentType: "bit-lamp",
+                deviceId: "plc1",
+                variableName: "pumpRun",
+            },
+        ]);
+        expect(loaded.alarmDefinitions).toEqual([]);
+    });
+
+    test("loadProjectFromFile should reject an invalid file with the validation errors", async () => {
+        fs.writeFileSync(
+            path.join(tempDir, "Bad.json"),
+            JSON.stringify({
+                projectVersion: "2.0",
+                hmiLayout: [
+                    { id: "c1", componentType: "gauge" },
+                    { id: "c2", componentType: "bit-lamp", deviceId: "plc9" },
+                ],
+                deviceConfigs: [],
+            }),
+        );
+        fs.writeFileSync(
+            path.join(tempDir, "Future.json"),
+            JSON.stringify({
+                projectVersion: "9.0",
+                hmiLayout: [],
+                deviceConfigs: [],
+            }),
+        );
+
+        const error = await projectHandler
+            .loadProjectFromFile("Bad")
+            .catch((e) => e);
+        expect(error.code).toBe("INVALID_PROJECT");
+        expect(error.errors).toEqual([
+            expect.objectContaining({
+                path: "hmiLayout[0].componentType",
+                code: "UNKNOWN_COMPONENT_TYPE",
+            }),
+            expect.objectContaining({
+                path: "hmiLayout[1].deviceId",
+                code: "UNKNOWN_DEVICE",
+            }),
+        ]);
+        await expect(
+            projectHandler.loadProjectFromFile("Future"),
+        ).rejects.toMatchObject({ code: "UNSUPPORTED_PROJECT_VERSION" });
+        // Riwayat dan rename tetap bisa dipakai untuk memperbaiki project
+        await expect(
+            projectHandler.renameProject("Bad", "Bad 2"),
+        ).resolves.toMatchObject({ newName: "Bad 2" });
+    });
+
+    test("diffProjectRevisions should report added, removed and changed components and devices", async () => {
+        await projectHandler.saveProjectToFile(
+            "Plant",
+            project(
+                [
+                    { id: "c1", componentType: "bit-lamp", x: 0 },
+                    { id: "c2", componentType: "label", x: 0 },
+                ],
+                [
+                    {
+                        id: "plc1",
+                        name: "PLC",
+                        type: "modbus-tcp",
+                        host: "10.0.0.1",
+                    },
+                ],
+            ),
+        );
+        const second = project(
+            [
+                { id: "c1", componentType: "bit-lamp", x: 40 },
+                { id: "c3", componentType: "bit-switch", x: 0 },
+            ],
+            [
+                {
+                    id: "plc1",
+                    name: "PLC",
+                    type: "modbus-tcp",
+                    host: "10.0.0.2",
+                },
+                { id: "mqtt1", name: "Broker", type: "mqtt" },
+            ],
+        );
+        second.screens = [{ id: "screen-1", name: "Overview" }];
+        await projectHandler.saveProjectToFile("Plant", second);
+
+        const diff = await projectHandler.diffProjectRevisions("Plant", 1);
+        expect(diff.from).toBe(1);
+        expect(diff.to).toBe(2);
+        expect(diff.components.added).toEqual([
+            { id: "c3", componentType: "bit-switch", screenId: undefined },
+        ]);
+        expect(diff.components.removed.map((c) => c.id)).toEqual(["c2"]);
+        expect(diff.components.changed).toEqual([
+            expect.objectContaining({
+                id: "c1",
+                changes: [{ key: "x", from: 0, to: 40 }],
+            }),
+        ]);
+        expect(diff.devices.added.map((d) => d.id)).toEqual(["mqtt1"]);
+        expect(diff.devices.changed[0].changes).toEqual([
+            { key: "host", from: "10.0.0.1", to: "10.0.0.2" },
+        ]);
+        expect(diff.otherChanges).toEqual(["screens"]);
+    });
+
+    test("restoreProjectRevision should save the old content as a new revision", async () => {
+        await projectHandler.saveProjectToFile(
+            "Plant",
+            project([label("good")]),
+        );
+        await projectHandler.saveProjectToFile(
+            "Plant",
+            project([label("broken")]),
+        );
+
+        const result = await projectHandler.restoreProjectRevision("Plant", 1, {
+            author: "eng1",
+        });
+        expect(result).toMatchObject({ revision: 3, restoredFrom: 1 });
+        expect(
+            (await projectHandler.loadProjectFromFile("Plant")).hmiLayout,
+        ).toEqual([label("good")]);
+        const [latest] = await projectHandler.listProjectRevisions("Plant");
+        expect(latest).toMatchObject({
+            revision: 3,
+            author: "eng1",
+            restoredFrom: 1,
+            comment: "Rollback ke revisi 1",
+        });
+        expect(
+            (await projectHandler.loadProjectRevision("Plant", 2)).hmiLayout,
+        ).toEqual([label("broken")]);
+    });
+
+    test("listProjectsWithMetadata should report last modified, size and counts", async () => {
+        await projectHandler.saveProjectToFile(
+            "B",
+            project([{ id: "c1" }, { id: "c2" }], [{ id: "plc1" }]),
+        );
+        await projectHandler.saveProjectToFile("A", project([]));
+        fs.writeFileSync(path.join(tempDir, "Broken.json"), "{");
+
+        const projects = await projectHandler.listProjectsWithMetadata();
+        expect(projects.map((p) => p.name)).toEqual(["A", "B", "Broken"]);
+        expect(projects[1]).toEqual({
+            name: "B",
+            lastModified: expect.any(String),
+            size: fs.statSync(path.join(tempDir, "B.json")).size,
+            components: 2,
+            devices: 1,
+        });
+        expect(projects[2]).toMatchObject({
+            lastModified: null,
+            components: 0,
+        });
+    });
+
+    test("deleteProject should remove the project and its revisions", async () => {
+        await projectHandler.saveProjectToFile("Plant", project([]));
+        await expect(
+            projectHandler.deleteProject("Plant"),
+        ).resolves.toMatchObject({ success: true, name: "Plant" });
+        expect(await projectHandler.listProjectFiles()).toEqual([]);
+        expect(fs.existsSync(path.join(tempDir, ".history", "Plant"))).toBe(
+            false,
+        );
+        await expect(
+            projectHandler.deleteProject("Plant"),
+        ).rejects.toMatchObject({ code: "PROJECT_NOT_FOUND" });
+    });
+
+    test("renameProject should move the project with its history and refuse taken names", async () => {
+        await projectHandler.saveProjectToFile("Plant", project([label("c1")]));
+        await projectHandler.saveProjectToFile("Plant", project([label("c2")]));
+        await projectHandler.saveProjectToFile("Other", project([]));
+
+        await expect(
+            projectHandler.renameProject("Plant", "other"),
+        ).rejects.toMatchObject({ code: "PROJECT_EXISTS" });
+        await expect(
+            projectHandler.renameProject("Missing", "New"),
+        ).rejects.toMatchObject({ code: "PROJECT_NOT_FOUND" });
+
+        await expect(
+            projectHandler.renameProject("Plant", "Plant 2"),
+        ).resolves.toMatchObject({ name: "Plant", newName: "Plant 2" });
+        expect(await projectHandler.listProjectFiles()).toEqual(
+            expect.arrayContaining(["Plant 2", "Other"]),
+        );
+        expect(await projectHandler.listProjectFiles()).not.toContain("Plant");
+        expect(
+            (await projectHandler.loadProjectFromFile("Plant 2")).projectName,
+        ).toBe("Plant 2");
+        expect(
+            (await projectHandler.listProjectRevisions("Plant 2")).map(
+                (r) => r.revision,
+            ),
+        ).toEqual([2, 1]);
+    });
+
+    test("renameProject should leave the project and its history unchanged if a step fails", async () => {
+        await projectHandler.saveProjectToFile("Plant", project([label("c1")]));
+        await projectHandler.saveProjectToFile("Plant", project([label("c2")]));
+        const rename = jest.spyOn(fs.promises, "rename");
+        rename.mockImplementationOnce(jest.requireActual("fs").promises.rename); // History
+        rename.mockRejectedValueOnce(
+            Object.assign(new Error("EBUSY: resource busy"), { code: "EBUSY" }),
+        ); // Project file
+
+        await expect(
+            projectHandler.renameProject("Plant", "Plant 2"),
+        ).rejects.toMatchObject({ code: "FILE_SAVE_ERROR" });
+        rename.mockRestore();
+        expect(await projectHandler.listProjectFiles()).toEqual(["Plant"]);
+        expect(
+            (await projectHandler.listProjectRevisions("Plant")).map(
+                (r) => r.revision,
+            ),
+        ).toEqual([2, 1]);
+        expect(fs.existsSync(path.join(tempDir, ".history", "Plant 2"))).toBe(
+            false,
+        );
+
+        const writeFile = jest
+            .spyOn(fs.promises, "writeFile")
+            .mockRejectedValueOnce(
+                new Error("ENOSPC: no space left on device"),
+            );
+        await expect(
+            projectHandler.renameProject("Plant", "Plant 2"),
+        ).rejects.toMatchObject({ code: "FILE_SAVE_ERROR" });
+        writeFile.mockRestore();
+        expect(await projectHandler.listProjectFiles()).toEqual(["Plant"]);
+        expect(
+            (await projectHandler.listProjectRevisions("Plant")).map(
+                (r) => r.revision,
+            ),
+        ).toEqual([2, 1]);
+    });
+
+    test("duplicateProject should copy the latest revision into a new project with its own history", async () => {
+        await projectHandler.saveProjectToFile("Plant", project([label("c1")]));
+        await projectHandler.saveProjectToFile("Plant", project([label("c2")]));
+
+        const result = await projectHandler.duplicateProject(
+            "Plant",
+            "Plant Copy",
+            { author: "eng1" },
+        );
+        expect(result).toMatchObject({ name: "Plant Copy", revision: 1 });
+        const copy = await projectHandler.loadProjectFromFile("Plant Copy");
+        expect(copy.projectName).toBe("Plant Copy");
+        expect(copy.hmiLayout).toEqual([label("c2")]);
+        expect(await projectHandler.listProjectRevisions("Plant Copy")).toEqual(
+            [
+                expect.objectContaining({
+                    revision: 1,
+                    author: "eng1",
+                    comment: "Salinan dari 'Plant'",
+                }),
+            ],
+        );
+        await expect(
+            projectHandler.duplicateProject("Plant", "plant copy"),
+        ).rejects.toMatchObject({ code: "PROJECT_EXISTS" });
+    });
+});
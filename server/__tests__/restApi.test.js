@@ -0,0 +1,508 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const express = require("express");
+const { userStore } = require("../userStore");
+const { createSession } = require("../auth");
+const { tagStore } = require("../tagStore");
+const { auditLog } = require("../auditLog");
+const { getDeviceInstance } = require("../deviceManager");
+const projectHandler = require("../projectHandler");
+const { historian } = require("../historian");
+const {
+    activateProject,
+    getDeviceList,
+    writeTag,
+} = require("../socketHandler");
+const { setupRestApi, OPENAPI_DOCUMENT } = require("../restApi");
+
+jest.mock("../deviceManager", () => ({ getDeviceInstance: jest.fn() }));
+jest.mock("../projectHandler", () => ({
+    listProjectsWithMetadata: jest.fn(),
+    loadProjectFromFile: jest.fn(),
+    saveProjectToFile: jest.fn(),
+}));
+jest.mock("../historian", () => ({ historian: { query: jest.fn() } }));
+jest.mock("../socketHandler", () => ({
+    activateProject: jest.fn(),
+    broadcastRunningProject:
+        jest.requireActual("../socketHandler").broadcastRunningProject,
+    getDeviceList: jest.fn(() => []),
+    getRuntimeStatus: jest.fn(() => ({
+        startupProject: "Plant",
+        fromEnvironment: false,
+        activeProject: "Line1",
+    })),
+    summarizeProject: jest.requireActual("../socketHandler").summarizeProject,
+    redactProjectSecrets:
+        jest.requireActual("../socketHandler").redactProjectSecrets,
+    restoreProjectSecrets:
+        jest.requireActual("../socketHandler").restoreProjectSecrets,
+    writeTag: jest.fn(),
+}));
+
+describe("restApi", () => {
+    let server;
+    let baseUrl;
+    const io = { of: jest.fn(() => io), emit: jest.fn() };
+    const tokens = {};
+
+    const request = (method, path, { role = "operator", body } = {}) =>
+        fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(role ? { authorization: `Bearer ${tokens[role]}` } : {}),
+                ...(body !== undefined
+                    ? { "content-type": "application/json" }
+                    : {}),
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        }).then(async (res) => ({
+            status: res.status,
+            body: await res.json(),
+        }));
+
+    beforeAll(async () => {
+        for (const role of ["viewer", "operator", "engineer"]) {
+            await userStore.saveUser({
+                username: `rest-${role}`,
+                password: "pass",
+                role,
+            });
+            tokens[role] = createSession(`rest-${role}`);
+        }
+        const app = express();
+        setupRestApi(app, io);
+        server = http.createServer(app);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getDeviceList.mockReturnValue([]);
+        getDeviceInstance.mockReturnValue(undefined);
+        jest.spyOn(auditLog, "record");
+    });
+
+    afterEach(() => {
+        auditLog.record.mockRestore();
+    });
+
+    test("should serve the OpenAPI document without a login and require one for data", async () => {
+        const spec = await request("GET", "/api/openapi.json", { role: null });
+        expect(spec.status).toBe(200);
+        expect(spec.body).toEqual(OPENAPI_DOCUMENT);
+        expect(Object.keys(spec.body.paths)).toEqual(
+            expect.arrayContaining([
+                "/api/devices",
+                "/api/tags/{deviceId}/{variableName}",
+                "/api/projects/{name}/load",
+                "/api/history",
+            ]),
+        );
+
+        expect(
+            await request("GET", "/api/devices", { role: null }),
+        ).toMatchObject({ status: 401, body: { code: "UNAUTHORIZED" } });
+    });
+
+    test("should list devices and read tag values", async () => {
+        getDeviceList.mockReturnValue([
+            { id: "plc1", type: "modbus-tcp", connected: true, variables: [] },
+        ]);
+        tagStore.updateTag("plc1", "level", 42.5);
+        tagStore.updateTag("sim", "run", true);
+
+        expect(
+            await request("GET", "/api/devices", { role: "viewer" }),
+        ).toEqual({
+            status: 200,
+            body: [
+                {
+                    id: "plc1",
+                    type: "modbus-tcp",
+                    connected: true,
+                    variables: [],
+                },
+            ],
+        });
+        expect(
+            await request("GET", "/api/devices/unknown", { role: "viewer" }),
+        ).toMatchObject({
+            status: 404,
+            body: {
+                code: "DEVICE_NOT_FOUND",
+                details: { deviceId: "unknown" },
+            },
+        });
+
+        const tags = await request("GET", "/api/tags?deviceId=plc1", {
+            role: "viewer",
+        });
+        expect(tags.body).toEqual([
+            {
+                deviceId: "plc1",
+                variableName: "level",
+                value: 42.5,
+                timestamp: expect.any(String),
+                quality: "good",
+            },
+        ]);
+        expect(
+            (await request("GET", "/api/tags/sim/run", { role: "viewer" }))
+                .body,
+        ).toMatchObject({ deviceId: "sim", value: true });
+        expect(
+            await request("GET", "/api/tags/sim/missing", { role: "viewer" }),
+        ).toMatchObject({ status: 404, body: { code: "TAG_NOT_FOUND" } });
+    });
+
+    test("should write tags through writeTag and map failed writes to error codes", async () => {
+        expect(
+            await request("PUT", "/api/tags/plc1/level", {
+                role: "viewer",
+                body: { value: 1 },
+            }),
+        ).toMatchObject({
+            status: 403,
+            body: { code: "PERMISSION_DENIED" },
+        });
+        expect(
+            (await request("PUT", "/api/tags/plc1/level", { body: {} })).body
+                .code,
+        ).toBe("INVALID_WRITE_REQUEST");
+        expect(
+            (
+                await request("PUT", "/api/tags/plc1/level", {
+                    body: { value: 1 },
+                })
+            ).status,
+        ).toBe(404);
+
+        getDeviceInstance.mockReturnValue({ id: "plc1" });
+        writeTag.mockResolvedValueOnce({ status: "success" });
+        expect(
+            await request("PUT", "/api/tags/plc1/level", {
+                body: { value: 12 },
+            }),
+        ).toEqual({
+            status: 200,
+            body: {
+                status: "success",
+                deviceId: "plc1",
+                variableName: "level",
+                value: 12,
+            },
+        });
+        expect(writeTag).toHaveBeenCalledWith(
+            io,
+            { deviceId: "plc1", variableName: "level", value: 12 },
+            {
+                user: { username: "rest-operator", role: "operator" },
+                source: "rest-api",
+            },
+        );
+
+        writeTag.mockResolvedValueOnce({
+            status: "not_permitted",
+            message: "read-only",
+        });
+        expect(
+            await request("PUT", "/api/tags/plc1/level", {
+                body: { value: 12 },
+            }),
+        ).toEqual({
+            status: 403,
+            body: {
+                operation: "write_to_device",
+                code: "WRITE_NOT_PERMITTED",
+                message: "read-only",
+                details: { deviceId: "plc1", variableName: "level" },
+            },
+        });
+        writeTag.mockResolvedValueOnce({
+            status: "timeout",
+            message: "too slow",
+        });
+        expect(
+            (
+                await request("PUT", "/api/tags/plc1/level", {
+                    body: { value: 12 },
+                })
+            ).status,
+        ).toBe(504);
+    });
+
+    test("should list, read, save and load projects with the error codes of the socket events", async () => {
+        projectHandler.listProjectsWithMetadata.mockResolvedValue([
+            { name: "Line1" },
+            { name: "Plant" },
+        ]);
+        expect(
+            (await request("GET", "/api/projects", { role: "viewer" })).body,
+        ).toEqual([
+            { name: "Line1", startup: false, active: true },
+            { name: "Plant", startup: true, active: false },
+        ]);
+
+        projectHandler.loadProjectFromFile.mockRejectedValueOnce({
+            code: "PROJECT_NOT_FOUND",
+            message: "Project 'X' tidak ditemukan.",
+        });
+        expect(
+            await request("GET", "/api/projects/X", { role: "viewer" }),
+        ).toMatchObject({
+            status: 404,
+            body: { code: "PROJECT_NOT_FOUND", details: { projectName: "X" } },
+        });
+
+        const data = { hmiLayout: [{}], deviceConfigs: [] };
+        expect(
+            (
+                await request("PUT", "/api/projects/Line1", {
+                    role: "operator",
+                    body: { data },
+                })
+            ).status,
+        ).toBe(403);
+        projectHandler.loadProjectFromFile.mockResolvedValueOnce(null);
+        projectHandler.saveProjectToFile.mockResolvedValueOnce({ revision: 4 });
+        expect(
+            await request("PUT", "/api/projects/Line1", {
+                role: "engineer",
+                body: { data, comment: "via API" },
+            }),
+        ).toEqual({
+            status: 200,
+            body: { success: true, name: "Line1", revision: 4 },
+        });
+        expect(projectHandler.saveProjectToFile).toHaveBeenCalledWith(
+            "Line1",
+            data,
+            { author: "rest-engineer", comment: "via API" },
+        );
+        expect(auditLog.record).toHaveBeenCalledWith(
+            expect.objectContaining({
+                action: "project:save",
+                source: "rest-api",
+                projectName: "Line1",
+                newValue: {
+                    revision: 4,
+                    lastModified: null,
+                    components: 1,
+                    devices: 0,
+                },
+            }),
+        );
+
+        // Loading replaces every running device, so it is an engineering change
+        expect(
+            (
+                await request("POST", "/api/projects/Line1/load", {
+                    role: "operator",
+                })
+            ).status,
+        ).toBe(403);
+        expect(activateProject).not.toHaveBeenCalled();
+        activateProject.mockRejectedValueOnce({
+            code: "INVALID_PROJECT",
+            message: "Project tidak valid.",
+            errors: [{ path: "hmiLayout", message: "x" }],
+        });
+        expect(
+            await request("POST", "/api/projects/Line1/load", {
+                role: "engineer",
+            }),
+        ).toMatchObject({
+            status: 400,
+            body: {
+                operation: "project:load",
+                code: "INVALID_PROJECT",
+                details: {
+                    projectName: "Line1",
+                    validationErrors: [{ path: "hmiLayout", message: "x" }],
+                },
+            },
+        });
+
+        activateProject.mockResolvedValueOnce({});
+        expect(
+            await request("POST", "/api/projects/Line1/load", {
+                role: "engineer",
+            }),
+        ).toEqual({ status: 200, body: { name: "Line1", devices: [] } });
+        expect(activateProject).toHaveBeenCalledWith(io, "Line1");
+        // Every client of the namespace gets the running project, as after the project:load event
+        expect(io.of).toHaveBeenCalledWith("/devices");
+        expect(io.emit.mock.calls.map(([event]) => event)).toEqual([
+            "initial_device_list",
+            "initial_tag_values",
+            "alarm:list",
+            "runtime:config",
+        ]);
+        expect(io.emit).toHaveBeenCalledWith(
+            "initial_tag_values",
+            expect.any(Array),
+        );
+        expect(auditLog.record).toHaveBeenLastCalledWith(
+            expect.objectContaining({
+                action: "project:load",
+                source: "rest-api",
+                newValue: "Line1",
+                user: { username: "rest-engineer", role: "engineer" },
+            }),
+        );
+    });
+
+    test("should leave out the MQTT bridge password and keep it when a project is saved unchanged", async () => {
+        const saved = {
+            hmiLayout: [],
+            deviceConfigs: [],
+            mqttBridge: { enabled: true, username: "hmi", password: "secret" },
+        };
+        projectHandler.loadProjectFromFile.mockResolvedValueOnce(saved);
+        const { body } = await request("GET", "/api/projects/Plant", {
+            role: "viewer",
+        });
+        expect(body.data.mqttBridge).toEqual({
+            enabled: true,
+            username: "hmi",
+            hasPassword: true,
+        });
+
+        projectHandler.loadProjectFromFile.mockResolvedValueOnce(saved);
+        projectHandler.saveProjectToFile.mockResolvedValueOnce({ revision: 2 });
+        expect(
+            (
+                await request("PUT", "/api/projects/Plant", {
+                    role: "engineer",
+                    body: { data: body.data },
+                })
+            ).status,
+        ).toBe(200);
+        expect(projectHandler.saveProjectToFile).toHaveBeenCalledWith(
+            "Plant",
+            {
+                hmiLayout: [],
+                deviceConfigs: [],
+                mqttBridge: {
+                    enabled: true,
+                    username: "hmi",
+                    password: "secret",
+                },
+            },
+            expect.any(Object),
+        );
+    });
+
+    test("should query history and answer invalid queries with 400", async () => {
+        historian.query.mockResolvedValueOnce({
+            deviceId: "plc1",
+            variableName: "level",
+            points: [],
+        });
+        expect(
+            (
+                await request(
+                    "GET",
+                    "/api/history?deviceId=plc1&variableName=level&from=0",
+                    { role: "viewer" },
+                )
+            ).body,
+        ).toMatchObject({ points: [] });
+        expect(historian.query).toHaveBeenCalledWith(
+            expect.objectContaining({
+                deviceId: "plc1",
+                variableName: "level",
+                from: "0",
+            }),
+        );
+
+        historian.query.mockRejectedValueOnce({
+            code: "INVALID_HISTORY_QUERY",
+            message: "deviceId dan variableName wajib diisi.",
+        });
+        expect(
+            await request("GET", "/api/history", { role: "viewer" }),
+        ).toMatchObject({
+            status: 400,
+            body: { operation: "history:query", code: "INVALID_HISTORY_QUERY" },
+        });
+    });
+
+    test("should answer unknown routes, unreadable bodies and unexpected errors as JSON without the stack", async () => {
+        const send = (method, path, role, body) =>
+            fetch(`${baseUrl}${path}`, {
+                method,
+                headers: {
+                    authorization: `Bearer ${tokens[role]}`,
+                    "content-type": "application/json",
+                },
+                body,
+            }).then(async (res) => ({
+                status: res.status,
+                type: res.headers.get("content-type"),
+                body: await res.json(),
+            }));
+
+        const notFound = await send("GET", "/api/nope", "viewer");
+        expect(notFound).toMatchObject({
+            status: 404,
+            type: expect.stringContaining("application/json"),
+            body: {
+                operation: "api_request",
+                code: "NOT_FOUND",
+                details: { method: "GET", path: "/api/nope" },
+            },
+        });
+
+        const malformed = await send(
+            "PUT",
+            "/api/tags/plc1/level",
+            "operator",
+            '{"value": ',
+        );
+        expect(malformed).toMatchObject({
+            status: 400,
+            body: { operation: "api_request", code: "INVALID_REQUEST_BODY" },
+        });
+        expect(writeTag).not.toHaveBeenCalled();
+
+        const tooLarge = await send(
+            "PUT",
+            "/api/projects/Plant",
+            "engineer",
+            JSON.stringify({ data: { blob: "x".repeat(1024 * 1024) } }),
+        );
+        expect(tooLarge).toMatchObject({
+            status: 413,
+            body: { operation: "api_request", code: "PAYLOAD_TOO_LARGE" },
+        });
+        expect(projectHandler.saveProjectToFile).not.toHaveBeenCalled();
+
+        jest.spyOn(console, "error").mockImplementation();
+        getDeviceInstance.mockReturnValue({ id: "plc1" });
+        writeTag.mockRejectedValueOnce(new Error("Device crashed"));
+        const failed = await send(
+            "PUT",
+            "/api/tags/plc1/level",
+            "operator",
+            JSON.stringify({ value: 1 }),
+        );
+        expect(failed).toMatchObject({
+            status: 500,
+            body: { operation: "api_request", code: "SERVER_ERROR" },
+        });
+        expect(console.error).toHaveBeenCalled();
+        console.error.mockRestore();
+
+        for (const { body } of [notFound, malformed, tooLarge, failed]) {
+            expect(body).not.toHaveProperty("stack");
+            expect(JSON.stringify(body)).not.toMatch(/\n\s+at |node_modules/);
+        }
+    });
+});
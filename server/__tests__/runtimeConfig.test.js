@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RuntimeConfig } = require("../runtimeConfig");
+
+describe("RuntimeConfig", () => {
+    let tempDir;
+    let runtimeFile;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "runtime-"));
+        runtimeFile = path.join(tempDir, "data", "runtime.json");
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("the startup project should survive a restart", async () => {
+        const config = new RuntimeConfig({
+            runtimeFile,
+            startupProjectOverride: null,
+        });
+        await expect(config.load()).resolves.toEqual({
+            startupProject: null,
+            fromEnvironment: false,
+        });
+        await config.setStartupProject("Plant");
+
+        const restarted = new RuntimeConfig({
+            runtimeFile,
+            startupProjectOverride: null,
+        });
+        await restarted.load();
+        expect(restarted.getStartupProject()).toBe("Plant");
+        await restarted.setStartupProject(null);
+        expect(restarted.getStartupProject()).toBeNull();
+        await expect(restarted.setStartupProject("  ")).rejects.toMatchObject({
+            code: "INVALID_PROJECT_NAME",
+        });
+    });
+
+    test("a startup project from the environment should take precedence and be fixed", async () => {
+        fs.mkdirSync(path.dirname(runtimeFile));
+        fs.writeFileSync(
+            runtimeFile,
+            JSON.stringify({ startupProject: "Plant" }),
+        );
+        const config = new RuntimeConfig({
+            runtimeFile,
+            startupProjectOverride: "Line 2",
+        });
+        await expect(config.load()).resolves.toEqual({
+            startupProject: "Line 2",
+            fromEnvironment: true,
+        });
+        await expect(config.setStartupProject("Plant")).rejects.toMatchObject({
+            code: "STARTUP_PROJECT_FIXED",
+        });
+    });
+
+    test("should not touch the disk before load()", async () => {
+        const config = new RuntimeConfig({
+            runtimeFile,
+            startupProjectOverride: null,
+        });
+        await config.setStartupProject("Plant");
+        expect(config.getStartupProject()).toBe("Plant");
+        expect(fs.existsSync(runtimeFile)).toBe(false);
+    });
+});
@@ -0,0 +1,403 @@
+/**
+ * @jest-environment node
+ */
+jest.mock("../deviceManager", () => ({
+    initializeDevice: jest.fn(),
+    getDeviceInstance: jest.fn(),
+    getAllDeviceInstances: jest.fn(() => []),
+    removeDevice: jest.fn(),
+}));
+jest.mock("../projectHandler", () => ({ loadProjectFromFile: jest.fn() }));
+jest.mock("../tagStore", () => ({
+    TAG_QUALITY: jest.requireActual("../tagStore").TAG_QUALITY,
+    tagStore: {
+        updateTag: jest.fn(() => ({ timestamp: "t1", quality: "good" })),
+        getTag: jest.fn(),
+        getAllTags: jest.fn(() => []),
+        retainDevices: jest.fn(),
+        on: jest.fn(),
+        off: jest.fn(),
+    },
+}));
+jest.mock("../historian", () => ({ historian: {} }));
+jest.mock("../alarmManager", () => ({
+    alarmManager: {
+        on: jest.fn(),
+        setDefinitions: jest.fn(),
+        getDefinitions: jest.fn(() => []),
+        getAlarms: jest.fn(() => []),
+    },
+}));
+
+const {
+    setupSocketHandlers,
+    writeTag,
+    writeToDevice,
+    loadStartupProject,
+} = require("../socketHandler");
+const deviceManager = require("../deviceManager");
+const projectHandler = require("../projectHandler");
+const { alarmManager } = require("../alarmManager");
+const { tagStore } = require("../tagStore");
+const { runtimeConfig } = require("../runtimeConfig");
+const { auditLog } = require("../auditLog");
+
+describe("writeToDevice", () => {
+    const makeDevice = (overrides = {}) => ({
+        id: "plc1",
+        type: "modbus-tcp",
+        connected: true,
+        config: { variables: [{ name: "setpoint" }, { name: "level" }] },
+        writeVariable: jest.fn(() => Promise.resolve()),
+        writeData: jest.fn(() => Promise.resolve()),
+        isVariableWritable: jest.fn((name) => name !== "level"),
+        ...overrides,
+    });
+
+    test("should write a variable given by name or as address and report success", async () => {
+        const device = makeDevice();
+        await expect(
+            writeToDevice(device, { variableName: "setpoint", value: 5 }),
+        ).resolves.toEqual({ status: "success" });
+        await expect(
+            writeToDevice(device, { address: "setpoint", value: 6 }),
+        ).resolves.toEqual({ status: "success" });
+        expect(device.writeVariable).toHaveBeenCalledWith("setpoint", 5);
+        expect(device.writeVariable).toHaveBeenCalledWith("setpoint", 6);
+
+        await writeToDevice(device, { address: 40001, value: 7 });
+        expect(device.writeData).toHaveBeenCalledWith(40001, 7);
+    });
+
+    test("should refuse writes to read-only variables", async () => {
+        const device = makeDevice();
+        const result = await writeToDevice(device, {
+            address: "level",
+            value: 1,
+        });
+        expect(result).toEqual({
+            status: "not_permitted",
+            message: expect.stringContaining("read-only"),
+        });
+        expect(device.writeVariable).not.toHaveBeenCalled();
+    });
+
+    test("should report device errors and disconnected devices", async () => {
+        const device = makeDevice({
+            writeVariable: jest.fn(() =>
+                Promise.reject(new Error("Illegal data address")),
+            ),
+        });
+        await expect(
+            writeToDevice(device, { variableName: "setpoint", value: 1 }),
+        ).resolves.toEqual({
+            status: "error",
+            message: "Write to device plc1 failed: Illegal data address",
+        });
+
+        const syncThrow = makeDevice({
+            writeVariable: jest.fn(() => {
+                throw new Error("out of range");
+            }),
+        });
+        await expect(
+            writeToDevice(syncThrow, { variableName: "setpoint", value: 1 }),
+        ).resolves.toMatchObject({ status: "error" });
+
+        const offline = makeDevice({ connected: false });
+        await expect(
+            writeToDevice(offline, { variableName: "setpoint", value: 1 }),
+        ).resolves.toMatchObject({
+            status: "error",
+            message: expect.stringContaining("not connected"),
+        });
+        expect(offline.writeVariable).not.toHaveBeenCalled();
+    });
+
+    test("should report a timeout when the device does not complete the write in time", async () => {
+        jest.useFakeTimers();
+        const device = makeDevice({
+            writeVariable: jest.fn(() => new Promise(() => {})),
+        });
+        const result = writeToDevice(
+            device,
+            { variableName: "setpoint", value: 1 },
+            1000,
+        );
+        jest.advanceTimersByTime(1000);
+        await expect(result).resolves.toMatchObject({ status: "timeout" });
+        jest.useRealTimers();
+    });
+});
+
+describe("writeTag", () => {
+    const namespace = { emit: jest.fn() };
+    const io = { of: jest.fn(() => namespace) };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test("should store values of internal devices, broadcast them and audit the write with its origin", async () => {
+        deviceManager.getDeviceInstance.mockReturnValue({
+            id: "sim",
+            isInternal: true,
+        });
+        tagStore.getTag.mockReturnValue({ value: 1 });
+
+        await expect(
+            writeTag(
+                io,
+                { deviceId: "sim", variableName: "sp", value: 5 },
+                { source: "modbus-server" },
+            ),
+        ).resolves.toEqual({
+            status: "success",
+        });
+        expect(tagStore.updateTag).toHaveBeenCalledWith("sim", "sp", 5);
+        expect(io.of).toHaveBeenCalledWith("/devices");
+        expect(namespace.emit).toHaveBeenCalledWith("device_variable_update", {
+            deviceId: "sim",
+            variableName: "sp",
+            value: 5,
+            timestamp: "t1",
+            quality: "good",
+        });
+        const { entries } = await auditLog.query({ action: "write_to_device" });
+        expect(entries[0]).toMatchObject({
+            deviceId: "sim",
+            variableName: "sp",
+            oldValue: 1,
+            newValue: 5,
+            user: null,
+            source: "modbus-server",
+        });
+    });
+
+    test("should write other devices through writeToDevice and report unknown devices", async () => {
+        const device = { id: "plc1", connected: false };
+        deviceManager.getDeviceInstance
+            .mockReturnValueOnce(device)
+            .mockReturnValueOnce(undefined);
+        const user = { username: "op1", role: "operator" };
+
+        await expect(
+            writeTag(
+                io,
+                { deviceId: "plc1", variableName: "sp", value: 5 },
+                { user },
+            ),
+        ).resolves.toMatchObject({ status: "error" });
+        await expect(
+            writeTag(
+                io,
+                { deviceId: "gone", variableName: "sp", value: 5 },
+                { user },
+            ),
+        ).resolves.toMatchObject({
+            status: "error",
+            message: expect.stringContaining("not found"),
+        });
+        const { entries } = await auditLog.query({
+            action: "write_to_device",
+            user: "op1",
+        });
+        expect(entries.map((entry) => entry.deviceId).sort()).toEqual([
+            "gone",
+            "plc1",
+        ]);
+    });
+});
+
+describe("loadStartupProject", () => {
+    const io = { of: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+        await runtimeConfig.setStartupProject(null);
+    });
+
+    test("should do nothing without a startup project", async () => {
+        await expect(loadStartupProject(io)).resolves.toBeNull();
+        expect(projectHandler.loadProjectFromFile).not.toHaveBeenCalled();
+    });
+
+    test("should start the devices and alarms of the startup project without a client", async () => {
+        const running = [{ id: "old" }];
+        deviceManager.getAllDeviceInstances.mockReturnValueOnce(running);
+        projectHandler.loadProjectFromFile.mockResolvedValueOnce({
+            deviceConfigs: [
+                { id: "plc1", type: "modbus-tcp" },
+                { id: "plc2", type: "mqtt" },
+            ],
+            alarmDefinitions: [{ id: "a1" }],
+        });
+        await runtimeConfig.setStartupProject("Plant");
+
+        await expect(loadStartupProject(io)).resolves.toBe("Plant");
+        expect(alarmManager.setDefinitions).toHaveBeenCalledWith([
+            { id: "a1" },
+        ]);
+        expect(deviceManager.removeDevice).toHaveBeenCalledWith("old");
+        expect(deviceManager.initializeDevice).toHaveBeenCalledWith(
+            { id: "plc1", type: "modbus-tcp" },
+            io,
+        );
+        expect(deviceManager.initializeDevice).toHaveBeenCalledWith(
+            { id: "plc2", type: "mqtt" },
+            io,
+        );
+        expect(tagStore.retainDevices).toHaveBeenCalledWith(["plc1", "plc2"]);
+        const { entries } = await auditLog.query({ action: "project:load" });
+        expect(entries[0]).toMatchObject({
+            projectName: "Plant",
+            user: null,
+            status: "success",
+        });
+    });
+
+    test("should report a startup project that cannot be loaded and leave the devices alone", async () => {
+        projectHandler.loadProjectFromFile.mockRejectedValueOnce({
+            code: "PROJECT_NOT_FOUND",
+            message: "Project 'Gone' tidak ditemukan.",
+        });
+        await runtimeConfig.setStartupProject("Gone");
+
+        await expect(loadStartupProject(io)).resolves.toBeNull();
+        expect(deviceManager.initializeDevice).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe("socket events", () => {
+    const engineer = { username: "eng1", role: "engineer" };
+    let socket;
+    let handlers;
+
+    /** Runs setupSocketHandlers with a fake server and connects one socket to it. */
+    const connect = () => {
+        const namespace = { emit: jest.fn(), use: jest.fn(), on: jest.fn() };
+        setupSocketHandlers({ of: jest.fn(() => namespace) });
+        const [, onConnection] = namespace.on.mock.calls.find(
+            ([event]) => event === "connection",
+        );
+        handlers = {};
+        socket = {
+            id: "socket-1",
+            data: { user: engineer },
+            emit: jest.fn(),
+            use: jest.fn(),
+            listeners: jest.fn(() => []),
+            on: jest.fn((event, handler) => {
+                handlers[event] = handler;
+            }),
+        };
+        onConnection(socket);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        connect();
+    });
+
+    afterEach(() => {
+        handlers.disconnect(); // Stops the socket's status interval
+    });
+
+    test("should answer a write that fails unexpectedly instead of leaving the client waiting", async () => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        deviceManager.getDeviceInstance.mockImplementationOnce(() => {
+            throw new Error("Device registry unavailable");
+        });
+
+        handlers.write_to_device({
+            requestId: "w1",
+            deviceId: "plc1",
+            variableName: "sp",
+            value: 5,
+        });
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(socket.emit).toHaveBeenCalledWith("write_result", {
+            requestId: "w1",
+            deviceId: "plc1",
+            variableName: "sp",
+            address: undefined,
+            value: 5,
+            ok: false,
+            status: "error",
+            code: "SERVER_ERROR",
+            message: "Device registry unavailable",
+        });
+        expect(socket.emit).toHaveBeenCalledWith("operation_error", {
+            operation: "write_to_device",
+            code: "SERVER_ERROR",
+            message: "Device registry unavailable",
+            details: {
+                requestId: "w1",
+                deviceId: "plc1",
+                variableName: "sp",
+                address: undefined,
+            },
+        });
+        expect(console.error).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+
+    test("should audit a refused Modbus server configuration as sent", async () => {
+        const config = { enabled: true, port: 70000, registers: [] };
+        await handlers["modbus_server:set_config"](config);
+
+        expect(socket.emit).toHaveBeenCalledWith(
+            "operation_error",
+            expect.objectContaining({
+                operation: "modbus_server:set_config",
+                code: "INVALID_MODBUS_SERVER_CONFIG",
+            }),
+        );
+        const { entries } = await auditLog.query({
+            action: "modbus_server:set_config",
+        });
+        expect(entries[0]).toMatchObject({ status: "error", user: "eng1" });
+        expect(entries[0].newValue).toEqual(config);
+    });
+
+    test("should audit a refused MQTT bridge configuration without its password", async () => {
+        await handlers["mqtt_bridge:set_config"]({
+            enabled: true,
+            brokerUrl: "ftp://broker",
+            username: "hmi",
+            password: "secret",
+        });
+
+        expect(socket.emit).toHaveBeenCalledWith(
+            "operation_error",
+            expect.objectContaining({
+                operation: "mqtt_bridge:set_config",
+                code: "INVALID_MQTT_BRIDGE_CONFIG",
+            }),
+        );
+        const { entries } = await auditLog.query({
+            action: "mqtt_bridge:set_config",
+        });
+        expect(entries[0].status).toBe("error");
+        expect(entries[0].newValue).toEqual({
+            enabled: true,
+            brokerUrl: "ftp://broker",
+            username: "hmi",
+            hasPassword: true,
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+const {
+    DATA_TYPES,
+    encodePayload,
+    decodePayload,
+} = require("../sparkplugPayload");
+
+describe("sparkplugPayload", () => {
+    test("should encode the protobuf wire format of the Sparkplug B payload", () => {
+        const payload = encodePayload({
+            timestamp: 1,
+            seq: 2,
+            metrics: [{ name: "a", datatype: DATA_TYPES.BOOLEAN, value: true }],
+        });
+        // timestamp (1), metric (2: name, datatype, boolean_value), seq (3)
+        expect(payload.toString("hex")).toBe(
+            "0801" + "1207" + "0a0161" + "200b" + "7001" + "1802",
+        );
+    });
+
+    test("should round-trip metrics of every value kind", () => {
+        const metrics = [
+            {
+                name: "int",
+                datatype: DATA_TYPES.INT32,
+                value: -5,
+                timestamp: 1700000000000,
+            },
+            { name: "uint64", datatype: DATA_TYPES.UINT64, value: 2 ** 40 },
+            { name: "float", datatype: DATA_TYPES.FLOAT, value: 1.5 },
+            { name: "double", datatype: DATA_TYPES.DOUBLE, value: 0.1 },
+            { name: "bool", datatype: DATA_TYPES.BOOLEAN, value: false },
+            {
+                name: "text",
+                datatype: DATA_TYPES.STRING,
+                value: "Pompa 1 – ON",
+            },
+            { name: "empty", datatype: DATA_TYPES.DOUBLE, value: null },
+            {
+                name: "q",
+                datatype: DATA_TYPES.DOUBLE,
+                value: 3,
+                properties: { Quality: { type: DATA_TYPES.INT32, value: 192 } },
+            },
+        ];
+        const decoded = decodePayload(
+            encodePayload({ timestamp: 1700000000001, seq: 255, metrics }),
+        );
+        expect(decoded.timestamp).toBe(1700000000001);
+        expect(decoded.seq).toBe(255);
+        expect(decoded.metrics).toEqual(metrics);
+    });
+
+    test("should reject truncated data", () => {
+        const payload = encodePayload({
+            metrics: [{ name: "a", datatype: DATA_TYPES.STRING, value: "abc" }],
+        });
+        expect(() =>
+            decodePayload(payload.subarray(0, payload.length - 1)),
+        ).toThrow("Truncated");
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TagStore, TAG_QUALITY } = require("../tagStore");
+
+describe("TagStore", () => {
+    let tempDir;
+    let store;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "tagstore-"));
+        store = new TagStore({
+            snapshotFile: path.join(tempDir, "data", "tags.json"),
+            snapshotDelayMs: 10,
+        });
+    });
+
+    afterEach(() => {
+        store.clear();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("should store values with timestamp and quality and emit tag_updated", () => {
+        const listener = jest.fn();
+        store.on("tag_updated", listener);
+
+        const tag = store.updateTag("dev1", "temp", 21.5, {
+            timestamp: "2024-01-01T00:00:00.000Z",
+        });
+
+        expect(tag).toEqual({
+            deviceId: "dev1",
+            variableName: "temp",
+            value: 21.5,
+            timestamp: "2024-01-01T00:00:00.000Z",
+            quality: "good",
+        });
+        expect(store.getTag("dev1", "temp")).toEqual({
+            value: 21.5,
+            timestamp: "2024-01-01T00:00:00.000Z",
+            quality: "good",
+        });
+        expect(listener).toHaveBeenCalledWith(tag);
+    });
+
+    test("should list all tags and remove devices", () => {
+        store.updateTag("dev1", "a", 1);
+        store.updateTag("dev1", "b", 2);
+        store.updateTag("dev2", "c", 3);
+        expect(
+            store.getAllTags().map((t) => `${t.deviceId}.${t.variableName}`),
+        ).toEqual(["dev1.a", "dev1.b", "dev2.c"]);
+
+        const removed = jest.fn();
+        store.on("device_removed", removed);
+        store.removeDevice("dev1");
+        expect(store.getTag("dev1", "a")).toBeUndefined();
+
+        store.updateTag("dev3", "d", 4);
+        store.retainDevices(["dev3"]);
+        expect(store.getAllTags()).toEqual([
+            expect.objectContaining({
+                deviceId: "dev3",
+                variableName: "d",
+                value: 4,
+            }),
+        ]);
+        expect(removed.mock.calls).toEqual([["dev1"], ["dev2"]]);
+    });
+
+    test("should change quality without touching value or timestamp", () => {
+        store.updateTag("dev1", "a", 5, {
+            timestamp: "2024-01-01T00:00:00.000Z",
+        });
+        const listener = jest.fn();
+        store.on("tag_updated", listener);
+
+        expect(store.setQuality("dev1", "a", TAG_QUALITY.COMM_FAIL)).toEqual({
+            deviceId: "dev1",
+            variableName: "a",
+            value: 5,
+            timestamp: "2024-01-01T00:00:00.000Z",
+            quality: "comm-fail",
+        });
+        expect(store.setQuality("dev1", "a", TAG_QUALITY.COMM_FAIL)).toBeNull(); // unchanged
+        expect(
+            store.setQuality("dev1", "missing", TAG_QUALITY.COMM_FAIL),
+        ).toBeNull();
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not write snapshots before persistence is enabled", async () => {
+        store.updateTag("dev1", "a", 1);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        expect(fs.existsSync(store.snapshotFile)).toBe(false);
+    });
+
+    test("should snapshot to disk after loading and restore stale values from the snapshot", async () => {
+        expect(await store.loadSnapshot()).toBe(0); // No snapshot yet (first start)
+
+        store.updateTag("dev1", "level", 42, {
+            timestamp: "2024-01-01T00:00:00.000Z",
+        });
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(fs.existsSync(store.snapshotFile)).toBe(true);
+
+        const restored = new TagStore({ snapshotFile: store.snapshotFile });
+        expect(await restored.loadSnapshot()).toBe(1);
+        expect(restored.getTag("dev1", "level")).toEqual({
+            value: 42,
+            timestamp: "2024-01-01T00:00:00.000Z",
+            quality: "stale",
+        });
+        restored.clear();
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    UserStore,
+    hasRole,
+    hashPassword,
+    verifyPassword,
+} = require("../userStore");
+
+describe("UserStore", () => {
+    let tempDir;
+    let usersFile;
+    let store;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "userstore-"));
+        usersFile = path.join(tempDir, "data", "users.json");
+        store = new UserStore({ usersFile });
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+        delete process.env.HMI_ADMIN_PASSWORD;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test("hasRole should compare roles by privilege", () => {
+        expect(hasRole("admin", "viewer")).toBe(true);
+        expect(hasRole("operator", "operator")).toBe(true);
+        expect(hasRole("operator", "engineer")).toBe(false);
+        expect(hasRole("guest", "viewer")).toBe(false);
+        expect(hasRole(undefined, "viewer")).toBe(false);
+    });
+
+    test("hashPassword should salt the hash and verifyPassword should check it", async () => {
+        const first = await hashPassword("secret");
+        const second = await hashPassword("secret");
+        expect(first).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+        expect(first).not.toBe(second);
+        await expect(verifyPassword("secret", first)).resolves.toBe(true);
+        await expect(verifyPassword("wrong", first)).resolves.toBe(false);
+        await expect(verifyPassword("secret", "plain-text")).resolves.toBe(
+            false,
+        );
+    });
+
+    test("load should create the initial admin and store only password hashes", async () => {
+        process.env.HMI_ADMIN_PASSWORD = "start123";
+        await expect(store.load()).resolves.toBe(1);
+        expect(store.listUsers()).toEqual([
+            { username: "admin", role: "admin" },
+        ]);
+        await expect(store.authenticate("admin", "start123")).resolves.toEqual({
+            username: "admin",
+            role: "admin",
+        });
+
+        await store.saveUser({
+            username: "op1",
+            password: "op-pass",
+            role: "operator",
+        });
+        const content = fs.readFileSync(usersFile, "utf8");
+        expect(content).not.toContain("op-pass");
+        expect(content).not.toContain("start123");
+
+        const reloaded = new UserStore({ usersFile });
+        await expect(reloaded.load()).resolves.toBe(2);
+        await expect(reloaded.authenticate("op1", "op-pass")).resolves.toEqual({
+            username: "op1",
+            role: "operator",
+        });
+        await expect(reloaded.authenticate("op1", "wrong")).resolves.toBeNull();
+        await expect(
+            reloaded.authenticate("nobody", "op-pass"),
+        ).resolves.toBeNull();
+    });
+
+    test("saveUser should validate users and keep the password when none is given", async () => {
+        await expect(
+            store.saveUser({
+                username: "bad name",
+                password: "pass",
+                role: "viewer",
+            }),
+        ).rejects.toMatchObject({ code: "INVALID_USER" });
+        await expect(
+            store.saveUser({ username: "v1", password: "pass", role: "guest" }),
+        ).rejects.toMatchObject({ code: "INVALID_USER" });
+        await expect(
+            store.saveUser({ username: "v1", role: "viewer" }),
+        ).rejects.toMatchObject({ code: "INVALID_USER" });
+        await expect(
+            store.saveUser({ username: "v1", password: "abc", role: "viewer" }),
+        ).rejects.toMatchObject({ code: "INVALID_USER" });
+
+        await store.saveUser({
+            username: "v1",
+            password: "pass",
+            role: "viewer",
+        });
+        await store.saveUser({ username: "v1", role: "engineer" });
+        await expect(store.authenticate("v1", "pass")).resolves.toEqual({
+            username: "v1",
+            role: "engineer",
+        });
+        expect(fs.existsSync(usersFile)).toBe(false); // Not loaded: nothing is written
+    });
+
+    test("should keep at least one admin", async () => {
+        await store.saveUser({
+            username: "root",
+            password: "pass",
+            role: "admin",
+        });
+        await expect(
+            store.saveUser({ username: "root", role: "operator" }),
+        ).rejects.toMatchObject({ code: "LAST_ADMIN" });
+        await expect(store.deleteUser("root")).rejects.toMatchObject({
+            code: "LAST_ADMIN",
+        });
+
+        await store.saveUser({
+            username: "root2",
+            password: "pass",
+            role: "admin",
+        });
+        await expect(store.deleteUser("root")).resolves.toBe(true);
+        await expect(store.deleteUser("root")).resolves.toBe(false);
+        expect(store.listUsers()).toEqual([
+            { username: "root2", role: "admin" },
+        ]);
+    });
+});
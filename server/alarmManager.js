@@ -0,0 +1,614 @@
+/**
+ * @file Alarm engine: evaluates alarm definitions against live values from the tag store and
+ * tracks every alarm through its states.
+ *
+ * An alarm definition watches one variable (`deviceId` + `variableName`):
+ * - `type: "analog"` with any of the limits `hihi`, `hi`, `lo`, `lolo`. Each configured limit is
+ *   a separate alarm (condition `HIHI`, `HI`, `LO` or `LOLO`); a high limit trips at
+ *   `value >= limit`, a low limit at `value <= limit`.
+ * - `type: "discrete"` with a `triggerValue`: alarm while the value equals it (condition `STATE`).
+ * - `deadband`: an analog alarm only clears once the value is this far back inside its limit.
+ * - `onDelayMs` / `offDelayMs`: the condition must hold (or be gone) this long before the alarm
+ *   becomes active (or clears).
+ * - `priority` (see {@link ALARM_PRIORITY}) and an optional operator `message`.
+ *
+ * Alarm states (see {@link ALARM_STATE}): an alarm becomes `active-unacked`, is acknowledged to
+ * `active-acked`, and returns to `normal` once it is both cleared and acknowledged; an alarm that
+ * clears before acknowledgement stays `cleared-unacked` until it is acknowledged. Shelving hides
+ * an alarm from operators (optionally for a limited time) without stopping its evaluation.
+ *
+ * Only values of `good` quality are evaluated; a value that goes bad keeps its alarms as they were.
+ * The engine is an EventEmitter: `alarm_changed` (alarm), `alarm_removed` (alarmId) and
+ * `definitions_changed` (definitions).
+ */
+
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const { tagStore: sharedTagStore, TAG_QUALITY } = require("./tagStore");
+
+/**
+ * States of an alarm.
+ * @enum {string}
+ */
+const ALARM_STATE = Object.freeze({
+    NORMAL: "normal",
+    ACTIVE_UNACKED: "active-unacked",
+    ACTIVE_ACKED: "active-acked",
+    CLEARED_UNACKED: "cleared-unacked",
+});
+
+/**
+ * Alarm priorities, most urgent first.
+ * @enum {string}
+ */
+const ALARM_PRIORITY = Object.freeze({
+    CRITICAL: "critical",
+    HIGH: "high",
+    MEDIUM: "medium",
+    LOW: "low",
+});
+
+const PRIORITY_ORDER = Object.values(ALARM_PRIORITY);
+
+/** Analog limits, in the order their alarms are listed. */
+const ANALOG_LIMITS = [
+    { condition: "HIHI", key: "hihi", high: true },
+    { condition: "HI", key: "hi", high: true },
+    { condition: "LO", key: "lo", high: false },
+    { condition: "LOLO", key: "lolo", high: false },
+];
+
+/**
+ * Parses an optional number from a definition field.
+ * @param {*} value - Field value.
+ * @returns {number|null}
+ */
+function toOptionalNumber(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normalizes a discrete value so booleans, "ON"/"OFF" strings and numbers compare equal
+ * (`true`, `"true"`, `"ON"` and `1` all become `"1"`).
+ * @param {*} value - Variable or trigger value.
+ * @returns {string}
+ */
+function normalizeDiscreteValue(value) {
+    if (
+        value === true ||
+        String(value).toLowerCase() === "true" ||
+        String(value).toUpperCase() === "ON"
+    )
+        return "1";
+    if (
+        value === false ||
+        String(value).toLowerCase() === "false" ||
+        String(value).toUpperCase() === "OFF"
+    )
+        return "0";
+    const number = Number(value);
+    return value !== "" && value !== null && Number.isFinite(number)
+        ? String(number)
+        : String(value);
+}
+
+/**
+ * Validates a definition and fills in defaults.
+ * @param {object} definition - Definition as received from a client or project file.
+ * @returns {object} The normalized definition.
+ * @throws {{code: string, message: string}} If the definition is invalid.
+ */
+function normalizeDefinition(definition) {
+    const invalid = (message) => ({
+        code: "INVALID_ALARM_DEFINITION",
+        message,
+    });
+    if (!definition || typeof definition !== "object") {
+        throw invalid("Definisi alarm harus berupa objek.");
+    }
+    if (!definition.deviceId || !definition.variableName) {
+        throw invalid("Definisi alarm membutuhkan deviceId dan variableName.");
+    }
+    const normalized = {
+        id: definition.id ? String(definition.id) : crypto.randomUUID(),
+        deviceId: definition.deviceId,
+        variableName: definition.variableName,
+        type: definition.type || "analog",
+        priority: definition.priority || ALARM_PRIORITY.MEDIUM,
+        message: definition.message || "",
+        deadband: toOptionalNumber(definition.deadband) ?? 0,
+        onDelayMs: toOptionalNumber(definition.onDelayMs) ?? 0,
+        offDelayMs: toOptionalNumber(definition.offDelayMs) ?? 0,
+    };
+    const where = `${normalized.deviceId}.${normalized.variableName}`;
+    if (!PRIORITY_ORDER.includes(normalized.priority)) {
+        throw invalid(
+            `Prioritas alarm '${normalized.priority}' untuk ${where} tidak dikenal.`,
+        );
+    }
+    if (
+        normalized.deadband < 0 ||
+        normalized.onDelayMs < 0 ||
+        normalized.offDelayMs < 0
+    ) {
+        throw invalid(
+            `Deadband dan delay alarm untuk ${where} tidak boleh negatif.`,
+        );
+    }
+    if (normalized.type === "analog") {
+        ANALOG_LIMITS.forEach(({ key }) => {
+            const limit = toOptionalNumber(definition[key]);
+            if (limit !== null) normalized[key] = limit;
+        });
+        if (!ANALOG_LIMITS.some(({ key }) => normalized[key] !== undefined)) {
+            throw invalid(
+                `Alarm analog untuk ${where} membutuhkan minimal satu batas (HiHi/Hi/Lo/LoLo).`,
+            );
+        }
+    } else if (normalized.type === "discrete") {
+        if (
+            definition.triggerValue === undefined ||
+            definition.triggerValue === null ||
+            definition.triggerValue === ""
+        ) {
+            throw invalid(
+                `Alarm discrete untuk ${where} membutuhkan triggerValue.`,
+            );
+        }
+        normalized.triggerValue = definition.triggerValue;
+    } else {
+        throw invalid(
+            `Tipe alarm '${normalized.type}' untuk ${where} tidak dikenal.`,
+        );
+    }
+    return normalized;
+}
+
+/**
+ * Evaluates alarm definitions and keeps the state of every alarm.
+ * @class AlarmManager
+ * @extends EventEmitter
+ */
+class AlarmManager extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {import('./tagStore').TagStore} [options.tagStore] - Tag store to evaluate values from.
+     */
+    constructor(options = {}) {
+        super();
+        this.tagStore = options.tagStore || sharedTagStore;
+        /** @type {Array<object>} Normalized definitions, in the order they were given. */
+        this._definitions = [];
+        /**
+         * Alarm records by alarm ID (`<definitionId>:<condition>`).
+         * @type {Map<string, {alarm: object, definition: object, limit: object|null, delayTimer: ?NodeJS.Timeout, shelveTimer: ?NodeJS.Timeout}>}
+         */
+        this._records = new Map();
+        this._started = false;
+        this._onTagUpdated = (tag) => this.evaluate(tag);
+    }
+
+    /**
+     * Starts evaluating values reported to the tag store.
+     */
+    start() {
+        if (this._started) return;
+        this._started = true;
+        this.tagStore.on("tag_updated", this._onTagUpdated);
+    }
+
+    /**
+     * Stops evaluating and cancels pending delay and shelve timers.
+     */
+    stop() {
+        this.tagStore.off("tag_updated", this._onTagUpdated);
+        this._started = false;
+        this._records.forEach((record) => this._clearTimers(record));
+    }
+
+    /**
+     * Returns copies of the current definitions (as saved in the project file).
+     * @returns {Array<object>}
+     */
+    getDefinitions() {
+        return this._definitions.map((definition) => ({ ...definition }));
+    }
+
+    /**
+     * Replaces all definitions. Alarms of definitions that still exist keep their state; alarms
+     * of removed definitions (or removed limits) are dropped. The new definitions are evaluated
+     * against the current values in the tag store right away.
+     * @param {Array<object>} definitions - The new definitions.
+     * @returns {Array<object>} The normalized definitions.
+     * @throws {{code: string, message: string}} If any definition is invalid; nothing is changed then.
+     */
+    setDefinitions(definitions) {
+        if (!Array.isArray(definitions)) {
+            throw {
+                code: "INVALID_ALARM_DEFINITION",
+                message: "Definisi alarm harus berupa array.",
+            };
+        }
+        const normalized = definitions.map(normalizeDefinition);
+        const ids = new Set();
+        normalized.forEach((definition) => {
+            if (ids.has(definition.id)) {
+                throw {
+                    code: "INVALID_ALARM_DEFINITION",
+                    message: `ID definisi alarm '${definition.id}' ganda.`,
+                };
+            }
+            ids.add(definition.id);
+        });
+
+        const previous = this._records;
+        this._records = new Map();
+        this._definitions = normalized;
+        normalized.forEach((definition) => {
+            this._conditionsOf(definition).forEach((limit) => {
+                const alarmId = `${definition.id}:${limit ? limit.condition : "STATE"}`;
+                const existing = previous.get(alarmId);
+                if (existing) {
+                    previous.delete(alarmId);
+                    existing.definition = definition;
+                    existing.limit = limit;
+                    Object.assign(
+                        existing.alarm,
+                        this._describe(definition, limit),
+                    );
+                    this._records.set(alarmId, existing);
+                } else {
+                    this._records.set(alarmId, {
+                        alarm: {
+                            id: alarmId,
+                            ...this._describe(definition, limit),
+                            state: ALARM_STATE.NORMAL,
+                            value: null,
+                            activeAt: null,
+                            clearedAt: null,
+                            ackedAt: null,
+                            ackedBy: null,
+                            shelved: false,
+                            shelvedUntil: null,
+                            shelvedReason: "",
+                            shelvedBy: null,
+                        },
+                        definition,
+                        limit,
+                        delayTimer: null,
+                        shelveTimer: null,
+                    });
+                }
+            });
+        });
+        previous.forEach((record, alarmId) => {
+            this._clearTimers(record);
+            this.emit("alarm_removed", alarmId);
+        });
+        this.emit("definitions_changed", this.getDefinitions());
+
+        normalized.forEach((definition) => {
+            const tag = this.tagStore.getTag(
+                definition.deviceId,
+                definition.variableName,
+            );
+            if (tag)
+                this.evaluate({
+                    deviceId: definition.deviceId,
+                    variableName: definition.variableName,
+                    ...tag,
+                });
+        });
+        return this.getDefinitions();
+    }
+
+    /**
+     * Returns alarms, most urgent first (priority, then most recently activated).
+     * @param {object} [options={}]
+     * @param {boolean} [options.includeNormal=false] - Also return alarms in the `normal` state.
+     * @returns {Array<object>} Copies of the alarms.
+     */
+    getAlarms({ includeNormal = false } = {}) {
+        return Array.from(this._records.values())
+            .map((record) => ({ ...record.alarm }))
+            .filter(
+                (alarm) => includeNormal || alarm.state !== ALARM_STATE.NORMAL,
+            )
+            .sort(
+                (a, b) =>
+                    PRIORITY_ORDER.indexOf(a.priority) -
+                        PRIORITY_ORDER.indexOf(b.priority) ||
+                    String(b.activeAt || "").localeCompare(
+                        String(a.activeAt || ""),
+                    ),
+            );
+    }
+
+    /**
+     * Evaluates a tag update against the definitions of its variable.
+     * @param {{deviceId: string, variableName: string, value: *, quality?: string}} tag
+     */
+    evaluate(tag) {
+        if (!tag || (tag.quality && tag.quality !== TAG_QUALITY.GOOD)) return;
+        this._records.forEach((record) => {
+            const { definition } = record;
+            if (
+                definition.deviceId !== tag.deviceId ||
+                definition.variableName !== tag.variableName
+            )
+                return;
+            record.alarm.value = tag.value;
+            const isActive = this._isActive(record.alarm);
+            const conditionTrue = this._testCondition(
+                record,
+                tag.value,
+                isActive,
+            );
+            if (conditionTrue === null || conditionTrue === isActive) {
+                // Condition unchanged (or value not evaluable): a pending delay no longer applies
+                if (record.delayTimer) {
+                    clearTimeout(record.delayTimer);
+                    record.delayTimer = null;
+                }
+                return;
+            }
+            const delay = conditionTrue
+                ? definition.onDelayMs
+                : definition.offDelayMs;
+            if (!delay) {
+                this._transition(record, conditionTrue);
+            } else if (!record.delayTimer) {
+                record.delayTimer = setTimeout(() => {
+                    record.delayTimer = null;
+                    this._transition(record, conditionTrue);
+                }, delay);
+                record.delayTimer.unref?.();
+            }
+        });
+    }
+
+    /**
+     * Acknowledges an alarm: `active-unacked` becomes `active-acked`, `cleared-unacked` becomes
+     * `normal`. Acknowledging an alarm that needs no acknowledgement does nothing.
+     * @param {string} alarmId - ID of the alarm.
+     * @param {string} [user] - Who acknowledged it.
+     * @returns {object} The alarm.
+     * @throws {{code: string, message: string}} If the alarm does not exist.
+     */
+    acknowledge(alarmId, user) {
+        const record = this._getRecord(alarmId);
+        const { alarm } = record;
+        if (
+            alarm.state !== ALARM_STATE.ACTIVE_UNACKED &&
+            alarm.state !== ALARM_STATE.CLEARED_UNACKED
+        ) {
+            return { ...alarm };
+        }
+        alarm.state =
+            alarm.state === ALARM_STATE.ACTIVE_UNACKED
+                ? ALARM_STATE.ACTIVE_ACKED
+                : ALARM_STATE.NORMAL;
+        alarm.ackedAt = new Date().toISOString();
+        alarm.ackedBy = user || null;
+        return this._emitChanged(alarm);
+    }
+
+    /**
+     * Shelves an alarm: it keeps being evaluated but is hidden from operators.
+     * @param {string} alarmId - ID of the alarm.
+     * @param {object} [options={}]
+     * @param {number} [options.durationMs] - Unshelve automatically after this time; shelved until
+     *   unshelved if omitted.
+     * @param {string} [options.reason] - Why the alarm was shelved.
+     * @param {string} [options.user] - Who shelved it.
+     * @returns {object} The alarm.
+     * @throws {{code: string, message: string}} If the alarm does not exist or the duration is invalid.
+     */
+    shelve(alarmId, { durationMs, reason, user } = {}) {
+        const record = this._getRecord(alarmId);
+        const duration = toOptionalNumber(durationMs);
+        if (
+            durationMs !== undefined &&
+            durationMs !== null &&
+            durationMs !== "" &&
+            !(duration > 0)
+        ) {
+            throw {
+                code: "INVALID_SHELVE_DURATION",
+                message: "Durasi shelve harus lebih dari 0 ms.",
+            };
+        }
+        if (record.shelveTimer) clearTimeout(record.shelveTimer);
+        record.shelveTimer = null;
+        Object.assign(record.alarm, {
+            shelved: true,
+            shelvedUntil: duration
+                ? new Date(Date.now() + duration).toISOString()
+                : null,
+            shelvedReason: reason || "",
+            shelvedBy: user || null,
+        });
+        if (duration) {
+            record.shelveTimer = setTimeout(() => {
+                record.shelveTimer = null;
+                this.unshelve(alarmId);
+            }, duration);
+            record.shelveTimer.unref?.();
+        }
+        return this._emitChanged(record.alarm);
+    }
+
+    /**
+     * Returns a shelved alarm to operators.
+     * @param {string} alarmId - ID of the alarm.
+     * @returns {object} The alarm.
+     * @throws {{code: string, message: string}} If the alarm does not exist.
+     */
+    unshelve(alarmId) {
+        const record = this._getRecord(alarmId);
+        if (record.shelveTimer) clearTimeout(record.shelveTimer);
+        record.shelveTimer = null;
+        Object.assign(record.alarm, {
+            shelved: false,
+            shelvedUntil: null,
+            shelvedReason: "",
+            shelvedBy: null,
+        });
+        return this._emitChanged(record.alarm);
+    }
+
+    /**
+     * Returns the alarm conditions of a definition: the configured limits of an analog
+     * definition, or `[null]` for the single state condition of a discrete one.
+     * @param {object} definition - Normalized definition.
+     * @returns {Array<object|null>}
+     * @private
+     */
+    _conditionsOf(definition) {
+        if (definition.type === "discrete") return [null];
+        return ANALOG_LIMITS.filter(({ key }) => definition[key] !== undefined);
+    }
+
+    /**
+     * Returns the descriptive alarm fields derived from a definition.
+     * @param {object} definition - Normalized definition.
+     * @param {object|null} limit - The analog limit, or null for a discrete alarm.
+     * @returns {object}
+     * @private
+     */
+    _describe(definition, limit) {
+        return {
+            definitionId: definition.id,
+            deviceId: definition.deviceId,
+            variableName: definition.variableName,
+            condition: limit ? limit.condition : "STATE",
+            limit: limit ? definition[limit.key] : definition.triggerValue,
+            priority: definition.priority,
+            message: definition.message,
+        };
+    }
+
+    /**
+     * Tests whether the alarm condition holds for a value, applying the deadband to active
+     * analog alarms.
+     * @param {object} record - Alarm record.
+     * @param {*} value - Current value.
+     * @param {boolean} isActive - Whether the alarm is currently active.
+     * @returns {boolean|null} Whether the condition holds, or null if the value cannot be evaluated.
+     * @private
+     */
+    _testCondition(record, value, isActive) {
+        const { definition, limit } = record;
+        if (!limit) {
+            return (
+                normalizeDiscreteValue(value) ===
+                normalizeDiscreteValue(definition.triggerValue)
+            );
+        }
+        const number =
+            typeof value === "boolean"
+                ? Number(value)
+                : toOptionalNumber(value);
+        if (number === null) return null;
+        const threshold = definition[limit.key];
+        const deadband = isActive ? definition.deadband : 0;
+        return limit.high
+            ? number >= threshold - deadband
+            : number <= threshold + deadband;
+    }
+
+    /**
+     * Moves an alarm into (or out of) its active states.
+     * @param {object} record - Alarm record.
+     * @param {boolean} toActive - Whether the condition became true.
+     * @private
+     */
+    _transition(record, toActive) {
+        const { alarm } = record;
+        const now = new Date().toISOString();
+        if (toActive) {
+            if (this._isActive(alarm)) return;
+            Object.assign(alarm, {
+                state: ALARM_STATE.ACTIVE_UNACKED,
+                activeAt: now,
+                clearedAt: null,
+                ackedAt: null,
+                ackedBy: null,
+                triggerValue: alarm.value,
+            });
+        } else {
+            if (!this._isActive(alarm)) return;
+            alarm.state =
+                alarm.state === ALARM_STATE.ACTIVE_ACKED
+                    ? ALARM_STATE.NORMAL
+                    : ALARM_STATE.CLEARED_UNACKED;
+            alarm.clearedAt = now;
+        }
+        this._emitChanged(alarm);
+    }
+
+    /**
+     * @param {object} alarm
+     * @returns {boolean} Whether the alarm is in one of the active states.
+     * @private
+     */
+    _isActive(alarm) {
+        return (
+            alarm.state === ALARM_STATE.ACTIVE_UNACKED ||
+            alarm.state === ALARM_STATE.ACTIVE_ACKED
+        );
+    }
+
+    /**
+     * @param {string} alarmId - ID of the alarm.
+     * @returns {object} The alarm record.
+     * @throws {{code: string, message: string}} If the alarm does not exist.
+     * @private
+     */
+    _getRecord(alarmId) {
+        const record = this._records.get(alarmId);
+        if (!record) {
+            throw {
+                code: "ALARM_NOT_FOUND",
+                message: `Alarm '${alarmId}' tidak ditemukan.`,
+            };
+        }
+        return record;
+    }
+
+    /**
+     * Emits `alarm_changed` with a copy of the alarm.
+     * @param {object} alarm
+     * @returns {object} The emitted copy.
+     * @private
+     */
+    _emitChanged(alarm) {
+        const copy = { ...alarm };
+        this.emit("alarm_changed", copy);
+        return copy;
+    }
+
+    /**
+     * Cancels the delay and shelve timers of a record.
+     * @param {object} record - Alarm record.
+     * @private
+     */
+    _clearTimers(record) {
+        clearTimeout(record.delayTimer);
+        clearTimeout(record.shelveTimer);
+        record.delayTimer = null;
+        record.shelveTimer = null;
+    }
+}
+
+/** Shared instance used by the socket handlers and the server startup. */
+const alarmManager = new AlarmManager();
+
+module.exports = {
+    alarmManager,
+    AlarmManager,
+    ALARM_STATE,
+    ALARM_PRIORITY,
+};
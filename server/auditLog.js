@@ -0,0 +1,319 @@
+/**
+ * @file Audit trail: an append-only log of who changed what on the server (device writes,
+ * device configuration changes, project operations: save, load, restore, delete, rename,
+ * duplicate, the startup project setting) and the Modbus server and MQTT bridge configuration.
+ *
+ * Each entry records the action, the user and socket that caused it (or, for changes without a
+ * user such as writes from Modbus masters, their `source`), a timestamp, the affected
+ * device/variable or project, and the old and new values. Secrets in device and bridge
+ * configurations (passwords) are replaced by `***` before they are logged.
+ *
+ * Entries are stored as newline-delimited JSON, one file per UTC day
+ * (`server/data/audit/YYYY-MM-DD.ndjson`), and are only ever appended; there is no retention.
+ * Entries are written right away (writes are serialized), but only once `start()` has been
+ * called (server startup), so modules that merely record entries (and their tests) never touch
+ * the disk; entries recorded before that are kept and written on `start()`.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_AUDIT_DIR = path.join(__dirname, "data", "audit");
+const DEFAULT_QUERY_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_QUERY_LIMIT = 500;
+const MAX_QUERY_LIMIT = 5000;
+const SECRET_KEYS = ["password", "passwordHash", "token"];
+
+/**
+ * Audited actions.
+ * @enum {string}
+ */
+const AUDIT_ACTIONS = Object.freeze({
+    WRITE: "write_to_device",
+    ADD_DEVICE: "add_device",
+    EDIT_DEVICE: "edit_device",
+    DELETE_DEVICE: "delete_device",
+    PROJECT_SAVE: "project:save",
+    PROJECT_LOAD: "project:load",
+    PROJECT_RESTORE: "project:restore",
+    PROJECT_DELETE: "project:delete",
+    PROJECT_RENAME: "project:rename",
+    PROJECT_DUPLICATE: "project:duplicate",
+    RUNTIME_SET_STARTUP_PROJECT: "runtime:set_startup_project",
+    MODBUS_SERVER_SET_CONFIG: "modbus_server:set_config",
+    MQTT_BRIDGE_SET_CONFIG: "mqtt_bridge:set_config",
+});
+
+/**
+ * Returns a deep copy of a value with secret fields replaced by `***`.
+ * @param {*} value - Value to copy (e.g. a device configuration).
+ * @returns {*}
+ */
+function redactSecrets(value) {
+    if (Array.isArray(value)) return value.map(redactSecrets);
+    if (!value || typeof value !== "object") return value;
+    return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [
+            key,
+            SECRET_KEYS.includes(key) && entry !== undefined && entry !== ""
+                ? "***"
+                : redactSecrets(entry),
+        ]),
+    );
+}
+
+/**
+ * Parses a query time given as epoch milliseconds, a numeric string or an ISO date string.
+ * @param {*} value - Time value.
+ * @returns {number} Epoch milliseconds, or NaN if invalid.
+ */
+function toEpochMs(value) {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && /^\d+$/.test(value.trim()))
+        return Number(value);
+    return value ? Date.parse(value) : NaN;
+}
+
+/**
+ * Returns the UTC day key (YYYY-MM-DD) of a timestamp.
+ * @param {number} time - Epoch milliseconds.
+ * @returns {string}
+ */
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Records and queries audit entries.
+ * @class AuditLog
+ */
+class AuditLog {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.auditDir] - Directory of the day files.
+     */
+    constructor(options = {}) {
+        this.auditDir = options.auditDir || DEFAULT_AUDIT_DIR;
+        /** @type {Array<object>} Entries not yet written. */
+        this._pending = [];
+        this._persistenceEnabled = false;
+        this._writing = Promise.resolve();
+    }
+
+    /**
+     * Enables writing to disk and writes the entries recorded so far.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await fs.mkdir(this.auditDir, { recursive: true });
+        this._persistenceEnabled = true;
+        await this.flush();
+    }
+
+    /**
+     * Records an audit entry.
+     * @param {object} entry
+     * @param {string} entry.action - One of {@link AUDIT_ACTIONS}.
+     * @param {{username: string, role: string}} [entry.user] - The user that caused the action.
+     * @param {string} [entry.socketId] - The socket the action came from.
+     * @param {string} [entry.source] - Origin of an action without a user, e.g. `modbus-server`.
+     * @param {string} [entry.deviceId] - The affected device.
+     * @param {string} [entry.variableName] - The affected variable (or address).
+     * @param {string} [entry.projectName] - The affected project.
+     * @param {*} [entry.oldValue] - Value before the action.
+     * @param {*} [entry.newValue] - Value after the action.
+     * @param {string} [entry.status="success"] - Outcome, e.g. a `write_result` status.
+     * @param {string} [entry.message] - Error message of a failed action.
+     * @returns {object} The stored entry.
+     */
+    record({
+        action,
+        user,
+        socketId,
+        source,
+        deviceId,
+        variableName,
+        projectName,
+        oldValue,
+        newValue,
+        status = "success",
+        message,
+    } = {}) {
+        const time = Date.now();
+        const entry = {
+            t: time,
+            timestamp: new Date(time).toISOString(),
+            action,
+            user: user?.username || null,
+            role: user?.role || null,
+            socketId: socketId || null,
+        };
+        if (source) entry.source = source;
+        if (deviceId !== undefined) entry.deviceId = deviceId;
+        if (variableName !== undefined) entry.variableName = variableName;
+        if (projectName !== undefined) entry.projectName = projectName;
+        if (oldValue !== undefined) entry.oldValue = redactSecrets(oldValue);
+        if (newValue !== undefined) entry.newValue = redactSecrets(newValue);
+        entry.status = status;
+        if (message) entry.message = message;
+
+        this._pending.push(entry);
+        if (this._persistenceEnabled) {
+            this.flush().catch((error) =>
+                console.error("[AuditLog] Gagal menulis audit trail:", error),
+            );
+        }
+        return entry;
+    }
+
+    /**
+     * Appends the pending entries to their day files. Writes are serialized.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        this._writing = this._writing.then(async () => {
+            if (!this._persistenceEnabled || this._pending.length === 0) return;
+            const entries = this._pending;
+            this._pending = [];
+            const byDay = new Map();
+            entries.forEach((entry) => {
+                const key = dayKey(entry.t);
+                if (!byDay.has(key)) byDay.set(key, []);
+                byDay.get(key).push(JSON.stringify(entry));
+            });
+            for (const [key, lines] of byDay) {
+                await fs.appendFile(
+                    path.join(this.auditDir, `${key}.ndjson`),
+                    `${lines.join("\n")}\n`,
+                    "utf8",
+                );
+            }
+        });
+        return this._writing;
+    }
+
+    /**
+     * Queries the audit trail, newest entries first. Only the day files within the range are read,
+     * newest first, and reading stops once more than `limit` entries were found.
+     * @param {object} [params={}]
+     * @param {number|string} [params.from=to - 24h] - Range start (epoch ms or ISO string).
+     * @param {number|string} [params.to=now] - Range end (epoch ms or ISO string).
+     * @param {string} [params.user] - Only entries of this user.
+     * @param {string} [params.deviceId] - Only entries of this device.
+     * @param {string} [params.action] - Only entries of this action.
+     * @param {number} [params.limit=500] - Maximum number of entries (at most 5000).
+     * @returns {Promise<{from: number, to: number, entries: Array<object>, truncated: boolean}>}
+     * @throws {{code: string, message: string}} `INVALID_AUDIT_QUERY` if the range is invalid.
+     */
+    async query({ from, to, user, deviceId, action, limit } = {}) {
+        const end =
+            to === undefined || to === null || to === ""
+                ? Date.now()
+                : toEpochMs(to);
+        const start =
+            from === undefined || from === null || from === ""
+                ? end - DEFAULT_QUERY_RANGE_MS
+                : toEpochMs(from);
+        if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+            throw {
+                code: "INVALID_AUDIT_QUERY",
+                message: "Rentang waktu 'from'/'to' tidak valid.",
+            };
+        }
+        const maxEntries = Math.min(
+            Math.max(parseInt(limit, 10) || DEFAULT_QUERY_LIMIT, 1),
+            MAX_QUERY_LIMIT,
+        );
+        const matches = (entry) =>
+            entry.t >= start &&
+            entry.t <= end &&
+            (!user || entry.user === user) &&
+            (!deviceId || entry.deviceId === deviceId) &&
+            (!action || entry.action === action);
+
+        await this.flush();
+        const entries = this._persistenceEnabled
+            ? await this._readEntries(start, end, matches, maxEntries + 1)
+            : [];
+        entries.push(...this._pending.filter(matches)); // Not yet written (before start)
+        entries.sort((a, b) => b.t - a.t);
+        return {
+            from: start,
+            to: end,
+            entries: entries.slice(0, maxEntries),
+            truncated: entries.length > maxEntries,
+        };
+    }
+
+    /**
+     * Returns the names of the day files, oldest first.
+     * @returns {Promise<Array<string>>}
+     * @private
+     */
+    async _listDayFiles() {
+        try {
+            const files = await fs.readdir(this.auditDir);
+            return files
+                .filter((file) => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(file))
+                .sort();
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Reads the matching entries within a time range from the day files, newest day first.
+     * @param {number} start - Range start (epoch ms).
+     * @param {number} end - Range end (epoch ms).
+     * @param {function(object): boolean} matches - Entry filter.
+     * @param {number} maxEntries - Stops after the day in which this many entries were found.
+     * @returns {Promise<Array<object>>}
+     * @private
+     */
+    async _readEntries(start, end, matches, maxEntries) {
+        const firstDay = dayKey(start);
+        const lastDay = dayKey(end);
+        const files = (await this._listDayFiles())
+            .filter((file) => {
+                const key = file.slice(0, 10);
+                return key >= firstDay && key <= lastDay;
+            })
+            .reverse();
+        const entries = [];
+        for (const file of files) {
+            if (entries.length >= maxEntries) break;
+            let content;
+            try {
+                content = await fs.readFile(
+                    path.join(this.auditDir, file),
+                    "utf8",
+                );
+            } catch (error) {
+                if (error.code === "ENOENT") continue; // Deleted after listing
+                throw error;
+            }
+            content.split("\n").forEach((line) => {
+                if (!line) return;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    return; // Skip a partially written line
+                }
+                if (matches(entry)) entries.push(entry);
+            });
+        }
+        return entries;
+    }
+}
+
+/** Shared instance started by the server. */
+const auditLog = new AuditLog();
+
+module.exports = {
+    auditLog,
+    AuditLog,
+    AUDIT_ACTIONS,
+    redactSecrets,
+};
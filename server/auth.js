@@ -0,0 +1,275 @@
+/**
+ * @file Login sessions and role-based permissions for the Express app and the `/devices`
+ * Socket.IO namespace.
+ *
+ * A successful `POST /api/auth/login` creates a session and returns its token, which is also set
+ * as the HttpOnly `hmi_session` cookie. HTTP requests authenticate with that cookie (or an
+ * `Authorization: Bearer <token>` header); sockets with the cookie sent along with the
+ * handshake, or with `auth.token`. Sessions live in memory, so a server restart logs everyone out.
+ *
+ * Every socket event needs the role listed in {@link EVENT_PERMISSIONS}; events that are not
+ * listed are refused. The user's role is looked up on every check, so role changes and deleted
+ * accounts take effect immediately.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { userStore, hasRole } = require("./userStore");
+
+const SESSION_COOKIE = "hmi_session";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * The least privileged role allowed to send each socket event (see `userStore.ROLES`).
+ * @type {Readonly<Object<string, string>>}
+ */
+const EVENT_PERMISSIONS = Object.freeze({
+    request_device_data: "viewer",
+    "history:query": "viewer",
+    "project:list": "viewer",
+    "project:history": "viewer",
+    "project:diff": "viewer",
+    "project:list_details": "viewer",
+    "runtime:get_config": "viewer",
+    "runtime:get_project": "viewer",
+    write_to_device: "operator",
+    "alarm:ack": "operator",
+    "alarm:shelve": "operator",
+    "alarm:unshelve": "operator",
+    add_device: "engineer",
+    edit_device: "engineer",
+    delete_device: "engineer",
+    "project:load": "engineer",
+    "project:save": "engineer",
+    "project:restore": "engineer",
+    "project:delete": "engineer",
+    "project:rename": "engineer",
+    "project:duplicate": "engineer",
+    "runtime:set_startup_project": "engineer",
+    "modbus_server:set_config": "engineer",
+    "mqtt_bridge:set_config": "engineer",
+    "audit:query": "engineer",
+    "alarm:set_definitions": "engineer",
+    client_temp_subscribe_request: "engineer",
+    client_temp_unsubscribe_request: "engineer",
+    "user:list": "admin",
+    "user:save": "admin",
+    "user:delete": "admin",
+});
+
+/**
+ * Active sessions, keyed by token.
+ * @type {Map<string, {username: string, expiresAt: number}>}
+ */
+const sessions = new Map();
+
+/**
+ * Creates a session for a user.
+ * @param {string} username - The user name.
+ * @returns {string} The session token.
+ */
+function createSession(username) {
+    const token = crypto.randomBytes(32).toString("hex");
+    sessions.set(token, { username, expiresAt: Date.now() + SESSION_TTL_MS });
+    return token;
+}
+
+/**
+ * Returns the user of a session and extends the session.
+ * @param {string} token - The session token.
+ * @returns {{username: string, role: string} | null} The user, or `null` if the session does
+ *          not exist, has expired, or its user has been deleted.
+ */
+function getSessionUser(token) {
+    const session = token ? sessions.get(token) : null;
+    if (!session) return null;
+    const user =
+        Date.now() < session.expiresAt
+            ? userStore.getUser(session.username)
+            : null;
+    if (!user) {
+        sessions.delete(token);
+        return null;
+    }
+    session.expiresAt = Date.now() + SESSION_TTL_MS;
+    return user;
+}
+
+/**
+ * Ends a session.
+ * @param {string} token - The session token.
+ */
+function destroySession(token) {
+    sessions.delete(token);
+}
+
+/**
+ * Parses a `Cookie` header.
+ * @param {string} [header] - The header value.
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+    const cookies = {};
+    String(header || "")
+        .split(";")
+        .forEach((part) => {
+            const index = part.indexOf("=");
+            if (index === -1) return;
+            const name = part.slice(0, index).trim();
+            try {
+                cookies[name] = decodeURIComponent(
+                    part.slice(index + 1).trim(),
+                );
+            } catch {
+                cookies[name] = part.slice(index + 1).trim();
+            }
+        });
+    return cookies;
+}
+
+/**
+ * Reads the session token of an HTTP request (`Authorization: Bearer` header or cookie).
+ * @param {import('express').Request} req
+ * @returns {string | undefined}
+ */
+function getRequestToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+    return match ? match[1] : parseCookies(req.headers.cookie)[SESSION_COOKIE];
+}
+
+/**
+ * Express middleware that only lets logged-in users with at least `requiredRole` through.
+ * The user is available as `req.user`.
+ * @param {string} requiredRole - The least privileged role allowed.
+ * @returns {function(object, object, function): void}
+ */
+function requireRole(requiredRole) {
+    return (req, res, next) => {
+        const user = getSessionUser(getRequestToken(req));
+        if (!user) {
+            res.status(401).json({
+                code: "UNAUTHORIZED",
+                message: "Silakan login terlebih dahulu.",
+            });
+            return;
+        }
+        if (!hasRole(user.role, requiredRole)) {
+            res.status(403).json({
+                code: "PERMISSION_DENIED",
+                message: `Aksi ini memerlukan role '${requiredRole}'.`,
+            });
+            return;
+        }
+        req.user = user;
+        next();
+    };
+}
+
+/**
+ * Adds the login, logout and current-user routes to the Express app.
+ * @param {import('express').Express} app
+ */
+function setupAuthRoutes(app) {
+    app.post("/api/auth/login", express.json(), async (req, res) => {
+        const { username, password } = req.body || {};
+        try {
+            const user = await userStore.authenticate(username, password);
+            if (!user) {
+                res.status(401).json({
+                    code: "INVALID_CREDENTIALS",
+                    message: "Username atau password salah.",
+                });
+                return;
+            }
+            const token = createSession(user.username);
+            res.cookie(SESSION_COOKIE, token, {
+                httpOnly: true,
+                sameSite: "strict",
+                maxAge: SESSION_TTL_MS,
+                path: "/",
+            });
+            res.json({ token, user });
+        } catch (error) {
+            console.error("Error during login:", error);
+            res.status(500).json({
+                code: "SERVER_ERROR",
+                message: "Login gagal.",
+            });
+        }
+    });
+
+    app.post("/api/auth/logout", (req, res) => {
+        destroySession(getRequestToken(req));
+        res.clearCookie(SESSION_COOKIE, { path: "/" });
+        res.json({ success: true });
+    });
+
+    app.get("/api/auth/me", requireRole("viewer"), (req, res) => {
+        res.json(req.user);
+    });
+}
+
+/**
+ * Socket.IO middleware that refuses the handshake of sockets without a valid session. The
+ * session token is kept as `socket.data.sessionToken` and the user as `socket.data.user`.
+ * @param {import('socket.io').Socket} socket
+ * @param {function(Error=): void} next
+ */
+function authenticateSocket(socket, next) {
+    const token =
+        socket.handshake.auth?.token ||
+        parseCookies(socket.handshake.headers?.cookie)[SESSION_COOKIE];
+    const user = getSessionUser(token);
+    if (!user) {
+        const error = new Error("Silakan login terlebih dahulu.");
+        error.data = { code: "UNAUTHORIZED" };
+        next(error);
+        return;
+    }
+    socket.data.sessionToken = token;
+    socket.data.user = user;
+    next();
+}
+
+/**
+ * Checks whether the user of a socket may send an event, refreshing `socket.data.user`.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} event - The event name.
+ * @returns {{allowed: boolean, code?: string, message?: string, requiredRole?: string}}
+ */
+function authorizeSocketEvent(socket, event) {
+    const user = getSessionUser(socket.data.sessionToken);
+    if (!user) {
+        return {
+            allowed: false,
+            code: "UNAUTHORIZED",
+            message: "Sesi login telah berakhir. Silakan login kembali.",
+        };
+    }
+    socket.data.user = user;
+    const requiredRole = EVENT_PERMISSIONS[event];
+    if (!requiredRole || !hasRole(user.role, requiredRole)) {
+        return {
+            allowed: false,
+            code: "PERMISSION_DENIED",
+            requiredRole,
+            message: requiredRole
+                ? `User '${user.username}' (${user.role}) tidak diizinkan melakukan '${event}'; memerlukan role '${requiredRole}'.`
+                : `Event '${event}' tidak dikenal.`,
+        };
+    }
+    return { allowed: true };
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    EVENT_PERMISSIONS,
+    createSession,
+    getSessionUser,
+    destroySession,
+    parseCookies,
+    requireRole,
+    setupAuthRoutes,
+    authenticateSocket,
+    authorizeSocketEvent,
+};
@@ -1,4 +1,5 @@
 const Device = require('../baseDevice');
+const { tagStore } = require('../../tagStore');
 
 describe('Device (Base Class)', () => {
     let mockIo;
@@ -109,9 +110,17 @@ describe('Device (Base Class)', () => {
                     variableName: 'varName1',
                     value: 'varValue1',
                     timestamp: expect.any(String),
+                    quality: 'good',
                 });
             });
 
+            test('should record the value in the tag store with the emitted timestamp', () => {
+                deviceWithIo._emitVariableUpdateToSocket('varName1', 42);
+                const [, payload] = mockSocket.emit.mock.calls.find(([event]) => event === 'device_variable_update');
+                expect(tagStore.getTag(baseConfig.id, 'varName1')).toEqual({ value: 42, timestamp: payload.timestamp, quality: 'good' });
+                tagStore.clear();
+            });
+
             test('should warn if io is not available', () => {
                 const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
                 deviceWithoutIo._emitVariableUpdateToSocket('varName1', 'varValue1');
@@ -121,6 +130,31 @@ describe('Device (Base Class)', () => {
             });
         });
 
+        describe('_setVariablesQuality', () => {
+            afterEach(() => {
+                tagStore.clear();
+            });
+
+            test('should mark stored values comm-fail when the device disconnects', () => {
+                const device = new Device({ ...baseConfig, variables: [{ name: 'level' }, { name: 'neverRead' }] }, mockIo);
+                device._emitVariableUpdateToSocket('level', 12);
+                const { timestamp } = tagStore.getTag(baseConfig.id, 'level');
+                mockSocket.emit.mockClear();
+
+                device._updateStatusAndEmit(false);
+
+                expect(tagStore.getTag(baseConfig.id, 'level')).toEqual({ value: 12, timestamp, quality: 'comm-fail' });
+                const updates = mockSocket.emit.mock.calls.filter(([event]) => event === 'device_variable_update');
+                expect(updates).toEqual([['device_variable_update', {
+                    deviceId: baseConfig.id, variableName: 'level', value: 12, timestamp, quality: 'comm-fail',
+                }]]);
+
+                // A new value restores good quality
+                device._emitVariableUpdateToSocket('level', 13);
+                expect(tagStore.getTag(baseConfig.id, 'level').quality).toBe('good');
+            });
+        });
+
         describe('_updateStatusAndEmit', () => {
             test('should update this.connected and emit "device_status_update" & "device_statuses" if io is available', () => {
                 deviceWithIo._updateStatusAndEmit(true);
@@ -0,0 +1,192 @@
+const {
+    isModbusDataType,
+    getRegisterCount,
+    decode,
+    encode,
+    setBit,
+} = require("../modbusDataCodec");
+
+describe("modbusDataCodec", () => {
+    describe("getRegisterCount", () => {
+        test("should return the register width of each data type", () => {
+            expect(getRegisterCount({ dataType: "bit" })).toBe(1);
+            expect(getRegisterCount({ dataType: "int16" })).toBe(1);
+            expect(getRegisterCount({ dataType: "uint32" })).toBe(2);
+            expect(getRegisterCount({ dataType: "float32" })).toBe(2);
+            expect(getRegisterCount({ dataType: "float64" })).toBe(4);
+            expect(
+                getRegisterCount({ dataType: "string", quantity: "5" }),
+            ).toBe(5);
+            expect(getRegisterCount({ dataType: "string" })).toBe(1);
+        });
+
+        test("should only accept Modbus data types", () => {
+            expect(isModbusDataType("float32")).toBe(true);
+            expect(isModbusDataType("number")).toBe(false);
+            expect(isModbusDataType(undefined)).toBe(false);
+        });
+    });
+
+    describe("decode", () => {
+        test("should decode signed and unsigned 16-bit values", () => {
+            expect(decode([0xfffe], { dataType: "int16" })).toBe(-2);
+            expect(decode([0xfffe], { dataType: "uint16" })).toBe(65534);
+            expect(
+                decode([0x3412], { dataType: "uint16", byteOrder: "BADC" }),
+            ).toBe(0x1234);
+        });
+
+        test("should decode 32-bit values in every byte order", () => {
+            // 0x12345678 laid out as ABCD, CDAB, BADC and DCBA
+            expect(
+                decode([0x1234, 0x5678], {
+                    dataType: "uint32",
+                    byteOrder: "ABCD",
+                }),
+            ).toBe(0x12345678);
+            expect(
+                decode([0x5678, 0x1234], {
+                    dataType: "uint32",
+                    byteOrder: "CDAB",
+                }),
+            ).toBe(0x12345678);
+            expect(
+                decode([0x3412, 0x7856], {
+                    dataType: "uint32",
+                    byteOrder: "BADC",
+                }),
+            ).toBe(0x12345678);
+            expect(
+                decode([0x7856, 0x3412], {
+                    dataType: "uint32",
+                    byteOrder: "DCBA",
+                }),
+            ).toBe(0x12345678);
+            expect(decode([0xffff, 0xfffe], { dataType: "int32" })).toBe(-2);
+        });
+
+        test("should decode floating point values", () => {
+            expect(
+                decode([0x4049, 0x0fdb], { dataType: "float32" }),
+            ).toBeCloseTo(3.14159, 5);
+            expect(
+                decode([0x0fdb, 0x4049], {
+                    dataType: "float32",
+                    byteOrder: "CDAB",
+                }),
+            ).toBeCloseTo(3.14159, 5);
+            expect(
+                decode([0x4009, 0x21fb, 0x5444, 0x2d18], {
+                    dataType: "float64",
+                }),
+            ).toBe(Math.PI);
+        });
+
+        test("should decode a bit within a register", () => {
+            expect(decode([0b100], { dataType: "bit", bitIndex: 2 })).toBe(
+                true,
+            );
+            expect(decode([0b100], { dataType: "bit", bitIndex: "1" })).toBe(
+                false,
+            );
+            expect(decode([0x8000], { dataType: "bit", bitIndex: 15 })).toBe(
+                true,
+            );
+        });
+
+        test("should decode strings up to the first NUL character", () => {
+            expect(
+                decode([0x4142, 0x4300, 0x0000], {
+                    dataType: "string",
+                    quantity: 3,
+                }),
+            ).toBe("ABC");
+            expect(
+                decode([0x4241, 0x0043], {
+                    dataType: "string",
+                    quantity: 2,
+                    byteOrder: "BADC",
+                }),
+            ).toBe("ABC");
+        });
+
+        test("should reject too few registers or unknown data types", () => {
+            expect(() => decode([1], { dataType: "float32" })).toThrow(
+                "needs 2 register(s)",
+            );
+            expect(() => decode([1], { dataType: "number" })).toThrow(
+                "Unsupported",
+            );
+        });
+    });
+
+    describe("encode", () => {
+        test("should round-trip values through decode", () => {
+            const cases = [
+                { value: -1234, definition: { dataType: "int16" } },
+                {
+                    value: 65535,
+                    definition: { dataType: "uint16", byteOrder: "BADC" },
+                },
+                {
+                    value: -100000,
+                    definition: { dataType: "int32", byteOrder: "CDAB" },
+                },
+                {
+                    value: 4000000000,
+                    definition: { dataType: "uint32", byteOrder: "DCBA" },
+                },
+                {
+                    value: 1.5,
+                    definition: { dataType: "float32", byteOrder: "CDAB" },
+                },
+                {
+                    value: -2.25e10,
+                    definition: { dataType: "float64", byteOrder: "DCBA" },
+                },
+                {
+                    value: "PUMP-1",
+                    definition: { dataType: "string", quantity: 4 },
+                },
+            ];
+            cases.forEach(({ value, definition }) => {
+                expect(decode(encode(value, definition), definition)).toBe(
+                    value,
+                );
+            });
+        });
+
+        test("should encode into registers in address order", () => {
+            expect(
+                encode(0x12345678, { dataType: "uint32", byteOrder: "CDAB" }),
+            ).toEqual([0x5678, 0x1234]);
+            expect(encode("AB", { dataType: "string", quantity: 2 })).toEqual([
+                0x4142, 0x0000,
+            ]);
+            expect(encode("12", { dataType: "int16" })).toEqual([12]);
+        });
+
+        test("should reject values that do not fit the data type", () => {
+            expect(() => encode(40000, { dataType: "int16" })).toThrow(
+                "out of range",
+            );
+            expect(() => encode(-1, { dataType: "uint32" })).toThrow(
+                "out of range",
+            );
+            expect(() => encode("abc", { dataType: "float32" })).toThrow(
+                "not a valid float32",
+            );
+            expect(() => encode(true, { dataType: "bit" })).toThrow(
+                "Cannot encode",
+            );
+        });
+    });
+
+    describe("setBit", () => {
+        test("should set and clear a single bit", () => {
+            expect(setBit(0b1010, 0, true)).toBe(0b1011);
+            expect(setBit(0b1010, 3, false)).toBe(0b0010);
+            expect(setBit(0, 15, true)).toBe(0x8000);
+        });
+    });
+});
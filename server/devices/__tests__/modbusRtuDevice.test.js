@@ -176,36 +176,202 @@ describe('ModbusRtuDevice', () => {
         });
     });
 
-    describe('readData and writeData (Placeholders)', () => {
+    describe('readData', () => {
         let device;
         beforeEach(() => {
-            device = new ModbusRtuDevice(baseConfig, mockIo);
+            device = new ModbusRtuDevice({
+                ...baseConfig,
+                variables: [
+                    { name: 'unit1Hr0', functionCode: 3, address: 0 },
+                    { name: 'unit1Hr1', functionCode: 3, address: 1 },
+                    { name: 'unit7Hr0', functionCode: 3, address: 0, unitId: 7 },
+                    { name: 'unit7Coil0', functionCode: 1, address: 0, unitId: '7' },
+                ],
+            }, mockIo);
+            mockClientInstanceFromMock.setID = jest.fn();
+            mockClientInstanceFromMock.readHoldingRegisters = jest.fn((address, length) =>
+                Promise.resolve({ data: Array(length).fill(mockClientInstanceFromMock.setID.mock.lastCall[0]) }));
+            mockClientInstanceFromMock.readCoils = jest.fn(() => Promise.resolve({ data: [true] }));
+            device.connected = true;
+        });
+
+        test('should read per unit id, selecting the unit before each request', async () => {
+            await device.readData();
+
+            expect(mockClientInstanceFromMock.setID.mock.calls).toEqual([[1], [7], [7]]);
+            expect(mockClientInstanceFromMock.readHoldingRegisters).toHaveBeenNthCalledWith(1, 0, 2);
+            expect(mockClientInstanceFromMock.readHoldingRegisters).toHaveBeenNthCalledWith(2, 0, 1);
+            expect(mockSocket.emit).toHaveBeenCalledWith('device_variable_update', expect.objectContaining({ variableName: 'unit1Hr1', value: 1 }));
+            expect(mockSocket.emit).toHaveBeenCalledWith('device_variable_update', expect.objectContaining({ variableName: 'unit7Hr0', value: 7 }));
+            expect(mockSocket.emit).toHaveBeenCalledWith('device_variable_update', expect.objectContaining({ variableName: 'unit7Coil0', value: true }));
+        });
+
+        test('should keep only one transaction on the bus at a time', async () => {
+            let releaseFirst;
+            mockClientInstanceFromMock.readHoldingRegisters.mockImplementationOnce(
+                () => new Promise((resolve) => { releaseFirst = () => resolve({ data: [1, 1] }); }),
+            );
+            mockClientInstanceFromMock.writeRegister = jest.fn().mockResolvedValue({});
+            const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+
+            const readPromise = device.readData();
+            const writePromise = device.writeVariable('unit7Hr0', 5);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            expect(mockClientInstanceFromMock.readHoldingRegisters).toHaveBeenCalledTimes(1);
+            expect(mockClientInstanceFromMock.writeRegister).not.toHaveBeenCalled();
+
+            releaseFirst();
+            await Promise.all([readPromise, writePromise]);
+
+            expect(mockClientInstanceFromMock.writeRegister).toHaveBeenCalledWith(0, 5);
+            consoleLogSpy.mockRestore();
+        });
+    });
+
+    describe('writeData and writeVariable', () => {
+        let device;
+        let consoleLogSpy;
+        beforeEach(() => {
+            device = new ModbusRtuDevice({
+                ...baseConfig,
+                variables: [
+                    { name: 'coil', functionCode: 1, address: 3 },
+                    { name: 'coils', functionCode: 1, address: 8, quantity: 4 },
+                    { name: 'setpoint', functionCode: 3, address: 10, unitId: 4 },
+                    { name: 'setpoints', functionCode: 3, address: 20, quantity: 2 },
+                    { name: 'writeOnly', functionCode: 6, address: 30 },
+                    { name: 'input', functionCode: 4, address: 0 },
+                ],
+            }, mockIo);
+            Object.assign(mockClientInstanceFromMock, {
+                setID: jest.fn(),
+                writeCoil: jest.fn().mockResolvedValue({}),
+                writeRegister: jest.fn().mockResolvedValue({}),
+                writeCoils: jest.fn().mockResolvedValue({}),
+                writeRegisters: jest.fn().mockResolvedValue({}),
+            });
+            device.connected = true;
+            consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
         });
 
-        test('readData should call super.readData (which warns)', () => {
-            const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
-            const superReadDataSpy = jest.spyOn(Object.getPrototypeOf(ModbusRtuDevice.prototype), 'readData');
+        afterEach(() => {
+            consoleLogSpy.mockRestore();
+        });
+
+        test('should derive the write function code from the variable definition', async () => {
+            await device.writeVariable('coil', 'true');
+            await device.writeVariable('coils', [1, 0, 1, 0]);
+            await device.writeVariable('setpoint', -1);
+            await device.writeVariable('setpoints', [100, 200]);
+            await device.writeVariable('writeOnly', '42');
+
+            expect(mockClientInstanceFromMock.writeCoil).toHaveBeenCalledWith(3, true);
+            expect(mockClientInstanceFromMock.writeCoils).toHaveBeenCalledWith(8, [true, false, true, false]);
+            expect(mockClientInstanceFromMock.writeRegister).toHaveBeenCalledWith(10, 0xffff);
+            expect(mockClientInstanceFromMock.setID).toHaveBeenCalledWith(4);
+            expect(mockClientInstanceFromMock.writeRegisters).toHaveBeenCalledWith(20, [100, 200]);
+            expect(mockClientInstanceFromMock.writeRegister).toHaveBeenCalledWith(30, 42);
+        });
 
-            device.readData();
+        test('should reject writes to read-only or unknown variables', async () => {
+            await expect(device.writeVariable('input', 1)).rejects.toThrow('read-only');
+            await expect(device.writeVariable('missing', 1)).rejects.toThrow('not found');
+        });
 
-            expect(superReadDataSpy).toHaveBeenCalled();
-            expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("readData method not implemented"));
+        test('should report which variables are writable', () => {
+            expect(device.isVariableWritable('setpoint')).toBe(true);
+            expect(device.isVariableWritable('coil')).toBe(true);
+            expect(device.isVariableWritable('input')).toBe(false);
+            expect(device.isVariableWritable('missing')).toBe(true); // Left to writeVariable
+        });
 
-            superReadDataSpy.mockRestore();
-            consoleWarnSpy.mockRestore();
+        test('should resolve a variable name passed as address', async () => {
+            await device.writeData('setpoint', 12);
+            expect(mockClientInstanceFromMock.writeRegister).toHaveBeenCalledWith(10, 12);
         });
 
-        test('writeData should call super.writeData (which warns)', async () => {
-            const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
-            const superWriteDataSpy = jest.spyOn(Object.getPrototypeOf(ModbusRtuDevice.prototype), 'writeData');
+        test('should write raw addresses with an explicit or inferred function code', async () => {
+            await device.writeData(5, true);
+            await device.writeData('6', 300, { functionCode: 16, unitId: 9 });
+
+            expect(mockClientInstanceFromMock.writeCoil).toHaveBeenCalledWith(5, true);
+            expect(mockClientInstanceFromMock.writeRegisters).toHaveBeenCalledWith(6, [300]);
+            expect(mockClientInstanceFromMock.setID).toHaveBeenLastCalledWith(9);
+        });
+
+        test('should reject invalid writes', async () => {
+            await expect(device.writeData(70000, 1)).rejects.toThrow('Invalid Modbus address');
+            await expect(device.writeData(1, 1, { functionCode: 3 })).rejects.toThrow('Unsupported');
+            await expect(device.writeData(1, 'abc')).rejects.toThrow('16-bit');
+            device.connected = false;
+            await expect(device.writeData(1, 1)).rejects.toThrow('not connected');
+        });
+
+        test('should log and rethrow errors from the client', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            mockClientInstanceFromMock.writeRegister.mockRejectedValueOnce(new Error('Modbus exception 2: Illegal data address'));
+
+            await expect(device.writeVariable('setpoint', 1)).rejects.toThrow('Illegal data address');
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('FC6'), 'Modbus exception 2: Illegal data address');
+            consoleErrorSpy.mockRestore();
+        });
+    });
+
+    describe('with the modbus-serial TestPort transport', () => {
+        const RealModbusRTU = jest.requireActual('modbus-serial');
+        let device;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation();
+            jest.spyOn(console, 'error').mockImplementation();
+            device = new ModbusRtuDevice({
+                ...baseConfig,
+                pollInterval: 60000,
+                variables: [
+                    { name: 'inputs', functionCode: 4, address: 2, quantity: 3 },
+                    { name: 'holding8', functionCode: 3, address: 8 },
+                    { name: 'coil0', functionCode: 1, address: 0 },
+                    { name: 'failing', functionCode: 3, address: 0, unitId: 5 }, // TestPort unit 5 answers with an exception
+                ],
+            }, mockIo);
+            // Swap the mocked client for a real one wired to the in-process TestPort slave.
+            const client = new RealModbusRTU(new RealModbusRTU.TestPort());
+            client.connectRTUBuffered = () => new Promise((resolve, reject) => {
+                client.open((err) => (err ? reject(err) : resolve()));
+            });
+            device.client = client;
+        });
+
+        afterEach(async () => {
+            await device.disconnect();
+            console.log.mockRestore();
+            console.error.mockRestore();
+        });
+
+        const lastValueOf = (variableName) => {
+            const updates = mockSocket.emit.mock.calls.filter(
+                ([event, payload]) => event === 'device_variable_update' && payload.variableName === variableName,
+            );
+            return updates.length ? updates[updates.length - 1][1].value : undefined;
+        };
+
+        test('should poll variables and write them back over the transport', async () => {
+            await device.connect();
+            await device.readData();
 
-            await device.writeData('addr', 123);
+            expect(lastValueOf('inputs')).toEqual([2, 3, 4]);
+            expect(lastValueOf('holding8')).toBe(0xa12b);
+            expect(lastValueOf('coil0')).toBe(false);
+            expect(lastValueOf('failing')).toBeUndefined();
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('unit 5'), expect.any(String));
 
-            expect(superWriteDataSpy).toHaveBeenCalledWith('addr', 123);
-            expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("writeData method not implemented"));
+            await device.writeVariable('holding8', 1234);
+            await device.writeVariable('coil0', true);
+            await device.readData();
 
-            superWriteDataSpy.mockRestore();
-            consoleWarnSpy.mockRestore();
+            expect(lastValueOf('holding8')).toBe(1234);
+            expect(lastValueOf('coil0')).toBe(true);
         });
     });
 });
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+// Runs ModbusTcpDevice against an in-process modbus-serial ServerTCP stand-in (no mocks).
+const net = require("net");
+const { ServerTCP } = require("modbus-serial");
+const ModbusTcpDevice = require("../modbusTcpDevice");
+
+// ServerTCP treats port 0 as "use 502", so reserve a free port up front.
+const getFreePort = () =>
+    new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once("error", reject);
+        probe.listen(0, "127.0.0.1", () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+
+describe("ModbusTcpDevice against a ServerTCP stand-in", () => {
+    let server;
+    let port;
+    let holdingRegisters;
+    let coils;
+    let requestLog;
+    let device;
+    let mockSocket;
+
+    beforeAll(async () => {
+        port = await getFreePort();
+        holdingRegisters = [100, 101, 102, 103, 0, 0, 0, 0, 0, 0, 555];
+        coils = [false, true, true, false];
+        requestLog = [];
+        server = new ServerTCP(
+            {
+                getMultipleHoldingRegisters: (address, length) => {
+                    requestLog.push({ fc: 3, address, length });
+                    return holdingRegisters.slice(address, address + length);
+                },
+                getHoldingRegister: (address) => {
+                    requestLog.push({ fc: 3, address, length: 1 });
+                    return holdingRegisters[address];
+                },
+                getCoil: (address) => coils[address],
+                getInputRegister: (address) => 7000 + address,
+                getDiscreteInput: (address) => address % 2 === 0,
+            },
+            { host: "127.0.0.1", port, unitID: 1 },
+        );
+        await new Promise((resolve, reject) => {
+            server.once("initialized", resolve);
+            server.once("serverError", reject);
+        });
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, "log").mockImplementation();
+        requestLog.length = 0;
+        mockSocket = { emit: jest.fn() };
+        device = new ModbusTcpDevice(
+            {
+                id: "tcpStandIn",
+                name: "TCP Stand-in",
+                type: "modbus-tcp",
+                host: "127.0.0.1",
+                port,
+                unitId: 1,
+                pollInterval: 60000,
+                variables: [
+                    { name: "hr0", functionCode: 3, address: 0 },
+                    {
+                        name: "hr1to3",
+                        functionCode: 3,
+                        address: 1,
+                        quantity: 3,
+                    },
+                    { name: "hr10", functionCode: 3, address: 10 },
+                    { name: "coil1", functionCode: 1, address: 1 },
+                    { name: "coil2", functionCode: 1, address: 2 },
+                    { name: "ir5", functionCode: 4, address: 5 },
+                    { name: "di3", functionCode: 2, address: 3 },
+                ],
+            },
+            { of: jest.fn().mockReturnValue(mockSocket) },
+        );
+    });
+
+    afterEach(async () => {
+        await device.disconnect();
+        console.log.mockRestore();
+    });
+
+    const waitForValues = async (count) => {
+        for (let i = 0; i < 100; i++) {
+            const updates = mockSocket.emit.mock.calls.filter(
+                ([event]) => event === "device_variable_update",
+            );
+            if (updates.length >= count) {
+                return Object.fromEntries(
+                    updates.map(([, payload]) => [
+                        payload.variableName,
+                        payload.value,
+                    ]),
+                );
+            }
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        throw new Error("Timed out waiting for variable updates");
+    };
+
+    test("should poll all function codes on connect and emit decoded values", async () => {
+        await device.connect();
+        expect(device.connected).toBe(true);
+
+        const values = await waitForValues(7);
+
+        expect(values).toEqual({
+            hr0: 100,
+            hr1to3: [101, 102, 103],
+            hr10: 555,
+            coil1: true,
+            coil2: true,
+            ir5: 7005,
+            di3: false,
+        });
+    });
+
+    test("should read contiguous holding registers in a single request", async () => {
+        await device.connect();
+        await waitForValues(7);
+
+        expect(requestLog).toEqual([
+            { fc: 3, address: 0, length: 4 },
+            { fc: 3, address: 10, length: 1 },
+        ]);
+    });
+});
@@ -1,5 +1,6 @@
 const ModbusTcpDevice = require('../modbusTcpDevice');
 const ModbusRTU = require('modbus-serial');
+const { tagStore } = require('../../tagStore');
 
 // Mock the 'modbus-serial' library
 jest.mock('modbus-serial', () => {
@@ -161,30 +162,288 @@ describe('ModbusTcpDevice', () => {
         });
     });
 
-    describe('readData and writeData (Placeholders)', () => {
+    describe('readData (polling engine)', () => {
         let device;
         beforeEach(() => {
-            device = new ModbusTcpDevice(baseConfig, mockIo);
-        });
-
-        test('readData should call super.readData (which warns)', () => {
-            const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
-            const superReadDataSpy = jest.spyOn(Object.getPrototypeOf(ModbusTcpDevice.prototype), 'readData');
-            device.readData();
-            expect(superReadDataSpy).toHaveBeenCalled();
-            expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("readData method not implemented"));
-            superReadDataSpy.mockRestore();
-            consoleWarnSpy.mockRestore();
-        });
-
-        test('writeData should call super.writeData (which warns)', async () => {
-            const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
-            const superWriteDataSpy = jest.spyOn(Object.getPrototypeOf(ModbusTcpDevice.prototype), 'writeData');
-            await device.writeData('addrTCP', 456);
-            expect(superWriteDataSpy).toHaveBeenCalledWith('addrTCP', 456, {}); // options defaults to {}
-            expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("writeData method not implemented"));
-            superWriteDataSpy.mockRestore();
-            consoleWarnSpy.mockRestore();
+            device = new ModbusTcpDevice({
+                ...baseConfig,
+                variables: [
+                    { name: 'hr0', functionCode: 3, address: 0 },
+                    { name: 'hr1', functionCode: 3, address: 1 },
+                    { name: 'hrPair', functionCode: 3, address: 2, quantity: 2 },
+                    { name: 'hrFar', functionCode: 3, address: 200 },
+                    { name: 'coil5', functionCode: 1, address: 5 },
+                    { name: 'coil6', functionCode: 1, address: 6 },
+                    { name: 'di0', functionCode: 2, address: 0 },
+                    { name: 'ir10', functionCode: 4, address: 10 },
+                    { name: 'notPolled', functionCode: 6, address: 0 },
+                ],
+            }, mockIo);
+            device.client.readHoldingRegisters = jest.fn((address, length) =>
+                Promise.resolve({ data: Array.from({ length }, (_, i) => (address + i) * 10) }));
+            device.client.readCoils = jest.fn(() => Promise.resolve({ data: [true, false, false, false, false, false, false, false] }));
+            device.client.readDiscreteInputs = jest.fn(() => Promise.resolve({ data: [true, false, false, false, false, false, false, false] }));
+            device.client.readInputRegisters = jest.fn(() => Promise.resolve({ data: [42] }));
+            device.connected = true;
+        });
+
+        const emittedValues = () => Object.fromEntries(
+            mockSocket.emit.mock.calls
+                .filter(([event]) => event === 'device_variable_update')
+                .map(([, payload]) => [payload.variableName, payload.value]),
+        );
+
+        test('should batch contiguous addresses into single requests per function code', async () => {
+            await device.readData();
+
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledTimes(2);
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledWith(0, 4);
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledWith(200, 1);
+            expect(device.client.readCoils).toHaveBeenCalledTimes(1);
+            expect(device.client.readCoils).toHaveBeenCalledWith(5, 2);
+            expect(device.client.readDiscreteInputs).toHaveBeenCalledWith(0, 1);
+            expect(device.client.readInputRegisters).toHaveBeenCalledWith(10, 1);
+        });
+
+        test('should emit each variable value through device_variable_update', async () => {
+            await device.readData();
+
+            expect(emittedValues()).toEqual({
+                hr0: 0,
+                hr1: 10,
+                hrPair: [20, 30],
+                hrFar: 2000,
+                coil5: true,
+                coil6: false,
+                di0: true,
+                ir10: 42,
+            });
+            expect(mockSocket.emit).toHaveBeenCalledWith('device_variable_update', expect.objectContaining({
+                deviceId: baseConfig.id, variableName: 'ir10', value: 42,
+            }));
+        });
+
+        test('should only emit values that changed since the previous cycle', async () => {
+            await device.readData();
+            mockSocket.emit.mockClear();
+            device.client.readInputRegisters.mockResolvedValueOnce({ data: [43] });
+
+            await device.readData();
+
+            expect(emittedValues()).toEqual({ ir10: 43 });
+        });
+
+        test('should split blocks that exceed the protocol limit', async () => {
+            device.config.variables = [
+                { name: 'first', functionCode: 3, address: 0, quantity: 100 },
+                { name: 'second', functionCode: 3, address: 100, quantity: 50 },
+            ];
+
+            await device.readData();
+
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledWith(0, 100);
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledWith(100, 50);
+        });
+
+        test('should log a failed block and continue with the remaining blocks', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            device.client.readHoldingRegisters.mockRejectedValue(new Error('Timed out'));
+
+            await device.readData();
+
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('FC3'), 'Timed out');
+            expect(emittedValues()).toEqual(expect.objectContaining({ coil5: true, ir10: 42 }));
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('should mark the variables of a failed block comm-fail and re-emit them once reads recover', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            await device.readData();
+            const readHolding = device.client.readHoldingRegisters.getMockImplementation();
+            device.client.readHoldingRegisters.mockRejectedValue(new Error('Timed out'));
+            mockSocket.emit.mockClear();
+
+            await device.readData();
+
+            const qualities = Object.fromEntries(mockSocket.emit.mock.calls
+                .filter(([event]) => event === 'device_variable_update')
+                .map(([, payload]) => [payload.variableName, payload.quality]));
+            expect(qualities).toEqual({ hr0: 'comm-fail', hr1: 'comm-fail', hrPair: 'comm-fail', hrFar: 'comm-fail' });
+            expect(tagStore.getTag(baseConfig.id, 'hr1')).toEqual(expect.objectContaining({ value: 10, quality: 'comm-fail' }));
+
+            device.client.readHoldingRegisters.mockImplementation(readHolding);
+            mockSocket.emit.mockClear();
+            await device.readData();
+            expect(emittedValues()).toEqual({ hr0: 0, hr1: 10, hrPair: [20, 30], hrFar: 2000 });
+            expect(tagStore.getTag(baseConfig.id, 'hr1').quality).toBe('good');
+            consoleErrorSpy.mockRestore();
+            tagStore.clear();
+        });
+
+        test('should not poll while disconnected', async () => {
+            device.connected = false;
+            await device.readData();
+            expect(device.client.readHoldingRegisters).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('typed register variables', () => {
+        let device;
+        beforeEach(() => {
+            device = new ModbusTcpDevice({
+                ...baseConfig,
+                variables: [
+                    { name: 'temperature', registerType: 'holding-register', address: 0, dataType: 'float32', byteOrder: 'CDAB' },
+                    { name: 'counter', registerType: 'holding-register', address: 2, dataType: 'int16' },
+                    { name: 'running', registerType: 'holding-register', address: 3, dataType: 'bit', bitIndex: 4 },
+                    { name: 'label', registerType: 'input-register', address: 0, dataType: 'string', quantity: 2 },
+                    { name: 'alarm', registerType: 'coil', address: 1 },
+                ],
+            }, mockIo);
+            // temperature = 21.5 (0x41AC0000) stored word-swapped, counter = -5, bit 4 set
+            device.client.readHoldingRegisters = jest.fn().mockResolvedValue({ data: [0x0000, 0x41ac, 0xfffb, 0x0010] });
+            device.client.readInputRegisters = jest.fn().mockResolvedValue({ data: [0x4f4b, 0x0000] });
+            device.client.readCoils = jest.fn().mockResolvedValue({ data: [true, true] });
+            device.client.writeRegister = jest.fn().mockResolvedValue({});
+            device.client.writeRegisters = jest.fn().mockResolvedValue({});
+            device.client.writeCoil = jest.fn().mockResolvedValue({});
+            device.connected = true;
+            jest.spyOn(console, 'log').mockImplementation();
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        test('should size reads from the data type and decode values before emitting', async () => {
+            await device.readData();
+
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledWith(0, 4);
+            expect(device.client.readInputRegisters).toHaveBeenCalledWith(0, 2);
+            expect(device.client.readCoils).toHaveBeenCalledWith(1, 1);
+            const values = Object.fromEntries(mockSocket.emit.mock.calls
+                .filter(([event]) => event === 'device_variable_update')
+                .map(([, payload]) => [payload.variableName, payload.value]));
+            expect(values).toEqual({ temperature: 21.5, counter: -5, running: true, label: 'OK', alarm: true });
+        });
+
+        test('should encode writes with the variable definition', async () => {
+            await device.writeVariable('temperature', 21.5);
+            await device.writeData('counter', -5); // name resolution, as sent by write_to_device
+            await device.writeVariable('alarm', 'false');
+
+            expect(device.client.writeRegisters).toHaveBeenCalledWith(0, [0x0000, 0x41ac]);
+            expect(device.client.writeRegister).toHaveBeenCalledWith(2, 0xfffb);
+            expect(device.client.writeCoil).toHaveBeenCalledWith(1, false);
+        });
+
+        test('should read-modify-write bit variables inside a register', async () => {
+            device.client.readHoldingRegisters.mockResolvedValueOnce({ data: [0x0101] });
+
+            await device.writeVariable('running', true);
+
+            expect(device.client.readHoldingRegisters).toHaveBeenCalledWith(3, 1);
+            expect(device.client.writeRegister).toHaveBeenCalledWith(3, 0x0111);
+        });
+
+        test('should reject writes to read-only register types and invalid values', async () => {
+            await expect(device.writeVariable('label', 'NO')).rejects.toThrow('read-only');
+            await expect(device.writeVariable('counter', 40000)).rejects.toThrow('out of range');
+            expect(device.client.writeRegister).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('scaled variables', () => {
+        let device;
+        beforeEach(() => {
+            device = new ModbusTcpDevice({
+                ...baseConfig,
+                variables: [
+                    { name: 'level', functionCode: 3, address: 0, scalingMode: 'linear', rawMin: 0, rawMax: 27648, euMin: 0, euMax: 100, clamp: true, engineeringUnit: '%' },
+                    { name: 'flow', registerType: 'holding-register', address: 1, dataType: 'int32', scalingMode: 'gain', gain: 0.01, offset: 0 },
+                ],
+            }, mockIo);
+            device.client.readHoldingRegisters = jest.fn().mockResolvedValue({ data: [13824, 0x0000, 0x3039] });
+            device.client.writeRegister = jest.fn().mockResolvedValue({});
+            device.client.writeRegisters = jest.fn().mockResolvedValue({});
+            device.connected = true;
+            jest.spyOn(console, 'log').mockImplementation();
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        test('should emit values in engineering units', async () => {
+            await device.readData();
+
+            const values = Object.fromEntries(mockSocket.emit.mock.calls
+                .filter(([event]) => event === 'device_variable_update')
+                .map(([, payload]) => [payload.variableName, payload.value]));
+            expect(values.level).toBeCloseTo(50, 10);
+            expect(values.flow).toBeCloseTo(123.45, 10);
+        });
+
+        test('should convert written values back to raw counts', async () => {
+            await device.writeVariable('level', 25);
+            await device.writeVariable('level', 120); // clamped to 100 %
+            await device.writeData('flow', 123.45);
+
+            expect(device.client.writeRegister).toHaveBeenNthCalledWith(1, 0, 6912);
+            expect(device.client.writeRegister).toHaveBeenNthCalledWith(2, 0, 27648);
+            expect(device.client.writeRegisters).toHaveBeenCalledWith(1, [0x0000, 0x3039]);
+        });
+    });
+
+    describe('polling scheduler', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'log').mockImplementation();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            console.log.mockRestore();
+        });
+
+        test('should start polling on connect at the configured interval and stop on disconnect', async () => {
+            const device = new ModbusTcpDevice({ ...baseConfig, pollInterval: 500 }, mockIo);
+            const readDataSpy = jest.spyOn(device, 'readData').mockResolvedValue();
+
+            await device.connect();
+            expect(device.pollInterval).toBe(500);
+            expect(readDataSpy).toHaveBeenCalledTimes(1);
+
+            await jest.advanceTimersByTimeAsync(500);
+            expect(readDataSpy).toHaveBeenCalledTimes(2);
+
+            device.client.isOpen = true;
+            await device.disconnect();
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(readDataSpy).toHaveBeenCalledTimes(2);
+        });
+
+        test('should default the poll interval to 1000 ms', () => {
+            const device = new ModbusTcpDevice(baseConfig, mockIo);
+            expect(device.pollInterval).toBe(1000);
+        });
+    });
+
+    describe('writeData', () => {
+        test('should write through the shared request queue using the device unit id', async () => {
+            const device = new ModbusTcpDevice({
+                ...baseConfig,
+                variables: [{ name: 'setpoint', functionCode: 3, address: 7 }],
+            }, mockIo);
+            device.client.writeRegister = jest.fn().mockResolvedValue({});
+            device.connected = true;
+            const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+
+            await device.writeVariable('setpoint', 99);
+
+            expect(device.client.setID).toHaveBeenCalledWith(baseConfig.unitId);
+            expect(device.client.writeRegister).toHaveBeenCalledWith(7, 99);
+            consoleLogSpy.mockRestore();
         });
     });
 });
@@ -239,25 +239,53 @@ describe('MqttDevice', () => {
             );
         });
 
-        test('should warn if variable not defined or publish not enabled', () => {
+        test('should resolve once published and reject with the publish error', async () => {
+            const device = new MqttDevice(baseConfig, mockIo);
+            device.connect();
+            if (device.client) device.client.connected = true;
+            await expect(device.writeVariable('command', 'START_MOTOR')).resolves.toBeUndefined();
+
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            device.client.publish.mockImplementationOnce((topic, message, options, callback) => callback(new Error('Broker refused')));
+            await expect(device.writeVariable('command', 'STOP_MOTOR')).rejects.toThrow('Broker refused');
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('should publish the raw value of a scaled variable', () => {
+            const scaledConfig = { ...baseConfig, variables: [{ name: 'setpoint', enablePublish: true, publishTopic: 'device/setpoint', scalingMode: 'gain', gain: 0.1, offset: 0 }] };
+            const device = new MqttDevice(scaledConfig, mockIo);
+            device.connect();
+            if (device.client) device.client.connected = true;
+            device.writeVariable('setpoint', 42);
+            expect(device.client.publish).toHaveBeenCalledWith(
+                'device/setpoint',
+                '420',
+                { qos: 0, retain: false },
+                expect.any(Function)
+            );
+        });
+
+        test('should warn and reject if variable not defined or publish not enabled', async () => {
             const device = new MqttDevice(baseConfig, mockIo);
             device.connect();
             if (device.client) device.client.connected = true;
             const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
 
-            device.writeVariable('nonExistentVar', 'test');
+            await expect(device.writeVariable('nonExistentVar', 'test')).rejects.toThrow('not found');
             expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("Variable 'nonExistentVar' not defined"));
 
             const noPublishConfig = { ...baseConfig, variables: [{ name: 'testOnlySub', enableSubscribe: true, subscribeTopic: 'test/sub'}]};
             const device2 = new MqttDevice(noPublishConfig, mockIo);
             device2.connect();
             if (device2.client) device2.client.connected = true;
-            device2.writeVariable('testOnlySub', 'test');
+            await expect(device2.writeVariable('testOnlySub', 'test')).rejects.toThrow('Publishing is not enabled');
+            expect(device2.isVariableWritable('testOnlySub')).toBe(false);
+            expect(device.isVariableWritable('command')).toBe(true);
             expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("Publishing not enabled or no publish topic for variable 'testOnlySub'"));
             consoleWarnSpy.mockRestore();
         });
 
-         test('should warn if client not connected', () => {
+         test('should warn and reject if client not connected', async () => {
             const device = new MqttDevice(baseConfig, mockIo);
             // Deliberately not calling device.connect() or ensuring client.connected is false
             if (device.client) device.client.connected = false;
@@ -266,7 +294,7 @@ describe('MqttDevice', () => {
             }
 
             const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
-            device.writeVariable('command', 'START_MOTOR');
+            await expect(device.writeVariable('command', 'START_MOTOR')).rejects.toThrow('not connected');
             expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining("MQTT client not connected. Cannot write variable 'command'"));
 
             // Ensure publish was not called if client existed but was not connected
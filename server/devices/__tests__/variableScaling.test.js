@@ -0,0 +1,104 @@
+const {
+    hasScaling,
+    toEngineeringValue,
+    toRawValue,
+} = require("../variableScaling");
+
+describe("variableScaling", () => {
+    const analogInput = {
+        scalingMode: "linear",
+        rawMin: 0,
+        rawMax: 27648,
+        euMin: 0,
+        euMax: 100,
+    };
+
+    describe("hasScaling", () => {
+        test("should only report complete scaling settings", () => {
+            expect(hasScaling(analogInput)).toBe(true);
+            expect(hasScaling({ scalingMode: "gain", gain: "0.1" })).toBe(true);
+            expect(
+                hasScaling({
+                    scalingMode: "linear",
+                    rawMin: 0,
+                    rawMax: 0,
+                    euMin: 0,
+                    euMax: 1,
+                }),
+            ).toBe(false);
+            expect(
+                hasScaling({ scalingMode: "linear", rawMin: 0, rawMax: 10 }),
+            ).toBe(false);
+            expect(hasScaling({ scalingMode: "gain", gain: 0 })).toBe(false);
+            expect(hasScaling({ scalingMode: "none" })).toBe(false);
+            expect(hasScaling(undefined)).toBe(false);
+        });
+    });
+
+    describe("toEngineeringValue", () => {
+        test("should map the raw range onto the EU range", () => {
+            expect(toEngineeringValue(0, analogInput)).toBe(0);
+            expect(toEngineeringValue(13824, analogInput)).toBeCloseTo(50, 10);
+            expect(toEngineeringValue(27648, analogInput)).toBeCloseTo(100, 10);
+            expect(toEngineeringValue("6912", analogInput)).toBeCloseTo(25, 10);
+        });
+
+        test("should apply gain and offset", () => {
+            const definition = {
+                scalingMode: "gain",
+                gain: "0.1",
+                offset: "-40",
+            };
+            expect(toEngineeringValue(650, definition)).toBeCloseTo(25, 10);
+            expect(toEngineeringValue([400, 500], definition)).toEqual([
+                0,
+                expect.closeTo(10, 10),
+            ]);
+        });
+
+        test("should clamp to the EU range only when enabled", () => {
+            expect(toEngineeringValue(32767, analogInput)).toBeGreaterThan(100);
+            expect(
+                toEngineeringValue(32767, { ...analogInput, clamp: true }),
+            ).toBe(100);
+            expect(
+                toEngineeringValue(-100, { ...analogInput, clamp: true }),
+            ).toBe(0);
+            // Inverted ranges clamp to the same bounds
+            const inverted = {
+                ...analogInput,
+                euMin: 100,
+                euMax: 0,
+                clamp: true,
+            };
+            expect(toEngineeringValue(30000, inverted)).toBe(0);
+        });
+
+        test("should pass through non-numeric and unscaled values", () => {
+            expect(toEngineeringValue(true, analogInput)).toBe(true);
+            expect(toEngineeringValue("OPEN", analogInput)).toBe("OPEN");
+            expect(toEngineeringValue(123, { scalingMode: "none" })).toBe(123);
+        });
+    });
+
+    describe("toRawValue", () => {
+        test("should invert the scaling", () => {
+            expect(toRawValue(50, analogInput)).toBeCloseTo(13824, 10);
+            expect(
+                toRawValue("25", {
+                    scalingMode: "gain",
+                    gain: 0.1,
+                    offset: -40,
+                }),
+            ).toBeCloseTo(650, 10);
+            expect(toRawValue(7, undefined)).toBe(7);
+        });
+
+        test("should clamp the written value before inverting", () => {
+            expect(toRawValue(150, { ...analogInput, clamp: true })).toBe(
+                27648,
+            );
+            expect(toRawValue(150, analogInput)).toBeCloseTo(41472, 10);
+        });
+    });
+});
@@ -5,6 +5,9 @@
  * It also includes helper methods for emitting data and status updates via Socket.IO.
  */
 
+const { toEngineeringValue } = require("./variableScaling");
+const { tagStore, TAG_QUALITY } = require("../tagStore");
+
 /**
  * Represents a generic device. This class is intended to be subclassed.
  * @class Device
@@ -91,6 +94,16 @@ class Device {
         return Promise.resolve();
     }
 
+    /**
+     * Tells whether a variable may be written. Devices with read-only variables override this so
+     * a write can be refused before it is sent.
+     * @param {string} variableName - The name of the variable.
+     * @returns {boolean} `false` if the variable is configured but cannot be written.
+     */
+    isVariableWritable(variableName) {
+        return true;
+    }
+
     /**
      * Helper method to emit generic device data updates (typically address-value pairs) to clients via Socket.IO.
      * This is often used by subclasses after polling raw data or receiving non-variable-specific data.
@@ -114,15 +127,30 @@ class Device {
         }
     }
 
+    /**
+     * Finds a variable definition in the device configuration by name.
+     * @param {string} variableName - The name of the variable.
+     * @returns {object|undefined} The variable definition, if configured.
+     * @protected
+     */
+    _getVariableConfig(variableName) {
+        const variables = Array.isArray(this.config.variables) ? this.config.variables : [];
+        return variables.find((v) => v.name === variableName);
+    }
+
     /**
      * Helper method to emit named variable updates to clients via Socket.IO.
      * This is commonly used by devices that have a clear, named variable structure (e.g., MQTT devices).
-     * Requires `this.io` to be set.
+     * The raw value is converted to engineering units using the variable's scaling settings,
+     * so every client component bound to the variable receives the scaled value. The value is
+     * also recorded in the server tag store, even when `this.io` is not set.
      * @param {string} variableName - The name of the variable that has been updated.
-     * @param {*} value - The new value of the variable.
+     * @param {*} value - The new raw value of the variable.
      * @protected
      */
     _emitVariableUpdateToSocket(variableName, value) {
+        value = toEngineeringValue(value, this._getVariableConfig(variableName));
+        const { timestamp, quality } = tagStore.updateTag(this.id, variableName, value);
         if (this.io) {
             // console.log( // Kept for very specific debugging if needed
             //     `[Device: ${this.name}] Emitting 'device_variable_update' for var '${variableName}' with value:`, value
@@ -131,7 +159,8 @@ class Device {
                 deviceId: this.id,
                 variableName: variableName,
                 value: value,
-                timestamp: new Date().toISOString(),
+                timestamp,
+                quality,
             });
         } else {
             console.warn(
@@ -140,14 +169,36 @@ class Device {
         }
     }
 
+    /**
+     * Marks the stored values of variables with a new quality (e.g. `comm-fail` when the
+     * connection drops) and emits a `device_variable_update` for each value whose quality changed.
+     * The value and its timestamp are left unchanged.
+     * @param {string} quality - One of the tag store's `TAG_QUALITY` values.
+     * @param {Array<string>} [variableNames] - Variables to mark; defaults to all configured variables.
+     * @protected
+     */
+    _setVariablesQuality(quality, variableNames) {
+        const names = variableNames || (Array.isArray(this.config.variables) ? this.config.variables.map((v) => v.name) : []);
+        names.forEach((variableName) => {
+            const tag = tagStore.setQuality(this.id, variableName, quality);
+            if (tag && this.io) {
+                this.io.of("/devices").emit("device_variable_update", tag);
+            }
+        });
+    }
+
     /**
      * Updates the internal connection status of the device and emits this status update to clients via Socket.IO.
+     * When the device disconnects, its last values are marked `comm-fail`.
      * Requires `this.io` to be set for client notifications.
      * @param {boolean} isConnected - True if the device is now connected, false otherwise.
      * @protected
      */
     _updateStatusAndEmit(isConnected) {
         this.connected = isConnected;
+        if (!isConnected) {
+            this._setVariablesQuality(TAG_QUALITY.COMM_FAIL);
+        }
         if (this.io) {
             const statusPayload = {
                 deviceId: this.id,
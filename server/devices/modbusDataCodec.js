@@ -0,0 +1,237 @@
+/**
+ * @file Converts between raw Modbus register arrays and typed values.
+ * A variable definition declares a `dataType` (bit, int16, uint16, int32, uint32, float32,
+ * float64, string), a `byteOrder` for multi-byte values and, for `bit`, a `bitIndex` within
+ * the register. Decoding and encoding use the same definition so a value read from a
+ * register can be written back unchanged.
+ */
+
+/**
+ * Register types as shown in the variable form, mapped to their read function code.
+ * @type {Object<string, number>}
+ */
+const REGISTER_TYPES = {
+    coil: 1,
+    "discrete-input": 2,
+    "holding-register": 3,
+    "input-register": 4,
+};
+
+/**
+ * Number of 16-bit registers occupied by each fixed-size data type.
+ * `string` is variable-length and uses the variable's `quantity` instead.
+ * @type {Object<string, number>}
+ */
+const DATA_TYPE_REGISTER_COUNT = {
+    bit: 1,
+    int16: 1,
+    uint16: 1,
+    int32: 2,
+    uint32: 2,
+    float32: 2,
+    float64: 4,
+};
+
+/**
+ * Supported byte orders, written as the position of bytes A (most significant) to D.
+ * ABCD is big-endian (Modbus standard), CDAB swaps words, BADC swaps bytes within each
+ * word and DCBA swaps both.
+ * @type {Array<string>}
+ */
+const BYTE_ORDERS = ["ABCD", "CDAB", "BADC", "DCBA"];
+
+/**
+ * Integer ranges for the integer data types.
+ * @type {Object<string, {min: number, max: number}>}
+ */
+const INTEGER_RANGES = {
+    int16: { min: -0x8000, max: 0x7fff },
+    uint16: { min: 0, max: 0xffff },
+    int32: { min: -0x80000000, max: 0x7fffffff },
+    uint32: { min: 0, max: 0xffffffff },
+};
+
+/**
+ * Checks whether a data type is handled by this codec.
+ * @param {string} dataType - Data type name.
+ * @returns {boolean}
+ */
+function isModbusDataType(dataType) {
+    return (
+        dataType === "string" ||
+        Object.prototype.hasOwnProperty.call(DATA_TYPE_REGISTER_COUNT, dataType)
+    );
+}
+
+/**
+ * Returns the number of registers a variable occupies.
+ * @param {object} definition - Variable definition (`dataType`, `quantity`).
+ * @returns {number}
+ */
+function getRegisterCount(definition) {
+    if (definition.dataType === "string") {
+        return Math.max(1, parseInt(definition.quantity, 10) || 1);
+    }
+    return DATA_TYPE_REGISTER_COUNT[definition.dataType] || 1;
+}
+
+/**
+ * Reorders the bytes of a big-endian register buffer according to a byte order.
+ * The transformation is its own inverse, so it is used for both decoding and encoding.
+ * Word swapping only applies to numeric types spanning several registers.
+ * @param {Buffer} buffer - Buffer holding whole registers.
+ * @param {string} [byteOrder="ABCD"] - One of {@link BYTE_ORDERS}.
+ * @param {boolean} [allowWordSwap=true] - Whether register order may be reversed.
+ * @returns {Buffer} A new, reordered buffer.
+ */
+function reorderBytes(buffer, byteOrder = "ABCD", allowWordSwap = true) {
+    const order = BYTE_ORDERS.includes(byteOrder) ? byteOrder : "ABCD";
+    const swapBytes = order === "BADC" || order === "DCBA";
+    const swapWords = allowWordSwap && (order === "CDAB" || order === "DCBA");
+    const wordCount = buffer.length / 2;
+    const result = Buffer.alloc(buffer.length);
+    for (let i = 0; i < wordCount; i++) {
+        const source = (swapWords ? wordCount - 1 - i : i) * 2;
+        result[i * 2] = buffer[source + (swapBytes ? 1 : 0)];
+        result[i * 2 + 1] = buffer[source + (swapBytes ? 0 : 1)];
+    }
+    return result;
+}
+
+/**
+ * Decodes raw registers into a typed value.
+ * @param {Array<number>} registers - Raw 16-bit register values, in address order.
+ * @param {object} definition - Variable definition (`dataType`, `byteOrder`, `bitIndex`, `quantity`).
+ * @returns {number|boolean|string} The decoded value.
+ * @throws {Error} If the data type is unknown or too few registers were supplied.
+ */
+function decode(registers, definition) {
+    const { dataType } = definition;
+    if (!isModbusDataType(dataType)) {
+        throw new Error(`Unsupported Modbus data type '${dataType}'.`);
+    }
+    const count = getRegisterCount(definition);
+    if (!Array.isArray(registers) || registers.length < count) {
+        throw new Error(
+            `Data type '${dataType}' needs ${count} register(s), got ${registers ? registers.length : 0}.`,
+        );
+    }
+    if (dataType === "bit") {
+        const bitIndex = parseInt(definition.bitIndex, 10) || 0;
+        return ((registers[0] >> bitIndex) & 1) === 1;
+    }
+
+    const raw = Buffer.alloc(count * 2);
+    registers
+        .slice(0, count)
+        .forEach((register, i) => raw.writeUInt16BE(register & 0xffff, i * 2));
+    const buffer = reorderBytes(
+        raw,
+        definition.byteOrder,
+        dataType !== "string",
+    );
+
+    switch (dataType) {
+        case "int16":
+            return buffer.readInt16BE(0);
+        case "uint16":
+            return buffer.readUInt16BE(0);
+        case "int32":
+            return buffer.readInt32BE(0);
+        case "uint32":
+            return buffer.readUInt32BE(0);
+        case "float32":
+            return buffer.readFloatBE(0);
+        case "float64":
+            return buffer.readDoubleBE(0);
+        case "string": {
+            const text = buffer.toString("latin1");
+            const terminator = text.indexOf("\0");
+            return terminator === -1 ? text : text.substring(0, terminator);
+        }
+        default:
+            throw new Error(`Unsupported Modbus data type '${dataType}'.`);
+    }
+}
+
+/**
+ * Encodes a typed value into raw registers, using the same definition as {@link decode}.
+ * `bit` variables cannot be encoded on their own because the other bits of the register
+ * must be preserved; use {@link setBit} on the current register value instead.
+ * @param {*} value - Value to encode.
+ * @param {object} definition - Variable definition (`dataType`, `byteOrder`, `quantity`).
+ * @returns {Array<number>} Register values, in address order.
+ * @throws {Error} If the value does not fit the data type.
+ */
+function encode(value, definition) {
+    const { dataType } = definition;
+    if (!isModbusDataType(dataType) || dataType === "bit") {
+        throw new Error(`Cannot encode values of data type '${dataType}'.`);
+    }
+    const count = getRegisterCount(definition);
+    const buffer = Buffer.alloc(count * 2);
+
+    if (dataType === "string") {
+        buffer.write(String(value ?? ""), 0, buffer.length, "latin1");
+    } else {
+        const number = Number(value);
+        if (
+            value === "" ||
+            value === null ||
+            typeof value === "boolean" ||
+            !Number.isFinite(number)
+        ) {
+            throw new Error(`Value '${value}' is not a valid ${dataType}.`);
+        }
+        if (INTEGER_RANGES[dataType]) {
+            const integer = Math.round(number);
+            const { min, max } = INTEGER_RANGES[dataType];
+            if (integer < min || integer > max) {
+                throw new Error(
+                    `Value '${value}' is out of range for ${dataType} (${min}..${max}).`,
+                );
+            }
+            if (dataType === "int16") buffer.writeInt16BE(integer, 0);
+            else if (dataType === "uint16") buffer.writeUInt16BE(integer, 0);
+            else if (dataType === "int32") buffer.writeInt32BE(integer, 0);
+            else buffer.writeUInt32BE(integer, 0);
+        } else if (dataType === "float32") {
+            buffer.writeFloatBE(number, 0);
+        } else {
+            buffer.writeDoubleBE(number, 0);
+        }
+    }
+
+    const ordered = reorderBytes(
+        buffer,
+        definition.byteOrder,
+        dataType !== "string",
+    );
+    const registers = [];
+    for (let i = 0; i < count; i++) {
+        registers.push(ordered.readUInt16BE(i * 2));
+    }
+    return registers;
+}
+
+/**
+ * Returns a register value with a single bit set or cleared.
+ * @param {number} register - Current register value.
+ * @param {number} bitIndex - Bit position (0 = least significant).
+ * @param {boolean} state - Desired bit state.
+ * @returns {number} The updated register value.
+ */
+function setBit(register, bitIndex, state) {
+    const mask = 1 << (parseInt(bitIndex, 10) || 0);
+    return (state ? register | mask : register & ~mask) & 0xffff;
+}
+
+module.exports = {
+    REGISTER_TYPES,
+    BYTE_ORDERS,
+    isModbusDataType,
+    getRegisterCount,
+    decode,
+    encode,
+    setBit,
+};
@@ -0,0 +1,579 @@
+/**
+ * @file Defines the ModbusDevice class, the shared base for Modbus TCP and Modbus RTU devices.
+ * It implements the polling engine (variables are grouped by unit id and function code,
+ * contiguous addresses are merged into single read requests, and the values are pushed to
+ * clients through `_emitVariableUpdateToSocket`), variable writes (FC5/FC6/FC15/FC16) and a
+ * serialized request queue so only one transaction is in flight at a time. Typed register
+ * variables are decoded/encoded with `modbusDataCodec`.
+ * Subclasses are responsible for creating `this.client` and for opening/closing the transport.
+ * @extends Device
+ */
+
+const Device = require("./baseDevice");
+const {
+    REGISTER_TYPES,
+    isModbusDataType,
+    getRegisterCount,
+    decode,
+    encode,
+    setBit,
+} = require("./modbusDataCodec");
+const { hasScaling, toRawValue } = require("./variableScaling");
+const { TAG_QUALITY } = require("../tagStore");
+
+/**
+ * Read function codes supported by the poller, mapped to the modbus-serial promise API.
+ * `maxQuantity` is the protocol limit for a single request of that type.
+ * @type {Object<number, {method: string, isBit: boolean, maxQuantity: number}>}
+ */
+const READ_FUNCTIONS = {
+    1: { method: "readCoils", isBit: true, maxQuantity: 2000 },
+    2: { method: "readDiscreteInputs", isBit: true, maxQuantity: 2000 },
+    3: { method: "readHoldingRegisters", isBit: false, maxQuantity: 125 },
+    4: { method: "readInputRegisters", isBit: false, maxQuantity: 125 },
+};
+
+/**
+ * Write function codes, mapped to the modbus-serial promise API.
+ * @type {Object<number, {method: string, isBit: boolean, isMultiple: boolean}>}
+ */
+const WRITE_FUNCTIONS = {
+    5: { method: "writeCoil", isBit: true, isMultiple: false },
+    6: { method: "writeRegister", isBit: false, isMultiple: false },
+    15: { method: "writeCoils", isBit: true, isMultiple: true },
+    16: { method: "writeRegisters", isBit: false, isMultiple: true },
+};
+
+/** Default polling interval in milliseconds. */
+const DEFAULT_POLL_INTERVAL = 1000;
+
+/**
+ * Parses a Modbus data address (0-based, 0-65535).
+ * @param {string|number} address - Raw address value.
+ * @returns {number|null} The address, or null if it is not a valid Modbus address.
+ */
+function parseAddress(address) {
+    if (address === "" || address === null || address === undefined)
+        return null;
+    const parsed = Number(address);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > 0xffff) return null;
+    return parsed;
+}
+
+/**
+ * Resolves the function code of a variable, either from an explicit `functionCode`
+ * or from its `registerType` (coil, discrete-input, holding-register, input-register).
+ * @param {object} variable - Variable definition from the device config.
+ * @returns {number|null}
+ */
+function resolveFunctionCode(variable) {
+    return (
+        parseInt(variable.functionCode, 10) ||
+        REGISTER_TYPES[variable.registerType] ||
+        null
+    );
+}
+
+/**
+ * Checks whether a variable holds a typed register value that goes through the codec.
+ * @param {object} variable - Variable definition from the device config.
+ * @param {number} functionCode - The variable's resolved function code.
+ * @returns {boolean}
+ */
+function isTypedRegister(variable, functionCode) {
+    const isRegisterFunction = [3, 4, 6, 16].includes(functionCode);
+    return isRegisterFunction && isModbusDataType(variable.dataType);
+}
+
+/**
+ * Normalizes a variable definition into a read item, or returns null if the
+ * variable cannot be polled (missing/unsupported function code or invalid address).
+ * @param {object} variable - Variable definition from the device config.
+ * @param {number} defaultUnitId - Unit id used when the variable does not define one.
+ * @returns {{variable: object, unitId: number, functionCode: number, address: number, quantity: number}|null}
+ */
+function toReadItem(variable, defaultUnitId) {
+    if (!variable || !variable.name) return null;
+    const functionCode = resolveFunctionCode(variable);
+    if (!READ_FUNCTIONS[functionCode]) return null;
+    const address = parseAddress(variable.address);
+    if (address === null) return null;
+    const quantity = isTypedRegister(variable, functionCode)
+        ? getRegisterCount(variable)
+        : Math.max(1, parseInt(variable.quantity, 10) || 1);
+    const unitId = parseInt(variable.unitId, 10) || defaultUnitId;
+    return { variable, unitId, functionCode, address, quantity };
+}
+
+/**
+ * Groups pollable variables into read blocks. Variables sharing a unit id and function
+ * code whose address ranges touch or overlap are merged into one request, as long as the
+ * merged block stays within the protocol limit for that function code.
+ * @param {Array<object>} [variables=[]] - Variable definitions from the device config.
+ * @param {number} [defaultUnitId=1] - Unit id for variables that do not define one.
+ * @returns {Array<{unitId: number, functionCode: number, address: number, quantity: number, items: Array<object>}>}
+ *          Read blocks, ordered by unit id, function code and start address.
+ */
+function buildReadBlocks(variables = [], defaultUnitId = 1) {
+    const itemsByGroup = new Map();
+    variables.forEach((variable) => {
+        const item = toReadItem(variable, defaultUnitId);
+        if (!item) return;
+        const groupKey = item.unitId * 256 + item.functionCode;
+        if (!itemsByGroup.has(groupKey)) {
+            itemsByGroup.set(groupKey, []);
+        }
+        itemsByGroup.get(groupKey).push(item);
+    });
+
+    const blocks = [];
+    Array.from(itemsByGroup.keys())
+        .sort((a, b) => a - b)
+        .forEach((groupKey) => {
+            const items = itemsByGroup
+                .get(groupKey)
+                .sort((a, b) => a.address - b.address);
+            const { unitId, functionCode } = items[0];
+            const { maxQuantity } = READ_FUNCTIONS[functionCode];
+            let current = null;
+            items.forEach((item) => {
+                const itemEnd = item.address + item.quantity;
+                if (current) {
+                    const currentEnd = current.address + current.quantity;
+                    const mergedQuantity =
+                        Math.max(currentEnd, itemEnd) - current.address;
+                    if (
+                        item.address <= currentEnd &&
+                        mergedQuantity <= maxQuantity
+                    ) {
+                        current.quantity = mergedQuantity;
+                        current.items.push(item);
+                        return;
+                    }
+                }
+                current = {
+                    unitId,
+                    functionCode,
+                    address: item.address,
+                    quantity: item.quantity,
+                    items: [item],
+                };
+                blocks.push(current);
+            });
+        });
+    return blocks;
+}
+
+/**
+ * Extracts the value of a single read item from a block response. Typed register variables
+ * are decoded with the codec; otherwise single-element items yield a scalar and
+ * multi-element items yield an array of raw values.
+ * @param {Array<number|boolean>} data - The `data` array returned by modbus-serial.
+ * @param {object} block - The block the response belongs to.
+ * @param {object} item - The read item to extract.
+ * @returns {number|boolean|string|Array<number|boolean>}
+ * @throws {Error} If the registers cannot be decoded.
+ */
+function extractItemValue(data, block, item) {
+    const offset = item.address - block.address;
+    const raw = data.slice(offset, offset + item.quantity);
+    if (isTypedRegister(item.variable, item.functionCode))
+        return decode(raw, item.variable);
+    return item.quantity === 1 ? raw[0] : raw;
+}
+
+/**
+ * Determines the function code used to write a variable. Write function codes are used as-is;
+ * coils (FC1) and holding registers (FC3) map to their single or multiple write counterparts.
+ * Discrete inputs (FC2) and input registers (FC4) are read-only.
+ * @param {object} variable - Variable definition from the device config.
+ * @returns {number|null} The write function code, or null if the variable is not writable.
+ */
+function getWriteFunctionCode(variable) {
+    const functionCode = resolveFunctionCode(variable);
+    if (WRITE_FUNCTIONS[functionCode]) return functionCode;
+    const quantity = isTypedRegister(variable, functionCode)
+        ? getRegisterCount(variable)
+        : parseInt(variable.quantity, 10) || 1;
+    const isMultiple = quantity > 1;
+    if (functionCode === 1) return isMultiple ? 15 : 5;
+    if (functionCode === 3) return isMultiple ? 16 : 6;
+    return null;
+}
+
+/**
+ * Converts a value into the payload expected by the modbus-serial write method.
+ * @param {number} functionCode - Write function code (5, 6, 15 or 16).
+ * @param {*} value - Value to write. Multiple writes accept an array or a single value.
+ * @returns {boolean|number|Array<boolean|number>} The payload.
+ * @throws {Error} If a register value is not a number in the 16-bit range.
+ */
+function toWritePayload(functionCode, value) {
+    const { isBit, isMultiple } = WRITE_FUNCTIONS[functionCode];
+    const toBit = (v) =>
+        v === true ||
+        v === 1 ||
+        v === "1" ||
+        String(v).toLowerCase() === "true";
+    const toRegister = (v) => {
+        const number = Number(v);
+        if (!Number.isInteger(number) || number < -0x8000 || number > 0xffff) {
+            throw new Error(
+                `Value '${v}' is not a valid 16-bit register value.`,
+            );
+        }
+        return number & 0xffff; // Negative values are written as two's complement.
+    };
+    const convert = isBit ? toBit : toRegister;
+    if (!isMultiple) return convert(value);
+    return (Array.isArray(value) ? value : [value]).map(convert);
+}
+
+/**
+ * Rounds an unscaled register value (or array of values) to whole numbers.
+ * Used after converting an engineering value back to raw counts, which are rarely integral.
+ * @param {*} value - Raw value or array of raw values.
+ * @returns {*} The rounded value; non-numeric values are returned unchanged.
+ */
+function roundRegisterValue(value) {
+    if (Array.isArray(value)) return value.map(roundRegisterValue);
+    return typeof value === "number" ? Math.round(value) : value;
+}
+
+/**
+ * Base class for Modbus devices (TCP and RTU). Provides the polling scheduler
+ * and block-read logic on top of a modbus-serial client.
+ * @class ModbusDevice
+ * @extends {Device}
+ */
+class ModbusDevice extends Device {
+    /**
+     * Creates an instance of ModbusDevice.
+     * @param {object} config - Device configuration.
+     * @param {number} [config.pollInterval=1000] - Interval between polling cycles in milliseconds.
+     * @param {Array<object>} [config.variables=[]] - Variable definitions. Each pollable variable has
+     *        `name`, `registerType` or `functionCode` (1-4), `address` (0-based) and optionally
+     *        `unitId` and `quantity` (default 1). Register variables may declare a `dataType`
+     *        (see `modbusDataCodec`) with `byteOrder` and, for `bit`, `bitIndex`.
+     * @param {SocketIO.Server} [socketIoInstance=null] - Socket.IO server instance.
+     */
+    constructor(config, socketIoInstance) {
+        super(config, socketIoInstance);
+        /** @type {number} Interval between polling cycles in milliseconds. */
+        this.pollInterval =
+            parseInt(this.config.pollInterval, 10) || DEFAULT_POLL_INTERVAL;
+        /**
+         * @type {Map<string, string>}
+         * @private
+         * Last emitted value per variable (JSON-encoded), used to only emit on change.
+         */
+        this._lastValues = new Map();
+        /** @type {NodeJS.Timeout|null} @private Handle of the next scheduled poll. */
+        this._pollTimer = null;
+        /**
+         * @type {number}
+         * @private
+         * Incremented on every start/stop so a cycle still in flight from a previous
+         * loop does not reschedule itself.
+         */
+        this._pollGeneration = 0;
+        /**
+         * @type {Promise<void>}
+         * @private
+         * Tail of the request queue. Every Modbus transaction is chained onto it so that
+         * only one request is on the wire (or RS-485 bus) at a time.
+         */
+        this._queueTail = Promise.resolve();
+    }
+
+    /**
+     * Queues a Modbus transaction for the given unit id. The transaction runs once all
+     * previously queued transactions have settled.
+     * @param {number} unitId - Unit (slave) id to address.
+     * @param {function(): Promise<*>} request - Performs the request on `this.client`.
+     * @returns {Promise<*>} Resolves or rejects with the outcome of `request`.
+     * @protected
+     */
+    _enqueue(unitId, request) {
+        const run = () => {
+            this.client.setID(unitId);
+            return request();
+        };
+        const result = this._queueTail.then(run, run);
+        this._queueTail = result.then(
+            () => {},
+            () => {},
+        );
+        return result;
+    }
+
+    /**
+     * Starts the polling loop. The first cycle runs immediately; each following cycle is
+     * scheduled `pollInterval` ms after the previous one finished, so slow devices never
+     * accumulate overlapping requests.
+     */
+    startPolling() {
+        this.stopPolling();
+        this._lastValues.clear();
+        const generation = this._pollGeneration;
+        const poll = async () => {
+            if (generation !== this._pollGeneration) return;
+            try {
+                await this.readData();
+            } catch (error) {
+                console.error(
+                    `[${this.name}] Unexpected error during Modbus poll:`,
+                    error.message,
+                );
+            }
+            if (generation !== this._pollGeneration) return;
+            this._pollTimer = setTimeout(poll, this.pollInterval);
+            if (this._pollTimer.unref) this._pollTimer.unref();
+        };
+        poll();
+    }
+
+    /**
+     * Stops the polling loop. Safe to call when polling is not active.
+     */
+    stopPolling() {
+        this._pollGeneration += 1;
+        if (this._pollTimer) {
+            clearTimeout(this._pollTimer);
+            this._pollTimer = null;
+        }
+    }
+
+    /**
+     * Runs one polling cycle: reads every block built from the configured variables and
+     * emits changed values. A failing block is logged and does not abort the other blocks.
+     * @override
+     * @async
+     * @returns {Promise<void>}
+     */
+    async readData() {
+        if (!this.connected) return;
+        const blocks = buildReadBlocks(this.config.variables, this.unitId);
+        for (const block of blocks) {
+            if (!this.connected) return;
+            await this._readBlock(block);
+        }
+    }
+
+    /**
+     * Reads a single block and emits the values of its variables. If the read fails (e.g. a
+     * timeout), the variables of the block are marked `comm-fail`.
+     * @param {object} block - Block produced by `buildReadBlocks`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _readBlock(block) {
+        const { method } = READ_FUNCTIONS[block.functionCode];
+        try {
+            const result = await this._enqueue(block.unitId, () =>
+                this.client[method](block.address, block.quantity),
+            );
+            const data = (result && result.data) || [];
+            block.items.forEach((item) => {
+                try {
+                    this._emitIfChanged(
+                        item.variable.name,
+                        extractItemValue(data, block, item),
+                    );
+                } catch (error) {
+                    console.error(
+                        `[${this.name}] Could not decode variable '${item.variable.name}':`,
+                        error.message,
+                    );
+                }
+            });
+        } catch (error) {
+            console.error(
+                `[${this.name}] Modbus read FC${block.functionCode} at ${block.address} (qty ${block.quantity}, unit ${block.unitId}) failed:`,
+                error.message,
+            );
+            // Flag the block's values as unreliable; forget them so the next good read is emitted.
+            const names = block.items.map((item) => item.variable.name);
+            names.forEach((name) => this._lastValues.delete(name));
+            this._setVariablesQuality(TAG_QUALITY.COMM_FAIL, names);
+        }
+    }
+
+    /**
+     * Writes a value to a configured variable, using the variable's unit id, address and
+     * (derived) write function code. Typed register variables are encoded with the same
+     * definition used to decode them; `bit` variables inside a register are written with a
+     * read-modify-write so the other bits are preserved. Scaled variables take the value in
+     * engineering units and convert it back to raw before encoding.
+     * @param {string} variableName - Name of the variable to write.
+     * @param {*} value - Value to write, in engineering units if the variable is scaled.
+     * @returns {Promise<void>}
+     * @throws {Error} If the variable does not exist or is read-only, or if the write fails.
+     */
+    async writeVariable(variableName, value) {
+        const variable = this._getVariableConfig(variableName);
+        if (!variable) {
+            throw new Error(
+                `Variable '${variableName}' not found on device ${this.name}.`,
+            );
+        }
+        const functionCode = getWriteFunctionCode(variable);
+        if (!functionCode) {
+            throw new Error(
+                `Variable '${variableName}' is read-only (FC${variable.functionCode}).`,
+            );
+        }
+        const unitId = parseInt(variable.unitId, 10) || this.unitId;
+        if (!isTypedRegister(variable, resolveFunctionCode(variable))) {
+            const rawValue = hasScaling(variable)
+                ? roundRegisterValue(toRawValue(value, variable))
+                : value;
+            await this.writeData(variable.address, rawValue, {
+                functionCode,
+                unitId,
+            });
+            return;
+        }
+        if (variable.dataType === "bit") {
+            await this._writeRegisterBit(
+                unitId,
+                variable.address,
+                variable.bitIndex,
+                value,
+            );
+            return;
+        }
+        const registers = encode(toRawValue(value, variable), variable);
+        const registerFunctionCode = registers.length > 1 ? 16 : functionCode;
+        await this.writeData(
+            variable.address,
+            registerFunctionCode === 6 ? registers[0] : registers,
+            {
+                functionCode: registerFunctionCode,
+                unitId,
+            },
+        );
+    }
+
+    /**
+     * A variable is writable unless it maps to discrete inputs (FC2) or input registers (FC4).
+     * @override
+     * @param {string} variableName - The name of the variable.
+     * @returns {boolean} `false` if the variable is configured but read-only.
+     */
+    isVariableWritable(variableName) {
+        const variable = this._getVariableConfig(variableName);
+        return !variable || getWriteFunctionCode(variable) !== null;
+    }
+
+    /**
+     * Sets or clears one bit of a holding register. The read and the write are queued as a
+     * single transaction so no other request can modify the register in between.
+     * @param {number} unitId - Unit id to address.
+     * @param {string|number} address - Register address.
+     * @param {number} bitIndex - Bit position within the register (0-15).
+     * @param {*} value - Desired bit state (truthy/falsy, "true"/"false", 1/0).
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeRegisterBit(unitId, address, bitIndex, value) {
+        if (!this.connected) {
+            throw new Error(`Device ${this.name} is not connected.`);
+        }
+        const parsedAddress = parseAddress(address);
+        if (parsedAddress === null) {
+            throw new Error(`Invalid Modbus address '${address}'.`);
+        }
+        const state = toWritePayload(5, value);
+        try {
+            await this._enqueue(unitId, async () => {
+                const { data } = await this.client.readHoldingRegisters(
+                    parsedAddress,
+                    1,
+                );
+                await this.client.writeRegister(
+                    parsedAddress,
+                    setBit(data[0], bitIndex, state),
+                );
+            });
+        } catch (error) {
+            console.error(
+                `[${this.name}] Modbus bit write at ${parsedAddress}.${bitIndex} (unit ${unitId}) failed:`,
+                error.message,
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Writes a value to a Modbus address. If `address` is the name of a configured variable
+     * the write is delegated to `writeVariable`.
+     * @override
+     * @param {string|number} address - 0-based Modbus address, or a variable name.
+     * @param {*} value - Value to write.
+     * @param {object} [options={}] - Write options.
+     * @param {number} [options.functionCode] - 5, 6, 15 or 16. Defaults to FC5 for boolean
+     *        values and FC6 for anything else (FC15/FC16 for arrays).
+     * @param {number} [options.unitId] - Unit id to address. Defaults to the device unit id.
+     * @returns {Promise<void>}
+     * @throws {Error} If not connected, if the parameters are invalid or if the write fails.
+     */
+    async writeData(address, value, options = {}) {
+        const isVariableName = (this.config.variables || []).some(
+            (v) => v.name === address,
+        );
+        if (isVariableName && options.functionCode === undefined) {
+            return this.writeVariable(address, value);
+        }
+        if (!this.connected) {
+            throw new Error(`Device ${this.name} is not connected.`);
+        }
+        const parsedAddress = parseAddress(address);
+        if (parsedAddress === null) {
+            throw new Error(`Invalid Modbus address '${address}'.`);
+        }
+        let functionCode = parseInt(options.functionCode, 10);
+        if (!functionCode) {
+            const isMultiple = Array.isArray(value);
+            const isBit = typeof (isMultiple ? value[0] : value) === "boolean";
+            functionCode = isBit ? (isMultiple ? 15 : 5) : isMultiple ? 16 : 6;
+        }
+        if (!WRITE_FUNCTIONS[functionCode]) {
+            throw new Error(
+                `Unsupported Modbus write function code FC${options.functionCode}.`,
+            );
+        }
+        const unitId = parseInt(options.unitId, 10) || this.unitId;
+        const payload = toWritePayload(functionCode, value);
+        const { method } = WRITE_FUNCTIONS[functionCode];
+        try {
+            await this._enqueue(unitId, () =>
+                this.client[method](parsedAddress, payload),
+            );
+            console.log(
+                `[${this.name}] Wrote ${JSON.stringify(payload)} to address ${parsedAddress} (FC${functionCode}, unit ${unitId}).`,
+            );
+        } catch (error) {
+            console.error(
+                `[${this.name}] Modbus write FC${functionCode} at ${parsedAddress} (unit ${unitId}) failed:`,
+                error.message,
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Emits a variable update only when the value differs from the last emitted one.
+     * @param {string} variableName - Name of the variable.
+     * @param {*} value - Newly read value.
+     * @private
+     */
+    _emitIfChanged(variableName, value) {
+        const serialized = JSON.stringify(value);
+        if (this._lastValues.get(variableName) === serialized) return;
+        this._lastValues.set(variableName, serialized);
+        this._emitVariableUpdateToSocket(variableName, value);
+    }
+}
+
+module.exports = ModbusDevice;
@@ -1,23 +1,24 @@
 /**
  * @file Defines the ModbusTcpDevice class for communication
  * with devices using the Modbus TCP protocol.
- * @extends Device
+ * @extends ModbusDevice
  */
 
-const Device = require("./baseDevice");
+const ModbusDevice = require("./modbusDevice");
 const ModbusRTU = require("modbus-serial"); // modbus-serial library handles both RTU and TCP
 
 /**
  * Represents a Modbus TCP device.
  * Handles connection, disconnection, and data interaction via Modbus TCP.
  * @class ModbusTcpDevice
- * @extends {Device}
+ * @extends {ModbusDevice}
  */
-class ModbusTcpDevice extends Device {
+class ModbusTcpDevice extends ModbusDevice {
     /**
      * Creates an instance of ModbusTcpDevice.
      * @param {object} config - Device configuration. Expected to contain `host`, `port`,
-     *                          and optionally `unitId`, `timeout`.
+     *                          and optionally `unitId`, `timeout`, `pollInterval` and `variables`
+     *                          (see {@link ModbusDevice}).
      * @param {string} [config.host="127.0.0.1"] - The hostname or IP address of the Modbus TCP server.
      * @param {number} [config.port=502] - The port number for Modbus TCP.
      * @param {number} [config.unitId=1] - The Modbus unit ID (slave ID).
@@ -86,6 +87,7 @@ class ModbusTcpDevice extends Device {
                     this._updateStatusAndEmit(true);
                     console.log(`[${this.name}] Successfully connected to Modbus TCP at ${this.host}:${this.port}.`);
                     resolve();
+                    this.startPolling();
                 });
             });
         } catch (error) {
@@ -106,6 +108,7 @@ class ModbusTcpDevice extends Device {
             return;
         }
         console.log(`[${this.name}] Disconnecting from Modbus TCP at ${this.host}:${this.port}.`);
+        this.stopPolling();
         try {
             if (this.client.isOpen) {
                 // For TCP, client.close() is typically synchronous or uses a callback.
@@ -121,34 +124,6 @@ class ModbusTcpDevice extends Device {
             this._updateStatusAndEmit(false);
         }
     }
-
-    /**
-     * Reads data from the Modbus TCP device.
-     * Placeholder - actual implementation needed based on polling requirements and
-     * variable definitions in the device configuration.
-     * @override
-     * @todo Implement actual Modbus TCP data reading.
-     */
-    readData() {
-        // TODO: Implement Modbus TCP data reading logic (similar to RTU's TODO but using TCP client)
-        super.readData();
-    }
-
-    /**
-     * Writes data to the Modbus TCP device.
-     * Placeholder - actual implementation needed, including determining Modbus function codes.
-     * @override
-     * @async
-     * @param {string|number} address - The Modbus address (e.g., register number).
-     * @param {*} value - The value to write.
-     * @param {object} [options={}] - Optional parameters for the write operation (e.g., `unitId`, `functionCode`).
-     * @returns {Promise<void>}
-     * @todo Implement actual Modbus TCP data writing.
-     */
-    async writeData(address, value, options = {}) {
-        // TODO: Implement Modbus TCP data writing logic (similar to RTU's TODO but using TCP client)
-        return super.writeData(address, value, options);
-    }
 }
 
 module.exports = ModbusTcpDevice;
@@ -8,6 +8,7 @@
 
 const mqtt = require("mqtt"); // MQTT library
 const Device = require("./baseDevice"); // Base Device class
+const { toRawValue } = require("./variableScaling"); // Engineering unit -> raw conversion
 
 /**
  * Matches a topic against a filter that can contain MQTT wildcards.
@@ -633,42 +634,63 @@ class MqttDevice extends Device {
         }
     }
 
+    /**
+     * A variable is writable if publishing is enabled and it has a publish topic.
+     * @override
+     * @param {string} variableName - The name of the variable.
+     * @returns {boolean} `false` if the variable is configured but cannot be published.
+     */
+    isVariableWritable(variableName) {
+        const variableConfig = this._getVariableConfig(variableName);
+        return !variableConfig || Boolean(variableConfig.enablePublish && variableConfig.publishTopic);
+    }
+
     /**
      * Publishes a value to the MQTT topic associated with a configured HMI variable.
      * This method looks up the variable's configuration to find its `publishTopic`,
      * QoS, and retain flag settings.
      *
      * @param {string} variableName - The name of the HMI variable whose value is to be published.
-     * @param {*} value - The value to publish. It will be converted to a string for the MQTT payload.
+     * @param {*} value - The value to publish. Scaled variables take the value in engineering units
+     *                    and publish the raw value. It will be converted to a string for the MQTT payload.
+     * @returns {Promise<void>} Resolves when the broker has accepted the publish (for QoS 0, when
+     *          it has been sent).
+     * @throws {Error} (as a rejection) If the variable is not defined or not publishable, if the
+     *         client is not connected, or if the publish fails.
      */
     writeVariable(variableName, value) {
-        const variableConfig = this.config.variables.find(
-            (v) => v.name === variableName,
-        );
+        const variableConfig = this._getVariableConfig(variableName);
         if (!variableConfig) {
             console.warn(
                 `[${this.name}] Variable '${variableName}' not defined. Cannot write.`,
             );
-            return;
+            return Promise.reject(new Error(`Variable '${variableName}' not found on device ${this.name}.`));
         }
         if (!variableConfig.enablePublish || !variableConfig.publishTopic) {
             console.warn(
                 `[${this.name}] Publishing not enabled or no publish topic for variable '${variableName}'.`,
             );
-            return;
+            return Promise.reject(new Error(`Publishing is not enabled for variable '${variableName}'.`));
         }
 
-        if (this.client && this.client.connected) {
-            const qos =
-                typeof variableConfig.qosPublish === "number"
-                    ? variableConfig.qosPublish
-                    : 0;
-            const retain =
-                typeof variableConfig.retainPublish === "boolean"
-                    ? variableConfig.retainPublish
-                    : false;
-            const payload = String(value);
+        if (!this.client || !this.client.connected) {
+            console.warn(
+                `[${this.name}] MQTT client not connected. Cannot write variable '${variableName}'.`,
+            );
+            return Promise.reject(new Error(`Device ${this.name} is not connected.`));
+        }
 
+        const qos =
+            typeof variableConfig.qosPublish === "number"
+                ? variableConfig.qosPublish
+                : 0;
+        const retain =
+            typeof variableConfig.retainPublish === "boolean"
+                ? variableConfig.retainPublish
+                : false;
+        const payload = String(toRawValue(value, variableConfig));
+
+        return new Promise((resolve, reject) => {
             this.client.publish(
                 variableConfig.publishTopic,
                 payload,
@@ -678,14 +700,13 @@ class MqttDevice extends Device {
                         console.error(
                             `[${this.name}] MQTT publish error to topic '${variableConfig.publishTopic}' for var '${variableName}': ${err.message}`,
                         );
+                        reject(err);
+                        return;
                     }
+                    resolve();
                 },
             );
-        } else {
-            console.warn(
-                `[${this.name}] MQTT client not connected. Cannot write variable '${variableName}'.`,
-            );
-        }
+        });
     }
 }
 
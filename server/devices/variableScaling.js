@@ -0,0 +1,141 @@
+/**
+ * @file Linear scaling between raw device values and engineering units (EU).
+ * A variable definition opts in with `scalingMode`:
+ * - `"linear"`: maps `rawMin..rawMax` onto `euMin..euMax` (e.g. 0–27648 counts → 0–100 %).
+ * - `"gain"`: `eu = raw * gain + offset`.
+ * With `clamp` enabled the engineering value is limited to the `euMin..euMax` range, both
+ * when reading and before a written value is converted back to raw.
+ * Non-numeric values (booleans, strings that are not numbers) pass through unchanged.
+ */
+
+/**
+ * Parses an optional numeric setting.
+ * @param {*} value - Raw setting value from the variable definition.
+ * @returns {number|null} The number, or null if the setting is empty or not numeric.
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Resolves a variable definition into the factors of `eu = raw * gain + offset`.
+ * @param {object} [definition] - Variable definition.
+ * @returns {{gain: number, offset: number}|null} The factors, or null if the variable is not scaled
+ *   or its settings are incomplete.
+ */
+function getScalingFactors(definition) {
+    if (!definition) return null;
+    if (definition.scalingMode === "linear") {
+        const rawMin = toNumber(definition.rawMin);
+        const rawMax = toNumber(definition.rawMax);
+        const euMin = toNumber(definition.euMin);
+        const euMax = toNumber(definition.euMax);
+        if (
+            rawMin === null ||
+            rawMax === null ||
+            euMin === null ||
+            euMax === null ||
+            rawMin === rawMax
+        ) {
+            return null;
+        }
+        const gain = (euMax - euMin) / (rawMax - rawMin);
+        return { gain, offset: euMin - rawMin * gain };
+    }
+    if (definition.scalingMode === "gain") {
+        const gain = toNumber(definition.gain) ?? 1;
+        if (gain === 0) return null;
+        return { gain, offset: toNumber(definition.offset) ?? 0 };
+    }
+    return null;
+}
+
+/**
+ * Limits an engineering value to the variable's EU range when clamping is enabled.
+ * Either bound may be left empty to clamp on one side only.
+ * @param {number} value - Engineering value.
+ * @param {object} definition - Variable definition.
+ * @returns {number}
+ */
+function clampToRange(value, definition) {
+    if (!definition.clamp) return value;
+    const euMin = toNumber(definition.euMin);
+    const euMax = toNumber(definition.euMax);
+    const low =
+        euMin !== null && euMax !== null ? Math.min(euMin, euMax) : euMin;
+    const high =
+        euMin !== null && euMax !== null ? Math.max(euMin, euMax) : euMax;
+    let result = value;
+    if (low !== null && result < low) result = low;
+    if (high !== null && result > high) result = high;
+    return result;
+}
+
+/**
+ * Applies a numeric conversion to a value, element-wise for arrays.
+ * @param {*} value - Number, numeric string or array of those.
+ * @param {function(number): number} convert - Conversion for a single number.
+ * @returns {*} The converted value, or the input unchanged if it is not numeric.
+ */
+function mapNumeric(value, convert) {
+    if (Array.isArray(value)) {
+        return value.map((item) => mapNumeric(item, convert));
+    }
+    if (typeof value === "number" && Number.isFinite(value)) {
+        return convert(value);
+    }
+    if (
+        typeof value === "string" &&
+        value.trim() !== "" &&
+        Number.isFinite(Number(value))
+    ) {
+        return convert(Number(value));
+    }
+    return value;
+}
+
+/**
+ * Checks whether a variable definition has usable scaling settings.
+ * @param {object} [definition] - Variable definition.
+ * @returns {boolean}
+ */
+function hasScaling(definition) {
+    return getScalingFactors(definition) !== null;
+}
+
+/**
+ * Converts a raw device value into engineering units.
+ * @param {*} rawValue - Value as read from the device.
+ * @param {object} [definition] - Variable definition.
+ * @returns {*} The scaled (and optionally clamped) value.
+ */
+function toEngineeringValue(rawValue, definition) {
+    const factors = getScalingFactors(definition);
+    if (!factors) return rawValue;
+    return mapNumeric(rawValue, (raw) =>
+        clampToRange(raw * factors.gain + factors.offset, definition),
+    );
+}
+
+/**
+ * Converts an engineering value back into the raw value to write to the device.
+ * @param {*} euValue - Value in engineering units, e.g. from a component.
+ * @param {object} [definition] - Variable definition.
+ * @returns {*} The raw value. Integer rounding is left to the device encoder.
+ */
+function toRawValue(euValue, definition) {
+    const factors = getScalingFactors(definition);
+    if (!factors) return euValue;
+    return mapNumeric(
+        euValue,
+        (eu) => (clampToRange(eu, definition) - factors.offset) / factors.gain,
+    );
+}
+
+module.exports = {
+    hasScaling,
+    toEngineeringValue,
+    toRawValue,
+};
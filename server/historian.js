@@ -0,0 +1,486 @@
+/**
+ * @file Historian: records selected variable values from the tag store into an on-disk
+ * time-series store and answers time-range queries with min/max/avg downsampling.
+ *
+ * A variable is logged when its configuration has `logHistory: true`:
+ * - `historyDeadband` (number): log when a numeric value moves more than this amount from the
+ *   last logged value (non-numeric values are logged on any change).
+ * - `historyInterval` (ms): log the current value at this interval, even if it did not change.
+ * With neither set, every change is logged. Only values of `good` quality are recorded.
+ *
+ * Samples are stored as newline-delimited JSON, one file per UTC day
+ * (`server/data/history/YYYY-MM-DD.ndjson`), which makes retention a matter of deleting old
+ * files. Samples are buffered in memory and appended once per second. Day files are kept for
+ * 30 days unless the `HMI_HISTORY_RETENTION_DAYS` environment variable says otherwise (`0`
+ * keeps them forever); queries never read further back than that.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { tagStore: sharedTagStore, TAG_QUALITY } = require("./tagStore");
+
+const DEFAULT_HISTORY_DIR = path.join(__dirname, "data", "history");
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RAW_POINTS = 10000;
+
+/**
+ * Parses an optional non-negative number from a variable setting.
+ * @param {*} value - Setting value.
+ * @returns {number|null}
+ */
+function toNonNegativeNumber(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Parses a query time given as epoch milliseconds, a numeric string or an ISO date string.
+ * @param {*} value - Time value.
+ * @returns {number} Epoch milliseconds, or NaN if invalid.
+ */
+function toEpochMs(value) {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && /^\d+$/.test(value.trim()))
+        return Number(value);
+    return value ? Date.parse(value) : NaN;
+}
+
+/**
+ * Returns the UTC day key (YYYY-MM-DD) of a timestamp.
+ * @param {number} time - Epoch milliseconds.
+ * @returns {string}
+ */
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Records and queries variable history.
+ * @class Historian
+ */
+class Historian {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.historyDir] - Directory of the day files.
+     * @param {number} [options.retentionDays] - Day files older than this are deleted; `0` keeps
+     *   them all. Defaults to `HMI_HISTORY_RETENTION_DAYS`, or else 30.
+     * @param {number} [options.flushIntervalMs=1000] - How often buffered samples are written.
+     * @param {import('./tagStore').TagStore} [options.tagStore] - Tag store to record from.
+     * @param {function(string, string): (object|undefined)} [options.resolveVariable] - Returns the
+     *   configuration of a variable by deviceId and name; defaults to the active device instances.
+     */
+    constructor(options = {}) {
+        this.historyDir = options.historyDir || DEFAULT_HISTORY_DIR;
+        this.retentionDays =
+            options.retentionDays ??
+            toNonNegativeNumber(process.env.HMI_HISTORY_RETENTION_DAYS) ??
+            DEFAULT_RETENTION_DAYS;
+        this.flushIntervalMs =
+            options.flushIntervalMs ?? DEFAULT_FLUSH_INTERVAL_MS;
+        this.tagStore = options.tagStore || sharedTagStore;
+        this.resolveVariable =
+            options.resolveVariable || Historian.resolveFromActiveDevices;
+        /** @type {Array<{t: number, d: string, v: string, val: *}>} Samples not yet written. */
+        this._buffer = [];
+        /** @type {Map<string, {value: *, time: number}>} Last logged sample per `deviceId/variableName`. */
+        this._lastLogged = new Map();
+        this._flushTimer = null;
+        this._retentionTimer = null;
+        this._flushing = Promise.resolve();
+        this._onTagUpdated = (tag) => this._handleTagUpdate(tag);
+    }
+
+    /**
+     * Default variable resolver: looks the variable up in the configuration of the active
+     * device instance (internal devices keep `variables` on the instance itself).
+     * @param {string} deviceId - ID of the device.
+     * @param {string} variableName - Name of the variable.
+     * @returns {object|undefined}
+     */
+    static resolveFromActiveDevices(deviceId, variableName) {
+        // Required lazily to keep the historian free of device dependencies in tests.
+        const { getDeviceInstance } = require("./deviceManager");
+        const device = getDeviceInstance(deviceId);
+        const variables = device?.config?.variables || device?.variables;
+        return Array.isArray(variables)
+            ? variables.find((v) => v.name === variableName)
+            : undefined;
+    }
+
+    /**
+     * Starts recording: listens to the tag store, starts the flush and interval-sampling timer
+     * and applies the retention policy.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this._flushTimer) return;
+        await fs.mkdir(this.historyDir, { recursive: true });
+        this.tagStore.on("tag_updated", this._onTagUpdated);
+        this._flushTimer = setInterval(() => {
+            this._sampleIntervalVariables();
+            this.flush().catch((error) =>
+                console.error("[Historian] Gagal menulis data history:", error),
+            );
+        }, this.flushIntervalMs);
+        this._retentionTimer = setInterval(() => {
+            this.applyRetention().catch((error) =>
+                console.error("[Historian] Gagal menerapkan retensi:", error),
+            );
+        }, RETENTION_CHECK_INTERVAL_MS);
+        [this._flushTimer, this._retentionTimer].forEach((timer) =>
+            timer.unref?.(),
+        );
+        await this.applyRetention();
+    }
+
+    /**
+     * Stops recording and writes any buffered samples.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.tagStore.off("tag_updated", this._onTagUpdated);
+        clearInterval(this._flushTimer);
+        clearInterval(this._retentionTimer);
+        this._flushTimer = null;
+        this._retentionTimer = null;
+        await this.flush();
+    }
+
+    /**
+     * Decides whether a tag update is logged, according to the variable's deadband settings.
+     * @param {{deviceId: string, variableName: string, value: *, timestamp: string, quality: string}} tag
+     * @private
+     */
+    _handleTagUpdate(tag) {
+        if (tag.quality !== TAG_QUALITY.GOOD) return;
+        const variable = this.resolveVariable(tag.deviceId, tag.variableName);
+        if (!variable || !variable.logHistory) return;
+
+        const deadband = toNonNegativeNumber(variable.historyDeadband);
+        const interval = toNonNegativeNumber(variable.historyInterval);
+        // Interval-only variables are sampled by the timer, not on change.
+        if (interval && deadband === null) return;
+
+        const key = `${tag.deviceId}/${tag.variableName}`;
+        const last = this._lastLogged.get(key);
+        if (
+            last &&
+            !this._exceedsDeadband(last.value, tag.value, deadband || 0)
+        )
+            return;
+        this._record(
+            tag.deviceId,
+            tag.variableName,
+            tag.value,
+            Date.parse(tag.timestamp) || Date.now(),
+        );
+    }
+
+    /**
+     * Checks whether a value differs enough from the last logged one.
+     * @param {*} previous - Last logged value.
+     * @param {*} current - New value.
+     * @param {number} deadband - Minimum absolute change for numeric values.
+     * @returns {boolean}
+     * @private
+     */
+    _exceedsDeadband(previous, current, deadband) {
+        if (typeof previous === "number" && typeof current === "number") {
+            return deadband > 0
+                ? Math.abs(current - previous) > deadband
+                : current !== previous;
+        }
+        return JSON.stringify(previous) !== JSON.stringify(current);
+    }
+
+    /**
+     * Logs the current value of every variable with a `historyInterval` whose interval has elapsed.
+     * @param {number} [now=Date.now()] - Current time.
+     * @private
+     */
+    _sampleIntervalVariables(now = Date.now()) {
+        this.tagStore.getAllTags().forEach((tag) => {
+            if (tag.quality !== TAG_QUALITY.GOOD) return;
+            const variable = this.resolveVariable(
+                tag.deviceId,
+                tag.variableName,
+            );
+            const interval = variable?.logHistory
+                ? toNonNegativeNumber(variable.historyInterval)
+                : null;
+            if (!interval) return;
+            const last = this._lastLogged.get(
+                `${tag.deviceId}/${tag.variableName}`,
+            );
+            if (!last || now - last.time >= interval) {
+                this._record(tag.deviceId, tag.variableName, tag.value, now);
+            }
+        });
+    }
+
+    /**
+     * Buffers a sample.
+     * @param {string} deviceId - ID of the device.
+     * @param {string} variableName - Name of the variable.
+     * @param {*} value - Value to log.
+     * @param {number} time - Epoch milliseconds of the sample.
+     * @private
+     */
+    _record(deviceId, variableName, value, time) {
+        this._lastLogged.set(`${deviceId}/${variableName}`, { value, time });
+        this._buffer.push({
+            t: time,
+            d: deviceId,
+            v: variableName,
+            val: value,
+        });
+    }
+
+    /**
+     * Appends buffered samples to their day files. Flushes are serialized.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        this._flushing = this._flushing.then(async () => {
+            if (this._buffer.length === 0) return;
+            const samples = this._buffer;
+            this._buffer = [];
+            const byDay = new Map();
+            samples.forEach((sample) => {
+                const key = dayKey(sample.t);
+                if (!byDay.has(key)) byDay.set(key, []);
+                byDay.get(key).push(JSON.stringify(sample));
+            });
+            await fs.mkdir(this.historyDir, { recursive: true });
+            for (const [key, lines] of byDay) {
+                await fs.appendFile(
+                    path.join(this.historyDir, `${key}.ndjson`),
+                    `${lines.join("\n")}\n`,
+                    "utf8",
+                );
+            }
+        });
+        return this._flushing;
+    }
+
+    /**
+     * Deletes day files older than the retention period.
+     * @param {number} [now=Date.now()] - Current time.
+     * @returns {Promise<Array<string>>} Names of the deleted files.
+     */
+    async applyRetention(now = Date.now()) {
+        if (!(this.retentionDays > 0)) return [];
+        const oldestKept = dayKey(now - (this.retentionDays - 1) * DAY_MS);
+        const expired = (await this._listDayFiles()).filter(
+            (file) => file.slice(0, 10) < oldestKept,
+        );
+        for (const file of expired) {
+            await fs.unlink(path.join(this.historyDir, file));
+        }
+        return expired;
+    }
+
+    /**
+     * Returns the names of the day files, oldest first.
+     * @returns {Promise<Array<string>>}
+     * @private
+     */
+    async _listDayFiles() {
+        try {
+            const files = await fs.readdir(this.historyDir);
+            return files
+                .filter((file) => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(file))
+                .sort();
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Returns the start of the oldest day that can still hold samples: the first day kept by
+     * the retention policy or, without one, the day of the oldest file.
+     * @param {number} now - Current time.
+     * @returns {Promise<number>} Epoch milliseconds.
+     * @private
+     */
+    async _oldestRetainedTime(now) {
+        if (this.retentionDays > 0)
+            return Date.parse(dayKey(now - (this.retentionDays - 1) * DAY_MS));
+        const [oldestFile] = await this._listDayFiles();
+        return oldestFile ? Date.parse(oldestFile.slice(0, 10)) : now;
+    }
+
+    /**
+     * Queries the history of one variable.
+     * Without `bucketMs`/`maxPoints` the raw samples are returned as `{t, value}`. Otherwise the
+     * range is divided into buckets and each non-empty bucket is returned as
+     * `{t, min, max, avg, count}` (numeric values only; `t` is the bucket start).
+     * A range starting before the retention window is cut to it (see `from` in the result), and
+     * the day files after the current time are not read.
+     *
+     * @param {object} params
+     * @param {string} params.deviceId - ID of the device.
+     * @param {string} params.variableName - Name of the variable.
+     * @param {number|string} params.from - Range start (epoch ms or ISO string); e.g. `0` for all
+     *   retained history.
+     * @param {number|string} [params.to=now] - Range end (epoch ms or ISO string).
+     * @param {number} [params.bucketMs] - Bucket size for downsampling.
+     * @param {number} [params.maxPoints] - Maximum number of buckets; derives `bucketMs`.
+     * @returns {Promise<{deviceId: string, variableName: string, from: number, to: number, bucketMs: number, points: Array<object>}>}
+     * @throws {{code: string, message: string}} If the query parameters are invalid.
+     */
+    async query({
+        deviceId,
+        variableName,
+        from,
+        to,
+        bucketMs,
+        maxPoints,
+    } = {}) {
+        if (!deviceId || !variableName) {
+            throw {
+                code: "INVALID_HISTORY_QUERY",
+                message: "deviceId dan variableName wajib diisi.",
+            };
+        }
+        const now = Date.now();
+        const requestedStart = toEpochMs(from);
+        const end =
+            to === undefined || to === null || to === "" ? now : toEpochMs(to);
+        if (
+            !Number.isFinite(requestedStart) ||
+            !Number.isFinite(end) ||
+            end < requestedStart
+        ) {
+            throw {
+                code: "INVALID_HISTORY_QUERY",
+                message: "Rentang waktu 'from'/'to' tidak valid.",
+            };
+        }
+        // Older day files have been deleted: without this bound, from=0 would try some 20,000 files
+        const start = Math.min(
+            Math.max(requestedStart, await this._oldestRetainedTime(now)),
+            end,
+        );
+        let bucket = toNonNegativeNumber(bucketMs) || 0;
+        const points = toNonNegativeNumber(maxPoints);
+        if (!bucket && points) {
+            bucket = Math.max(1, Math.ceil((end - start) / points));
+        }
+
+        await this.flush();
+        const samples = await this._readSamples(
+            deviceId,
+            variableName,
+            start,
+            Math.min(end, now),
+        );
+        const result = {
+            deviceId,
+            variableName,
+            from: start,
+            to: end,
+            bucketMs: bucket,
+        };
+        if (!bucket) {
+            result.points = samples
+                .slice(-MAX_RAW_POINTS)
+                .map((sample) => ({ t: sample.t, value: sample.val }));
+            return result;
+        }
+
+        const buckets = new Map();
+        samples.forEach((sample) => {
+            const value = Number(sample.val); // Booleans count as 0/1
+            if (
+                sample.val === null ||
+                sample.val === "" ||
+                !Number.isFinite(value)
+            )
+                return;
+            const bucketStart =
+                start + Math.floor((sample.t - start) / bucket) * bucket;
+            const entry = buckets.get(bucketStart);
+            if (entry) {
+                entry.min = Math.min(entry.min, value);
+                entry.max = Math.max(entry.max, value);
+                entry.sum += value;
+                entry.count += 1;
+            } else {
+                buckets.set(bucketStart, {
+                    t: bucketStart,
+                    min: value,
+                    max: value,
+                    sum: value,
+                    count: 1,
+                });
+            }
+        });
+        result.points = Array.from(buckets.values()).map(
+            ({ t, min, max, sum, count }) => ({
+                t,
+                min,
+                max,
+                avg: sum / count,
+                count,
+            }),
+        );
+        return result;
+    }
+
+    /**
+     * Reads the samples of one variable within a time range from the day files.
+     * @param {string} deviceId - ID of the device.
+     * @param {string} variableName - Name of the variable.
+     * @param {number} start - Range start (epoch ms).
+     * @param {number} end - Range end (epoch ms).
+     * @returns {Promise<Array<{t: number, d: string, v: string, val: *}>>} Samples sorted by time.
+     * @private
+     */
+    async _readSamples(deviceId, variableName, start, end) {
+        const samples = [];
+        for (let day = Date.parse(dayKey(start)); day <= end; day += DAY_MS) {
+            let content;
+            try {
+                content = await fs.readFile(
+                    path.join(this.historyDir, `${dayKey(day)}.ndjson`),
+                    "utf8",
+                );
+            } catch (error) {
+                if (error.code === "ENOENT") continue;
+                throw error;
+            }
+            content.split("\n").forEach((line) => {
+                if (!line) return;
+                let sample;
+                try {
+                    sample = JSON.parse(line);
+                } catch (e) {
+                    return; // Skip a partially written line
+                }
+                if (
+                    sample.d === deviceId &&
+                    sample.v === variableName &&
+                    sample.t >= start &&
+                    sample.t <= end
+                ) {
+                    samples.push(sample);
+                }
+            });
+        }
+        return samples.sort((a, b) => a.t - b.t);
+    }
+}
+
+/** Shared instance started by the server. */
+const historian = new Historian();
+
+module.exports = {
+    historian,
+    Historian,
+};
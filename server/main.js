@@ -2,8 +2,18 @@ const express = require("express");
 const path = require("path");
 const http = require("http");
 const { Server } = require("socket.io");
-const { setupSocketHandlers } = require("./socketHandler"); // Import the socket handler
+const { setupSocketHandlers, loadStartupProject } = require("./socketHandler"); // Import the socket handler
 const { ensureProjectsDirExists } = require("./projectHandler"); // Import dari projectHandler (nama baru)
+const { tagStore } = require("./tagStore");
+const { historian } = require("./historian");
+const { alarmManager } = require("./alarmManager");
+const { userStore } = require("./userStore");
+const { auditLog } = require("./auditLog");
+const { runtimeConfig } = require("./runtimeConfig");
+const { modbusServer } = require("./modbusServer");
+const { mqttBridge } = require("./mqttBridge");
+const { setupAuthRoutes } = require("./auth");
+const { setupRestApi } = require("./restApi");
 
 const app = express();
 const server = http.createServer(app);
@@ -16,15 +26,33 @@ const io = new Server(server, {
 
 const port = 3000;
 
-// Serve static files from the parent directory (project root)
-// because main.js is now in server/
-app.use(express.static(path.join(__dirname, "..")));
+// Only the client assets in the project root are public. The web root is not the project root
+// itself: server/ (code, server/data with users, audit trail, history and snapshots, and
+// server/projects with the project files and revisions) is never served.
+const CLIENT_DIR = path.join(__dirname, "..");
+app.use("/js", express.static(path.join(CLIENT_DIR, "js")));
+app.get("/style.css", (req, res) => {
+    res.sendFile(path.join(CLIENT_DIR, "style.css"));
+});
 
 // Route for the home page
-app.get("/", (req, res) => {
-    res.sendFile(path.join(__dirname, "index.html"));
+app.get(["/", "/index.html"], (req, res) => {
+    res.sendFile(path.join(CLIENT_DIR, "index.html"));
+});
+
+// Runtime view for operator panels: only the HMI canvas, e.g. /runtime/line1. Without a project
+// name it shows the project running on the server.
+app.get(["/runtime", "/runtime/:project"], (req, res) => {
+    res.sendFile(path.join(CLIENT_DIR, "runtime.html"));
 });
 
+// Login, logout and current user (/api/auth/...). The page itself is public; data needs a login.
+setupAuthRoutes(app);
+
+// REST API for scripts and other systems (devices, tags, projects, history, audit trail),
+// described at /api/openapi.json
+setupRestApi(app, io);
+
 // Initialize Socket.IO handlers
 setupSocketHandlers(io);
 
@@ -43,6 +71,85 @@ ensureProjectsDirExists()
         // process.exit(1);
     });
 
+// Muat nilai tag terakhir dari snapshot agar client baru langsung melihat nilai terkini
+const snapshotLoaded = tagStore
+    .loadSnapshot()
+    .then((count) => {
+        console.log(`Snapshot tag dimuat (${count} tag).`);
+    })
+    .catch((error) => {
+        console.error("Gagal memuat snapshot tag:", error);
+    });
+
+// Muat akun user (membuat akun admin awal jika belum ada)
+userStore
+    .load()
+    .then((count) => {
+        console.log(`Akun user dimuat (${count} user).`);
+    })
+    .catch((error) => {
+        console.error("Gagal memuat akun user:", error);
+    });
+
+// Mulai historian (merekam variabel dengan logHistory aktif)
+const historianStarted = historian.start().catch((error) => {
+    console.error("Gagal memulai historian:", error);
+});
+
+// Mulai audit trail (menulis ke server/data/audit)
+auditLog.start().catch((error) => {
+    console.error("Gagal memulai audit trail:", error);
+});
+
+// Mulai evaluasi alarm terhadap nilai yang masuk ke tag store
+alarmManager.start();
+
+// Jalankan project startup (headless): device, alarm dan history berjalan tanpa browser yang terbuka.
+// Menunggu snapshot dan historian agar nilai baru dari device tidak tertimpa snapshot lama.
+Promise.all([
+    runtimeConfig
+        .load()
+        .catch((error) =>
+            console.error("Gagal memuat pengaturan runtime:", error),
+        ),
+    snapshotLoaded,
+    historianStarted,
+]).then(() => loadStartupProject(io));
+
+// Simpan snapshot dan history terakhir sebelum proses berhenti
+["SIGINT", "SIGTERM"].forEach((signal) => {
+    process.once(signal, () => {
+        alarmManager.stop();
+        Promise.all([
+            tagStore
+                .saveSnapshot()
+                .catch((error) =>
+                    console.error("Gagal menyimpan snapshot tag:", error),
+                ),
+            historian
+                .stop()
+                .catch((error) =>
+                    console.error("Gagal menyimpan data history:", error),
+                ),
+            auditLog
+                .flush()
+                .catch((error) =>
+                    console.error("Gagal menyimpan audit trail:", error),
+                ),
+            modbusServer
+                .stop()
+                .catch((error) =>
+                    console.error("Gagal menghentikan Modbus server:", error),
+                ),
+            mqttBridge
+                .stop()
+                .catch((error) =>
+                    console.error("Gagal menghentikan MQTT bridge:", error),
+                ),
+        ]).finally(() => process.exit(0));
+    });
+});
+
 server.listen(port, () => {
     console.log(`Server is running at http://localhost:${port}`);
 });
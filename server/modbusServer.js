@@ -0,0 +1,534 @@
+/**
+ * @file Modbus TCP server (slave) that exposes project tags to external masters (SCADA, MES).
+ *
+ * The register map is part of the project file (`modbusServer`) and is applied when the project
+ * is activated. Each entry maps one variable of any device (including internal devices) onto a
+ * table and address:
+ * - `coil` / `discrete-input`: one bit, the variable's value as boolean.
+ * - `holding-register` / `input-register`: `dataType` (int16, uint16, int32, uint32, float32,
+ *   float64) and `byteOrder` as in `devices/modbusDataCodec.js`; multi-register values occupy
+ *   consecutive addresses.
+ *
+ * Reads return the current value from the tag store (0 / false while a variable has no value).
+ * Writes to coils and holding registers marked `writable` are routed to the write handler set by
+ * `socketHandler` (the same path as `write_to_device`, including the audit trail); the request is
+ * answered once the device has confirmed the write. A single register of a multi-register value
+ * (FC6) is combined with the current value of the others, so such values are best written with
+ * FC16. Unmapped or read-only addresses are answered with exception 2 (illegal data address),
+ * values that cannot be converted with 3 and failed writes with 4.
+ *
+ * The server is an EventEmitter: `config_changed` (config) and `status_changed` (status).
+ * Invalid configurations are thrown as `{ code, message, errors }`.
+ */
+
+const EventEmitter = require("events");
+const { ServerTCP } = require("modbus-serial");
+const { tagStore: sharedTagStore } = require("./tagStore");
+const {
+    REGISTER_TYPES,
+    BYTE_ORDERS,
+    getRegisterCount,
+    encode,
+    decode,
+} = require("./devices/modbusDataCodec");
+
+/** Default TCP port; 502 needs root rights on most systems. */
+const DEFAULT_MODBUS_SERVER_PORT = 5020;
+
+/** Data types that can be mapped onto registers. */
+const REGISTER_DATA_TYPES = [
+    "int16",
+    "uint16",
+    "int32",
+    "uint32",
+    "float32",
+    "float64",
+];
+
+/** Tables that hold single bits. */
+const BIT_TABLES = ["coil", "discrete-input"];
+
+/** Tables that masters may write. */
+const WRITABLE_TABLES = ["coil", "holding-register"];
+
+/** Modbus exception codes used in responses. */
+const MODBUS_EXCEPTION = Object.freeze({
+    ILLEGAL_DATA_ADDRESS: 0x02,
+    ILLEGAL_DATA_VALUE: 0x03,
+    SERVER_DEVICE_FAILURE: 0x04,
+});
+
+/**
+ * Checks a configuration and fills in defaults.
+ * @param {object} [config] - The `modbusServer` section of a project; missing means disabled.
+ * @returns {{enabled: boolean, host: string, port: number, unitId: number, registers: Array<object>}}
+ * @throws {{code: string, message: string, errors: Array<{path: string, code: string, message: string}>}}
+ *         `INVALID_MODBUS_SERVER_CONFIG` with every problem found.
+ */
+function normalizeModbusServerConfig(config) {
+    const source = config && typeof config === "object" ? config : {};
+    const errors = [];
+    const addError = (path, code, message) =>
+        errors.push({ path, code, message });
+
+    const port =
+        source.port === undefined || source.port === ""
+            ? DEFAULT_MODBUS_SERVER_PORT
+            : Number(source.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535)
+        addError("modbusServer.port", "INVALID_PORT", "Port harus 1-65535.");
+    const unitId =
+        source.unitId === undefined || source.unitId === ""
+            ? 1
+            : Number(source.unitId);
+    if (!Number.isInteger(unitId) || unitId < 1 || unitId > 255) {
+        addError(
+            "modbusServer.unitId",
+            "INVALID_UNIT_ID",
+            "Unit ID harus 1-255 (255 = semua).",
+        );
+    }
+
+    const registers = [];
+    const used = new Map(); // "table:address" -> index of the entry using it
+    (Array.isArray(source.registers) ? source.registers : []).forEach(
+        (entry, index) => {
+            const path = `modbusServer.registers[${index}]`;
+            if (!entry || typeof entry !== "object") {
+                addError(
+                    path,
+                    "INVALID_STRUCTURE",
+                    "Entri harus berupa object.",
+                );
+                return;
+            }
+            if (
+                !Object.prototype.hasOwnProperty.call(
+                    REGISTER_TYPES,
+                    entry.table,
+                )
+            ) {
+                addError(
+                    `${path}.table`,
+                    "INVALID_MODBUS_TABLE",
+                    `Tabel '${entry.table}' tidak dikenal.`,
+                );
+                return;
+            }
+            if (!entry.deviceId || !entry.variableName) {
+                addError(
+                    path,
+                    "MISSING_BINDING",
+                    "deviceId dan variableName wajib diisi.",
+                );
+            }
+            const isBit = BIT_TABLES.includes(entry.table);
+            const dataType = isBit ? "bit" : entry.dataType || "int16";
+            if (!isBit && !REGISTER_DATA_TYPES.includes(dataType)) {
+                addError(
+                    `${path}.dataType`,
+                    "INVALID_DATA_TYPE",
+                    `Tipe data '${dataType}' tidak didukung.`,
+                );
+                return;
+            }
+            const address = Number(entry.address);
+            const count = isBit ? 1 : getRegisterCount({ dataType });
+            if (
+                !Number.isInteger(address) ||
+                address < 0 ||
+                address + count > 65536
+            ) {
+                addError(
+                    `${path}.address`,
+                    "INVALID_MODBUS_ADDRESS",
+                    "Alamat harus 0-65535.",
+                );
+                return;
+            }
+            for (let offset = 0; offset < count; offset++) {
+                const key = `${entry.table}:${address + offset}`;
+                if (used.has(key)) {
+                    addError(
+                        `${path}.address`,
+                        "MODBUS_ADDRESS_OVERLAP",
+                        `Alamat ${entry.table} ${address + offset} sudah dipakai oleh entri ${used.get(key)}.`,
+                    );
+                    return;
+                }
+            }
+            for (let offset = 0; offset < count; offset++)
+                used.set(`${entry.table}:${address + offset}`, index);
+
+            registers.push({
+                table: entry.table,
+                address,
+                deviceId: entry.deviceId,
+                variableName: entry.variableName,
+                ...(isBit
+                    ? {}
+                    : {
+                          dataType,
+                          byteOrder: BYTE_ORDERS.includes(entry.byteOrder)
+                              ? entry.byteOrder
+                              : "ABCD",
+                      }),
+                writable:
+                    WRITABLE_TABLES.includes(entry.table) &&
+                    entry.writable === true,
+            });
+        },
+    );
+
+    if (errors.length > 0) {
+        throw {
+            code: "INVALID_MODBUS_SERVER_CONFIG",
+            message: `Konfigurasi Modbus server tidak valid: ${errors.map((e) => `${e.path}: ${e.message}`).join("; ")}`,
+            errors,
+        };
+    }
+    return {
+        enabled: source.enabled === true,
+        host: source.host || "0.0.0.0",
+        port,
+        unitId,
+        registers,
+    };
+}
+
+/**
+ * Converts a tag value to a coil/discrete input state.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function toBit(value) {
+    if (typeof value === "string")
+        return ["1", "true", "on"].includes(value.trim().toLowerCase());
+    return Boolean(value);
+}
+
+/**
+ * Creates a Modbus exception for the server's response.
+ * @param {number} code - One of {@link MODBUS_EXCEPTION}.
+ * @param {string} msg - Description (for debugging).
+ * @returns {{modbusErrorCode: number, msg: string}}
+ */
+function modbusException(code, msg) {
+    return { modbusErrorCode: code, msg };
+}
+
+/**
+ * Serves the register map over Modbus TCP.
+ * @class ModbusServer
+ * @extends EventEmitter
+ */
+class ModbusServer extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {import('./tagStore').TagStore} [options.tagStore] - Source of the served values (default: shared store).
+     */
+    constructor(options = {}) {
+        super();
+        this.tagStore = options.tagStore || sharedTagStore;
+        this._config = normalizeModbusServerConfig(null);
+        /** @type {Map<string, {entry: object, offset: number}>} "table:address" -> mapped entry */
+        this._addressMap = new Map();
+        this._server = null;
+        this._error = null;
+        this._writeHandler = null;
+    }
+
+    /**
+     * Sets the function that performs writes from Modbus masters.
+     * @param {function({deviceId: string, variableName: string, value: *}): Promise<{status: string, message?: string}>} handler
+     */
+    setWriteHandler(handler) {
+        this._writeHandler = handler;
+    }
+
+    /**
+     * Returns the applied configuration.
+     * @returns {object}
+     */
+    getConfig() {
+        return {
+            ...this._config,
+            registers: this._config.registers.map((entry) => ({ ...entry })),
+        };
+    }
+
+    /**
+     * Returns the state of the server.
+     * @returns {{enabled: boolean, running: boolean, host: string, port: number, unitId: number, registerCount: number, error: (string|null)}}
+     */
+    getStatus() {
+        const { enabled, host, port, unitId, registers } = this._config;
+        return {
+            enabled,
+            running: Boolean(this._server),
+            host,
+            port,
+            unitId,
+            registerCount: registers.length,
+            error: this._error,
+        };
+    }
+
+    /**
+     * Applies a configuration: stops the server and starts it again if it is enabled. A server
+     * that cannot be started (e.g. port in use) is reported in the status, not thrown.
+     * @param {object} [config] - The `modbusServer` section of a project.
+     * @returns {Promise<object>} The status (see {@link ModbusServer#getStatus}).
+     * @throws {{code: string, message: string, errors: Array<object>}} For invalid configurations;
+     *         the running server is not touched then.
+     */
+    async configure(config) {
+        const normalized = normalizeModbusServerConfig(config);
+        await this.stop();
+        this._config = normalized;
+        this._addressMap = new Map();
+        normalized.registers.forEach((entry) => {
+            const count = entry.dataType ? getRegisterCount(entry) : 1;
+            for (let offset = 0; offset < count; offset++) {
+                this._addressMap.set(
+                    `${entry.table}:${entry.address + offset}`,
+                    { entry, offset },
+                );
+            }
+        });
+        this.emit("config_changed", this.getConfig());
+        if (normalized.enabled) await this._start();
+        return this.getStatus();
+    }
+
+    /**
+     * Stops the server.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        const server = this._server;
+        this._server = null;
+        this._error = null;
+        if (!server) return;
+        await new Promise((resolve) => server.close(() => resolve()));
+        console.log("[ModbusServer] Stopped.");
+        this.emit("status_changed", this.getStatus());
+    }
+
+    /**
+     * Starts listening with the current configuration.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _start() {
+        const { host, port, unitId } = this._config;
+        const server = new ServerTCP(this._createVector(), {
+            host,
+            port,
+            unitID: unitId,
+        });
+        try {
+            await new Promise((resolve, reject) => {
+                server.once("initialized", resolve);
+                server.once("serverError", reject);
+            });
+            server.on("serverError", (error) => {
+                console.error("[ModbusServer] Server error:", error);
+                this._error = error.message;
+                this.emit("status_changed", this.getStatus());
+            });
+            server.on("error", (error) =>
+                console.error("[ModbusServer] Request error:", error),
+            );
+            this._server = server;
+            this._error = null;
+            console.log(
+                `[ModbusServer] Listening on ${host}:${port} (unit ${unitId}, ${this._config.registers.length} entries).`,
+            );
+        } catch (error) {
+            console.error(
+                `[ModbusServer] Could not listen on ${host}:${port}:`,
+                error,
+            );
+            this._error = error.message;
+            server.close(() => {});
+        }
+        this.emit("status_changed", this.getStatus());
+    }
+
+    /**
+     * Creates the modbus-serial vector of read and write functions.
+     * @returns {object}
+     * @private
+     */
+    _createVector() {
+        return {
+            getCoil: (address) => this._readBit("coil", address),
+            getDiscreteInput: (address) =>
+                this._readBit("discrete-input", address),
+            getHoldingRegister: (address) =>
+                this._readRegister("holding-register", address),
+            getInputRegister: (address) =>
+                this._readRegister("input-register", address),
+            setCoil: (address, state) => this._writeCoil(address, state),
+            setRegister: (address, value) =>
+                this._writeRegisters(address, [value]),
+            setRegisterArray: (address, values) =>
+                this._writeRegisters(address, values),
+        };
+    }
+
+    /**
+     * Looks up the entry mapped onto an address.
+     * @param {string} table - Table name.
+     * @param {number} address - Address in the table.
+     * @returns {{entry: object, offset: number}}
+     * @throws {{modbusErrorCode: number}} If the address is not mapped.
+     * @private
+     */
+    _lookup(table, address) {
+        const mapped = this._addressMap.get(`${table}:${address}`);
+        if (!mapped)
+            throw modbusException(
+                MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS,
+                `${table} ${address} is not mapped.`,
+            );
+        return mapped;
+    }
+
+    /**
+     * @returns {boolean} The bit at an address.
+     * @private
+     */
+    _readBit(table, address) {
+        const { entry } = this._lookup(table, address);
+        return toBit(
+            this.tagStore.getTag(entry.deviceId, entry.variableName)?.value,
+        );
+    }
+
+    /**
+     * Encodes the current value of an entry into its registers.
+     * @param {object} entry - Register map entry.
+     * @returns {Array<number>} The registers (zeros while the value is missing or does not fit).
+     * @private
+     */
+    _currentRegisters(entry) {
+        const value = this.tagStore.getTag(
+            entry.deviceId,
+            entry.variableName,
+        )?.value;
+        try {
+            return encode(
+                typeof value === "boolean" ? Number(value) : value,
+                entry,
+            );
+        } catch {
+            return new Array(getRegisterCount(entry)).fill(0);
+        }
+    }
+
+    /**
+     * @returns {number} The register at an address.
+     * @private
+     */
+    _readRegister(table, address) {
+        const { entry, offset } = this._lookup(table, address);
+        return this._currentRegisters(entry)[offset];
+    }
+
+    /**
+     * Routes a written value to the write handler.
+     * @param {object} entry - Register map entry.
+     * @param {*} value - The value.
+     * @returns {Promise<void>}
+     * @throws {{modbusErrorCode: number}} If the write did not succeed.
+     * @private
+     */
+    async _write(entry, value) {
+        if (typeof this._writeHandler !== "function") {
+            throw modbusException(
+                MODBUS_EXCEPTION.SERVER_DEVICE_FAILURE,
+                "No write handler.",
+            );
+        }
+        const result = await this._writeHandler({
+            deviceId: entry.deviceId,
+            variableName: entry.variableName,
+            value,
+        });
+        if (result?.status !== "success") {
+            throw modbusException(
+                MODBUS_EXCEPTION.SERVER_DEVICE_FAILURE,
+                result?.message || "Write failed.",
+            );
+        }
+    }
+
+    /**
+     * Handles FC5/FC15 writes.
+     * @param {number} address - Coil address.
+     * @param {boolean} state - Written state.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeCoil(address, state) {
+        const { entry } = this._lookup("coil", address);
+        if (!entry.writable)
+            throw modbusException(
+                MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS,
+                `coil ${address} is read-only.`,
+            );
+        await this._write(entry, state);
+    }
+
+    /**
+     * Handles FC6/FC16 writes. Every address must be mapped and writable before anything is
+     * written; the entries are then written one after the other.
+     * @param {number} address - First register address.
+     * @param {Array<number>} values - Written registers.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeRegisters(address, values) {
+        const written = new Map(); // entry -> its registers with the written ones applied
+        values.forEach((value, i) => {
+            const { entry, offset } = this._lookup(
+                "holding-register",
+                address + i,
+            );
+            if (!entry.writable) {
+                throw modbusException(
+                    MODBUS_EXCEPTION.ILLEGAL_DATA_ADDRESS,
+                    `holding-register ${address + i} is read-only.`,
+                );
+            }
+            if (!written.has(entry))
+                written.set(entry, this._currentRegisters(entry));
+            written.get(entry)[offset] = value;
+        });
+        for (const [entry, registers] of written) {
+            let value;
+            try {
+                value = decode(registers, entry);
+            } catch (error) {
+                throw modbusException(
+                    MODBUS_EXCEPTION.ILLEGAL_DATA_VALUE,
+                    error.message,
+                );
+            }
+            await this._write(entry, value);
+        }
+    }
+}
+
+const modbusServer = new ModbusServer();
+
+module.exports = {
+    DEFAULT_MODBUS_SERVER_PORT,
+    REGISTER_DATA_TYPES,
+    MODBUS_EXCEPTION,
+    normalizeModbusServerConfig,
+    ModbusServer,
+    modbusServer,
+};
@@ -0,0 +1,630 @@
+/**
+ * @file MQTT bridge: republishes every tag of the tag store (Modbus, MQTT and internal devices
+ * alike) to a northbound broker, e.g. for a SCADA, MES or cloud platform.
+ *
+ * The configuration is part of the project file (`mqttBridge`) and is applied when the project
+ * is activated. Two formats are supported:
+ * - `json`: one topic per tag, `<topicPrefix>/<deviceId>/<variableName>`, with the payload
+ *   `{"value": ..., "timestamp": "...", "quality": "good"}`. `<topicPrefix>/status` carries
+ *   `{"online": true|false, "timestamp": "..."}` (retained; `false` is also the last will).
+ * - `sparkplug-b`: the server is an edge node `<edgeNodeId>` in group `<groupId>` and every device
+ *   a Sparkplug device, with the variables as metrics (protobuf, see `sparkplugPayload.js`):
+ *   NBIRTH/NDEATH (last will, matched by `bdSeq`), DBIRTH with all metrics of a device (sent again
+ *   when a device gets a new variable), DDATA per change and DDEATH when a device is removed.
+ *   An NCMD `Node Control/Rebirth` makes the bridge publish all births again. Numbers are sent as
+ *   Double, booleans as Boolean and everything else as String; the tag quality is the `Quality`
+ *   property (OPC DA codes: 192 good, 68 stale, 24 comm-fail, 0 uninitialized).
+ *
+ * Changes that happen while the broker is unreachable are not queued: after a reconnect the
+ * current state is published again (all tags, or the births). MQTT devices should not subscribe
+ * to the bridge's topics on the same broker, as their values would be published back.
+ *
+ * The broker password never leaves the server: clients get the settings without it (with
+ * `hasPassword`), and settings they send back with an empty password and `hasPassword: true`
+ * keep the stored one.
+ *
+ * The bridge is an EventEmitter: `config_changed` (config) and `status_changed` (status).
+ * Invalid configurations are thrown as `{ code, message, errors }`.
+ */
+
+const EventEmitter = require("events");
+const mqtt = require("mqtt");
+const { tagStore: sharedTagStore, TAG_QUALITY } = require("./tagStore");
+const {
+    DATA_TYPES,
+    encodePayload,
+    decodePayload,
+} = require("./sparkplugPayload");
+
+/** Payload formats. */
+const MQTT_BRIDGE_FORMATS = ["json", "sparkplug-b"];
+
+/** Sparkplug B topic namespace. */
+const SPARKPLUG_NAMESPACE = "spBv1.0";
+
+/** Name of the node metric that asks for a rebirth. */
+const REBIRTH_METRIC = "Node Control/Rebirth";
+
+/** `Quality` property values (OPC DA quality codes) per tag quality. */
+const SPARKPLUG_QUALITY = Object.freeze({
+    [TAG_QUALITY.GOOD]: 192,
+    [TAG_QUALITY.STALE]: 68,
+    [TAG_QUALITY.COMM_FAIL]: 24,
+    [TAG_QUALITY.UNINITIALIZED]: 0,
+});
+
+/**
+ * Checks a configuration and fills in defaults.
+ * @param {object} [config] - The `mqttBridge` section of a project; missing means disabled.
+ * @returns {{enabled: boolean, brokerUrl: string, clientId: string, username: string, password: string,
+ *   format: string, topicPrefix: string, groupId: string, edgeNodeId: string, qos: number, retain: boolean}}
+ * @throws {{code: string, message: string, errors: Array<{path: string, code: string, message: string}>}}
+ *         `INVALID_MQTT_BRIDGE_CONFIG` with every problem found.
+ */
+function normalizeMqttBridgeConfig(config) {
+    const source = config && typeof config === "object" ? config : {};
+    const errors = [];
+    const addError = (path, code, message) =>
+        errors.push({ path, code, message });
+    const text = (value, fallback) =>
+        typeof value === "string" && value.trim() !== ""
+            ? value.trim()
+            : fallback;
+
+    const brokerUrl = text(source.brokerUrl, "mqtt://localhost:1883");
+    if (!/^(mqtts?|wss?):\/\/[^/\s]+/.test(brokerUrl)) {
+        addError(
+            "mqttBridge.brokerUrl",
+            "INVALID_BROKER_URL",
+            "URL broker harus diawali mqtt://, mqtts://, ws:// atau wss://.",
+        );
+    }
+    const format = text(source.format, "json");
+    if (!MQTT_BRIDGE_FORMATS.includes(format)) {
+        addError(
+            "mqttBridge.format",
+            "INVALID_FORMAT",
+            `Format '${format}' tidak dikenal (json, sparkplug-b).`,
+        );
+    }
+    const topicPrefix = text(source.topicPrefix, "hmi").replace(/\/+$/, "");
+    if (/[+#]/.test(topicPrefix) || topicPrefix === "") {
+        addError(
+            "mqttBridge.topicPrefix",
+            "INVALID_TOPIC",
+            "Prefix topic tidak boleh kosong atau berisi + dan #.",
+        );
+    }
+    const groupId = text(source.groupId, "HMI");
+    const edgeNodeId = text(source.edgeNodeId, "hmi-server");
+    [
+        ["groupId", groupId],
+        ["edgeNodeId", edgeNodeId],
+    ].forEach(([key, value]) => {
+        if (/[/+#]/.test(value))
+            addError(
+                `mqttBridge.${key}`,
+                "INVALID_SPARKPLUG_ID",
+                `${key} tidak boleh berisi /, + atau #.`,
+            );
+    });
+    const qos =
+        source.qos === undefined || source.qos === "" ? 0 : Number(source.qos);
+    if (![0, 1, 2].includes(qos))
+        addError("mqttBridge.qos", "INVALID_QOS", "QoS harus 0, 1 atau 2.");
+
+    if (errors.length > 0) {
+        throw {
+            code: "INVALID_MQTT_BRIDGE_CONFIG",
+            message: `Konfigurasi MQTT bridge tidak valid: ${errors.map((e) => `${e.path}: ${e.message}`).join("; ")}`,
+            errors,
+        };
+    }
+    return {
+        enabled: source.enabled === true,
+        brokerUrl,
+        clientId: text(source.clientId, ""),
+        username: text(source.username, ""),
+        password: typeof source.password === "string" ? source.password : "",
+        format,
+        topicPrefix,
+        groupId,
+        edgeNodeId,
+        qos,
+        retain: source.retain !== false,
+    };
+}
+
+/**
+ * Returns settings without the password, as sent to clients and written to the audit trail.
+ * @param {object} [config] - Settings, e.g. the `mqttBridge` section of a project.
+ * @returns {object} The settings with `hasPassword` instead of `password`.
+ */
+function redactMqttBridgeConfig(config) {
+    const { password, ...redacted } =
+        config && typeof config === "object" ? config : {};
+    return {
+        ...redacted,
+        hasPassword: Boolean(password) || redacted.hasPassword === true,
+    };
+}
+
+/**
+ * Fills in the password of settings sent by a client (see {@link redactMqttBridgeConfig}): an
+ * empty password with `hasPassword: true` means "unchanged" and becomes `password`.
+ * @param {object} [config] - Settings from a client.
+ * @param {string} [password] - The stored password.
+ * @returns {object|undefined} The settings with the password and without `hasPassword`.
+ */
+function restoreMqttBridgePassword(config, password) {
+    if (!config || typeof config !== "object") return config;
+    const { hasPassword, ...restored } = config;
+    if (hasPassword === true && !restored.password)
+        restored.password = password || "";
+    return restored;
+}
+
+/**
+ * Returns the Sparkplug data type and value of a tag value.
+ * @param {*} value
+ * @returns {{datatype: number, value: *}}
+ */
+function toSparkplugValue(value) {
+    if (typeof value === "boolean")
+        return { datatype: DATA_TYPES.BOOLEAN, value };
+    if (typeof value === "number")
+        return { datatype: DATA_TYPES.DOUBLE, value };
+    if (value === null || value === undefined)
+        return { datatype: DATA_TYPES.STRING, value: null };
+    return {
+        datatype: DATA_TYPES.STRING,
+        value:
+            typeof value === "object" ? JSON.stringify(value) : String(value),
+    };
+}
+
+/**
+ * Republishes the tag store to an MQTT broker.
+ * @class MqttBridge
+ * @extends EventEmitter
+ */
+class MqttBridge extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {import('./tagStore').TagStore} [options.tagStore] - Source of the published values (default: shared store).
+     */
+    constructor(options = {}) {
+        super();
+        this.tagStore = options.tagStore || sharedTagStore;
+        this._config = normalizeMqttBridgeConfig(null);
+        this._client = null;
+        this._connected = false;
+        this._error = null;
+        this._publishedCount = 0;
+        /** Sparkplug message sequence number (0-255), reset by NBIRTH. */
+        this._seq = 0;
+        /** Sparkplug birth/death sequence number, one per MQTT session. */
+        this._bdSeq = 0;
+        /** @type {Map<string, Set<string>>} Metrics in the last DBIRTH of each device. */
+        this._bornDevices = new Map();
+        this._onTagUpdated = (tag) => this._handleTagUpdate(tag);
+        this._onDeviceRemoved = (deviceId) =>
+            this._handleDeviceRemoved(deviceId);
+    }
+
+    /**
+     * Returns the applied configuration without the password (see {@link redactMqttBridgeConfig}).
+     * @returns {object}
+     */
+    getConfig() {
+        return redactMqttBridgeConfig(this._config);
+    }
+
+    /**
+     * Fills in the password of settings sent by a client with the applied password, if they
+     * leave it unchanged (see {@link restoreMqttBridgePassword}).
+     * @param {object} [config] - Settings from a client.
+     * @returns {object|undefined}
+     */
+    restorePassword(config) {
+        return restoreMqttBridgePassword(config, this._config.password);
+    }
+
+    /**
+     * Returns the state of the bridge.
+     * @returns {{enabled: boolean, connected: boolean, brokerUrl: string, format: string, publishedCount: number, error: (string|null)}}
+     */
+    getStatus() {
+        const { enabled, brokerUrl, format } = this._config;
+        return {
+            enabled,
+            connected: this._connected,
+            brokerUrl,
+            format,
+            publishedCount: this._publishedCount,
+            error: this._error,
+        };
+    }
+
+    /**
+     * Applies a configuration: disconnects and connects again if the bridge is enabled. The
+     * connection is set up in the background; its state is reported by `status_changed`.
+     * @param {object} [config] - The `mqttBridge` section of a project.
+     * @returns {Promise<object>} The status (see {@link MqttBridge#getStatus}).
+     * @throws {{code: string, message: string, errors: Array<object>}} For invalid configurations;
+     *         the running bridge is not touched then.
+     */
+    async configure(config) {
+        const normalized = normalizeMqttBridgeConfig(config);
+        await this.stop();
+        this._config = normalized;
+        this.emit("config_changed", this.getConfig());
+        if (normalized.enabled) this._start();
+        return this.getStatus();
+    }
+
+    /**
+     * Publishes the death certificate (or offline status) and disconnects.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        const client = this._client;
+        this.tagStore.off("tag_updated", this._onTagUpdated);
+        this.tagStore.off("device_removed", this._onDeviceRemoved);
+        this._client = null;
+        this._error = null;
+        if (!client) return;
+        if (this._connected) {
+            const { topic, payload } = this._deathMessage();
+            await new Promise((resolve) =>
+                client.publish(
+                    topic,
+                    payload,
+                    { qos: this._config.qos, retain: this._isJson() },
+                    () => resolve(),
+                ),
+            );
+        }
+        this._connected = false;
+        this._bornDevices.clear();
+        this._bdSeq = (this._bdSeq + 1) % 256; // Next session
+        await new Promise((resolve) => client.end(false, {}, () => resolve()));
+        console.log("[MqttBridge] Stopped.");
+        this.emit("status_changed", this.getStatus());
+    }
+
+    /** @returns {boolean} Whether the JSON format is used. @private */
+    _isJson() {
+        return this._config.format === "json";
+    }
+
+    /**
+     * Topic of a Sparkplug message.
+     * @param {string} type - NBIRTH, DDATA, ...
+     * @param {string} [deviceId] - Device of D* messages.
+     * @returns {string}
+     * @private
+     */
+    _sparkplugTopic(type, deviceId) {
+        const { groupId, edgeNodeId } = this._config;
+        return [SPARKPLUG_NAMESPACE, groupId, type, edgeNodeId, deviceId]
+            .filter((part) => part !== undefined)
+            .join("/");
+    }
+
+    /**
+     * The last will, also published by {@link MqttBridge#stop}.
+     * @returns {{topic: string, payload: (string|Buffer)}}
+     * @private
+     */
+    _deathMessage() {
+        if (this._isJson()) {
+            return {
+                topic: `${this._config.topicPrefix}/status`,
+                payload: JSON.stringify({
+                    online: false,
+                    timestamp: new Date().toISOString(),
+                }),
+            };
+        }
+        return {
+            topic: this._sparkplugTopic("NDEATH"),
+            payload: encodePayload({
+                timestamp: Date.now(),
+                metrics: [
+                    {
+                        name: "bdSeq",
+                        datatype: DATA_TYPES.UINT64,
+                        value: this._bdSeq,
+                    },
+                ],
+            }),
+        };
+    }
+
+    /**
+     * Connects to the broker and publishes the current state on every (re)connect.
+     * @private
+     */
+    _start() {
+        const { brokerUrl, clientId, username, password, qos } = this._config;
+        const deathMessage = this._deathMessage();
+        const client = mqtt.connect(brokerUrl, {
+            clientId: clientId || `hmi_bridge_${Date.now()}`,
+            username: username || undefined,
+            password: password || undefined,
+            clean: true,
+            reconnectPeriod: 5000,
+            will: {
+                topic: deathMessage.topic,
+                payload: deathMessage.payload,
+                qos,
+                retain: this._isJson(),
+            },
+        });
+        this._client = client;
+
+        client.on("connect", () => {
+            if (this._client !== client) return;
+            this._connected = true;
+            this._error = null;
+            console.log(
+                `[MqttBridge] Connected to ${brokerUrl} (${this._config.format}).`,
+            );
+            if (!this._isJson())
+                client.subscribe(this._sparkplugTopic("NCMD"), { qos: 0 });
+            this._publishState();
+            this.emit("status_changed", this.getStatus());
+        });
+        client.on("close", () => {
+            if (this._client !== client) return;
+            if (!this._isJson()) {
+                // The broker publishes the will of this session; the next session gets a new bdSeq
+                this._bdSeq = (this._bdSeq + 1) % 256;
+                const death = this._deathMessage();
+                client.options.will = {
+                    ...client.options.will,
+                    payload: death.payload,
+                };
+            }
+            if (!this._connected) return;
+            this._connected = false;
+            this._bornDevices.clear();
+            this.emit("status_changed", this.getStatus());
+        });
+        client.on("error", (error) => {
+            if (this._client !== client) return;
+            console.error(`[MqttBridge] ${brokerUrl}: ${error.message}`);
+            this._error = error.message;
+            this.emit("status_changed", this.getStatus());
+        });
+        client.on("message", (topic, message) =>
+            this._handleCommand(topic, message),
+        );
+
+        this.tagStore.on("tag_updated", this._onTagUpdated);
+        this.tagStore.on("device_removed", this._onDeviceRemoved);
+    }
+
+    /**
+     * Publishes a message if connected.
+     * @param {string} topic
+     * @param {string|Buffer} payload
+     * @param {boolean} [retain=false]
+     * @private
+     */
+    _publish(topic, payload, retain = false) {
+        if (!this._client || !this._connected) return;
+        this._client.publish(
+            topic,
+            payload,
+            { qos: this._config.qos, retain },
+            (error) => {
+                if (error)
+                    console.error(
+                        `[MqttBridge] Publish to '${topic}' failed: ${error.message}`,
+                    );
+            },
+        );
+        this._publishedCount++;
+    }
+
+    /**
+     * Publishes the complete state: the online status and all tags (JSON), or the births (Sparkplug).
+     * @private
+     */
+    _publishState() {
+        if (this._isJson()) {
+            this._publish(
+                `${this._config.topicPrefix}/status`,
+                JSON.stringify({
+                    online: true,
+                    timestamp: new Date().toISOString(),
+                }),
+                true,
+            );
+            this.tagStore
+                .getAllTags()
+                .forEach((tag) => this._publishJsonTag(tag));
+            return;
+        }
+        this._seq = 0;
+        this._publish(
+            this._sparkplugTopic("NBIRTH"),
+            encodePayload({
+                timestamp: Date.now(),
+                seq: this._nextSeq(),
+                metrics: [
+                    {
+                        name: "bdSeq",
+                        datatype: DATA_TYPES.UINT64,
+                        value: this._bdSeq,
+                    },
+                    {
+                        name: REBIRTH_METRIC,
+                        datatype: DATA_TYPES.BOOLEAN,
+                        value: false,
+                    },
+                ],
+            }),
+        );
+        this._bornDevices.clear();
+        const deviceIds = new Set(
+            this.tagStore.getAllTags().map((tag) => tag.deviceId),
+        );
+        deviceIds.forEach((deviceId) => this._publishDeviceBirth(deviceId));
+    }
+
+    /** @returns {number} The sequence number of the next Sparkplug message. @private */
+    _nextSeq() {
+        const seq = this._seq;
+        this._seq = (this._seq + 1) % 256;
+        return seq;
+    }
+
+    /**
+     * Publishes one tag in the JSON format.
+     * @param {{deviceId: string, variableName: string, value: *, timestamp: string, quality: string}} tag
+     * @private
+     */
+    _publishJsonTag(tag) {
+        const payload = JSON.stringify({
+            value: tag.value,
+            timestamp: tag.timestamp,
+            quality: tag.quality,
+        });
+        this._publish(
+            `${this._config.topicPrefix}/${tag.deviceId}/${tag.variableName}`,
+            payload,
+            this._config.retain,
+        );
+    }
+
+    /**
+     * Converts a tag into a Sparkplug metric.
+     * @param {{variableName: string, value: *, timestamp: string, quality: string}} tag
+     * @returns {object}
+     * @private
+     */
+    _toMetric(tag) {
+        const time = Date.parse(tag.timestamp);
+        return {
+            name: tag.variableName,
+            timestamp: Number.isNaN(time) ? Date.now() : time,
+            ...toSparkplugValue(tag.value),
+            properties: {
+                Quality: {
+                    type: DATA_TYPES.INT32,
+                    value: SPARKPLUG_QUALITY[tag.quality] ?? 0,
+                },
+            },
+        };
+    }
+
+    /**
+     * Publishes the DBIRTH of a device with all its current tags.
+     * @param {string} deviceId
+     * @private
+     */
+    _publishDeviceBirth(deviceId) {
+        const tags = this.tagStore
+            .getAllTags()
+            .filter((tag) => tag.deviceId === deviceId);
+        this._bornDevices.set(
+            deviceId,
+            new Set(tags.map((tag) => tag.variableName)),
+        );
+        this._publish(
+            this._sparkplugTopic("DBIRTH", deviceId),
+            encodePayload({
+                timestamp: Date.now(),
+                seq: this._nextSeq(),
+                metrics: tags.map((tag) => this._toMetric(tag)),
+            }),
+        );
+    }
+
+    /**
+     * Publishes a changed tag.
+     * @param {object} tag - The `tag_updated` payload.
+     * @private
+     */
+    _handleTagUpdate(tag) {
+        if (!this._connected) return;
+        if (this._isJson()) {
+            this._publishJsonTag(tag);
+            return;
+        }
+        // A metric that was not in the last DBIRTH needs a new DBIRTH of its device
+        if (!this._bornDevices.get(tag.deviceId)?.has(tag.variableName)) {
+            this._publishDeviceBirth(tag.deviceId);
+            return;
+        }
+        this._publish(
+            this._sparkplugTopic("DDATA", tag.deviceId),
+            encodePayload({
+                timestamp: Date.now(),
+                seq: this._nextSeq(),
+                metrics: [this._toMetric(tag)],
+            }),
+        );
+    }
+
+    /**
+     * Publishes the DDEATH of a removed device (Sparkplug only).
+     * @param {string} deviceId
+     * @private
+     */
+    _handleDeviceRemoved(deviceId) {
+        if (
+            !this._connected ||
+            this._isJson() ||
+            !this._bornDevices.delete(deviceId)
+        )
+            return;
+        this._publish(
+            this._sparkplugTopic("DDEATH", deviceId),
+            encodePayload({ timestamp: Date.now(), seq: this._nextSeq() }),
+        );
+    }
+
+    /**
+     * Handles NCMD messages: `Node Control/Rebirth` publishes all births again.
+     * @param {string} topic
+     * @param {Buffer} message
+     * @private
+     */
+    _handleCommand(topic, message) {
+        if (this._isJson() || topic !== this._sparkplugTopic("NCMD")) return;
+        let payload;
+        try {
+            payload = decodePayload(message);
+        } catch (error) {
+            console.warn(
+                `[MqttBridge] Ignoring malformed NCMD: ${error.message}`,
+            );
+            return;
+        }
+        if (
+            payload.metrics.some(
+                (metric) =>
+                    metric.name === REBIRTH_METRIC && metric.value === true,
+            )
+        ) {
+            console.log("[MqttBridge] Rebirth requested.");
+            this._publishState();
+        }
+    }
+}
+
+const mqttBridge = new MqttBridge();
+
+module.exports = {
+    MQTT_BRIDGE_FORMATS,
+    SPARKPLUG_QUALITY,
+    normalizeMqttBridgeConfig,
+    redactMqttBridgeConfig,
+    restoreMqttBridgePassword,
+    MqttBridge,
+    mqttBridge,
+};
@@ -1,8 +1,22 @@
 // server/projectHandler.js // Nama file diubah
 const fs = require("fs").promises;
 const path = require("path");
+const {
+    PROJECT_SCHEMA_VERSION,
+    prepareProject,
+} = require("../js/projectSchemaCore.js");
 
-const PROJECTS_DIR = path.join(__dirname, "projects"); // Direktori diubah ke 'projects'
+const PROJECTS_DIR =
+    process.env.HMI_PROJECTS_DIR || path.join(__dirname, "projects"); // Direktori diubah ke 'projects'
+
+// Setiap penyimpanan juga disimpan sebagai revisi bernomor di `.history/<project>/`:
+// `revisions.json` (nomor, waktu, author, komentar) dan `<nomor>.json` (data project revisi itu).
+// `<project>.json` selalu berisi revisi terbaru, sehingga load dan list tidak berubah.
+const HISTORY_DIR = path.join(PROJECTS_DIR, ".history");
+const REVISIONS_INDEX_FILE = "revisions.json";
+
+// Penyimpanan per project diserialisasi agar nomor revisi tidak dobel
+const projectLocks = new Map();
 
 // Fungsi untuk memastikan direktori projects ada
 async function ensureProjectsDirExists() {
@@ -27,8 +41,13 @@ async function ensureProjectsDirExists() {
     }
 }
 
-async function saveProjectToFile(projectName, projectData) {
-    await ensureProjectsDirExists();
+/**
+ * Memvalidasi nama project dan mengembalikan nama yang aman dipakai sebagai nama file.
+ * @param {string} projectName
+ * @returns {string}
+ * @throws {{code: string, message: string}} `INVALID_PROJECT_NAME`
+ */
+function sanitizeProjectName(projectName) {
     if (
         !projectName ||
         typeof projectName !== "string" ||
@@ -42,54 +61,175 @@ async function saveProjectToFile(projectName, projectData) {
     const saneProjectName = projectName
         .replace(/[^a-z0-9_\-\s\.]/gi, "_")
         .trim();
-    if (saneProjectName === "") {
+    if (saneProjectName === "" || /^\.+$/.test(saneProjectName)) {
         throw {
             code: "INVALID_PROJECT_NAME",
             message: "Nama project menjadi tidak valid setelah sanitasi.",
         };
     }
-    const filePath = path.join(PROJECTS_DIR, `${saneProjectName}.json`);
+    return saneProjectName;
+}
+
+/**
+ * Menjalankan `task` setelah operasi sebelumnya pada project yang sama selesai.
+ * @param {string} saneProjectName
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>}
+ */
+function withProjectLock(saneProjectName, task) {
+    const previous = projectLocks.get(saneProjectName) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const settled = run.catch(() => {});
+    projectLocks.set(saneProjectName, settled);
+    settled.then(() => {
+        if (projectLocks.get(saneProjectName) === settled)
+            projectLocks.delete(saneProjectName);
+    });
+    return run;
+}
+
+/**
+ * Membaca daftar revisi sebuah project (terlama dulu), atau `null` jika belum ada riwayat.
+ * @param {string} saneProjectName
+ * @returns {Promise<Array<{revision: number, savedAt: string, author: (string|null), comment: string, restoredFrom?: number}> | null>}
+ */
+async function readRevisionIndex(saneProjectName) {
     try {
-        await fs.writeFile(
-            filePath,
-            JSON.stringify(projectData, null, 2),
+        const content = await fs.readFile(
+            path.join(HISTORY_DIR, saneProjectName, REVISIONS_INDEX_FILE),
             "utf8",
         );
-        console.log(
-            `Project '${saneProjectName}' berhasil disimpan ke ${filePath}`,
-        );
-        return { success: true, name: saneProjectName, path: filePath };
+        return JSON.parse(content);
     } catch (error) {
-        console.error(`Gagal menyimpan project '${saneProjectName}':`, error);
+        if (error.code === "ENOENT") return null;
         throw {
-            code: "FILE_SAVE_ERROR",
-            message: `Gagal menyimpan file project: ${error.message}`,
+            code: "HISTORY_LOAD_ERROR",
+            message: `Gagal membaca riwayat project: ${error.message}`,
             originalError: error,
         };
     }
 }
 
-async function loadProjectFromFile(projectName) {
+/**
+ * Menambahkan revisi baru ke riwayat project. Project yang sudah ada sebelum ada riwayat
+ * disimpan dulu sebagai revisi 1, agar versi itu tidak hilang.
+ * @param {string} saneProjectName
+ * @param {object} projectData
+ * @param {{author?: string|null, comment?: string, restoredFrom?: number}} meta
+ * @returns {Promise<object>} Entri revisi baru.
+ */
+async function appendRevision(
+    saneProjectName,
+    projectData,
+    { author = null, comment = "", restoredFrom } = {},
+) {
+    const projectHistoryDir = path.join(HISTORY_DIR, saneProjectName);
+    await fs.mkdir(projectHistoryDir, { recursive: true });
+    let revisions = await readRevisionIndex(saneProjectName);
+    if (!revisions) {
+        revisions = [];
+        try {
+            const existing = await fs.readFile(
+                path.join(PROJECTS_DIR, `${saneProjectName}.json`),
+                "utf8",
+            );
+            const stat = await fs.stat(
+                path.join(PROJECTS_DIR, `${saneProjectName}.json`),
+            );
+            await fs.writeFile(
+                path.join(projectHistoryDir, "1.json"),
+                existing,
+                "utf8",
+            );
+            revisions.push({
+                revision: 1,
+                savedAt: stat.mtime.toISOString(),
+                author: null,
+                comment: "Versi sebelum riwayat revisi",
+            });
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+    }
+    const entry = {
+        revision:
+            revisions.length > 0
+                ? revisions[revisions.length - 1].revision + 1
+                : 1,
+        savedAt: new Date().toISOString(),
+        author: author || null,
+        comment: typeof comment === "string" ? comment.trim() : "",
+    };
+    if (restoredFrom !== undefined) entry.restoredFrom = restoredFrom;
+    await fs.writeFile(
+        path.join(projectHistoryDir, `${entry.revision}.json`),
+        JSON.stringify(projectData, null, 2),
+        "utf8",
+    );
+    revisions.push(entry);
+    await fs.writeFile(
+        path.join(projectHistoryDir, REVISIONS_INDEX_FILE),
+        JSON.stringify(revisions, null, 2),
+        "utf8",
+    );
+    return entry;
+}
+
+/**
+ * Menyimpan project dan mencatatnya sebagai revisi baru.
+ * @param {string} projectName
+ * @param {object} projectData
+ * @param {{author?: string|null, comment?: string, restoredFrom?: number}} [meta={}] - Author dan
+ *        komentar revisi.
+ * @returns {Promise<{success: boolean, name: string, path: string, revision: number}>}
+ */
+async function saveProjectToFile(projectName, projectData, meta = {}) {
     await ensureProjectsDirExists();
-    if (
-        !projectName ||
-        typeof projectName !== "string" ||
-        projectName.trim() === ""
-    ) {
+    const saneProjectName = sanitizeProjectName(projectName);
+    const filePath = path.join(PROJECTS_DIR, `${saneProjectName}.json`);
+    try {
+        return await withProjectLock(saneProjectName, async () => {
+            const { revision } = await appendRevision(
+                saneProjectName,
+                projectData,
+                meta,
+            );
+            await fs.writeFile(
+                filePath,
+                JSON.stringify(projectData, null, 2),
+                "utf8",
+            );
+            console.log(
+                `Project '${saneProjectName}' berhasil disimpan ke ${filePath} (revisi ${revision})`,
+            );
+            return {
+                success: true,
+                name: saneProjectName,
+                path: filePath,
+                revision,
+            };
+        });
+    } catch (error) {
+        console.error(`Gagal menyimpan project '${saneProjectName}':`, error);
         throw {
-            code: "INVALID_PROJECT_NAME",
-            message: "Nama project untuk dimuat tidak valid.",
+            code: "FILE_SAVE_ERROR",
+            message: `Gagal menyimpan file project: ${error.message}`,
+            originalError: error,
         };
     }
-    const saneProjectName = projectName
-        .replace(/[^a-z0-9_\-\s\.]/gi, "_")
-        .trim();
+}
+
+/**
+ * Membaca dan mem-parse file project apa adanya, tanpa migrasi dan validasi.
+ * @param {string} saneProjectName
+ * @returns {Promise<object>}
+ * @throws {{code: string, message: string}} `PROJECT_NOT_FOUND` atau `FILE_LOAD_ERROR`
+ */
+async function readProjectFile(saneProjectName) {
+    await ensureProjectsDirExists();
     const filePath = path.join(PROJECTS_DIR, `${saneProjectName}.json`);
     try {
         const data = await fs.readFile(filePath, "utf8");
-        console.log(
-            `Project '${saneProjectName}' berhasil dimuat dari ${filePath}`,
-        );
         return JSON.parse(data);
     } catch (error) {
         if (error.code === "ENOENT") {
@@ -109,6 +249,58 @@ async function loadProjectFromFile(projectName) {
     }
 }
 
+/**
+ * Memuat project, memigrasikannya ke versi schema terbaru (lihat `js/projectSchemaCore.js`) dan
+ * memvalidasinya.
+ * @param {string} projectName
+ * @returns {Promise<object>} Data project versi terbaru.
+ * @throws {{code: string, message: string, errors?: Array<object>}} `PROJECT_NOT_FOUND`,
+ *         `FILE_LOAD_ERROR`, `UNSUPPORTED_PROJECT_VERSION`, atau `INVALID_PROJECT` dengan daftar
+ *         error validasi (`path`, `code`, `message`).
+ */
+async function loadProjectFromFile(projectName) {
+    if (
+        !projectName ||
+        typeof projectName !== "string" ||
+        projectName.trim() === ""
+    ) {
+        throw {
+            code: "INVALID_PROJECT_NAME",
+            message: "Nama project untuk dimuat tidak valid.",
+        };
+    }
+    const saneProjectName = projectName
+        .replace(/[^a-z0-9_\-\s\.]/gi, "_")
+        .trim();
+    const rawData = await readProjectFile(saneProjectName);
+    let prepared;
+    try {
+        prepared = prepareProject(rawData);
+    } catch (error) {
+        console.warn(
+            `Project '${saneProjectName}' tidak dapat dimuat: ${error.message}`,
+        );
+        throw {
+            ...error,
+            message: `Project '${saneProjectName}': ${error.message}`,
+        };
+    }
+    const { project, fromVersion, notes, warnings } = prepared;
+    if (fromVersion !== PROJECT_SCHEMA_VERSION) {
+        console.log(
+            `Project '${saneProjectName}' dimigrasi dari versi ${fromVersion} ke ${PROJECT_SCHEMA_VERSION}.`,
+            notes,
+        );
+    }
+    warnings.forEach((warning) =>
+        console.warn(
+            `Project '${saneProjectName}' ${warning.path}: ${warning.message}`,
+        ),
+    );
+    console.log(`Project '${saneProjectName}' berhasil dimuat.`);
+    return project;
+}
+
 async function listProjectFiles() {
     await ensureProjectsDirExists();
     try {
@@ -127,9 +319,428 @@ async function listProjectFiles() {
     }
 }
 
+/**
+ * Mengembalikan daftar revisi sebuah project, terbaru dulu.
+ * @param {string} projectName
+ * @returns {Promise<Array<{revision: number, savedAt: string, author: (string|null), comment: string, restoredFrom?: number}>>}
+ *          Kosong untuk project yang belum pernah disimpan dengan riwayat.
+ * @throws {{code: string, message: string}} `PROJECT_NOT_FOUND`
+ */
+async function listProjectRevisions(projectName) {
+    const saneProjectName = sanitizeProjectName(projectName);
+    const revisions = await readRevisionIndex(saneProjectName);
+    if (revisions) return revisions.slice().reverse();
+    await readProjectFile(saneProjectName); // PROJECT_NOT_FOUND jika project tidak ada
+    return [];
+}
+
+/**
+ * Memuat data project dari sebuah revisi.
+ * @param {string} projectName
+ * @param {number|string} revision - Nomor revisi.
+ * @returns {Promise<object>}
+ * @throws {{code: string, message: string}} `REVISION_NOT_FOUND`
+ */
+async function loadProjectRevision(projectName, revision) {
+    const saneProjectName = sanitizeProjectName(projectName);
+    const revisionNumber = Number(revision);
+    const revisions = (await readRevisionIndex(saneProjectName)) || [];
+    if (!revisions.some((entry) => entry.revision === revisionNumber)) {
+        throw {
+            code: "REVISION_NOT_FOUND",
+            message: `Revisi ${revision} dari project '${saneProjectName}' tidak ditemukan.`,
+        };
+    }
+    try {
+        const data = await fs.readFile(
+            path.join(HISTORY_DIR, saneProjectName, `${revisionNumber}.json`),
+            "utf8",
+        );
+        return JSON.parse(data);
+    } catch (error) {
+        throw {
+            code: "FILE_LOAD_ERROR",
+            message: `Gagal memuat revisi ${revisionNumber}: ${error.message}`,
+            originalError: error,
+        };
+    }
+}
+
+/**
+ * Membandingkan dua revisi sebuah project.
+ * @param {string} projectName
+ * @param {number|string} fromRevision - Revisi lama.
+ * @param {number|string} [toRevision] - Revisi baru; default revisi terbaru.
+ * @returns {Promise<{from: number, to: number} & ReturnType<typeof diffProjects>>}
+ */
+async function diffProjectRevisions(projectName, fromRevision, toRevision) {
+    const revisions = await listProjectRevisions(projectName);
+    const to =
+        toRevision === undefined || toRevision === null || toRevision === ""
+            ? revisions[0]?.revision
+            : Number(toRevision);
+    const from = Number(fromRevision);
+    const [oldData, newData] = await Promise.all([
+        loadProjectRevision(projectName, from),
+        loadProjectRevision(projectName, to),
+    ]);
+    return { from, to, ...diffProjects(oldData, newData) };
+}
+
+/**
+ * Mengembalikan project ke sebuah revisi lama. Riwayat tidak dihapus: isi revisi lama disimpan
+ * sebagai revisi baru.
+ * @param {string} projectName
+ * @param {number|string} revision - Revisi yang dikembalikan.
+ * @param {{author?: string|null, comment?: string}} [meta={}]
+ * @returns {Promise<{success: boolean, name: string, path: string, revision: number, restoredFrom: number, data: object}>}
+ */
+async function restoreProjectRevision(
+    projectName,
+    revision,
+    { author = null, comment } = {},
+) {
+    const restoredFrom = Number(revision);
+    const oldData = await loadProjectRevision(projectName, restoredFrom);
+    const data = {
+        ...oldData,
+        projectName: sanitizeProjectName(projectName),
+        lastModified: new Date().toISOString(),
+    };
+    const result = await saveProjectToFile(projectName, data, {
+        author,
+        comment: comment || `Rollback ke revisi ${restoredFrom}`,
+        restoredFrom,
+    });
+    return { ...result, restoredFrom, data };
+}
+
+/**
+ * Mengembalikan `true` jika file project ada.
+ * @param {string} saneProjectName
+ * @returns {Promise<boolean>}
+ */
+async function projectFileExists(saneProjectName) {
+    try {
+        await fs.access(path.join(PROJECTS_DIR, `${saneProjectName}.json`));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Melempar `PROJECT_EXISTS` jika sudah ada project dengan nama itu (tanpa membedakan huruf besar/kecil,
+ * agar nama tetap unik di sistem file yang tidak case-sensitive).
+ * @param {string} saneProjectName
+ * @param {string} [exceptName] - Nama yang boleh sama (project yang sedang di-rename).
+ */
+async function assertProjectNameFree(saneProjectName, exceptName) {
+    const names = await listProjectFiles();
+    const taken = names.some(
+        (name) =>
+            name.toLowerCase() === saneProjectName.toLowerCase() &&
+            name !== exceptName,
+    );
+    if (taken) {
+        throw {
+            code: "PROJECT_EXISTS",
+            message: `Project '${saneProjectName}' sudah ada.`,
+        };
+    }
+}
+
+/**
+ * Menghapus project beserta riwayat revisinya.
+ * @param {string} projectName
+ * @returns {Promise<{success: boolean, name: string}>}
+ * @throws {{code: string, message: string}} `PROJECT_NOT_FOUND`
+ */
+async function deleteProject(projectName) {
+    const saneProjectName = sanitizeProjectName(projectName);
+    return withProjectLock(saneProjectName, async () => {
+        if (!(await projectFileExists(saneProjectName))) {
+            throw {
+                code: "PROJECT_NOT_FOUND",
+                message: `Project '${saneProjectName}' tidak ditemukan.`,
+            };
+        }
+        try {
+            await fs.unlink(path.join(PROJECTS_DIR, `${saneProjectName}.json`));
+            await fs.rm(path.join(HISTORY_DIR, saneProjectName), {
+                recursive: true,
+                force: true,
+            });
+        } catch (error) {
+            throw {
+                code: "FILE_DELETE_ERROR",
+                message: `Gagal menghapus project: ${error.message}`,
+                originalError: error,
+            };
+        }
+        console.log(`Project '${saneProjectName}' dihapus.`);
+        return { success: true, name: saneProjectName };
+    });
+}
+
+/**
+ * Mengganti nama project. Riwayat revisinya ikut pindah.
+ * @param {string} projectName - Nama sekarang.
+ * @param {string} newProjectName - Nama baru.
+ * @returns {Promise<{success: boolean, name: string, newName: string}>}
+ * @throws {{code: string, message: string}} `PROJECT_NOT_FOUND` atau `PROJECT_EXISTS`
+ */
+async function renameProject(projectName, newProjectName) {
+    const saneProjectName = sanitizeProjectName(projectName);
+    const saneNewName = sanitizeProjectName(newProjectName);
+    if (saneNewName === saneProjectName) {
+        await readProjectFile(saneProjectName); // PROJECT_NOT_FOUND jika project tidak ada
+        return { success: true, name: saneProjectName, newName: saneNewName };
+    }
+    // Kunci diambil dalam urutan tetap agar dua rename yang berlawanan tidak saling menunggu
+    const [firstLock, secondLock] = [saneProjectName, saneNewName].sort();
+    return withProjectLock(firstLock, () =>
+        withProjectLock(secondLock, async () => {
+            const projectData = await readProjectFile(saneProjectName);
+            await assertProjectNameFree(saneNewName, saneProjectName);
+            const filePath = path.join(PROJECTS_DIR, `${saneProjectName}.json`);
+            const newFilePath = path.join(PROJECTS_DIR, `${saneNewName}.json`);
+            const historyDir = path.join(HISTORY_DIR, saneProjectName);
+            const newHistoryDir = path.join(HISTORY_DIR, saneNewName);
+            let historyMoved = false;
+            let fileMoved = false;
+            try {
+                // Riwayat dipindah lebih dulu; bila langkah berikutnya gagal, semua dikembalikan
+                // agar project tidak setengah berganti nama
+                try {
+                    await fs.rename(historyDir, newHistoryDir);
+                    historyMoved = true;
+                } catch (error) {
+                    if (error.code !== "ENOENT") throw error; // Project tanpa riwayat
+                }
+                await fs.rename(filePath, newFilePath);
+                fileMoved = true;
+                await fs.writeFile(
+                    newFilePath,
+                    JSON.stringify(
+                        { ...projectData, projectName: saneNewName },
+                        null,
+                        2,
+                    ),
+                    "utf8",
+                );
+            } catch (error) {
+                if (fileMoved) {
+                    await fs
+                        .rename(newFilePath, filePath)
+                        .catch((rollbackError) =>
+                            console.error(
+                                "Gagal mengembalikan file project:",
+                                rollbackError,
+                            ),
+                        );
+                }
+                if (historyMoved) {
+                    await fs
+                        .rename(newHistoryDir, historyDir)
+                        .catch((rollbackError) =>
+                            console.error(
+                                "Gagal mengembalikan riwayat project:",
+                                rollbackError,
+                            ),
+                        );
+                }
+                throw {
+                    code: "FILE_SAVE_ERROR",
+                    message: `Gagal mengganti nama project: ${error.message}`,
+                    originalError: error,
+                };
+            }
+            console.log(
+                `Project '${saneProjectName}' diganti nama menjadi '${saneNewName}'.`,
+            );
+            return {
+                success: true,
+                name: saneProjectName,
+                newName: saneNewName,
+            };
+        }),
+    );
+}
+
+/**
+ * Menyimpan salinan project dengan nama baru. Salinan mulai dengan riwayat revisi sendiri.
+ * @param {string} projectName - Project sumber.
+ * @param {string} newProjectName - Nama salinan.
+ * @param {{author?: string|null}} [meta={}]
+ * @returns {Promise<{success: boolean, name: string, path: string, revision: number}>} Hasil penyimpanan salinan.
+ * @throws {{code: string, message: string}} `PROJECT_NOT_FOUND` atau `PROJECT_EXISTS`
+ */
+async function duplicateProject(
+    projectName,
+    newProjectName,
+    { author = null } = {},
+) {
+    const saneProjectName = sanitizeProjectName(projectName);
+    const saneNewName = sanitizeProjectName(newProjectName);
+    const projectData = await loadProjectFromFile(saneProjectName);
+    await assertProjectNameFree(saneNewName);
+    return saveProjectToFile(
+        saneNewName,
+        {
+            ...projectData,
+            projectName: saneNewName,
+            lastModified: new Date().toISOString(),
+        },
+        { author, comment: `Salinan dari '${saneProjectName}'` },
+    );
+}
+
+/**
+ * Daftar project beserta metadata untuk dialog load.
+ * @returns {Promise<Array<{name: string, lastModified: (string|null), size: number, components: number, devices: number}>>}
+ *          Diurutkan menurut nama.
+ */
+async function listProjectsWithMetadata() {
+    const names = await listProjectFiles();
+    const projects = await Promise.all(
+        names.map(async (name) => {
+            const filePath = path.join(PROJECTS_DIR, `${name}.json`);
+            try {
+                const [content, stat] = await Promise.all([
+                    fs.readFile(filePath, "utf8"),
+                    fs.stat(filePath),
+                ]);
+                const data = JSON.parse(content);
+                return {
+                    name,
+                    lastModified: data.lastModified || stat.mtime.toISOString(),
+                    size: stat.size,
+                    components: Array.isArray(data.hmiLayout)
+                        ? data.hmiLayout.length
+                        : 0,
+                    devices: Array.isArray(data.deviceConfigs)
+                        ? data.deviceConfigs.length
+                        : 0,
+                };
+            } catch (error) {
+                // File rusak atau baru saja dihapus: tetap tampilkan namanya
+                console.warn(
+                    `Metadata project '${name}' tidak dapat dibaca:`,
+                    error.message,
+                );
+                return {
+                    name,
+                    lastModified: null,
+                    size: 0,
+                    components: 0,
+                    devices: 0,
+                };
+            }
+        }),
+    );
+    return projects.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Membandingkan daftar objek ber-`id`: yang ditambah, dihapus, dan properti yang berubah.
+ * @param {Array<object>} oldItems
+ * @param {Array<object>} newItems
+ * @param {function(object): object} describe - Ringkasan sebuah item untuk hasil diff.
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<object>}}
+ */
+function diffById(oldItems, newItems, describe) {
+    const toMap = (items) =>
+        new Map(
+            (Array.isArray(items) ? items : []).map((item) => [item.id, item]),
+        );
+    const oldMap = toMap(oldItems);
+    const newMap = toMap(newItems);
+    const result = { added: [], removed: [], changed: [] };
+    newMap.forEach((item, id) => {
+        if (!oldMap.has(id)) result.added.push(describe(item));
+    });
+    oldMap.forEach((oldItem, id) => {
+        const newItem = newMap.get(id);
+        if (!newItem) {
+            result.removed.push(describe(oldItem));
+            return;
+        }
+        const keys = new Set([
+            ...Object.keys(oldItem),
+            ...Object.keys(newItem),
+        ]);
+        const changes = [...keys]
+            .filter(
+                (key) =>
+                    JSON.stringify(oldItem[key]) !==
+                    JSON.stringify(newItem[key]),
+            )
+            .map((key) => ({ key, from: oldItem[key], to: newItem[key] }));
+        if (changes.length > 0)
+            result.changed.push({ ...describe(newItem), changes });
+    });
+    return result;
+}
+
+/**
+ * Diff terstruktur antara dua data project: komponen dan konfigurasi device yang ditambah,
+ * dihapus, atau diubah, plus bagian lain project yang berubah (screens, alarm, symbols, ...).
+ * @param {object} oldData
+ * @param {object} newData
+ * @returns {{
+ *   components: {added: Array<object>, removed: Array<object>, changed: Array<object>},
+ *   devices: {added: Array<object>, removed: Array<object>, changed: Array<object>},
+ *   otherChanges: Array<string>
+ * }}
+ */
+function diffProjects(oldData = {}, newData = {}) {
+    const ignoredKeys = [
+        "projectName",
+        "lastModified",
+        "hmiLayout",
+        "deviceConfigs",
+    ];
+    const keys = new Set([
+        ...Object.keys(oldData || {}),
+        ...Object.keys(newData || {}),
+    ]);
+    return {
+        components: diffById(oldData?.hmiLayout, newData?.hmiLayout, (c) => ({
+            id: c.id,
+            componentType: c.componentType,
+            screenId: c.screenId,
+        })),
+        devices: diffById(
+            oldData?.deviceConfigs,
+            newData?.deviceConfigs,
+            (d) => ({
+                id: d.id,
+                name: d.name,
+                type: d.type,
+            }),
+        ),
+        otherChanges: [...keys].filter(
+            (key) =>
+                !ignoredKeys.includes(key) &&
+                JSON.stringify(oldData?.[key]) !==
+                    JSON.stringify(newData?.[key]),
+        ),
+    };
+}
+
 module.exports = {
     saveProjectToFile, // Nama fungsi diubah
     loadProjectFromFile, // Nama fungsi diubah
     listProjectFiles, // Nama fungsi diubah
     ensureProjectsDirExists, // Nama fungsi diubah
+    listProjectsWithMetadata,
+    deleteProject,
+    renameProject,
+    duplicateProject,
+    listProjectRevisions,
+    loadProjectRevision,
+    diffProjectRevisions,
+    restoreProjectRevision,
+    diffProjects,
 };
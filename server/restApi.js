@@ -0,0 +1,1003 @@
+/**
+ * @file REST API for scripts and other systems: devices, tag values and writes, projects,
+ * history and the audit trail, described by the OpenAPI document at `GET /api/openapi.json`.
+ *
+ * Requests authenticate like the browser (`POST /api/auth/login`, then the session cookie or an
+ * `Authorization: Bearer <token>` header) and need the same role as the matching socket event
+ * (see `EVENT_PERMISSIONS` in `auth.js`). Writes, project saves and loads take the same path as
+ * their socket events and are audited with `source: "rest-api"`.
+ *
+ * Errors are answered as `{operation, code, message, details}`, the body of `operation_error`,
+ * with the codes of the socket events (e.g. `PROJECT_NOT_FOUND`, `INVALID_PROJECT`).
+ */
+
+const express = require("express");
+const { getDeviceInstance } = require("./deviceManager");
+const projectHandler = require("./projectHandler");
+const { tagStore } = require("./tagStore");
+const { historian } = require("./historian");
+const { auditLog, AUDIT_ACTIONS } = require("./auditLog");
+const { requireRole } = require("./auth");
+const {
+    activateProject,
+    broadcastRunningProject,
+    getDeviceList,
+    getRuntimeStatus,
+    summarizeProject,
+    redactProjectSecrets,
+    restoreProjectSecrets,
+    writeTag,
+} = require("./socketHandler");
+
+/** Audit source of changes made through the REST API. */
+const REST_SOURCE = "rest-api";
+
+/** Largest project accepted by `PUT /api/projects/{name}` (same as Socket.IO's default buffer). */
+const PROJECT_BODY_LIMIT = "1mb";
+
+/**
+ * HTTP status per error code; other codes are answered with 400 if they start with `INVALID_`
+ * or `UNSUPPORTED_`, and with 500 otherwise.
+ * @type {Readonly<Object<string, number>>}
+ */
+const ERROR_STATUS = Object.freeze({
+    DEVICE_NOT_FOUND: 404,
+    TAG_NOT_FOUND: 404,
+    PROJECT_NOT_FOUND: 404,
+    REVISION_NOT_FOUND: 404,
+    PROJECT_EXISTS: 409,
+    WRITE_NOT_PERMITTED: 403,
+    WRITE_FAILED: 502,
+    WRITE_TIMEOUT: 504,
+    NOT_FOUND: 404,
+    PAYLOAD_TOO_LARGE: 413,
+});
+
+/** Operation of errors that belong to no route: unknown routes and bodies that cannot be read. */
+const API_REQUEST_OPERATION = "api_request";
+
+/**
+ * Error code of each failed `writeTag` status.
+ * @type {Readonly<Object<string, string>>}
+ */
+const WRITE_ERROR_CODES = Object.freeze({
+    error: "WRITE_FAILED",
+    timeout: "WRITE_TIMEOUT",
+    not_permitted: "WRITE_NOT_PERMITTED",
+});
+
+/**
+ * Answers a request with an error body shaped like `operation_error`.
+ * @param {import('express').Response} res
+ * @param {string} operation - The matching socket event (e.g. `project:load`).
+ * @param {{code?: string, message?: string, errors?: Array<object>}} error - The error thrown.
+ * @param {string} fallbackMessage - Message for errors without one.
+ * @param {object} [details={}] - What the request was about (e.g. `{projectName}`).
+ */
+function sendError(res, operation, error, fallbackMessage, details = {}) {
+    const code = error?.code || "SERVER_ERROR";
+    const status =
+        ERROR_STATUS[code] ||
+        (/^(INVALID|UNSUPPORTED)_/.test(code) ? 400 : 500);
+    if (status === 500)
+        console.error(`[RestApi] Error in '${operation}':`, error);
+    res.status(status).json({
+        operation,
+        code,
+        message: error?.message || fallbackMessage,
+        details: error?.errors
+            ? { ...details, validationErrors: error.errors }
+            : details,
+    });
+}
+
+/**
+ * OpenAPI description of the routes added by {@link setupRestApi} and the login routes of
+ * `auth.js`.
+ * @type {object}
+ */
+const OPENAPI_DOCUMENT = {
+    openapi: "3.0.3",
+    info: {
+        title: "SCADA HMI API",
+        version: "1.0.0",
+        description:
+            "Devices, tag values, projects, history and audit trail of the HMI server. Log in with " +
+            "POST /api/auth/login and send the returned token as a Bearer token (or the hmi_session cookie).",
+    },
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    paths: {
+        "/api/auth/login": {
+            post: {
+                summary: "Log in",
+                security: [],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["username", "password"],
+                                properties: {
+                                    username: { type: "string" },
+                                    password: { type: "string" },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: {
+                        description:
+                            "Session token and user; the token is also set as the hmi_session cookie.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        token: { type: "string" },
+                                        user: {
+                                            $ref: "#/components/schemas/User",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/auth/logout": {
+            post: {
+                summary: "Log out",
+                security: [],
+                responses: { 200: { description: "Session ended." } },
+            },
+        },
+        "/api/auth/me": {
+            get: {
+                summary: "Current user (role viewer)",
+                responses: {
+                    200: {
+                        description: "The user.",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/User" },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/devices": {
+            get: {
+                summary:
+                    "Running devices with their connection state (role viewer)",
+                responses: {
+                    200: {
+                        description:
+                            "Device configurations of the running project.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "array",
+                                    items: {
+                                        $ref: "#/components/schemas/Device",
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/devices/{deviceId}": {
+            parameters: [{ $ref: "#/components/parameters/deviceId" }],
+            get: {
+                summary: "One running device (role viewer)",
+                responses: {
+                    200: {
+                        description: "The device.",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Device" },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/tags": {
+            get: {
+                summary: "Current tag values (role viewer)",
+                parameters: [
+                    {
+                        name: "deviceId",
+                        in: "query",
+                        schema: { type: "string" },
+                        description: "Only the tags of this device.",
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Last known value of every variable.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "array",
+                                    items: { $ref: "#/components/schemas/Tag" },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/tags/{deviceId}/{variableName}": {
+            parameters: [
+                { $ref: "#/components/parameters/deviceId" },
+                { $ref: "#/components/parameters/variableName" },
+            ],
+            get: {
+                summary: "Current value of one variable (role viewer)",
+                responses: {
+                    200: {
+                        description: "The tag.",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Tag" },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/Error" },
+                },
+            },
+            put: {
+                summary: "Write a variable (role operator)",
+                description:
+                    "Same as the write_to_device socket event; read-only variables are refused.",
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["value"],
+                                properties: { value: {} },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: {
+                        description: "The device completed the write.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        status: {
+                                            type: "string",
+                                            enum: ["success"],
+                                        },
+                                        deviceId: { type: "string" },
+                                        variableName: { type: "string" },
+                                        value: {},
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/Error" },
+                    403: { $ref: "#/components/responses/Error" },
+                    404: { $ref: "#/components/responses/Error" },
+                    502: { $ref: "#/components/responses/Error" },
+                    504: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/projects": {
+            get: {
+                summary: "Saved projects (role viewer)",
+                responses: {
+                    200: {
+                        description: "Projects with metadata, sorted by name.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "array",
+                                    items: {
+                                        $ref: "#/components/schemas/ProjectInfo",
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/projects/{name}": {
+            parameters: [{ $ref: "#/components/parameters/projectName" }],
+            get: {
+                summary:
+                    "Project file, migrated to the current schema version (role viewer)",
+                responses: {
+                    200: {
+                        description:
+                            "The project. The MQTT bridge password is left out (`mqttBridge.hasPassword`).",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        name: { type: "string" },
+                                        data: { type: "object" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/Error" },
+                    404: { $ref: "#/components/responses/Error" },
+                },
+            },
+            put: {
+                summary: "Save a project as a new revision (role engineer)",
+                description:
+                    "An empty `mqttBridge.password` with `mqttBridge.hasPassword: true` keeps the saved password.",
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["data"],
+                                properties: {
+                                    data: { type: "object" },
+                                    comment: { type: "string" },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: {
+                        description: "Saved.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        name: { type: "string" },
+                                        revision: { type: "integer" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/Error" },
+                    403: { $ref: "#/components/responses/Error" },
+                    413: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/projects/{name}/load": {
+            parameters: [{ $ref: "#/components/parameters/projectName" }],
+            post: {
+                summary:
+                    "Run a project: replace the running devices, alarms and bridges (role engineer)",
+                responses: {
+                    200: {
+                        description: "The project is running.",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        name: { type: "string" },
+                                        devices: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/Device",
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/Error" },
+                    403: { $ref: "#/components/responses/Error" },
+                    404: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/history": {
+            get: {
+                summary: "Recorded history of one variable (role viewer)",
+                description:
+                    "Only variables with logHistory enabled are recorded.",
+                parameters: [
+                    {
+                        name: "deviceId",
+                        in: "query",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "variableName",
+                        in: "query",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "from",
+                        in: "query",
+                        required: true,
+                        schema: { type: "string" },
+                        description:
+                            "Epoch ms or ISO date; cut to the retention window (`HMI_HISTORY_RETENTION_DAYS`, default 30 days).",
+                    },
+                    {
+                        name: "to",
+                        in: "query",
+                        schema: { type: "string" },
+                        description: "Epoch ms or ISO date; default now.",
+                    },
+                    {
+                        name: "bucketMs",
+                        in: "query",
+                        schema: { type: "integer" },
+                    },
+                    {
+                        name: "maxPoints",
+                        in: "query",
+                        schema: { type: "integer" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description:
+                            "Raw samples ({t, value}) or, with bucketMs/maxPoints, buckets ({t, min, max, avg, count}).",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        deviceId: { type: "string" },
+                                        variableName: { type: "string" },
+                                        from: { type: "integer" },
+                                        to: { type: "integer" },
+                                        bucketMs: { type: "integer" },
+                                        points: {
+                                            type: "array",
+                                            items: { type: "object" },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+        "/api/audit": {
+            get: {
+                summary: "Audit trail (role engineer)",
+                parameters: [
+                    { name: "from", in: "query", schema: { type: "string" } },
+                    { name: "to", in: "query", schema: { type: "string" } },
+                    { name: "user", in: "query", schema: { type: "string" } },
+                    {
+                        name: "deviceId",
+                        in: "query",
+                        schema: { type: "string" },
+                    },
+                    { name: "action", in: "query", schema: { type: "string" } },
+                    { name: "limit", in: "query", schema: { type: "integer" } },
+                ],
+                responses: {
+                    200: {
+                        description: "Matching entries, newest first.",
+                        content: {
+                            "application/json": { schema: { type: "object" } },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/Error" },
+                    403: { $ref: "#/components/responses/Error" },
+                },
+            },
+        },
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: "http", scheme: "bearer" },
+            sessionCookie: {
+                type: "apiKey",
+                in: "cookie",
+                name: "hmi_session",
+            },
+        },
+        parameters: {
+            deviceId: {
+                name: "deviceId",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+            },
+            variableName: {
+                name: "variableName",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+            },
+            projectName: {
+                name: "name",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+            },
+        },
+        responses: {
+            Error: {
+                description:
+                    "Error, with the code of the matching operation_error socket event.",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
+            },
+        },
+        schemas: {
+            Error: {
+                type: "object",
+                required: ["code", "message"],
+                properties: {
+                    operation: {
+                        type: "string",
+                        description:
+                            "The matching socket event, e.g. project:load; api_request for unknown routes and unreadable bodies.",
+                    },
+                    code: { type: "string", example: "PROJECT_NOT_FOUND" },
+                    message: { type: "string" },
+                    details: { type: "object" },
+                },
+            },
+            User: {
+                type: "object",
+                properties: {
+                    username: { type: "string" },
+                    role: {
+                        type: "string",
+                        enum: ["viewer", "operator", "engineer", "admin"],
+                    },
+                },
+            },
+            Device: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    name: { type: "string" },
+                    type: { type: "string" },
+                    connected: { type: "boolean" },
+                    variables: { type: "array", items: { type: "object" } },
+                },
+            },
+            Tag: {
+                type: "object",
+                properties: {
+                    deviceId: { type: "string" },
+                    variableName: { type: "string" },
+                    value: {},
+                    timestamp: { type: "string", format: "date-time" },
+                    quality: {
+                        type: "string",
+                        enum: ["good", "stale", "comm-fail", "uninitialized"],
+                    },
+                },
+            },
+            ProjectInfo: {
+                type: "object",
+                properties: {
+                    name: { type: "string" },
+                    lastModified: { type: "string", nullable: true },
+                    size: { type: "integer" },
+                    components: { type: "integer" },
+                    devices: { type: "integer" },
+                    startup: { type: "boolean" },
+                    active: { type: "boolean" },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Adds the REST routes to the Express app.
+ * @param {import('express').Express} app
+ * @param {object} io - The Socket.IO server instance (writes and project loads are broadcast).
+ */
+function setupRestApi(app, io) {
+    app.get("/api/openapi.json", (req, res) => {
+        res.json(OPENAPI_DOCUMENT);
+    });
+
+    // --- Devices and tags ---
+
+    app.get("/api/devices", requireRole("viewer"), (req, res) => {
+        res.json(getDeviceList());
+    });
+
+    app.get("/api/devices/:deviceId", requireRole("viewer"), (req, res) => {
+        const { deviceId } = req.params;
+        const device = getDeviceList().find((d) => d.id === deviceId);
+        if (!device) {
+            sendError(
+                res,
+                "request_device_data",
+                {
+                    code: "DEVICE_NOT_FOUND",
+                    message: `Device ${deviceId} not found.`,
+                },
+                "",
+                { deviceId },
+            );
+            return;
+        }
+        res.json(device);
+    });
+
+    app.get("/api/tags", requireRole("viewer"), (req, res) => {
+        const { deviceId } = req.query;
+        const tags = tagStore.getAllTags();
+        res.json(
+            deviceId ? tags.filter((tag) => tag.deviceId === deviceId) : tags,
+        );
+    });
+
+    app.get(
+        "/api/tags/:deviceId/:variableName",
+        requireRole("viewer"),
+        (req, res) => {
+            const { deviceId, variableName } = req.params;
+            const tag = tagStore.getTag(deviceId, variableName);
+            if (!tag) {
+                sendError(
+                    res,
+                    "request_device_data",
+                    {
+                        code: "TAG_NOT_FOUND",
+                        message: `Belum ada nilai untuk ${deviceId}.${variableName}.`,
+                    },
+                    "",
+                    { deviceId, variableName },
+                );
+                return;
+            }
+            res.json({ deviceId, variableName, ...tag });
+        },
+    );
+
+    app.put(
+        "/api/tags/:deviceId/:variableName",
+        requireRole("operator"),
+        express.json(),
+        async (req, res) => {
+            const { deviceId, variableName } = req.params;
+            const value = req.body?.value;
+            const details = { deviceId, variableName };
+            if (value === undefined) {
+                sendError(
+                    res,
+                    "write_to_device",
+                    {
+                        code: "INVALID_WRITE_REQUEST",
+                        message: "Body harus berisi 'value'.",
+                    },
+                    "",
+                    details,
+                );
+                return;
+            }
+            if (!getDeviceInstance(deviceId)) {
+                sendError(
+                    res,
+                    "write_to_device",
+                    {
+                        code: "DEVICE_NOT_FOUND",
+                        message: `Device ${deviceId} not found. Cannot write.`,
+                    },
+                    "",
+                    details,
+                );
+                return;
+            }
+            const { status, message } = await writeTag(
+                io,
+                { deviceId, variableName, value },
+                { user: req.user, source: REST_SOURCE },
+            );
+            if (status !== "success") {
+                sendError(
+                    res,
+                    "write_to_device",
+                    {
+                        code: WRITE_ERROR_CODES[status] || "WRITE_FAILED",
+                        message,
+                    },
+                    "Gagal menulis ke device.",
+                    details,
+                );
+                return;
+            }
+            res.json({ status, deviceId, variableName, value });
+        },
+    );
+
+    // --- Projects ---
+
+    app.get("/api/projects", requireRole("viewer"), async (req, res) => {
+        try {
+            const { startupProject, activeProject } = getRuntimeStatus();
+            const projects = await projectHandler.listProjectsWithMetadata();
+            res.json(
+                projects.map((project) => ({
+                    ...project,
+                    startup: project.name === startupProject,
+                    active: project.name === activeProject,
+                })),
+            );
+        } catch (error) {
+            sendError(
+                res,
+                "project:list",
+                error,
+                "Gagal mendapatkan daftar project.",
+            );
+        }
+    });
+
+    app.get("/api/projects/:name", requireRole("viewer"), async (req, res) => {
+        const { name } = req.params;
+        try {
+            res.json({
+                name,
+                data: redactProjectSecrets(
+                    await projectHandler.loadProjectFromFile(name),
+                ),
+            });
+        } catch (error) {
+            sendError(
+                res,
+                "runtime:get_project",
+                error,
+                `Gagal memuat project '${name}'.`,
+                { projectName: name },
+            );
+        }
+    });
+
+    app.put(
+        "/api/projects/:name",
+        requireRole("engineer"),
+        express.json({ limit: PROJECT_BODY_LIMIT }),
+        async (req, res) => {
+            const { name } = req.params;
+            const { data, comment } = req.body || {};
+            if (!data || typeof data !== "object" || Array.isArray(data)) {
+                sendError(
+                    res,
+                    "project:save",
+                    {
+                        code: "INVALID_PROJECT",
+                        message: "Body harus berisi 'data' (objek project).",
+                    },
+                    "",
+                    {
+                        projectName: name,
+                    },
+                );
+                return;
+            }
+            // The audit trail keeps a summary of the project before and after saving, as for project:save
+            const previous = await projectHandler
+                .loadProjectFromFile(name)
+                .catch(() => null);
+            const audit = (entry) =>
+                auditLog.record({
+                    action: AUDIT_ACTIONS.PROJECT_SAVE,
+                    user: req.user,
+                    source: REST_SOURCE,
+                    projectName: name,
+                    ...entry,
+                });
+            try {
+                const { revision } = await projectHandler.saveProjectToFile(
+                    name,
+                    restoreProjectSecrets(name, data, previous),
+                    { author: req.user.username, comment },
+                );
+                audit({
+                    oldValue: summarizeProject(previous),
+                    newValue: { revision, ...summarizeProject(data) },
+                });
+                res.json({ success: true, name, revision });
+            } catch (error) {
+                audit({
+                    newValue: summarizeProject(data),
+                    status: "error",
+                    message: error.message,
+                });
+                sendError(
+                    res,
+                    "project:save",
+                    error,
+                    `Gagal menyimpan project '${name}'.`,
+                    { projectName: name },
+                );
+            }
+        },
+    );
+
+    app.post(
+        "/api/projects/:name/load",
+        requireRole("engineer"),
+        async (req, res) => {
+            const { name } = req.params;
+            const previousProjectName = getRuntimeStatus().activeProject;
+            const audit = (entry) =>
+                auditLog.record({
+                    action: AUDIT_ACTIONS.PROJECT_LOAD,
+                    user: req.user,
+                    source: REST_SOURCE,
+                    projectName: name,
+                    ...entry,
+                });
+            try {
+                await activateProject(io, name);
+                audit({ oldValue: previousProjectName, newValue: name });
+                broadcastRunningProject(io); // As for project:load: every client gets the new devices and values
+                res.json({ name, devices: getDeviceList() });
+            } catch (error) {
+                audit({
+                    oldValue: previousProjectName,
+                    status: "error",
+                    message: error.message,
+                });
+                sendError(
+                    res,
+                    "project:load",
+                    error,
+                    `Gagal memuat project '${name}'.`,
+                    { projectName: name },
+                );
+            }
+        },
+    );
+
+    // --- History and audit trail ---
+
+    // e.g. /api/history?deviceId=plc1&variableName=level&from=2024-01-01T00:00:00Z&maxPoints=500
+    app.get("/api/history", requireRole("viewer"), async (req, res) => {
+        const { deviceId, variableName, from, to, bucketMs, maxPoints } =
+            req.query;
+        try {
+            res.json(
+                await historian.query({
+                    deviceId,
+                    variableName,
+                    from,
+                    to,
+                    bucketMs,
+                    maxPoints,
+                }),
+            );
+        } catch (error) {
+            sendError(
+                res,
+                "history:query",
+                error,
+                "Gagal mengambil data history.",
+                { deviceId, variableName },
+            );
+        }
+    });
+
+    // e.g. /api/audit?user=op1&deviceId=plc1&from=2024-01-01T00:00:00Z&limit=100
+    app.get("/api/audit", requireRole("engineer"), async (req, res) => {
+        try {
+            const { from, to, user, deviceId, action, limit } = req.query;
+            res.json(
+                await auditLog.query({
+                    from,
+                    to,
+                    user,
+                    deviceId,
+                    action,
+                    limit,
+                }),
+            );
+        } catch (error) {
+            sendError(
+                res,
+                "audit:query",
+                error,
+                "Gagal mengambil audit trail.",
+            );
+        }
+    });
+
+    // --- Unknown routes and errors outside the handlers ---
+
+    app.use("/api", (req, res) => {
+        sendError(
+            res,
+            API_REQUEST_OPERATION,
+            {
+                code: "NOT_FOUND",
+                message: `Route ${req.method} ${req.originalUrl} tidak ada.`,
+            },
+            "",
+            { method: req.method, path: req.originalUrl },
+        );
+    });
+
+    // Express answers these with an HTML page that includes the stack trace; answer them as JSON
+    app.use("/api", (err, req, res, next) => {
+        if (res.headersSent) {
+            next(err);
+            return;
+        }
+        const details = { method: req.method, path: req.originalUrl };
+        if (err.type === "entity.too.large") {
+            sendError(
+                res,
+                API_REQUEST_OPERATION,
+                {
+                    code: "PAYLOAD_TOO_LARGE",
+                    message: `Body melebihi batas ${err.limit} byte.`,
+                },
+                "",
+                { ...details, limit: err.limit },
+            );
+        } else if (err.expose && err.status >= 400 && err.status < 500) {
+            // Errors of express.json: invalid JSON, unsupported charset or encoding
+            sendError(
+                res,
+                API_REQUEST_OPERATION,
+                {
+                    code: "INVALID_REQUEST_BODY",
+                    message:
+                        err.type === "entity.parse.failed"
+                            ? "Body bukan JSON yang valid."
+                            : "Body tidak dapat dibaca.",
+                },
+                "",
+                details,
+            );
+        } else {
+            // Logged with the stack; the client only gets the code
+            sendError(
+                res,
+                API_REQUEST_OPERATION,
+                { code: "SERVER_ERROR", cause: err },
+                "Terjadi kesalahan pada server.",
+                details,
+            );
+        }
+    });
+}
+
+module.exports = {
+    OPENAPI_DOCUMENT,
+    setupRestApi,
+};
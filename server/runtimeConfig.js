@@ -0,0 +1,131 @@
+/**
+ * @file Runtime settings of the server, currently the startup project.
+ *
+ * The startup project is loaded by `server/main.js` when the server starts: its devices,
+ * alarm definitions and history logging run without any browser being connected, and again
+ * after every restart. It is set by engineers (`runtime:set_startup_project`) and stored in
+ * `server/data/runtime.json`, or fixed with the `HMI_STARTUP_PROJECT` environment variable,
+ * which then takes precedence and cannot be changed from the application.
+ *
+ * Like the user store, the file is only read and written once `load()` has been called
+ * (server startup). Errors are thrown as `{ code, message }` objects.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_RUNTIME_FILE = path.join(__dirname, "data", "runtime.json");
+
+/**
+ * Holds the runtime settings.
+ * @class RuntimeConfig
+ */
+class RuntimeConfig {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.runtimeFile] - Path of the JSON settings file.
+     * @param {string} [options.startupProjectOverride] - Startup project that takes precedence
+     *        over the file (default: the `HMI_STARTUP_PROJECT` environment variable).
+     */
+    constructor(options = {}) {
+        this.runtimeFile = options.runtimeFile || DEFAULT_RUNTIME_FILE;
+        this.startupProjectOverride =
+            options.startupProjectOverride !== undefined
+                ? options.startupProjectOverride
+                : process.env.HMI_STARTUP_PROJECT || null;
+        this._settings = { startupProject: null };
+        this._persistenceEnabled = false;
+    }
+
+    /**
+     * Loads the settings file and enables writing it.
+     * @returns {Promise<{startupProject: (string|null), fromEnvironment: boolean}>} The settings.
+     */
+    async load() {
+        this._persistenceEnabled = true;
+        let content = null;
+        try {
+            content = await fs.readFile(this.runtimeFile, "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+        const settings = content ? JSON.parse(content) : {};
+        this._settings = {
+            startupProject:
+                typeof settings.startupProject === "string"
+                    ? settings.startupProject
+                    : null,
+        };
+        return this.getSettings();
+    }
+
+    /**
+     * Returns the settings.
+     * @returns {{startupProject: (string|null), fromEnvironment: boolean}} `fromEnvironment` is
+     *          `true` if the startup project comes from `HMI_STARTUP_PROJECT`.
+     */
+    getSettings() {
+        return {
+            startupProject: this.getStartupProject(),
+            fromEnvironment: Boolean(this.startupProjectOverride),
+        };
+    }
+
+    /**
+     * Returns the name of the project to load at server start.
+     * @returns {string|null}
+     */
+    getStartupProject() {
+        return this.startupProjectOverride || this._settings.startupProject;
+    }
+
+    /**
+     * Sets or clears the startup project.
+     * @param {string|null} projectName - Project name, or `null` to start without a project.
+     * @returns {Promise<{startupProject: (string|null), fromEnvironment: boolean}>} The settings.
+     * @throws {{code: string, message: string}} `STARTUP_PROJECT_FIXED` if the startup project
+     *         comes from the environment, `INVALID_PROJECT_NAME` for a non-string name.
+     */
+    async setStartupProject(projectName) {
+        if (this.startupProjectOverride) {
+            throw {
+                code: "STARTUP_PROJECT_FIXED",
+                message: `Project startup ditetapkan oleh HMI_STARTUP_PROJECT ('${this.startupProjectOverride}') dan tidak dapat diubah.`,
+            };
+        }
+        if (
+            projectName !== null &&
+            (typeof projectName !== "string" || projectName.trim() === "")
+        ) {
+            throw {
+                code: "INVALID_PROJECT_NAME",
+                message: "Nama project startup tidak valid.",
+            };
+        }
+        this._settings.startupProject = projectName;
+        await this._save();
+        return this.getSettings();
+    }
+
+    /**
+     * Writes the settings file (only after `load()`).
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _save() {
+        if (!this._persistenceEnabled) return;
+        await fs.mkdir(path.dirname(this.runtimeFile), { recursive: true });
+        await fs.writeFile(
+            this.runtimeFile,
+            JSON.stringify(this._settings, null, 2),
+            "utf8",
+        );
+    }
+}
+
+const runtimeConfig = new RuntimeConfig();
+
+module.exports = {
+    RuntimeConfig,
+    runtimeConfig,
+};
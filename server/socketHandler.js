@@ -6,11 +6,31 @@ const {
     removeDevice,
 } = require("./deviceManager"); // Updated import path
 const projectHandler = require("./projectHandler"); // Impor projectHandler (nama baru)
+const { tagStore } = require("./tagStore"); // Server-side live values (single source of truth)
+const { historian } = require("./historian"); // Recorded variable history
+const { alarmManager } = require("./alarmManager"); // Alarm evaluation and states
+const { authenticateSocket, authorizeSocketEvent } = require("./auth"); // Login sessions and permissions
+const { userStore } = require("./userStore"); // User accounts
+const { auditLog, AUDIT_ACTIONS } = require("./auditLog"); // Who changed what
+const { runtimeConfig } = require("./runtimeConfig"); // Startup project
+const { modbusServer, normalizeModbusServerConfig } = require("./modbusServer"); // Modbus TCP server (slave)
+const {
+    mqttBridge,
+    normalizeMqttBridgeConfig,
+    redactMqttBridgeConfig,
+    restoreMqttBridgePassword,
+} = require("./mqttBridge"); // Tags to a northbound broker
 
 // In-memory store for device configurations.
 // TODO: Replace with a persistent storage solution (e.g., JSON file, database).
 let serverSideDeviceConfigs = [];
 
+/** Name of the project whose devices and alarms are running (loaded by a client or at startup). */
+let activeProjectName = null;
+
+/** Milliseconds a device may take to complete a write before it is reported as timed out. */
+const WRITE_TIMEOUT_MS = 5000;
+
 /**
  * Sets up Socket.IO event handlers for the /devices namespace.
  * @param {object} io - The Socket.IO server instance.
@@ -18,22 +38,119 @@ let serverSideDeviceConfigs = [];
 function setupSocketHandlers(io) {
     const deviceNamespace = io.of("/devices");
 
+    // Alarm changes come from tag updates of any device, so they are broadcast to every client
+    alarmManager.on("alarm_changed", (alarm) =>
+        deviceNamespace.emit("alarm:update", alarm),
+    );
+    alarmManager.on("alarm_removed", (alarmId) =>
+        deviceNamespace.emit("alarm:removed", alarmId),
+    );
+    alarmManager.on("definitions_changed", (definitions) =>
+        deviceNamespace.emit("alarm:definitions", definitions),
+    );
+
+    // Writes from Modbus masters take the same path as write_to_device
+    modbusServer.setWriteHandler((target) =>
+        writeTag(io, target, { source: "modbus-server" }),
+    );
+    const emitModbusServerConfig = () =>
+        deviceNamespace.emit("modbus_server:config", {
+            config: modbusServer.getConfig(),
+            status: modbusServer.getStatus(),
+        });
+    modbusServer.on("config_changed", emitModbusServerConfig);
+    modbusServer.on("status_changed", emitModbusServerConfig);
+    const emitMqttBridgeConfig = () =>
+        deviceNamespace.emit("mqtt_bridge:config", {
+            config: mqttBridge.getConfig(),
+            status: mqttBridge.getStatus(),
+        });
+    mqttBridge.on("config_changed", emitMqttBridgeConfig);
+    mqttBridge.on("status_changed", emitMqttBridgeConfig);
+
+    // Only logged-in users may connect
+    deviceNamespace.use(authenticateSocket);
+
     deviceNamespace.on("connection", (socket) => {
         // console.log(`Client ${socket.id} connected to /devices namespace`);
 
+        /** Records an audit entry for this socket's user. */
+        const audit = (entry) =>
+            auditLog.record({
+                user: socket.data.user,
+                socketId: socket.id,
+                ...entry,
+            });
+
+        // Every event needs the role listed in EVENT_PERMISSIONS (server/auth.js).
+        // Refused writes are answered like any other write, so the requesting component can show it.
+        socket.use(([event, payload], next) => {
+            const { allowed, code, message, requiredRole } =
+                authorizeSocketEvent(socket, event);
+            if (allowed) {
+                next();
+                return;
+            }
+            console.warn(
+                `[SocketHandler] Refused '${event}' from ${socket.data.user?.username || socket.id}: ${message}`,
+            );
+            if (Object.values(AUDIT_ACTIONS).includes(event)) {
+                const request =
+                    payload && typeof payload === "object"
+                        ? payload
+                        : { deviceId: payload };
+                audit({
+                    action: event,
+                    deviceId: request.deviceId ?? request.id,
+                    variableName: request.variableName ?? request.address,
+                    projectName: request.name,
+                    newValue:
+                        event === AUDIT_ACTIONS.WRITE
+                            ? request.value
+                            : undefined,
+                    status: "not_permitted",
+                    message,
+                });
+            }
+            if (event === "write_to_device") {
+                const { requestId, deviceId, variableName, address, value } =
+                    payload || {};
+                socket.emit("write_result", {
+                    requestId,
+                    deviceId,
+                    variableName,
+                    address,
+                    value,
+                    status: "not_permitted",
+                    message,
+                });
+                return;
+            }
+            socket.emit("operation_error", {
+                operation: event,
+                code,
+                message,
+                details: { role: socket.data.user?.role, requiredRole },
+            });
+        });
+
         // Send the current list of device configurations and their live statuses
         // to the newly connected client.
-        socket.emit(
-            "initial_device_list",
-            serverSideDeviceConfigs.map((devConfig) => {
-                const deviceInstance = getDeviceInstance(devConfig.id);
-                return {
-                    ...devConfig,
-                    connected: deviceInstance?.connected || false,
-                    // Include other relevant status info if available, e.g., from deviceInstance.getStatus()
-                };
-            }),
-        );
+        socket.emit("initial_device_list", getDeviceList());
+        // Send the last known value of every variable so components don't show "---"
+        // until the next update from the device.
+        socket.emit("initial_tag_values", tagStore.getAllTags());
+        socket.emit("alarm:definitions", alarmManager.getDefinitions());
+        socket.emit("alarm:list", alarmManager.getAlarms());
+        socket.emit("runtime:config", getRuntimeStatus());
+        socket.emit("modbus_server:config", {
+            config: modbusServer.getConfig(),
+            status: modbusServer.getStatus(),
+        });
+        socket.emit("mqtt_bridge:config", {
+            config: mqttBridge.getConfig(),
+            status: mqttBridge.getStatus(),
+        });
 
         // --- Device CRUD Operations ---
 
@@ -45,6 +162,11 @@ function setupSocketHandlers(io) {
             if (!existingDevice) {
                 serverSideDeviceConfigs.push(deviceConfig);
                 const deviceInstance = initializeDevice(deviceConfig, io); // Pass io for device to emit updates
+                audit({
+                    action: AUDIT_ACTIONS.ADD_DEVICE,
+                    deviceId: deviceConfig.id,
+                    newValue: deviceConfig,
+                });
 
                 // Broadcast the newly added device config and its status to all clients.
                 deviceNamespace.emit("device_added", {
@@ -53,6 +175,13 @@ function setupSocketHandlers(io) {
                 });
                 // TODO: Persist serverSideDeviceConfigs
             } else {
+                audit({
+                    action: AUDIT_ACTIONS.ADD_DEVICE,
+                    deviceId: deviceConfig.id,
+                    newValue: deviceConfig,
+                    status: "error",
+                    message: "Device already exists.",
+                });
                 socket.emit("operation_error", {
                     message: `Device with ID ${deviceConfig.id} already exists.`,
                     deviceId: deviceConfig.id,
@@ -69,6 +198,12 @@ function setupSocketHandlers(io) {
                 // Stop and remove the old device instance before re-initializing.
                 removeDevice(deviceConfig.id);
 
+                audit({
+                    action: AUDIT_ACTIONS.EDIT_DEVICE,
+                    deviceId: deviceConfig.id,
+                    oldValue: serverSideDeviceConfigs[index],
+                    newValue: deviceConfig,
+                });
                 serverSideDeviceConfigs[index] = deviceConfig;
                 const deviceInstance = initializeDevice(deviceConfig, io);
 
@@ -78,6 +213,13 @@ function setupSocketHandlers(io) {
                 });
                 // TODO: Persist serverSideDeviceConfigs
             } else {
+                audit({
+                    action: AUDIT_ACTIONS.EDIT_DEVICE,
+                    deviceId: deviceConfig.id,
+                    newValue: deviceConfig,
+                    status: "error",
+                    message: "Device not found.",
+                });
                 socket.emit("operation_error", {
                     message: `Device with ID ${deviceConfig.id} not found for editing.`,
                     deviceId: deviceConfig.id,
@@ -91,11 +233,23 @@ function setupSocketHandlers(io) {
                 (d) => d.id === deviceId,
             );
             if (index > -1) {
+                audit({
+                    action: AUDIT_ACTIONS.DELETE_DEVICE,
+                    deviceId,
+                    oldValue: serverSideDeviceConfigs[index],
+                });
                 removeDevice(deviceId); // Disconnect and remove the device instance.
                 serverSideDeviceConfigs.splice(index, 1);
+                tagStore.removeDevice(deviceId);
                 deviceNamespace.emit("device_deleted", deviceId);
                 // TODO: Persist serverSideDeviceConfigs
             } else {
+                audit({
+                    action: AUDIT_ACTIONS.DELETE_DEVICE,
+                    deviceId,
+                    status: "error",
+                    message: "Device not found.",
+                });
                 socket.emit("operation_error", {
                     message: `Device with ID ${deviceId} not found for deletion.`,
                     deviceId: deviceId,
@@ -104,18 +258,44 @@ function setupSocketHandlers(io) {
         });
 
         // --- Project Management --- (Sebelumnya Layout Management)
-        socket.on("project:save", async ({ name, data }) => {
+        socket.on("project:save", async ({ name, data, comment }) => {
             // Event diubah ke 'project:save'
             // console.log(`[Socket ${socket.id}] Received 'project:save' for name: ${name}`);
+            // The audit trail keeps a summary of the project before and after saving, not the whole file
+            const previous = await projectHandler
+                .loadProjectFromFile(name)
+                .catch(() => null);
             try {
-                await projectHandler.saveProjectToFile(name, data);
+                // Every save is a new revision (see project:history)
+                const { revision } = await projectHandler.saveProjectToFile(
+                    name,
+                    restoreProjectSecrets(name, data, previous),
+                    {
+                        author: socket.data.user?.username,
+                        comment,
+                    },
+                );
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_SAVE,
+                    projectName: name,
+                    oldValue: summarizeProject(previous),
+                    newValue: { revision, ...summarizeProject(data) },
+                });
                 socket.emit("project:saved_ack", {
                     success: true,
                     name: name,
-                    message: `Project '${name}' berhasil disimpan.`,
+                    revision,
+                    message: `Project '${name}' berhasil disimpan (revisi ${revision}).`,
                 });
             } catch (error) {
                 console.error(`Error saving project '${name}':`, error);
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_SAVE,
+                    projectName: name,
+                    newValue: summarizeProject(data),
+                    status: "error",
+                    message: error.message,
+                });
                 socket.emit("operation_error", {
                     operation: "project:save", // Konteks operasi
                     code: error.code || "SERVER_ERROR", // Kode error dari projectHandler atau default
@@ -134,59 +314,31 @@ function setupSocketHandlers(io) {
         socket.on("project:load", async ({ name }) => {
             // console.log(`[Socket ${socket.id}] Received 'project:load' for name: ${name}`);
             try {
-                const projectData =
-                    await projectHandler.loadProjectFromFile(name);
-                // Jika projectData tidak ditemukan, loadProjectFromFile akan melempar error dengan code PROJECT_NOT_FOUND
-
-                console.log(
-                    `[SocketHandler] Project '${name}' loaded. Re-initializing all server-side devices based on project file.`,
-                );
+                const previousProjectName = activeProjectName;
+                const projectData = await activateProject(io, name);
 
-                // 1. Stop and remove all currently active device instances on the server
-                const allCurrentInstances = getAllDeviceInstances(); // from serverDeviceManager
-                allCurrentInstances.forEach((instance) => {
-                    removeDevice(instance.id); // from serverDeviceManager
-                });
-                // At this point, serverDeviceManager.activeDevices should be empty.
-
-                // 2. Clear and set the new canonical list of device configurations for this handler's context
-                // This serverSideDeviceConfigs is used by other handlers like 'add_device', 'edit_device'
-                // and as a reference for building initial_device_list.
-                // It needs to reflect the state of the loaded project.
-                serverSideDeviceConfigs = projectData.deviceConfigs
-                    ? JSON.parse(JSON.stringify(projectData.deviceConfigs))
-                    : [];
-                // TODO: Consider if serverSideDeviceConfigs should be persisted to a file if it's the master list.
-                // For now, it's an in-memory reflection of the last loaded/modified set of configs.
-
-                // 3. Initialize all devices based on the new configurations
-                // initializeDevice in server/deviceManager.js now handles removing an old instance if ID exists,
-                // then creates a new one. Since we cleared activeDevices above, these will all be new creations.
-                serverSideDeviceConfigs.forEach((deviceConfig) => {
-                    initializeDevice(deviceConfig, io); // from serverDeviceManager
-                });
-
-                // 4. Emit the new complete list to the client that requested the load
-                const devicesForClient = serverSideDeviceConfigs.map(
-                    (devConfig) => {
-                        const liveInstance = getDeviceInstance(devConfig.id); // from serverDeviceManager
-                        return {
-                            ...devConfig, // This is the authoritative config from the loaded project
-                            connected: liveInstance
-                                ? liveInstance.connected
-                                : false,
-                            // Variables should ideally come from devConfig as it's the source of truth from the file
-                            variables: devConfig.variables || [],
-                        };
-                    },
-                );
-                socket.emit("initial_device_list", devicesForClient);
+                // 4. Every client gets the new devices and values; the client that requested the
+                // load also gets the project itself
+                broadcastRunningProject(io);
                 socket.emit("project:loaded_data", {
                     name: name,
-                    data: projectData,
+                    data: redactProjectSecrets(projectData),
+                });
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_LOAD,
+                    projectName: name,
+                    oldValue: previousProjectName,
+                    newValue: name,
                 });
             } catch (error) {
                 console.error(`Error loading project '${name}':`, error);
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_LOAD,
+                    projectName: name,
+                    oldValue: activeProjectName,
+                    status: "error",
+                    message: error.message,
+                });
                 socket.emit("operation_error", {
                     operation: "project:load",
                     code: error.code || "SERVER_ERROR",
@@ -196,11 +348,374 @@ function setupSocketHandlers(io) {
                         originalError: error.originalError
                             ? error.originalError.message
                             : error.message,
+                        // Error validasi schema (INVALID_PROJECT), masing-masing dengan path-nya
+                        ...(error.errors
+                            ? { validationErrors: error.errors }
+                            : {}),
                     },
                 });
             }
         });
 
+        // --- Project Revisions ---
+
+        const emitProjectError = (operation, name, error, fallbackMessage) => {
+            console.error(
+                `Error in '${operation}' for project '${name}':`,
+                error,
+            );
+            socket.emit("operation_error", {
+                operation,
+                code: error.code || "SERVER_ERROR",
+                message: error.message || fallbackMessage,
+                details: { projectName: name },
+            });
+        };
+
+        socket.on("project:history", async ({ name } = {}) => {
+            try {
+                const revisions =
+                    await projectHandler.listProjectRevisions(name);
+                socket.emit("project:history_results", { name, revisions });
+            } catch (error) {
+                emitProjectError(
+                    "project:history",
+                    name,
+                    error,
+                    "Gagal mengambil riwayat project.",
+                );
+            }
+        });
+
+        socket.on("project:diff", async ({ name, from, to } = {}) => {
+            try {
+                const diff = await projectHandler.diffProjectRevisions(
+                    name,
+                    from,
+                    to,
+                );
+                socket.emit("project:diff_results", { name, ...diff });
+            } catch (error) {
+                emitProjectError(
+                    "project:diff",
+                    name,
+                    error,
+                    "Gagal membandingkan revisi project.",
+                );
+            }
+        });
+
+        socket.on(
+            "project:restore",
+            async ({ name, revision, comment } = {}) => {
+                try {
+                    const result = await projectHandler.restoreProjectRevision(
+                        name,
+                        revision,
+                        {
+                            author: socket.data.user?.username,
+                            comment,
+                        },
+                    );
+                    audit({
+                        action: AUDIT_ACTIONS.PROJECT_RESTORE,
+                        projectName: name,
+                        oldValue: revision,
+                        newValue: {
+                            revision: result.revision,
+                            ...summarizeProject(result.data),
+                        },
+                    });
+                    socket.emit("project:restored", {
+                        success: true,
+                        name,
+                        revision: result.revision,
+                        restoredFrom: result.restoredFrom,
+                        message: `Project '${result.name}' dikembalikan ke revisi ${result.restoredFrom} (revisi baru ${result.revision}).`,
+                    });
+                } catch (error) {
+                    audit({
+                        action: AUDIT_ACTIONS.PROJECT_RESTORE,
+                        projectName: name,
+                        oldValue: revision,
+                        status: "error",
+                        message: error.message,
+                    });
+                    emitProjectError(
+                        "project:restore",
+                        name,
+                        error,
+                        "Gagal mengembalikan revisi project.",
+                    );
+                }
+            },
+        );
+
+        // --- Project Delete / Rename / Duplicate ---
+
+        socket.on("project:delete", async ({ name } = {}) => {
+            try {
+                const result = await projectHandler.deleteProject(name);
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_DELETE,
+                    projectName: result.name,
+                });
+                if (activeProjectName === result.name) activeProjectName = null;
+                await followStartupProject(io, result.name, null);
+                socket.emit("project:deleted", {
+                    success: true,
+                    name,
+                    message: `Project '${result.name}' dihapus.`,
+                });
+            } catch (error) {
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_DELETE,
+                    projectName: name,
+                    status: "error",
+                    message: error.message,
+                });
+                emitProjectError(
+                    "project:delete",
+                    name,
+                    error,
+                    "Gagal menghapus project.",
+                );
+            }
+        });
+
+        socket.on("project:rename", async ({ name, newName } = {}) => {
+            try {
+                const result = await projectHandler.renameProject(
+                    name,
+                    newName,
+                );
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_RENAME,
+                    projectName: result.name,
+                    oldValue: result.name,
+                    newValue: result.newName,
+                });
+                if (activeProjectName === result.name)
+                    activeProjectName = result.newName;
+                await followStartupProject(io, result.name, result.newName);
+                socket.emit("project:renamed", {
+                    success: true,
+                    name,
+                    newName: result.newName,
+                    message: `Project '${result.name}' diganti nama menjadi '${result.newName}'.`,
+                });
+            } catch (error) {
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_RENAME,
+                    projectName: name,
+                    newValue: newName,
+                    status: "error",
+                    message: error.message,
+                });
+                emitProjectError(
+                    "project:rename",
+                    name,
+                    error,
+                    "Gagal mengganti nama project.",
+                );
+            }
+        });
+
+        socket.on("project:duplicate", async ({ name, newName } = {}) => {
+            try {
+                const result = await projectHandler.duplicateProject(
+                    name,
+                    newName,
+                    { author: socket.data.user?.username },
+                );
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_DUPLICATE,
+                    projectName: result.name,
+                    oldValue: name,
+                    newValue: result.name,
+                });
+                socket.emit("project:duplicated", {
+                    success: true,
+                    name,
+                    newName: result.name,
+                    message: `Project '${name}' disalin menjadi '${result.name}'.`,
+                });
+            } catch (error) {
+                audit({
+                    action: AUDIT_ACTIONS.PROJECT_DUPLICATE,
+                    projectName: name,
+                    newValue: newName,
+                    status: "error",
+                    message: error.message,
+                });
+                emitProjectError(
+                    "project:duplicate",
+                    name,
+                    error,
+                    "Gagal menyalin project.",
+                );
+            }
+        });
+
+        socket.on("project:list_details", async () => {
+            try {
+                const { startupProject } = runtimeConfig.getSettings();
+                const projects =
+                    await projectHandler.listProjectsWithMetadata();
+                socket.emit(
+                    "project:list_details_results",
+                    projects.map((project) => ({
+                        ...project,
+                        startup: project.name === startupProject,
+                        active: project.name === activeProjectName,
+                    })),
+                );
+            } catch (error) {
+                emitProjectError(
+                    "project:list_details",
+                    null,
+                    error,
+                    "Gagal mendapatkan daftar project.",
+                );
+            }
+        });
+
+        // --- Runtime (startup project, loaded at server start) ---
+
+        socket.on("runtime:get_config", () => {
+            socket.emit("runtime:config", getRuntimeStatus());
+        });
+
+        // Project shown by the runtime view (runtime.html). Without a name this is the running
+        // project, or else the startup project. Only reads the file: devices are not replaced.
+        socket.on("runtime:get_project", async ({ name } = {}) => {
+            const projectName =
+                name || activeProjectName || runtimeConfig.getStartupProject();
+            try {
+                if (!projectName) {
+                    throw {
+                        code: "NO_ACTIVE_PROJECT",
+                        message: "Tidak ada project yang berjalan di server.",
+                    };
+                }
+                const data =
+                    await projectHandler.loadProjectFromFile(projectName);
+                socket.emit("runtime:project", {
+                    name: projectName,
+                    data: redactProjectSecrets(data),
+                    active: projectName === activeProjectName,
+                });
+            } catch (error) {
+                emitProjectError(
+                    "runtime:get_project",
+                    projectName,
+                    error,
+                    "Gagal memuat project runtime.",
+                );
+            }
+        });
+
+        socket.on(
+            "runtime:set_startup_project",
+            async ({ name = null } = {}) => {
+                const oldValue = runtimeConfig.getStartupProject();
+                try {
+                    if (name !== null)
+                        await projectHandler.loadProjectFromFile(name); // Hanya project yang bisa dimuat
+                    await runtimeConfig.setStartupProject(name);
+                    audit({
+                        action: AUDIT_ACTIONS.RUNTIME_SET_STARTUP_PROJECT,
+                        projectName: name ?? undefined,
+                        oldValue,
+                        newValue: name,
+                    });
+                    deviceNamespace.emit("runtime:config", getRuntimeStatus());
+                } catch (error) {
+                    audit({
+                        action: AUDIT_ACTIONS.RUNTIME_SET_STARTUP_PROJECT,
+                        projectName: name ?? undefined,
+                        oldValue,
+                        newValue: name,
+                        status: "error",
+                        message: error.message,
+                    });
+                    emitProjectError(
+                        "runtime:set_startup_project",
+                        name,
+                        error,
+                        "Gagal mengatur project startup.",
+                    );
+                }
+            },
+        );
+
+        // --- Modbus TCP server (register map of the project, see modbusServer.js) ---
+
+        socket.on("modbus_server:set_config", async (config) => {
+            const oldValue = modbusServer.getConfig();
+            try {
+                const status = await modbusServer.configure(config); // Broadcasts modbus_server:config
+                audit({
+                    action: AUDIT_ACTIONS.MODBUS_SERVER_SET_CONFIG,
+                    projectName: activeProjectName ?? undefined,
+                    oldValue,
+                    newValue: modbusServer.getConfig(),
+                    status: status.error ? "error" : "success",
+                    message: status.error ?? undefined,
+                });
+            } catch (error) {
+                audit({
+                    action: AUDIT_ACTIONS.MODBUS_SERVER_SET_CONFIG,
+                    projectName: activeProjectName ?? undefined,
+                    oldValue,
+                    newValue: config,
+                    status: "error",
+                    message: error.message,
+                });
+                socket.emit("operation_error", {
+                    operation: "modbus_server:set_config",
+                    code: error.code || "SERVER_ERROR",
+                    message:
+                        error.message ||
+                        "Gagal menerapkan konfigurasi Modbus server.",
+                    details: { validationErrors: error.errors || [] },
+                });
+            }
+        });
+
+        // --- MQTT bridge (publishes all tags to a northbound broker, see mqttBridge.js) ---
+
+        socket.on("mqtt_bridge:set_config", async (config) => {
+            const oldValue = mqttBridge.getConfig();
+            try {
+                // The client never gets the password: an empty one keeps the applied password
+                await mqttBridge.configure(mqttBridge.restorePassword(config)); // Broadcasts mqtt_bridge:config; connects in the background
+                audit({
+                    action: AUDIT_ACTIONS.MQTT_BRIDGE_SET_CONFIG,
+                    projectName: activeProjectName ?? undefined,
+                    oldValue,
+                    newValue: mqttBridge.getConfig(),
+                });
+            } catch (error) {
+                audit({
+                    action: AUDIT_ACTIONS.MQTT_BRIDGE_SET_CONFIG,
+                    projectName: activeProjectName ?? undefined,
+                    oldValue,
+                    newValue: redactMqttBridgeConfig(config),
+                    status: "error",
+                    message: error.message,
+                });
+                socket.emit("operation_error", {
+                    operation: "mqtt_bridge:set_config",
+                    code: error.code || "SERVER_ERROR",
+                    message:
+                        error.message ||
+                        "Gagal menerapkan konfigurasi MQTT bridge.",
+                    details: { validationErrors: error.errors || [] },
+                });
+            }
+        });
+
         socket.on("project:list", async () => {
             // console.log(`[Socket ${socket.id}] Received 'project:list' request`);
             try {
@@ -222,6 +737,154 @@ function setupSocketHandlers(io) {
             }
         });
 
+        // --- Alarms ---
+
+        socket.on("alarm:set_definitions", (definitions) => {
+            try {
+                alarmManager.setDefinitions(definitions); // Broadcasts alarm:definitions
+            } catch (error) {
+                console.error("Error setting alarm definitions:", error);
+                socket.emit("operation_error", {
+                    operation: "alarm:set_definitions",
+                    code: error.code || "SERVER_ERROR",
+                    message: error.message || "Gagal menyimpan definisi alarm.",
+                    details: {},
+                });
+            }
+        });
+
+        socket.on("alarm:ack", ({ alarmId, alarmIds } = {}) => {
+            const ids = Array.isArray(alarmIds) ? alarmIds : [alarmId];
+            ids.forEach((id) => {
+                try {
+                    alarmManager.acknowledge(id, socket.data.user.username); // Broadcasts alarm:update
+                } catch (error) {
+                    socket.emit("operation_error", {
+                        operation: "alarm:ack",
+                        code: error.code || "SERVER_ERROR",
+                        message:
+                            error.message || "Gagal meng-acknowledge alarm.",
+                        details: { alarmId: id },
+                    });
+                }
+            });
+        });
+
+        socket.on("alarm:shelve", ({ alarmId, durationMs, reason } = {}) => {
+            try {
+                alarmManager.shelve(alarmId, {
+                    durationMs,
+                    reason,
+                    user: socket.data.user.username,
+                });
+            } catch (error) {
+                socket.emit("operation_error", {
+                    operation: "alarm:shelve",
+                    code: error.code || "SERVER_ERROR",
+                    message: error.message || "Gagal men-shelve alarm.",
+                    details: { alarmId },
+                });
+            }
+        });
+
+        socket.on("alarm:unshelve", ({ alarmId } = {}) => {
+            try {
+                alarmManager.unshelve(alarmId);
+            } catch (error) {
+                socket.emit("operation_error", {
+                    operation: "alarm:unshelve",
+                    code: error.code || "SERVER_ERROR",
+                    message: error.message || "Gagal meng-unshelve alarm.",
+                    details: { alarmId },
+                });
+            }
+        });
+
+        // --- Audit Trail ---
+
+        socket.on("audit:query", async (params = {}) => {
+            try {
+                const result = await auditLog.query(params);
+                socket.emit("audit:query_results", {
+                    ...result,
+                    requestId: params.requestId,
+                });
+            } catch (error) {
+                console.error("Error querying audit trail:", error);
+                socket.emit("operation_error", {
+                    operation: "audit:query",
+                    code: error.code || "SERVER_ERROR",
+                    message: error.message || "Gagal mengambil audit trail.",
+                    details: { requestId: params.requestId },
+                });
+            }
+        });
+
+        // --- Users ---
+
+        const emitUserList = () =>
+            socket.emit("user:list_results", userStore.listUsers());
+        const reportUserError = (operation, error, details) => {
+            socket.emit("operation_error", {
+                operation,
+                code: error.code || "SERVER_ERROR",
+                message: error.message || "Gagal menyimpan user.",
+                details,
+            });
+        };
+
+        socket.on("user:list", emitUserList);
+
+        socket.on("user:save", async ({ username, password, role } = {}) => {
+            try {
+                await userStore.saveUser({ username, password, role });
+                emitUserList();
+            } catch (error) {
+                console.error(`Error saving user '${username}':`, error);
+                reportUserError("user:save", error, { username });
+            }
+        });
+
+        socket.on("user:delete", async ({ username } = {}) => {
+            try {
+                if (!(await userStore.deleteUser(username))) {
+                    throw {
+                        code: "USER_NOT_FOUND",
+                        message: `User '${username}' tidak ditemukan.`,
+                    };
+                }
+                emitUserList();
+            } catch (error) {
+                console.error(`Error deleting user '${username}':`, error);
+                reportUserError("user:delete", error, { username });
+            }
+        });
+
+        // --- History ---
+
+        socket.on("history:query", async (params = {}) => {
+            try {
+                const result = await historian.query(params);
+                // requestId lets the client match results to concurrent queries (e.g. one per trend pen)
+                socket.emit("history:query_results", {
+                    ...result,
+                    requestId: params.requestId,
+                });
+            } catch (error) {
+                console.error("Error querying history:", error);
+                socket.emit("operation_error", {
+                    operation: "history:query",
+                    code: error.code || "SERVER_ERROR",
+                    message: error.message || "Gagal mengambil data history.",
+                    details: {
+                        deviceId: params.deviceId,
+                        variableName: params.variableName,
+                        requestId: params.requestId,
+                    },
+                });
+            }
+        });
+
         // --- Device Interaction ---
 
         socket.on("request_device_data", (deviceId) => {
@@ -254,69 +917,55 @@ function setupSocketHandlers(io) {
 
         socket.on("write_to_device", (data) => {
             // console.log(`[Socket ${socket.id}] Received 'write_to_device' request:`, data);
-            const { deviceId, variableName, address, value } = data;
-            const device = getDeviceInstance(deviceId);
-
-            if (!device) {
-                socket.emit("operation_error", {
-                    message: `Device ${deviceId} not found. Cannot write.`,
-                    details: { deviceId },
-                });
-                return;
-            }
-
-            // Handle Internal Devices separately
-            if (device.isInternal) {
-                if (variableName !== undefined && value !== undefined) {
-                    console.log(
-                        `[SocketHandler] Internal Device ${deviceId} variable ${variableName} set to ${value} by ${socket.id}`,
-                    );
-                    // Emit to all clients in the namespace so their stateManagers can update tagDatabase
-                    deviceNamespace.emit("device_variable_update", {
+            const { requestId, deviceId, variableName, address, value } =
+                data || {};
+            // Every write is answered with a `write_result` carrying the request id, so the client
+            // can show whether the write succeeded and retry it if not.
+            writeTag(
+                io,
+                { deviceId, variableName, address, value },
+                { user: socket.data.user, socketId: socket.id },
+            )
+                .then(({ status, message }) => {
+                    socket.emit("write_result", {
+                        requestId,
                         deviceId,
                         variableName,
+                        address,
                         value,
-                        timestamp: new Date().toISOString(),
-                    });
-                    // TODO: Persist this change if internal variable values need to be saved on the server.
-                    // This would involve updating serverSideDeviceConfigs[index].variables or a similar mechanism.
-                } else {
-                    socket.emit("operation_error", {
-                        message: `For Internal Device, 'variableName' and 'value' must be provided for 'write_to_device'.`,
-                        details: { deviceId },
+                        status,
+                        message,
                     });
-                }
-                return; // Stop further processing for internal device
-            }
-
-            // For non-internal devices, proceed with existing logic
-            if (device.connected) {
-                if (
-                    variableName &&
-                    typeof device.writeVariable === "function"
-                ) {
-                    device.writeVariable(variableName, value);
-                } else if (address && typeof device.writeData === "function") {
-                    device.writeData(address, value); // Fallback for direct address writing
-                } else {
-                    console.warn(
-                        `[SocketHandler] Device ${deviceId} (${device.type}) does not support the required write method (writeVariable or writeData).`,
+                })
+                .catch((error) => {
+                    // writeTag reports device errors as a status; this is an unexpected failure
+                    // (e.g. of the audit trail), so the client must not wait for its timeout
+                    console.error(
+                        `[SocketHandler] Error writing to ${deviceId}:`,
+                        error,
                     );
+                    const code = error?.code || "SERVER_ERROR";
+                    const message =
+                        error?.message ||
+                        `Gagal menulis ke device ${deviceId}.`;
+                    socket.emit("write_result", {
+                        requestId,
+                        deviceId,
+                        variableName,
+                        address,
+                        value,
+                        ok: false,
+                        status: "error",
+                        code,
+                        message,
+                    });
                     socket.emit("operation_error", {
-                        message: `Device ${deviceId} does not support the required write method for the provided parameters.`,
-                        details: {
-                            deviceId,
-                            variableNameProvided: !!variableName,
-                            addressProvided: !!address,
-                        },
+                        operation: "write_to_device",
+                        code,
+                        message,
+                        details: { requestId, deviceId, variableName, address },
                     });
-                }
-            } else {
-                socket.emit("operation_error", {
-                    message: `Device ${deviceId} not connected. Cannot write.`,
-                    details: { deviceId, connected: device.connected },
                 });
-            }
         });
 
         // --- MQTT Temporary Subscriptions ---
@@ -423,13 +1072,372 @@ function setupSocketHandlers(io) {
             socket.on("disconnect", handleDisconnect);
         }
     });
+}
 
-    // TODO: Load initial device configurations from persistent storage when server starts.
-    // Example:
-    // loadPersistedDeviceConfigs().then(configs => {
-    //     serverSideDeviceConfigs = configs;
-    //     serverSideDeviceConfigs.forEach(config => initializeDevice(config, io));
-    // }).catch(err => console.error("Failed to load persisted device configs:", err));
+/**
+ * Makes a project the running one: applies its alarm definitions, replaces all running devices
+ * by the project's devices, drops stored values of other devices and applies the register map
+ * of the Modbus server and the MQTT bridge settings. Used by `project:load`, the REST API
+ * (`restApi.js`) and for the startup project.
+ * @param {object} io - The Socket.IO server instance.
+ * @param {string} name - The project name.
+ * @returns {Promise<object>} The loaded project data.
+ * @throws {{code: string, message: string}} Errors of `projectHandler.loadProjectFromFile`,
+ *         invalid alarm definitions or an invalid Modbus server or MQTT bridge configuration;
+ *         the running devices are not touched then.
+ */
+async function activateProject(io, name) {
+    const projectData = await projectHandler.loadProjectFromFile(name);
+    // Jika projectData tidak ditemukan, loadProjectFromFile akan melempar error dengan code PROJECT_NOT_FOUND
+
+    // 0. Apply the project's alarm definitions and check its Modbus server and MQTT bridge
+    // configuration first: if they are invalid the load fails before any running device is touched.
+    const modbusServerConfig = normalizeModbusServerConfig(
+        projectData.modbusServer,
+    );
+    const mqttBridgeConfig = normalizeMqttBridgeConfig(projectData.mqttBridge);
+    alarmManager.setDefinitions(projectData.alarmDefinitions || []);
+
+    console.log(
+        `[SocketHandler] Project '${name}' loaded. Re-initializing all server-side devices based on project file.`,
+    );
+
+    // 1. Stop and remove all currently active device instances on the server
+    getAllDeviceInstances().forEach((instance) => {
+        removeDevice(instance.id); // from serverDeviceManager
+    });
+
+    // 2. Set the new canonical list of device configurations. serverSideDeviceConfigs is used by
+    // other handlers like 'add_device', 'edit_device' and for building initial_device_list.
+    serverSideDeviceConfigs = projectData.deviceConfigs
+        ? JSON.parse(JSON.stringify(projectData.deviceConfigs))
+        : [];
+
+    // 3. Initialize all devices based on the new configurations
+    serverSideDeviceConfigs.forEach((deviceConfig) => {
+        initializeDevice(deviceConfig, io); // from serverDeviceManager
+    });
+    // Drop stored values of devices that are not part of the loaded project
+    tagStore.retainDevices(serverSideDeviceConfigs.map((d) => d.id));
+    // 4. Serve the project's register map to Modbus masters (a port in use is reported in its status)
+    await modbusServer.configure(modbusServerConfig);
+    // 5. Publish the project's tags to the northbound broker (connects in the background)
+    await mqttBridge.configure(mqttBridgeConfig);
+    activeProjectName = name;
+    return projectData;
+}
+
+/**
+ * Sends the devices, last tag values and alarms of the running project and the runtime status
+ * to every client after a project was loaded (`project:load` or the REST API).
+ * @param {object} io - The Socket.IO server instance.
+ */
+function broadcastRunningProject(io) {
+    const deviceNamespace = io.of("/devices");
+    deviceNamespace.emit("initial_device_list", getDeviceList());
+    deviceNamespace.emit("initial_tag_values", tagStore.getAllTags());
+    deviceNamespace.emit("alarm:list", alarmManager.getAlarms());
+    deviceNamespace.emit("runtime:config", getRuntimeStatus()); // Runtime views follow the running project
+}
+
+/**
+ * Loads the startup project (see `runtimeConfig.js`), so its devices, alarms and history logging
+ * run without a browser session. Called once by `server/main.js` at server start.
+ * @param {object} io - The Socket.IO server instance.
+ * @returns {Promise<string|null>} The name of the loaded project, or `null` if no startup project
+ *          is set or it could not be loaded (the error is logged and audited).
+ */
+async function loadStartupProject(io) {
+    const name = runtimeConfig.getStartupProject();
+    if (!name) {
+        console.log(
+            "[SocketHandler] Tidak ada project startup; device dijalankan setelah project dimuat dari editor.",
+        );
+        return null;
+    }
+    try {
+        await activateProject(io, name);
+        auditLog.record({
+            action: AUDIT_ACTIONS.PROJECT_LOAD,
+            projectName: name,
+            newValue: name,
+            message: "Project startup",
+        });
+        console.log(
+            `[SocketHandler] Project startup '${name}' berjalan (${serverSideDeviceConfigs.length} device).`,
+        );
+        return name;
+    } catch (error) {
+        console.error(
+            `[SocketHandler] Gagal memuat project startup '${name}':`,
+            error,
+        );
+        auditLog.record({
+            action: AUDIT_ACTIONS.PROJECT_LOAD,
+            projectName: name,
+            status: "error",
+            message: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * Returns the configurations of the running devices with their connection state, as sent with
+ * `initial_device_list`.
+ * @returns {Array<object>} Device configurations with `connected` and `variables`.
+ */
+function getDeviceList() {
+    return serverSideDeviceConfigs.map((devConfig) => {
+        const liveInstance = getDeviceInstance(devConfig.id); // from serverDeviceManager
+        return {
+            ...devConfig, // This is the authoritative config from the loaded project
+            connected: liveInstance?.connected || false,
+            // Variables should ideally come from devConfig as it's the source of truth from the file
+            variables: devConfig.variables || [],
+        };
+    });
+}
+
+/**
+ * Returns the runtime settings together with the running project, as sent with `runtime:config`.
+ * @returns {{startupProject: (string|null), fromEnvironment: boolean, activeProject: (string|null)}}
+ */
+function getRuntimeStatus() {
+    return { ...runtimeConfig.getSettings(), activeProject: activeProjectName };
+}
+
+/**
+ * Keeps the startup project setting pointing at a project that was renamed or deleted.
+ * @param {object} io - The Socket.IO server instance.
+ * @param {string} name - The old project name.
+ * @param {string|null} newName - The new name, or `null` if the project was deleted.
+ * @returns {Promise<void>}
+ */
+async function followStartupProject(io, name, newName) {
+    const { startupProject, fromEnvironment } = runtimeConfig.getSettings();
+    if (fromEnvironment || startupProject !== name) return;
+    try {
+        await runtimeConfig.setStartupProject(newName);
+    } catch (error) {
+        console.error(
+            "[SocketHandler] Gagal memperbarui project startup:",
+            error,
+        );
+    }
+    io.of("/devices").emit("runtime:config", getRuntimeStatus());
+}
+
+/**
+ * Summarizes a project for the audit trail.
+ * @param {object|null} projectData - The project file contents.
+ * @returns {{lastModified: (string|null), components: number, devices: number} | null}
+ */
+function summarizeProject(projectData) {
+    if (!projectData) return null;
+    return {
+        lastModified: projectData.lastModified || null,
+        components: Array.isArray(projectData.hmiLayout)
+            ? projectData.hmiLayout.length
+            : 0,
+        devices: Array.isArray(projectData.deviceConfigs)
+            ? projectData.deviceConfigs.length
+            : 0,
+    };
+}
+
+/**
+ * Returns project data as sent to clients: without the MQTT bridge password.
+ * @param {object|null} projectData - The project file contents.
+ * @returns {object|null}
+ */
+function redactProjectSecrets(projectData) {
+    if (!projectData?.mqttBridge) return projectData;
+    return {
+        ...projectData,
+        mqttBridge: redactMqttBridgeConfig(projectData.mqttBridge),
+    };
+}
+
+/**
+ * Fills in the MQTT bridge password of project data sent by a client, which only gets it
+ * redacted (see {@link redactProjectSecrets}). An unchanged password is the one of the running
+ * bridge for the running project or a new file, else the one already saved in the file.
+ * @param {string} name - Name of the project being saved.
+ * @param {object} data - The project data from the client.
+ * @param {object|null} previous - The saved project file, if any.
+ * @returns {object} The project data to write.
+ */
+function restoreProjectSecrets(name, data, previous) {
+    if (!data?.mqttBridge) return data;
+    const mqttBridgeConfig =
+        previous && name !== activeProjectName
+            ? restoreMqttBridgePassword(
+                  data.mqttBridge,
+                  previous.mqttBridge?.password,
+              )
+            : mqttBridge.restorePassword(data.mqttBridge);
+    return { ...data, mqttBridge: mqttBridgeConfig };
+}
+
+/**
+ * Writes a value to a variable of any device and records the write in the audit trail. Used by
+ * `write_to_device`, the REST API (`restApi.js`) and for writes from Modbus masters
+ * (`modbusServer.js`). Values of internal devices are stored in the tag store and broadcast to
+ * all clients; other devices are written with {@link writeToDevice}.
+ * @param {object} io - The Socket.IO server instance.
+ * @param {object} target - What to write.
+ * @param {string} target.deviceId - ID of the device.
+ * @param {string} [target.variableName] - Name of the variable to write.
+ * @param {string|number} [target.address] - Variable name or device address to write.
+ * @param {*} target.value - The value to write.
+ * @param {object} origin - Who writes, for the audit trail.
+ * @param {{username: string, role: string}} [origin.user] - The user who writes.
+ * @param {string} [origin.socketId] - The socket the write came from.
+ * @param {string} [origin.source] - Origin of the write if not a socket (e.g. `modbus-server`).
+ * @returns {Promise<{status: "success"|"error"|"timeout"|"not_permitted", message?: string}>}
+ */
+async function writeTag(
+    io,
+    { deviceId, variableName, address, value },
+    { user, socketId, source } = {},
+) {
+    const target = variableName ?? address;
+    const oldValue = tagStore.getTag(deviceId, target)?.value;
+    const device = getDeviceInstance(deviceId);
+    let result;
+
+    if (!device) {
+        result = {
+            status: "error",
+            message: `Device ${deviceId} not found. Cannot write.`,
+        };
+    } else if (device.isInternal) {
+        // Internal devices have no hardware: the written value is the new value
+        if (variableName !== undefined && value !== undefined) {
+            console.log(
+                `[SocketHandler] Internal Device ${deviceId} variable ${variableName} set to ${value} by ${user?.username || source || socketId}`,
+            );
+            // Record the value in the tag store (persisted with its snapshot), then emit to
+            // all clients in the namespace so their stateManagers can update tagDatabase
+            const { timestamp, quality } = tagStore.updateTag(
+                deviceId,
+                variableName,
+                value,
+            );
+            io.of("/devices").emit("device_variable_update", {
+                deviceId,
+                variableName,
+                value,
+                timestamp,
+                quality,
+            });
+            result = { status: "success" };
+        } else {
+            result = {
+                status: "error",
+                message: `For Internal Device, 'variableName' and 'value' must be provided for 'write_to_device'.`,
+            };
+        }
+    } else {
+        result = await writeToDevice(device, { variableName, address, value });
+    }
+
+    auditLog.record({
+        action: AUDIT_ACTIONS.WRITE,
+        user,
+        socketId,
+        source,
+        deviceId,
+        variableName: target,
+        oldValue,
+        newValue: value,
+        status: result.status,
+        message: result.message,
+    });
+    return result;
+}
+
+/**
+ * Writes a value to a (non-internal) device and reports the outcome instead of throwing.
+ * A variable name, given as `variableName` or as the `address` of a configured variable, is
+ * written with `writeVariable`; any other address with `writeData`.
+ * @param {object} device - The device instance.
+ * @param {object} target - What to write.
+ * @param {string} [target.variableName] - Name of the variable to write.
+ * @param {string|number} [target.address] - Variable name or device address to write.
+ * @param {*} target.value - The value to write.
+ * @param {number} [timeoutMs=WRITE_TIMEOUT_MS] - Time the device may take to complete the write.
+ * @returns {Promise<{status: "success"|"error"|"timeout"|"not_permitted", message?: string}>}
+ */
+function writeToDevice(
+    device,
+    { variableName, address, value },
+    timeoutMs = WRITE_TIMEOUT_MS,
+) {
+    const deviceId = device.id;
+    if (!device.connected) {
+        return Promise.resolve({
+            status: "error",
+            message: `Device ${deviceId} not connected. Cannot write.`,
+        });
+    }
+
+    const variables = Array.isArray(device.config?.variables)
+        ? device.config.variables
+        : [];
+    const targetVariable =
+        variableName || variables.find((v) => v.name === address)?.name;
+    let write;
+    if (targetVariable && typeof device.writeVariable === "function") {
+        if (
+            typeof device.isVariableWritable === "function" &&
+            !device.isVariableWritable(targetVariable)
+        ) {
+            return Promise.resolve({
+                status: "not_permitted",
+                message: `Variable '${targetVariable}' on device ${deviceId} is read-only.`,
+            });
+        }
+        write = () => device.writeVariable(targetVariable, value);
+    } else if (
+        address !== undefined &&
+        address !== null &&
+        address !== "" &&
+        typeof device.writeData === "function"
+    ) {
+        // Fallback for direct address writing
+        write = () => device.writeData(address, value);
+    } else {
+        console.warn(
+            `[SocketHandler] Device ${deviceId} (${device.type}) does not support the required write method (writeVariable or writeData).`,
+        );
+        return Promise.resolve({
+            status: "error",
+            message: `Device ${deviceId} does not support the required write method for the provided parameters.`,
+        });
+    }
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            resolve({
+                status: "timeout",
+                message: `Device ${deviceId} did not complete the write within ${timeoutMs} ms.`,
+            });
+        }, timeoutMs);
+        // Device writes may be sync or async (e.g. Modbus); a late outcome after the timeout is ignored.
+        Promise.resolve()
+            .then(write)
+            .then(
+                () => resolve({ status: "success" }),
+                (error) =>
+                    resolve({
+                        status: "error",
+                        message: `Write to device ${deviceId} failed: ${error.message}`,
+                    }),
+            )
+            .finally(() => clearTimeout(timer));
+    });
 }
 
 /**
@@ -451,6 +1459,16 @@ function broadcastDeviceData(io, deviceId, data) {
 
 module.exports = {
     setupSocketHandlers,
+    activateProject,
+    broadcastRunningProject,
+    loadStartupProject,
+    getDeviceList,
+    getRuntimeStatus,
+    summarizeProject,
+    redactProjectSecrets,
+    restoreProjectSecrets,
     broadcastDeviceData,
+    writeTag,
+    writeToDevice,
     serverSideDeviceStore: serverSideDeviceConfigs,
 };
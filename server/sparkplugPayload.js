@@ -0,0 +1,356 @@
+/**
+ * @file Encoding and decoding of Sparkplug B payloads (the protobuf `Payload` message of the
+ * Eclipse Sparkplug specification), limited to what the MQTT bridge needs: payload timestamp and
+ * sequence number, and metrics with name, timestamp, data type, scalar value and properties.
+ * Aliases, data sets, templates and metadata are not supported (decoding skips them).
+ *
+ * Metrics are given as `{ name, datatype, value, timestamp?, properties? }`, where `datatype`
+ * is one of {@link DATA_TYPES} and `value` is `null` for a null metric. Properties map a key to
+ * `{ type, value }`, e.g. `{ Quality: { type: DATA_TYPES.INT32, value: 192 } }`.
+ */
+
+/**
+ * Sparkplug B data types (the subset with scalar values).
+ * @enum {number}
+ */
+const DATA_TYPES = Object.freeze({
+    INT8: 1,
+    INT16: 2,
+    INT32: 3,
+    INT64: 4,
+    UINT8: 5,
+    UINT16: 6,
+    UINT32: 7,
+    UINT64: 8,
+    FLOAT: 9,
+    DOUBLE: 10,
+    BOOLEAN: 11,
+    STRING: 12,
+    DATETIME: 13,
+    TEXT: 14,
+    UUID: 15,
+});
+
+const WIRE_VARINT = 0;
+const WIRE_64BIT = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_32BIT = 5;
+
+// Field numbers of the value fields, relative to the first one (int_value): 10 in Metric, 3 in PropertyValue.
+const VALUE_FIELD_OFFSET = Object.freeze({
+    int: 0,
+    long: 1,
+    float: 2,
+    double: 3,
+    boolean: 4,
+    string: 5,
+});
+
+/**
+ * Returns the kind of value field a data type is stored in.
+ * @param {number} datatype - One of {@link DATA_TYPES}.
+ * @returns {"int"|"long"|"float"|"double"|"boolean"|"string"}
+ */
+function valueKind(datatype) {
+    switch (datatype) {
+        case DATA_TYPES.INT64:
+        case DATA_TYPES.UINT64:
+        case DATA_TYPES.DATETIME:
+            return "long";
+        case DATA_TYPES.FLOAT:
+            return "float";
+        case DATA_TYPES.DOUBLE:
+            return "double";
+        case DATA_TYPES.BOOLEAN:
+            return "boolean";
+        case DATA_TYPES.STRING:
+        case DATA_TYPES.TEXT:
+        case DATA_TYPES.UUID:
+            return "string";
+        default:
+            return "int";
+    }
+}
+
+// --- Encoding ---
+
+/**
+ * Encodes an unsigned varint; negative numbers are encoded as 64-bit two's complement.
+ * @param {number|bigint|boolean} value
+ * @returns {Buffer}
+ */
+function varint(value) {
+    let n = BigInt.asUintN(
+        64,
+        BigInt(typeof value === "boolean" ? Number(value) : value),
+    );
+    const bytes = [];
+    do {
+        let byte = Number(n & 0x7fn);
+        n >>= 7n;
+        if (n > 0n) byte |= 0x80;
+        bytes.push(byte);
+    } while (n > 0n);
+    return Buffer.from(bytes);
+}
+
+/** @returns {Buffer} The key of a field. */
+function fieldKey(field, wireType) {
+    return varint((field << 3) | wireType);
+}
+
+/** @returns {Buffer} A varint field. */
+function varintField(field, value) {
+    return Buffer.concat([fieldKey(field, WIRE_VARINT), varint(value)]);
+}
+
+/** @returns {Buffer} A length-delimited field (string, bytes or embedded message). */
+function bytesField(field, bytes) {
+    const data = Buffer.isBuffer(bytes)
+        ? bytes
+        : Buffer.from(String(bytes), "utf8");
+    return Buffer.concat([
+        fieldKey(field, WIRE_LENGTH_DELIMITED),
+        varint(data.length),
+        data,
+    ]);
+}
+
+/**
+ * Encodes a value into the value field of its data type.
+ * @param {number} firstValueField - Field number of `int_value`.
+ * @param {number} datatype - One of {@link DATA_TYPES}.
+ * @param {*} value
+ * @returns {Buffer}
+ */
+function valueField(firstValueField, datatype, value) {
+    const kind = valueKind(datatype);
+    const field = firstValueField + VALUE_FIELD_OFFSET[kind];
+    switch (kind) {
+        case "int":
+            return varintField(
+                field,
+                BigInt.asUintN(32, BigInt(Math.trunc(Number(value)))),
+            );
+        case "long":
+            return varintField(field, BigInt(Math.trunc(Number(value))));
+        case "float": {
+            const data = Buffer.alloc(4);
+            data.writeFloatLE(Number(value));
+            return Buffer.concat([fieldKey(field, WIRE_32BIT), data]);
+        }
+        case "double": {
+            const data = Buffer.alloc(8);
+            data.writeDoubleLE(Number(value));
+            return Buffer.concat([fieldKey(field, WIRE_64BIT), data]);
+        }
+        case "boolean":
+            return varintField(field, Boolean(value));
+        default:
+            return bytesField(field, String(value));
+    }
+}
+
+/**
+ * Encodes a PropertySet.
+ * @param {Object<string, {type: number, value: *}>} properties
+ * @returns {Buffer}
+ */
+function encodePropertySet(properties) {
+    const parts = [];
+    Object.keys(properties).forEach((key) => parts.push(bytesField(1, key)));
+    Object.values(properties).forEach(({ type, value }) => {
+        const propertyValue = [varintField(1, type)];
+        if (value === null || value === undefined)
+            propertyValue.push(varintField(2, true));
+        else propertyValue.push(valueField(3, type, value));
+        parts.push(bytesField(2, Buffer.concat(propertyValue)));
+    });
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encodes a Metric.
+ * @param {{name: string, datatype: number, value: *, timestamp?: number, properties?: object}} metric
+ * @returns {Buffer}
+ */
+function encodeMetric(metric) {
+    const parts = [bytesField(1, metric.name)];
+    if (metric.timestamp !== undefined)
+        parts.push(varintField(3, metric.timestamp));
+    parts.push(varintField(4, metric.datatype));
+    if (metric.value === null || metric.value === undefined)
+        parts.push(varintField(7, true));
+    if (metric.properties && Object.keys(metric.properties).length > 0)
+        parts.push(bytesField(9, encodePropertySet(metric.properties)));
+    if (metric.value !== null && metric.value !== undefined)
+        parts.push(valueField(10, metric.datatype, metric.value));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encodes a Sparkplug B payload.
+ * @param {{timestamp?: number, seq?: number, metrics?: Array<object>}} payload
+ * @returns {Buffer}
+ */
+function encodePayload(payload) {
+    const parts = [];
+    if (payload.timestamp !== undefined)
+        parts.push(varintField(1, payload.timestamp));
+    (payload.metrics || []).forEach((metric) =>
+        parts.push(bytesField(2, encodeMetric(metric))),
+    );
+    if (payload.seq !== undefined) parts.push(varintField(3, payload.seq));
+    return Buffer.concat(parts);
+}
+
+// --- Decoding ---
+
+/**
+ * Splits a protobuf message into its fields.
+ * @param {Buffer} buffer
+ * @returns {Array<{field: number, wireType: number, value: (bigint|Buffer)}>}
+ * @throws {Error} For truncated or malformed data.
+ */
+function readFields(buffer) {
+    const fields = [];
+    let pos = 0;
+    const readVarint = () => {
+        let result = 0n;
+        let shift = 0n;
+        for (;;) {
+            if (pos >= buffer.length) throw new Error("Truncated varint.");
+            const byte = buffer[pos++];
+            result |= BigInt(byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) return result;
+            shift += 7n;
+        }
+    };
+    const take = (length) => {
+        if (pos + length > buffer.length) throw new Error("Truncated field.");
+        const data = buffer.subarray(pos, pos + length);
+        pos += length;
+        return data;
+    };
+    while (pos < buffer.length) {
+        const key = Number(readVarint());
+        const field = key >> 3;
+        const wireType = key & 7;
+        let value;
+        if (wireType === WIRE_VARINT) value = readVarint();
+        else if (wireType === WIRE_64BIT) value = take(8);
+        else if (wireType === WIRE_LENGTH_DELIMITED)
+            value = take(Number(readVarint()));
+        else if (wireType === WIRE_32BIT) value = take(4);
+        else throw new Error(`Unsupported wire type ${wireType}.`);
+        fields.push({ field, wireType, value });
+    }
+    return fields;
+}
+
+/**
+ * Decodes the value field of a data type.
+ * @param {number} firstValueField - Field number of `int_value`.
+ * @param {number} datatype
+ * @param {{field: number, value: (bigint|Buffer)}} entry
+ * @returns {*} The value, or `undefined` if the field is not a value field.
+ */
+function readValue(firstValueField, datatype, { field, value }) {
+    const offset = field - firstValueField;
+    if (offset < 0 || offset > VALUE_FIELD_OFFSET.string) return undefined;
+    const signed = [
+        DATA_TYPES.INT8,
+        DATA_TYPES.INT16,
+        DATA_TYPES.INT32,
+        DATA_TYPES.INT64,
+    ].includes(datatype);
+    switch (offset) {
+        case VALUE_FIELD_OFFSET.int:
+            return Number(
+                signed ? BigInt.asIntN(32, value) : BigInt.asUintN(32, value),
+            );
+        case VALUE_FIELD_OFFSET.long:
+            return Number(signed ? BigInt.asIntN(64, value) : value);
+        case VALUE_FIELD_OFFSET.float:
+            return value.readFloatLE(0);
+        case VALUE_FIELD_OFFSET.double:
+            return value.readDoubleLE(0);
+        case VALUE_FIELD_OFFSET.boolean:
+            return value !== 0n;
+        default:
+            return value.toString("utf8");
+    }
+}
+
+/**
+ * Decodes a PropertySet.
+ * @param {Buffer} buffer
+ * @returns {Object<string, {type: number, value: *}>}
+ */
+function decodePropertySet(buffer) {
+    const keys = [];
+    const values = [];
+    readFields(buffer).forEach(({ field, value }) => {
+        if (field === 1) keys.push(value.toString("utf8"));
+        if (field !== 2) return;
+        const propertyFields = readFields(value);
+        const type = Number(
+            propertyFields.find((f) => f.field === 1)?.value ?? 0,
+        );
+        const isNull = propertyFields.some(
+            (f) => f.field === 2 && f.value !== 0n,
+        );
+        const valueEntry = propertyFields.find(
+            (f) => readValue(3, type, f) !== undefined,
+        );
+        values.push({
+            type,
+            value:
+                isNull || !valueEntry ? null : readValue(3, type, valueEntry),
+        });
+    });
+    return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+}
+
+/**
+ * Decodes a Sparkplug B payload.
+ * @param {Buffer} buffer
+ * @returns {{timestamp?: number, seq?: number, metrics: Array<{name?: string, datatype: number, value: *, timestamp?: number, properties?: object}>}}
+ * @throws {Error} For malformed data.
+ */
+function decodePayload(buffer) {
+    const payload = { metrics: [] };
+    readFields(buffer).forEach(({ field, value }) => {
+        if (field === 1) payload.timestamp = Number(value);
+        else if (field === 3) payload.seq = Number(value);
+        else if (field === 2) {
+            const metricFields = readFields(value);
+            const metric = {
+                datatype: Number(
+                    metricFields.find((f) => f.field === 4)?.value ?? 0,
+                ),
+                value: null,
+            };
+            metricFields.forEach((entry) => {
+                if (entry.field === 1)
+                    metric.name = entry.value.toString("utf8");
+                else if (entry.field === 3)
+                    metric.timestamp = Number(entry.value);
+                else if (entry.field === 9)
+                    metric.properties = decodePropertySet(entry.value);
+                else if (entry.field >= 10) {
+                    const decoded = readValue(10, metric.datatype, entry);
+                    if (decoded !== undefined) metric.value = decoded;
+                }
+            });
+            payload.metrics.push(metric);
+        }
+    });
+    return payload;
+}
+
+module.exports = {
+    DATA_TYPES,
+    encodePayload,
+    decodePayload,
+};
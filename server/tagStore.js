@@ -0,0 +1,238 @@
+/**
+ * @file Server-side tag store: the single source of truth for live device variable values.
+ * Every value reported by a device (or written to an internal device) is recorded here as
+ * `{ value, timestamp, quality }`, keyed by deviceId and variableName. The store is snapshotted
+ * to disk (debounced) so values survive a server restart, and its contents are sent to each
+ * new `/devices` client so a freshly opened browser shows current values immediately.
+ *
+ * Each value carries a quality (see {@link TAG_QUALITY}) so clients never mistake a frozen
+ * value for a live one: devices mark their values `comm-fail` when the connection drops or a
+ * poll fails, and values restored from the snapshot are `stale` until the device reports again.
+ *
+ * The store is an EventEmitter; server-side consumers can listen for `tag_updated` and
+ * `device_removed` (deviceId).
+ * Snapshot writes only start once `loadSnapshot()` has been called (server startup), so
+ * modules that merely record values (and their tests) never touch the disk.
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_SNAPSHOT_FILE = path.join(__dirname, "data", "tags.json");
+const DEFAULT_SNAPSHOT_DELAY_MS = 2000;
+
+/**
+ * Quality of a tag value.
+ * - `good`: fresh value reported by the device.
+ * - `stale`: last known value, not confirmed since the server started.
+ * - `comm-fail`: last known value; the device is disconnected or its last read failed.
+ * - `uninitialized`: no value has ever been received (used by clients for missing tags).
+ * @enum {string}
+ */
+const TAG_QUALITY = Object.freeze({
+    GOOD: "good",
+    STALE: "stale",
+    COMM_FAIL: "comm-fail",
+    UNINITIALIZED: "uninitialized",
+});
+
+/**
+ * Holds the latest value of every device variable.
+ * @class TagStore
+ * @extends EventEmitter
+ */
+class TagStore extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.snapshotFile] - Path of the JSON snapshot file.
+     * @param {number} [options.snapshotDelayMs=2000] - Debounce delay before a changed store is written to disk.
+     */
+    constructor(options = {}) {
+        super();
+        /** @type {Object<string, Object<string, {value: *, timestamp: string, quality: string}>>} */
+        this._tags = {};
+        this.snapshotFile = options.snapshotFile || DEFAULT_SNAPSHOT_FILE;
+        this.snapshotDelayMs =
+            options.snapshotDelayMs ?? DEFAULT_SNAPSHOT_DELAY_MS;
+        this._snapshotTimer = null;
+        this._persistenceEnabled = false;
+    }
+
+    /**
+     * Records a new value for a variable and emits `tag_updated`.
+     * @param {string} deviceId - ID of the device.
+     * @param {string} variableName - Name of the variable.
+     * @param {*} value - The new value.
+     * @param {object} [meta={}]
+     * @param {string} [meta.timestamp] - ISO timestamp of the value; defaults to now.
+     * @param {string} [meta.quality="good"] - Quality of the value.
+     * @returns {{deviceId: string, variableName: string, value: *, timestamp: string, quality: string}} The stored tag.
+     */
+    updateTag(deviceId, variableName, value, meta = {}) {
+        if (!this._tags[deviceId]) {
+            this._tags[deviceId] = {};
+        }
+        const entry = {
+            value,
+            timestamp: meta.timestamp || new Date().toISOString(),
+            quality: meta.quality || TAG_QUALITY.GOOD,
+        };
+        this._tags[deviceId][variableName] = entry;
+        const tag = { deviceId, variableName, ...entry };
+        this.emit("tag_updated", tag);
+        this._scheduleSnapshot();
+        return tag;
+    }
+
+    /**
+     * Changes the quality of a stored value, keeping its value and timestamp (the time the
+     * value was last good). Emits `tag_updated` only if the quality actually changed.
+     * @param {string} deviceId - ID of the device.
+     * @param {string} variableName - Name of the variable.
+     * @param {string} quality - One of {@link TAG_QUALITY}.
+     * @returns {{deviceId: string, variableName: string, value: *, timestamp: string, quality: string}|null}
+     *   The updated tag, or null if there is no stored value or the quality is unchanged.
+     */
+    setQuality(deviceId, variableName, quality) {
+        const entry = this.getTag(deviceId, variableName);
+        if (!entry || entry.quality === quality) return null;
+        return this.updateTag(deviceId, variableName, entry.value, {
+            timestamp: entry.timestamp,
+            quality,
+        });
+    }
+
+    /**
+     * Returns the stored entry of a variable.
+     * @param {string} deviceId - ID of the device.
+     * @param {string} variableName - Name of the variable.
+     * @returns {{value: *, timestamp: string, quality: string}|undefined}
+     */
+    getTag(deviceId, variableName) {
+        return this._tags[deviceId]?.[variableName];
+    }
+
+    /**
+     * Returns every stored tag as a flat list, in the shape of `device_variable_update` payloads.
+     * @returns {Array<{deviceId: string, variableName: string, value: *, timestamp: string, quality: string}>}
+     */
+    getAllTags() {
+        const tags = [];
+        Object.entries(this._tags).forEach(([deviceId, variables]) => {
+            Object.entries(variables).forEach(([variableName, entry]) => {
+                tags.push({ deviceId, variableName, ...entry });
+            });
+        });
+        return tags;
+    }
+
+    /**
+     * Removes all tags of a device (e.g. when the device is deleted) and emits `device_removed`.
+     * @param {string} deviceId - ID of the device.
+     */
+    removeDevice(deviceId) {
+        if (this._tags[deviceId]) {
+            delete this._tags[deviceId];
+            this.emit("device_removed", deviceId);
+            this._scheduleSnapshot();
+        }
+    }
+
+    /**
+     * Removes the tags of every device that is not in the given list
+     * (e.g. after a project with a different set of devices is loaded).
+     * @param {Array<string>} deviceIds - IDs of the devices to keep.
+     */
+    retainDevices(deviceIds) {
+        const keep = new Set(deviceIds);
+        Object.keys(this._tags)
+            .filter((deviceId) => !keep.has(deviceId))
+            .forEach((deviceId) => this.removeDevice(deviceId));
+    }
+
+    /**
+     * Removes all tags. Used by tests and when resetting the server state.
+     */
+    clear() {
+        this._tags = {};
+        if (this._snapshotTimer) {
+            clearTimeout(this._snapshotTimer);
+            this._snapshotTimer = null;
+        }
+    }
+
+    /**
+     * Loads tags from the snapshot file, replacing the current contents, and enables
+     * debounced snapshot writes. Loaded values are marked `stale` until their device reports
+     * again. A missing snapshot file is not an error (first start).
+     * @returns {Promise<number>} The number of tags loaded.
+     */
+    async loadSnapshot() {
+        this._persistenceEnabled = true;
+        let content;
+        try {
+            content = await fs.readFile(this.snapshotFile, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") return 0;
+            throw error;
+        }
+        const data = JSON.parse(content);
+        this._tags =
+            data && typeof data.tags === "object" && data.tags !== null
+                ? data.tags
+                : {};
+        Object.values(this._tags).forEach((variables) => {
+            Object.values(variables).forEach((entry) => {
+                entry.quality = TAG_QUALITY.STALE;
+            });
+        });
+        return this.getAllTags().length;
+    }
+
+    /**
+     * Writes the current tags to the snapshot file. The file is written to a temporary path
+     * first and renamed, so a crash mid-write never leaves a truncated snapshot.
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot() {
+        if (this._snapshotTimer) {
+            clearTimeout(this._snapshotTimer);
+            this._snapshotTimer = null;
+        }
+        await fs.mkdir(path.dirname(this.snapshotFile), { recursive: true });
+        const tempFile = `${this.snapshotFile}.tmp`;
+        const payload = { savedAt: new Date().toISOString(), tags: this._tags };
+        await fs.writeFile(tempFile, JSON.stringify(payload, null, 2), "utf8");
+        await fs.rename(tempFile, this.snapshotFile);
+    }
+
+    /**
+     * Schedules a debounced snapshot write.
+     * @private
+     */
+    _scheduleSnapshot() {
+        if (!this._persistenceEnabled || this._snapshotTimer) return;
+        this._snapshotTimer = setTimeout(() => {
+            this._snapshotTimer = null;
+            this.saveSnapshot().catch((error) => {
+                console.error(
+                    `[TagStore] Gagal menyimpan snapshot tag ke ${this.snapshotFile}:`,
+                    error,
+                );
+            });
+        }, this.snapshotDelayMs);
+        if (typeof this._snapshotTimer.unref === "function") {
+            this._snapshotTimer.unref();
+        }
+    }
+}
+
+/** Shared instance used by devices and socket handlers. */
+const tagStore = new TagStore();
+
+module.exports = {
+    tagStore,
+    TagStore,
+    TAG_QUALITY,
+};
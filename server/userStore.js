@@ -0,0 +1,291 @@
+/**
+ * @file Server-side user accounts. Users are stored in a JSON file with scrypt-hashed passwords
+ * (`scrypt:<salt>:<hash>`, never the password itself) and carry one of the {@link ROLES}.
+ *
+ * When the file does not exist yet (first start), `load()` creates an `admin` account so the
+ * application can be set up; its password comes from the `HMI_ADMIN_PASSWORD` environment
+ * variable, or is `admin` (with a warning) if that is not set.
+ *
+ * Like the tag store, the file is only read and written once `load()` has been called (server
+ * startup), so modules that merely use the store (and their tests) never touch the disk.
+ * Errors are thrown as `{ code, message }` objects, like the project handler does.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_USERS_FILE = path.join(__dirname, "data", "users.json");
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * User roles, from least to most privileged. Each role may do everything the roles before it may.
+ * - `viewer`: watch live values, alarms and history.
+ * - `operator`: write to devices, acknowledge and shelve alarms.
+ * - `engineer`: edit devices, alarm definitions and projects, load (run) projects.
+ * - `admin`: manage user accounts.
+ * @type {ReadonlyArray<string>}
+ */
+const ROLES = Object.freeze(["viewer", "operator", "engineer", "admin"]);
+
+/**
+ * Tells whether a role has at least the privileges of another role.
+ * @param {string} role - The role of a user.
+ * @param {string} requiredRole - The least privileged role that is allowed.
+ * @returns {boolean} `false` for unknown roles.
+ */
+function hasRole(role, requiredRole) {
+    const level = ROLES.indexOf(role);
+    return level !== -1 && level >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password - The plain password.
+ * @returns {Promise<string>} `scrypt:<salt hex>:<hash hex>`.
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+            if (error) reject(error);
+            else
+                resolve(
+                    `scrypt:${salt.toString("hex")}:${key.toString("hex")}`,
+                );
+        });
+    });
+}
+
+/**
+ * Checks a password against a hash made by {@link hashPassword}.
+ * @param {string} password - The plain password.
+ * @param {string} passwordHash - The stored hash.
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, passwordHash) {
+    const [scheme, saltHex, hashHex] = String(passwordHash || "").split(":");
+    if (scheme !== "scrypt" || !saltHex || !hashHex)
+        return Promise.resolve(false);
+    const expected = Buffer.from(hashHex, "hex");
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(
+            String(password),
+            Buffer.from(saltHex, "hex"),
+            expected.length,
+            (error, key) => {
+                if (error) reject(error);
+                else resolve(crypto.timingSafeEqual(key, expected));
+            },
+        );
+    });
+}
+
+/**
+ * Holds the user accounts.
+ * @class UserStore
+ */
+class UserStore {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.usersFile] - Path of the JSON users file.
+     */
+    constructor(options = {}) {
+        this.usersFile = options.usersFile || DEFAULT_USERS_FILE;
+        /** @type {Map<string, {username: string, role: string, passwordHash: string}>} */
+        this._users = new Map();
+        this._persistenceEnabled = false;
+    }
+
+    /**
+     * Loads the users file and enables writing it. Creates the initial `admin` account when the
+     * file does not exist.
+     * @returns {Promise<number>} The number of users.
+     */
+    async load() {
+        this._persistenceEnabled = true;
+        let content = null;
+        try {
+            content = await fs.readFile(this.usersFile, "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+        this._users.clear();
+        if (content === null) {
+            const password = process.env.HMI_ADMIN_PASSWORD || "admin";
+            if (!process.env.HMI_ADMIN_PASSWORD) {
+                console.warn(
+                    "[UserStore] Akun 'admin' dibuat dengan password default 'admin'. Segera ganti password ini.",
+                );
+            }
+            await this.saveUser({ username: "admin", password, role: "admin" });
+            return this._users.size;
+        }
+        const users = JSON.parse(content);
+        (Array.isArray(users) ? users : []).forEach((user) => {
+            if (
+                user &&
+                typeof user.username === "string" &&
+                ROLES.includes(user.role) &&
+                user.passwordHash
+            ) {
+                this._users.set(user.username, {
+                    username: user.username,
+                    role: user.role,
+                    passwordHash: user.passwordHash,
+                });
+            }
+        });
+        return this._users.size;
+    }
+
+    /**
+     * Lists the users, without their password hashes.
+     * @returns {Array<{username: string, role: string}>}
+     */
+    listUsers() {
+        return [...this._users.values()].map(({ username, role }) => ({
+            username,
+            role,
+        }));
+    }
+
+    /**
+     * Returns a user, without the password hash.
+     * @param {string} username - The user name.
+     * @returns {{username: string, role: string} | null}
+     */
+    getUser(username) {
+        const user = this._users.get(username);
+        return user ? { username: user.username, role: user.role } : null;
+    }
+
+    /**
+     * Checks a user's credentials.
+     * @param {string} username - The user name.
+     * @param {string} password - The plain password.
+     * @returns {Promise<{username: string, role: string} | null>} The user, or `null` if the
+     *          user does not exist or the password is wrong.
+     */
+    async authenticate(username, password) {
+        const user = this._users.get(username);
+        if (!user || !(await verifyPassword(password, user.passwordHash)))
+            return null;
+        return this.getUser(username);
+    }
+
+    /**
+     * Creates a user or updates an existing one. The password may be omitted to keep the
+     * current password of an existing user.
+     * @param {object} user
+     * @param {string} user.username - Letters, digits, `.`, `_` and `-`.
+     * @param {string} [user.password] - Required for a new user.
+     * @param {string} user.role - One of {@link ROLES}.
+     * @returns {Promise<{username: string, role: string}>} The saved user.
+     * @throws {{code: string, message: string}} `INVALID_USER` if a field is invalid, or
+     *         `LAST_ADMIN` if the last admin would lose the admin role.
+     */
+    async saveUser({ username, password, role } = {}) {
+        if (
+            typeof username !== "string" ||
+            !/^[a-z0-9._-]{1,32}$/i.test(username)
+        ) {
+            throw {
+                code: "INVALID_USER",
+                message:
+                    "Username hanya boleh berisi huruf, angka, '.', '_' atau '-' (maks. 32).",
+            };
+        }
+        if (!ROLES.includes(role)) {
+            throw {
+                code: "INVALID_USER",
+                message: `Role '${role}' tidak dikenal. Gunakan: ${ROLES.join(", ")}.`,
+            };
+        }
+        const existing = this._users.get(username);
+        if (!existing && !password) {
+            throw {
+                code: "INVALID_USER",
+                message: "Password wajib diisi untuk user baru.",
+            };
+        }
+        if (
+            password !== undefined &&
+            password !== "" &&
+            (typeof password !== "string" || password.length < 4)
+        ) {
+            throw {
+                code: "INVALID_USER",
+                message: "Password minimal 4 karakter.",
+            };
+        }
+        if (
+            existing?.role === "admin" &&
+            role !== "admin" &&
+            this._countAdmins() === 1
+        ) {
+            throw {
+                code: "LAST_ADMIN",
+                message: "Harus ada minimal satu admin.",
+            };
+        }
+        const passwordHash = password
+            ? await hashPassword(password)
+            : existing.passwordHash;
+        this._users.set(username, { username, role, passwordHash });
+        await this._save();
+        return this.getUser(username);
+    }
+
+    /**
+     * Deletes a user.
+     * @param {string} username - The user name.
+     * @returns {Promise<boolean>} `false` if the user does not exist.
+     * @throws {{code: string, message: string}} `LAST_ADMIN` when deleting the last admin.
+     */
+    async deleteUser(username) {
+        const user = this._users.get(username);
+        if (!user) return false;
+        if (user.role === "admin" && this._countAdmins() === 1) {
+            throw {
+                code: "LAST_ADMIN",
+                message: "Admin terakhir tidak boleh dihapus.",
+            };
+        }
+        this._users.delete(username);
+        await this._save();
+        return true;
+    }
+
+    /** @private */
+    _countAdmins() {
+        return [...this._users.values()].filter((user) => user.role === "admin")
+            .length;
+    }
+
+    /**
+     * Writes the users file (only after `load()`).
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _save() {
+        if (!this._persistenceEnabled) return;
+        await fs.mkdir(path.dirname(this.usersFile), { recursive: true });
+        await fs.writeFile(
+            this.usersFile,
+            JSON.stringify([...this._users.values()], null, 2),
+            { encoding: "utf8", mode: 0o600 },
+        );
+    }
+}
+
+const userStore = new UserStore();
+
+module.exports = {
+    UserStore,
+    userStore,
+    ROLES,
+    hasRole,
+    hashPassword,
+    verifyPassword,
+};